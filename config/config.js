@@ -1,10 +1,21 @@
+const os = require('os');
+const path = require('path');
+
 // Load environment variables from .env file in non-production environments
 if (process.env.NODE_ENV !== 'production') {
   require('dotenv').config();
 }
 
-// Validate critical environment variables
-const requiredEnvVars = ['MONGODB_URI', 'OPENAI_API_KEY'];
+const aiProvider = process.env.AI_PROVIDER || 'openai';
+
+// Validate critical environment variables (credentials depend on the AI provider)
+const providerEnvVars = {
+  openai: ['OPENAI_API_KEY'],
+  azure: ['AZURE_OPENAI_API_KEY', 'AZURE_OPENAI_ENDPOINT'],
+  local: ['LOCAL_LLM_BASE_URL'],
+  offline: []
+};
+const requiredEnvVars = ['MONGODB_URI', ...(providerEnvVars[aiProvider] || [])];
 const missingEnvVars = requiredEnvVars.filter(varName => !process.env[varName]);
 
 if (missingEnvVars.length > 0) {
@@ -17,11 +28,34 @@ module.exports = {
   port: parseInt(process.env.PORT || '3001', 10),
   nodeEnv: process.env.NODE_ENV || 'development',
   
+  // Origins allowed to call the API from a browser ('*' for any, empty for none)
+  cors: {
+    origins: (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean)
+  },
+  
+  // Authentication: JWT sessions for users, API keys for service integrations
+  auth: {
+    // Disabling auth treats every request as an admin (local development only)
+    enabled: process.env.AUTH_ENABLED !== 'false',
+    jwtSecret: process.env.JWT_SECRET,
+    jwtExpiresIn: parseInt(process.env.JWT_EXPIRES_IN || '28800', 10) // seconds (8 hours)
+  },
+  
+  // Tenants (workspaces): data of callers that do not belong to or select a tenant goes to the default one
+  tenants: {
+    defaultSlug: (process.env.DEFAULT_TENANT || 'default').toLowerCase()
+  },
+  
   // MongoDB configuration
   mongodb: {
     uri: process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/cvDatabase'
   },
   
+  // AI provider used for embeddings and CV analysis: 'openai', 'azure', 'local' or 'offline'
+  ai: {
+    provider: aiProvider
+  },
+  
   // OpenAI configuration
   openai: {
     apiKey: process.env.OPENAI_API_KEY,
@@ -30,9 +64,256 @@ module.exports = {
     completionModel: process.env.OPENAI_COMPLETION_MODEL || 'gpt-3.5-turbo'
   },
   
+  // Azure OpenAI configuration (models are deployment names)
+  azureOpenai: {
+    apiKey: process.env.AZURE_OPENAI_API_KEY,
+    endpoint: process.env.AZURE_OPENAI_ENDPOINT,
+    apiVersion: process.env.AZURE_OPENAI_API_VERSION || '2024-06-01',
+    embeddingModel: process.env.AZURE_OPENAI_EMBEDDING_DEPLOYMENT || 'text-embedding-ada-002',
+    completionModel: process.env.AZURE_OPENAI_COMPLETION_DEPLOYMENT || 'gpt-35-turbo'
+  },
+  
+  // OpenAI-compatible local server (Ollama, llama.cpp, vLLM, ...)
+  localLLM: {
+    baseUrl: process.env.LOCAL_LLM_BASE_URL || 'http://127.0.0.1:11434/v1',
+    apiKey: process.env.LOCAL_LLM_API_KEY || 'local',
+    embeddingModel: process.env.LOCAL_LLM_EMBEDDING_MODEL || 'nomic-embed-text',
+    completionModel: process.env.LOCAL_LLM_COMPLETION_MODEL || 'llama3.1'
+  },
+  
+  // Fully offline deterministic provider
+  offline: {
+    dimensions: parseInt(process.env.OFFLINE_EMBEDDING_DIMENSIONS || '512', 10)
+  },
+  
+  // Vector search backend: 'auto' (Atlas if available, else local), 'atlas' or 'local'
+  vectorIndex: {
+    mode: process.env.VECTOR_SEARCH_MODE || 'auto',
+    // Base path of the persisted local index (.json header and .bin vectors)
+    path: process.env.LOCAL_VECTOR_INDEX_PATH || './data/vector-index',
+    saveDelay: parseInt(process.env.LOCAL_VECTOR_INDEX_SAVE_DELAY || '5000', 10), // ms
+    // How often to pick up CVs changed by other processes (0 disables)
+    refreshInterval: parseInt(process.env.LOCAL_VECTOR_INDEX_REFRESH_INTERVAL || '60000', 10) // ms
+  },
+  
+  // Search settings
+  search: {
+    // Let searchType 'auto' combine vector and text results when vector search is available
+    autoHybrid: process.env.SEARCH_AUTO_HYBRID !== 'false',
+    hybrid: {
+      vectorWeight: parseFloat(process.env.HYBRID_VECTOR_WEIGHT || '1'),
+      textWeight: parseFloat(process.env.HYBRID_TEXT_WEIGHT || '1'),
+      // RRF smoothing constant - higher values flatten the advantage of top ranks
+      k: parseInt(process.env.HYBRID_RRF_K || '60', 10),
+      // Results fetched from each search before fusing
+      candidates: parseInt(process.env.HYBRID_CANDIDATES || '100', 10)
+    }
+  },
+  
+  // CVs are split into section passages (experience entries, skills, education...) that are embedded
+  // separately; vector search ranks passages and scores each CV by its best ones
+  passages: {
+    size: parseInt(process.env.PASSAGE_SIZE || '800', 10), // characters
+    overlap: parseInt(process.env.PASSAGE_OVERLAP || '150', 10),
+    // 'max' (best passage) or 'mean' (mean of the best topK passages)
+    aggregation: process.env.PASSAGE_AGGREGATION || 'max',
+    topK: parseInt(process.env.PASSAGE_TOP_K || '3', 10),
+    // Passages fetched from the vector index per CV that is needed
+    candidatesPerCV: parseInt(process.env.PASSAGE_CANDIDATES_PER_CV || '10', 10)
+  },
+  
+  // Explanations of search results: highlighted snippets, best-matching passage and AI summary
+  explain: {
+    snippetLength: parseInt(process.env.EXPLAIN_SNIPPET_LENGTH || '200', 10), // characters
+    maxSnippets: parseInt(process.env.EXPLAIN_MAX_SNIPPETS || '3', 10),
+    // AI summaries are written for at most this many results per search and cached
+    maxSummaries: parseInt(process.env.EXPLAIN_MAX_SUMMARIES || '10', 10),
+    summaryCacheDays: parseInt(process.env.EXPLAIN_SUMMARY_CACHE_DAYS || '30', 10)
+  },
+  
+  // Exports of search results and CV lists (CSV, XLSX, NDJSON, PDF)
+  export: {
+    // Most CVs in one export; ranked searches (with a query) fetch this many results
+    maxRows: parseInt(process.env.EXPORT_MAX_ROWS || '10000', 10),
+    // CVs fetched from the database per round trip while streaming
+    batchSize: parseInt(process.env.EXPORT_BATCH_SIZE || '200', 10)
+  },
+  
+  // Analytics over the candidate pool (skill trends, distributions, supply gaps)
+  analytics: {
+    // How long a report is reused; CV uploads, updates and deletions clear a tenant's reports earlier
+    cacheTtl: parseInt(process.env.ANALYTICS_CACHE_TTL || '600000', 10), // ms
+    // Most time buckets in one skill trend report
+    maxBuckets: parseInt(process.env.ANALYTICS_MAX_BUCKETS || '36', 10),
+    // Most frequent skills whose pairs are counted for co-occurrence
+    cooccurrenceSkills: parseInt(process.env.ANALYTICS_COOCCURRENCE_SKILLS || '50', 10),
+    // Days of searches from the audit log counted as skill demand, and how many at most
+    searchDays: parseInt(process.env.ANALYTICS_SEARCH_DAYS || '90', 10),
+    maxSearches: parseInt(process.env.ANALYTICS_MAX_SEARCHES || '5000', 10)
+  },
+  
+  // Personal data detection and redaction (blind screening, redaction before AI calls)
+  pii: {
+    // Types that are never redacted, e.g. 'url,address' (all detectors are used by default)
+    disabledTypes: (process.env.PII_DISABLED_TYPES || '').split(',').map(type => type.trim()).filter(Boolean),
+    // Redact CV text before it is sent to the AI provider for analysis, embeddings and match summaries
+    redactBeforeAI: process.env.PII_REDACT_BEFORE_AI === 'true',
+    // Provider that looks for names and addresses the detectors miss (unset disables LLM detection)
+    llmProvider: process.env.PII_LLM_PROVIDER
+  },
+  
+  // Job matching weights (vector similarity vs structured overlap)
+  matching: {
+    vectorWeight: parseFloat(process.env.MATCH_VECTOR_WEIGHT || '0.5'),
+    skillsWeight: parseFloat(process.env.MATCH_SKILLS_WEIGHT || '0.6'),
+    experienceWeight: parseFloat(process.env.MATCH_EXPERIENCE_WEIGHT || '0.25'),
+    titleWeight: parseFloat(process.env.MATCH_TITLE_WEIGHT || '0.15'),
+    candidatePoolSize: parseInt(process.env.MATCH_CANDIDATE_POOL || '200', 10)
+  },
+  
+  // Text extraction and OCR settings
+  extraction: {
+    ocrEnabled: process.env.OCR_ENABLED !== 'false',
+    ocrLanguage: process.env.OCR_LANGUAGE || 'eng',
+    // Directory or URL holding *.traineddata files (tesseract.js downloads them when unset)
+    ocrLangPath: process.env.OCR_LANG_PATH,
+    // PDFs yielding fewer meaningful characters than this are treated as scanned
+    ocrMinTextLength: parseInt(process.env.OCR_MIN_TEXT_LENGTH || '100', 10)
+  },
+  
+  // AI analysis of CVs and job descriptions
+  analysis: {
+    // Long CVs and job descriptions are analyzed in chunks of this many characters instead of being truncated
+    chunkSize: parseInt(process.env.ANALYSIS_CHUNK_SIZE || '6000', 10),
+    chunkOverlap: parseInt(process.env.ANALYSIS_CHUNK_OVERLAP || '400', 10),
+    maxChunks: parseInt(process.env.ANALYSIS_MAX_CHUNKS || '10', 10)
+  },
+  
+  // Skill taxonomy (canonical skills, aliases and parent skills)
+  skills: {
+    // JSON or YAML file used to seed the skills collection when it is empty
+    taxonomyPath: process.env.SKILL_TAXONOMY_PATH || path.join(__dirname, 'skills.json')
+  },
+  
+  // Duplicate candidate detection on ingest
+  duplicates: {
+    enabled: process.env.DUPLICATE_DETECTION !== 'false',
+    // Cosine similarity of CV embeddings above which two CVs are treated as the same person
+    similarityThreshold: parseFloat(process.env.DUPLICATE_SIMILARITY_THRESHOLD || '0.97')
+  },
+  
+  // Background ingest queue
+  queue: {
+    enabled: process.env.QUEUE_ENABLED !== 'false',
+    concurrency: parseInt(process.env.QUEUE_CONCURRENCY || '2', 10),
+    maxAttempts: parseInt(process.env.QUEUE_MAX_ATTEMPTS || '3', 10),
+    pollInterval: parseInt(process.env.QUEUE_POLL_INTERVAL || '2000', 10), // ms
+    retryDelay: parseInt(process.env.QUEUE_RETRY_DELAY || '10000', 10), // ms, doubled per attempt
+    lockTimeout: parseInt(process.env.QUEUE_LOCK_TIMEOUT || '600000', 10) // ms before a stuck task is retried
+  },
+  
+  // Re-embedding / re-analysis migrations
+  reprocess: {
+    // Pause between CVs to stay within provider rate limits
+    delayMs: parseInt(process.env.REPROCESS_DELAY_MS || '250', 10)
+  },
+  
+  // Storage of original uploaded files: 'local', 'gridfs' or 's3'
+  storage: {
+    backend: process.env.STORAGE_BACKEND || 'local',
+    local: {
+      path: process.env.STORAGE_LOCAL_PATH || './data/files'
+    },
+    gridfs: {
+      bucket: process.env.STORAGE_GRIDFS_BUCKET || 'cvFiles'
+    },
+    // AWS S3 or an S3-compatible server such as MinIO (set S3_ENDPOINT for the latter)
+    s3: {
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION || 'us-east-1',
+      endpoint: process.env.S3_ENDPOINT,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE ? process.env.S3_FORCE_PATH_STYLE === 'true' : Boolean(process.env.S3_ENDPOINT),
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+    }
+  },
+  
+  // Saved search alerts for newly uploaded CVs
+  alerts: {
+    enabled: process.env.ALERTS_ENABLED !== 'false',
+    // Minimum vector similarity for searches with a query that do not set their own threshold
+    minVectorScore: parseFloat(process.env.ALERT_MIN_VECTOR_SCORE || '0.8'),
+    webhookTimeout: parseInt(process.env.ALERT_WEBHOOK_TIMEOUT || '10000', 10) // ms
+  },
+  
+  // Outgoing email (email alert channel)
+  smtp: {
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT || '587', 10),
+    // Connect with TLS right away (port 465); otherwise STARTTLS is used when the server offers it
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS,
+    from: process.env.SMTP_FROM || 'cv-picker@localhost',
+    timeout: parseInt(process.env.SMTP_TIMEOUT || '10000', 10) // ms
+  },
+  
+  // CV lifecycle event stream (Server-Sent Events)
+  events: {
+    // Latest events kept in memory for streams reconnecting with Last-Event-ID
+    bufferSize: parseInt(process.env.EVENT_BUFFER_SIZE || '200', 10),
+    heartbeatInterval: parseInt(process.env.EVENT_HEARTBEAT_INTERVAL || '25000', 10) // ms
+  },
+  
+  // Outbound webhooks for CV lifecycle events
+  webhooks: {
+    enabled: process.env.WEBHOOKS_ENABLED !== 'false',
+    concurrency: parseInt(process.env.WEBHOOK_CONCURRENCY || '4', 10),
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '8', 10),
+    pollInterval: parseInt(process.env.WEBHOOK_POLL_INTERVAL || '5000', 10), // ms
+    retryDelay: parseInt(process.env.WEBHOOK_RETRY_DELAY || '30000', 10), // ms, doubled per attempt
+    timeout: parseInt(process.env.WEBHOOK_TIMEOUT || '10000', 10), // ms
+    lockTimeout: parseInt(process.env.WEBHOOK_LOCK_TIMEOUT || '120000', 10), // ms before a stuck delivery is retried
+    // Successful deliveries are removed after this many days; dead letters are kept
+    retentionDays: parseInt(process.env.WEBHOOK_DELIVERY_RETENTION_DAYS || '14', 10),
+    // Allow webhooks and alert webhooks to loopback, private and link-local addresses (internal receivers)
+    allowPrivateNetworks: process.env.WEBHOOK_ALLOW_PRIVATE_NETWORKS === 'true'
+  },
+  
+  // Retention of applicants' data: candidates are erased a number of days after their latest upload
+  // unless they are in an active pipeline stage or consented to a longer retention
+  retention: {
+    enabled: process.env.RETENTION_ENABLED === 'true',
+    days: parseInt(process.env.RETENTION_DAYS || '180', 10),
+    // Other periods for some stages, e.g. 'rejected:90,new:365'
+    stageDays: Object.fromEntries((process.env.RETENTION_STAGE_DAYS || '')
+      .split(',')
+      .map(entry => entry.split(':').map(part => part.trim()))
+      .filter(([stage, days]) => stage && days)
+      .map(([stage, days]) => [stage, parseInt(days, 10)])),
+    // Candidates in these stages are never erased by the sweeper
+    activeStages: (process.env.RETENTION_ACTIVE_STAGES || 'screened,interview,offer,hired')
+      .split(',').map(stage => stage.trim()).filter(Boolean),
+    sweepInterval: parseInt(process.env.RETENTION_SWEEP_INTERVAL || '3600000', 10), // ms
+    // Candidates erased per tenant and sweep
+    batchSize: parseInt(process.env.RETENTION_BATCH_SIZE || '100', 10)
+  },
+  
   // File upload limits
   upload: {
     maxSize: parseInt(process.env.MAX_FILE_SIZE || '10485760', 10), // 10MB default
-    allowedTypes: ['application/pdf']
+    // Bulk uploads: files per request and entries per ZIP archive
+    maxBulkFiles: parseInt(process.env.MAX_BULK_FILES || '100', 10),
+    maxArchiveEntries: parseInt(process.env.MAX_ARCHIVE_ENTRIES || '1000', 10),
+    maxArchiveSize: parseInt(process.env.MAX_ARCHIVE_SIZE || '209715200', 10), // 200MB default
+    // Total size of the files a bulk upload expands to, counting the bytes actually inflated
+    maxExtractedSize: parseInt(process.env.MAX_EXTRACTED_SIZE || '524288000', 10), // 500MB default
+    // Total size of one bulk upload request; its files are written to tempDir while it is read
+    maxBulkUploadSize: parseInt(process.env.MAX_BULK_UPLOAD_SIZE || '524288000', 10), // 500MB default
+    tempDir: process.env.UPLOAD_TEMP_DIR || os.tmpdir(),
+    // Follows the extractor registry so new formats are accepted automatically
+    get allowedTypes() {
+      return require('../utils/extractors').getSupportedMimeTypes();
+    }
   }
 }; 
\ No newline at end of file
@@ -1,10 +1,58 @@
 const mongoose = require('mongoose');
 const config = require('./config');
+const { setVectorBackend } = require('../utils/vectorSearch');
+const localVectorIndex = require('../utils/localVectorIndex');
+const { loadSkillTaxonomy } = require('../utils/skillTaxonomy');
+const { ensureDefaultTenant } = require('../utils/tenants');
+const { VECTOR_INDEXES, describeVectorIndex } = require('../utils/searchIndexes');
+
+/**
+ * Choose the vector search backend and prepare the local index when Atlas is unavailable
+ * @param {Object} conn - Mongoose connection
+ */
+async function setupVectorSearch(conn) {
+  const mode = config.vectorIndex.mode;
+  const db = conn.connection.db;
+  const [cvIndex, passageIndex] = await Promise.all(
+    VECTOR_INDEXES.map(({ collection, name }) => describeVectorIndex(db, collection, name))
+  );
+  const atlasAvailable = mode === 'atlas' || (mode === 'auto' && cvIndex.exists);
+  
+  if (atlasAvailable) {
+    // When the indexes cannot be listed (forced atlas mode), assume they are set up as documented
+    const tenantFilter = {
+      cvs: cvIndex.tenantFilter || !cvIndex.available,
+      passages: passageIndex.tenantFilter || !passageIndex.available
+    };
+    setVectorBackend('atlas', { passages: passageIndex.exists, tenantFilter });
+    console.log('Vector search: using MongoDB Atlas $vectorSearch');
+    if (!passageIndex.exists) {
+      console.warn('Atlas search index "passageVectorIndex" on cvpassages is missing, ranking whole-CV embeddings only');
+    }
+    if (!tenantFilter.cvs || (passageIndex.exists && !tenantFilter.passages)) {
+      console.warn('Atlas vector search indexes lack the tenantId filter field, so searches filter tenants after ranking '
+        + 'and may return fewer results. Run "npm run update-search-indexes" to add it.');
+    }
+    return;
+  }
+  
+  if (mode === 'auto') {
+    console.warn('Atlas vector search is not available, using the local in-process vector index');
+  }
+  setVectorBackend('local');
+  try {
+    await localVectorIndex.initialize();
+  } catch (error) {
+    // Searches fall back to text until the index is available
+    console.error('Failed to initialize the local vector index:', error.message);
+  }
+}
 
 /**
  * Connect to MongoDB
+ * @param {Object} [options] - { vectorSearch: false } skips vector search setup (for CLI scripts)
  */
-const connectDB = async () => {
+const connectDB = async ({ vectorSearch = true } = {}) => {
   try {
     const connectionString = config.mongodb.uri;
     
@@ -30,6 +78,24 @@ const connectDB = async () => {
       console.warn('Could not verify MongoDB version for vector search capability.');
     }
     
+    // Data stored before tenants existed belongs to the default tenant (before indexing vectors by tenant)
+    const { tenant, migrated } = await ensureDefaultTenant();
+    for (const [model, count] of Object.entries(migrated)) {
+      console.log(`Assigned ${count} ${model} documents to tenant "${tenant.slug}"`);
+    }
+    
+    if (vectorSearch) {
+      await setupVectorSearch(conn);
+    }
+    
+    try {
+      const count = await loadSkillTaxonomy();
+      console.log(`Skill taxonomy loaded (${count} skills)`);
+    } catch (error) {
+      // Skill matching keeps using the taxonomy file
+      console.error('Failed to load the skill taxonomy:', error.message);
+    }
+    
     return conn;
   } catch (error) {
     console.error(`Error connecting to MongoDB: ${error.message}`);
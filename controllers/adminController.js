@@ -0,0 +1,313 @@
+const mongoose = require('mongoose');
+const ReprocessRun = require('../models/reprocessRunModel');
+const ErasureReceipt = require('../models/erasureReceiptModel');
+const CV = require('../models/cvModel');
+const AuditEntry = require('../models/auditEntryModel');
+const { ANALYSIS_VERSION } = require('../utils/openaiService');
+const { EXTRACTION_SCHEMA_VERSION } = require('../utils/extractionSchema');
+const { planReprocess, createRun, executeRun, cancelRun, describeRun } = require('../utils/reprocessor');
+const { getRetentionPolicy, sweepRetention } = require('../utils/retention');
+const { AUDIT_ACTIONS, buildAuditConditions } = require('../utils/audit');
+
+// Only one API-triggered run executes at a time per tenant (tenant ID -> run ID)
+const activeRuns = new Map();
+
+// Tenants with an API-triggered retention sweep in progress
+const activeSweeps = new Set();
+
+/**
+ * Key of the request's tenant in activeRuns
+ * @param {Object} req - Express request object
+ * @returns {string}
+ */
+function tenantKey(req) {
+  return req.tenant ? req.tenant.id : '';
+}
+
+/**
+ * Start (or dry-run, or resume) a re-embedding/re-analysis run
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function startReprocess(req, res) {
+  try {
+    const { dryRun = false, resumeRunId, ...options } = req.body || {};
+    
+    if (dryRun) {
+      return res.json(await planReprocess(options));
+    }
+    
+    if (activeRuns.has(tenantKey(req))) {
+      return res.status(409).json({ 
+        error: 'A reprocess run is already in progress',
+        runId: activeRuns.get(tenantKey(req))
+      });
+    }
+    
+    const run = await createRun(options, { resumeRunId, trigger: 'api' });
+    
+    if (!run) {
+      return res.status(404).json({ error: 'Reprocess run not found' });
+    }
+    
+    if (run.status === 'running') {
+      const key = tenantKey(req);
+      activeRuns.set(key, run._id.toString());
+      
+      // Run in the background (in the request's tenant); progress is available via GET /reprocess/:id
+      executeRun(run)
+        .catch(error => console.error('Reprocess run failed:', error))
+        .finally(() => {
+          activeRuns.delete(key);
+        });
+    }
+    
+    res.status(202).json({
+      message: resumeRunId ? 'Reprocess run resumed' : 'Reprocess run started',
+      run: describeRun(run)
+    });
+  } catch (error) {
+    console.error('Error starting reprocess run:', error);
+    res.status(500).json({ error: 'Failed to start reprocess run', details: error.message });
+  }
+}
+
+/**
+ * List recent reprocess runs
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function listReprocessRuns(req, res) {
+  try {
+    const runs = await ReprocessRun.find().sort({ createdAt: -1 }).limit(20);
+    res.json({ success: true, count: runs.length, runs: runs.map(describeRun) });
+  } catch (error) {
+    console.error('Error listing reprocess runs:', error);
+    res.status(500).json({ error: 'Failed to list reprocess runs', details: error.message });
+  }
+}
+
+/**
+ * Get the progress report of a reprocess run
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getReprocessRun(req, res) {
+  try {
+    const run = await ReprocessRun.findById(req.params.id);
+    
+    if (!run) {
+      return res.status(404).json({ error: 'Reprocess run not found' });
+    }
+    
+    res.json(describeRun(run));
+  } catch (error) {
+    console.error('Error fetching reprocess run:', error);
+    res.status(500).json({ error: 'Failed to fetch reprocess run', details: error.message });
+  }
+}
+
+/**
+ * Stop a running reprocess run after the current CV (it can be resumed later)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function cancelReprocessRun(req, res) {
+  try {
+    if (activeRuns.get(tenantKey(req)) !== req.params.id) {
+      return res.status(404).json({ error: 'No active reprocess run with this ID' });
+    }
+    
+    cancelRun(req.params.id);
+    res.json({ message: 'Reprocess run will stop after the current CV', runId: req.params.id });
+  } catch (error) {
+    console.error('Error cancelling reprocess run:', error);
+    res.status(500).json({ error: 'Failed to cancel reprocess run', details: error.message });
+  }
+}
+
+/**
+ * Count CVs per extraction prompt/schema version, to find CVs extracted with old prompts
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getExtractionVersions(req, res) {
+  try {
+    const groups = await CV.aggregate([
+      { $match: { deletedAt: null } },
+      {
+        $group: {
+          _id: {
+            // CVs stored before extractions were recorded only have metadataVersion
+            promptVersion: { $ifNull: ['$extraction.promptVersion', '$metadataVersion'] },
+            schemaVersion: '$extraction.schemaVersion',
+            source: '$metadataSource'
+          },
+          count: { $sum: 1 }
+        }
+      },
+      { $sort: { '_id.promptVersion': -1, '_id.schemaVersion': -1 } }
+    ]);
+    
+    const versions = groups.map(group => ({
+      promptVersion: group._id.promptVersion === undefined ? null : group._id.promptVersion,
+      schemaVersion: group._id.schemaVersion === undefined ? null : group._id.schemaVersion,
+      source: group._id.source || null,
+      count: group.count,
+      current: group._id.promptVersion === ANALYSIS_VERSION && group._id.schemaVersion === EXTRACTION_SCHEMA_VERSION
+    }));
+    
+    res.json({
+      current: { promptVersion: ANALYSIS_VERSION, schemaVersion: EXTRACTION_SCHEMA_VERSION },
+      stale: versions.filter(version => !version.current).reduce((sum, version) => sum + version.count, 0),
+      versions
+    });
+  } catch (error) {
+    console.error('Error fetching extraction versions:', error);
+    res.status(500).json({ error: 'Failed to fetch extraction versions', details: error.message });
+  }
+}
+
+/**
+ * List recent GDPR erasure receipts
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function listErasureReceipts(req, res) {
+  try {
+    const limit = Math.min(parseInt(req.query.limit || '50', 10), 200);
+    const receipts = await ErasureReceipt.find().sort({ erasedAt: -1 }).limit(limit);
+    res.json({ success: true, count: receipts.length, receipts });
+  } catch (error) {
+    console.error('Error listing erasure receipts:', error);
+    res.status(500).json({ error: 'Failed to list erasure receipts', details: error.message });
+  }
+}
+
+/**
+ * Get an erasure receipt
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getErasureReceipt(req, res) {
+  try {
+    const receipt = await ErasureReceipt.findById(req.params.id);
+    
+    if (!receipt) {
+      return res.status(404).json({ error: 'Erasure receipt not found' });
+    }
+    
+    res.json(receipt);
+  } catch (error) {
+    console.error('Error fetching erasure receipt:', error);
+    res.status(500).json({ error: 'Failed to fetch erasure receipt', details: error.message });
+  }
+}
+
+/**
+ * Get the tenant's retention policy and the number of candidates due for erasure
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getRetention(req, res) {
+  try {
+    const { due } = await sweepRetention({ dryRun: true });
+    res.json({ policy: getRetentionPolicy(), due });
+  } catch (error) {
+    console.error('Error fetching retention:', error);
+    res.status(500).json({ error: 'Failed to fetch retention', details: error.message });
+  }
+}
+
+/**
+ * Erase the candidates whose retention period is over now, instead of waiting for the sweeper
+ * @param {Object} req - Express request object (body: dryRun, limit)
+ * @param {Object} res - Express response object
+ */
+async function runRetentionSweep(req, res) {
+  try {
+    const { dryRun = false, limit } = req.body || {};
+    
+    if (dryRun) {
+      return res.json(await sweepRetention({ dryRun: true }));
+    }
+    
+    if (!getRetentionPolicy().enabled) {
+      return res.status(409).json({ error: 'Retention is not enabled for this tenant' });
+    }
+    if (limit !== undefined && (!Number.isInteger(limit) || limit < 1 || limit > 1000)) {
+      return res.status(400).json({ error: 'Invalid limit', details: 'limit must be an integer between 1 and 1000' });
+    }
+    if (activeSweeps.has(tenantKey(req))) {
+      return res.status(409).json({ error: 'A retention sweep is already in progress' });
+    }
+    
+    activeSweeps.add(tenantKey(req));
+    try {
+      res.json(await sweepRetention(limit ? { limit } : {}));
+    } finally {
+      activeSweeps.delete(tenantKey(req));
+    }
+  } catch (error) {
+    console.error('Error running retention sweep:', error);
+    res.status(500).json({ error: 'Failed to run retention sweep', details: error.message });
+  }
+}
+
+/**
+ * Query the audit log, newest first. Older pages are fetched with before=<at of the last entry>.
+ * @param {Object} req - Express request object (query: cvId, actor, action, from, to, before, limit)
+ * @param {Object} res - Express response object
+ */
+async function listAuditEntries(req, res) {
+  try {
+    const { cvId, actor, action, from, to, before } = req.query;
+    
+    if (cvId && !mongoose.isValidObjectId(cvId)) {
+      return res.status(400).json({ error: 'Invalid cvId' });
+    }
+    const actions = action ? String(action).split(',').map(value => value.trim()) : [];
+    const unknown = actions.filter(value => !AUDIT_ACTIONS.includes(value));
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid action',
+        details: `Unknown action(s): ${unknown.join(', ')}. Use: ${AUDIT_ACTIONS.join(', ')}`
+      });
+    }
+    if ([from, to, before].some(value => value && isNaN(Date.parse(value)))) {
+      return res.status(400).json({ error: 'Invalid date', details: 'from, to and before must be dates' });
+    }
+    
+    const conditions = buildAuditConditions({ cvId, actor, action, from, to });
+    if (before) {
+      conditions.at = { ...conditions.at, $lt: new Date(before) };
+    }
+    
+    const limit = Math.min(parseInt(req.query.limit || '50', 10) || 50, 500);
+    const entries = await AuditEntry.find(conditions).sort({ at: -1, _id: -1 }).limit(limit);
+    
+    res.json({
+      success: true,
+      count: entries.length,
+      entries: entries.map(entry => entry.toPublic()),
+      // Pass as before= to get the next page
+      next: entries.length === limit ? entries[entries.length - 1].at : null
+    });
+  } catch (error) {
+    console.error('Error listing audit entries:', error);
+    res.status(500).json({ error: 'Failed to list audit entries', details: error.message });
+  }
+}
+
+module.exports = {
+  startReprocess,
+  listReprocessRuns,
+  getReprocessRun,
+  cancelReprocessRun,
+  getExtractionVersions,
+  listErasureReceipts,
+  getErasureReceipt,
+  getRetention,
+  runRetentionSweep,
+  listAuditEntries
+};
@@ -0,0 +1,81 @@
+const Alert = require('../models/alertModel');
+
+/**
+ * List the caller's inbox alerts, newest first (?unread=true, limit, page)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function listAlerts(req, res) {
+  try {
+    const limit = Math.min(parseInt(req.query.limit || '20', 10), 100);
+    const page = Math.max(parseInt(req.query.page || '1', 10), 1);
+    const conditions = { ownerId: req.user.id, inbox: true };
+    if (req.query.unread === 'true') {
+      conditions.readAt = null;
+    }
+    
+    const [alerts, total, unread] = await Promise.all([
+      Alert.find(conditions).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+      Alert.countDocuments(conditions),
+      Alert.countDocuments({ ownerId: req.user.id, inbox: true, readAt: null })
+    ]);
+    
+    res.json({
+      alerts,
+      unread,
+      pagination: { total, page, limit, pages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    console.error('Error listing alerts:', error);
+    res.status(500).json({ error: 'Failed to list alerts', details: error.message });
+  }
+}
+
+/**
+ * Mark an inbox alert as read
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function markAlertRead(req, res) {
+  try {
+    const alert = await Alert.findOneAndUpdate(
+      { _id: req.params.id, ownerId: req.user.id, inbox: true },
+      { $set: { readAt: new Date() } },
+      { new: true }
+    );
+    
+    if (!alert) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+    
+    res.json({ message: 'Alert marked as read', alert });
+  } catch (error) {
+    console.error('Error marking alert as read:', error);
+    res.status(500).json({ error: 'Failed to mark alert as read', details: error.message });
+  }
+}
+
+/**
+ * Mark all of the caller's inbox alerts as read
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function markAllAlertsRead(req, res) {
+  try {
+    const { modifiedCount } = await Alert.updateMany(
+      { ownerId: req.user.id, inbox: true, readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+    
+    res.json({ message: 'Alerts marked as read', count: modifiedCount });
+  } catch (error) {
+    console.error('Error marking alerts as read:', error);
+    res.status(500).json({ error: 'Failed to mark alerts as read', details: error.message });
+  }
+}
+
+module.exports = {
+  listAlerts,
+  markAlertRead,
+  markAllAlertsRead
+};
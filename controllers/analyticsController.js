@@ -0,0 +1,227 @@
+const config = require('../config/config');
+const {
+  TREND_INTERVALS,
+  DEMAND_SOURCES,
+  listBuckets,
+  defaultTrendStart,
+  getSkillTrends: buildSkillTrends,
+  getExperienceDistribution: buildExperienceDistribution,
+  getTitleDistribution: buildTitleDistribution,
+  getSkillCooccurrence: buildSkillCooccurrence,
+  getSkillGaps: buildSkillGaps
+} = require('../utils/analytics');
+
+// Ways to rank skill pairs
+const COOCCURRENCE_SORTS = ['count', 'jaccard', 'lift'];
+
+/**
+ * Read an integer query parameter
+ * @param {*} value - Raw value
+ * @param {number} fallback - Value when the parameter is missing
+ * @param {number} min - Smallest allowed value
+ * @param {number} max - Largest allowed value
+ * @returns {number} - The value, or NaN when it is not an integer in range
+ */
+function readInteger(value, fallback, min, max) {
+  if (value === undefined || value === '') {
+    return fallback;
+  }
+  const number = Number(value);
+  return Number.isInteger(number) && number >= min && number <= max ? number : NaN;
+}
+
+/**
+ * Read a comma-separated list query parameter
+ * @param {*} value - Raw value (string or repeated parameter)
+ * @returns {string[]}
+ */
+function readList(value) {
+  const values = Array.isArray(value) ? value : (value === undefined ? [] : String(value).split(','));
+  return values.map(item => String(item).trim()).filter(Boolean);
+}
+
+/**
+ * Read the parameters that narrow the candidate pool (from, to, skills)
+ * @param {Object} query - Request query
+ * @returns {Object} - { pool: { from, to, skills } } or { error }
+ */
+function readPoolParams({ from, to, skills }) {
+  if ([from, to].some(value => value && isNaN(Date.parse(value)))) {
+    return { error: 'from and to must be dates' };
+  }
+  
+  return {
+    pool: {
+      from: from ? new Date(from) : undefined,
+      to: to ? new Date(to) : undefined,
+      skills: readList(skills)
+    }
+  };
+}
+
+/**
+ * Top skills per time bucket of upload (?interval=month&from=&to=&top=10&skills=)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getSkillTrends(req, res) {
+  try {
+    const { interval = 'month' } = req.query;
+    const { pool, error } = readPoolParams(req.query);
+    const top = readInteger(req.query.top, 10, 1, 100);
+    
+    if (error) {
+      return res.status(400).json({ error: 'Invalid period', details: error });
+    }
+    if (!TREND_INTERVALS.includes(interval)) {
+      return res.status(400).json({ error: 'Invalid interval', details: `interval must be one of: ${TREND_INTERVALS.join(', ')}` });
+    }
+    if (Number.isNaN(top)) {
+      return res.status(400).json({ error: 'Invalid top', details: 'top must be between 1 and 100' });
+    }
+    
+    const to = pool.to || new Date();
+    const from = pool.from || defaultTrendStart(interval, to);
+    if (from > to) {
+      return res.status(400).json({ error: 'Invalid period', details: 'from must be before to' });
+    }
+    if (listBuckets(interval, from, to).length > config.analytics.maxBuckets) {
+      return res.status(400).json({
+        error: 'Period too long',
+        details: `A trend has at most ${config.analytics.maxBuckets} buckets; use a longer interval or a shorter period`
+      });
+    }
+    
+    const report = await buildSkillTrends({ interval, from: pool.from, to: pool.to, top, skills: pool.skills });
+    res.json({ success: true, ...report });
+  } catch (error) {
+    console.error('Error computing skill trends:', error);
+    res.status(500).json({ error: 'Failed to compute skill trends', details: error.message });
+  }
+}
+
+/**
+ * Histogram of years of experience (?bucketSize=2&max=30&from=&to=&skills=)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getExperienceDistribution(req, res) {
+  try {
+    const { pool, error } = readPoolParams(req.query);
+    const bucketSize = readInteger(req.query.bucketSize, 2, 1, 50);
+    const max = readInteger(req.query.max, 30, 1, 100);
+    
+    if (error) {
+      return res.status(400).json({ error: 'Invalid period', details: error });
+    }
+    if (Number.isNaN(bucketSize) || Number.isNaN(max) || max < bucketSize) {
+      return res.status(400).json({
+        error: 'Invalid buckets',
+        details: 'bucketSize must be between 1 and 50 and max between bucketSize and 100'
+      });
+    }
+    
+    const report = await buildExperienceDistribution({ bucketSize, max, ...pool });
+    res.json({ success: true, ...report });
+  } catch (error) {
+    console.error('Error computing experience distribution:', error);
+    res.status(500).json({ error: 'Failed to compute experience distribution', details: error.message });
+  }
+}
+
+/**
+ * Most common job titles (?limit=20&from=&to=&skills=)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getTitleDistribution(req, res) {
+  try {
+    const { pool, error } = readPoolParams(req.query);
+    const limit = readInteger(req.query.limit, 20, 1, 200);
+    
+    if (error) {
+      return res.status(400).json({ error: 'Invalid period', details: error });
+    }
+    if (Number.isNaN(limit)) {
+      return res.status(400).json({ error: 'Invalid limit', details: 'limit must be between 1 and 200' });
+    }
+    
+    const report = await buildTitleDistribution({ limit, ...pool });
+    res.json({ success: true, ...report });
+  } catch (error) {
+    console.error('Error computing job title distribution:', error);
+    res.status(500).json({ error: 'Failed to compute job title distribution', details: error.message });
+  }
+}
+
+/**
+ * Skills that appear together on CVs (?skill=&limit=20&minCount=2&sortBy=count&from=&to=)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getSkillCooccurrence(req, res) {
+  try {
+    const { skill, sortBy = 'count' } = req.query;
+    const { pool, error } = readPoolParams(req.query);
+    const limit = readInteger(req.query.limit, 20, 1, 200);
+    const minCount = readInteger(req.query.minCount, 2, 1, Number.MAX_SAFE_INTEGER);
+    
+    if (error) {
+      return res.status(400).json({ error: 'Invalid period', details: error });
+    }
+    if (Number.isNaN(limit) || Number.isNaN(minCount)) {
+      return res.status(400).json({ error: 'Invalid limit', details: 'limit must be between 1 and 200 and minCount at least 1' });
+    }
+    if (!COOCCURRENCE_SORTS.includes(sortBy)) {
+      return res.status(400).json({ error: 'Invalid sortBy', details: `sortBy must be one of: ${COOCCURRENCE_SORTS.join(', ')}` });
+    }
+    
+    const report = await buildSkillCooccurrence({
+      skill: skill ? String(skill).trim() : undefined,
+      limit,
+      minCount,
+      sortBy,
+      from: pool.from,
+      to: pool.to
+    });
+    res.json({ success: true, ...report });
+  } catch (error) {
+    console.error('Error computing skill co-occurrence:', error);
+    res.status(500).json({ error: 'Failed to compute skill co-occurrence', details: error.message });
+  }
+}
+
+/**
+ * Skill demand from jobs and searches compared with supply in the pool (?sources=&days=&limit=20)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getSkillGaps(req, res) {
+  try {
+    const sources = req.query.sources === undefined ? DEMAND_SOURCES : readList(req.query.sources);
+    const days = readInteger(req.query.days, config.analytics.searchDays, 1, 3650);
+    const limit = readInteger(req.query.limit, 20, 1, 200);
+    const unknown = sources.filter(source => !DEMAND_SOURCES.includes(source));
+    
+    if (sources.length === 0 || unknown.length > 0) {
+      return res.status(400).json({ error: 'Invalid sources', details: `sources must be a list of: ${DEMAND_SOURCES.join(', ')}` });
+    }
+    if (Number.isNaN(days) || Number.isNaN(limit)) {
+      return res.status(400).json({ error: 'Invalid parameters', details: 'days must be between 1 and 3650 and limit between 1 and 200' });
+    }
+    
+    const report = await buildSkillGaps({ sources: [...new Set(sources)].sort(), days, limit });
+    res.json({ success: true, ...report });
+  } catch (error) {
+    console.error('Error computing skill gaps:', error);
+    res.status(500).json({ error: 'Failed to compute skill gaps', details: error.message });
+  }
+}
+
+module.exports = {
+  getSkillTrends,
+  getExperienceDistribution,
+  getTitleDistribution,
+  getSkillCooccurrence,
+  getSkillGaps
+};
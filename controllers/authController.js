@@ -0,0 +1,267 @@
+const User = require('../models/userModel');
+const ApiKey = require('../models/apiKeyModel');
+const { ROLES, getActorName, hashPassword, verifyPassword, generateApiKey, signToken } = require('../utils/auth');
+const { runWithoutTenant } = require('../utils/tenantScope');
+
+const MIN_PASSWORD_LENGTH = 10;
+
+// Compared against when the email is unknown, so response times do not reveal which accounts exist
+const DUMMY_PASSWORD_HASH = 'scrypt$00000000000000000000000000000000$' + '0'.repeat(128);
+
+/**
+ * Validate role and password fields of a user or API key request
+ * @param {Object} fields - { role, password }
+ * @returns {string|null} - Error message, or null when valid
+ */
+function validateAccountFields({ role, password }) {
+  if (role !== undefined && !ROLES.includes(role)) {
+    return `role must be one of: ${ROLES.join(', ')}`;
+  }
+  if (password !== undefined && (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH)) {
+    return `password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
+
+/**
+ * Sign in with email and password
+ * @param {Object} req - Express request object (body: email, password)
+ * @param {Object} res - Express response object
+ */
+async function login(req, res) {
+  try {
+    const { email, password } = req.body || {};
+    
+    if (typeof email !== 'string' || typeof password !== 'string') {
+      return res.status(400).json({ error: 'email and password are required' });
+    }
+    
+    const user = await User.findOne({ email: email.trim().toLowerCase(), active: true });
+    const valid = await verifyPassword(password, user ? user.passwordHash : DUMMY_PASSWORD_HASH);
+    
+    if (!user || !valid) {
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+    
+    user.lastLoginAt = new Date();
+    await user.save();
+    
+    const { token, expiresAt } = signToken({ sub: user._id.toString(), role: user.role });
+    
+    res.json({ token, expiresAt, user: user.toPublic() });
+  } catch (error) {
+    console.error('Error signing in:', error);
+    res.status(500).json({ error: 'Failed to sign in', details: error.message });
+  }
+}
+
+/**
+ * Get the authenticated user or API key and the tenant it acts in
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getCurrentUser(req, res) {
+  const tenant = req.tenant && { id: req.tenant.id, slug: req.tenant.slug, name: req.tenant.name };
+  res.json({ user: req.user, tenant });
+}
+
+/**
+ * List users
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function listUsers(req, res) {
+  try {
+    const users = await User.find().sort({ email: 1 });
+    res.json({ users: users.map(user => user.toPublic()) });
+  } catch (error) {
+    console.error('Error listing users:', error);
+    res.status(500).json({ error: 'Failed to list users', details: error.message });
+  }
+}
+
+/**
+ * Create a user
+ * @param {Object} req - Express request object (body: email, password, name, role)
+ * @param {Object} res - Express response object
+ */
+async function createUser(req, res) {
+  try {
+    const { email, password, name, role = 'viewer' } = req.body || {};
+    
+    if (typeof email !== 'string' || !email.includes('@')) {
+      return res.status(400).json({ error: 'A valid email is required' });
+    }
+    
+    const validationError = validateAccountFields({ role, password: password === undefined ? '' : password });
+    if (validationError) {
+      return res.status(400).json({ error: 'Invalid user', details: validationError });
+    }
+    
+    // Emails identify users at sign-in, so they are unique across tenants
+    if (await runWithoutTenant(() => User.exists({ email: email.trim().toLowerCase() }))) {
+      return res.status(409).json({ error: 'A user with this email already exists' });
+    }
+    
+    const user = await User.create({ email, name, role, passwordHash: await hashPassword(password) });
+    
+    res.status(201).json({ message: 'User created', user: user.toPublic() });
+  } catch (error) {
+    console.error('Error creating user:', error);
+    res.status(500).json({ error: 'Failed to create user', details: error.message });
+  }
+}
+
+/**
+ * Update a user's name, role, active flag or password
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function updateUser(req, res) {
+  try {
+    const { name, role, active, password } = req.body || {};
+    
+    const validationError = validateAccountFields({ role, password });
+    if (validationError) {
+      return res.status(400).json({ error: 'Invalid user', details: validationError });
+    }
+    
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    // Keep at least one way to administer the system
+    if (req.user && req.user.id === user._id.toString() && ((role && role !== 'admin') || active === false)) {
+      return res.status(400).json({ error: 'You cannot remove your own admin access' });
+    }
+    
+    if (name !== undefined) user.name = name;
+    if (role !== undefined) user.role = role;
+    if (active !== undefined) user.active = Boolean(active);
+    if (password !== undefined) user.passwordHash = await hashPassword(password);
+    await user.save();
+    
+    res.json({ message: 'User updated', user: user.toPublic() });
+  } catch (error) {
+    console.error('Error updating user:', error);
+    res.status(500).json({ error: 'Failed to update user', details: error.message });
+  }
+}
+
+/**
+ * Delete a user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function deleteUser(req, res) {
+  try {
+    if (req.user && req.user.id === req.params.id) {
+      return res.status(400).json({ error: 'You cannot delete your own account' });
+    }
+    
+    const user = await User.findByIdAndDelete(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    res.json({ message: 'User deleted', id: user._id });
+  } catch (error) {
+    console.error('Error deleting user:', error);
+    res.status(500).json({ error: 'Failed to delete user', details: error.message });
+  }
+}
+
+/**
+ * List API keys (without the keys themselves)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function listApiKeys(req, res) {
+  try {
+    const apiKeys = await ApiKey.find().sort({ createdAt: -1 });
+    res.json({ apiKeys: apiKeys.map(apiKey => apiKey.toPublic()) });
+  } catch (error) {
+    console.error('Error listing API keys:', error);
+    res.status(500).json({ error: 'Failed to list API keys', details: error.message });
+  }
+}
+
+/**
+ * Create an API key. The key is only returned in this response.
+ * @param {Object} req - Express request object (body: name, role, expiresAt)
+ * @param {Object} res - Express response object
+ */
+async function createApiKey(req, res) {
+  try {
+    const { name, role = 'viewer', expiresAt } = req.body || {};
+    
+    if (typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({ error: 'name is required' });
+    }
+    
+    const validationError = validateAccountFields({ role });
+    if (validationError) {
+      return res.status(400).json({ error: 'Invalid API key', details: validationError });
+    }
+    
+    if (expiresAt !== undefined && Number.isNaN(new Date(expiresAt).getTime())) {
+      return res.status(400).json({ error: 'Invalid API key', details: 'expiresAt must be a date' });
+    }
+    
+    const { key, prefix, keyHash } = generateApiKey();
+    const apiKey = await ApiKey.create({
+      name: name.trim(),
+      role,
+      prefix,
+      keyHash,
+      expiresAt: expiresAt ? new Date(expiresAt) : undefined,
+      createdBy: getActorName(req.user)
+    });
+    
+    res.status(201).json({
+      message: 'API key created. Store the key now, it cannot be shown again.',
+      key,
+      apiKey: apiKey.toPublic()
+    });
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    res.status(500).json({ error: 'Failed to create API key', details: error.message });
+  }
+}
+
+/**
+ * Revoke an API key
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function revokeApiKey(req, res) {
+  try {
+    const apiKey = await ApiKey.findOneAndUpdate(
+      { _id: req.params.id, revokedAt: null },
+      { revokedAt: new Date() },
+      { new: true }
+    );
+    
+    if (!apiKey) {
+      return res.status(404).json({ error: 'API key not found or already revoked' });
+    }
+    
+    res.json({ message: 'API key revoked', apiKey: apiKey.toPublic() });
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    res.status(500).json({ error: 'Failed to revoke API key', details: error.message });
+  }
+}
+
+module.exports = {
+  login,
+  getCurrentUser,
+  listUsers,
+  createUser,
+  updateUser,
+  deleteUser,
+  listApiKeys,
+  createApiKey,
+  revokeApiKey
+};
@@ -0,0 +1,86 @@
+const Batch = require('../models/batchModel');
+const { expandUploads, removeUploadedFiles } = require('../utils/archive');
+const { enqueueBatch } = require('../utils/ingestQueue');
+const { recordAudit } = require('../utils/audit');
+
+/**
+ * Accept many CVs (individual files and/or ZIP archives) and queue them for processing
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function createBatch(req, res) {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ error: 'No files uploaded' });
+    }
+    
+    let expanded;
+    try {
+      expanded = expandUploads(req.files);
+    } finally {
+      // The accepted files are in memory now; the temporary files are not needed any more
+      await removeUploadedFiles(req.files);
+    }
+    const { files, skipped } = expanded;
+    
+    if (files.length === 0 && skipped.length === 0) {
+      return res.status(400).json({ error: 'No CV files found in the upload' });
+    }
+    
+    const batch = await enqueueBatch(files, skipped);
+    // CV IDs are only known once the files are processed; the batch lists them
+    recordAudit(req, 'create', { details: { batchId: batch._id, files: files.length } });
+    
+    res.status(202).json({
+      message: 'CVs queued for processing',
+      batchId: batch._id,
+      status: batch.status,
+      counts: batch.getCounts(),
+      statusUrl: `${req.baseUrl}/batches/${batch._id}`
+    });
+  } catch (error) {
+    console.error('Error in bulk CV upload:', error);
+    res.status(500).json({ error: 'Failed to queue CVs', details: error.message });
+  }
+}
+
+/**
+ * Get the status of a bulk upload batch with per-file results
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getBatchById(req, res) {
+  try {
+    const batch = await Batch.findById(req.params.id);
+    
+    if (!batch) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+    
+    res.json({
+      id: batch._id,
+      status: batch.status,
+      counts: batch.getCounts(),
+      createdAt: batch.createdAt,
+      completedAt: batch.completedAt,
+      files: batch.files.map(file => ({
+        id: file._id,
+        filename: file.filename,
+        archive: file.archive,
+        status: file.status,
+        cvId: file.cvId,
+        attempts: file.attempts,
+        warnings: file.warnings,
+        error: file.error
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching batch:', error);
+    res.status(500).json({ error: 'Failed to fetch batch', details: error.message });
+  }
+}
+
+module.exports = {
+  createBatch,
+  getBatchById
+};
@@ -1,67 +1,101 @@
+const mongoose = require('mongoose');
 const CV = require('../models/cvModel');
-const { parsePDF, extractMetadata } = require('../utils/cvParser');
-const { generateEmbeddings, analyzeCV } = require('../utils/openaiService');
+const { generateEmbeddings } = require('../utils/openaiService');
+const { processCVFile, EMBEDDING_WARNING, FILE_STORAGE_WARNING } = require('../utils/ingestPipeline');
+const config = require('../config/config');
+const { buildVectorSearchStages } = require('../utils/vectorSearch');
+const { reciprocalRankFusion } = require('../utils/rankFusion');
+const { getCandidateId, mergeCandidates, unmergeCV: detachCV } = require('../utils/candidateVersions');
+const { softDeleteCandidate, restoreCandidate, eraseCandidate } = require('../utils/cvLifecycle');
+const { openStoredFile } = require('../utils/storage');
+const { normalizeSkills } = require('../utils/skillTaxonomy');
+const { hasRole, getActorName } = require('../utils/auth');
+const { buildFilterConditions, buildTextSearchQuery, validateCustomFilters, validateSearchQuery } = require('../utils/searchFilters');
+const { emitEvent } = require('../utils/events');
+const { normalizeExplainOptions, explainResults } = require('../utils/searchExplain');
+const { createRedactor, createRedactors, blindView } = require('../utils/pii');
+const { recordAudit, describeSearch } = require('../utils/audit');
+const { MAX_COMPARED_CVS, resolveJob, compareCVs: buildComparison } = require('../utils/cvComparison');
+const { selectColumns, findExportCVs, fetchRankedCVs, streamExport } = require('../utils/cvExport');
+const { getExporter, getExportFormats } = require('../utils/exporters');
+
+// Metadata fields recruiters may correct, with the expected value type
+const CORRECTABLE_FIELDS = {
+  skills: 'strings',
+  jobTitles: 'strings',
+  education: 'strings',
+  experience: 'number',
+  location: 'string',
+  workHistory: 'objects',
+  educationHistory: 'objects',
+  languages: 'objects',
+  certifications: 'objects',
+  links: 'object',
+  contactDetails: 'contact'
+};
 
 /**
  * Upload and process a new CV
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
  */
-async function uploadCV(req, res) {
+async function uploadCV(req, res, next) {
+  let cvId = null;
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No file uploaded' });
     }
 
-    // Parse the PDF file
-    const textContent = await parsePDF(req.file.buffer);
-    
-    // Generate embeddings for the CV text
-    let embedding = [];
-    try {
-      embedding = await generateEmbeddings(textContent);
-    } catch (error) {
-      console.error('Embedding generation failed:', error.message);
-      // Continue without embeddings - this will affect search but still allow uploads
-      console.warn('Continuing without embeddings - vector search will not work for this document');
-    }
-    
-    // Extract metadata - try AI analysis first, fall back to rule-based
-    let metadata;
-    try {
-      const aiAnalysis = await analyzeCV(textContent);
-      metadata = aiAnalysis || extractMetadata(textContent);
-    } catch (error) {
-      console.error('AI analysis failed, using rule-based extraction:', error);
-      metadata = extractMetadata(textContent);
-    }
-
-    // Create and save the CV document
-    const cv = new CV({
-      filename: req.file.originalname,
-      originalName: req.file.originalname,
-      content: textContent,
-      embeddings: embedding,
-      metadata: metadata
-    });
-
-    await cv.save();
+    // The events name the file, so they carry the ID the CV is saved under and are erased with it
+    cvId = new mongoose.Types.ObjectId();
+    emitEvent('cv.uploaded', { cvId, originalName: req.file.originalname, mimeType: req.file.mimetype, size: req.file.size });
+    const { cv, extractionWarnings, embeddingsGenerated, fileStored, duplicate } = await processCVFile(req.file, { cvId });
+    recordAudit(req, 'create', { cvIds: [cv._id] });
     
     const response = { 
       message: 'CV uploaded and processed successfully', 
       id: cv._id,
+      candidateId: cv.candidateId,
+      version: cv.version,
       metadata: cv.metadata
     };
     
+    // Report when the CV was linked to an existing candidate
+    if (duplicate) {
+      response.duplicate = {
+        matchedCvId: duplicate.cv._id,
+        matchedBy: duplicate.matchedBy,
+        similarity: duplicate.similarity
+      };
+    }
+    
     // Add warning if embeddings could not be generated
-    if (embedding.length === 0) {
-      response.warning = 'Embeddings could not be generated. This CV will not appear in vector searches.';
+    if (!embeddingsGenerated) {
+      response.warning = EMBEDDING_WARNING;
+    }
+    
+    if (!fileStored) {
+      response.storageWarning = FILE_STORAGE_WARNING;
+    }
+    
+    if (extractionWarnings.length > 0) {
+      response.extractionWarnings = extractionWarnings;
     }
     
     res.status(201).json(response);
   } catch (error) {
+    if (req.file) {
+      emitEvent('cv.failed', { cvId, originalName: req.file.originalname, error: error.message });
+    }
+    
+    // Unsupported formats are reported by the global error handler
+    if (error.code === 'UNSUPPORTED_FILE_TYPE') {
+      return next(error);
+    }
+    
     console.error('Error in CV upload:', error);
-    res.status(500).json({ error: 'Failed to process CV', details: error.message });
+    res.status(error.statusCode || 500).json({ error: 'Failed to process CV', details: error.message });
   }
 }
 
@@ -79,7 +113,10 @@ async function searchCVs(req, res) {
       filters = {}, 
       sortBy = 'relevance',
       sortOrder = 'desc',
-      searchType = 'auto' // 'auto', 'vector', 'text'
+      searchType = 'auto', // 'auto', 'vector', 'text', 'hybrid'
+      hybrid = {}, // Optional overrides: { vectorWeight, textWeight, k }
+      explain = false, // true, or { snippets, passage, filters, summary }
+      blind = false // Blind screening: personal data is removed from results and explanations
     } = req.body;
     
     if (!query && Object.keys(filters).length === 0) {
@@ -89,119 +126,66 @@ async function searchCVs(req, res) {
       });
     }
     
+    if (searchType === 'hybrid' && !query) {
+      return res.status(400).json({ 
+        error: 'Hybrid search requires a query',
+        message: 'Please provide a search query or use searchType "text" for filter-only searches'
+      });
+    }
+    
+    // Viewers cannot filter or search on contact details, which would reveal them one guess at a time
+    const redacted = !hasRole(req.user, 'recruiter');
+    const queryErrors = validateSearchQuery(query, { redacted });
+    if (queryErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid query', details: queryErrors });
+    }
+    const filterErrors = validateCustomFilters(filters.custom, { redacted });
+    if (filterErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid filters', details: filterErrors });
+    }
+    
     const skip = (page - 1) * limit;
-    let results = [];
-    let total = 0;
-    let searchMethod = '';
-    
-    // Build the filter conditions
-    const filterConditions = buildFilterConditions(filters);
-    
-    // Determine if we should try vector search
-    const useVectorSearch = searchType === 'auto' || searchType === 'vector';
-    const useTextSearch = searchType === 'auto' || searchType === 'text';
-    
-    // Try vector search if requested and a query is provided
-    if (useVectorSearch && query) {
-      try {
-        // Generate embeddings for the search query
-        const queryEmbedding = await generateEmbeddings(query);
-        
-        // Build the aggregation pipeline
-        const pipeline = [
-          {
-            "$vectorSearch": {
-              "queryVector": queryEmbedding,
-              "path": "embeddings",
-              "numCandidates": Math.max(100, limit * 3),
-              "limit": limit * 5, // Get more results than needed for post-filtering
-              "index": "vectorIndex"
-            }
-          }
-        ];
-        
-        // Add match stage for filters if any
-        if (Object.keys(filterConditions).length > 0) {
-          pipeline.push({ $match: filterConditions });
-        }
-        
-        // Add sorting stage (relevance is default for vector search)
-        if (sortBy !== 'relevance') {
-          const sortStage = buildSortStage(sortBy, sortOrder);
-          pipeline.push(sortStage);
-        }
-        
-        // Add pagination
-        pipeline.push({ $skip: skip });
-        pipeline.push({ $limit: limit });
-        
-        // Add projection to remove large fields
-        pipeline.push({
-          $project: {
-            content: 0,
-            embeddings: 0
-          }
-        });
-        
-        // Execute vector search
-        results = await CV.aggregate(pipeline);
-        
-        // Get total count (in a separate query to not affect the main results)
-        const countPipeline = [...pipeline];
-        countPipeline.pop(); // Remove the projection
-        countPipeline.pop(); // Remove the limit
-        countPipeline.pop(); // Remove the skip
-        countPipeline.push({ $count: 'total' });
-        const totalCountResult = await CV.aggregate(countPipeline);
-        total = totalCountResult.length > 0 ? totalCountResult[0].total : results.length;
-        
-        searchMethod = 'vector';
-      } catch (error) {
-        console.error('Vector search failed:', error.message);
-        
-        // Only throw if vector search was explicitly requested
-        if (searchType === 'vector') {
-          throw new Error('Vector search failed: ' + error.message);
-        }
-        
-        // Otherwise, fall back to text search if auto mode
-        if (searchType === 'auto') {
-          console.log('Falling back to text search...');
-        }
-      }
+    let { results, total, searchMethod, queryEmbedding } = await runSearch({
+      query,
+      filters,
+      searchType,
+      hybrid,
+      sortBy,
+      sortOrder,
+      skip,
+      limit
+    });
+    
+    // Blind results are redacted with the candidate's name, which is found in the CV text
+    let redactors = null;
+    if (isBlind(blind) && results.length > 0) {
+      const cvs = await CV.find({ _id: { $in: results.map(result => result._id) } }).select('content').lean();
+      redactors = await createRedactors(cvs);
     }
     
-    // If vector search failed or wasn't attempted, use text search
-    if ((useTextSearch && results.length === 0) || searchType === 'text') {
-      let textSearchQuery = {};
-      
-      if (query) {
-        // Add text search conditions
-        textSearchQuery = buildTextSearchQuery(query);
-      }
-      
-      // Combine text search with filters
-      const finalQuery = Object.keys(filterConditions).length > 0 
-        ? { $and: [textSearchQuery, filterConditions] }
-        : textSearchQuery;
-      
-      // Create sort options
-      const sortOptions = buildSortOptions(sortBy, sortOrder);
-      
-      // Execute the text search query
-      results = await CV.find(finalQuery)
-        .sort(sortOptions)
-        .select('-content -embeddings')
-        .skip(skip)
-        .limit(limit)
-        .lean();
-      
-      // Get total count
-      total = await CV.countDocuments(finalQuery);
-      
-      searchMethod = 'text';
+    // Explanations derived from the CV text are only shown to roles that may read it
+    const explainOptions = normalizeExplainOptions(explain);
+    if (explainOptions) {
+      results = await explainResults(results, {
+        query,
+        filters,
+        searchMethod,
+        queryEmbedding,
+        options: explainOptions,
+        includeContent: hasRole(req.user, 'recruiter'),
+        redactors
+      });
     }
     
+    if (redactors) {
+      results = results.map(result => blindView(result, redactors.get(result._id.toString())));
+    }
+    
+    recordAudit(req, 'search', {
+      cvIds: results.map(result => result._id),
+      details: { ...describeSearch({ query, filters }), searchType: searchMethod, page, blind: Boolean(redactors) }
+    });
+    
     // Format and return the results
     res.json({
       success: true,
@@ -210,6 +194,7 @@ async function searchCVs(req, res) {
       page: page,
       totalPages: Math.ceil(total / limit),
       searchMethod: searchMethod,
+      blind: Boolean(redactors),
       query: query,
       filters: filters,
       results: results.map(result => ({
@@ -229,18 +214,461 @@ async function searchCVs(req, res) {
 }
 
 /**
- * Get CV by ID
+ * Compare 2-10 CVs side by side, optionally against a stored job (jobId) or a job description
+ * @param {Object} req - Express request object (body: cvIds, jobId, jobDescription, jobTitle, summary)
+ * @param {Object} res - Express response object
+ */
+async function compareCVs(req, res) {
+  try {
+    const { cvIds, jobId, jobDescription, jobTitle, summary = false } = req.body || {};
+    const ids = Array.isArray(cvIds) ? [...new Set(cvIds.map(String))] : [];
+    
+    if (ids.length < 2 || ids.length > MAX_COMPARED_CVS) {
+      return res.status(400).json({
+        error: 'Invalid cvIds',
+        details: `cvIds must list 2 to ${MAX_COMPARED_CVS} different CV IDs`
+      });
+    }
+    if (ids.some(id => !mongoose.isValidObjectId(id))) {
+      return res.status(400).json({ error: 'Invalid cvIds', details: 'cvIds must be CV IDs' });
+    }
+    if (jobId && jobDescription) {
+      return res.status(400).json({ error: 'Provide either jobId or jobDescription, not both' });
+    }
+    if (jobId !== undefined && !mongoose.isValidObjectId(jobId)) {
+      return res.status(400).json({ error: 'Invalid jobId' });
+    }
+    if (jobDescription !== undefined && (typeof jobDescription !== 'string' || !jobDescription.trim())) {
+      return res.status(400).json({ error: 'Invalid jobDescription', details: 'jobDescription must be a non-empty string' });
+    }
+    if (jobTitle !== undefined && typeof jobTitle !== 'string') {
+      return res.status(400).json({ error: 'Invalid jobTitle', details: 'jobTitle must be a string' });
+    }
+    
+    const found = await CV.find({ _id: { $in: ids }, deletedAt: null }).select('-content -contactKeys').lean();
+    const byId = new Map(found.map(cv => [cv._id.toString(), cv]));
+    const missing = ids.filter(id => !byId.has(id));
+    
+    if (missing.length > 0) {
+      return res.status(404).json({ error: 'CV not found', missing });
+    }
+    
+    let job = null;
+    if (jobId || jobDescription) {
+      job = await resolveJob({ jobId, jobDescription, jobTitle });
+      if (!job) {
+        return res.status(404).json({ error: 'Job description not found' });
+      }
+    }
+    
+    const comparison = await buildComparison(ids.map(id => byId.get(id)), { job, summary: summary === true });
+    
+    recordAudit(req, 'view', { cvIds: ids, details: { view: 'compare', jobId: job ? job.id : undefined } });
+    res.json({ success: true, count: ids.length, ...comparison });
+  } catch (error) {
+    console.error('Error comparing CVs:', error);
+    res.status(500).json({ error: 'Failed to compare CVs', details: error.message });
+  }
+}
+
+/**
+ * Export search results or a list of CVs as CSV, XLSX, NDJSON or a PDF candidate pack.
+ * Takes the search body (query, filters, searchType, hybrid, sortBy, sortOrder) or cvIds,
+ * plus format, columns, blind and limit. The file is streamed as it is built.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function exportCVs(req, res) {
+  try {
+    const {
+      query,
+      filters = {},
+      searchType = 'auto',
+      hybrid = {},
+      sortBy = 'relevance',
+      sortOrder = 'desc',
+      cvIds,
+      format = 'csv',
+      columns: requestedColumns,
+      blind = false,
+      limit = config.export.maxRows
+    } = req.body || {};
+    const blindExport = isBlind(blind);
+    
+    const exporter = getExporter(format);
+    if (!exporter) {
+      return res.status(400).json({
+        error: 'Invalid format',
+        details: `format must be one of: ${getExportFormats().join(', ')}`
+      });
+    }
+    
+    const maxRows = parseInt(limit, 10);
+    if (!Number.isInteger(maxRows) || maxRows < 1 || maxRows > config.export.maxRows) {
+      return res.status(400).json({ error: 'Invalid limit', details: `limit must be between 1 and ${config.export.maxRows}` });
+    }
+    
+    let { columns, unknown } = selectColumns(requestedColumns, exporter.defaultColumns);
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: 'Unknown columns', columns: unknown });
+    }
+    if (blindExport) {
+      // Default columns quietly lose personal fields; requesting them is an error
+      if (requestedColumns === undefined) {
+        columns = columns.filter(column => !column.personal);
+      } else if (columns.some(column => column.personal)) {
+        return res.status(400).json({
+          error: 'Personal columns are not available in blind exports',
+          columns: columns.filter(column => column.personal).map(column => column.key)
+        });
+      }
+    }
+    if (columns.length === 0) {
+      return res.status(400).json({ error: 'No columns to export' });
+    }
+    if (columns.some(column => column.contact) && !hasRole(req.user, 'recruiter')) {
+      return res.status(403).json({ error: 'Contact details can only be exported by recruiters' });
+    }
+    
+    const redacted = !hasRole(req.user, 'recruiter');
+    const queryErrors = validateSearchQuery(query, { redacted });
+    if (queryErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid query', details: queryErrors });
+    }
+    const filterErrors = validateCustomFilters(filters.custom, { redacted });
+    if (filterErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid filters', details: filterErrors });
+    }
+    
+    let items;
+    if (cvIds !== undefined) {
+      const ids = Array.isArray(cvIds) ? [...new Set(cvIds.map(String))] : [];
+      if (ids.length === 0 || ids.length > maxRows || ids.some(id => !mongoose.isValidObjectId(id))) {
+        return res.status(400).json({ error: 'Invalid cvIds', details: `cvIds must list 1 to ${maxRows} CV IDs` });
+      }
+      items = fetchRankedCVs(ids.map(id => ({ _id: id })), { blind: blindExport });
+    } else if (!query && Object.keys(filters).length === 0) {
+      return res.status(400).json({
+        error: 'Export requires cvIds, a query or filters',
+        message: 'Please provide CV IDs, a search query or at least one filter'
+      });
+    } else if (query) {
+      // Ranked searches only keep IDs and scores; the CVs are loaded in batches while exporting
+      const { results } = await runSearch({ query, filters, searchType, hybrid, sortBy, sortOrder, skip: 0, limit: maxRows });
+      const ranked = results.map(result => ({
+        _id: result._id,
+        score: [result.fusedScore, result.vectorScore, result.textScore].find(score => typeof score === 'number')
+      }));
+      items = fetchRankedCVs(ranked, { blind: blindExport });
+    } else {
+      const conditions = { ...CV.searchableConditions(), ...buildFilterConditions(filters) };
+      const sort = sortBy === 'relevance' ? { uploadDate: -1 } : buildSortOptions(sortBy, sortOrder);
+      items = findExportCVs(conditions, { sort, limit: maxRows, blind: blindExport });
+    }
+    
+    const date = new Date().toISOString().slice(0, 10);
+    const { count, cvIds: exportedIds, completed } = await streamExport(res, items, {
+      exporter,
+      columns,
+      blind: blindExport,
+      filename: buildContentDisposition('attachment', `cv-export-${date}.${exporter.extension}`),
+      title: 'Candidate pack'
+    });
+    
+    recordAudit(req, 'export', {
+      cvIds: exportedIds,
+      details: {
+        format: exporter.name,
+        columns: columns.map(column => column.key),
+        count,
+        completed,
+        blind: blindExport,
+        ...(cvIds === undefined ? describeSearch({ query, filters }) : {})
+      }
+    });
+  } catch (error) {
+    console.error('Error exporting CVs:', error);
+    if (!res.headersSent) {
+      res.removeHeader('Content-Disposition');
+      res.status(500).json({ error: 'Failed to export CVs', details: error.message });
+    } else {
+      res.destroy(error);
+    }
+  }
+}
+
+/**
+ * Run a search the way POST /api/cv/search does: hybrid, vector or text search, falling back
+ * to text search when vector search fails in auto mode
+ * @param {Object} params - { query, filters, searchType, hybrid, sortBy, sortOrder, skip, limit }
+ * @returns {Promise<Object>} - { results, total, searchMethod, queryEmbedding } with results without content
+ */
+async function runSearch({ query, filters = {}, searchType = 'auto', hybrid = {}, sortBy, sortOrder, skip, limit }) {
+  const sort = { sortBy, sortOrder };
+  let results = [];
+  let total = 0;
+  let searchMethod = '';
+  let queryEmbedding = null;
+  
+  // Build the filter conditions (older versions of a candidate are never search hits)
+  const filterConditions = { ...CV.searchableConditions(), ...buildFilterConditions(filters) };
+  
+  // Hybrid runs vector and text search in parallel and fuses the rankings
+  const useHybrid = Boolean(query) &&
+    (searchType === 'hybrid' || (searchType === 'auto' && config.search.autoHybrid));
+  
+  if (useHybrid) {
+    ({ results, total, searchMethod, queryEmbedding } = await runHybridSearch(query, filterConditions, {
+      ...sort,
+      skip,
+      limit,
+      weights: { ...config.search.hybrid, ...hybrid }
+    }));
+  }
+  
+  // Determine if we should try vector search on its own
+  const useVectorSearch = !useHybrid && (searchType === 'auto' || searchType === 'vector');
+  const useTextSearch = searchType === 'auto' || searchType === 'text';
+  
+  // Try vector search if requested and a query is provided
+  if (useVectorSearch && query) {
+    try {
+      // Generate embeddings for the search query
+      queryEmbedding = await generateEmbeddings(query);
+      
+      ({ results, total } = await runVectorSearch(queryEmbedding, filterConditions, {
+        ...sort,
+        skip,
+        limit,
+        withTotal: true
+      }));
+      
+      searchMethod = 'vector';
+    } catch (error) {
+      console.error('Vector search failed:', error.message);
+      
+      // Only throw if vector search was explicitly requested
+      if (searchType === 'vector') {
+        throw new Error('Vector search failed: ' + error.message);
+      }
+      
+      // Otherwise, fall back to text search if auto mode
+      if (searchType === 'auto') {
+        console.log('Falling back to text search...');
+      }
+    }
+  }
+  
+  // If vector search failed or wasn't attempted, use text search
+  if ((useTextSearch && !useHybrid && results.length === 0) || searchType === 'text') {
+    ({ results, total } = await runTextSearch(query, filterConditions, {
+      ...sort,
+      skip,
+      limit,
+      withTotal: true
+    }));
+    
+    searchMethod = 'text';
+  }
+  
+  return { results, total, searchMethod, queryEmbedding };
+}
+
+/**
+ * Run a vector search with filters, sorting and pagination
+ * @param {number[]} queryEmbedding - Embedding of the search query
+ * @param {Object} filterConditions - MongoDB filter conditions
+ * @param {Object} options - { sortBy, sortOrder, skip, limit, withTotal }
+ * @returns {Promise<Object>} - { results, total } with a vectorScore on each result
+ */
+async function runVectorSearch(queryEmbedding, filterConditions, { sortBy, sortOrder, skip, limit, withTotal }) {
+  // Get more results than needed for post-filtering
+  const basePipeline = await buildVectorSearchStages(queryEmbedding, (skip + limit) * 5);
+  
+  // Add match stage for filters if any
+  if (Object.keys(filterConditions).length > 0) {
+    basePipeline.push({ $match: filterConditions });
+  }
+  
+  const pipeline = [...basePipeline];
+  
+  // Add sorting stage (relevance is default for vector search)
+  if (sortBy !== 'relevance') {
+    pipeline.push(buildSortStage(sortBy, sortOrder));
+  }
+  
+  // Add pagination
+  pipeline.push({ $skip: skip });
+  pipeline.push({ $limit: limit });
+  
+  // Add projection to remove large fields
+  pipeline.push({
+    $project: {
+      content: 0,
+      embeddings: 0
+    }
+  });
+  
+  // Execute vector search
+  const results = await CV.aggregate(pipeline);
+  
+  if (!withTotal) {
+    return { results, total: results.length };
+  }
+  
+  // Get total count (in a separate query to not affect the main results)
+  const totalCountResult = await CV.aggregate([...basePipeline, { $count: 'total' }]);
+  const total = totalCountResult.length > 0 ? totalCountResult[0].total : results.length;
+  
+  return { results, total };
+}
+
+/**
+ * Run a text (or filter-only) search with sorting and pagination
+ * @param {string} query - User's search query (may be empty for filter-only searches)
+ * @param {Object} filterConditions - MongoDB filter conditions
+ * @param {Object} options - { sortBy, sortOrder, skip, limit, withTotal }
+ * @returns {Promise<Object>} - { results, total } with a textScore on each result when the text index was used
+ */
+async function runTextSearch(query, filterConditions, { sortBy, sortOrder, skip, limit, withTotal }) {
+  // Add text search conditions
+  const textSearchQuery = query ? buildTextSearchQuery(query) : {};
+  const usesTextIndex = Boolean(textSearchQuery.$text);
+  
+  // Combine text search with filters
+  const finalQuery = Object.keys(filterConditions).length > 0 
+    ? { $and: [textSearchQuery, filterConditions] }
+    : textSearchQuery;
+  
+  // Relevance can only be sorted by text score when the text index was used
+  const sortOptions = sortBy === 'relevance' && !usesTextIndex
+    ? { uploadDate: -1 }
+    : buildSortOptions(sortBy, sortOrder);
+  
+  const projection = { content: 0, embeddings: 0 };
+  if (usesTextIndex) {
+    projection.textScore = { $meta: 'textScore' };
+  }
+  
+  // Execute the text search query
+  const results = await CV.find(finalQuery)
+    .sort(sortOptions)
+    .select(projection)
+    .skip(skip)
+    .limit(limit)
+    .lean();
+  
+  // Get total count
+  const total = withTotal ? await CV.countDocuments(finalQuery) : results.length;
+  
+  return { results, total };
+}
+
+/**
+ * Run vector and text search in parallel and fuse them with reciprocal rank fusion
+ * @param {string} query - User's search query
+ * @param {Object} filterConditions - MongoDB filter conditions
+ * @param {Object} options - { sortBy, sortOrder, skip, limit, weights: { vectorWeight, textWeight, k, candidates } }
+ * @returns {Promise<Object>} - { results, total, searchMethod, queryEmbedding }
+ */
+async function runHybridSearch(query, filterConditions, { sortBy, sortOrder, skip, limit, weights }) {
+  // Both searches return relevance-ordered candidates; pagination happens after fusion
+  const candidates = Math.max(weights.candidates, skip + limit);
+  const candidateOptions = { sortBy: 'relevance', sortOrder: 'desc', skip: 0, limit: candidates, withTotal: false };
+  
+  const [vectorOutcome, textOutcome] = await Promise.allSettled([
+    generateEmbeddings(query).then(async queryEmbedding => ({
+      ...await runVectorSearch(queryEmbedding, filterConditions, candidateOptions),
+      queryEmbedding
+    })),
+    runTextSearch(query, filterConditions, candidateOptions)
+  ]);
+  
+  const vectorError = vectorOutcome.status === 'rejected' ? vectorOutcome.reason : null;
+  const textError = textOutcome.status === 'rejected' ? textOutcome.reason : null;
+  
+  if (vectorError && textError) {
+    throw new Error('Hybrid search failed: ' + vectorError.message);
+  }
+  if (vectorError) {
+    // Continue with the text ranking only
+    console.error('Vector search failed:', vectorError.message);
+  }
+  if (textError) {
+    console.error('Text search failed:', textError.message);
+  }
+  
+  const vectorResults = vectorError ? [] : vectorOutcome.value.results;
+  const textResults = textError ? [] : textOutcome.value.results;
+  
+  let fused = reciprocalRankFusion([
+    { name: 'vector', results: vectorResults, weight: Number(weights.vectorWeight), scoreField: 'vectorScore' },
+    { name: 'text', results: textResults, weight: Number(weights.textWeight), scoreField: 'textScore' }
+  ], { k: Number(weights.k) });
+  
+  if (sortBy !== 'relevance') {
+    fused = sortResults(fused, sortBy, sortOrder);
+  }
+  
+  let searchMethod = 'hybrid';
+  if (textResults.length === 0) {
+    searchMethod = 'vector';
+  } else if (vectorResults.length === 0) {
+    searchMethod = 'text';
+  }
+  
+  return {
+    results: fused.slice(skip, skip + limit),
+    total: fused.length,
+    searchMethod,
+    queryEmbedding: vectorError ? null : vectorOutcome.value.queryEmbedding
+  };
+}
+
+/**
+ * Sort already fetched results by a field
+ * @param {Object[]} results - Search results
+ * @param {string} sortBy - Field to sort by
+ * @param {string} sortOrder - Sort direction (asc/desc)
+ * @returns {Object[]} - Sorted results
+ */
+function sortResults(results, sortBy, sortOrder) {
+  const direction = sortOrder.toLowerCase() === 'asc' ? 1 : -1;
+  const getValue = sortBy === 'experience'
+    ? result => (result.metadata && result.metadata.experience) || 0
+    : result => new Date(result.uploadDate).getTime();
+  
+  return [...results].sort((a, b) => (getValue(a) - getValue(b)) * direction);
+}
+
+/**
+ * Check whether a request asks for blind screening (blind=true)
+ * @param {*} value - Body or query value
+ * @returns {boolean}
+ */
+function isBlind(value) {
+  return value === true || value === 'true';
+}
+
+/**
+ * Get CV by ID (?blind=true for the blind-screening view without personal data)
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
 async function getCVById(req, res) {
   try {
-    const cv = await CV.findById(req.params.id);
+    const cv = await CV.findOne({ _id: req.params.id, deletedAt: null });
     
     if (!cv) {
       return res.status(404).json({ error: 'CV not found' });
     }
     
+    recordAudit(req, 'view', { cvIds: [cv._id], details: { blind: isBlind(req.query.blind) } });
+    
+    if (isBlind(req.query.blind)) {
+      return res.json(blindView(cv, await createRedactor(cv.content)));
+    }
+    
     res.json(cv);
   } catch (error) {
     console.error('Error fetching CV:', error);
@@ -249,106 +677,412 @@ async function getCVById(req, res) {
 }
 
 /**
- * Build filter conditions based on provided filters
- * @param {Object} filters - Filter criteria
- * @returns {Object} MongoDB filter conditions
+ * Download (or view inline with ?inline=true) the original uploaded file of a CV
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
  */
-function buildFilterConditions(filters) {
-  const conditions = {};
-  
-  // Skills filter (supports multiple skills with AND/OR logic)
-  if (filters.skills) {
-    if (Array.isArray(filters.skills)) {
-      if (filters.skillsLogic === 'AND') {
-        conditions['metadata.skills'] = { $all: filters.skills };
+async function downloadCVFile(req, res) {
+  try {
+    const cv = await CV.findOne({ _id: req.params.id, deletedAt: null }).select('originalName mimeType file');
+    
+    if (!cv) {
+      return res.status(404).json({ error: 'CV not found' });
+    }
+    
+    const stream = await openStoredFile(cv.file);
+    
+    if (!stream) {
+      return res.status(404).json({ error: 'Original file not available for this CV' });
+    }
+    
+    const disposition = req.query.inline === 'true' ? 'inline' : 'attachment';
+    recordAudit(req, 'download', { cvIds: [cv._id], details: { disposition } });
+    res.set({
+      'Content-Type': cv.file.mimeType || cv.mimeType || 'application/octet-stream',
+      'Content-Disposition': buildContentDisposition(disposition, cv.originalName),
+      'Content-Length': cv.file.size,
+      'ETag': `"${cv.file.checksum}"`,
+      'X-Content-Type-Options': 'nosniff'
+    });
+    
+    stream.on('error', (error) => {
+      console.error('Error streaming CV file:', error);
+      if (!res.headersSent) {
+        res.status(500).json({ error: 'Failed to download CV file', details: error.message });
       } else {
-        // Default to OR logic
-        conditions['metadata.skills'] = { $in: filters.skills };
+        res.destroy(error);
       }
-    } else if (typeof filters.skills === 'string') {
-      conditions['metadata.skills'] = filters.skills;
+    });
+    stream.pipe(res);
+  } catch (error) {
+    console.error('Error downloading CV file:', error);
+    res.status(500).json({ error: 'Failed to download CV file', details: error.message });
+  }
+}
+
+/**
+ * Build a Content-Disposition header with an ASCII fallback and an RFC 5987 UTF-8 file name
+ * @param {string} type - 'attachment' or 'inline'
+ * @param {string} filename - Original file name
+ * @returns {string} - Header value
+ */
+function buildContentDisposition(type, filename) {
+  const name = filename || 'cv';
+  const fallback = name.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_');
+  const encoded = encodeURIComponent(name).replace(/['()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+}
+
+/**
+ * Get all versions of the candidate a CV belongs to
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getCVVersions(req, res) {
+  try {
+    const cv = await CV.findOne({ _id: req.params.id, deletedAt: null }).select('_id candidateId');
+    
+    if (!cv) {
+      return res.status(404).json({ error: 'CV not found' });
     }
+    
+    const candidateId = getCandidateId(cv);
+    const versions = await CV.find({ $or: [{ candidateId }, { _id: candidateId }] })
+      .select('-content -embeddings -contactKeys')
+      .sort({ version: -1, uploadDate: -1 })
+      .lean();
+    
+    recordAudit(req, 'view', { cvIds: versions.map(version => version._id), details: { view: 'versions' } });
+    res.json({
+      candidateId,
+      count: versions.length,
+      versions
+    });
+  } catch (error) {
+    console.error('Error fetching CV versions:', error);
+    res.status(500).json({ error: 'Failed to fetch CV versions', details: error.message });
   }
-  
-  // Experience filter (min/max)
-  if (filters.experience) {
-    conditions['metadata.experience'] = {};
+}
+
+/**
+ * Merge a CV (and its versions) into another CV's candidate
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function mergeCV(req, res) {
+  try {
+    const { targetId } = req.body;
     
-    if (filters.experience.min !== undefined) {
-      conditions['metadata.experience'].$gte = parseInt(filters.experience.min, 10);
+    if (!targetId) {
+      return res.status(400).json({ error: 'targetId is required' });
     }
     
-    if (filters.experience.max !== undefined) {
-      conditions['metadata.experience'].$lte = parseInt(filters.experience.max, 10);
+    if (targetId === req.params.id) {
+      return res.status(400).json({ error: 'A CV cannot be merged into itself' });
     }
     
-    // If only a single value is provided (not an object with min/max)
-    if (typeof filters.experience === 'number' || typeof filters.experience === 'string') {
-      conditions['metadata.experience'] = parseInt(filters.experience, 10);
+    const candidateId = await mergeCandidates(req.params.id, targetId);
+    
+    if (!candidateId) {
+      return res.status(404).json({ error: 'CV not found' });
     }
+    
+    recordAudit(req, 'update', { cvIds: [req.params.id, targetId], details: { changes: ['merged'], candidateId } });
+    emitEvent('cv.updated', { cvId: req.params.id, candidateId, changes: ['merged'], actor: getActorName(req.user) });
+    res.json({ message: 'CVs merged successfully', candidateId });
+  } catch (error) {
+    console.error('Error merging CVs:', error);
+    res.status(500).json({ error: 'Failed to merge CVs', details: error.message });
   }
-  
-  // Job titles filter
-  if (filters.jobTitles) {
-    if (Array.isArray(filters.jobTitles)) {
-      conditions['metadata.jobTitles'] = { $in: filters.jobTitles };
-    } else if (typeof filters.jobTitles === 'string') {
-      conditions['metadata.jobTitles'] = filters.jobTitles;
+}
+
+/**
+ * Detach a wrongly linked CV so it becomes a separate candidate
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function unmergeCV(req, res) {
+  try {
+    const result = await detachCV(req.params.id);
+    
+    if (!result) {
+      return res.status(404).json({ error: 'CV not found' });
     }
+    
+    recordAudit(req, 'update', {
+      cvIds: [req.params.id],
+      details: { changes: ['unmerged'], candidateId: result.candidateId }
+    });
+    emitEvent('cv.updated', {
+      cvId: req.params.id,
+      candidateId: result.candidateId,
+      changes: ['unmerged'],
+      actor: getActorName(req.user)
+    });
+    res.json({ message: 'CV unmerged successfully', ...result });
+  } catch (error) {
+    console.error('Error unmerging CV:', error);
+    res.status(500).json({ error: 'Failed to unmerge CV', details: error.message });
   }
-  
-  // Education filter
-  if (filters.education) {
-    if (Array.isArray(filters.education)) {
-      conditions['metadata.education'] = { $in: filters.education };
-    } else if (typeof filters.education === 'string') {
-      conditions['metadata.education'] = filters.education;
+}
+
+/**
+ * Apply recruiter corrections to a CV's metadata.
+ * Corrections are stored separately from extracted values, so reprocessing keeps them.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function updateCV(req, res) {
+  try {
+    const { metadata, correctedBy } = req.body || {};
+    const validationError = validateCorrections(metadata);
+    
+    if (validationError) {
+      return res.status(400).json({ error: 'Invalid corrections', details: validationError });
+    }
+    
+    const cv = await CV.findOne({ _id: req.params.id, deletedAt: null });
+    
+    if (!cv) {
+      return res.status(404).json({ error: 'CV not found' });
+    }
+    
+    // Corrected skills are stored under their canonical names like extracted ones
+    if (Array.isArray(metadata.skills)) {
+      metadata.skills = normalizeSkills(metadata.skills);
+    }
+    
+    // The authenticated user is recorded instead of a self-reported name
+    cv.applyCorrections(metadata, getActorName(req.user, correctedBy));
+    await cv.save();
+    
+    const changes = Object.keys(metadata).map(field => `metadata.${field}`);
+    recordAudit(req, 'update', { cvIds: [cv._id], details: { changes } });
+    emitEvent('cv.updated', {
+      cvId: cv._id,
+      candidateId: cv.candidateId,
+      changes,
+      actor: getActorName(req.user, correctedBy)
+    });
+    
+    res.json({
+      message: 'CV updated successfully',
+      id: cv._id,
+      metadata: cv.metadata,
+      extractedMetadata: cv.extractedMetadata,
+      corrections: cv.corrections
+    });
+  } catch (error) {
+    console.error('Error updating CV:', error);
+    res.status(500).json({ error: 'Failed to update CV', details: error.message });
+  }
+}
+
+/**
+ * Replace the file of a CV and run the ingest pipeline again
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+async function replaceCVFile(req, res, next) {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+    
+    const existingCv = await CV.findOne({ _id: req.params.id, deletedAt: null });
+    
+    if (!existingCv) {
+      return res.status(404).json({ error: 'CV not found' });
     }
+    
+    emitEvent('cv.uploaded', {
+      cvId: existingCv._id,
+      originalName: req.file.originalname,
+      mimeType: req.file.mimetype,
+      size: req.file.size
+    });
+    const { cv, extractionWarnings, embeddingsGenerated, fileStored } = await processCVFile(req.file, { existingCv });
+    recordAudit(req, 'update', {
+      cvIds: [cv._id],
+      details: { changes: ['file'] }
+    });
+    
+    const response = {
+      message: 'CV file replaced and processed successfully',
+      id: cv._id,
+      candidateId: cv.candidateId,
+      version: cv.version,
+      metadata: cv.metadata
+    };
+    
+    if (!embeddingsGenerated) {
+      response.warning = EMBEDDING_WARNING;
+    }
+    
+    if (!fileStored) {
+      response.storageWarning = FILE_STORAGE_WARNING;
+    }
+    
+    if (extractionWarnings.length > 0) {
+      response.extractionWarnings = extractionWarnings;
+    }
+    
+    res.json(response);
+  } catch (error) {
+    if (req.file) {
+      emitEvent('cv.failed', { cvId: req.params.id, originalName: req.file.originalname, error: error.message });
+    }
+    
+    // Unsupported formats are reported by the global error handler
+    if (error.code === 'UNSUPPORTED_FILE_TYPE') {
+      return next(error);
+    }
+    
+    console.error('Error replacing CV file:', error);
+    res.status(error.statusCode || 500).json({ error: 'Failed to process CV', details: error.message });
   }
-  
-  // Date range filter
-  if (filters.dateRange) {
-    conditions.uploadDate = {};
+}
+
+/**
+ * Delete a candidate (all CV versions): soft delete by default, or a permanent GDPR erase with ?mode=erase
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function deleteCV(req, res) {
+  try {
+    const mode = req.query.mode || 'soft';
+    const { reason, requestedBy: requestedByParam } = { ...req.query, ...(req.body || {}) };
+    const requestedBy = getActorName(req.user, requestedByParam);
     
-    if (filters.dateRange.from) {
-      conditions.uploadDate.$gte = new Date(filters.dateRange.from);
+    if (!['soft', 'erase'].includes(mode)) {
+      return res.status(400).json({ error: 'Invalid mode', details: 'mode must be "soft" or "erase"' });
     }
     
-    if (filters.dateRange.to) {
-      conditions.uploadDate.$lte = new Date(filters.dateRange.to);
+    if (mode === 'erase' && !hasRole(req.user, 'admin')) {
+      return res.status(403).json({ error: 'Forbidden', details: 'Erasing candidate data requires the admin role' });
     }
+    
+    if (mode === 'erase') {
+      const receipt = await eraseCandidate(req.params.id, { requestedBy, reason });
+      
+      if (!receipt) {
+        return res.status(404).json({ error: 'CV not found' });
+      }
+      
+      recordAudit(req, 'erase', { cvIds: receipt.cvIds, details: { reason, receiptId: receipt._id } });
+      emitEvent('cv.deleted', {
+        cvId: req.params.id,
+        candidateId: receipt.candidateId,
+        cvIds: receipt.cvIds,
+        mode,
+        actor: requestedBy
+      });
+      return res.json({ message: 'Candidate data erased', receipt });
+    }
+    
+    const result = await softDeleteCandidate(req.params.id, { deletedBy: requestedBy, reason });
+    
+    if (!result) {
+      return res.status(404).json({ error: 'CV not found' });
+    }
+    
+    recordAudit(req, 'delete', { cvIds: result.cvIds, details: { reason } });
+    emitEvent('cv.deleted', { cvId: req.params.id, ...result, mode, actor: requestedBy });
+    res.json({ message: 'CV deleted', ...result });
+  } catch (error) {
+    console.error('Error deleting CV:', error);
+    res.status(500).json({ error: 'Failed to delete CV', details: error.message });
+  }
+}
+
+/**
+ * Restore a soft-deleted candidate
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function restoreCV(req, res) {
+  try {
+    const result = await restoreCandidate(req.params.id);
+    
+    if (!result) {
+      return res.status(404).json({ error: 'CV not found' });
+    }
+    
+    recordAudit(req, 'restore', { cvIds: result.cvIds });
+    emitEvent('cv.updated', { cvId: req.params.id, ...result, changes: ['restored'], actor: getActorName(req.user) });
+    res.json({ message: 'CV restored', ...result });
+  } catch (error) {
+    console.error('Error restoring CV:', error);
+    res.status(500).json({ error: 'Failed to restore CV', details: error.message });
+  }
+}
+
+/**
+ * Validate recruiter corrections
+ * @param {Object} corrections - Corrected metadata fields (null removes a correction)
+ * @returns {string|null} - Error message or null when valid
+ */
+function validateCorrections(corrections) {
+  if (!corrections || typeof corrections !== 'object' || Array.isArray(corrections)) {
+    return 'metadata must be an object of corrected fields';
   }
   
-  // Custom metadata filters
-  if (filters.custom) {
-    for (const [key, value] of Object.entries(filters.custom)) {
-      conditions[`metadata.${key}`] = value;
+  const keys = Object.keys(corrections);
+  if (keys.length === 0) {
+    return 'metadata must contain at least one field';
+  }
+  
+  for (const key of keys) {
+    const type = CORRECTABLE_FIELDS[key];
+    const value = corrections[key];
+    
+    if (!type) {
+      return `Unknown field "${key}". Correctable fields: ${Object.keys(CORRECTABLE_FIELDS).join(', ')}`;
+    }
+    if (value === null) {
+      continue;
+    }
+    if (type === 'strings' && !(Array.isArray(value) && value.every(item => typeof item === 'string'))) {
+      return `${key} must be an array of strings`;
+    }
+    if (type === 'number' && !(typeof value === 'number' && Number.isFinite(value) && value >= 0)) {
+      return `${key} must be a non-negative number`;
+    }
+    if (type === 'string' && typeof value !== 'string') {
+      return `${key} must be a string`;
+    }
+    if (type === 'objects' && !(Array.isArray(value) && value.every(isPlainObject))) {
+      return `${key} must be an array of objects`;
+    }
+    if (type === 'object' && !isPlainObject(value)) {
+      return `${key} must be an object`;
+    }
+    if (type === 'contact') {
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        return 'contactDetails must be an object';
+      }
+      for (const [field, fieldValue] of Object.entries(value)) {
+        if (!['email', 'phone'].includes(field)) {
+          return `Unknown contact field "${field}"`;
+        }
+        if (fieldValue !== null && typeof fieldValue !== 'string') {
+          return `contactDetails.${field} must be a string`;
+        }
+      }
     }
   }
   
-  return conditions;
+  return null;
 }
 
 /**
- * Build text search query for MongoDB
- * @param {string} query - User's search query
- * @returns {Object} MongoDB text search query
+ * Check whether a value is a plain (non-array) object
+ * @param {*} value - Value to check
+ * @returns {boolean}
  */
-function buildTextSearchQuery(query) {
-  // Use text index if it's a simple term, or regex for more complex queries
-  if (query.length < 50 && !query.includes('"') && !query.includes('*')) {
-    return { $text: { $search: query } };
-  } else {
-    const searchRegex = new RegExp(query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
-    return {
-      $or: [
-        { 'metadata.skills': { $regex: searchRegex } },
-        { 'metadata.jobTitles': { $regex: searchRegex } },
-        { 'metadata.education': { $regex: searchRegex } },
-        { content: { $regex: searchRegex } }
-      ]
-    };
-  }
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
 }
 
 /**
@@ -399,5 +1133,15 @@ function buildSortStage(sortBy, sortOrder) {
 module.exports = {
   uploadCV,
   searchCVs,
-  getCVById
+  compareCVs,
+  exportCVs,
+  getCVById,
+  downloadCVFile,
+  getCVVersions,
+  mergeCV,
+  unmergeCV,
+  updateCV,
+  replaceCVFile,
+  deleteCV,
+  restoreCV
 }; 
\ No newline at end of file
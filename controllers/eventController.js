@@ -0,0 +1,63 @@
+const config = require('../config/config');
+const { EVENT_TYPES, onEvent, getEventsAfter, parseEventTypes } = require('../utils/events');
+
+/**
+ * List the event types that can be streamed and subscribed to
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+function listEventTypes(req, res) {
+  res.json({ events: EVENT_TYPES });
+}
+
+/**
+ * Stream the tenant's CV lifecycle events as Server-Sent Events (?events=cv.processed,cv.deleted).
+ * Clients reconnecting with a Last-Event-ID header (or ?lastEventId) first get the buffered
+ * events they missed.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+function streamEvents(req, res) {
+  const { types, invalid } = parseEventTypes(req.query.events);
+  
+  if (invalid.length > 0) {
+    return res.status(400).json({ error: 'Invalid events', details: `Unknown events: ${invalid.join(', ')}` });
+  }
+  
+  const tenantId = req.tenant ? String(req.tenant.id) : null;
+  const wanted = event => event.tenantId === tenantId && (!types || types.includes(event.event));
+  const write = event => res.write(`id: ${event.id}\nevent: ${event.event}\ndata: ${JSON.stringify(event)}\n\n`);
+  
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // Stops reverse proxies such as nginx from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.write('retry: 5000\n\n');
+  
+  const lastEventId = req.get('last-event-id') || req.query.lastEventId;
+  if (lastEventId) {
+    getEventsAfter(lastEventId).filter(wanted).forEach(write);
+  }
+  
+  const unsubscribe = onEvent(event => {
+    if (wanted(event)) {
+      write(event);
+    }
+  });
+  
+  // Comments keep idle connections open through proxies
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), config.events.heartbeatInterval);
+  
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+}
+
+module.exports = {
+  listEventTypes,
+  streamEvents
+};
@@ -0,0 +1,291 @@
+const mongoose = require('mongoose');
+const Job = require('../models/jobModel');
+const CV = require('../models/cvModel');
+const { getTenantConfig } = require('../utils/tenantScope');
+const { extractJobRequirements } = require('../utils/cvParser');
+const { generateEmbeddings, getEmbeddingInfo, analyzeJobDescription } = require('../utils/openaiService');
+const { buildVectorSearchStages, scoreCVs } = require('../utils/vectorSearch');
+const { normalizeRequirements, scoreCandidate } = require('../utils/jobMatcher');
+const { expandSkill } = require('../utils/skillTaxonomy');
+const { recordAudit } = require('../utils/audit');
+
+// Most matches returned per page
+const MAX_MATCH_LIMIT = 100;
+
+/**
+ * Create a job description and extract its requirements
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function createJob(req, res) {
+  try {
+    const { title, description } = req.body;
+    
+    if (!title || !description) {
+      return res.status(400).json({ 
+        error: 'Missing required fields',
+        message: 'Please provide both a title and a description'
+      });
+    }
+    
+    // Extract requirements - try AI analysis first, fall back to rule-based
+    const ruleBased = extractJobRequirements(`${title}\n${description}`);
+    const aiAnalysis = await analyzeJobDescription(`${title}\n${description}`);
+    const requirements = normalizeRequirements(aiAnalysis, ruleBased);
+    
+    // Generate embeddings for the job description
+    let embedding = [];
+    try {
+      embedding = await generateEmbeddings(`${title}\n${description}`);
+    } catch (error) {
+      console.error('Embedding generation failed:', error.message);
+      console.warn('Continuing without embeddings - matches will use structured scoring only');
+    }
+    
+    const embeddingInfo = getEmbeddingInfo();
+    const job = new Job({
+      title,
+      description,
+      embeddings: embedding,
+      embeddingProvider: embedding.length > 0 ? embeddingInfo.provider : undefined,
+      embeddingModel: embedding.length > 0 ? embeddingInfo.model : undefined,
+      requirements,
+      requirementsSource: aiAnalysis ? 'ai' : 'rules'
+    });
+    
+    await job.save();
+    
+    const response = {
+      message: 'Job description created successfully',
+      id: job._id,
+      requirements: job.requirements
+    };
+    
+    if (embedding.length === 0) {
+      response.warning = 'Embeddings could not be generated. Matches will not include vector similarity.';
+    }
+    
+    res.status(201).json(response);
+  } catch (error) {
+    console.error('Error creating job description:', error);
+    res.status(500).json({ error: 'Failed to create job description', details: error.message });
+  }
+}
+
+/**
+ * List stored job descriptions
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function listJobs(req, res) {
+  try {
+    const jobs = await Job.find()
+      .select('-embeddings -description')
+      .sort({ createdAt: -1 })
+      .lean();
+    
+    res.json({ success: true, count: jobs.length, jobs });
+  } catch (error) {
+    console.error('Error listing job descriptions:', error);
+    res.status(500).json({ error: 'Failed to list job descriptions', details: error.message });
+  }
+}
+
+/**
+ * Get job description by ID
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getJobById(req, res) {
+  try {
+    // IDs that are not ObjectIds name no job
+    const job = mongoose.isValidObjectId(req.params.id)
+      ? await Job.findById(req.params.id).select('-embeddings')
+      : null;
+    
+    if (!job) {
+      return res.status(404).json({ error: 'Job description not found' });
+    }
+    
+    res.json(job);
+  } catch (error) {
+    console.error('Error fetching job description:', error);
+    res.status(500).json({ error: 'Failed to fetch job description', details: error.message });
+  }
+}
+
+/**
+ * Rank stored CVs against a job description
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getJobMatches(req, res) {
+  try {
+    const limit = Number(req.query.limit || 10);
+    const page = Number(req.query.page || 1);
+    const minScore = Number(req.query.minScore || 0);
+    
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_MATCH_LIMIT) {
+      return res.status(400).json({ error: 'Invalid limit', details: `limit must be an integer between 1 and ${MAX_MATCH_LIMIT}` });
+    }
+    if (!Number.isInteger(page) || page < 1) {
+      return res.status(400).json({ error: 'Invalid page', details: 'page must be an integer of at least 1' });
+    }
+    if (Number.isNaN(minScore) || minScore < 0 || minScore > 1) {
+      return res.status(400).json({ error: 'Invalid minScore', details: 'minScore must be between 0 and 1' });
+    }
+    
+    const job = mongoose.isValidObjectId(req.params.id) ? await Job.findById(req.params.id) : null;
+    
+    if (!job) {
+      return res.status(404).json({ error: 'Job description not found' });
+    }
+    
+    const requirements = job.requirements.toObject();
+    const poolSize = Math.max(getTenantConfig('matching').candidatePoolSize, page * limit);
+    const candidates = new Map();
+    let vectorSearchUsed = false;
+    
+    // Re-embed jobs created with a different embedding model so vectors are comparable.
+    // Only the embedding fields are written, and only while they are still the stale ones,
+    // so concurrent requests and edits of the job are not overwritten.
+    const embeddingInfo = getEmbeddingInfo();
+    if (job.embeddingProvider !== embeddingInfo.provider || job.embeddingModel !== embeddingInfo.model) {
+      try {
+        const embeddings = await generateEmbeddings(`${job.title}\n${job.description}`);
+        const embeddingFields = {
+          embeddings,
+          embeddingProvider: embeddingInfo.provider,
+          embeddingModel: embeddingInfo.model,
+          hasEmbeddings: embeddings.length > 0
+        };
+        await Job.updateOne(
+          { _id: job._id, embeddingProvider: job.embeddingProvider || null, embeddingModel: job.embeddingModel || null },
+          { $set: embeddingFields },
+          { timestamps: false }
+        );
+        job.set(embeddingFields);
+      } catch (error) {
+        console.error('Job re-embedding failed:', error.message);
+      }
+    }
+    
+    // Semantic candidates from the vector search pipeline
+    const embeddingsUsable = job.hasEmbeddings &&
+      job.embeddingProvider === embeddingInfo.provider &&
+      job.embeddingModel === embeddingInfo.model;
+    if (embeddingsUsable) {
+      try {
+        const vectorResults = await CV.aggregate([
+          ...await buildVectorSearchStages(job.embeddings, poolSize),
+          { $match: CV.searchableConditions() },
+          { $project: { content: 0, embeddings: 0 } }
+        ]);
+        
+        for (const cv of vectorResults) {
+          candidates.set(cv._id.toString(), cv);
+        }
+        vectorSearchUsed = true;
+      } catch (error) {
+        console.error('Vector search failed:', error.message);
+        console.log('Falling back to structured matching only...');
+      }
+    }
+    
+    // Structured candidates sharing skills or titles with the job
+    const wantedSkills = [...requirements.requiredSkills, ...requirements.niceToHaveSkills].flatMap(expandSkill);
+    const orConditions = [];
+    if (wantedSkills.length > 0) {
+      orConditions.push({ 'metadata.skills': { $in: wantedSkills.map(skill => new RegExp(`^${escapeRegex(skill)}$`, 'i')) } });
+    }
+    if (requirements.jobTitles.length > 0) {
+      orConditions.push({ 'metadata.jobTitles': { $in: requirements.jobTitles.map(title => new RegExp(escapeRegex(title), 'i')) } });
+    }
+    
+    if (orConditions.length > 0) {
+      const structuredResults = await CV.find({ ...CV.searchableConditions(), $or: orConditions })
+        .select(embeddingsUsable ? '-content' : '-content -embeddings')
+        .limit(poolSize)
+        .lean();
+      const structuredOnly = structuredResults.filter(cv => !candidates.has(cv._id.toString()));
+      
+      // Candidates the vector search did not return are scored against the job's embedding as well,
+      // so the score does not depend on which query found them
+      const vectorScores = embeddingsUsable && structuredOnly.length > 0
+        ? await scoreCVs(job.embeddings, structuredOnly)
+        : new Map();
+      
+      // The embeddings were only loaded for scoring. While the job's embedding is blended in, CVs without
+      // comparable embeddings score 0 for similarity, so they cannot outrank CVs that were compared
+      for (const { embeddings, ...cv } of structuredOnly) {
+        const vectorScore = vectorScores.get(cv._id.toString());
+        candidates.set(cv._id.toString(), {
+          ...cv,
+          vectorScore: embeddingsUsable ? vectorScore || 0 : null,
+          embeddingsCompared: vectorScore !== undefined
+        });
+      }
+    }
+    
+    // Score and rank all candidates; without a usable job embedding all of them are ranked by the structured score alone
+    const ranked = [...candidates.values()]
+      .map(cv => {
+        const match = scoreCandidate(cv, requirements, cv.vectorScore);
+        return {
+          id: cv._id,
+          originalName: cv.originalName,
+          uploadDate: cv.uploadDate,
+          metadata: cv.metadata,
+          ...match,
+          embeddingsCompared: cv.embeddingsCompared !== false
+        };
+      })
+      .filter(result => result.score >= minScore)
+      .sort((a, b) => b.score - a.score);
+    
+    const skip = (page - 1) * limit;
+    const results = ranked.slice(skip, skip + limit);
+    
+    recordAudit(req, 'search', {
+      cvIds: results.map(result => result.id),
+      details: { jobId: job._id, page, searchType: vectorSearchUsed ? 'vector+structured' : 'structured' }
+    });
+    res.json({
+      success: true,
+      job: {
+        id: job._id,
+        title: job.title,
+        requirements
+      },
+      count: results.length,
+      total: ranked.length,
+      page: page,
+      totalPages: Math.ceil(ranked.length / limit),
+      searchMethod: vectorSearchUsed ? 'vector+structured' : 'structured',
+      results
+    });
+  } catch (error) {
+    console.error('Error matching CVs to job description:', error);
+    res.status(500).json({ 
+      error: 'Failed to match CVs', 
+      details: error.message,
+      success: false
+    });
+  }
+}
+
+/**
+ * Escape special characters for use in a regular expression
+ * @param {string} value - Raw string
+ * @returns {string} - Escaped string
+ */
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = {
+  createJob,
+  listJobs,
+  getJobById,
+  getJobMatches
+};
@@ -0,0 +1,234 @@
+const {
+  PIPELINE_STAGES,
+  validateTags,
+  validateNote,
+  getRecruiting,
+  setStage,
+  addNote,
+  removeNote,
+  setTags,
+  setRetentionConsent
+} = require('../utils/recruiting');
+const { getActorName } = require('../utils/auth');
+const { emitEvent } = require('../utils/events');
+const { recordAudit } = require('../utils/audit');
+const { getCandidateRetention } = require('../utils/retention');
+
+const MAX_CONSENT_NOTE_LENGTH = 1000;
+
+/**
+ * Emit cv.updated and record an audit entry for a change of a candidate's recruiting state
+ * (note texts are not included)
+ * @param {Object} req - Express request object
+ * @param {Object} recruiting - Updated recruiting state
+ * @param {string} field - Changed field ('stage', 'notes', 'tags' or 'retentionConsent')
+ */
+function emitRecruitingUpdate(req, recruiting, field) {
+  recordAudit(req, 'update', { cvIds: [req.params.id], details: { changes: [`recruiting.${field}`] } });
+  emitEvent('cv.updated', {
+    cvId: req.params.id,
+    candidateId: recruiting.candidateId,
+    changes: [`recruiting.${field}`],
+    stage: recruiting.stage,
+    tags: recruiting.tags,
+    actor: getActorName(req.user)
+  });
+}
+
+/**
+ * Get the recruiting state (stage, history, notes, tags, shortlists) of a CV's candidate
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getCVRecruiting(req, res) {
+  try {
+    const recruiting = await getRecruiting(req.params.id);
+    
+    if (!recruiting) {
+      return res.status(404).json({ error: 'CV not found' });
+    }
+    
+    recordAudit(req, 'view', { cvIds: [req.params.id], details: { view: 'recruiting' } });
+    res.json(recruiting);
+  } catch (error) {
+    console.error('Error fetching recruiting state:', error);
+    res.status(500).json({ error: 'Failed to fetch recruiting state', details: error.message });
+  }
+}
+
+/**
+ * Move a CV's candidate to another pipeline stage
+ * @param {Object} req - Express request object (body: stage, reason, changedBy)
+ * @param {Object} res - Express response object
+ */
+async function updateCVStage(req, res) {
+  try {
+    const { stage, reason, changedBy } = req.body || {};
+    
+    if (!PIPELINE_STAGES.includes(stage)) {
+      return res.status(400).json({ error: 'Invalid stage', details: `stage must be one of: ${PIPELINE_STAGES.join(', ')}` });
+    }
+    
+    const recruiting = await setStage(req.params.id, stage, {
+      changedBy: getActorName(req.user, changedBy),
+      reason: typeof reason === 'string' ? reason : undefined
+    });
+    
+    if (!recruiting) {
+      return res.status(404).json({ error: 'CV not found' });
+    }
+    
+    emitRecruitingUpdate(req, recruiting, 'stage');
+    res.json({ message: 'Stage updated', recruiting });
+  } catch (error) {
+    console.error('Error updating stage:', error);
+    res.status(500).json({ error: 'Failed to update stage', details: error.message });
+  }
+}
+
+/**
+ * Add a note to a CV's candidate
+ * @param {Object} req - Express request object (body: text, author)
+ * @param {Object} res - Express response object
+ */
+async function addCVNote(req, res) {
+  try {
+    const { text, author } = req.body || {};
+    const validationError = validateNote(text);
+    
+    if (validationError) {
+      return res.status(400).json({ error: 'Invalid note', details: validationError });
+    }
+    
+    const result = await addNote(req.params.id, text, getActorName(req.user, author));
+    
+    if (!result) {
+      return res.status(404).json({ error: 'CV not found' });
+    }
+    
+    emitRecruitingUpdate(req, result.recruiting, 'notes');
+    res.status(201).json({ message: 'Note added', ...result });
+  } catch (error) {
+    console.error('Error adding note:', error);
+    res.status(500).json({ error: 'Failed to add note', details: error.message });
+  }
+}
+
+/**
+ * Remove a note from a CV's candidate
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function deleteCVNote(req, res) {
+  try {
+    const recruiting = await removeNote(req.params.id, req.params.noteId);
+    
+    if (!recruiting) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+    
+    emitRecruitingUpdate(req, recruiting, 'notes');
+    res.json({ message: 'Note removed', recruiting });
+  } catch (error) {
+    console.error('Error removing note:', error);
+    res.status(500).json({ error: 'Failed to remove note', details: error.message });
+  }
+}
+
+/**
+ * Replace the tags of a CV's candidate
+ * @param {Object} req - Express request object (body: tags)
+ * @param {Object} res - Express response object
+ */
+async function updateCVTags(req, res) {
+  try {
+    const { tags } = req.body || {};
+    const validationError = validateTags(tags);
+    
+    if (validationError) {
+      return res.status(400).json({ error: 'Invalid tags', details: validationError });
+    }
+    
+    const recruiting = await setTags(req.params.id, tags);
+    
+    if (!recruiting) {
+      return res.status(404).json({ error: 'CV not found' });
+    }
+    
+    emitRecruitingUpdate(req, recruiting, 'tags');
+    res.json({ message: 'Tags updated', recruiting });
+  } catch (error) {
+    console.error('Error updating tags:', error);
+    res.status(500).json({ error: 'Failed to update tags', details: error.message });
+  }
+}
+
+/**
+ * Get when the data of a CV's candidate is erased under the retention policy
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getCVRetention(req, res) {
+  try {
+    const retention = await getCandidateRetention(req.params.id);
+    
+    if (!retention) {
+      return res.status(404).json({ error: 'CV not found' });
+    }
+    
+    res.json(retention);
+  } catch (error) {
+    console.error('Error fetching retention:', error);
+    res.status(500).json({ error: 'Failed to fetch retention', details: error.message });
+  }
+}
+
+/**
+ * Record (or withdraw with until: null) a candidate's consent to keeping their data beyond the retention period
+ * @param {Object} req - Express request object (body: until, note, recordedBy)
+ * @param {Object} res - Express response object
+ */
+async function updateCVRetentionConsent(req, res) {
+  try {
+    const { until, note, recordedBy } = req.body || {};
+    
+    if (until !== null && (typeof until !== 'string' || isNaN(Date.parse(until)) || new Date(until) <= new Date())) {
+      return res.status(400).json({ error: 'Invalid consent', details: 'until must be a future date or null' });
+    }
+    if (note !== undefined && (typeof note !== 'string' || note.length > MAX_CONSENT_NOTE_LENGTH)) {
+      return res.status(400).json({
+        error: 'Invalid consent',
+        details: `note must be a string of at most ${MAX_CONSENT_NOTE_LENGTH} characters`
+      });
+    }
+    
+    const recruiting = await setRetentionConsent(req.params.id, {
+      until,
+      recordedBy: getActorName(req.user, recordedBy),
+      note
+    });
+    
+    if (!recruiting) {
+      return res.status(404).json({ error: 'CV not found' });
+    }
+    
+    emitRecruitingUpdate(req, recruiting, 'retentionConsent');
+    res.json({
+      message: until ? 'Retention consent recorded' : 'Retention consent withdrawn',
+      retention: await getCandidateRetention(req.params.id)
+    });
+  } catch (error) {
+    console.error('Error updating retention consent:', error);
+    res.status(500).json({ error: 'Failed to update retention consent', details: error.message });
+  }
+}
+
+module.exports = {
+  getCVRecruiting,
+  updateCVStage,
+  addCVNote,
+  deleteCVNote,
+  updateCVTags,
+  getCVRetention,
+  updateCVRetentionConsent
+};
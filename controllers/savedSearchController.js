@@ -0,0 +1,230 @@
+const SavedSearch = require('../models/savedSearchModel');
+const Alert = require('../models/alertModel');
+const { searchCVs } = require('./cvController');
+const { normalizeChannels } = require('../utils/savedSearchAlerts');
+const { hasRole } = require('../utils/auth');
+const { validateCustomFilters, validateSearchQuery } = require('../utils/searchFilters');
+
+const SEARCH_TYPES = ['auto', 'vector', 'text', 'hybrid'];
+
+/**
+ * Conditions limiting saved searches to the caller's own (admins see all of the tenant's)
+ * @param {Object} user - Authenticated principal
+ * @returns {Object} MongoDB filter conditions
+ */
+function ownedBy(user) {
+  return hasRole(user, 'admin') ? {} : { ownerId: user.id };
+}
+
+/**
+ * Check a saved search definition and collect the fields to store
+ * @param {Object} body - Request body
+ * @param {boolean} partial - Whether fields may be left out (updates)
+ * @param {Object} user - Authenticated user
+ * @returns {Object} - { fields, errors }
+ */
+function validateSavedSearch(body, partial, user) {
+  const { name, query, filters, searchType, minVectorScore, channels, active } = body;
+  const fields = {};
+  const errors = [];
+  
+  if (name !== undefined || !partial) {
+    if (typeof name !== 'string' || !name.trim()) errors.push('name is required');
+    else fields.name = name;
+  }
+  if (query !== undefined) {
+    if (typeof query !== 'string') errors.push('query must be a string');
+    else fields.query = query.trim();
+    // Alerts would tell viewers whether a new CV contains the contact details they search for
+    errors.push(...validateSearchQuery(query, { redacted: !hasRole(user, 'recruiter') }));
+  }
+  if (filters !== undefined) {
+    if (!filters || typeof filters !== 'object' || Array.isArray(filters)) errors.push('filters must be an object');
+    else fields.filters = filters;
+    // Viewers cannot filter on contact details, which would reveal them one guess at a time
+    if (fields.filters) errors.push(...validateCustomFilters(filters.custom, { redacted: !hasRole(user, 'recruiter') }));
+  }
+  if (searchType !== undefined) {
+    if (!SEARCH_TYPES.includes(searchType)) errors.push(`searchType must be one of: ${SEARCH_TYPES.join(', ')}`);
+    else fields.searchType = searchType;
+  }
+  if (minVectorScore !== undefined) {
+    if (minVectorScore !== null && (typeof minVectorScore !== 'number' || minVectorScore < 0 || minVectorScore > 1)) {
+      errors.push('minVectorScore must be a number between 0 and 1');
+    } else {
+      fields.minVectorScore = minVectorScore === null ? undefined : minVectorScore;
+    }
+  }
+  if (channels !== undefined) {
+    const normalized = normalizeChannels(channels);
+    errors.push(...normalized.errors);
+    fields.channels = normalized.channels;
+  }
+  if (active !== undefined) {
+    fields.active = Boolean(active);
+  }
+  
+  return { fields, errors };
+}
+
+/**
+ * List the caller's saved searches
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function listSavedSearches(req, res) {
+  try {
+    const searches = await SavedSearch.find(ownedBy(req.user)).sort({ name: 1 });
+    res.json({ count: searches.length, savedSearches: searches.map(search => search.toPublic()) });
+  } catch (error) {
+    console.error('Error listing saved searches:', error);
+    res.status(500).json({ error: 'Failed to list saved searches', details: error.message });
+  }
+}
+
+/**
+ * Get a saved search
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getSavedSearch(req, res) {
+  try {
+    const search = await SavedSearch.findOne({ _id: req.params.id, ...ownedBy(req.user) });
+    
+    if (!search) {
+      return res.status(404).json({ error: 'Saved search not found' });
+    }
+    
+    res.json(search.toPublic());
+  } catch (error) {
+    console.error('Error fetching saved search:', error);
+    res.status(500).json({ error: 'Failed to fetch saved search', details: error.message });
+  }
+}
+
+/**
+ * Save a search definition (the POST /api/cv/search body) with its alert settings
+ * @param {Object} req - Express request object (body: name, query, filters, searchType, minVectorScore, channels)
+ * @param {Object} res - Express response object
+ */
+async function createSavedSearch(req, res) {
+  try {
+    const { fields, errors } = validateSavedSearch(req.body || {}, false, req.user);
+    
+    if (!fields.query && Object.keys(fields.filters || {}).length === 0) {
+      errors.push('A saved search requires either a query or filters');
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid saved search', details: errors });
+    }
+    
+    const search = await SavedSearch.create({
+      ...fields,
+      ownerId: req.user.id || undefined,
+      ownerName: req.user.name
+    });
+    
+    // Webhook secrets are only shown once
+    res.status(201).json({ message: 'Search saved', savedSearch: search.toPublic(true) });
+  } catch (error) {
+    console.error('Error saving search:', error);
+    res.status(500).json({ error: 'Failed to save search', details: error.message });
+  }
+}
+
+/**
+ * Update a saved search (null removes minVectorScore)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function updateSavedSearch(req, res) {
+  try {
+    const { fields, errors } = validateSavedSearch(req.body || {}, true, req.user);
+    
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid saved search', details: errors });
+    }
+    
+    const search = await SavedSearch.findOne({ _id: req.params.id, ...ownedBy(req.user) });
+    
+    if (!search) {
+      return res.status(404).json({ error: 'Saved search not found' });
+    }
+    
+    search.set(fields);
+    if (!search.query && Object.keys(search.filters || {}).length === 0) {
+      return res.status(400).json({ error: 'Invalid saved search', details: ['A saved search requires either a query or filters'] });
+    }
+    // A changed query is embedded again on the next upload
+    if (search.isModified('query')) {
+      search.queryEmbeddingModel = undefined;
+    }
+    await search.save();
+    
+    res.json({ message: 'Saved search updated', savedSearch: search.toPublic(Boolean(fields.channels)) });
+  } catch (error) {
+    console.error('Error updating saved search:', error);
+    res.status(500).json({ error: 'Failed to update saved search', details: error.message });
+  }
+}
+
+/**
+ * Delete a saved search and its alerts
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function deleteSavedSearch(req, res) {
+  try {
+    const search = await SavedSearch.findOneAndDelete({ _id: req.params.id, ...ownedBy(req.user) });
+    
+    if (!search) {
+      return res.status(404).json({ error: 'Saved search not found' });
+    }
+    
+    const { deletedCount } = await Alert.deleteMany({ savedSearchId: search._id });
+    
+    res.json({ message: 'Saved search deleted', id: search._id, alertsDeleted: deletedCount });
+  } catch (error) {
+    console.error('Error deleting saved search:', error);
+    res.status(500).json({ error: 'Failed to delete saved search', details: error.message });
+  }
+}
+
+/**
+ * Run a saved search now, with the same response as POST /api/cv/search
+ * @param {Object} req - Express request object (body or query: limit, page, sortBy, sortOrder)
+ * @param {Object} res - Express response object
+ */
+async function runSavedSearch(req, res) {
+  try {
+    const search = await SavedSearch.findOne({ _id: req.params.id, ...ownedBy(req.user) });
+    
+    if (!search) {
+      return res.status(404).json({ error: 'Saved search not found' });
+    }
+    
+    const options = { ...req.query, ...(req.body || {}) };
+    req.body = {
+      query: search.query,
+      filters: search.filters || {},
+      searchType: search.searchType,
+      limit: parseInt(options.limit || '10', 10),
+      page: parseInt(options.page || '1', 10),
+      sortBy: options.sortBy || 'relevance',
+      sortOrder: options.sortOrder || 'desc'
+    };
+    await searchCVs(req, res);
+  } catch (error) {
+    console.error('Error running saved search:', error);
+    res.status(500).json({ error: 'Failed to run saved search', details: error.message });
+  }
+}
+
+module.exports = {
+  listSavedSearches,
+  getSavedSearch,
+  createSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch,
+  runSavedSearch
+};
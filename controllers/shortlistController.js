@@ -0,0 +1,252 @@
+const Shortlist = require('../models/shortlistModel');
+const CV = require('../models/cvModel');
+const Job = require('../models/jobModel');
+const { addToShortlist, removeFromShortlist, clearShortlist, buildRecruitingConditions } = require('../utils/recruiting');
+const { getActorName } = require('../utils/auth');
+const { recordAudit } = require('../utils/audit');
+
+/**
+ * Check shortlist fields sent by a client
+ * @param {Object} body - Request body
+ * @param {boolean} partial - Whether fields may be left out (updates)
+ * @returns {Promise<string|null>} - Error message or null if valid
+ */
+async function validateShortlist({ name, description, jobId }, partial) {
+  if ((!partial || name !== undefined) && (typeof name !== 'string' || !name.trim())) {
+    return 'name is required';
+  }
+  if (description !== undefined && description !== null && typeof description !== 'string') {
+    return 'description must be a string';
+  }
+  if (jobId !== undefined && jobId !== null && !(await Job.exists({ _id: jobId }))) {
+    return 'jobId does not refer to a job description';
+  }
+  return null;
+}
+
+/**
+ * Count the candidates on each shortlist
+ * @param {Object[]} shortlistIds - Shortlist IDs
+ * @returns {Promise<Map<string, number>>} - Counts by shortlist ID
+ */
+async function countMembers(shortlistIds) {
+  const counts = await CV.aggregate([
+    { $match: { ...CV.searchableConditions(), 'recruiting.shortlists': { $in: shortlistIds } } },
+    { $unwind: '$recruiting.shortlists' },
+    { $match: { 'recruiting.shortlists': { $in: shortlistIds } } },
+    { $group: { _id: '$recruiting.shortlists', count: { $sum: 1 } } }
+  ]);
+  return new Map(counts.map(entry => [entry._id.toString(), entry.count]));
+}
+
+/**
+ * List shortlists with their number of candidates (?jobId= limits to one job)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function listShortlists(req, res) {
+  try {
+    const filter = req.query.jobId ? { jobId: req.query.jobId } : {};
+    const shortlists = await Shortlist.find(filter).sort({ name: 1 }).lean();
+    const counts = await countMembers(shortlists.map(shortlist => shortlist._id));
+    
+    res.json({
+      count: shortlists.length,
+      shortlists: shortlists.map(shortlist => ({ ...shortlist, candidates: counts.get(shortlist._id.toString()) || 0 }))
+    });
+  } catch (error) {
+    console.error('Error listing shortlists:', error);
+    res.status(500).json({ error: 'Failed to list shortlists', details: error.message });
+  }
+}
+
+/**
+ * Get a shortlist with its candidates (latest CV versions, optionally by ?stage=)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getShortlist(req, res) {
+  try {
+    const shortlist = await Shortlist.findById(req.params.id).lean();
+    
+    if (!shortlist) {
+      return res.status(404).json({ error: 'Shortlist not found' });
+    }
+    
+    const conditions = { ...CV.searchableConditions(), 'recruiting.shortlists': shortlist._id };
+    if (req.query.stage) {
+      conditions.$and = buildRecruitingConditions({ stage: req.query.stage.split(',') });
+    }
+    
+    const candidates = await CV.find(conditions)
+      .select('-content -embeddings -contactKeys')
+      .sort({ 'recruiting.stageChangedAt': -1, uploadDate: -1 })
+      .lean();
+    
+    recordAudit(req, 'view', { cvIds: candidates.map(cv => cv._id), details: { shortlistId: shortlist._id } });
+    res.json({ ...shortlist, count: candidates.length, candidates });
+  } catch (error) {
+    console.error('Error fetching shortlist:', error);
+    res.status(500).json({ error: 'Failed to fetch shortlist', details: error.message });
+  }
+}
+
+/**
+ * Create a shortlist
+ * @param {Object} req - Express request object (body: name, description, jobId)
+ * @param {Object} res - Express response object
+ */
+async function createShortlist(req, res) {
+  try {
+    const { name, description, jobId } = req.body || {};
+    const validationError = await validateShortlist({ name, description, jobId }, false);
+    
+    if (validationError) {
+      return res.status(400).json({ error: 'Invalid shortlist', details: validationError });
+    }
+    
+    if (await Shortlist.exists({ name: name.trim() })) {
+      return res.status(409).json({ error: 'A shortlist with this name already exists' });
+    }
+    
+    const shortlist = await Shortlist.create({
+      name,
+      description,
+      jobId,
+      createdBy: getActorName(req.user, req.body.createdBy)
+    });
+    
+    res.status(201).json({ message: 'Shortlist created', shortlist });
+  } catch (error) {
+    console.error('Error creating shortlist:', error);
+    res.status(500).json({ error: 'Failed to create shortlist', details: error.message });
+  }
+}
+
+/**
+ * Update a shortlist's name, description or job (null removes the description or job)
+ * @param {Object} req - Express request object (body: name, description, jobId)
+ * @param {Object} res - Express response object
+ */
+async function updateShortlist(req, res) {
+  try {
+    const { name, description, jobId } = req.body || {};
+    const validationError = await validateShortlist({ name, description, jobId }, true);
+    
+    if (validationError) {
+      return res.status(400).json({ error: 'Invalid shortlist', details: validationError });
+    }
+    
+    const shortlist = await Shortlist.findById(req.params.id);
+    
+    if (!shortlist) {
+      return res.status(404).json({ error: 'Shortlist not found' });
+    }
+    
+    if (name !== undefined && await Shortlist.exists({ name: name.trim(), _id: { $ne: shortlist._id } })) {
+      return res.status(409).json({ error: 'A shortlist with this name already exists' });
+    }
+    
+    if (name !== undefined) shortlist.name = name;
+    if (description !== undefined) shortlist.description = description === null ? undefined : description;
+    if (jobId !== undefined) shortlist.jobId = jobId === null ? undefined : jobId;
+    await shortlist.save();
+    
+    res.json({ message: 'Shortlist updated', shortlist });
+  } catch (error) {
+    console.error('Error updating shortlist:', error);
+    res.status(500).json({ error: 'Failed to update shortlist', details: error.message });
+  }
+}
+
+/**
+ * Delete a shortlist; its candidates are only removed from it
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function deleteShortlist(req, res) {
+  try {
+    const shortlist = await Shortlist.findById(req.params.id);
+    
+    if (!shortlist) {
+      return res.status(404).json({ error: 'Shortlist not found' });
+    }
+    
+    const cvsUpdated = await clearShortlist(shortlist._id);
+    await shortlist.deleteOne();
+    
+    res.json({ message: 'Shortlist deleted', id: shortlist._id, cvsUpdated });
+  } catch (error) {
+    console.error('Error deleting shortlist:', error);
+    res.status(500).json({ error: 'Failed to delete shortlist', details: error.message });
+  }
+}
+
+/**
+ * Add candidates to a shortlist
+ * @param {Object} req - Express request object (body: cvIds)
+ * @param {Object} res - Express response object
+ */
+async function addShortlistCandidates(req, res) {
+  try {
+    const { cvIds } = req.body || {};
+    
+    if (!Array.isArray(cvIds) || cvIds.length === 0) {
+      return res.status(400).json({ error: 'cvIds must be a non-empty array' });
+    }
+    
+    const shortlist = await Shortlist.findById(req.params.id).select('_id');
+    
+    if (!shortlist) {
+      return res.status(404).json({ error: 'Shortlist not found' });
+    }
+    
+    const { added, notFound } = await addToShortlist(shortlist._id, cvIds.map(String));
+    recordAudit(req, 'update', { cvIds: added, details: { changes: ['recruiting.shortlists'], shortlistId: shortlist._id } });
+    
+    res.json({ message: 'Candidates added', added, notFound });
+  } catch (error) {
+    console.error('Error adding shortlist candidates:', error);
+    res.status(500).json({ error: 'Failed to add candidates', details: error.message });
+  }
+}
+
+/**
+ * Remove a candidate from a shortlist
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function removeShortlistCandidate(req, res) {
+  try {
+    const shortlist = await Shortlist.findById(req.params.id).select('_id');
+    
+    if (!shortlist) {
+      return res.status(404).json({ error: 'Shortlist not found' });
+    }
+    
+    const recruiting = await removeFromShortlist(shortlist._id, req.params.cvId);
+    
+    if (!recruiting) {
+      return res.status(404).json({ error: 'CV not found' });
+    }
+    
+    recordAudit(req, 'update', {
+      cvIds: [req.params.cvId],
+      details: { changes: ['recruiting.shortlists'], shortlistId: shortlist._id }
+    });
+    res.json({ message: 'Candidate removed', recruiting });
+  } catch (error) {
+    console.error('Error removing shortlist candidate:', error);
+    res.status(500).json({ error: 'Failed to remove candidate', details: error.message });
+  }
+}
+
+module.exports = {
+  listShortlists,
+  getShortlist,
+  createShortlist,
+  updateShortlist,
+  deleteShortlist,
+  addShortlistCandidates,
+  removeShortlistCandidate
+};
@@ -0,0 +1,327 @@
+const yaml = require('js-yaml');
+const Skill = require('../models/skillModel');
+const {
+  skillKey,
+  normalizeDefinition,
+  validateTaxonomy,
+  parseTaxonomy,
+  readTaxonomyFile,
+  loadSkillTaxonomy,
+  listSkills: listTaxonomySkills,
+  resolveSkill,
+  getAncestors,
+  getDescendants
+} = require('../utils/skillTaxonomy');
+
+// Fields of a skill that can be set through the API
+const EDITABLE_FIELDS = ['name', 'aliases', 'parents', 'category', 'caseSensitive', 'requiresContext'];
+
+/**
+ * Read all skill definitions from the database
+ * @returns {Promise<Object[]>} - Normalized definitions
+ */
+async function loadDefinitions() {
+  const skills = await Skill.find().lean();
+  return skills.map(normalizeDefinition);
+}
+
+/**
+ * Find a definition by canonical name or alias
+ * @param {Object[]} definitions - Skill definitions
+ * @param {string} name - Name or alias
+ * @returns {Object|undefined}
+ */
+function findDefinition(definitions, name) {
+  const key = skillKey(name);
+  return definitions.find(definition =>
+    skillKey(definition.name) === key || definition.aliases.some(alias => skillKey(alias) === key)
+  );
+}
+
+/**
+ * Describe a skill with its direct children
+ * @param {Object} definition - Skill definition
+ * @param {Object[]} definitions - All skill definitions
+ * @returns {Object}
+ */
+function describeSkill(definition, definitions) {
+  return {
+    ...definition,
+    children: definitions.filter(other => other.parents.includes(definition.name)).map(other => other.name)
+  };
+}
+
+/**
+ * List the skill taxonomy
+ * @param {Object} req - Express request object (query: q, category)
+ * @param {Object} res - Express response object
+ */
+async function listSkills(req, res) {
+  try {
+    const definitions = listTaxonomySkills();
+    let skills = definitions;
+    
+    if (req.query.q) {
+      const key = skillKey(req.query.q);
+      skills = skills.filter(skill => [skill.name, ...skill.aliases].some(term => skillKey(term).includes(key)));
+    }
+    
+    if (req.query.category) {
+      skills = skills.filter(skill => skill.category && skill.category.toLowerCase() === String(req.query.category).toLowerCase());
+    }
+    
+    res.json({
+      total: skills.length,
+      categories: [...new Set(definitions.map(skill => skill.category).filter(Boolean))].sort(),
+      skills: skills.map(skill => describeSkill(skill, definitions))
+    });
+  } catch (error) {
+    console.error('Error listing skills:', error);
+    res.status(500).json({ error: 'Failed to list skills', details: error.message });
+  }
+}
+
+/**
+ * Get a skill by name or alias, with the skills it implies and the skills implying it
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getSkill(req, res) {
+  try {
+    const definitions = listTaxonomySkills();
+    const definition = findDefinition(definitions, req.params.name);
+    
+    if (!definition) {
+      return res.status(404).json({ error: 'Skill not found' });
+    }
+    
+    res.json({
+      ...describeSkill(definition, definitions),
+      ancestors: getAncestors(definition.name),
+      descendants: getDescendants(definition.name)
+    });
+  } catch (error) {
+    console.error('Error fetching skill:', error);
+    res.status(500).json({ error: 'Failed to fetch skill', details: error.message });
+  }
+}
+
+/**
+ * Resolve skill names to canonical skills
+ * @param {Object} req - Express request object (query: skills, comma-separated)
+ * @param {Object} res - Express response object
+ */
+async function normalizeSkillNames(req, res) {
+  try {
+    if (!req.query.skills) {
+      return res.status(400).json({ error: 'skills query parameter is required' });
+    }
+    
+    const skills = String(req.query.skills).split(',').map(skill => skill.trim()).filter(Boolean).map(input => {
+      const skill = resolveSkill(input);
+      return {
+        input,
+        skill,
+        implies: skill ? getAncestors(skill) : []
+      };
+    });
+    
+    res.json({ skills });
+  } catch (error) {
+    console.error('Error normalizing skills:', error);
+    res.status(500).json({ error: 'Failed to normalize skills', details: error.message });
+  }
+}
+
+/**
+ * Add a skill to the taxonomy
+ * @param {Object} req - Express request object (body: name, aliases, parents, category, caseSensitive, requiresContext)
+ * @param {Object} res - Express response object
+ */
+async function createSkill(req, res) {
+  try {
+    const definition = normalizeDefinition(req.body || {});
+    const definitions = await loadDefinitions();
+    
+    if (definition.name && findDefinition(definitions, definition.name)) {
+      return res.status(409).json({ error: 'Skill already exists', skill: findDefinition(definitions, definition.name).name });
+    }
+    
+    const errors = validateTaxonomy([...definitions, definition]);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid skill', details: errors });
+    }
+    
+    await Skill.create(definition);
+    await loadSkillTaxonomy();
+    
+    res.status(201).json({ message: 'Skill created', skill: definition });
+  } catch (error) {
+    console.error('Error creating skill:', error);
+    res.status(500).json({ error: 'Failed to create skill', details: error.message });
+  }
+}
+
+/**
+ * Update a skill. Renaming keeps the old name as an alias and updates skills listing it as a parent.
+ * @param {Object} req - Express request object (body: any of name, aliases, parents, category, caseSensitive, requiresContext)
+ * @param {Object} res - Express response object
+ */
+async function updateSkill(req, res) {
+  try {
+    const definitions = await loadDefinitions();
+    const existing = findDefinition(definitions, req.params.name);
+    
+    if (!existing) {
+      return res.status(404).json({ error: 'Skill not found' });
+    }
+    
+    const changes = Object.fromEntries(Object.entries(req.body || {}).filter(([key]) => EDITABLE_FIELDS.includes(key)));
+    const updated = normalizeDefinition({ ...existing, ...changes });
+    const renamed = updated.name !== existing.name;
+    
+    if (renamed && !updated.aliases.some(alias => skillKey(alias) === skillKey(existing.name))) {
+      updated.aliases = normalizeDefinition({ ...updated, aliases: [...updated.aliases, existing.name] }).aliases;
+    }
+    
+    const others = definitions
+      .filter(definition => definition.name !== existing.name)
+      .map(definition => renamed
+        ? { ...definition, parents: definition.parents.map(parent => parent === existing.name ? updated.name : parent) }
+        : definition);
+    
+    const errors = validateTaxonomy([...others, updated]);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid skill', details: errors });
+    }
+    
+    const { category, ...fields } = updated;
+    await Skill.updateOne({ name: existing.name }, category ? { $set: updated } : { $set: fields, $unset: { category: 1 } });
+    if (renamed) {
+      await Skill.updateMany({ parents: existing.name }, { $set: { 'parents.$': updated.name } });
+    }
+    await loadSkillTaxonomy();
+    
+    res.json({ message: 'Skill updated', skill: updated });
+  } catch (error) {
+    console.error('Error updating skill:', error);
+    res.status(500).json({ error: 'Failed to update skill', details: error.message });
+  }
+}
+
+/**
+ * Remove a skill from the taxonomy. Its children lose it as a parent.
+ * Existing CVs keep the skill name; it is then treated like any skill outside the taxonomy.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function deleteSkill(req, res) {
+  try {
+    const definitions = await loadDefinitions();
+    const existing = findDefinition(definitions, req.params.name);
+    
+    if (!existing) {
+      return res.status(404).json({ error: 'Skill not found' });
+    }
+    
+    await Skill.deleteOne({ name: existing.name });
+    const { modifiedCount } = await Skill.updateMany({ parents: existing.name }, { $pull: { parents: existing.name } });
+    await loadSkillTaxonomy();
+    
+    res.json({ message: 'Skill deleted', skill: existing.name, childrenUpdated: modifiedCount });
+  } catch (error) {
+    console.error('Error deleting skill:', error);
+    res.status(500).json({ error: 'Failed to delete skill', details: error.message });
+  }
+}
+
+/**
+ * Import skills from a JSON or YAML document, or from the configured taxonomy file.
+ * mode=merge (default) adds and overwrites skills by name; mode=replace replaces the whole taxonomy.
+ * @param {Object} req - Express request object (query: mode, source=file; body: JSON taxonomy or YAML text)
+ * @param {Object} res - Express response object
+ */
+async function importSkills(req, res) {
+  try {
+    const mode = req.query.mode || 'merge';
+    
+    if (!['merge', 'replace'].includes(mode)) {
+      return res.status(400).json({ error: 'mode must be "merge" or "replace"' });
+    }
+    
+    let imported;
+    try {
+      if (req.query.source === 'file') {
+        imported = readTaxonomyFile();
+      } else if (typeof req.body === 'string') {
+        imported = parseTaxonomy(req.body);
+      } else {
+        imported = parseTaxonomy(JSON.stringify(req.body || null), 'json');
+      }
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid taxonomy document', details: error.message });
+    }
+    
+    const importedNames = new Set(imported.map(definition => definition.name));
+    const definitions = mode === 'replace'
+      ? imported
+      : [...(await loadDefinitions()).filter(definition => !importedNames.has(definition.name)), ...imported];
+    
+    const errors = validateTaxonomy(definitions);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid taxonomy', details: errors });
+    }
+    
+    if (mode === 'replace') {
+      await Skill.deleteMany({ name: { $nin: [...importedNames] } });
+    }
+    if (imported.length > 0) {
+      await Skill.bulkWrite(imported.map(definition => ({
+        replaceOne: { filter: { name: definition.name }, replacement: definition, upsert: true }
+      })));
+    }
+    const total = await loadSkillTaxonomy();
+    
+    res.json({ message: 'Skill taxonomy imported', mode, imported: imported.length, total });
+  } catch (error) {
+    console.error('Error importing skills:', error);
+    res.status(500).json({ error: 'Failed to import skills', details: error.message });
+  }
+}
+
+/**
+ * Download the skill taxonomy as JSON or YAML (the format accepted by import and SKILL_TAXONOMY_PATH)
+ * @param {Object} req - Express request object (query: format=json|yaml)
+ * @param {Object} res - Express response object
+ */
+async function exportSkills(req, res) {
+  try {
+    const format = req.query.format === 'yaml' ? 'yaml' : 'json';
+    const skills = (await loadDefinitions())
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map(definition => Object.fromEntries(Object.entries(definition).filter(([key, value]) =>
+        value !== undefined && !(Array.isArray(value) && value.length === 0) && !(['caseSensitive', 'requiresContext'].includes(key) && !value)
+      )));
+    
+    res.setHeader('Content-Disposition', `attachment; filename="skills.${format}"`);
+    if (format === 'yaml') {
+      res.type('application/yaml').send(yaml.dump({ skills }));
+    } else {
+      res.type('application/json').send(JSON.stringify({ skills }, null, 2));
+    }
+  } catch (error) {
+    console.error('Error exporting skills:', error);
+    res.status(500).json({ error: 'Failed to export skills', details: error.message });
+  }
+}
+
+module.exports = {
+  listSkills,
+  getSkill,
+  normalizeSkillNames,
+  createSkill,
+  updateSkill,
+  deleteSkill,
+  importSkills,
+  exportSkills
+};
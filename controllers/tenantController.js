@@ -0,0 +1,214 @@
+const Tenant = require('../models/tenantModel');
+const CV = require('../models/cvModel');
+const User = require('../models/userModel');
+const config = require('../config/config');
+const { TENANT_SETTINGS, runWithTenant, getTenantConfig } = require('../utils/tenantScope');
+const { findTenant, invalidateTenant } = require('../utils/tenants');
+const { hasProvider } = require('../utils/providers');
+
+// Validators of overridable settings; each returns an error message or null
+const SETTING_VALIDATORS = {
+  upload: value => (Number.isInteger(value) && value > 0 ? null : 'must be a positive integer'),
+  ai: value => (typeof value === 'string' && hasProvider(value) ? null : 'must be a registered AI provider'),
+  duplicates: (value, key) => key === 'enabled'
+    ? (typeof value === 'boolean' ? null : 'must be true or false')
+    : (typeof value === 'number' && value >= 0 && value <= 1 ? null : 'must be a number between 0 and 1'),
+  matching: (value, key) => key === 'candidatePoolSize'
+    ? (Number.isInteger(value) && value > 0 ? null : 'must be a positive integer')
+    : (typeof value === 'number' && value >= 0 ? null : 'must be a non-negative number'),
+  pii: value => (typeof value === 'boolean' ? null : 'must be true or false'),
+  retention: (value, key) => key === 'enabled'
+    ? (typeof value === 'boolean' ? null : 'must be true or false')
+    : (Number.isInteger(value) && value > 0 ? null : 'must be a positive integer')
+};
+
+/**
+ * Validate settings overrides. null removes an override.
+ * @param {*} settings - Settings from the request body
+ * @returns {string[]} - Error messages
+ */
+function validateSettings(settings) {
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    return ['settings must be an object'];
+  }
+  
+  const errors = [];
+  for (const [section, values] of Object.entries(settings)) {
+    if (!TENANT_SETTINGS[section]) {
+      errors.push(`settings.${section} cannot be overridden (allowed: ${Object.keys(TENANT_SETTINGS).join(', ')})`);
+      continue;
+    }
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+      errors.push(`settings.${section} must be an object`);
+      continue;
+    }
+    for (const [key, value] of Object.entries(values)) {
+      if (!TENANT_SETTINGS[section].includes(key)) {
+        errors.push(`settings.${section}.${key} cannot be overridden (allowed: ${TENANT_SETTINGS[section].join(', ')})`);
+      } else if (value !== null) {
+        const error = SETTING_VALIDATORS[section](value, key);
+        if (error) {
+          errors.push(`settings.${section}.${key} ${error}`);
+        }
+      }
+    }
+  }
+  return errors;
+}
+
+/**
+ * Apply validated settings overrides to a tenant document
+ * @param {Object} tenant - Tenant document
+ * @param {Object} settings - Settings from the request body
+ */
+function applySettings(tenant, settings) {
+  for (const [section, values] of Object.entries(settings)) {
+    for (const [key, value] of Object.entries(values)) {
+      tenant.set(`settings.${section}.${key}`, value === null ? undefined : value);
+    }
+  }
+}
+
+/**
+ * Describe a tenant with the configuration that applies to it and its usage
+ * @param {Object} tenant - Tenant document
+ * @returns {Promise<Object>}
+ */
+async function describeTenant(tenant) {
+  const context = tenant.toContext();
+  
+  return runWithTenant(context, async () => ({
+    ...context,
+    default: tenant.slug === config.tenants.defaultSlug,
+    effectiveSettings: Object.fromEntries(Object.entries(TENANT_SETTINGS).map(([section, keys]) => [
+      section,
+      Object.fromEntries(keys.map(key => [key, getTenantConfig(section)[key]]))
+    ])),
+    usage: {
+      cvs: await CV.countDocuments(CV.searchableConditions()),
+      users: await User.countDocuments()
+    },
+    createdAt: tenant.createdAt,
+    updatedAt: tenant.updatedAt
+  }));
+}
+
+/**
+ * List tenants
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function listTenants(req, res) {
+  try {
+    const tenants = await Tenant.find().sort({ slug: 1 });
+    res.json({ tenants: tenants.map(tenant => ({ ...tenant.toContext(), createdAt: tenant.createdAt })) });
+  } catch (error) {
+    console.error('Error listing tenants:', error);
+    res.status(500).json({ error: 'Failed to list tenants', details: error.message });
+  }
+}
+
+/**
+ * Get a tenant by slug or ID, with its effective settings and usage
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getTenant(req, res) {
+  try {
+    const found = await findTenant(req.params.id);
+    const tenant = found && await Tenant.findById(found.id);
+    
+    if (!tenant) {
+      return res.status(404).json({ error: 'Tenant not found' });
+    }
+    
+    res.json(await describeTenant(tenant));
+  } catch (error) {
+    console.error('Error fetching tenant:', error);
+    res.status(500).json({ error: 'Failed to fetch tenant', details: error.message });
+  }
+}
+
+/**
+ * Create a tenant
+ * @param {Object} req - Express request object (body: slug, name, settings)
+ * @param {Object} res - Express response object
+ */
+async function createTenant(req, res) {
+  try {
+    const { slug, name, settings = {} } = req.body || {};
+    
+    if (typeof slug !== 'string' || !/^[a-z0-9][a-z0-9-]{1,62}$/.test(slug.trim().toLowerCase())) {
+      return res.status(400).json({
+        error: 'Invalid tenant',
+        details: 'slug must be 2-63 lowercase letters, digits or dashes'
+      });
+    }
+    
+    const errors = validateSettings(settings);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid tenant settings', details: errors });
+    }
+    
+    if (await Tenant.exists({ slug: slug.trim().toLowerCase() })) {
+      return res.status(409).json({ error: 'A tenant with this slug already exists' });
+    }
+    
+    const tenant = new Tenant({ slug, name: name || slug });
+    applySettings(tenant, settings);
+    await tenant.save();
+    
+    res.status(201).json({ message: 'Tenant created', tenant: await describeTenant(tenant) });
+  } catch (error) {
+    console.error('Error creating tenant:', error);
+    res.status(500).json({ error: 'Failed to create tenant', details: error.message });
+  }
+}
+
+/**
+ * Update a tenant's name, active flag or settings overrides (null removes an override)
+ * @param {Object} req - Express request object (body: name, active, settings)
+ * @param {Object} res - Express response object
+ */
+async function updateTenant(req, res) {
+  try {
+    const { name, active, settings } = req.body || {};
+    
+    if (settings !== undefined) {
+      const errors = validateSettings(settings);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid tenant settings', details: errors });
+      }
+    }
+    
+    const found = await findTenant(req.params.id);
+    const tenant = found && await Tenant.findById(found.id);
+    
+    if (!tenant) {
+      return res.status(404).json({ error: 'Tenant not found' });
+    }
+    
+    // Platform accounts fall back to the default tenant, so it has to stay usable
+    if (active === false && tenant.slug === config.tenants.defaultSlug) {
+      return res.status(400).json({ error: 'The default tenant cannot be deactivated' });
+    }
+    
+    if (name !== undefined) tenant.name = name;
+    if (active !== undefined) tenant.active = Boolean(active);
+    if (settings !== undefined) applySettings(tenant, settings);
+    await tenant.save();
+    invalidateTenant(tenant._id);
+    
+    res.json({ message: 'Tenant updated', tenant: await describeTenant(tenant) });
+  } catch (error) {
+    console.error('Error updating tenant:', error);
+    res.status(500).json({ error: 'Failed to update tenant', details: error.message });
+  }
+}
+
+module.exports = {
+  listTenants,
+  getTenant,
+  createTenant,
+  updateTenant
+};
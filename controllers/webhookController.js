@@ -0,0 +1,350 @@
+const mongoose = require('mongoose');
+const WebhookSubscription = require('../models/webhookSubscriptionModel');
+const WebhookDelivery = require('../models/webhookDeliveryModel');
+const { parseEventTypes, EVENT_TYPES } = require('../utils/events');
+const { generateSigningSecret } = require('../utils/signing');
+const { getNotifier } = require('../utils/notifiers');
+const { replayDelivery } = require('../utils/webhookDispatcher');
+const { getActorName } = require('../utils/auth');
+
+const DELIVERY_STATUSES = WebhookDelivery.schema.path('status').enumValues;
+
+// Dead letters replayed by one bulk replay request
+const MAX_BULK_REPLAY = 1000;
+
+// Most deliveries returned per page
+const MAX_DELIVERY_LIMIT = 100;
+
+/**
+ * Check a subscription definition and collect the fields to store
+ * @param {Object} body - Request body
+ * @param {boolean} partial - Whether fields may be left out (updates)
+ * @returns {Object} - { fields, errors }
+ */
+function validateSubscription(body, partial) {
+  const { url, events, description, secret, active } = body;
+  const fields = {};
+  const errors = [];
+  
+  if (url !== undefined || !partial) {
+    const error = typeof url === 'string' ? getNotifier('webhook').validate({ url }) : 'url is required';
+    if (error) errors.push(error);
+    else fields.url = url;
+  }
+  if (events !== undefined) {
+    const { types, invalid } = parseEventTypes(events);
+    if (invalid.length > 0) errors.push(`Unknown events: ${invalid.join(', ')} (use ${EVENT_TYPES.join(', ')} or *)`);
+    else fields.events = types || [];
+  }
+  if (description !== undefined) {
+    if (typeof description !== 'string') errors.push('description must be a string');
+    else fields.description = description;
+  }
+  if (secret !== undefined) {
+    if (typeof secret !== 'string' || secret.length < 16) errors.push('secret must be a string of at least 16 characters');
+    else fields.secret = secret;
+  }
+  if (active !== undefined) {
+    fields.active = Boolean(active);
+  }
+  
+  return { fields, errors };
+}
+
+/**
+ * Send a page of deliveries matching conditions, newest first
+ * @param {Object} conditions - MongoDB filter conditions
+ * @param {Object} query - Query parameters (event, limit, page)
+ * @param {Object} res - Express response object
+ */
+async function sendDeliveries(conditions, query, res) {
+  const limit = Number(query.limit || 20);
+  const page = Number(query.page || 1);
+  
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_DELIVERY_LIMIT) {
+    return res.status(400).json({ error: 'Invalid limit', details: `limit must be an integer between 1 and ${MAX_DELIVERY_LIMIT}` });
+  }
+  if (!Number.isInteger(page) || page < 1) {
+    return res.status(400).json({ error: 'Invalid page', details: 'page must be an integer of at least 1' });
+  }
+  
+  if (query.event) {
+    conditions.event = query.event;
+  }
+  
+  const [deliveries, total] = await Promise.all([
+    WebhookDelivery.find(conditions).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+    WebhookDelivery.countDocuments(conditions)
+  ]);
+  
+  res.json({
+    deliveries: deliveries.map(delivery => delivery.toPublic()),
+    pagination: { total, page, limit, pages: Math.ceil(total / limit) }
+  });
+}
+
+/**
+ * List the tenant's webhook subscriptions
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function listWebhooks(req, res) {
+  try {
+    const subscriptions = await WebhookSubscription.find().sort({ createdAt: 1 });
+    res.json({ count: subscriptions.length, webhooks: subscriptions.map(subscription => subscription.toPublic()) });
+  } catch (error) {
+    console.error('Error listing webhooks:', error);
+    res.status(500).json({ error: 'Failed to list webhooks', details: error.message });
+  }
+}
+
+/**
+ * Get a webhook subscription with its delivery counts per status
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getWebhook(req, res) {
+  try {
+    const subscription = await WebhookSubscription.findById(req.params.id);
+    
+    if (!subscription) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    
+    const counts = await WebhookDelivery.aggregate([
+      { $match: { subscriptionId: subscription._id } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+    
+    res.json({
+      ...subscription.toPublic(),
+      deliveries: Object.fromEntries(DELIVERY_STATUSES.map(status => {
+        const entry = counts.find(item => item._id === status);
+        return [status, entry ? entry.count : 0];
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching webhook:', error);
+    res.status(500).json({ error: 'Failed to fetch webhook', details: error.message });
+  }
+}
+
+/**
+ * Subscribe a URL to CV lifecycle events
+ * @param {Object} req - Express request object (body: url, events, description, secret)
+ * @param {Object} res - Express response object
+ */
+async function createWebhook(req, res) {
+  try {
+    const { fields, errors } = validateSubscription(req.body || {}, false);
+    
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid webhook', details: errors });
+    }
+    
+    const subscription = await WebhookSubscription.create({
+      secret: generateSigningSecret(),
+      ...fields,
+      createdBy: getActorName(req.user)
+    });
+    
+    // The secret is only shown once
+    res.status(201).json({ message: 'Webhook created', webhook: subscription.toPublic(true) });
+  } catch (error) {
+    console.error('Error creating webhook:', error);
+    res.status(500).json({ error: 'Failed to create webhook', details: error.message });
+  }
+}
+
+/**
+ * Update a webhook subscription (rotateSecret: true generates a new secret)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function updateWebhook(req, res) {
+  try {
+    const body = req.body || {};
+    const { fields, errors } = validateSubscription(body, true);
+    
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid webhook', details: errors });
+    }
+    
+    if (body.rotateSecret === true && !fields.secret) {
+      fields.secret = generateSigningSecret();
+    }
+    
+    const subscription = await WebhookSubscription.findByIdAndUpdate(req.params.id, { $set: fields }, { new: true });
+    
+    if (!subscription) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    
+    res.json({ message: 'Webhook updated', webhook: subscription.toPublic(Boolean(fields.secret)) });
+  } catch (error) {
+    console.error('Error updating webhook:', error);
+    res.status(500).json({ error: 'Failed to update webhook', details: error.message });
+  }
+}
+
+/**
+ * Delete a webhook subscription and its deliveries
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function deleteWebhook(req, res) {
+  try {
+    const subscription = await WebhookSubscription.findByIdAndDelete(req.params.id);
+    
+    if (!subscription) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    
+    const { deletedCount } = await WebhookDelivery.deleteMany({ subscriptionId: subscription._id });
+    
+    res.json({ message: 'Webhook deleted', id: subscription._id, deliveriesDeleted: deletedCount });
+  } catch (error) {
+    console.error('Error deleting webhook:', error);
+    res.status(500).json({ error: 'Failed to delete webhook', details: error.message });
+  }
+}
+
+/**
+ * List the deliveries of a webhook subscription (?status, event, limit, page)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function listWebhookDeliveries(req, res) {
+  try {
+    const conditions = { subscriptionId: req.params.id };
+    if (req.query.status) {
+      if (!DELIVERY_STATUSES.includes(req.query.status)) {
+        return res.status(400).json({ error: 'Invalid status', details: `status must be one of: ${DELIVERY_STATUSES.join(', ')}` });
+      }
+      conditions.status = req.query.status;
+    }
+    
+    if (!(await WebhookSubscription.exists({ _id: req.params.id }))) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    
+    await sendDeliveries(conditions, req.query, res);
+  } catch (error) {
+    console.error('Error listing webhook deliveries:', error);
+    res.status(500).json({ error: 'Failed to list webhook deliveries', details: error.message });
+  }
+}
+
+/**
+ * Dead-letter log: deliveries of all subscriptions that used up their attempts
+ * (?subscriptionId, event, replayed=true|false, limit, page)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function listDeadLetters(req, res) {
+  try {
+    const conditions = { status: 'dead' };
+    if (req.query.subscriptionId) {
+      conditions.subscriptionId = req.query.subscriptionId;
+    }
+    if (req.query.replayed !== undefined) {
+      conditions.replayedAt = req.query.replayed === 'true' ? { $ne: null } : null;
+    }
+    
+    await sendDeliveries(conditions, req.query, res);
+  } catch (error) {
+    console.error('Error listing dead letters:', error);
+    res.status(500).json({ error: 'Failed to list dead letters', details: error.message });
+  }
+}
+
+/**
+ * Send a delivery again as a new delivery with fresh attempts
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function replayWebhookDelivery(req, res) {
+  try {
+    const delivery = await WebhookDelivery.findById(req.params.deliveryId);
+    
+    if (!delivery) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+    
+    if (!['delivered', 'dead'].includes(delivery.status)) {
+      return res.status(409).json({ error: 'Delivery is still in progress', details: `Status is ${delivery.status}` });
+    }
+    
+    if (!(await WebhookSubscription.exists({ _id: delivery.subscriptionId, active: true }))) {
+      return res.status(409).json({ error: 'Webhook is disabled', details: 'Activate the webhook before replaying its deliveries' });
+    }
+    
+    const replay = await replayDelivery(delivery);
+    
+    res.status(202).json({ message: 'Delivery queued for replay', delivery: replay.toPublic() });
+  } catch (error) {
+    console.error('Error replaying webhook delivery:', error);
+    res.status(500).json({ error: 'Failed to replay webhook delivery', details: error.message });
+  }
+}
+
+/**
+ * Replay dead letters that were not replayed yet, oldest first
+ * @param {Object} req - Express request object (body: subscriptionId, event, since)
+ * @param {Object} res - Express response object
+ */
+async function replayDeadLetters(req, res) {
+  try {
+    const { subscriptionId, event, since } = req.body || {};
+    const conditions = { status: 'dead', replayedAt: null };
+    
+    if (subscriptionId !== undefined) {
+      if (!mongoose.isValidObjectId(subscriptionId)) {
+        return res.status(400).json({ error: 'Invalid subscriptionId' });
+      }
+      conditions.subscriptionId = subscriptionId;
+    }
+    if (event !== undefined) {
+      conditions.event = event;
+    }
+    if (since !== undefined) {
+      const sinceDate = new Date(since);
+      if (isNaN(sinceDate.getTime())) {
+        return res.status(400).json({ error: 'Invalid since', details: 'since must be a date' });
+      }
+      conditions.createdAt = { $gte: sinceDate };
+    }
+    
+    // Dead letters of disabled subscriptions would only die again
+    const activeIds = await WebhookSubscription.distinct('_id', { active: true });
+    conditions.subscriptionId = conditions.subscriptionId
+      ? { $eq: conditions.subscriptionId, $in: activeIds }
+      : { $in: activeIds };
+    
+    const deadLetters = await WebhookDelivery.find(conditions).sort({ createdAt: 1 }).limit(MAX_BULK_REPLAY);
+    for (const delivery of deadLetters) {
+      await replayDelivery(delivery);
+    }
+    
+    res.status(202).json({
+      message: 'Dead letters queued for replay',
+      count: deadLetters.length,
+      remaining: await WebhookDelivery.countDocuments(conditions)
+    });
+  } catch (error) {
+    console.error('Error replaying dead letters:', error);
+    res.status(500).json({ error: 'Failed to replay dead letters', details: error.message });
+  }
+}
+
+module.exports = {
+  listWebhooks,
+  getWebhook,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  listWebhookDeliveries,
+  listDeadLetters,
+  replayWebhookDelivery,
+  replayDeadLetters
+};
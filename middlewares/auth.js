@@ -0,0 +1,200 @@
+const config = require('../config/config');
+const User = require('../models/userModel');
+const ApiKey = require('../models/apiKeyModel');
+const { verifyToken, hashApiKey, getApiKeyPrefix, digestsEqual, hasRole, isPlatformAdmin } = require('../utils/auth');
+const { BLIND_REMOVED_FIELDS, BLIND_REMOVED_METADATA } = require('../utils/pii');
+
+// Response fields viewers do not get: raw CV text, recruiter notes and everything blind views remove
+// because it identifies or reaches the candidate (contact details, links, file names)
+const VIEWER_REDACTED_FIELDS = new Set([
+  'content',
+  'matchedBy',
+  'notes',
+  ...BLIND_REMOVED_FIELDS,
+  ...BLIND_REMOVED_METADATA
+]);
+
+// Only record API key usage once per interval to avoid a write on every request
+const LAST_USED_INTERVAL = 60 * 1000;
+
+/**
+ * Find the API key matching a presented key
+ * @param {string} key - Key from the request
+ * @returns {Promise<Object|null>} - Principal, or null if the key is unknown, revoked or expired
+ */
+async function resolveApiKey(key) {
+  const prefix = getApiKeyPrefix(key);
+  if (!prefix) {
+    return null;
+  }
+  
+  const apiKey = await ApiKey.findOne({ prefix, revokedAt: null });
+  if (!apiKey || !digestsEqual(apiKey.keyHash, hashApiKey(key))) {
+    return null;
+  }
+  if (apiKey.expiresAt && apiKey.expiresAt <= new Date()) {
+    return null;
+  }
+  
+  if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > LAST_USED_INTERVAL) {
+    ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date() })
+      .catch(error => console.error('Failed to record API key usage:', error.message));
+  }
+  
+  return {
+    type: 'apiKey',
+    id: apiKey._id.toString(),
+    name: `apikey:${apiKey.name}`,
+    role: apiKey.role,
+    tenantId: apiKey.tenantId ? apiKey.tenantId.toString() : null
+  };
+}
+
+/**
+ * Find the user of a session token. The role is read from the user, so role changes
+ * and deactivation apply to existing sessions immediately.
+ * @param {string} token - JWT
+ * @returns {Promise<Object|null>} - Principal, or null if the token or user is invalid
+ */
+async function resolveSession(token) {
+  const claims = verifyToken(token);
+  if (!claims || !claims.sub) {
+    return null;
+  }
+  
+  const user = await User.findOne({ _id: claims.sub, active: true }).lean();
+  if (!user) {
+    return null;
+  }
+  
+  return {
+    type: 'user',
+    id: user._id.toString(),
+    name: user.email,
+    email: user.email,
+    role: user.role,
+    tenantId: user.tenantId ? user.tenantId.toString() : null
+  };
+}
+
+/**
+ * Authenticate the request with a session token (Authorization: Bearer <jwt>)
+ * or an API key (X-API-Key: <key> or Authorization: Bearer <key>) and set req.user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+async function authenticate(req, res, next) {
+  if (!config.auth.enabled) {
+    req.user = { type: 'anonymous', id: null, name: 'anonymous', role: 'admin', tenantId: null };
+    return next();
+  }
+  
+  try {
+    const header = req.get('authorization') || '';
+    const bearer = /^bearer\s+/i.test(header) ? header.replace(/^bearer\s+/i, '').trim() : null;
+    const apiKey = (req.get('x-api-key') || '').trim() || (bearer && getApiKeyPrefix(bearer) ? bearer : null);
+    
+    const principal = apiKey
+      ? await resolveApiKey(apiKey)
+      : (bearer ? await resolveSession(bearer) : null);
+    
+    if (!principal) {
+      return res.status(401).json({
+        error: 'Authentication required',
+        details: 'Send a session token as "Authorization: Bearer <token>" or an API key as "X-API-Key: <key>"'
+      });
+    }
+    
+    req.user = principal;
+    next();
+  } catch (error) {
+    console.error('Error authenticating request:', error);
+    res.status(500).json({ error: 'Failed to authenticate request', details: error.message });
+  }
+}
+
+/**
+ * Accept credentials as query parameters (?access_token=<token or key>, ?tenant=<slug or ID>)
+ * for clients that cannot set headers, such as the browser's EventSource.
+ * Only used for the event stream, since URLs end up in access logs.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+function acceptQueryCredentials(req, res, next) {
+  if (typeof req.query.access_token === 'string' && !req.get('authorization') && !req.get('x-api-key')) {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  if (typeof req.query.tenant === 'string' && !req.get('x-tenant-id')) {
+    req.headers['x-tenant-id'] = req.query.tenant;
+  }
+  next();
+}
+
+/**
+ * Only let callers with at least the given role through
+ * @param {string} role - Minimum role ('viewer', 'recruiter' or 'admin')
+ * @returns {Function} - Express middleware
+ */
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!hasRole(req.user, role)) {
+      return res.status(403).json({ error: 'Forbidden', details: `This action requires the ${role} role` });
+    }
+    next();
+  };
+}
+
+/**
+ * Only let platform admins (admins that do not belong to a tenant) through
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+function requirePlatformAdmin(req, res, next) {
+  if (!isPlatformAdmin(req.user)) {
+    return res.status(403).json({ error: 'Forbidden', details: 'This action requires a platform admin account' });
+  }
+  next();
+}
+
+/**
+ * Remove restricted fields from a response body at any depth
+ * @param {*} value - JSON-compatible value
+ * @returns {*} - Value without restricted fields
+ */
+function redactValue(value) {
+  if (Array.isArray(value)) {
+    return value.map(redactValue);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value)
+      .filter(([key]) => !VIEWER_REDACTED_FIELDS.has(key))
+      .map(([key, item]) => [key, redactValue(item)]));
+  }
+  return value;
+}
+
+/**
+ * Strip contact details, file names, recruiter notes and raw CV content from JSON responses sent to viewers
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+function redactForViewers(req, res, next) {
+  if (req.user && !hasRole(req.user, 'recruiter')) {
+    const json = res.json.bind(res);
+    // Serialize first so Mongoose documents, ObjectIds and dates become plain values
+    res.json = body => json(body === undefined ? body : redactValue(JSON.parse(JSON.stringify(body))));
+  }
+  next();
+}
+
+module.exports = {
+  authenticate,
+  acceptQueryCredentials,
+  requireRole,
+  requirePlatformAdmin,
+  redactForViewers
+};
@@ -1,3 +1,5 @@
+const { describeSupportedFormats } = require('../utils/extractors');
+
 /**
  * Global error handler middleware
  */
@@ -12,11 +14,19 @@ const errorHandler = (err, req, res, next) => {
     });
   }
   
-  // Multer file type error
-  if (err.message === 'Only PDF files are allowed') {
+  // Multer file count error (bulk uploads)
+  if (err.code === 'LIMIT_FILE_COUNT') {
+    return res.status(413).json({
+      error: 'Too many files',
+      details: 'The upload exceeds the maximum number of files per request'
+    });
+  }
+  
+  // File type not handled by any registered extractor
+  if (err.code === 'UNSUPPORTED_FILE_TYPE') {
     return res.status(415).json({
       error: 'Invalid file type',
-      details: 'Only PDF files are accepted'
+      details: `Supported formats: ${describeSupportedFormats()}`
     });
   }
   
@@ -0,0 +1,65 @@
+const { isPlatformAdmin } = require('../utils/auth');
+const { runWithTenant, getCurrentTenant } = require('../utils/tenantScope');
+const { getTenantById, findTenant, getDefaultTenant, matchesTenant } = require('../utils/tenants');
+
+/**
+ * Select the tenant of the request and run the rest of the request inside it.
+ * Tenant accounts always act in their own tenant; platform admins (and every caller
+ * when auth is disabled) can pick one with the X-Tenant-ID header (slug or ID) and
+ * otherwise use the default tenant.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+async function resolveTenant(req, res, next) {
+  try {
+    const requested = (req.get('x-tenant-id') || '').trim();
+    const user = req.user;
+    let tenant;
+    
+    if (user && user.tenantId) {
+      tenant = await getTenantById(user.tenantId);
+      if (requested && !matchesTenant(tenant, requested)) {
+        return res.status(403).json({ error: 'Forbidden', details: 'This account cannot access other tenants' });
+      }
+    } else if (requested) {
+      if (!isPlatformAdmin(user)) {
+        return res.status(403).json({ error: 'Forbidden', details: 'Only platform admins can select a tenant' });
+      }
+      tenant = await findTenant(requested);
+      if (!tenant) {
+        return res.status(404).json({ error: 'Tenant not found' });
+      }
+    } else {
+      tenant = await getDefaultTenant();
+    }
+    
+    if (!tenant || !tenant.active) {
+      return res.status(403).json({ error: 'Forbidden', details: 'The tenant is not available' });
+    }
+    
+    req.tenant = tenant;
+    runWithTenant(tenant, next);
+  } catch (error) {
+    console.error('Error resolving tenant:', error);
+    res.status(500).json({ error: 'Failed to resolve tenant', details: error.message });
+  }
+}
+
+/**
+ * Wrap a callback-style middleware (e.g. multer) so the request continues in its tenant.
+ * Such middleware calls next from stream events, which lose the tenant context.
+ * @param {Function} middleware - Express middleware
+ * @returns {Function} - Express middleware
+ */
+function keepTenant(middleware) {
+  return (req, res, next) => {
+    const tenant = getCurrentTenant();
+    middleware(req, res, error => runWithTenant(tenant, () => next(error)));
+  };
+}
+
+module.exports = {
+  resolveTenant,
+  keepTenant
+};
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+const { tenantScopePlugin } = require('../utils/tenantScope');
+
+// Define Alert Schema - a new CV that matched a saved search, with the outcome per channel
+const alertSchema = new mongoose.Schema({
+  savedSearchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SavedSearch',
+    required: true,
+    index: true
+  },
+  savedSearchName: String,
+  // Owner of the saved search, whose inbox shows the alert
+  ownerId: mongoose.Schema.Types.ObjectId,
+  cvId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CV',
+    required: true,
+    index: true
+  },
+  candidateId: mongoose.Schema.Types.ObjectId,
+  // 'vector' (query similarity), 'text' (keywords, when no comparable embeddings exist) or 'filters' (no query)
+  matchedBy: {
+    type: String,
+    enum: ['vector', 'text', 'filters']
+  },
+  vectorScore: Number,
+  // Shown in the inbox and sent to channels (no contact details)
+  summary: {
+    originalName: String,
+    jobTitles: [String],
+    skills: [String],
+    experience: Number,
+    location: String
+  },
+  // Whether the saved search has the inbox channel
+  inbox: {
+    type: Boolean,
+    default: false
+  },
+  readAt: Date,
+  deliveries: [{
+    _id: false,
+    channel: String,
+    // URL or recipients, for troubleshooting
+    target: String,
+    status: {
+      type: String,
+      enum: ['sent', 'failed']
+    },
+    error: String,
+    at: Date
+  }]
+}, { timestamps: true });
+
+alertSchema.index({ ownerId: 1, inbox: 1, createdAt: -1 });
+
+// Alerts belong to the tenant of the saved search
+alertSchema.plugin(tenantScopePlugin);
+
+module.exports = mongoose.model('Alert', alertSchema);
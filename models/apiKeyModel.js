@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const { ROLES } = require('../utils/auth');
+const { tenantScopePlugin } = require('../utils/tenantScope');
+
+// Define API Key Schema - credentials of service integrations. Only a hash of the key is stored.
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  // Random part of the key after 'cvp_', used to find the key without storing it
+  prefix: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  keyHash: {
+    type: String,
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ROLES,
+    default: 'viewer'
+  },
+  createdBy: String,
+  expiresAt: Date,
+  revokedAt: Date,
+  lastUsedAt: Date
+}, { timestamps: true });
+
+/**
+ * API key details safe to return from the API
+ * @returns {Object}
+ */
+apiKeySchema.methods.toPublic = function() {
+  return {
+    id: this._id,
+    name: this.name,
+    prefix: this.prefix,
+    role: this.role,
+    tenantId: this.tenantId || null,
+    createdBy: this.createdBy,
+    expiresAt: this.expiresAt,
+    revokedAt: this.revokedAt,
+    lastUsedAt: this.lastUsedAt,
+    createdAt: this.createdAt
+  };
+};
+
+// API keys act in their tenant; keys without a tenant are platform keys
+apiKeySchema.plugin(tenantScopePlugin);
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
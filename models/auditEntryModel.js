@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const { tenantScopePlugin } = require('../utils/tenantScope');
+
+// Operations that would change or remove recorded entries
+const MUTATING_OPERATIONS = [
+  'updateOne',
+  'updateMany',
+  'replaceOne',
+  'findOneAndUpdate',
+  'findOneAndReplace',
+  'findOneAndDelete',
+  'deleteOne',
+  'deleteMany'
+];
+
+// Define Audit Entry Schema - who viewed, searched, exported, changed or deleted which CVs.
+// The log is append-only: entries are only ever inserted. They hold IDs, not CV content.
+const auditEntrySchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ['view', 'download', 'search', 'export', 'create', 'update', 'delete', 'restore', 'erase'],
+    required: true
+  },
+  // User, API key or background job ('system') that acted
+  actor: {
+    type: { type: String },
+    id: String,
+    name: String,
+    role: String
+  },
+  // CVs that were read or changed (search results, the viewed CV...)
+  cvIds: [mongoose.Schema.Types.ObjectId],
+  // What was done, e.g. { query, filters } for searches or { changes } for updates
+  details: mongoose.Schema.Types.Mixed,
+  ip: String,
+  at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+auditEntrySchema.index({ at: -1 });
+auditEntrySchema.index({ cvIds: 1, at: -1 });
+auditEntrySchema.index({ 'actor.name': 1, at: -1 });
+auditEntrySchema.index({ action: 1, at: -1 });
+
+for (const operation of MUTATING_OPERATIONS) {
+  auditEntrySchema.pre(operation, function() {
+    throw new Error('Audit entries are append-only');
+  });
+}
+
+auditEntrySchema.pre('save', function() {
+  if (!this.isNew) {
+    throw new Error('Audit entries are append-only');
+  }
+});
+
+// Entries belong to the tenant the action happened in
+auditEntrySchema.plugin(tenantScopePlugin);
+
+/**
+ * Public representation
+ * @returns {Object}
+ */
+auditEntrySchema.methods.toPublic = function() {
+  return {
+    id: this._id,
+    action: this.action,
+    actor: this.actor,
+    cvIds: this.cvIds,
+    details: this.details,
+    ip: this.ip,
+    at: this.at
+  };
+};
+
+module.exports = mongoose.model('AuditEntry', auditEntrySchema);
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+const { tenantScopePlugin } = require('../utils/tenantScope');
+
+// Status of a single file within a bulk upload
+const batchFileSchema = new mongoose.Schema({
+  filename: {
+    type: String,
+    required: true
+  },
+  // Archive the file was extracted from, if any
+  archive: String,
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'completed', 'failed', 'skipped'],
+    default: 'queued'
+  },
+  cvId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CV'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  warnings: [String],
+  error: String
+}, { timestamps: true });
+
+// Define Batch Schema for bulk uploads
+const batchSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'completed', 'completed_with_errors', 'failed'],
+    default: 'queued'
+  },
+  files: [batchFileSchema],
+  completedAt: Date
+}, { timestamps: true });
+
+/**
+ * Summarize file statuses of the batch
+ * @returns {Object} - Count of files per status
+ */
+batchSchema.methods.getCounts = function() {
+  const counts = { total: this.files.length, queued: 0, processing: 0, completed: 0, failed: 0, skipped: 0 };
+  for (const file of this.files) {
+    counts[file.status]++;
+  }
+  return counts;
+};
+
+/**
+ * Derive the overall batch status from its files
+ * @returns {string} - Batch status
+ */
+batchSchema.methods.deriveStatus = function() {
+  const counts = this.getCounts();
+  
+  if (counts.queued > 0 || counts.processing > 0) {
+    return counts.queued === counts.total ? 'queued' : 'processing';
+  }
+  if (counts.completed === 0) {
+    return 'failed';
+  }
+  return counts.failed > 0 || counts.skipped > 0 ? 'completed_with_errors' : 'completed';
+};
+
+// Batches belong to the tenant that uploaded them
+batchSchema.plugin(tenantScopePlugin);
+
+module.exports = mongoose.model('Batch', batchSchema);
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { computeExperienceYears } = require('../utils/cvProfile');
+const { tenantScopePlugin } = require('../utils/tenantScope');
 
 // Define CV Schema with improved structure
 const cvSchema = new mongoose.Schema({
@@ -14,36 +16,220 @@ const cvSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // MIME type of the uploaded file, as detected by the extractor registry
+  mimeType: {
+    type: String,
+    default: 'application/pdf'
+  },
+  // How the text was obtained ('text' layer or 'ocr')
+  extractionMethod: {
+    type: String,
+    enum: ['text', 'ocr'],
+    default: 'text'
+  },
   embeddings: {
     type: [Number],
     index: true, // This helps with vector search
     required: false, // Make embeddings optional
     default: []
   },
+  // Provider and model that produced the embeddings (vectors from different models are not comparable)
+  embeddingProvider: String,
+  embeddingModel: String,
+  // Original uploaded file kept in the configured storage backend
+  file: {
+    backend: String,
+    key: String,
+    size: Number,
+    // SHA-256 of the file bytes
+    checksum: String,
+    mimeType: String,
+    storedAt: Date
+  },
+  // Bulk upload task that created the CV, so a retried task never creates it twice
+  ingestTaskId: {
+    type: mongoose.Schema.Types.ObjectId,
+    index: true
+  },
   uploadDate: { 
     type: Date, 
     default: Date.now 
   },
   metadata: {
     skills: [String],
+    // Total years of experience, derived from workHistory when it has dates
     experience: Number,
+    experienceSource: {
+      type: String,
+      enum: ['timeline', 'stated']
+    },
     jobTitles: [String],
     education: [String],
+    // Positions, newest first
+    workHistory: [{
+      _id: false,
+      employer: String,
+      title: String,
+      location: String,
+      startDate: Date,
+      endDate: Date,
+      current: Boolean,
+      description: String
+    }],
+    educationHistory: [{
+      _id: false,
+      institution: String,
+      degree: String,
+      field: String,
+      year: Number
+    }],
+    // Spoken languages with CEFR level (A1-C2) or 'native'
+    languages: [{
+      _id: false,
+      language: String,
+      level: String
+    }],
+    certifications: [{
+      _id: false,
+      name: String,
+      issuer: String,
+      year: Number
+    }],
+    location: String,
+    links: {
+      github: String,
+      linkedin: String,
+      website: String,
+      other: [String]
+    },
     contactDetails: {
       email: String,
       phone: String
     }
   },
+  // Metadata as produced by AI/rule-based extraction; reprocessing only ever replaces this
+  extractedMetadata: mongoose.Schema.Types.Mixed,
+  // Recruiter corrections, applied on top of extractedMetadata to form metadata
+  corrections: mongoose.Schema.Types.Mixed,
+  correctedAt: Date,
+  correctedBy: String,
+  // How the extracted metadata was produced: prompt and schema versions, and per-field source and confidence
+  extraction: {
+    schemaVersion: Number,
+    promptVersion: Number,
+    // Provider/model that analyzed the CV (unset when only rules were used)
+    model: String,
+    // { [field]: { source: 'ai' | 'rules', confidence: 0-1, status } }
+    fields: mongoose.Schema.Types.Mixed,
+    // Problems found and repaired while validating the AI output
+    issues: [String],
+    extractedAt: Date
+  },
+  // Analysis version and source of the metadata ('ai' or 'rules'), used to find stale metadata
+  metadataVersion: Number,
+  metadataSource: {
+    type: String,
+    enum: ['ai', 'rules']
+  },
   // Track if this CV is searchable via vector search
   hasEmbeddings: {
     type: Boolean,
     default: false
-  }
+  },
+  // Number of embedded passages in the CVPassage collection (vector search ranks passages when there are any)
+  passageCount: {
+    type: Number,
+    default: 0
+  },
+  // SHA-256 of the normalized text content, used for duplicate detection
+  contentHash: {
+    type: String,
+    index: true
+  },
+  // Normalized contact details ('email:...', 'phone:...') used for duplicate detection
+  contactKeys: {
+    type: [String],
+    index: true
+  },
+  // All versions of the same person's CV share a candidate ID (the first CV's _id)
+  candidateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    index: true
+  },
+  version: {
+    type: Number,
+    default: 1
+  },
+  // Only the latest version of a candidate appears in search results
+  isLatestVersion: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+  // How this CV was linked to an existing candidate
+  duplicateMatch: {
+    cvId: mongoose.Schema.Types.ObjectId,
+    matchedBy: [String],
+    similarity: Number,
+    manual: Boolean,
+    linkedAt: Date
+  },
+  // Recruiting state of the candidate, kept the same on all versions (see utils/recruiting.js)
+  recruiting: {
+    // Pipeline stage; CVs without one count as 'new'
+    stage: {
+      type: String,
+      enum: ['new', 'screened', 'interview', 'offer', 'hired', 'rejected']
+    },
+    stageChangedAt: Date,
+    stageHistory: [{
+      _id: false,
+      stage: String,
+      from: String,
+      changedAt: Date,
+      changedBy: String,
+      reason: String
+    }],
+    notes: [{
+      text: String,
+      author: String,
+      createdAt: Date
+    }],
+    tags: [String],
+    shortlists: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Shortlist'
+    }],
+    // Candidate's consent to keeping their data beyond the retention period (see utils/retention.js)
+    retentionConsent: {
+      until: Date,
+      recordedAt: Date,
+      recordedBy: String,
+      note: String
+    }
+  },
+  // Soft deletion - the CV is kept but hidden from search and lookups
+  deletedAt: {
+    type: Date,
+    default: null,
+    index: true
+  },
+  deletedBy: String,
+  deletionReason: String
 }, { timestamps: true });
 
-// Add index for vector search if MongoDB version supports it
-// Note: This requires MongoDB 5.0+ with Atlas Search or MongoDB 6.0+ with vector search capability
-cvSchema.index({ embeddings: "vectorSearch" });
+// Indexes for the structured profile filters
+cvSchema.index({ 'metadata.workHistory.employer': 1 });
+cvSchema.index({ 'metadata.languages.language': 1, 'metadata.languages.level': 1 });
+cvSchema.index({ 'metadata.location': 1 });
+
+// Recruiting filters and facets
+cvSchema.index({ 'recruiting.stage': 1 });
+cvSchema.index({ 'recruiting.tags': 1 });
+cvSchema.index({ 'recruiting.shortlists': 1 });
+
+// Finding CVs extracted with older prompts or schemas
+cvSchema.index({ 'extraction.promptVersion': 1, 'extraction.schemaVersion': 1 });
 
 // Add text index for fallback searching
 cvSchema.index({ 
@@ -52,10 +238,139 @@ cvSchema.index({
   "metadata.jobTitles": "text"
 });
 
-// Pre-save middleware to check if embeddings exist
+/**
+ * Build normalized contact keys from contact details
+ * @param {Object} contactDetails - Contact details ({ email, phone })
+ * @returns {string[]} - Keys such as 'email:jane@example.com' and 'phone:5551234567'
+ */
+cvSchema.statics.buildContactKeys = function(contactDetails = {}) {
+  const keys = [];
+  
+  if (typeof contactDetails.email === 'string' && contactDetails.email.includes('@')) {
+    keys.push(`email:${contactDetails.email.trim().toLowerCase()}`);
+  }
+  
+  // Compare the last 9 digits so country codes and formatting do not matter
+  const digits = typeof contactDetails.phone === 'string' ? contactDetails.phone.replace(/\D/g, '') : '';
+  if (digits.length >= 7) {
+    keys.push(`phone:${digits.slice(-9)}`);
+  }
+  
+  return keys;
+};
+
+/**
+ * Conditions that limit queries to CVs that should appear in search results
+ * @returns {Object} MongoDB filter conditions
+ */
+cvSchema.statics.searchableConditions = function() {
+  // Older documents have no version fields and count as latest
+  return { isLatestVersion: { $ne: false }, deletedAt: null };
+};
+
+/**
+ * Recompute metadata from the extracted values and recruiter corrections
+ */
+cvSchema.methods.refreshMetadata = function() {
+  const extracted = this.extractedMetadata || {};
+  const corrections = this.corrections || {};
+  const merged = { ...extracted, ...corrections };
+  
+  // Contact details are corrected field by field
+  if (extracted.contactDetails || corrections.contactDetails) {
+    merged.contactDetails = { ...(extracted.contactDetails || {}), ...(corrections.contactDetails || {}) };
+  }
+  
+  // A corrected timeline also corrects the derived experience, unless experience itself was corrected
+  if (corrections.workHistory && corrections.experience === undefined) {
+    const derived = computeExperienceYears(corrections.workHistory);
+    if (derived !== null) {
+      merged.experience = derived;
+      merged.experienceSource = 'timeline';
+    }
+  }
+  
+  this.metadata = merged;
+};
+
+/**
+ * Store newly extracted metadata, keeping recruiter corrections in place
+ * @param {Object} metadata - Metadata from AI or rule-based extraction
+ */
+cvSchema.methods.setExtractedMetadata = function(metadata) {
+  this.extractedMetadata = metadata;
+  this.refreshMetadata();
+};
+
+/**
+ * Apply recruiter corrections (a null value removes the correction for that field)
+ * @param {Object} changes - Corrected metadata fields
+ * @param {string} [correctedBy] - Who made the correction
+ */
+cvSchema.methods.applyCorrections = function(changes, correctedBy) {
+  // Older documents only have metadata; keep it as the extracted baseline
+  if (!this.extractedMetadata) {
+    this.extractedMetadata = this.metadata ? this.metadata.toObject() : {};
+  }
+  
+  const corrections = { ...(this.corrections || {}) };
+  for (const [key, value] of Object.entries(changes)) {
+    if (value === null) {
+      delete corrections[key];
+    } else if (key === 'contactDetails') {
+      const contactDetails = { ...(corrections.contactDetails || {}), ...value };
+      for (const [field, fieldValue] of Object.entries(contactDetails)) {
+        if (fieldValue === null) delete contactDetails[field];
+      }
+      corrections.contactDetails = contactDetails;
+    } else {
+      corrections[key] = value;
+    }
+  }
+  
+  this.corrections = corrections;
+  this.markModified('corrections');
+  this.correctedAt = new Date();
+  this.correctedBy = correctedBy;
+  this.refreshMetadata();
+};
+
+// Pre-save middleware to check if embeddings exist and keep duplicate detection keys current
 cvSchema.pre('save', function(next) {
   this.hasEmbeddings = Array.isArray(this.embeddings) && this.embeddings.length > 0;
+  this.contactKeys = this.constructor.buildContactKeys(this.metadata && this.metadata.contactDetails);
+  if (!this.candidateId) {
+    this.candidateId = this._id;
+  }
   next();
 });
 
+// Keep the local vector index (used without Atlas) in sync with stored embeddings
+cvSchema.post('save', function(doc) {
+  require('../utils/localVectorIndex').syncCV(doc);
+});
+
+/**
+ * Remove data kept outside MongoDB for a deleted CV (vector index entry and stored original file)
+ * @param {Object} doc - Deleted CV document
+ */
+function cleanUpDeletedCV(doc) {
+  require('../utils/localVectorIndex').removeCV(doc._id);
+  require('../utils/storage').removeStoredFile(doc.file)
+    .catch(error => console.error(`Failed to remove stored file of CV ${doc._id}:`, error.message));
+}
+
+cvSchema.post('findOneAndDelete', function(doc) {
+  if (doc) {
+    cleanUpDeletedCV(doc);
+  }
+});
+
+cvSchema.post('deleteOne', { document: true, query: false }, function(doc) {
+  cleanUpDeletedCV(doc);
+});
+
+// Every CV belongs to a tenant; queries are scoped to the caller's tenant
+cvSchema.plugin(tenantScopePlugin);
+
 module.exports = mongoose.model('CV', cvSchema); 
\ No newline at end of file
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+const { tenantScopePlugin } = require('../utils/tenantScope');
+
+// Define CV Passage Schema - a section of a CV's text (an experience entry, the skills, an education
+// entry...) with its own embedding. Vector search ranks passages and scores CVs by their best ones.
+const cvPassageSchema = new mongoose.Schema({
+  cvId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CV',
+    required: true
+  },
+  // Position of the passage within the CV
+  index: {
+    type: Number,
+    required: true
+  },
+  text: {
+    type: String,
+    required: true
+  },
+  // Section the passage was cut from: summary, experience, education, skills, projects, certifications, languages or other
+  section: String,
+  // Character offset of the passage in the CV content
+  start: Number,
+  embedding: [Number],
+  // 'provider/model' that produced the embedding
+  embeddingModel: String,
+  // Content hash of the CV the passages were cut from; passages of replaced content are rebuilt
+  contentHash: String
+}, { timestamps: true });
+
+cvPassageSchema.index({ cvId: 1, index: 1 });
+
+// Passages belong to the tenant of their CV
+cvPassageSchema.plugin(tenantScopePlugin);
+
+module.exports = mongoose.model('CVPassage', cvPassageSchema);
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+const { tenantScopePlugin } = require('../utils/tenantScope');
+
+// Define Erasure Receipt Schema - proof that a candidate's data was erased.
+// Receipts must not contain personal data, only IDs and counts.
+const erasureReceiptSchema = new mongoose.Schema({
+  candidateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    index: true
+  },
+  cvIds: [mongoose.Schema.Types.ObjectId],
+  requestedBy: String,
+  reason: String,
+  // Number of removed or scrubbed items per data store (e.g. cvs, ingestTasks, batchEntries)
+  itemsRemoved: {
+    type: Map,
+    of: Number,
+    default: {}
+  },
+  erasedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { timestamps: true });
+
+// Receipts belong to the tenant whose candidate was erased
+erasureReceiptSchema.plugin(tenantScopePlugin);
+
+module.exports = mongoose.model('ErasureReceipt', erasureReceiptSchema);
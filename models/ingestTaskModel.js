@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const { tenantScopePlugin } = require('../utils/tenantScope');
+
+// Define Ingest Task Schema - one queued file waiting for the background worker
+const ingestTaskSchema = new mongoose.Schema({
+  batchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Batch',
+    required: true
+  },
+  // ID of the matching entry in Batch.files
+  fileId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  filename: {
+    type: String,
+    required: true
+  },
+  mimetype: String,
+  // Original file in the storage backend, removed once the task is finished
+  file: {
+    backend: String,
+    key: String
+  },
+  // File bytes of tasks queued before files were kept in the storage backend
+  data: Buffer,
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'completed', 'failed'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3
+  },
+  // Earliest time the task may be picked up (used for retry backoff)
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: Date,
+  lastError: String
+}, { timestamps: true });
+
+// Index used by workers to claim the next task
+ingestTaskSchema.index({ status: 1, runAt: 1 });
+
+// Tasks remember their tenant so the worker processes them inside it
+ingestTaskSchema.plugin(tenantScopePlugin);
+
+module.exports = mongoose.model('IngestTask', ingestTaskSchema);
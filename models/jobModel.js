@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+const { tenantScopePlugin } = require('../utils/tenantScope');
+
+// Define Job Description Schema
+const jobSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true
+  },
+  description: {
+    type: String,
+    required: true
+  },
+  embeddings: {
+    type: [Number],
+    required: false,
+    default: []
+  },
+  // Provider and model that produced the embeddings (vectors from different models are not comparable)
+  embeddingProvider: String,
+  embeddingModel: String,
+  requirements: {
+    requiredSkills: [String],
+    niceToHaveSkills: [String],
+    minExperience: {
+      type: Number,
+      default: 0
+    },
+    jobTitles: [String]
+  },
+  // Track how the requirements were extracted ('ai' or 'rules')
+  requirementsSource: {
+    type: String,
+    enum: ['ai', 'rules'],
+    default: 'rules'
+  },
+  hasEmbeddings: {
+    type: Boolean,
+    default: false
+  }
+}, { timestamps: true });
+
+// Pre-save middleware to check if embeddings exist
+jobSchema.pre('save', function(next) {
+  this.hasEmbeddings = Array.isArray(this.embeddings) && this.embeddings.length > 0;
+  next();
+});
+
+// Jobs belong to a tenant and only match that tenant's CVs
+jobSchema.plugin(tenantScopePlugin);
+
+module.exports = mongoose.model('Job', jobSchema);
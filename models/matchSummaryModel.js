@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+const { tenantScopePlugin } = require('../utils/tenantScope');
+
+// Define Match Summary Schema - cached AI explanation of why a CV fits a search,
+// so repeating a search does not call the AI provider again
+const matchSummarySchema = new mongoose.Schema({
+  // Hash of the search, the CV's content and metadata, the model and the prompt version
+  cacheKey: {
+    type: String,
+    required: true
+  },
+  cvId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CV',
+    required: true,
+    index: true
+  },
+  summary: {
+    type: String,
+    required: true
+  },
+  // 'provider/model' that wrote the summary
+  model: String,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, { timestamps: true });
+
+// Expired summaries are removed by MongoDB
+matchSummarySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Summaries belong to a tenant
+matchSummarySchema.plugin(tenantScopePlugin);
+
+matchSummarySchema.index({ tenantId: 1, cacheKey: 1 }, { unique: true });
+
+module.exports = mongoose.model('MatchSummary', matchSummarySchema);
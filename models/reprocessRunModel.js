@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const { tenantScopePlugin } = require('../utils/tenantScope');
+
+// Define Reprocess Run Schema - progress and checkpoint of a re-embedding/re-analysis run
+const reprocessRunSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed', 'cancelled', 'interrupted'],
+    default: 'running'
+  },
+  // Where the run was started from ('cli' or 'api')
+  trigger: {
+    type: String,
+    enum: ['cli', 'api'],
+    default: 'api'
+  },
+  options: {
+    embeddings: Boolean,
+    metadata: Boolean,
+    retryRuleBased: Boolean,
+    force: Boolean,
+    limit: Number,
+    delayMs: Number
+  },
+  // Embedding provider/model the run re-embeds to
+  target: {
+    embeddingProvider: String,
+    embeddingModel: String,
+    metadataVersion: Number,
+    schemaVersion: Number
+  },
+  // Checkpoint: CVs are processed in _id order, so a resumed run continues after this ID
+  lastProcessedId: mongoose.Schema.Types.ObjectId,
+  total: {
+    type: Number,
+    default: 0
+  },
+  counts: {
+    processed: { type: Number, default: 0 },
+    embedded: { type: Number, default: 0 },
+    analyzed: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 }
+  },
+  // Most recent failures (capped)
+  failures: [{
+    cvId: mongoose.Schema.Types.ObjectId,
+    message: String,
+    at: Date
+  }],
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: Date
+}, { timestamps: true });
+
+// Runs reprocess the CVs of one tenant
+reprocessRunSchema.plugin(tenantScopePlugin);
+
+module.exports = mongoose.model('ReprocessRun', reprocessRunSchema);
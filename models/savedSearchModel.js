@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+const { tenantScopePlugin } = require('../utils/tenantScope');
+
+// Where alerts of a saved search are sent (see utils/notifiers)
+const channelSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true
+  },
+  // Webhook URL and the secret its requests are signed with
+  url: String,
+  secret: String,
+  // Email recipients
+  to: [String]
+}, { _id: false });
+
+// Define Saved Search Schema - a search definition that raises alerts when new CVs match it
+const savedSearchSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // User or API key that saved the search (unset when auth is disabled)
+  ownerId: mongoose.Schema.Types.ObjectId,
+  ownerName: String,
+  // Same fields as the POST /api/cv/search body
+  query: {
+    type: String,
+    default: ''
+  },
+  filters: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  searchType: {
+    type: String,
+    enum: ['auto', 'vector', 'text', 'hybrid'],
+    default: 'auto'
+  },
+  // Vector similarity a new CV needs to match the query (unset uses ALERT_MIN_VECTOR_SCORE)
+  minVectorScore: Number,
+  channels: {
+    type: [channelSchema],
+    default: () => [{ type: 'inbox' }]
+  },
+  // Inactive searches do not raise alerts
+  active: {
+    type: Boolean,
+    default: true
+  },
+  // Embedding of the query, computed on first use and kept per embedding model
+  queryEmbedding: {
+    type: [Number],
+    select: false
+  },
+  queryEmbeddingModel: String,
+  matchCount: {
+    type: Number,
+    default: 0
+  },
+  lastMatchAt: Date
+}, { timestamps: true });
+
+savedSearchSchema.index({ active: 1 });
+savedSearchSchema.index({ ownerId: 1 });
+
+/**
+ * Saved search without the query embedding; webhook secrets are only shown when asked for
+ * @param {boolean} [withSecrets=false] - Include webhook secrets (right after creating them)
+ * @returns {Object}
+ */
+savedSearchSchema.methods.toPublic = function(withSecrets = false) {
+  return {
+    id: this._id,
+    name: this.name,
+    ownerId: this.ownerId || null,
+    ownerName: this.ownerName,
+    query: this.query,
+    filters: this.filters,
+    searchType: this.searchType,
+    minVectorScore: this.minVectorScore,
+    channels: this.channels.map(channel => {
+      const { type, url, secret, to } = channel.toObject();
+      return {
+        type,
+        url,
+        secret: secret && !withSecrets ? `${secret.slice(0, 10)}...` : secret,
+        to: type === 'email' ? to : undefined
+      };
+    }),
+    active: this.active,
+    matchCount: this.matchCount,
+    lastMatchAt: this.lastMatchAt,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+// Saved searches belong to a tenant and only see its CVs
+savedSearchSchema.plugin(tenantScopePlugin);
+
+module.exports = mongoose.model('SavedSearch', savedSearchSchema);
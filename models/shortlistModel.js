@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+const { tenantScopePlugin } = require('../utils/tenantScope');
+
+// Define Shortlist Schema - a named group of candidates, e.g. for one role.
+// Membership is stored on the CVs (recruiting.shortlists) so it can be used as a search filter.
+const shortlistSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: String,
+  // Job the shortlist is for, if any
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job'
+  },
+  createdBy: String
+}, { timestamps: true });
+
+// Shortlists belong to a tenant
+shortlistSchema.plugin(tenantScopePlugin);
+
+// Names are unique within a tenant
+shortlistSchema.index({ tenantId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('Shortlist', shortlistSchema);
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// Define Skill Schema - one canonical skill of the skill taxonomy
+const skillSchema = new mongoose.Schema({
+  // Canonical name stored on CVs and returned in facets
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  // Other spellings that resolve to this skill (e.g. 'nodejs' for 'Node.js')
+  aliases: {
+    type: [String],
+    default: []
+  },
+  // More general skills implied by this one (e.g. 'Python' for 'Django')
+  parents: {
+    type: [String],
+    default: []
+  },
+  category: String,
+  // Only match the exact casing in CV text (for names that are also common words, like 'Go')
+  caseSensitive: {
+    type: Boolean,
+    default: false
+  },
+  // Only find the name in CV text next to a related skill (for names that are ordinary words, like 'Swift')
+  requiresContext: {
+    type: Boolean,
+    default: false
+  }
+}, { timestamps: true });
+
+skillSchema.index({ parents: 1 });
+
+module.exports = mongoose.model('Skill', skillSchema);
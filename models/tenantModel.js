@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+// Define Tenant Schema - a workspace (e.g. a client company) whose CVs, jobs and users are kept apart
+const tenantSchema = new mongoose.Schema({
+  // Short identifier used in the X-Tenant-ID header
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: /^[a-z0-9][a-z0-9-]{1,62}$/
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  // Inactive tenants cannot be used; their data is kept
+  active: {
+    type: Boolean,
+    default: true
+  },
+  // Overrides of the deployment config, unset values fall back to the environment
+  settings: {
+    upload: {
+      maxSize: Number,
+      maxBulkFiles: Number,
+      maxArchiveEntries: Number,
+      maxArchiveSize: Number,
+      maxExtractedSize: Number,
+      maxBulkUploadSize: Number
+    },
+    ai: {
+      provider: String
+    },
+    duplicates: {
+      enabled: Boolean,
+      similarityThreshold: Number
+    },
+    matching: {
+      vectorWeight: Number,
+      skillsWeight: Number,
+      experienceWeight: Number,
+      titleWeight: Number,
+      candidatePoolSize: Number
+    },
+    pii: {
+      redactBeforeAI: Boolean
+    },
+    retention: {
+      enabled: Boolean,
+      days: Number
+    }
+  }
+}, { timestamps: true });
+
+/**
+ * Plain tenant details used as the request's tenant context
+ * @returns {Object} - { id, slug, name, active, settings }
+ */
+tenantSchema.methods.toContext = function() {
+  const { settings = {} } = this.toObject();
+  return {
+    id: this._id.toString(),
+    slug: this.slug,
+    name: this.name,
+    active: this.active,
+    settings
+  };
+};
+
+module.exports = mongoose.model('Tenant', tenantSchema);
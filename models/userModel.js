@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const { ROLES } = require('../utils/auth');
+const { tenantScopePlugin } = require('../utils/tenantScope');
+
+// Define User Schema - people signing in to the API with a password
+const userSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  name: String,
+  // scrypt hash, never returned by the API
+  passwordHash: {
+    type: String,
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ROLES,
+    default: 'viewer'
+  },
+  // Deactivated users cannot sign in and their sessions stop working
+  active: {
+    type: Boolean,
+    default: true
+  },
+  lastLoginAt: Date
+}, { timestamps: true });
+
+/**
+ * User details safe to return from the API
+ * @returns {Object}
+ */
+userSchema.methods.toPublic = function() {
+  return {
+    id: this._id,
+    email: this.email,
+    name: this.name,
+    role: this.role,
+    tenantId: this.tenantId || null,
+    active: this.active,
+    lastLoginAt: this.lastLoginAt,
+    createdAt: this.createdAt
+  };
+};
+
+// Users of a tenant only see that tenant; users without a tenant are platform accounts
+userSchema.plugin(tenantScopePlugin);
+
+module.exports = mongoose.model('User', userSchema);
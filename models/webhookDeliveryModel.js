@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+const config = require('../config/config');
+const { tenantScopePlugin } = require('../utils/tenantScope');
+
+// Define Webhook Delivery Schema - one event sent (or to be sent) to one subscription.
+// Deliveries that used up their attempts stay as 'dead' letters until they are replayed.
+const webhookDeliverySchema = new mongoose.Schema({
+  subscriptionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookSubscription',
+    required: true,
+    index: true
+  },
+  eventId: {
+    type: String,
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  // Exact event object that is posted ({ id, event, occurredAt, tenantId, data })
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // IDs of the CVs the event is about, so erasure can remove their deliveries
+  cvIds: [mongoose.Schema.Types.ObjectId],
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'delivered', 'dead'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 8
+  },
+  // Earliest time of the next attempt (used for retry backoff)
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: Date,
+  lastError: String,
+  responseStatus: Number,
+  deliveredAt: Date,
+  // Delivery this one replays, and when a dead letter was replayed
+  replayOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookDelivery'
+  },
+  replayedAt: Date
+}, { timestamps: true });
+
+// Index used by the dispatcher to claim the next delivery
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ cvIds: 1 });
+// Bulk upload events name a batch entry instead of a CV until the CV is saved
+webhookDeliverySchema.index({ 'payload.data.fileId': 1 }, { sparse: true });
+
+// Successful deliveries expire; pending and dead ones have no deliveredAt and are kept
+webhookDeliverySchema.index({ deliveredAt: 1 }, { expireAfterSeconds: config.webhooks.retentionDays * 24 * 60 * 60 });
+
+/**
+ * Public representation (the payload is included, it contains no contact details)
+ * @returns {Object}
+ */
+webhookDeliverySchema.methods.toPublic = function() {
+  return {
+    id: this._id,
+    subscriptionId: this.subscriptionId,
+    eventId: this.eventId,
+    event: this.event,
+    payload: this.payload,
+    status: this.status,
+    attempts: this.attempts,
+    maxAttempts: this.maxAttempts,
+    nextAttemptAt: this.status === 'pending' ? this.nextAttemptAt : null,
+    lastError: this.lastError,
+    responseStatus: this.responseStatus,
+    deliveredAt: this.deliveredAt,
+    replayOf: this.replayOf,
+    replayedAt: this.replayedAt,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+// Deliveries remember their tenant like the subscriptions they belong to
+webhookDeliverySchema.plugin(tenantScopePlugin);
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
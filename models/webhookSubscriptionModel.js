@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+const { tenantScopePlugin } = require('../utils/tenantScope');
+
+// Define Webhook Subscription Schema - an endpoint receiving the tenant's CV lifecycle events
+const webhookSubscriptionSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: String,
+  // Subscribed event types; empty means all events
+  events: {
+    type: [String],
+    default: []
+  },
+  // Shared secret for the X-CVPicker-Signature header
+  secret: {
+    type: String,
+    required: true
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: String,
+  lastDeliveryAt: Date,
+  lastFailureAt: Date,
+  lastError: String
+}, { timestamps: true });
+
+/**
+ * Check whether the subscription receives an event type
+ * @param {string} type - Event type
+ * @returns {boolean}
+ */
+webhookSubscriptionSchema.methods.receives = function(type) {
+  return this.events.length === 0 || this.events.includes(type);
+};
+
+/**
+ * Public representation (the secret is masked unless it has just been created or rotated)
+ * @param {boolean} [withSecret] - Include the full secret
+ * @returns {Object}
+ */
+webhookSubscriptionSchema.methods.toPublic = function(withSecret = false) {
+  return {
+    id: this._id,
+    url: this.url,
+    description: this.description,
+    events: this.events.length > 0 ? this.events : ['*'],
+    secret: withSecret ? this.secret : `${this.secret.slice(0, 10)}...`,
+    active: this.active,
+    createdBy: this.createdBy,
+    lastDeliveryAt: this.lastDeliveryAt,
+    lastFailureAt: this.lastFailureAt,
+    lastError: this.lastError,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+webhookSubscriptionSchema.index({ active: 1 });
+
+// Subscriptions belong to a tenant and only receive its events
+webhookSubscriptionSchema.plugin(tenantScopePlugin);
+
+module.exports = mongoose.model('WebhookSubscription', webhookSubscriptionSchema);
@@ -0,0 +1,26 @@
+const express = require('express');
+const adminController = require('../controllers/adminController');
+
+const router = express.Router();
+
+// Re-embedding and re-analysis migrations
+router.post('/reprocess', adminController.startReprocess);
+router.get('/reprocess', adminController.listReprocessRuns);
+router.get('/reprocess/:id', adminController.getReprocessRun);
+router.post('/reprocess/:id/cancel', adminController.cancelReprocessRun);
+
+// CV counts per extraction prompt/schema version
+router.get('/extraction-versions', adminController.getExtractionVersions);
+
+// GDPR erasure receipts
+router.get('/erasures', adminController.listErasureReceipts);
+router.get('/erasures/:id', adminController.getErasureReceipt);
+
+// Retention policy and manual sweeps (the sweeper also runs on a schedule)
+router.get('/retention', adminController.getRetention);
+router.post('/retention/sweep', adminController.runRetentionSweep);
+
+// Append-only audit log of who viewed, searched, exported, changed or deleted which CVs
+router.get('/audit', adminController.listAuditEntries);
+
+module.exports = router;
@@ -0,0 +1,11 @@
+const express = require('express');
+const alertController = require('../controllers/alertController');
+
+const router = express.Router();
+
+// In-app inbox of saved search alerts
+router.get('/', alertController.listAlerts);
+router.post('/read', alertController.markAllAlertsRead);
+router.post('/:id/read', alertController.markAlertRead);
+
+module.exports = router;
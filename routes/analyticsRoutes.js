@@ -0,0 +1,13 @@
+const express = require('express');
+const analyticsController = require('../controllers/analyticsController');
+
+const router = express.Router();
+
+// Aggregated reports over the tenant's candidate pool (no personal data, so every role may read them)
+router.get('/skills/trends', analyticsController.getSkillTrends);
+router.get('/skills/cooccurrence', analyticsController.getSkillCooccurrence);
+router.get('/skills/gaps', analyticsController.getSkillGaps);
+router.get('/experience', analyticsController.getExperienceDistribution);
+router.get('/titles', analyticsController.getTitleDistribution);
+
+module.exports = router;
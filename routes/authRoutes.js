@@ -0,0 +1,26 @@
+const express = require('express');
+const authController = require('../controllers/authController');
+const { authenticate, requireRole } = require('../middlewares/auth');
+const { resolveTenant } = require('../middlewares/tenant');
+
+const router = express.Router();
+
+// Sign in (the only route that needs no credentials)
+router.post('/login', authController.login);
+
+// Everything else needs a session or API key and runs in the caller's tenant
+router.use(authenticate, resolveTenant);
+router.get('/me', authController.getCurrentUser);
+
+// User management (users and API keys are created in the current tenant)
+router.get('/users', requireRole('admin'), authController.listUsers);
+router.post('/users', requireRole('admin'), authController.createUser);
+router.patch('/users/:id', requireRole('admin'), authController.updateUser);
+router.delete('/users/:id', requireRole('admin'), authController.deleteUser);
+
+// API keys for service integrations
+router.get('/api-keys', requireRole('admin'), authController.listApiKeys);
+router.post('/api-keys', requireRole('admin'), authController.createApiKey);
+router.delete('/api-keys/:id', requireRole('admin'), authController.revokeApiKey);
+
+module.exports = router;
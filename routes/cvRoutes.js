@@ -1,26 +1,103 @@
 const express = require('express');
 const multer = require('multer');
-const cvController = require('../controllers/cvController');
 const config = require('../config/config');
+const cvController = require('../controllers/cvController');
+const batchController = require('../controllers/batchController');
+const recruitingController = require('../controllers/recruitingController');
+const { isAcceptedUpload, createUnsupportedFileTypeError } = require('../utils/extractors');
+const { normalizeSkills } = require('../utils/skillTaxonomy');
+const { PIPELINE_STAGES } = require('../utils/recruiting');
+const { getTenantConfig } = require('../utils/tenantScope');
+const { requireRole } = require('../middlewares/auth');
+const { keepTenant } = require('../middlewares/tenant');
 
 const router = express.Router();
 
-// Set up multer for file uploads
-const upload = multer({ 
-  storage: multer.memoryStorage(),
-  limits: { fileSize: config.upload.maxSize },
-  fileFilter: (req, file, cb) => {
-    // Only accept PDFs
-    if (config.upload.allowedTypes.includes(file.mimetype)) {
-      cb(null, true);
-    } else {
-      cb(new Error('Only PDF files are allowed'), false);
-    }
+/**
+ * Multer file filter for single CV uploads. Any format with a registered extractor
+ * is accepted; contents are verified by magic bytes later.
+ * @param {Object} req - Express request object
+ * @param {Object} file - Multer file info
+ * @param {Function} cb - Multer callback
+ */
+function acceptCVFile(req, file, cb) {
+  if (isAcceptedUpload(file)) {
+    cb(null, true);
+  } else {
+    cb(createUnsupportedFileTypeError(), false);
   }
+}
+
+/**
+ * Multer file filter for bulk uploads (ZIP archives and single CV files)
+ * @param {Object} req - Express request object
+ * @param {Object} file - Multer file info
+ * @param {Function} cb - Multer callback
+ */
+function acceptBulkFile(req, file, cb) {
+  const isZip = ['application/zip', 'application/x-zip-compressed'].includes(file.mimetype) ||
+    file.originalname.toLowerCase().endsWith('.zip');
+  
+  if (isZip || isAcceptedUpload(file)) {
+    cb(null, true);
+  } else {
+    cb(createUnsupportedFileTypeError(), false);
+  }
+}
+
+// Multer is set up per request because tenants can override the upload limits
+
+// Single CV upload
+const upload = keepTenant((req, res, next) => {
+  const { maxSize } = getTenantConfig('upload');
+  multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxSize },
+    fileFilter: acceptCVFile
+  }).single('cv')(req, res, next);
 });
 
-// CV upload route
-router.post('/upload', upload.single('cv'), cvController.uploadCV);
+/**
+ * Refuse bulk uploads larger than the tenant's limit before their body is read. Node stops
+ * reading a body at its Content-Length, so the declared length bounds what is written to disk.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+function limitBulkUploadSize(req, res, next) {
+  const { maxBulkUploadSize } = getTenantConfig('upload');
+  const length = parseInt(req.headers['content-length'], 10);
+  
+  if (!Number.isInteger(length)) {
+    return res.status(411).json({ error: 'Length required', details: 'Bulk uploads must declare their Content-Length' });
+  }
+  if (length > maxBulkUploadSize) {
+    return res.status(413).json({
+      error: 'Upload too large',
+      details: `A bulk upload may be at most ${maxBulkUploadSize} bytes`
+    });
+  }
+  next();
+}
+
+// Bulk uploads (many files and/or ZIP archives) are written to disk, not held in memory
+const bulkUpload = keepTenant((req, res, next) => {
+  const { maxArchiveSize, maxBulkFiles } = getTenantConfig('upload');
+  multer({
+    storage: multer.diskStorage({ destination: config.upload.tempDir }),
+    limits: { fileSize: maxArchiveSize, files: maxBulkFiles },
+    fileFilter: acceptBulkFile
+  }).array('cvs', maxBulkFiles)(req, res, next);
+});
+
+// CV upload route (roles are checked before files are buffered)
+router.post('/upload', requireRole('recruiter'), upload, cvController.uploadCV);
+
+// Bulk upload route - returns a batch ID and processes files in the background
+router.post('/bulk', requireRole('recruiter'), limitBulkUploadSize, bulkUpload, batchController.createBatch);
+
+// Bulk upload status
+router.get('/batches/:id', requireRole('recruiter'), batchController.getBatchById);
 
 // CV search routes
 router.post('/search', cvController.searchCVs);
@@ -37,6 +114,13 @@ router.get('/search', (req, res) => {
     searchType: req.query.searchType || 'auto'
   };
 
+  // Hybrid search weights
+  if (req.query.vectorWeight || req.query.textWeight) {
+    body.hybrid = {};
+    if (req.query.vectorWeight) body.hybrid.vectorWeight = parseFloat(req.query.vectorWeight);
+    if (req.query.textWeight) body.hybrid.textWeight = parseFloat(req.query.textWeight);
+  }
+
   // Parse filters if provided
   if (req.query.skills) {
     body.filters = body.filters || {};
@@ -60,24 +144,88 @@ router.get('/search', (req, res) => {
     body.filters.jobTitles = req.query.jobTitles.split(',').map(t => t.trim());
   }
 
+  // Comma-separated lists for the structured profile filters
+  for (const key of ['employers', 'institutions', 'degrees', 'fieldsOfStudy', 'certifications']) {
+    if (req.query[key]) {
+      body.filters = body.filters || {};
+      body.filters[key] = req.query[key].split(',').map(value => value.trim());
+    }
+  }
+
+  // Languages with optional minimum level, e.g. languages=German:B2,English
+  if (req.query.languages) {
+    body.filters = body.filters || {};
+    body.filters.languages = req.query.languages.split(',').map(entry => {
+      const [language, minLevel] = entry.split(':').map(part => part.trim());
+      return minLevel ? { language, minLevel } : language;
+    });
+  }
+
+  // Recruiting state: stage=screened,interview tags=senior,remote shortlists=<id>,<id>
+  for (const key of ['stage', 'tags', 'shortlists']) {
+    if (req.query[key]) {
+      body.filters = body.filters || {};
+      body.filters[key] = req.query[key].split(',').map(value => value.trim());
+    }
+  }
+  if (req.query.tagsLogic) {
+    body.filters = body.filters || {};
+    body.filters.tagsLogic = req.query.tagsLogic;
+  }
+
+  for (const key of ['location', 'hasGithub', 'hasLinkedin', 'currentlyEmployed']) {
+    if (req.query[key] !== undefined) {
+      body.filters = body.filters || {};
+      body.filters[key] = req.query[key];
+    }
+  }
+
+  // Explanations: explain=true for the default parts, or a list such as explain=snippets,filters,summary
+  if (req.query.explain && req.query.explain !== 'false') {
+    if (req.query.explain === 'true') {
+      body.explain = true;
+    } else {
+      const parts = req.query.explain.split(',').map(part => part.trim());
+      body.explain = {};
+      for (const part of ['snippets', 'passage', 'filters', 'summary']) {
+        body.explain[part] = parts.includes(part);
+      }
+    }
+  }
+
+  // Blind screening: names, contact details and other personal data are redacted
+  if (req.query.blind === 'true') {
+    body.blind = true;
+  }
+
   // Set the modified request object and forward to the controller
   req.body = body;
   cvController.searchCVs(req, res);
 });
 
+// Side-by-side comparison of 2-10 CVs, optionally against a job
+router.post('/compare', cvController.compareCVs);
+
+// Export search results or listed CVs (CSV, XLSX, NDJSON or a PDF candidate pack)
+router.post('/export', cvController.exportCVs);
+
 // Get CV metadata for search filters
 router.get('/metadata', async (req, res) => {
   try {
+    // Scoped to the caller's tenant by the CV model
     const CV = require('../models/cvModel');
+    const Shortlist = require('../models/shortlistModel');
+    const conditions = CV.searchableConditions();
     
     // Get distinct skills
-    const skills = await CV.distinct('metadata.skills');
+    const skills = await CV.distinct('metadata.skills', conditions);
     
     // Get distinct job titles
-    const jobTitles = await CV.distinct('metadata.jobTitles');
+    const jobTitles = await CV.distinct('metadata.jobTitles', conditions);
     
     // Get min and max experience
     const experienceStats = await CV.aggregate([
+      { $match: conditions },
       {
         $group: {
           _id: null,
@@ -89,10 +237,37 @@ router.get('/metadata', async (req, res) => {
     ]);
     
     // Get education options
-    const education = await CV.distinct('metadata.education');
+    const education = await CV.distinct('metadata.education', conditions);
+    
+    // Structured profile values
+    const [employers, languages, certifications, locations] = await Promise.all([
+      CV.distinct('metadata.workHistory.employer', conditions),
+      CV.distinct('metadata.languages.language', conditions),
+      CV.distinct('metadata.certifications.name', conditions),
+      CV.distinct('metadata.location', conditions)
+    ]);
+    
+    // Recruiting facets: candidates per stage, tags in use and shortlists with their candidates
+    const [stageCounts, tags, shortlistCounts] = await Promise.all([
+      CV.aggregate([
+        { $match: conditions },
+        { $group: { _id: { $ifNull: ['$recruiting.stage', 'new'] }, count: { $sum: 1 } } }
+      ]),
+      CV.distinct('recruiting.tags', conditions),
+      CV.aggregate([
+        { $match: conditions },
+        { $unwind: '$recruiting.shortlists' },
+        { $group: { _id: '$recruiting.shortlists', count: { $sum: 1 } } }
+      ])
+    ]);
+    const shortlistNames = await Shortlist.find({ _id: { $in: shortlistCounts.map(entry => entry._id) } })
+      .select('name')
+      .lean();
+    const countsByShortlist = new Map(shortlistCounts.map(entry => [entry._id.toString(), entry.count]));
     
     res.json({
-      skills: skills.filter(Boolean).sort(),
+      // Canonical names, so CVs analyzed before a taxonomy change do not show up as separate skills
+      skills: normalizeSkills(skills).sort(),
       jobTitles: jobTitles.filter(Boolean).sort(),
       experience: experienceStats.length > 0 ? {
         min: experienceStats[0].min || 0,
@@ -100,7 +275,19 @@ router.get('/metadata', async (req, res) => {
         avg: Math.round(experienceStats[0].avg || 0)
       } : { min: 0, max: 0, avg: 0 },
       education: education.filter(Boolean).sort(),
-      totalCVs: await CV.countDocuments()
+      employers: employers.filter(Boolean).sort(),
+      languages: languages.filter(Boolean).sort(),
+      certifications: certifications.filter(Boolean).sort(),
+      locations: locations.filter(Boolean).sort(),
+      stages: Object.fromEntries(PIPELINE_STAGES.map(stage => [
+        stage,
+        (stageCounts.find(entry => entry._id === stage) || { count: 0 }).count
+      ])),
+      tags: tags.filter(Boolean).sort(),
+      shortlists: shortlistNames
+        .map(shortlist => ({ id: shortlist._id, name: shortlist.name, count: countsByShortlist.get(shortlist._id.toString()) }))
+        .sort((a, b) => a.name.localeCompare(b.name)),
+      totalCVs: await CV.countDocuments(conditions)
     });
   } catch (error) {
     console.error('Error fetching metadata:', error);
@@ -111,6 +298,30 @@ router.get('/metadata', async (req, res) => {
   }
 });
 
+// CV version history and manual candidate merging
+router.get('/:id/versions', cvController.getCVVersions);
+router.post('/:id/merge', requireRole('recruiter'), cvController.mergeCV);
+router.post('/:id/unmerge', requireRole('recruiter'), cvController.unmergeCV);
+
+// Recruiting pipeline: stage (with history), notes and tags, shared by all versions of the candidate
+router.get('/:id/recruiting', recruitingController.getCVRecruiting);
+router.put('/:id/stage', requireRole('recruiter'), recruitingController.updateCVStage);
+router.post('/:id/notes', requireRole('recruiter'), recruitingController.addCVNote);
+router.delete('/:id/notes/:noteId', requireRole('recruiter'), recruitingController.deleteCVNote);
+router.put('/:id/tags', requireRole('recruiter'), recruitingController.updateCVTags);
+
+// When the candidate's data is erased under the retention policy, and their consent to keeping it longer
+router.get('/:id/retention', recruitingController.getCVRetention);
+router.put('/:id/retention', requireRole('recruiter'), recruitingController.updateCVRetentionConsent);
+
+// Recruiter corrections, original file download/replacement, deletion (soft or GDPR erase) and restore.
+// The original file holds contact details, so viewers cannot download it; erasure needs an admin.
+router.patch('/:id', requireRole('recruiter'), cvController.updateCV);
+router.get('/:id/file', requireRole('recruiter'), cvController.downloadCVFile);
+router.put('/:id/file', requireRole('recruiter'), upload, cvController.replaceCVFile);
+router.delete('/:id', requireRole('recruiter'), cvController.deleteCV);
+router.post('/:id/restore', requireRole('recruiter'), cvController.restoreCV);
+
 // Get a specific CV
 router.get('/:id', cvController.getCVById);
 
@@ -0,0 +1,10 @@
+const express = require('express');
+const eventController = require('../controllers/eventController');
+
+const router = express.Router();
+
+// Live CV lifecycle events for dashboards
+router.get('/', eventController.listEventTypes);
+router.get('/stream', eventController.streamEvents);
+
+module.exports = router;
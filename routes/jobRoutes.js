@@ -0,0 +1,17 @@
+const express = require('express');
+const jobController = require('../controllers/jobController');
+const { requireRole } = require('../middlewares/auth');
+
+const router = express.Router();
+
+// Job description routes
+router.post('/', requireRole('recruiter'), jobController.createJob);
+router.get('/', jobController.listJobs);
+
+// Rank stored CVs against a job description
+router.get('/:id/matches', jobController.getJobMatches);
+
+// Get a specific job description
+router.get('/:id', jobController.getJobById);
+
+module.exports = router;
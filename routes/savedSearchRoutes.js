@@ -0,0 +1,16 @@
+const express = require('express');
+const savedSearchController = require('../controllers/savedSearchController');
+
+const router = express.Router();
+
+// Saved searches of the caller (admins manage all of the tenant's)
+router.get('/', savedSearchController.listSavedSearches);
+router.post('/', savedSearchController.createSavedSearch);
+router.get('/:id', savedSearchController.getSavedSearch);
+router.patch('/:id', savedSearchController.updateSavedSearch);
+router.delete('/:id', savedSearchController.deleteSavedSearch);
+
+// Run the saved search now
+router.post('/:id/run', savedSearchController.runSavedSearch);
+
+module.exports = router;
@@ -0,0 +1,18 @@
+const express = require('express');
+const shortlistController = require('../controllers/shortlistController');
+const { requireRole } = require('../middlewares/auth');
+
+const router = express.Router();
+
+// Shortlists group candidates, e.g. per role; changing them needs a recruiter
+router.get('/', shortlistController.listShortlists);
+router.post('/', requireRole('recruiter'), shortlistController.createShortlist);
+router.get('/:id', shortlistController.getShortlist);
+router.patch('/:id', requireRole('recruiter'), shortlistController.updateShortlist);
+router.delete('/:id', requireRole('recruiter'), shortlistController.deleteShortlist);
+
+// Shortlist membership (any CV of a candidate can be given)
+router.post('/:id/candidates', requireRole('recruiter'), shortlistController.addShortlistCandidates);
+router.delete('/:id/candidates/:cvId', requireRole('recruiter'), shortlistController.removeShortlistCandidate);
+
+module.exports = router;
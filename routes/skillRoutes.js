@@ -0,0 +1,24 @@
+const express = require('express');
+const skillController = require('../controllers/skillController');
+const { requirePlatformAdmin } = require('../middlewares/auth');
+
+const router = express.Router();
+
+// YAML taxonomies are posted as text; JSON bodies are parsed by the global parser
+const yamlBody = express.text({ type: ['application/yaml', 'application/x-yaml', 'text/yaml', 'text/plain'] });
+
+// The taxonomy is shared by all tenants, so only platform admins can change it
+
+// Taxonomy listing, lookup and normalization
+router.get('/', skillController.listSkills);
+router.get('/normalize', skillController.normalizeSkillNames);
+router.get('/export', skillController.exportSkills);
+router.post('/import', requirePlatformAdmin, yamlBody, skillController.importSkills);
+
+// Editing single skills (by canonical name or alias, URL-encoded: /api/skills/C%23)
+router.post('/', requirePlatformAdmin, skillController.createSkill);
+router.get('/:name', skillController.getSkill);
+router.put('/:name', requirePlatformAdmin, skillController.updateSkill);
+router.delete('/:name', requirePlatformAdmin, skillController.deleteSkill);
+
+module.exports = router;
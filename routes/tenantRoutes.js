@@ -0,0 +1,12 @@
+const express = require('express');
+const tenantController = require('../controllers/tenantController');
+
+const router = express.Router();
+
+// Tenant (workspace) management, by slug or ID
+router.get('/', tenantController.listTenants);
+router.post('/', tenantController.createTenant);
+router.get('/:id', tenantController.getTenant);
+router.patch('/:id', tenantController.updateTenant);
+
+module.exports = router;
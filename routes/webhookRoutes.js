@@ -0,0 +1,19 @@
+const express = require('express');
+const webhookController = require('../controllers/webhookController');
+
+const router = express.Router();
+
+// Dead-letter log and replays (before /:id so the paths are not taken as IDs)
+router.get('/dead-letters', webhookController.listDeadLetters);
+router.post('/dead-letters/replay', webhookController.replayDeadLetters);
+router.post('/deliveries/:deliveryId/replay', webhookController.replayWebhookDelivery);
+
+// Webhook subscriptions of the tenant
+router.get('/', webhookController.listWebhooks);
+router.post('/', webhookController.createWebhook);
+router.get('/:id', webhookController.getWebhook);
+router.patch('/:id', webhookController.updateWebhook);
+router.delete('/:id', webhookController.deleteWebhook);
+router.get('/:id/deliveries', webhookController.listWebhookDeliveries);
+
+module.exports = router;
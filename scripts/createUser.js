@@ -0,0 +1,119 @@
+/**
+ * Create a user or an API key from the command line, e.g. the first admin of a new deployment.
+ *
+ * Usage:
+ *   node scripts/createUser.js --email <email> [--role admin] [--name <name>] [--tenant <slug>]
+ *   node scripts/createUser.js --api-key <name> [--role recruiter] [--tenant <slug>]
+ *
+ * Without --tenant the account is a platform account: as an admin it manages tenants
+ * and can act in any of them. The user's password is read from AUTH_PASSWORD or asked for interactively.
+ * API keys are printed once and cannot be shown again.
+ */
+const readline = require('readline');
+const mongoose = require('mongoose');
+const { connectDB } = require('../config/database');
+const User = require('../models/userModel');
+const ApiKey = require('../models/apiKeyModel');
+const { ROLES, hashPassword, generateApiKey } = require('../utils/auth');
+const { findTenant } = require('../utils/tenants');
+
+/**
+ * Parse command line arguments
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} - Parsed options
+ */
+function parseArgs(argv) {
+  const args = { role: 'admin' };
+  
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = argv[i + 1];
+    
+    switch (arg) {
+      case '--email':
+        args.email = next;
+        i++;
+        break;
+      case '--name':
+        args.name = next;
+        i++;
+        break;
+      case '--role':
+        args.role = next;
+        i++;
+        break;
+      case '--api-key':
+        args.apiKey = next;
+        i++;
+        break;
+      case '--tenant':
+        args.tenant = next;
+        i++;
+        break;
+      default:
+        throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+  
+  if (!args.email && !args.apiKey) {
+    throw new Error('Pass --email <email> to create a user or --api-key <name> to create an API key');
+  }
+  if (!ROLES.includes(args.role)) {
+    throw new Error(`--role must be one of: ${ROLES.join(', ')}`);
+  }
+  
+  return args;
+}
+
+/**
+ * Ask for a password on the terminal
+ * @returns {Promise<string>}
+ */
+function promptPassword() {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise(resolve => {
+    rl.question('Password: ', answer => {
+      rl.close();
+      resolve(answer);
+    });
+  });
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  await connectDB({ vectorSearch: false });
+  
+  const tenant = args.tenant ? await findTenant(args.tenant) : null;
+  if (args.tenant && !tenant) {
+    throw new Error(`Tenant ${args.tenant} not found`);
+  }
+  const tenantId = tenant ? tenant.id : undefined;
+  const scope = tenant ? `tenant ${tenant.slug}` : 'platform';
+  
+  if (args.apiKey) {
+    const { key, prefix, keyHash } = generateApiKey();
+    await ApiKey.create({ name: args.apiKey, role: args.role, tenantId, prefix, keyHash, createdBy: 'cli' });
+    console.log(`API key "${args.apiKey}" (${args.role}, ${scope}) created. Store it now, it cannot be shown again:\n${key}`);
+    return;
+  }
+  
+  const password = process.env.AUTH_PASSWORD || await promptPassword();
+  if (password.length < 10) {
+    throw new Error('The password must be at least 10 characters');
+  }
+  
+  const email = args.email.trim().toLowerCase();
+  if (await User.exists({ email })) {
+    throw new Error(`A user with email ${email} already exists`);
+  }
+  
+  await User.create({ email, name: args.name, role: args.role, tenantId, passwordHash: await hashPassword(password) });
+  console.log(`User ${email} (${args.role}, ${scope}) created`);
+}
+
+main()
+  .catch(error => {
+    console.error('Failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,154 @@
+/**
+ * Re-embed and re-analyze CVs with missing or stale embeddings/metadata.
+ *
+ * Usage:
+ *   node scripts/reprocess.js [options]
+ *
+ * Options:
+ *   --dry-run            Only report how many CVs would be reprocessed
+ *   --embeddings-only    Only regenerate embeddings
+ *   --metadata-only      Only re-run metadata extraction
+ *   --retry-rule-based   Also re-analyze CVs whose AI analysis fell back to rules
+ *   --force              Reprocess every CV, stale or not
+ *   --limit <n>          Stop after n CVs
+ *   --delay <ms>         Pause between CVs (default REPROCESS_DELAY_MS)
+ *   --resume [runId]     Continue an unfinished run (the most recent one if no ID is given)
+ *   --tenant <slug|id>   Tenant whose CVs are reprocessed (default: the default tenant)
+ */
+const mongoose = require('mongoose');
+const { connectDB } = require('../config/database');
+const ReprocessRun = require('../models/reprocessRunModel');
+const { planReprocess, createRun, executeRun, cancelRun, describeRun } = require('../utils/reprocessor');
+const { runWithTenant } = require('../utils/tenantScope');
+const { findTenant, getDefaultTenant } = require('../utils/tenants');
+
+/**
+ * Parse command line arguments
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} - Parsed options
+ */
+function parseArgs(argv) {
+  const args = { options: {} };
+  
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = argv[i + 1];
+    const hasValue = next !== undefined && !next.startsWith('--');
+    
+    switch (arg) {
+      case '--dry-run':
+        args.dryRun = true;
+        break;
+      case '--embeddings-only':
+        args.options.metadata = false;
+        break;
+      case '--metadata-only':
+        args.options.embeddings = false;
+        break;
+      case '--retry-rule-based':
+        args.options.retryRuleBased = true;
+        break;
+      case '--force':
+        args.options.force = true;
+        break;
+      case '--limit':
+        args.options.limit = parseInt(next, 10);
+        i++;
+        break;
+      case '--delay':
+        args.options.delayMs = parseInt(next, 10);
+        i++;
+        break;
+      case '--resume':
+        args.resume = hasValue ? next : 'latest';
+        if (hasValue) i++;
+        break;
+      case '--tenant':
+        args.tenant = next;
+        i++;
+        break;
+      default:
+        throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+  
+  return args;
+}
+
+/**
+ * Print a single progress line
+ * @param {Object} run - Run document
+ */
+function printProgress(run) {
+  const report = describeRun(run);
+  process.stdout.write(
+    `\r[${report.percent}%] ${report.counts.processed}/${report.total} processed, ` +
+    `${report.counts.embedded} embedded, ${report.counts.analyzed} analyzed, ${report.counts.failed} failed`
+  );
+}
+
+/**
+ * Plan, start or resume a run in the current tenant
+ * @param {Object} args - Parsed options
+ */
+async function reprocessTenant(args) {
+  if (args.dryRun) {
+    console.log(JSON.stringify(await planReprocess(args.options), null, 2));
+    return;
+  }
+  
+  let resumeRunId;
+  if (args.resume === 'latest') {
+    const latest = await ReprocessRun.findOne({ status: { $in: ['interrupted', 'cancelled', 'failed', 'running'] } })
+      .sort({ createdAt: -1 });
+    if (!latest) {
+      throw new Error('No unfinished run to resume');
+    }
+    resumeRunId = latest._id;
+  } else if (args.resume) {
+    resumeRunId = args.resume;
+  }
+  
+  const run = await createRun(args.options, { resumeRunId, trigger: 'cli' });
+  if (!run) {
+    throw new Error(`Run ${resumeRunId} not found`);
+  }
+  
+  console.log(`${resumeRunId ? 'Resuming' : 'Starting'} reprocess run ${run._id} (${run.total} CVs)`);
+  
+  // Stop cleanly on Ctrl+C so the run can be resumed from its checkpoint
+  process.on('SIGINT', () => {
+    console.log('\nStopping after the current CV...');
+    cancelRun(run._id);
+  });
+  
+  const finished = await executeRun(run, printProgress);
+  console.log(`\nRun ${finished._id} ${finished.status}`);
+  
+  if (finished.status !== 'completed') {
+    const tenantOption = args.tenant ? ` --tenant ${args.tenant}` : '';
+    console.log(`Resume with: node scripts/reprocess.js${tenantOption} --resume ${finished._id}`);
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  // The server's local vector index picks up re-embedded CVs on its next refresh
+  await connectDB({ vectorSearch: false });
+  
+  // Runs use the tenant's AI provider and only see its CVs
+  const tenant = args.tenant ? await findTenant(args.tenant) : await getDefaultTenant();
+  if (!tenant) {
+    throw new Error(`Tenant ${args.tenant} not found`);
+  }
+  console.log(`Tenant: ${tenant.slug}`);
+  
+  await runWithTenant(tenant, () => reprocessTenant(args));
+}
+
+main()
+  .catch(error => {
+    console.error('Reprocess failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,46 @@
+/**
+ * Add tenantId as a filter field to the Atlas vector search indexes.
+ *
+ * Vector searches pre-filter by tenant, which Atlas only allows on declared filter fields.
+ * Indexes created before tenants existed lack the field; until they are updated the server
+ * filters tenants after ranking, so searches can return fewer results than requested.
+ *
+ * Usage:
+ *   node scripts/updateSearchIndexes.js [--dry-run]
+ */
+const mongoose = require('mongoose');
+const { connectDB } = require('../config/database');
+const { VECTOR_INDEXES, addTenantFilter } = require('../utils/searchIndexes');
+
+// What each outcome means for the operator
+const OUTCOMES = {
+  updated: 'tenantId filter field added, Atlas rebuilds the index in the background',
+  current: 'already has the tenantId filter field',
+  missing: 'does not exist, create it as described in the README',
+  unavailable: 'Atlas Search is not available on this deployment'
+};
+
+async function main() {
+  const argv = process.argv.slice(2);
+  const unknown = argv.filter(arg => arg !== '--dry-run');
+  if (unknown.length > 0) {
+    throw new Error(`Unknown option: ${unknown[0]}`);
+  }
+  const dryRun = argv.includes('--dry-run');
+  
+  await connectDB({ vectorSearch: false });
+  const db = mongoose.connection.db;
+  
+  for (const { collection, name } of VECTOR_INDEXES) {
+    const outcome = await addTenantFilter(db, collection, name, { dryRun });
+    const message = dryRun && outcome === 'updated' ? 'lacks the tenantId filter field' : OUTCOMES[outcome];
+    console.log(`${collection}.${name}: ${message}`);
+  }
+}
+
+main()
+  .catch(error => {
+    console.error('Failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
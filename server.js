@@ -3,19 +3,53 @@ const cors = require('cors');
 const bodyParser = require('body-parser');
 const config = require('./config/config');
 const { connectDB } = require('./config/database');
+const { startWorker, stopWorker } = require('./utils/ingestQueue');
+const localVectorIndex = require('./utils/localVectorIndex');
+const { markInterruptedRuns } = require('./utils/reprocessor');
+const { startDispatcher, stopDispatcher } = require('./utils/webhookDispatcher');
+const { startRetentionSweeper, stopRetentionSweeper } = require('./utils/retention');
 const errorHandler = require('./middlewares/errorHandler');
+const { authenticate, acceptQueryCredentials, requireRole, requirePlatformAdmin, redactForViewers } = require('./middlewares/auth');
+const { resolveTenant } = require('./middlewares/tenant');
 const cvRoutes = require('./routes/cvRoutes');
+const jobRoutes = require('./routes/jobRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const skillRoutes = require('./routes/skillRoutes');
+const authRoutes = require('./routes/authRoutes');
+const tenantRoutes = require('./routes/tenantRoutes');
+const shortlistRoutes = require('./routes/shortlistRoutes');
+const savedSearchRoutes = require('./routes/savedSearchRoutes');
+const alertRoutes = require('./routes/alertRoutes');
+const webhookRoutes = require('./routes/webhookRoutes');
+const eventRoutes = require('./routes/eventRoutes');
+const analyticsRoutes = require('./routes/analyticsRoutes');
 
 // Initialize Express app
 const app = express();
 
 // Middleware
-app.use(cors());
+app.use(cors({
+  // '*' allows any origin; otherwise only the listed origins get CORS headers
+  origin: config.cors.origins.includes('*') ? true : config.cors.origins,
+  exposedHeaders: ['Content-Disposition', 'ETag']
+}));
 app.use(bodyParser.json());
 app.use(express.urlencoded({ extended: true }));
 
-// API Routes
-app.use('/api/cv', cvRoutes);
+// API Routes - all but sign-in require a session or API key; viewers get redacted CV data.
+// CV, job, shortlist, saved search, alert, webhook, event and admin routes only see the data of the caller's tenant.
+app.use('/api/auth', authRoutes);
+app.use('/api/cv', authenticate, resolveTenant, redactForViewers, cvRoutes);
+app.use('/api/jobs', authenticate, resolveTenant, redactForViewers, jobRoutes);
+app.use('/api/shortlists', authenticate, resolveTenant, redactForViewers, shortlistRoutes);
+app.use('/api/saved-searches', authenticate, resolveTenant, redactForViewers, savedSearchRoutes);
+app.use('/api/alerts', authenticate, resolveTenant, redactForViewers, alertRoutes);
+app.use('/api/webhooks', authenticate, requireRole('admin'), resolveTenant, webhookRoutes);
+app.use('/api/events', acceptQueryCredentials, authenticate, resolveTenant, eventRoutes);
+app.use('/api/analytics', authenticate, resolveTenant, redactForViewers, analyticsRoutes);
+app.use('/api/admin', authenticate, requireRole('admin'), resolveTenant, adminRoutes);
+app.use('/api/skills', authenticate, skillRoutes);
+app.use('/api/tenants', authenticate, requirePlatformAdmin, tenantRoutes);
 
 // Error handling middleware
 app.use(errorHandler);
@@ -36,6 +70,18 @@ const startServer = async () => {
     // Connect to MongoDB
     await connectDB();
     
+    // Start the background worker for bulk uploads
+    startWorker();
+    
+    // Send queued webhook deliveries, including retries due from before a restart
+    startDispatcher();
+    
+    // Erase candidates whose retention period is over, in tenants with retention enabled
+    startRetentionSweeper();
+    
+    // Reprocess runs cut off by a restart can be resumed from their checkpoint
+    await markInterruptedRuns();
+    
     // Start Express server
     const PORT = config.port;
     app.listen(PORT, () => {
@@ -47,12 +93,33 @@ const startServer = async () => {
   }
 };
 
-// Handle unhandled promise rejections
-process.on('unhandledRejection', (err, promise) => {
-  console.error(`Error: ${err.message}`);
-  // Close server & exit process
-  process.exit(1);
-});
+// Start the server when run directly; tests load the app without connecting or listening
+if (require.main === module) {
+  // Handle unhandled promise rejections
+  process.on('unhandledRejection', (err, promise) => {
+    console.error(`Error: ${err.message}`);
+    // Close server & exit process
+    process.exit(1);
+  });
+  
+  // Persist the local vector index before exiting
+  const shutdown = async (signal) => {
+    console.log(`${signal} received, shutting down`);
+    stopWorker();
+    stopDispatcher();
+    stopRetentionSweeper();
+    try {
+      await localVectorIndex.flush();
+    } catch (error) {
+      console.error('Failed to save local vector index:', error.message);
+    }
+    process.exit(0);
+  };
+  
+  process.on('SIGINT', () => shutdown('SIGINT'));
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  
+  startServer();
+}
 
-// Start the server
-startServer();
\ No newline at end of file
+module.exports = app;
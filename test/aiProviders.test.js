@@ -0,0 +1,140 @@
+require('./helpers/setup');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../config/config');
+const { getProvider, hasProvider, registerProvider } = require('../utils/providers');
+const { createOpenAICompatibleProvider, parseJSONResponse } = require('../utils/providers/openaiCompatibleProvider');
+const offlineProvider = require('../utils/providers/offlineProvider');
+const { generateBatchEmbeddings, getEmbeddingInfo, analyzeCV } = require('../utils/openaiService');
+const { runWithTenant } = require('../utils/tenantScope');
+const { createTenant } = require('./helpers/fixtures');
+
+/**
+ * Fake OpenAI client that records its requests
+ * @param {Object} responses - { embeddings(request), completion(request) } returning response bodies
+ * @returns {Object} - Client with a requests array
+ */
+function fakeClient({ embeddings, completion }) {
+  const requests = [];
+  return {
+    requests,
+    embeddings: {
+      create: async request => {
+        requests.push(request);
+        return embeddings(request);
+      }
+    },
+    chat: {
+      completions: {
+        create: async request => {
+          requests.push(request);
+          return { choices: [{ message: { content: completion(request) } }] };
+        }
+      }
+    }
+  };
+}
+
+describe('AI providers', () => {
+  describe('parseJSONResponse', () => {
+    it('repairs markdown fences, text around the object and trailing commas', () => {
+      assert.deepEqual(parseJSONResponse('```json\n{"skills": ["Go"]}\n```'), { skills: ['Go'] });
+      assert.deepEqual(parseJSONResponse('Here you go: {"skills": ["Go",], "experience": 3,} Hope it helps'), {
+        skills: ['Go'],
+        experience: 3
+      });
+    });
+    
+    it('rejects responses without a JSON object', () => {
+      assert.throws(() => parseJSONResponse('I cannot help with that'), /Model response is not JSON/);
+    });
+  });
+  
+  describe('OpenAI-compatible provider', () => {
+    it('creates its client on first use and returns batch embeddings in input order', async () => {
+      const client = fakeClient({
+        embeddings: ({ input }) => ({ data: input.map((text, index) => ({ index, embedding: [text.length] })).reverse() })
+      });
+      let created = 0;
+      const provider = createOpenAICompatibleProvider({
+        name: 'test',
+        embeddingModel: 'embed-small',
+        completionModel: 'chat',
+        createClient: () => {
+          created++;
+          return client;
+        }
+      });
+      assert.equal(created, 0);
+      
+      assert.deepEqual(await provider.generateEmbeddingsBatch(['a', 'bb', 'ccc']), [[1], [2], [3]]);
+      await provider.generateEmbeddingsBatch(['d']);
+      assert.equal(created, 1);
+      assert.equal(client.requests[0].model, 'embed-small');
+    });
+    
+    it('only asks for JSON mode when the server supports it', async () => {
+      const client = fakeClient({ completion: () => '{"skills": []}' });
+      const options = { name: 'test', embeddingModel: 'embed', completionModel: 'chat', createClient: () => client };
+      
+      assert.deepEqual(await createOpenAICompatibleProvider(options).completeJSON('system', 'user'), { skills: [] });
+      await createOpenAICompatibleProvider({ ...options, jsonMode: false }).completeJSON('system', 'user');
+      
+      assert.deepEqual(client.requests[0].response_format, { type: 'json_object' });
+      assert.deepEqual(client.requests[0].messages.map(message => message.role), ['system', 'user']);
+      assert.equal(client.requests[1].response_format, undefined);
+    });
+  });
+  
+  describe('provider registry', () => {
+    it('refuses unknown providers and names the available ones', () => {
+      assert.equal(hasProvider('nope'), false);
+      assert.throws(() => getProvider('nope'), /Unknown AI provider: nope\. Available providers: openai, azure, local, offline/);
+    });
+    
+    it('uses the provider of the current tenant', async () => {
+      registerProvider('tenant-test', () => ({ ...offlineProvider, name: 'tenant-test', embeddingModel: 'tenant-model' }));
+      const tenant = await createTenant('own-provider', { ai: { provider: 'tenant-test' } });
+      
+      assert.equal(getEmbeddingInfo().provider, config.ai.provider);
+      assert.deepEqual(runWithTenant(tenant, () => getEmbeddingInfo()), { provider: 'tenant-test', model: 'tenant-model' });
+    });
+    
+    it('embeds texts one by one for providers without batch embeddings', async () => {
+      const embedded = [];
+      registerProvider('single', () => ({
+        name: 'single',
+        embeddingModel: 'single-model',
+        generateEmbeddings: async text => {
+          embedded.push(text);
+          return [text.length];
+        }
+      }));
+      const tenant = await createTenant('single-provider', { ai: { provider: 'single' } });
+      
+      const vectors = await runWithTenant(tenant, () => generateBatchEmbeddings(['a', 'bb']));
+      assert.deepEqual(vectors, [[1], [2]]);
+      assert.deepEqual(embedded, ['a', 'bb']);
+    });
+  });
+  
+  describe('offline provider', () => {
+    it('returns the same normalized vector for the same text', async () => {
+      const first = await offlineProvider.generateEmbeddings('Node.js and C# developer');
+      const second = await offlineProvider.generateEmbeddings('Node.js and C# developer');
+      
+      assert.equal(first.length, config.offline.dimensions);
+      assert.deepEqual(first, second);
+      assert.ok(Math.abs(first.reduce((sum, value) => sum + value * value, 0) - 1) < 1e-9);
+    });
+    
+    it('keeps technical terms together when tokenizing', () => {
+      assert.deepEqual(offlineProvider.tokenize('Node.js, C# and CI/CD.'), ['node.js', 'c#', 'and', 'ci/cd']);
+    });
+    
+    it('leaves CV analysis to the rule-based fallback', async () => {
+      assert.equal(await analyzeCV('Jane Doe, software engineer'), null);
+    });
+  });
+});
@@ -0,0 +1,135 @@
+require('./helpers/setup');
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const app = require('../server');
+const Job = require('../models/jobModel');
+const SavedSearch = require('../models/savedSearchModel');
+const { emitEvent } = require('../utils/events');
+const { runWithTenant } = require('../utils/tenantScope');
+const { clearDb } = require('./helpers/memoryDb');
+const { createTenant, createUser, createCV, request } = require('./helpers/fixtures');
+
+describe('analytics', () => {
+  let tenant;
+  let token;
+  
+  /**
+   * Get a report
+   * @param {string} path - Path below /api/analytics
+   * @returns {Promise<Object>} - Response
+   */
+  function report(path) {
+    return request(app, 'GET', `/api/analytics${path}`, { token });
+  }
+  
+  beforeEach(async () => {
+    clearDb();
+    tenant = await createTenant('analytics');
+    // Reports carry no personal data, so viewers may read them
+    ({ token } = await createUser(tenant, 'viewer'));
+    await createCV(tenant, {
+      uploadDate: new Date('2026-08-10'),
+      metadata: { skills: ['Python', 'Django'], experience: 1, jobTitles: ['Backend Developer'] }
+    });
+    await createCV(tenant, {
+      uploadDate: new Date('2026-09-15'),
+      metadata: { skills: ['Python', 'React'], experience: 4, jobTitles: ['backend developer '] }
+    });
+    await createCV(tenant, {
+      uploadDate: new Date('2026-09-20'),
+      metadata: { skills: ['React'], experience: 40, jobTitles: ['Frontend Developer'] }
+    });
+    await createCV(tenant, { uploadDate: new Date('2026-10-01'), metadata: { skills: ['Python', 'React'] } });
+  });
+  
+  it('counts skills per upload month', async () => {
+    const response = await report('/skills/trends?interval=month&from=2026-08-01&to=2026-10-31');
+    
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.buckets.map(bucket => [bucket.start.slice(0, 7), bucket.candidates]), [
+      ['2026-08', 1],
+      ['2026-09', 2],
+      ['2026-10', 1]
+    ]);
+    const react = response.body.skills.find(entry => entry.skill === 'React');
+    assert.deepEqual(react.counts, [0, 2, 1]);
+    assert.deepEqual(react.shares, [0, 1, 1]);
+  });
+  
+  it('rejects unknown intervals and periods with too many buckets', async () => {
+    assert.equal((await report('/skills/trends?interval=day')).status, 400);
+    assert.equal((await report('/skills/trends?interval=week&from=2000-01-01')).status, 400);
+  });
+  
+  it('builds a histogram of years of experience', async () => {
+    const response = await report('/experience?bucketSize=2&max=10');
+    
+    assert.deepEqual(response.body.buckets.map(bucket => bucket.count), [1, 0, 1, 0, 0]);
+    assert.deepEqual(response.body.over, { from: 10, count: 1 });
+    assert.equal(response.body.unknown, 1);
+    assert.deepEqual(response.body.stats, { count: 3, min: 1, max: 40, avg: 15 });
+  });
+  
+  it('counts job titles regardless of case and spacing', async () => {
+    const response = await report('/titles');
+    
+    assert.equal(response.body.withTitle, 3);
+    assert.deepEqual(response.body.titles, [
+      { title: 'Backend Developer', count: 2, share: 0.5 },
+      { title: 'Frontend Developer', count: 1, share: 0.25 }
+    ]);
+  });
+  
+  it('finds skills that appear on the same CVs', async () => {
+    const response = await report('/skills/cooccurrence?minCount=1');
+    
+    assert.deepEqual(response.body.pairs[0], { skills: ['Python', 'React'], count: 2, jaccard: 0.5, lift: 0.889 });
+    
+    const withDjango = await report('/skills/cooccurrence?minCount=1&skill=django');
+    assert.equal(withDjango.body.skill, 'Django');
+    assert.deepEqual(withDjango.body.pairs.map(pair => pair.skills), [['Django', 'Python']]);
+  });
+  
+  it('compares skill demand from jobs and saved searches with the candidates who have the skill', async () => {
+    await runWithTenant(tenant, async () => {
+      await Job.create({
+        title: 'Platform engineer',
+        description: 'Python and Kubernetes',
+        requirements: { requiredSkills: ['Python', 'Kubernetes'], niceToHaveSkills: ['Django'] }
+      });
+      await SavedSearch.create({ name: 'Kubernetes', query: 'kubernetes operators', active: true });
+    });
+    
+    const response = await report('/skills/gaps?sources=jobs,savedSearches');
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.sources, { jobs: 1, savedSearches: 1 });
+    
+    const gaps = new Map(response.body.gaps.map(gap => [gap.skill, gap]));
+    assert.deepEqual(gaps.get('Kubernetes').demand, { total: 2, jobs: 1, niceToHave: 0, savedSearches: 1, searches: 0 });
+    assert.equal(gaps.get('Kubernetes').supply, 0);
+    assert.equal(gaps.get('Python').supply, 3);
+    // The scarcest skills come first
+    assert.equal(response.body.gaps[0].skill, 'Kubernetes');
+  });
+  
+  it('caches reports until the candidate pool changes', async () => {
+    const first = await report('/titles');
+    assert.equal(first.body.cached, false);
+    
+    await createCV(tenant, { metadata: { jobTitles: ['Data Engineer'] } });
+    const cached = await report('/titles');
+    assert.equal(cached.body.cached, true);
+    assert.equal(cached.body.candidates, 4);
+    
+    // Events of another tenant leave the cache alone
+    const other = await createTenant('elsewhere');
+    runWithTenant(other, () => emitEvent('cv.processed', { cvId: 'other' }));
+    assert.equal((await report('/titles')).body.cached, true);
+    
+    runWithTenant(tenant, () => emitEvent('cv.processed', { cvId: 'new' }));
+    const fresh = await report('/titles');
+    assert.equal(fresh.body.cached, false);
+    assert.equal(fresh.body.candidates, 5);
+  });
+});
@@ -0,0 +1,117 @@
+require('./helpers/setup');
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const app = require('../server');
+const AuditEntry = require('../models/auditEntryModel');
+const { recordAudit } = require('../utils/audit');
+const { sweepRetention } = require('../utils/retention');
+const { runWithTenant } = require('../utils/tenantScope');
+const { clearDb } = require('./helpers/memoryDb');
+const { createTenant, createUser, createCV, request } = require('./helpers/fixtures');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Wait for the audit entries recorded in the background
+ * @param {Object} tenant - Tenant context
+ * @param {string} action - Audit action
+ * @param {number} [count] - Number of entries to wait for
+ * @returns {Promise<Object[]>} - Entries, oldest first
+ */
+async function waitForAudit(tenant, action, count = 1) {
+  const deadline = Date.now() + 5000;
+  while (Date.now() < deadline) {
+    const entries = await runWithTenant(tenant, async () => await AuditEntry.find({ action }).sort({ at: 1 }).lean());
+    if (entries.length >= count) {
+      return entries;
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error(`No ${action} audit entry was recorded`);
+}
+
+describe('audit log', () => {
+  let tenant;
+  let token;
+  let cv;
+  
+  beforeEach(async () => {
+    clearDb();
+    tenant = await createTenant('audit', { retention: { enabled: true, days: 30 } });
+    ({ token } = await createUser(tenant, 'admin'));
+    cv = await createCV(tenant, {
+      originalName: 'Jane_Doe_CV.pdf',
+      content: 'Jane Doe\nPython developer\njane.doe@example.com',
+      metadata: { skills: ['Python'], contactDetails: { email: 'jane.doe@example.com' } },
+      uploadDate: new Date(Date.now() - 60 * DAY)
+    });
+  });
+  
+  it('records the skills and filter names of a search, not its query text or filter values', async () => {
+    const response = await request(app, 'POST', '/api/cv/search', {
+      token,
+      body: {
+        query: 'Jane Doe python',
+        searchType: 'vector',
+        filters: { skills: ['python'], custom: { 'contactDetails.email': 'jane.doe@example.com' } }
+      }
+    });
+    assert.equal(response.status, 200);
+    
+    const [entry] = await waitForAudit(tenant, 'search');
+    assert.deepEqual(entry.details.skills, ['Python']);
+    assert.deepEqual(entry.details.filters, ['skills', 'custom']);
+    assert.doesNotMatch(JSON.stringify(entry), /Jane|jane\.doe/);
+  });
+  
+  it('records exports without their query text', async () => {
+    const response = await request(app, 'POST', '/api/cv/export', {
+      token,
+      body: { format: 'csv', filters: { custom: { 'contactDetails.email': 'jane.doe@example.com' } } }
+    });
+    assert.equal(response.status, 200);
+    
+    const [entry] = await waitForAudit(tenant, 'export');
+    assert.deepEqual(entry.cvIds.map(String), [cv._id.toString()]);
+    assert.doesNotMatch(JSON.stringify(entry), /jane\.doe/);
+  });
+  
+  it('keeps no personal data about a candidate after the retention sweep erased them', async () => {
+    await request(app, 'POST', '/api/cv/search', { token, body: { query: 'Jane Doe', searchType: 'vector' } });
+    await request(app, 'GET', `/api/cv/${cv._id}`, { token });
+    
+    const result = await runWithTenant(tenant, () => sweepRetention());
+    assert.equal(result.erased, 1);
+    
+    const [erase] = await waitForAudit(tenant, 'erase');
+    assert.equal(erase.actor.name, 'retention');
+    assert.deepEqual(erase.cvIds.map(String), [cv._id.toString()]);
+    
+    const entries = await runWithTenant(tenant, async () => await AuditEntry.find().lean());
+    assert.ok(entries.length >= 3);
+    assert.doesNotMatch(JSON.stringify(entries), /Jane|jane\.doe/);
+  });
+  
+  it('cannot be changed once recorded', async () => {
+    runWithTenant(tenant, () => recordAudit(null, 'view', { cvIds: [cv._id] }));
+    const [entry] = await waitForAudit(tenant, 'view');
+    
+    await assert.rejects(
+      runWithTenant(tenant, async () => await AuditEntry.updateOne({ _id: entry._id }, { action: 'search' })),
+      /append-only/
+    );
+  });
+  
+  it('counts the skills of recorded and older searches as demand', async () => {
+    await request(app, 'POST', '/api/cv/search', { token, body: { filters: { skills: ['python'] } } });
+    await waitForAudit(tenant, 'search');
+    // Entries recorded before searches were described by their skills hold the query itself
+    await runWithTenant(tenant, async () => await AuditEntry.create({ action: 'search', details: { query: 'python developer' } }));
+    
+    const response = await request(app, 'GET', '/api/analytics/skills/gaps?sources=searches', { token });
+    assert.equal(response.status, 200);
+    const python = response.body.gaps.find(gap => gap.skill === 'Python');
+    assert.equal(python.demand.searches, 2);
+  });
+});
@@ -0,0 +1,177 @@
+require('./helpers/setup');
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const app = require('../server');
+const Alert = require('../models/alertModel');
+const { validateCustomFilters } = require('../utils/searchFilters');
+const { runWithTenant } = require('../utils/tenantScope');
+const { clearDb } = require('./helpers/memoryDb');
+const { createTenant, createUser, createCV, request } = require('./helpers/fixtures');
+
+describe('authentication and roles', () => {
+  let tenant;
+  let cv;
+  
+  beforeEach(async () => {
+    clearDb();
+    tenant = await createTenant('roles');
+    cv = await createCV(tenant, {
+      originalName: 'Jane_Doe_CV.pdf',
+      metadata: {
+        skills: ['Node.js'],
+        jobTitles: ['Backend Developer'],
+        contactDetails: { email: 'jane.doe@example.com', phone: '+44 20 7946 0958' },
+        links: { linkedin: 'https://linkedin.com/in/janedoe' }
+      },
+      recruiting: { notes: [{ text: 'Call Jane back on her mobile', author: 'recruiter@example.com' }] }
+    });
+  });
+  
+  it('rejects requests without credentials', async () => {
+    const response = await request(app, 'GET', `/api/cv/${cv._id}`);
+    assert.equal(response.status, 401);
+  });
+  
+  it('rejects invalid session tokens', async () => {
+    const response = await request(app, 'GET', `/api/cv/${cv._id}`, { token: 'not-a-token' });
+    assert.equal(response.status, 401);
+  });
+  
+  it('signs in with email and password', async () => {
+    const { user } = await createUser(tenant, 'recruiter');
+    
+    const wrong = await request(app, 'POST', '/api/auth/login', { body: { email: user.email, password: 'wrong' } });
+    assert.equal(wrong.status, 401);
+    
+    const response = await request(app, 'POST', '/api/auth/login', {
+      body: { email: user.email, password: 'correct horse battery staple' }
+    });
+    assert.equal(response.status, 200);
+    
+    const me = await request(app, 'GET', '/api/auth/me', { token: response.body.token });
+    assert.equal(me.body.user.role, 'recruiter');
+  });
+  
+  it('keeps viewers from uploading', async () => {
+    const { token } = await createUser(tenant, 'viewer');
+    const response = await request(app, 'POST', '/api/cv/bulk', { token });
+    assert.equal(response.status, 403);
+  });
+  
+  it('removes contact details, links, file names, notes and content from viewers\' responses', async () => {
+    const { token } = await createUser(tenant, 'viewer');
+    const response = await request(app, 'GET', `/api/cv/${cv._id}`, { token });
+    
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.metadata.skills, ['Node.js']);
+    assert.equal(response.body.metadata.contactDetails, undefined);
+    assert.equal(response.body.metadata.links, undefined);
+    assert.equal(response.body.originalName, undefined);
+    assert.equal(response.body.filename, undefined);
+    assert.equal(response.body.recruiting.notes, undefined);
+    assert.equal(response.body.content, undefined);
+    assert.doesNotMatch(JSON.stringify(response.body), /janedoe|Jane_Doe|mobile/);
+  });
+  
+  it('removes file names from viewers\' alerts', async () => {
+    const { user, token } = await createUser(tenant, 'viewer');
+    await runWithTenant(tenant, () => Alert.create({
+      savedSearchId: cv._id,
+      ownerId: user._id,
+      cvId: cv._id,
+      inbox: true,
+      summary: { originalName: 'Jane_Doe_CV.pdf', skills: ['Node.js'] }
+    }));
+    
+    const response = await request(app, 'GET', '/api/alerts', { token });
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.alerts[0].summary.skills, ['Node.js']);
+    assert.equal(response.body.alerts[0].summary.originalName, undefined);
+  });
+  
+  describe('search queries', () => {
+    it('rejects viewers searching for contact details or links', async () => {
+      const { token } = await createUser(tenant, 'viewer');
+      for (const query of ['jane.doe@example.com', '@example.com', '+44 20 7946 0958', 'linkedin.com/in/janedoe']) {
+        const response = await request(app, 'POST', '/api/cv/search', { token, body: { query } });
+        assert.equal(response.status, 400, query);
+        assert.equal(response.body.error, 'Invalid query');
+      }
+      
+      const saved = await request(app, 'POST', '/api/saved-searches', { token, body: { name: 'Guess', query: 'jane.doe@example.com' } });
+      assert.equal(saved.status, 400);
+    });
+    
+    it('lets viewers search for anything else and recruiters for contact details', async () => {
+      const viewer = await createUser(tenant, 'viewer');
+      const skills = await request(app, 'POST', '/api/cv/search', {
+        token: viewer.token,
+        body: { query: 'Node.js developer, 5 years', searchType: 'vector' }
+      });
+      assert.equal(skills.status, 200);
+      
+      const recruiter = await createUser(tenant, 'recruiter');
+      const email = await request(app, 'POST', '/api/cv/search', {
+        token: recruiter.token,
+        body: { query: 'jane.doe@example.com', searchType: 'vector' }
+      });
+      assert.equal(email.status, 200);
+    });
+  });
+  
+  describe('custom filters', () => {
+    it('rejects viewers filtering on contact details', async () => {
+      const { token } = await createUser(tenant, 'viewer');
+      const response = await request(app, 'POST', '/api/cv/search', {
+        token,
+        body: { filters: { custom: { 'contactDetails.email': { $regex: '^j' } } } }
+      });
+      
+      assert.equal(response.status, 400);
+      assert.deepEqual(response.body.details, ['filters.custom.contactDetails.email is not available to viewers']);
+    });
+    
+    it('rejects viewers saving a search that filters on contact details', async () => {
+      const { token } = await createUser(tenant, 'viewer');
+      const response = await request(app, 'POST', '/api/saved-searches', {
+        token,
+        body: { name: 'Guess', filters: { custom: { 'contactDetails.phone': '+44 20 7946 0958' } } }
+      });
+      
+      assert.equal(response.status, 400);
+    });
+    
+    it('lets recruiters filter on contact details', async () => {
+      const { token } = await createUser(tenant, 'recruiter');
+      const response = await request(app, 'POST', '/api/cv/search', {
+        token,
+        body: { filters: { custom: { 'contactDetails.email': 'jane.doe@example.com' } } }
+      });
+      
+      assert.equal(response.status, 200);
+      assert.deepEqual(response.body.results.map(result => result._id), [cv._id.toString()]);
+    });
+    
+    it('lets viewers filter on other metadata fields', async () => {
+      const { token } = await createUser(tenant, 'viewer');
+      const response = await request(app, 'POST', '/api/cv/search', {
+        token,
+        body: { filters: { custom: { jobTitles: { $in: ['Backend Developer'] } } } }
+      });
+      
+      assert.equal(response.status, 200);
+      assert.equal(response.body.results.length, 1);
+    });
+    
+    it('rejects fields outside the allowlist and unsupported operators', () => {
+      assert.deepEqual(validateCustomFilters({ 'extractedMetadata.contactDetails': 'x' }), [
+        'filters.custom.extractedMetadata.contactDetails is not a filterable field'
+      ]);
+      assert.equal(validateCustomFilters({ skills: { $elemMatch: { $regex: 'a' } } }).length, 1);
+      assert.equal(validateCustomFilters({ skills: { $where: 'true' } }).length, 1);
+      assert.deepEqual(validateCustomFilters(['skills']), ['filters.custom must be an object']);
+      assert.deepEqual(validateCustomFilters({ skills: ['Node.js'], experience: { $gte: 2 } }), []);
+    });
+  });
+});
@@ -0,0 +1,319 @@
+require('./helpers/setup');
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const AdmZip = require('adm-zip');
+const app = require('../server');
+const Batch = require('../models/batchModel');
+const IngestTask = require('../models/ingestTaskModel');
+const CV = require('../models/cvModel');
+const { expandUploads, removeUploadedFiles } = require('../utils/archive');
+const config = require('../config/config');
+const { enqueueBatch, startWorker, stopWorker } = require('../utils/ingestQueue');
+const { readStoredFile } = require('../utils/storage');
+const { runWithTenant, runWithoutTenant } = require('../utils/tenantScope');
+const { clearDb } = require('./helpers/memoryDb');
+const { createTenant, createUser, request } = require('./helpers/fixtures');
+
+const CV_TEXT = 'Jane Doe\nSoftware engineer with Node.js and MongoDB experience.\nSkills: JavaScript, Node.js';
+
+/**
+ * Build an uploaded text file
+ * @param {string} name - File name
+ * @param {number} [size] - Size in bytes
+ * @returns {Object} - Multer file
+ */
+function textFile(name, size) {
+  const buffer = Buffer.from(size ? 'x'.repeat(size) : CV_TEXT);
+  return { originalname: name, mimetype: 'text/plain', buffer };
+}
+
+/**
+ * Build an uploaded ZIP archive
+ * @param {string} name - Archive name
+ * @param {Object[]} entries - Files to put into the archive
+ * @returns {Object} - Multer file
+ */
+function zipFile(name, entries) {
+  const zip = new AdmZip();
+  for (const entry of entries) {
+    zip.addFile(entry.originalname, entry.buffer);
+  }
+  return { originalname: name, mimetype: 'application/zip', buffer: zip.toBuffer() };
+}
+
+/**
+ * Wait until a batch has finished processing
+ * @param {Object} tenant - Tenant context
+ * @param {Object} batchId - Batch ID
+ * @returns {Promise<Object>} - Finished batch
+ */
+async function waitForBatch(tenant, batchId) {
+  const deadline = Date.now() + 10000;
+  while (Date.now() < deadline) {
+    const batch = await runWithTenant(tenant, async () => await Batch.findById(batchId));
+    if (['completed', 'completed_with_errors', 'failed'].includes(batch.status)) {
+      return batch;
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error(`Batch ${batchId} did not finish`);
+}
+
+/**
+ * Wait until the ingest task of a batch matches a condition
+ * @param {Object} batchId - Batch ID
+ * @param {Function} done - (task) => boolean
+ * @returns {Promise<Object>} - Task
+ */
+async function waitForTask(batchId, done) {
+  const deadline = Date.now() + 10000;
+  while (Date.now() < deadline) {
+    const task = await runWithoutTenant(async () => await IngestTask.findOne({ batchId }).lean());
+    if (task && done(task)) {
+      return task;
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error(`The task of batch ${batchId} did not reach the expected state`);
+}
+
+describe('bulk upload', () => {
+  let tenant;
+  
+  beforeEach(async () => {
+    clearDb();
+    tenant = await createTenant('uploads', { upload: { maxSize: 1000, maxExtractedSize: 100 } });
+  });
+  
+  describe('expandUploads', () => {
+    it('skips archive entries once the inflated files exceed the total size', () => {
+      const archive = zipFile('cvs.zip', [textFile('a.txt', 40), textFile('b.txt', 40), textFile('c.txt', 40)]);
+      const { files, skipped } = runWithTenant(tenant, () => expandUploads([archive]));
+      
+      assert.deepEqual(files.map(file => file.originalname), ['a.txt', 'b.txt']);
+      assert.deepEqual(skipped, [{
+        originalname: 'c.txt',
+        archive: 'cvs.zip',
+        error: 'The upload exceeds the maximum total size of its files'
+      }]);
+    });
+    
+    it('counts the plain files of the upload towards the total', () => {
+      const uploads = [textFile('plain.txt', 80), zipFile('cvs.zip', [textFile('a.txt', 40)])];
+      const { files, skipped } = runWithTenant(tenant, () => expandUploads(uploads));
+      
+      assert.deepEqual(files.map(file => file.originalname), ['plain.txt']);
+      assert.deepEqual(skipped.map(file => file.originalname), ['a.txt']);
+    });
+    
+    it('skips entries larger than the maximum file size without inflating them', () => {
+      const archive = zipFile('cvs.zip', [textFile('huge.txt', 5000)]);
+      const { files, skipped } = runWithTenant(tenant, () => expandUploads([archive]));
+      
+      assert.equal(files.length, 0);
+      assert.equal(skipped[0].error, 'The file exceeds the maximum allowed size');
+    });
+    
+    it('reads uploads that were written to disk and removes them afterwards', async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cv-picker-uploads-'));
+      const uploads = [textFile('plain.txt', 40), zipFile('cvs.zip', [textFile('a.txt', 40)])].map((upload, index) => {
+        const filePath = path.join(dir, String(index));
+        fs.writeFileSync(filePath, upload.buffer);
+        return { originalname: upload.originalname, mimetype: upload.mimetype, path: filePath };
+      });
+      const { files } = runWithTenant(tenant, () => expandUploads(uploads));
+      
+      assert.deepEqual(files.map(file => file.originalname), ['plain.txt', 'a.txt']);
+      assert.equal(files[0].buffer.toString(), 'x'.repeat(40));
+      
+      await removeUploadedFiles(uploads);
+      assert.deepEqual(fs.readdirSync(dir), []);
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+  });
+  
+  describe('POST /api/cv/bulk', () => {
+    let tempDir;
+    let token;
+    
+    beforeEach(async () => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cv-picker-uploads-'));
+      config.upload.tempDir = tempDir;
+      ({ token } = await createUser(tenant, 'recruiter'));
+    });
+    
+    afterEach(() => {
+      config.upload.tempDir = os.tmpdir();
+    });
+    
+    /**
+     * Send a bulk upload of text files
+     * @param {Object[]} files - Files built with textFile
+     * @returns {Promise<Object>} - Response
+     */
+    function sendFiles(files, sessionToken = token) {
+      const form = new FormData();
+      for (const file of files) {
+        form.append('cvs', new Blob([file.buffer], { type: file.mimetype }), file.originalname);
+      }
+      return request(app, 'POST', '/api/cv/bulk', { token: sessionToken, body: form });
+    }
+    
+    it('writes the files to disk while receiving them and removes them once they are queued', async () => {
+      const response = await sendFiles([textFile('jane.txt')]);
+      
+      assert.equal(response.status, 202);
+      assert.equal(response.body.counts.queued, 1);
+      assert.deepEqual(fs.readdirSync(tempDir), []);
+    });
+    
+    it('refuses requests larger than the tenant\'s bulk upload size before reading them', async () => {
+      const limited = await createTenant('limited', { upload: { maxBulkUploadSize: 500 } });
+      const { token: limitedToken } = await createUser(limited, 'recruiter');
+      const response = await sendFiles([textFile('a.txt', 400), textFile('b.txt', 400)], limitedToken);
+      
+      assert.equal(response.status, 413);
+      assert.deepEqual(fs.readdirSync(tempDir), []);
+    });
+  });
+  
+  describe('enqueueBatch', () => {
+    it('keeps the file bytes in the storage backend instead of the task', async () => {
+      const file = textFile('jane.txt');
+      const batch = await runWithTenant(tenant, () => enqueueBatch([file]));
+      const task = await runWithTenant(tenant, async () => await IngestTask.findOne({ batchId: batch._id }));
+      
+      assert.equal(task.data, undefined);
+      assert.equal(task.file.key, `ingest/${batch._id}/${batch.files[0]._id}`);
+      assert.deepEqual(await readStoredFile(task.file), file.buffer);
+    });
+    
+    it('marks the batch failed and removes the stored files when the tasks cannot be saved', async t => {
+      t.mock.method(IngestTask, 'insertMany', async () => {
+        throw new Error('write failed');
+      });
+      
+      await assert.rejects(runWithTenant(tenant, () => enqueueBatch([textFile('jane.txt')])), /write failed/);
+      
+      const batch = await runWithTenant(tenant, async () => await Batch.findOne());
+      assert.equal(batch.status, 'failed');
+      assert.ok(batch.completedAt);
+      assert.equal(batch.files[0].status, 'failed');
+      assert.match(batch.files[0].error, /could not be queued/);
+      assert.equal(await readStoredFile({ backend: 'local', key: `ingest/${batch._id}/${batch.files[0]._id}` }), null);
+    });
+  });
+  
+  describe('ingest worker', () => {
+    afterEach(() => stopWorker());
+    
+    it('creates the CV and removes the queued file', async () => {
+      const batch = await runWithTenant(tenant, () => enqueueBatch([textFile('jane.txt')]));
+      const task = await runWithTenant(tenant, async () => await IngestTask.findOne({ batchId: batch._id }));
+      startWorker();
+      
+      const finished = await waitForBatch(tenant, batch._id);
+      assert.equal(finished.status, 'completed');
+      
+      const cv = await runWithTenant(tenant, async () => await CV.findById(finished.files[0].cvId));
+      assert.equal(cv.ingestTaskId.toString(), task._id.toString());
+      assert.equal(await readStoredFile(task.file), null);
+    });
+    
+    it('does not create a second CV when a retried task already created one', async () => {
+      const batch = await runWithTenant(tenant, () => enqueueBatch([textFile('jane.txt')]));
+      const task = await runWithTenant(tenant, async () => await IngestTask.findOne({ batchId: batch._id }));
+      // The worker of the first attempt saved the CV but died before finishing the task
+      const existing = await runWithTenant(tenant, async () => await CV.create({
+        filename: 'jane.txt',
+        originalName: 'jane.txt',
+        content: CV_TEXT,
+        ingestTaskId: task._id
+      }));
+      startWorker();
+      
+      const finished = await waitForBatch(tenant, batch._id);
+      assert.equal(finished.status, 'completed');
+      assert.equal(finished.files[0].cvId.toString(), existing._id.toString());
+      assert.equal(await runWithTenant(tenant, async () => await CV.countDocuments()), 1);
+    });
+    
+    it('retries failed tasks with exponential backoff', async t => {
+      const { retryDelay } = config.queue;
+      config.queue.retryDelay = 60000;
+      t.after(() => { config.queue.retryDelay = retryDelay; });
+      const findOne = t.mock.method(CV, 'findOne', () => {
+        throw new Error('Database unavailable');
+      });
+      const batch = await runWithTenant(tenant, () => enqueueBatch([textFile('jane.txt')]));
+      
+      const start = Date.now();
+      startWorker();
+      let task = await waitForTask(batch._id, found => found.status === 'queued' && found.attempts === 1);
+      assert.equal(task.lastError, 'Database unavailable');
+      assert.ok(task.runAt.getTime() >= start + 60000);
+      let current = await runWithTenant(tenant, async () => await Batch.findById(batch._id));
+      assert.equal(current.files[0].status, 'queued');
+      assert.equal(current.files[0].error, 'Database unavailable');
+      
+      // The second attempt waits twice as long
+      await runWithoutTenant(() => IngestTask.updateOne({ _id: task._id }, { $set: { runAt: new Date() } }));
+      const retried = Date.now();
+      stopWorker();
+      startWorker();
+      task = await waitForTask(batch._id, found => found.status === 'queued' && found.attempts === 2);
+      assert.ok(task.runAt.getTime() >= retried + 120000);
+      
+      // The third attempt succeeds once the database is back
+      findOne.mock.restore();
+      await runWithoutTenant(() => IngestTask.updateOne({ _id: task._id }, { $set: { runAt: new Date() } }));
+      stopWorker();
+      startWorker();
+      current = await waitForBatch(tenant, batch._id);
+      assert.equal(current.status, 'completed');
+      assert.equal(current.files[0].attempts, 3);
+      assert.equal(current.files[0].error, null);
+    });
+    
+    it('fails tasks that used up their attempts and removes their queued files', async t => {
+      const { maxAttempts, retryDelay } = config.queue;
+      Object.assign(config.queue, { maxAttempts: 2, retryDelay: 0 });
+      t.after(() => Object.assign(config.queue, { maxAttempts, retryDelay }));
+      t.mock.method(CV, 'findOne', () => {
+        throw new Error('Database unavailable');
+      });
+      const batch = await runWithTenant(tenant, () => enqueueBatch([textFile('jane.txt'), textFile('john.txt')]));
+      startWorker();
+      
+      const finished = await waitForBatch(tenant, batch._id);
+      assert.equal(finished.status, 'failed');
+      assert.deepEqual(finished.files.map(file => [file.status, file.attempts, file.error]), [
+        ['failed', 2, 'Database unavailable'],
+        ['failed', 2, 'Database unavailable']
+      ]);
+      const tasks = await runWithTenant(tenant, async () => await IngestTask.find({ batchId: batch._id }).lean());
+      assert.ok(tasks.every(task => task.status === 'failed'));
+      for (const task of tasks) {
+        assert.equal(await readStoredFile(task.file), null);
+      }
+    });
+    
+    it('does not retry files that can never be processed', async () => {
+      const binary = { originalname: 'cv.txt', mimetype: 'text/plain', buffer: Buffer.from([0x7f, 0x45, 0x4c, 0x46, 0, 1, 2]) };
+      const batch = await runWithTenant(tenant, () => enqueueBatch([binary, textFile('jane.txt')]));
+      startWorker();
+      
+      const finished = await waitForBatch(tenant, batch._id);
+      assert.equal(finished.status, 'completed_with_errors');
+      assert.deepEqual(finished.files.map(file => [file.filename, file.status, file.attempts]), [
+        ['cv.txt', 'failed', 1],
+        ['jane.txt', 'completed', 1]
+      ]);
+      assert.equal(finished.files[0].error, 'Unsupported file type');
+    });
+  });
+});
@@ -0,0 +1,115 @@
+require('./helpers/setup');
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const app = require('../server');
+const CV = require('../models/cvModel');
+const { clearDb } = require('./helpers/memoryDb');
+const { createTenant, createUser, createCV, request } = require('./helpers/fixtures');
+const { runWithTenant } = require('../utils/tenantScope');
+
+describe('duplicate candidates and CV versions', () => {
+  let tenant;
+  let token;
+  
+  beforeEach(async () => {
+    clearDb();
+    tenant = await createTenant('versions');
+    ({ token } = await createUser(tenant, 'recruiter'));
+  });
+  
+  /**
+   * Upload a plain text CV
+   * @param {string} text - CV text
+   * @param {string} [name] - File name
+   * @returns {Promise<Object>} - Response body
+   */
+  async function upload(text, name = 'cv.txt') {
+    const form = new FormData();
+    form.append('cv', new Blob([text], { type: 'text/plain' }), name);
+    const response = await request(app, 'POST', '/api/cv/upload', { token, body: form });
+    assert.equal(response.status, 201);
+    return response.body;
+  }
+  
+  /**
+   * Get the versions of a CV's candidate, newest first
+   * @param {string} id - CV ID
+   * @returns {Promise<Object>} - Response body
+   */
+  async function versions(id) {
+    const response = await request(app, 'GET', `/api/cv/${id}/versions`, { token });
+    assert.equal(response.status, 200);
+    return response.body;
+  }
+  
+  it('stores a CV uploaded again as the newest version of the candidate', async () => {
+    const text = 'Jane Doe\nSoftware engineer with Node.js and MongoDB experience.';
+    const first = await upload(text);
+    const second = await upload(`  ${text.toUpperCase()}\n`);
+    
+    assert.equal(second.candidateId, first.candidateId);
+    assert.equal(second.version, 2);
+    assert.equal(second.duplicate.matchedCvId, first.id);
+    assert.ok(second.duplicate.matchedBy.includes('contentHash'));
+    
+    const history = await versions(first.id);
+    assert.equal(history.count, 2);
+    assert.deepEqual(history.versions.map(version => [version._id, version.version, version.isLatestVersion]), [
+      [second.id, 2, true],
+      [first.id, 1, false]
+    ]);
+  });
+  
+  it('links a different CV of the same candidate by contact details', async () => {
+    const first = await upload('Jane Doe\njane.doe@example.com\nBackend developer with Python.');
+    const second = await upload('Jane Doe\nJane.Doe@Example.com\nEngineering manager, ten years of Java and Kotlin.');
+    
+    assert.equal(second.candidateId, first.candidateId);
+    assert.deepEqual(second.duplicate.matchedBy, ['email']);
+  });
+  
+  it('keeps unrelated CVs and tenants without duplicate detection apart', async () => {
+    const jane = await upload('Jane Doe\njane@example.com\nSoftware engineer.');
+    const john = await upload('John Smith\njohn@example.com\nData scientist.');
+    assert.notEqual(john.candidateId, jane.candidateId);
+    assert.equal(john.duplicate, undefined);
+    
+    tenant = await createTenant('no-duplicates', { duplicates: { enabled: false } });
+    ({ token } = await createUser(tenant, 'recruiter'));
+    const first = await upload('Jane Doe\njane@example.com\nSoftware engineer.');
+    const second = await upload('Jane Doe\njane@example.com\nSoftware engineer.');
+    assert.notEqual(second.candidateId, first.candidateId);
+    assert.equal(second.version, 1);
+  });
+  
+  it('merges candidates by hand and detaches a version again', async () => {
+    const older = await createCV(tenant, { uploadDate: new Date('2024-01-01') });
+    const newer = await createCV(tenant, { uploadDate: new Date('2025-01-01') });
+    
+    const merged = await request(app, 'POST', `/api/cv/${newer._id}/merge`, { token, body: { targetId: older._id } });
+    assert.equal(merged.status, 200);
+    assert.equal(merged.body.candidateId, older._id.toString());
+    
+    const history = await versions(older._id);
+    assert.deepEqual(history.versions.map(version => [version._id, version.version]), [
+      [newer._id.toString(), 2],
+      [older._id.toString(), 1]
+    ]);
+    assert.deepEqual(history.versions[0].duplicateMatch.matchedBy, ['manual']);
+    
+    // Detaching the root leaves the remaining version as a candidate of its own
+    const unmerged = await request(app, 'POST', `/api/cv/${older._id}/unmerge`, { token });
+    assert.equal(unmerged.status, 200);
+    const remaining = await runWithTenant(tenant, () => CV.findById(newer._id).lean());
+    assert.equal(remaining.candidateId.toString(), newer._id.toString());
+    assert.equal(remaining.version, 1);
+    assert.equal(remaining.isLatestVersion, true);
+  });
+  
+  it('refuses to merge a CV into itself', async () => {
+    const cv = await createCV(tenant);
+    const response = await request(app, 'POST', `/api/cv/${cv._id}/merge`, { token, body: { targetId: cv._id } });
+    assert.equal(response.status, 400);
+  });
+});
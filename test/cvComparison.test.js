@@ -0,0 +1,139 @@
+require('./helpers/setup');
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const app = require('../server');
+const offlineProvider = require('../utils/providers/offlineProvider');
+const { generateEmbeddings, getEmbeddingInfo } = require('../utils/openaiService');
+const { clearDb } = require('./helpers/memoryDb');
+const { createTenant, createUser, createCV, request } = require('./helpers/fixtures');
+
+const JOB = 'Senior Python developer with 5 years experience. Required: Python, PostgreSQL.';
+
+describe('candidate comparison', () => {
+  let tenant;
+  let token;
+  let backend;
+  let fullStack;
+  
+  /**
+   * Create a CV embedded by the current provider
+   * @param {string} text - Text the embedding is made from
+   * @param {Object} metadata - CV metadata
+   * @returns {Promise<Object>} - CV document
+   */
+  async function createEmbeddedCV(text, metadata) {
+    const { provider, model } = getEmbeddingInfo();
+    return createCV(tenant, {
+      embeddings: await generateEmbeddings(text),
+      embeddingProvider: provider,
+      embeddingModel: model,
+      metadata
+    });
+  }
+  
+  /**
+   * Compare CVs through the API
+   * @param {Object} body - Request body
+   * @returns {Promise<Object>} - Response
+   */
+  function compare(body) {
+    return request(app, 'POST', '/api/cv/compare', { token, body });
+  }
+  
+  beforeEach(async () => {
+    clearDb();
+    tenant = await createTenant('compare');
+    ({ token } = await createUser(tenant, 'recruiter'));
+    backend = await createEmbeddedCV('python django backend', {
+      skills: ['Django', 'PostgreSQL'],
+      experience: 6,
+      jobTitles: ['Backend Developer'],
+      education: ['MSc Computer Science'],
+      workHistory: [{ employer: 'Acme', title: 'Backend Developer', current: true }],
+      contactDetails: { email: 'jane.doe@example.com' }
+    });
+    fullStack = await createEmbeddedCV('python react frontend', {
+      skills: ['Python', 'React'],
+      experience: 2,
+      jobTitles: ['Full Stack Developer'],
+      education: ['BSc Computer Science'],
+      workHistory: [{ employer: 'Acme', title: 'Developer' }]
+    });
+  });
+  
+  it('lines up skills, titles, experience and education with one column per candidate', async () => {
+    const response = await compare({ cvIds: [backend._id, fullStack._id], jobDescription: JOB });
+    assert.equal(response.status, 200);
+    const { candidates, skills, titles, experience, education } = response.body;
+    
+    assert.deepEqual(candidates.map(candidate => [candidate.label, candidate.id]), [
+      ['A', backend._id.toString()],
+      ['B', fullStack._id.toString()]
+    ]);
+    assert.ok(candidates[0].jobMatch.score > candidates[1].jobMatch.score);
+    
+    // Django implies Python
+    const python = skills.rows.find(row => row.value === 'Python');
+    assert.deepEqual(python.present, [true, true]);
+    assert.deepEqual(python.implied, [true, false]);
+    assert.equal(python.required, true);
+    assert.deepEqual(skills.shared, ['Python']);
+    assert.deepEqual(skills.unique[1], ['React']);
+    
+    assert.deepEqual(titles.unique, [['Backend Developer'], ['Full Stack Developer']]);
+    assert.deepEqual(experience.years, [6, 2]);
+    assert.deepEqual(experience.meetsRequirement, [true, false]);
+    assert.deepEqual(experience.employers.shared, ['Acme']);
+    assert.deepEqual(education.highest, ['master', 'bachelor']);
+  });
+  
+  it('compares the embeddings pairwise', async () => {
+    const unembedded = await createCV(tenant, { metadata: { skills: ['Go'] } });
+    const response = await compare({ cvIds: [backend._id, fullStack._id, unembedded._id] });
+    const { similarity } = response.body;
+    
+    assert.equal(similarity[0][0], 1);
+    assert.equal(similarity[0][1], similarity[1][0]);
+    assert.ok(similarity[0][1] > 0 && similarity[0][1] < 1);
+    assert.equal(similarity[0][2], null);
+    assert.equal(response.body.job, null);
+  });
+  
+  it('validates the CV IDs and the job', async () => {
+    assert.equal((await compare({ cvIds: [backend._id] })).status, 400);
+    assert.equal((await compare({ cvIds: [backend._id, backend._id] })).status, 400);
+    assert.equal((await compare({ cvIds: [backend._id, 'not-an-id'] })).status, 400);
+    assert.equal((await compare({ cvIds: [backend._id, fullStack._id], jobId: backend._id, jobDescription: JOB })).status, 400);
+    
+    const missing = await compare({ cvIds: [backend._id, '64b7f0c2a1b2c3d4e5f60718'] });
+    assert.equal(missing.status, 404);
+    assert.deepEqual(missing.body.missing, ['64b7f0c2a1b2c3d4e5f60718']);
+  });
+  
+  it('asks the AI provider for a summary of the candidates\' profiles only', async t => {
+    const completeJSON = t.mock.method(offlineProvider, 'completeJSON', async () => ({
+      summary: 'A has the deeper backend experience.',
+      candidates: [
+        { label: 'Candidate A', strengths: ['PostgreSQL'], concerns: [] },
+        { label: 'B', strengths: ['React'], concerns: ['Two years of experience', 42] }
+      ],
+      recommendation: 'A'
+    }));
+    
+    const response = await compare({ cvIds: [backend._id, fullStack._id], summary: true });
+    
+    assert.deepEqual(response.body.summary, {
+      summary: 'A has the deeper backend experience.',
+      candidates: [
+        { label: 'A', id: backend._id.toString(), strengths: ['PostgreSQL'], concerns: [] },
+        { label: 'B', id: fullStack._id.toString(), strengths: ['React'], concerns: ['Two years of experience'] }
+      ],
+      recommendation: 'A'
+    });
+    assert.equal(completeJSON.mock.callCount(), 1);
+    const prompt = completeJSON.mock.calls[0].arguments[1];
+    assert.match(prompt, /Candidate A:/);
+    assert.doesNotMatch(prompt, /jane\.doe|cv\.pdf/);
+  });
+});
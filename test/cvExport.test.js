@@ -0,0 +1,159 @@
+require('./helpers/setup');
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const AdmZip = require('adm-zip');
+const app = require('../server');
+const config = require('../config/config');
+const { clearDb } = require('./helpers/memoryDb');
+const { createTenant, createUser, createCV, request } = require('./helpers/fixtures');
+
+/**
+ * Parse a CSV export into rows of fields (no quoted line breaks in these tests)
+ * @param {string} text - CSV text
+ * @returns {string[][]}
+ */
+function parseCSV(text) {
+  return text.replace(/^﻿/, '').trim().split('\r\n').map(line => {
+    const fields = [];
+    for (const match of line.matchAll(/("(?:[^"]|"")*"|[^,]*)(?:,|$)/g)) {
+      if (match.index === line.length && fields.length > 0) {
+        break;
+      }
+      fields.push(match[1].startsWith('"') ? match[1].slice(1, -1).replace(/""/g, '"') : match[1]);
+    }
+    return fields;
+  });
+}
+
+/**
+ * Read the text drawn on the pages of a PDF (its content streams, inflated)
+ * @param {Buffer} pdf - PDF file
+ * @returns {string}
+ */
+function pdfText(pdf) {
+  const texts = [];
+  let offset = 0;
+  while ((offset = pdf.indexOf('stream\n', offset)) !== -1) {
+    const start = offset + 'stream\n'.length;
+    const end = pdf.indexOf('\nendstream', start);
+    texts.push(zlib.inflateSync(pdf.subarray(start, end)).toString('latin1'));
+    offset = end + '\nendstream'.length;
+  }
+  return texts.join('\n');
+}
+
+describe('CV export', () => {
+  let tenant;
+  let token;
+  let jane;
+  let john;
+  
+  /**
+   * Export through the API
+   * @param {Object} body - Request body
+   * @param {string} [as] - Session token
+   * @returns {Promise<Object>} - Response
+   */
+  function exportCVs(body, as = token) {
+    return request(app, 'POST', '/api/cv/export', { token: as, body });
+  }
+  
+  beforeEach(async () => {
+    clearDb();
+    tenant = await createTenant('exports');
+    ({ token } = await createUser(tenant, 'recruiter'));
+    jane = await createCV(tenant, {
+      originalName: 'Jane_Doe_CV.pdf',
+      content: 'Jane Doe\nBackend developer\njane.doe@example.com',
+      metadata: {
+        skills: ['Node.js', 'MongoDB'],
+        experience: 6,
+        jobTitles: ['=HYPERLINK("http://evil.example")'],
+        contactDetails: { email: 'jane.doe@example.com' }
+      }
+    });
+    john = await createCV(tenant, { originalName: 'john.pdf', metadata: { skills: ['Python'], experience: 2 } });
+  });
+  
+  it('exports the selected columns as CSV with spreadsheet formulas neutralized', async () => {
+    const response = await exportCVs({
+      cvIds: [jane._id],
+      columns: 'id,skills,experience,jobTitles,contactDetails.email'
+    });
+    
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /text\/csv/);
+    assert.match(response.headers.get('content-disposition'), /attachment; filename="cv-export-\d{4}-\d{2}-\d{2}\.csv"/);
+    assert.deepEqual(parseCSV(response.body), [
+      ['ID', 'Skills', 'Experience (years)', 'Job titles', 'Email'],
+      [jane._id.toString(), 'Node.js; MongoDB', '6', '\'=HYPERLINK("http://evil.example")', 'jane.doe@example.com']
+    ]);
+  });
+  
+  it('exports filter matches as NDJSON with lists kept as arrays', async () => {
+    const response = await exportCVs({ format: 'ndjson', filters: { skills: ['Python'] }, columns: ['id', 'skills'] });
+    
+    assert.equal(response.status, 200);
+    const lines = response.body.trim().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(lines, [{ id: john._id.toString(), skills: ['Python'] }]);
+  });
+  
+  it('streams filter-only exports in batches', async t => {
+    const { batchSize } = config.export;
+    config.export.batchSize = 1;
+    t.after(() => {
+      config.export.batchSize = batchSize;
+    });
+    
+    const response = await exportCVs({ format: 'ndjson', filters: { experience: { min: 0 } }, columns: ['id'] });
+    const ids = response.body.trim().split('\n').map(line => JSON.parse(line).id).sort();
+    assert.deepEqual(ids, [jane._id.toString(), john._id.toString()].sort());
+  });
+  
+  it('writes an XLSX workbook', async () => {
+    const response = await exportCVs({ format: 'xlsx', cvIds: [jane._id, john._id], columns: ['skills'] });
+    
+    assert.equal(response.status, 200);
+    const zip = new AdmZip(response.body);
+    const workbook = zip.getEntries().map(entry => entry.entryName);
+    assert.ok(workbook.includes('xl/workbook.xml'));
+    const sheets = zip.getEntries()
+      .filter(entry => entry.entryName.startsWith('xl/'))
+      .map(entry => entry.getData().toString())
+      .join('');
+    assert.match(sheets, /Node\.js; MongoDB/);
+    assert.match(sheets, /Python/);
+  });
+  
+  it('writes a PDF candidate pack and leaves personal data out of blind packs', async () => {
+    const response = await exportCVs({ format: 'pdf', cvIds: [jane._id], blind: true });
+    
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'application/pdf');
+    assert.equal(response.body.subarray(0, 5).toString(), '%PDF-');
+    const text = pdfText(response.body);
+    assert.match(text, /Candidate 1/);
+    assert.match(text, /Node\.js/);
+    assert.doesNotMatch(text, /Jane|jane\.doe/);
+  });
+  
+  it('refuses personal columns in blind exports and contact details to viewers', async () => {
+    const blind = await exportCVs({ cvIds: [jane._id], blind: true, columns: ['id', 'originalName'] });
+    assert.equal(blind.status, 400);
+    assert.deepEqual(blind.body.columns, ['originalName']);
+    
+    const viewer = await createUser(tenant, 'viewer');
+    const contact = await exportCVs({ cvIds: [jane._id], columns: ['contactDetails.phone'] }, viewer.token);
+    assert.equal(contact.status, 403);
+  });
+  
+  it('rejects unknown formats and columns', async () => {
+    assert.equal((await exportCVs({ cvIds: [jane._id], format: 'docx' })).status, 400);
+    
+    const response = await exportCVs({ cvIds: [jane._id], columns: ['id', 'salary'] });
+    assert.equal(response.status, 400);
+    assert.deepEqual(response.body.columns, ['salary']);
+  });
+});
@@ -0,0 +1,147 @@
+require('./helpers/setup');
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const app = require('../server');
+const CV = require('../models/cvModel');
+const CVPassage = require('../models/cvPassageModel');
+const ErasureReceipt = require('../models/erasureReceiptModel');
+const { clearDb } = require('./helpers/memoryDb');
+const { createTenant, createUser, createCV, request } = require('./helpers/fixtures');
+const { runWithTenant } = require('../utils/tenantScope');
+
+const TEXT = 'Jane Doe\njane.doe@example.com\nBackend developer with Node.js and MongoDB.';
+
+describe('CV corrections, deletion and erasure', () => {
+  let tenant;
+  let recruiter;
+  let admin;
+  
+  beforeEach(async () => {
+    clearDb();
+    tenant = await createTenant('lifecycle');
+    recruiter = await createUser(tenant, 'recruiter');
+    admin = await createUser(tenant, 'admin');
+  });
+  
+  /**
+   * Upload or replace a plain text CV as the recruiter
+   * @param {string} path - Request path
+   * @param {string} text - CV text
+   * @param {string} [method] - HTTP method
+   * @returns {Promise<Object>} - Response
+   */
+  function sendFile(path, text, method = 'POST') {
+    const form = new FormData();
+    form.append('cv', new Blob([text], { type: 'text/plain' }), 'Jane_Doe.txt');
+    return request(app, method, path, { token: recruiter.token, body: form });
+  }
+  
+  describe('PATCH /api/cv/:id', () => {
+    it('applies corrections over the extracted metadata and records who made them', async () => {
+      const cv = await createCV(tenant, { metadata: { skills: ['Java'], jobTitles: ['Developer'] } });
+      const response = await request(app, 'PATCH', `/api/cv/${cv._id}`, {
+        token: recruiter.token,
+        body: { metadata: { skills: ['nodejs', 'Java'], experience: 7 }, correctedBy: 'someone else' }
+      });
+      
+      assert.equal(response.status, 200);
+      assert.deepEqual(response.body.metadata.skills, ['Node.js', 'Java']);
+      assert.equal(response.body.metadata.experience, 7);
+      assert.deepEqual(response.body.metadata.jobTitles, ['Developer']);
+      assert.deepEqual(response.body.extractedMetadata.skills, ['Java']);
+      
+      const stored = await runWithTenant(tenant, () => CV.findById(cv._id).lean());
+      assert.equal(stored.correctedBy, recruiter.user.email);
+    });
+    
+    it('removes a correction set to null', async () => {
+      const cv = await createCV(tenant, { metadata: { skills: ['Java'] } });
+      await request(app, 'PATCH', `/api/cv/${cv._id}`, { token: recruiter.token, body: { metadata: { skills: ['Go'] } } });
+      const response = await request(app, 'PATCH', `/api/cv/${cv._id}`, { token: recruiter.token, body: { metadata: { skills: null } } });
+      
+      assert.deepEqual(response.body.metadata.skills, ['Java']);
+      assert.deepEqual(response.body.corrections, {});
+    });
+    
+    it('rejects unknown fields, wrong types and viewers', async () => {
+      const cv = await createCV(tenant);
+      for (const metadata of [{ salary: 1 }, { skills: 'Java' }, { experience: -1 }, {}]) {
+        const response = await request(app, 'PATCH', `/api/cv/${cv._id}`, { token: recruiter.token, body: { metadata } });
+        assert.equal(response.status, 400, JSON.stringify(metadata));
+      }
+      
+      const viewer = await createUser(tenant, 'viewer');
+      const response = await request(app, 'PATCH', `/api/cv/${cv._id}`, { token: viewer.token, body: { metadata: { skills: ['Go'] } } });
+      assert.equal(response.status, 403);
+    });
+  });
+  
+  it('replaces the file of a CV and keeps its ID and corrections', async () => {
+    const uploaded = await sendFile('/api/cv/upload', 'John Smith\nData scientist with Python.');
+    const { id } = uploaded.body;
+    await request(app, 'PATCH', `/api/cv/${id}`, { token: recruiter.token, body: { metadata: { jobTitles: ['Lead'] } } });
+    
+    const response = await sendFile(`/api/cv/${id}/file`, TEXT, 'PUT');
+    assert.equal(response.status, 200);
+    assert.equal(response.body.id, id);
+    assert.deepEqual(response.body.metadata.jobTitles, ['Lead']);
+    assert.ok(response.body.metadata.skills.includes('Node.js'));
+    
+    const file = await request(app, 'GET', `/api/cv/${id}/file`, { token: recruiter.token });
+    assert.equal(file.body, TEXT);
+  });
+  
+  it('hides all versions of a soft-deleted candidate until they are restored', async () => {
+    const cv = await createCV(tenant);
+    const newer = await createCV(tenant, { candidateId: cv._id, version: 2 });
+    
+    const deleted = await request(app, 'DELETE', `/api/cv/${newer._id}`, { token: recruiter.token, body: { reason: 'Withdrew' } });
+    assert.equal(deleted.status, 200);
+    assert.deepEqual(deleted.body.cvIds.sort(), [cv._id.toString(), newer._id.toString()].sort());
+    assert.equal((await request(app, 'GET', `/api/cv/${cv._id}`, { token: recruiter.token })).status, 404);
+    
+    const stored = await runWithTenant(tenant, () => CV.findById(cv._id).lean());
+    assert.equal(stored.deletionReason, 'Withdrew');
+    assert.ok(stored.content);
+    
+    const restored = await request(app, 'POST', `/api/cv/${cv._id}/restore`, { token: recruiter.token });
+    assert.equal(restored.status, 200);
+    assert.equal((await request(app, 'GET', `/api/cv/${newer._id}`, { token: recruiter.token })).status, 200);
+  });
+  
+  it('erases a candidate with their files and derived data and keeps a receipt without personal data', async () => {
+    const uploaded = await sendFile('/api/cv/upload', TEXT);
+    const { id } = uploaded.body;
+    assert.ok(await runWithTenant(tenant, () => CVPassage.countDocuments({ cvId: id })) > 0);
+    
+    const forbidden = await request(app, 'DELETE', `/api/cv/${id}?mode=erase`, { token: recruiter.token });
+    assert.equal(forbidden.status, 403);
+    
+    const response = await request(app, 'DELETE', `/api/cv/${id}?mode=erase`, {
+      token: admin.token,
+      body: { reason: 'GDPR request' }
+    });
+    assert.equal(response.status, 200);
+    const { itemsRemoved } = response.body.receipt;
+    assert.equal(itemsRemoved.cvs, 1);
+    assert.equal(itemsRemoved.storedFiles, 1);
+    assert.ok(itemsRemoved.passages > 0);
+    
+    assert.equal(await runWithTenant(tenant, () => CV.countDocuments({ _id: id })), 0);
+    assert.equal(await runWithTenant(tenant, () => CVPassage.countDocuments({ cvId: id })), 0);
+    const receipts = await runWithTenant(tenant, () => ErasureReceipt.find().lean());
+    assert.equal(receipts.length, 1);
+    assert.doesNotMatch(JSON.stringify(receipts), /Jane|jane\.doe/);
+  });
+  
+  it('rejects unknown delete modes and answers 404 for missing CVs', async () => {
+    const cv = await createCV(tenant);
+    const invalid = await request(app, 'DELETE', `/api/cv/${cv._id}?mode=shred`, { token: admin.token });
+    assert.equal(invalid.status, 400);
+    
+    await request(app, 'DELETE', `/api/cv/${cv._id}?mode=erase`, { token: admin.token });
+    const missing = await request(app, 'POST', `/api/cv/${cv._id}/restore`, { token: admin.token });
+    assert.equal(missing.status, 404);
+  });
+});
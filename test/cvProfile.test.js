@@ -0,0 +1,183 @@
+require('./helpers/setup');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const app = require('../server');
+const config = require('../config/config');
+const CV = require('../models/cvModel');
+const offlineProvider = require('../utils/providers/offlineProvider');
+const { extractMetadata } = require('../utils/cvParser');
+const {
+  parseCVDate,
+  normalizeLanguageLevel,
+  levelsAtLeast,
+  computeExperienceYears,
+  normalizeProfile,
+  mergeProfiles
+} = require('../utils/cvProfile');
+const { runWithTenant } = require('../utils/tenantScope');
+const { clearDb } = require('./helpers/memoryDb');
+const { createTenant, createUser, createCV, request } = require('./helpers/fixtures');
+
+const CV_TEXT = `Jane Doe
+Location: Berlin, Germany
+github.com/janedoe | https://www.linkedin.com/in/jane-doe/ | https://jane.dev
+
+Experience
+Senior Developer at Acme GmbH
+03/2019 - 12/2022
+Built Node.js services on MongoDB.
+Developer, Initech
+2016 - 2019
+
+Education
+M.Sc. in Computer Science
+Technical University of Munich, 2016
+
+Languages
+German (native), English - C1, French: basic
+
+Certifications
+AWS Certified Solutions Architect Associate (2021)
+`;
+
+describe('CV profiles', () => {
+  describe('rule-based extraction', () => {
+    const metadata = extractMetadata(CV_TEXT);
+    
+    it('reads the work history timeline and derives the experience from it', () => {
+      assert.deepEqual(metadata.workHistory.map(entry => [entry.title, entry.employer, entry.startDate, entry.endDate]), [
+        ['Senior Developer', 'Acme GmbH', new Date('2019-03-01'), new Date('2022-12-01')],
+        ['Developer', 'Initech', new Date('2016-01-01'), new Date('2019-01-01')]
+      ]);
+      assert.equal(metadata.workHistory[0].description, 'Built Node.js services on MongoDB.');
+      assert.equal(metadata.experience, 6.8);
+      assert.equal(metadata.experienceSource, 'timeline');
+      assert.deepEqual(metadata.jobTitles, ['Senior Developer', 'Developer']);
+    });
+    
+    it('reads education, languages and certifications', () => {
+      assert.deepEqual(metadata.educationHistory, [
+        { institution: 'Technical University of Munich', degree: 'M.Sc.', field: 'Computer Science', year: 2016 }
+      ]);
+      assert.deepEqual(metadata.languages, [
+        { language: 'German', level: 'native' },
+        { language: 'English', level: 'C1' },
+        { language: 'French', level: 'A2' }
+      ]);
+      assert.deepEqual(metadata.certifications.map(entry => [entry.name, entry.year]), [['AWS Certified Solutions Architect Associate', 2021]]);
+    });
+    
+    it('reads the location and sorts the links', () => {
+      assert.equal(metadata.location, 'Berlin, Germany');
+      assert.deepEqual({ ...metadata.links }, {
+        github: 'https://github.com/janedoe',
+        linkedin: 'https://www.linkedin.com/in/jane-doe/',
+        other: ['https://jane.dev']
+      });
+    });
+    
+    it('only finds languages outside a languages section when they have a level', () => {
+      assert.deepEqual(extractMetadata('Worked for a German bank. Spanish (B2)').languages, [{ language: 'Spanish', level: 'B2' }]);
+    });
+  });
+  
+  it('parses the date formats found in CVs', () => {
+    for (const value of ['2020-03', '03/2020', 'Mar 2020', 'March 2020', '2020.3']) {
+      assert.deepEqual(parseCVDate(value), new Date('2020-03-01'), value);
+    }
+    assert.deepEqual(parseCVDate(2020), new Date('2020-01-01'));
+    assert.equal(parseCVDate('heute'), 'present');
+    assert.equal(parseCVDate('sometime'), null);
+  });
+  
+  it('normalizes language levels to CEFR and compares them', () => {
+    assert.equal(normalizeLanguageLevel('Upper intermediate'), 'B2');
+    assert.equal(normalizeLanguageLevel('fluent (c2)'), 'C2');
+    assert.equal(normalizeLanguageLevel('Mother tongue'), 'native');
+    assert.equal(normalizeLanguageLevel('some'), undefined);
+    assert.deepEqual(levelsAtLeast('advanced'), ['C1', 'C2', 'native']);
+    assert.deepEqual(levelsAtLeast('unknown'), []);
+  });
+  
+  it('counts overlapping and current positions once', () => {
+    const now = new Date('2024-01-01');
+    assert.equal(computeExperienceYears([
+      { startDate: '2018-01', endDate: '2020-01' },
+      { startDate: '2019-01', endDate: '2021-01' },
+      { startDate: '2023-01', current: true }
+    ], now), 4);
+    assert.equal(computeExperienceYears([{ title: 'Undated' }]), null);
+  });
+  
+  it('normalizes AI output with other field names and falls back to the stated experience', () => {
+    const profile = normalizeProfile({
+      experience: '4',
+      workHistory: [{ company: 'Acme', position: 'Engineer', start: '2020', endDate: 'Present' }, { description: 'No title' }],
+      educationHistory: ['BSc Physics'],
+      languages: ['Dutch (B1)']
+    }, { now: new Date('2022-01-01') });
+    
+    assert.deepEqual(profile.workHistory.map(entry => [entry.employer, entry.title, entry.current, entry.endDate]), [['Acme', 'Engineer', true, undefined]]);
+    assert.equal(profile.experience, 2);
+    assert.deepEqual(profile.education, ['BSc Physics']);
+    assert.deepEqual(profile.languages, [{ language: 'Dutch', level: 'B1' }]);
+    
+    assert.equal(normalizeProfile({ experience: '4' }).experience, 4);
+    assert.equal(normalizeProfile({ experience: '4' }).experienceSource, 'stated');
+  });
+  
+  it('merges the results of several chunks of one CV', () => {
+    const merged = mergeProfiles([
+      { skills: ['Go'], experience: 3, location: '', links: { github: 'https://github.com/jane' } },
+      null,
+      { skills: ['Rust'], experience: 5, location: 'Berlin', links: { github: null, website: 'https://jane.dev' } }
+    ]);
+    
+    assert.deepEqual(merged, {
+      skills: ['Go', 'Rust'],
+      experience: 5,
+      location: 'Berlin',
+      links: { github: 'https://github.com/jane', website: 'https://jane.dev' }
+    });
+    assert.equal(mergeProfiles([null]), null);
+  });
+  
+  it('analyzes at most ANALYSIS_MAX_CHUNKS chunks of a long CV and records the skipped ones', async (t) => {
+    clearDb();
+    const tenant = await createTenant('long-cv');
+    const { token } = await createUser(tenant, 'recruiter');
+    const completeJSON = t.mock.method(offlineProvider, 'completeJSON', async () => ({ skills: ['Go'] }));
+    const maxChunks = config.analysis.maxChunks;
+    config.analysis.maxChunks = 2;
+    t.after(() => {
+      config.analysis.maxChunks = maxChunks;
+    });
+    
+    const text = `${CV_TEXT}\n${'Maintained Go services for logistics customers. '.repeat(400)}\nSkills: Kubernetes`;
+    assert.ok(text.length > config.analysis.chunkSize * 3);
+    const form = new FormData();
+    form.append('cv', new Blob([text], { type: 'text/plain' }), 'Jane_Doe.txt');
+    const uploaded = await request(app, 'POST', '/api/cv/upload', { token, body: form });
+    assert.equal(uploaded.status, 201);
+    
+    assert.equal(completeJSON.mock.callCount(), 2);
+    const { extraction } = await runWithTenant(tenant, () => CV.findById(uploaded.body.id).lean());
+    assert.ok(extraction.issues.some(issue => /^Skipped \d+ chunk\(s\) at the end of the CV/.test(issue)));
+  });
+  
+  it('filters searches by language and minimum level', async () => {
+    clearDb();
+    const tenant = await createTenant('languages');
+    const { token } = await createUser(tenant, 'recruiter');
+    const fluent = await createCV(tenant, { metadata: { languages: [{ language: 'English', level: 'C1' }] } });
+    await createCV(tenant, { metadata: { languages: [{ language: 'English', level: 'A2' }] } });
+    
+    const response = await request(app, 'POST', '/api/cv/search', {
+      token,
+      body: { filters: { languages: [{ language: 'english', minLevel: 'B2' }] } }
+    });
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.results.map(result => result._id), [fluent._id.toString()]);
+  });
+});
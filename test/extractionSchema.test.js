@@ -0,0 +1,154 @@
+require('./helpers/setup');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const app = require('../server');
+const CV = require('../models/cvModel');
+const offlineProvider = require('../utils/providers/offlineProvider');
+const { registerProvider } = require('../utils/providers');
+const {
+  EXTRACTION_SCHEMA_VERSION,
+  canonicalizeExtraction,
+  validateField,
+  buildExtraction
+} = require('../utils/extractionSchema');
+const { runWithTenant } = require('../utils/tenantScope');
+const { clearDb } = require('./helpers/memoryDb');
+const { createTenant, createUser, createCV, request } = require('./helpers/fixtures');
+
+// Model output with the usual problems: nested, other key names, wrong types and an extra field
+const MESSY_RESPONSE = {
+  cv: {
+    'Technical Skills': 'nodejs, Docker',
+    years_of_experience: '5 years',
+    Location: 'Berlin, Germany',
+    email: 'not-an-email',
+    hobbies: ['chess']
+  }
+};
+
+describe('extraction schema', () => {
+  describe('canonicalizeExtraction', () => {
+    it('maps nested and aliased keys onto schema fields', () => {
+      const { data, issues } = canonicalizeExtraction(MESSY_RESPONSE);
+      
+      assert.deepEqual(data, {
+        skills: 'nodejs, Docker',
+        experience: '5 years',
+        location: 'Berlin, Germany',
+        contactDetails: { email: 'not-an-email' }
+      });
+      assert.deepEqual(issues, ['Ignored unknown field "hobbies"']);
+    });
+    
+    it('moves structured entries out of the summary fields', () => {
+      const { data, issues } = canonicalizeExtraction({
+        education: [{ institution: 'TU Munich', degree: 'M.Sc.' }],
+        experience: [{ employer: 'Acme', title: 'Engineer' }]
+      });
+      
+      assert.deepEqual(data.educationHistory, [{ institution: 'TU Munich', degree: 'M.Sc.' }]);
+      assert.deepEqual(data.workHistory, [{ employer: 'Acme', title: 'Engineer' }]);
+      assert.equal(data.education, undefined);
+      assert.equal(data.experience, undefined);
+      assert.equal(issues.length, 2);
+    });
+    
+    it('reports responses that are not objects', () => {
+      assert.deepEqual(canonicalizeExtraction(['Go']), { data: {}, issues: ['Response is not a JSON object'] });
+    });
+  });
+  
+  describe('validateField', () => {
+    it('accepts values of the expected type', () => {
+      assert.deepEqual(validateField('strings', ['Go', ' Rust ']), { value: ['Go', 'Rust'], status: 'valid' });
+      assert.deepEqual(validateField('number', 4.5), { value: 4.5, status: 'valid' });
+      assert.deepEqual(validateField('string', null), { value: undefined, status: 'missing' });
+    });
+    
+    it('repairs values it can read and rejects the rest', () => {
+      assert.deepEqual(validateField('strings', 'Go; Rust').value, ['Go', 'Rust']);
+      assert.equal(validateField('strings', 'Go').status, 'repaired');
+      assert.deepEqual(validateField('number', 'about 7 years'), { value: 7, status: 'repaired', problem: 'parsed a number from "about 7 years"' });
+      assert.equal(validateField('number', 120).status, 'invalid');
+      assert.deepEqual(validateField('objects', { employer: 'Acme' }).value, [{ employer: 'Acme' }]);
+      assert.equal(validateField('string', { city: 'Berlin', country: 'Germany' }).value, 'Berlin, Germany');
+      assert.equal(validateField('links', 42).status, 'invalid');
+    });
+    
+    it('drops invalid email addresses from contact details', () => {
+      const { value, status } = validateField('contact', { Email: 'jane@', mobile: '+49 30 1234567' });
+      assert.deepEqual(value, { phone: '+49 30 1234567' });
+      assert.equal(status, 'repaired');
+    });
+  });
+  
+  describe('buildExtraction', () => {
+    const rules = { skills: ['Node.js'], experience: 5, location: 'Berlin', contactDetails: { email: 'jane@example.com' } };
+    
+    it('scores AI values by validation outcome and agreement with the rules', () => {
+      const { metadata, fields, issues, source } = buildExtraction(MESSY_RESPONSE, rules);
+      
+      assert.equal(source, 'ai');
+      assert.deepEqual(metadata.skills, ['Node.js', 'Docker']);
+      assert.equal(metadata.experience, 5);
+      assert.deepEqual(fields.skills, { source: 'ai', confidence: 0.75, status: 'repaired' });
+      assert.deepEqual(fields.location, { source: 'ai', confidence: 0.95, status: 'valid' });
+      // The only AI value was dropped, so the rules fill in
+      assert.equal(metadata.contactDetails.email, 'jane@example.com');
+      assert.deepEqual(fields.contactDetails, { source: 'rules', confidence: 0.5, status: 'repaired' });
+      assert.deepEqual(fields.languages, { source: 'ai', confidence: 0, status: 'missing' });
+      assert.ok(issues.includes('experience: parsed a number from "5 years"'));
+    });
+    
+    it('uses the rules when AI analysis was unavailable', () => {
+      const { metadata, fields, source } = buildExtraction(null, rules);
+      
+      assert.equal(source, 'rules');
+      assert.equal(metadata.location, 'Berlin');
+      assert.deepEqual(fields.skills, { source: 'rules', confidence: 0.5, status: 'missing' });
+    });
+    
+    it('rates experience derived from the timeline by the source of the timeline', () => {
+      const workHistory = [{ employer: 'Acme', title: 'Engineer', startDate: '2018-01', endDate: '2020-01' }];
+      
+      const fromRules = buildExtraction(null, { experience: 9, workHistory });
+      assert.equal(fromRules.metadata.experience, 2);
+      assert.deepEqual(fromRules.fields.experience, { source: 'rules', confidence: 0.6, status: 'derived' });
+      
+      const fromAI = buildExtraction({ workHistory }, {});
+      assert.deepEqual(fromAI.fields.experience, { source: 'ai', confidence: 0.9, status: 'derived' });
+    });
+  });
+  
+  it('records the extraction of uploaded CVs and counts CVs extracted with older versions', async () => {
+    clearDb();
+    registerProvider('messy', () => ({ ...offlineProvider, name: 'messy', completeJSON: async () => MESSY_RESPONSE }));
+    const tenant = await createTenant('extraction', { ai: { provider: 'messy' } });
+    const { token } = await createUser(tenant, 'admin');
+    await createCV(tenant, { metadataVersion: 1, metadataSource: 'rules' });
+    
+    const form = new FormData();
+    form.append('cv', new Blob(['Jane Doe\nBackend developer with Node.js.'], { type: 'text/plain' }), 'Jane_Doe.txt');
+    const uploaded = await request(app, 'POST', '/api/cv/upload', { token, body: form });
+    assert.equal(uploaded.status, 201);
+    
+    const { extraction, metadataSource } = await runWithTenant(tenant, () => CV.findById(uploaded.body.id).lean());
+    assert.equal(metadataSource, 'ai');
+    assert.equal(extraction.schemaVersion, EXTRACTION_SCHEMA_VERSION);
+    assert.match(extraction.model, /^messy\//);
+    assert.equal(extraction.fields.skills.source, 'ai');
+    assert.ok(extraction.issues.includes('contactDetails: dropped invalid email "not-an-email"'));
+    
+    const response = await request(app, 'GET', '/api/admin/extraction-versions', { token });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.stale, 1);
+    assert.deepEqual(response.body.versions.find(version => version.current), {
+      promptVersion: extraction.promptVersion,
+      schemaVersion: EXTRACTION_SCHEMA_VERSION,
+      source: 'ai',
+      count: 1,
+      current: true
+    });
+  });
+});
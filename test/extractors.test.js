@@ -0,0 +1,109 @@
+require('./helpers/setup');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const AdmZip = require('adm-zip');
+const { extractText, detectExtractor, isAcceptedUpload } = require('../utils/extractors');
+
+/**
+ * Build a minimal Word document
+ * @param {string[]} paragraphs - Paragraph texts
+ * @returns {Buffer} - DOCX file
+ */
+function docxFile(paragraphs) {
+  const zip = new AdmZip();
+  zip.addFile('[Content_Types].xml', Buffer.from(
+    '<?xml version="1.0" encoding="UTF-8"?>' +
+    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>' +
+    '</Types>'
+  ));
+  zip.addFile('_rels/.rels', Buffer.from(
+    '<?xml version="1.0" encoding="UTF-8"?>' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>' +
+    '</Relationships>'
+  ));
+  zip.addFile('word/document.xml', Buffer.from(
+    '<?xml version="1.0" encoding="UTF-8"?>' +
+    '<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>' +
+    paragraphs.map(text => `<w:p><w:r><w:t>${text}</w:t></w:r></w:p>`).join('') +
+    '</w:body></w:document>'
+  ));
+  return zip.toBuffer();
+}
+
+describe('text extractors', () => {
+  it('extracts DOCX paragraphs', async () => {
+    const result = await extractText(docxFile(['Jane Doe', 'Software engineer']), {
+      originalname: 'cv.docx',
+      mimetype: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+    });
+    
+    assert.equal(result.fileType, 'docx');
+    assert.equal(result.text, 'Jane Doe\n\nSoftware engineer');
+  });
+  
+  it('extracts RTF text without formatting groups and decodes escaped characters', async () => {
+    const rtf = '{\\rtf1\\ansi{\\fonttbl{\\f0 Arial;}}{\\*\\generator Word;}\\f0 Jane M\\\'fcller\\par Caf\\u233?\\par Developer \\{senior\\}}';
+    const result = await extractText(Buffer.from(rtf, 'latin1'), { originalname: 'cv.rtf', mimetype: 'application/rtf' });
+    
+    assert.equal(result.fileType, 'rtf');
+    assert.equal(result.text, 'Jane Müller\nCafé\nDeveloper {senior}');
+  });
+  
+  it('extracts HTML as lines of text without scripts and styles', async () => {
+    const html = '<html><head><style>p { color: red; }</style></head><body><h1>Jane Doe</h1>' +
+      '<script>alert(1)</script><ul><li>Node.js &amp; MongoDB</li><li>React</li></ul></body></html>';
+    const result = await extractText(Buffer.from(html), { originalname: 'cv.html', mimetype: 'text/html' });
+    
+    assert.equal(result.fileType, 'html');
+    assert.equal(result.text, 'Jane Doe\n\n- Node.js & MongoDB\n\n- React');
+  });
+  
+  it('extracts plain text and Markdown without a byte order mark', async () => {
+    const result = await extractText(Buffer.from('\uFEFF# Jane Doe\r\n\r\n\r\n\r\nEngineer'), { originalname: 'cv.md', mimetype: 'text/markdown' });
+    
+    assert.equal(result.fileType, 'text');
+    assert.equal(result.text, '# Jane Doe\n\nEngineer');
+  });
+  
+  it('detects formats by content when the declared type is generic', () => {
+    const generic = { originalname: 'upload', mimetype: 'application/octet-stream' };
+    
+    assert.equal(detectExtractor(docxFile(['Jane']), generic).name, 'docx');
+    assert.equal(detectExtractor(Buffer.from('{\\rtf1 Jane}'), generic).name, 'rtf');
+    assert.equal(detectExtractor(Buffer.from('<!DOCTYPE html><p>Jane</p>'), generic).name, 'html');
+    assert.equal(detectExtractor(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0, 0]), generic).name, 'image');
+  });
+  
+  it('rejects binary files no extractor handles', async () => {
+    await assert.rejects(
+      extractText(Buffer.from([0x7f, 0x45, 0x4c, 0x46, 0, 1, 2]), { originalname: 'cv.txt', mimetype: 'text/plain' }),
+      error => error.code === 'UNSUPPORTED_FILE_TYPE' && error.statusCode === 415
+    );
+  });
+  
+  it('rejects documents without text', async () => {
+    await assert.rejects(
+      extractText(Buffer.from('<html><body>   </body></html>'), { originalname: 'cv.html', mimetype: 'text/html' }),
+      error => error.statusCode === 422
+    );
+  });
+  
+  it('refuses image CVs while OCR is disabled', async () => {
+    await assert.rejects(
+      extractText(Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0, 0]), { originalname: 'scan.jpg', mimetype: 'image/jpeg' }),
+      /OCR is disabled/
+    );
+  });
+  
+  it('accepts uploads by MIME type or extension', () => {
+    assert.equal(isAcceptedUpload({ originalname: 'cv.docx', mimetype: 'application/zip' }), true);
+    assert.equal(isAcceptedUpload({ originalname: 'cv.rtf', mimetype: 'text/rtf' }), true);
+    assert.equal(isAcceptedUpload({ originalname: 'scan.tiff', mimetype: 'image/tiff' }), true);
+    assert.equal(isAcceptedUpload({ originalname: 'cv.exe', mimetype: 'application/x-msdownload' }), false);
+  });
+});
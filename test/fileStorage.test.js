@@ -0,0 +1,128 @@
+require('./helpers/setup');
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const app = require('../server');
+const CV = require('../models/cvModel');
+const { clearDb } = require('./helpers/memoryDb');
+const { createTenant, createUser, request } = require('./helpers/fixtures');
+const { runWithTenant } = require('../utils/tenantScope');
+const { getStorage, readStoredFile } = require('../utils/storage');
+const { createLocalStorage } = require('../utils/storage/localStorage');
+
+describe('local storage backend', () => {
+  const storage = createLocalStorage({ root: fs.mkdtempSync(path.join(os.tmpdir(), 'cv-picker-storage-')) });
+  
+  it('saves, reads and removes files', async () => {
+    await storage.save('cvs/1/abc', Buffer.from('CV'));
+    
+    const chunks = [];
+    for await (const chunk of await storage.createReadStream('cvs/1/abc')) {
+      chunks.push(chunk);
+    }
+    assert.equal(Buffer.concat(chunks).toString(), 'CV');
+    
+    assert.equal(await storage.remove('cvs/1/abc'), true);
+    assert.equal(await storage.remove('cvs/1/abc'), false);
+    assert.equal(await storage.createReadStream('cvs/1/abc'), null);
+  });
+  
+  it('refuses keys outside its directory', async () => {
+    await assert.rejects(storage.save('../escape', Buffer.from('x')), /Invalid storage key/);
+    await assert.rejects(storage.createReadStream('/etc/passwd'), /Invalid storage key/);
+  });
+});
+
+describe('original CV files', () => {
+  const TEXT = 'Zoë Müller\nBackend developer with Node.js.';
+  let tenant;
+  let token;
+  
+  beforeEach(async () => {
+    clearDb();
+    tenant = await createTenant('files');
+    ({ token } = await createUser(tenant, 'recruiter'));
+  });
+  
+  /**
+   * Upload or replace a plain text CV
+   * @param {string} text - CV text
+   * @param {string} [id] - CV whose file is replaced
+   * @returns {Promise<Object>} - Response
+   */
+  function sendFile(text, id) {
+    const form = new FormData();
+    form.append('cv', new Blob([text], { type: 'text/plain' }), 'Jane O\'Neil (CV).txt');
+    return id
+      ? request(app, 'PUT', `/api/cv/${id}/file`, { token, body: form })
+      : request(app, 'POST', '/api/cv/upload', { token, body: form });
+  }
+  
+  /**
+   * Get the stored file info of a CV
+   * @param {string} id - CV ID
+   * @returns {Promise<Object>}
+   */
+  async function fileInfo(id) {
+    const cv = await runWithTenant(tenant, () => CV.findById(id).lean());
+    return cv.file;
+  }
+  
+  it('stores the uploaded bytes and serves them with the original file name', async () => {
+    const { body: { id } } = await sendFile(TEXT);
+    const checksum = crypto.createHash('sha256').update(TEXT).digest('hex');
+    
+    const file = await fileInfo(id);
+    assert.equal(file.key, `cvs/${id}/${checksum}`);
+    assert.equal(file.size, Buffer.byteLength(TEXT));
+    
+    const response = await request(app, 'GET', `/api/cv/${id}/file`, { token });
+    assert.equal(response.status, 200);
+    assert.equal(response.body, TEXT);
+    assert.equal(response.headers.get('etag'), `"${checksum}"`);
+    assert.equal(response.headers.get('x-content-type-options'), 'nosniff');
+    assert.equal(
+      response.headers.get('content-disposition'),
+      'attachment; filename="Jane O\'Neil (CV).txt"; filename*=UTF-8\'\'Jane%20O%27Neil%20%28CV%29.txt'
+    );
+    
+    const inline = await request(app, 'GET', `/api/cv/${id}/file?inline=true`, { token });
+    assert.match(inline.headers.get('content-disposition'), /^inline;/);
+  });
+  
+  it('does not let viewers download files', async () => {
+    const { body: { id } } = await sendFile(TEXT);
+    const viewer = await createUser(tenant, 'viewer');
+    
+    const response = await request(app, 'GET', `/api/cv/${id}/file`, { token: viewer.token });
+    assert.equal(response.status, 403);
+  });
+  
+  it('removes the replaced file, unless the same bytes were uploaded again', async () => {
+    const { body: { id } } = await sendFile(TEXT);
+    const original = await fileInfo(id);
+    
+    await sendFile(TEXT, id);
+    assert.equal((await readStoredFile(original)).toString(), TEXT);
+    
+    await sendFile(`${TEXT}\nNow also Go.`, id);
+    assert.equal(await readStoredFile(original), null);
+    assert.match((await readStoredFile(await fileInfo(id))).toString(), /Now also Go/);
+  });
+  
+  it('keeps the CV when the file cannot be stored', async t => {
+    t.mock.method(getStorage(), 'save', async () => {
+      throw new Error('Disk full');
+    });
+    const uploaded = await sendFile(TEXT);
+    
+    assert.equal(uploaded.status, 201);
+    assert.ok(uploaded.body.storageWarning);
+    const response = await request(app, 'GET', `/api/cv/${uploaded.body.id}/file`, { token });
+    assert.equal(response.status, 404);
+  });
+});
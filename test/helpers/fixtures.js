@@ -0,0 +1,95 @@
+const Tenant = require('../../models/tenantModel');
+const User = require('../../models/userModel');
+const CV = require('../../models/cvModel');
+const { signToken, hashPassword } = require('../../utils/auth');
+const { runWithTenant, runWithoutTenant } = require('../../utils/tenantScope');
+const { getTenantById, invalidateTenant } = require('../../utils/tenants');
+
+/**
+ * Create a tenant
+ * @param {string} slug - Tenant slug
+ * @param {Object} [settings] - Settings overrides
+ * @returns {Promise<Object>} - Tenant context { id, slug, settings }
+ */
+async function createTenant(slug, settings = {}) {
+  const tenant = await runWithoutTenant(() => Tenant.create({ slug, name: slug, settings }));
+  invalidateTenant(tenant._id);
+  return getTenantById(tenant._id);
+}
+
+/**
+ * Create a user and a session token for it
+ * @param {Object|null} tenant - Tenant context (null for a platform account)
+ * @param {string} [role] - 'viewer', 'recruiter' or 'admin'
+ * @returns {Promise<Object>} - { user, token }
+ */
+async function createUser(tenant, role = 'recruiter') {
+  const user = await runWithTenant(tenant, async () => User.create({
+    email: `${role}-${Math.random().toString(36).slice(2)}@example.com`,
+    passwordHash: await hashPassword('correct horse battery staple'),
+    role
+  }));
+  const { token } = signToken({ sub: user._id.toString(), role });
+  return { user, token };
+}
+
+/**
+ * Create a processed CV in a tenant
+ * @param {Object} tenant - Tenant context
+ * @param {Object} [fields] - CV fields
+ * @returns {Promise<Object>} - CV document
+ */
+function createCV(tenant, fields = {}) {
+  return runWithTenant(tenant, () => CV.create({
+    filename: `${Math.random().toString(36).slice(2)}.pdf`,
+    originalName: 'cv.pdf',
+    content: 'Software engineer with Node.js and MongoDB experience',
+    ...fields
+  }));
+}
+
+/**
+ * Send a request to an Express app on an ephemeral port
+ * @param {Object} app - Express app
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path with query string
+ * @param {Object} [options] - { token, body, headers } where a FormData body is sent as multipart
+ * @returns {Promise<Object>} - { status, headers, body } with JSON bodies parsed, text as a string
+ *   and binary files (XLSX, PDF) as a Buffer
+ */
+async function request(app, method, path, { token, body, headers = {} } = {}) {
+  const multipart = body instanceof FormData;
+  const server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  
+  try {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}${path}`, {
+      method,
+      headers: {
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...(body !== undefined && !multipart ? { 'Content-Type': 'application/json' } : {}),
+        ...headers
+      },
+      body: body !== undefined && !multipart ? JSON.stringify(body) : body
+    });
+    const type = response.headers.get('content-type') || '';
+    const data = Buffer.from(await response.arrayBuffer());
+    let parsed = data;
+    if (type.startsWith('application/json')) {
+      parsed = data.length > 0 ? JSON.parse(data) : '';
+    } else if (!type || type.startsWith('text/') || type.includes('ndjson')) {
+      parsed = data.toString();
+    }
+    return { status: response.status, headers: response.headers, body: parsed };
+  } finally {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+module.exports = {
+  createTenant,
+  createUser,
+  createCV,
+  request
+};
@@ -0,0 +1,943 @@
+const mongoose = require('mongoose');
+const { BSON } = require('mongodb');
+const sift = require('sift').default;
+
+/**
+ * In-memory stand-in for the MongoDB driver, so tests run the real models, plugins and
+ * middleware without a database server. Mongoose talks to it through its collection
+ * layer exactly as it talks to the driver. Filters are evaluated with sift; aggregations
+ * support the stages the application builds for the paths under test, including an exact
+ * $vectorSearch that enforces the Atlas limits. Unsupported operators throw, so a test
+ * never passes on a stage that was silently ignored.
+ */
+
+// Limits Atlas enforces on $vectorSearch
+const VECTOR_SEARCH_MAX_CANDIDATES = 10000;
+
+// Search scores of aggregated documents ($meta)
+const metaScores = new WeakMap();
+
+/**
+ * Copy a document the way a round trip through the server would
+ * @param {Object} doc - Document
+ * @returns {Object}
+ */
+function clone(doc) {
+  return BSON.deserialize(BSON.serialize(doc, { ignoreUndefined: true }), { promoteBuffers: true });
+}
+
+/**
+ * Read a dotted path, collecting values across arrays
+ * @param {Object} doc - Document
+ * @param {string} path - Dotted path
+ * @returns {*}
+ */
+function getPath(doc, path) {
+  let value = doc;
+  for (const key of path.split('.')) {
+    if (value === null || value === undefined) {
+      return undefined;
+    }
+    value = Array.isArray(value) && !/^\d+$/.test(key)
+      ? value.map(item => (item ? item[key] : undefined)).filter(item => item !== undefined)
+      : value[key];
+  }
+  return value;
+}
+
+/**
+ * Set a dotted path, creating intermediate objects
+ * @param {Object} doc - Document
+ * @param {string} path - Dotted path
+ * @param {*} value - Value
+ */
+function setPath(doc, path, value) {
+  const keys = path.split('.');
+  let target = doc;
+  for (const key of keys.slice(0, -1)) {
+    if (target[key] === null || typeof target[key] !== 'object') {
+      target[key] = {};
+    }
+    target = target[key];
+  }
+  target[keys[keys.length - 1]] = value;
+}
+
+/**
+ * Remove a dotted path
+ * @param {Object} doc - Document
+ * @param {string} path - Dotted path
+ */
+function unsetPath(doc, path) {
+  const keys = path.split('.');
+  const parent = keys.length > 1 ? getPath(doc, keys.slice(0, -1).join('.')) : doc;
+  if (parent && typeof parent === 'object') {
+    delete parent[keys[keys.length - 1]];
+  }
+}
+
+/**
+ * Order two values like MongoDB does for the types the application stores
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {number}
+ */
+function compareValues(a, b) {
+  const rank = value => (value === null || value === undefined ? 0 : 1);
+  if (rank(a) !== rank(b)) {
+    return rank(a) - rank(b);
+  }
+  if (rank(a) === 0) {
+    return 0;
+  }
+  
+  const plain = value => {
+    if (value instanceof Date) {
+      return value.getTime();
+    }
+    if (value && value._bsontype === 'ObjectId') {
+      return value.toHexString();
+    }
+    return value;
+  };
+  const x = plain(a);
+  const y = plain(b);
+  if (x < y) {
+    return -1;
+  }
+  return x > y ? 1 : 0;
+}
+
+/**
+ * Check two values for equality (ObjectIds by value)
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean}
+ */
+function valuesEqual(a, b) {
+  if (a && b && typeof a === 'object' && typeof b === 'object' && !(a instanceof Date)) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+  return compareValues(a, b) === 0 && (a === null || a === undefined) === (b === null || b === undefined);
+}
+
+/**
+ * Build a document sorter
+ * @param {Object} [sort] - { field: 1 | -1 }
+ * @returns {Function|null}
+ */
+function sorter(sort) {
+  const entries = Object.entries(sort || {}).filter(([, direction]) => typeof direction === 'number');
+  if (entries.length === 0) {
+    return null;
+  }
+  return (a, b) => {
+    for (const [path, direction] of entries) {
+      const order = compareValues(getPath(a, path), getPath(b, path));
+      if (order !== 0) {
+        return order * direction;
+      }
+    }
+    return 0;
+  };
+}
+
+/**
+ * Build a filter function from a query
+ * @param {Object} [filter] - MongoDB query
+ * @returns {Function}
+ */
+function matcher(filter) {
+  if (filter && Object.keys(filter).some(key => key === '$text' || key === '$where')) {
+    throw new Error(`memoryDb: unsupported query operator in ${JSON.stringify(Object.keys(filter))}`);
+  }
+  if (filter && filter.$expr !== undefined) {
+    const { $expr: expression, ...rest } = filter;
+    const base = sift(rest);
+    return doc => base(doc) && Boolean(evaluate(expression, doc));
+  }
+  return sift(filter || {});
+}
+
+/**
+ * Truncate a date like $dateTrunc (UTC)
+ * @param {Date} date - Date
+ * @param {string} unit - 'day', 'week', 'month', 'quarter' or 'year'
+ * @param {string} [startOfWeek] - Day weeks start on (default Sunday)
+ * @returns {Date|null}
+ */
+function truncateDate(date, unit, startOfWeek = 'sunday') {
+  if (!(date instanceof Date)) {
+    return null;
+  }
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth();
+  const day = Date.UTC(year, month, date.getUTCDate());
+  switch (unit) {
+    case 'day':
+      return new Date(day);
+    case 'week': {
+      const first = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday']
+        .indexOf(String(startOfWeek).toLowerCase());
+      return new Date(day - ((date.getUTCDay() - first + 7) % 7) * 24 * 60 * 60 * 1000);
+    }
+    case 'month':
+      return new Date(Date.UTC(year, month, 1));
+    case 'quarter':
+      return new Date(Date.UTC(year, month - (month % 3), 1));
+    case 'year':
+      return new Date(Date.UTC(year, 0, 1));
+    default:
+      throw new Error(`memoryDb: unsupported $dateTrunc unit ${unit}`);
+  }
+}
+
+/**
+ * Evaluate an aggregation expression
+ * @param {*} expression - Expression
+ * @param {Object} doc - Current document
+ * @param {Object} [variables] - Variables of $map ($$name)
+ * @returns {*}
+ */
+function evaluate(expression, doc, variables = {}) {
+  if (typeof expression === 'string' && expression.startsWith('$$')) {
+    const [name, ...path] = expression.slice(2).split('.');
+    return path.length ? getPath(variables[name], path.join('.')) : variables[name];
+  }
+  if (typeof expression === 'string' && expression.startsWith('$')) {
+    return getPath(doc, expression.slice(1));
+  }
+  if (Array.isArray(expression)) {
+    return expression.map(item => evaluate(item, doc, variables));
+  }
+  if (!expression || typeof expression !== 'object' || expression instanceof Date || expression._bsontype) {
+    return expression;
+  }
+  
+  const [operator] = Object.keys(expression);
+  const argument = expression[operator];
+  const value = item => evaluate(item, doc, variables);
+  const unique = array => array.filter((item, index) => array.findIndex(other => valuesEqual(other, item)) === index);
+  switch (operator) {
+    case '$literal':
+      return argument;
+    case '$meta':
+      return (metaScores.get(doc) || {})[argument];
+    case '$arrayElemAt': {
+      const [array, index] = value(argument);
+      return Array.isArray(array) ? array[index < 0 ? array.length + index : index] : undefined;
+    }
+    case '$indexOfArray': {
+      const [array, item] = value(argument);
+      return Array.isArray(array) ? array.findIndex(other => valuesEqual(other, item)) : null;
+    }
+    case '$size': {
+      const array = value(argument);
+      return Array.isArray(array) ? array.length : 0;
+    }
+    case '$ifNull': {
+      const [result, fallback] = value(argument);
+      return result === null || result === undefined ? fallback : result;
+    }
+    case '$cond': {
+      const [condition, then, otherwise] = Array.isArray(argument) ? argument : [argument.if, argument.then, argument.else];
+      return value(condition) ? value(then) : value(otherwise);
+    }
+    case '$eq':
+    case '$ne':
+    case '$gt':
+    case '$gte':
+    case '$lt':
+    case '$lte': {
+      const order = compareValues(...value(argument));
+      return {
+        $eq: order === 0,
+        $ne: order !== 0,
+        $gt: order > 0,
+        $gte: order >= 0,
+        $lt: order < 0,
+        $lte: order <= 0
+      }[operator];
+    }
+    case '$map': {
+      const array = value(argument.input);
+      return Array.isArray(array)
+        ? array.map(item => evaluate(argument.in, doc, { ...variables, [argument.as || 'this']: item }))
+        : null;
+    }
+    case '$setUnion':
+      return unique(value(argument).flatMap(array => (Array.isArray(array) ? array : [])));
+    case '$setIntersection': {
+      const [first, ...others] = value(argument).map(array => (Array.isArray(array) ? array : []));
+      return unique(first.filter(item => others.every(array => array.some(other => valuesEqual(other, item)))));
+    }
+    case '$toLower': {
+      const text = value(argument);
+      return text === null || text === undefined ? '' : String(text).toLowerCase();
+    }
+    case '$trim': {
+      const text = value(argument.input);
+      return typeof text === 'string' ? text.trim() : null;
+    }
+    case '$dateTrunc':
+      return truncateDate(value(argument.date), argument.unit, argument.startOfWeek);
+    default:
+      if (operator.startsWith('$')) {
+        throw new Error(`memoryDb: unsupported expression operator ${operator}`);
+      }
+      return Object.fromEntries(Object.entries(expression).map(([key, item]) => [key, value(item)]));
+  }
+}
+
+/**
+ * Apply a projection
+ * @param {Object} doc - Document
+ * @param {Object} [projection] - { field: 0 | 1 | expression }
+ * @returns {Object}
+ */
+function project(doc, projection) {
+  const entries = Object.entries(projection || {});
+  if (entries.length === 0) {
+    return doc;
+  }
+  
+  const including = entries.some(([key, value]) => value !== 0 && value !== false);
+  if (!including) {
+    const result = clone(doc);
+    entries.forEach(([key]) => unsetPath(result, key));
+    return result;
+  }
+  
+  const result = {};
+  if (!entries.some(([key, value]) => key === '_id' && (value === 0 || value === false))) {
+    result._id = doc._id;
+  }
+  for (const [key, value] of entries) {
+    if (value === 0 || value === false) {
+      continue;
+    }
+    const projected = value === 1 || value === true ? getPath(doc, key) : evaluate(value, doc);
+    if (projected !== undefined) {
+      setPath(result, key, projected);
+    }
+  }
+  return result;
+}
+
+/**
+ * Build the document an upsert starts from: the equality conditions of its filter
+ * @param {Object} filter - Query
+ * @returns {Object}
+ */
+function upsertBase(filter) {
+  const doc = {};
+  for (const [key, value] of Object.entries(filter || {})) {
+    const operator = value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date) && !value._bsontype
+      && Object.keys(value).some(name => name.startsWith('$'));
+    if (!key.startsWith('$') && !operator) {
+      setPath(doc, key, value);
+    }
+  }
+  return doc;
+}
+
+/**
+ * Replace the positional operator in an update path ('files.$.status') with the index of the
+ * first array element the filter matched
+ * @param {Object} doc - Document
+ * @param {string} path - Dotted update path
+ * @param {Object} filter - Query that selected the document
+ * @returns {string}
+ */
+function resolvePositional(doc, path, filter) {
+  const keys = path.split('.');
+  const position = keys.indexOf('$');
+  if (position === -1) {
+    return path;
+  }
+  
+  const arrayPath = keys.slice(0, position).join('.');
+  const conditions = [filter, ...(filter.$and || [])];
+  const elementFilter = {};
+  for (const condition of conditions) {
+    for (const [key, value] of Object.entries(condition)) {
+      if (key.startsWith(`${arrayPath}.`)) {
+        elementFilter[key.slice(arrayPath.length + 1)] = value;
+      }
+    }
+  }
+  
+  const index = (getPath(doc, arrayPath) || []).findIndex(matcher(elementFilter));
+  if (index === -1) {
+    throw new Error(`memoryDb: the positional operator did not find a match for ${path}`);
+  }
+  keys[position] = String(index);
+  return keys.join('.');
+}
+
+/**
+ * Apply an update document
+ * @param {Object} doc - Document (modified in place)
+ * @param {Object} update - Update operators, or a replacement document
+ * @param {boolean} inserting - Whether the update creates the document ($setOnInsert)
+ * @param {Object} [filter] - Query that selected the document, for the positional operator
+ * @returns {Object} - The updated document (a new object for replacements)
+ */
+function applyUpdate(doc, update, inserting, filter = {}) {
+  if (!Object.keys(update).some(key => key.startsWith('$'))) {
+    return { ...clone(update), _id: doc._id };
+  }
+  
+  for (const [operator, fields] of Object.entries(update)) {
+    for (const [updatePath, value] of Object.entries(fields)) {
+      const path = resolvePositional(doc, updatePath, filter);
+      const current = getPath(doc, path);
+      switch (operator) {
+        case '$set':
+          setPath(doc, path, clone({ value }).value);
+          break;
+        case '$setOnInsert':
+          if (inserting) {
+            setPath(doc, path, clone({ value }).value);
+          }
+          break;
+        case '$unset':
+          unsetPath(doc, path);
+          break;
+        case '$inc':
+          setPath(doc, path, (current || 0) + value);
+          break;
+        case '$min':
+        case '$max': {
+          const replace = current === undefined || (operator === '$min' ? compareValues(value, current) < 0 : compareValues(value, current) > 0);
+          if (replace) {
+            setPath(doc, path, value);
+          }
+          break;
+        }
+        case '$currentDate':
+          setPath(doc, path, new Date());
+          break;
+        case '$push':
+        case '$addToSet': {
+          const items = value && typeof value === 'object' && Array.isArray(value.$each) ? value.$each : [value];
+          const array = Array.isArray(current) ? current : [];
+          for (const item of clone({ items }).items) {
+            if (operator === '$push' || !array.some(existing => valuesEqual(existing, item))) {
+              array.push(item);
+            }
+          }
+          if (value && typeof value.$slice === 'number') {
+            array.splice(0, Math.max(0, array.length - Math.abs(value.$slice)));
+          }
+          setPath(doc, path, array);
+          break;
+        }
+        case '$pull':
+        case '$pullAll': {
+          if (!Array.isArray(current)) {
+            break;
+          }
+          const isQuery = value && typeof value === 'object' && !value._bsontype && !(value instanceof Date);
+          const condition = operator === '$pullAll'
+            ? item => value.some(other => valuesEqual(item, other))
+            : item => (isQuery ? matcher(value)(item) : valuesEqual(item, value));
+          setPath(doc, path, current.filter(item => !condition(item)));
+          break;
+        }
+        default:
+          throw new Error(`memoryDb: unsupported update operator ${operator}`);
+      }
+    }
+  }
+  return doc;
+}
+
+/**
+ * Cursor over a computed list of documents
+ */
+class MemoryCursor {
+  /**
+   * @param {Function} load - () => Object[], run on first read so errors surface from the read
+   */
+  constructor(load) {
+    this.load = load;
+    this.docs = null;
+    this.position = 0;
+    this.closed = false;
+  }
+  
+  read() {
+    if (!this.docs) {
+      this.docs = this.load();
+    }
+    return this.docs;
+  }
+  
+  async toArray() {
+    const docs = this.read().slice(this.position);
+    this.position = this.read().length;
+    return docs;
+  }
+  
+  async next() {
+    const docs = this.read();
+    return !this.closed && this.position < docs.length ? docs[this.position++] : null;
+  }
+  
+  async hasNext() {
+    return !this.closed && this.position < this.read().length;
+  }
+  
+  async close() {
+    this.closed = true;
+  }
+  
+  batchSize() {
+    return this;
+  }
+  
+  async *[Symbol.asyncIterator]() {
+    let doc;
+    while ((doc = await this.next()) !== null) {
+      yield doc;
+    }
+  }
+}
+
+/**
+ * Cosine similarity of two vectors
+ * @param {number[]} a - First vector
+ * @param {number[]} b - Second vector
+ * @returns {number}
+ */
+function cosine(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0;
+}
+
+/**
+ * Run the $vectorSearch stage with the validation Atlas applies
+ * @param {Object[]} docs - Collection documents
+ * @param {Object} options - $vectorSearch options
+ * @returns {Object[]}
+ */
+function vectorSearch(docs, { queryVector, path, numCandidates, limit, filter, index }) {
+  if (!index || !path || !Array.isArray(queryVector)) {
+    throw new Error('memoryDb: $vectorSearch needs index, path and queryVector');
+  }
+  if (!Number.isInteger(numCandidates) || numCandidates > VECTOR_SEARCH_MAX_CANDIDATES) {
+    throw new Error(`"numCandidates" must be less than or equal to ${VECTOR_SEARCH_MAX_CANDIDATES}`);
+  }
+  if (!Number.isInteger(limit) || limit > numCandidates) {
+    throw new Error('"limit" must be less than or equal to "numCandidates"');
+  }
+  
+  const matches = matcher(filter);
+  return docs
+    .filter(doc => matches(doc) && Array.isArray(getPath(doc, path)) && getPath(doc, path).length === queryVector.length)
+    .map(doc => {
+      const result = clone(doc);
+      // Atlas maps cosine similarity to 0..1
+      metaScores.set(result, { vectorSearchScore: (1 + cosine(getPath(doc, path), queryVector)) / 2 });
+      return result;
+    })
+    .sort((a, b) => metaScores.get(b).vectorSearchScore - metaScores.get(a).vectorSearchScore)
+    .slice(0, limit);
+}
+
+/**
+ * Keep the search scores of a document on its transformed copy
+ * @param {Object} from - Original document
+ * @param {Object} to - Transformed document
+ * @returns {Object} - to
+ */
+function keepMeta(from, to) {
+  if (metaScores.has(from)) {
+    metaScores.set(to, metaScores.get(from));
+  }
+  return to;
+}
+
+/**
+ * Accumulate a $group field
+ * @param {Object} accumulator - e.g. { $sum: 1 }
+ * @param {Object[]} docs - Documents of the group
+ * @returns {*}
+ */
+function accumulate(accumulator, docs) {
+  const [operator] = Object.keys(accumulator);
+  const values = docs.map(doc => evaluate(accumulator[operator], doc));
+  const numbers = values.filter(value => typeof value === 'number');
+  switch (operator) {
+    case '$sum':
+      return numbers.reduce((sum, value) => sum + value, 0);
+    case '$avg':
+      return numbers.length ? numbers.reduce((sum, value) => sum + value, 0) / numbers.length : null;
+    case '$min':
+      return values.filter(value => value !== undefined).sort(compareValues)[0];
+    case '$max':
+      return values.filter(value => value !== undefined).sort(compareValues).pop();
+    case '$first':
+      return values[0];
+    case '$last':
+      return values[values.length - 1];
+    case '$push':
+      return values;
+    case '$addToSet':
+      return values.filter((value, index) => values.findIndex(other => valuesEqual(other, value)) === index);
+    default:
+      throw new Error(`memoryDb: unsupported accumulator ${operator}`);
+  }
+}
+
+/**
+ * Run an aggregation pipeline
+ * @param {Object[]} docs - Input documents
+ * @param {Object[]} pipeline - Stages
+ * @returns {Object[]}
+ */
+function runPipeline(docs, pipeline) {
+  let current = docs.map(clone);
+  
+  pipeline.forEach((stage, position) => {
+    const [name] = Object.keys(stage);
+    const spec = stage[name];
+    switch (name) {
+      case '$vectorSearch':
+        if (position !== 0) {
+          throw new Error('$vectorSearch is only valid as the first stage in a pipeline');
+        }
+        current = vectorSearch(docs, spec);
+        break;
+      case '$match':
+        current = current.filter(matcher(spec));
+        break;
+      case '$sort':
+        current = [...current].sort(sorter(spec) || (() => 0));
+        break;
+      case '$skip':
+        current = current.slice(spec);
+        break;
+      case '$limit':
+        current = current.slice(0, spec);
+        break;
+      case '$project':
+        current = current.map(doc => keepMeta(doc, project(doc, spec)));
+        break;
+      case '$addFields':
+      case '$set':
+        current = current.map(doc => {
+          const result = keepMeta(doc, { ...doc });
+          for (const [path, expression] of Object.entries(spec)) {
+            setPath(result, path, evaluate(expression, doc));
+          }
+          return result;
+        });
+        break;
+      case '$unwind': {
+        const path = (typeof spec === 'string' ? spec : spec.path).slice(1);
+        current = current.flatMap(doc => {
+          const values = getPath(doc, path);
+          return (Array.isArray(values) ? values : []).map(value => {
+            const result = clone(doc);
+            setPath(result, path, value);
+            return result;
+          });
+        });
+        break;
+      }
+      case '$group': {
+        const groups = new Map();
+        for (const doc of current) {
+          const id = evaluate(spec._id, doc);
+          const key = JSON.stringify(id === undefined ? null : id);
+          if (!groups.has(key)) {
+            groups.set(key, { id, docs: [] });
+          }
+          groups.get(key).docs.push(doc);
+        }
+        current = [...groups.values()].map(({ id, docs: members }) => {
+          const result = { _id: id === undefined ? null : id };
+          for (const [field, accumulator] of Object.entries(spec)) {
+            if (field !== '_id') {
+              result[field] = accumulate(accumulator, members);
+            }
+          }
+          return result;
+        });
+        break;
+      }
+      case '$count':
+        current = current.length > 0 ? [{ [spec]: current.length }] : [];
+        break;
+      case '$bucket': {
+        const { groupBy, boundaries, output = { count: { $sum: 1 } } } = spec;
+        const buckets = new Map();
+        for (const doc of current) {
+          const value = evaluate(groupBy, doc);
+          const index = boundaries.findIndex((boundary, position) => position < boundaries.length - 1
+            && compareValues(value, boundary) >= 0 && compareValues(value, boundaries[position + 1]) < 0);
+          if (index === -1 && spec.default === undefined) {
+            throw new Error('memoryDb: $bucket value outside the boundaries and no default');
+          }
+          const id = index === -1 ? spec.default : boundaries[index];
+          if (!buckets.has(id)) {
+            buckets.set(id, []);
+          }
+          buckets.get(id).push(doc);
+        }
+        const ids = [...boundaries.slice(0, -1), spec.default].filter(id => buckets.has(id));
+        current = ids.map(id => ({
+          _id: id,
+          ...Object.fromEntries(Object.entries(output).map(([field, accumulator]) => [field, accumulate(accumulator, buckets.get(id))]))
+        }));
+        break;
+      }
+      case '$facet':
+        current = [Object.fromEntries(Object.entries(spec).map(([field, stages]) => [field, runPipeline(current, stages)]))];
+        break;
+      default:
+        throw new Error(`memoryDb: unsupported aggregation stage ${name}`);
+    }
+  });
+  
+  return current;
+}
+
+/**
+ * In-memory collection with the driver methods Mongoose calls
+ */
+class MemoryCollection {
+  /**
+   * @param {string} name - Collection name
+   */
+  constructor(name) {
+    this.collectionName = name;
+    this.docs = [];
+  }
+  
+  select(filter, { sort, skip, limit } = {}) {
+    let docs = this.docs.filter(matcher(filter));
+    const order = sorter(sort);
+    if (order) {
+      docs = [...docs].sort(order);
+    }
+    docs = docs.slice(skip || 0);
+    return limit ? docs.slice(0, limit) : docs;
+  }
+  
+  find(filter, options = {}) {
+    return new MemoryCursor(() => this.select(filter, options).map(doc => project(clone(doc), options.projection)));
+  }
+  
+  async findOne(filter, options = {}) {
+    const [doc] = this.select(filter, { ...options, limit: 1 });
+    return doc ? project(clone(doc), options.projection) : null;
+  }
+  
+  async countDocuments(filter) {
+    return this.select(filter).length;
+  }
+  
+  async estimatedDocumentCount() {
+    return this.docs.length;
+  }
+  
+  async distinct(path, filter) {
+    const values = [];
+    for (const doc of this.select(filter)) {
+      const value = getPath(doc, path);
+      for (const item of Array.isArray(value) ? value : [value]) {
+        if (item !== undefined && !values.some(existing => valuesEqual(existing, item))) {
+          values.push(item);
+        }
+      }
+    }
+    return values;
+  }
+  
+  async insertOne(doc) {
+    const stored = clone({ _id: new mongoose.Types.ObjectId(), ...doc });
+    if (this.docs.some(existing => valuesEqual(existing._id, stored._id))) {
+      const error = new Error(`E11000 duplicate key error collection: ${this.collectionName}`);
+      error.code = 11000;
+      throw error;
+    }
+    this.docs.push(stored);
+    return { acknowledged: true, insertedId: stored._id };
+  }
+  
+  async insertMany(docs) {
+    const insertedIds = {};
+    for (const [index, doc] of docs.entries()) {
+      insertedIds[index] = (await this.insertOne(doc)).insertedId;
+    }
+    return { acknowledged: true, insertedCount: docs.length, insertedIds };
+  }
+  
+  update(filter, update, { upsert, multi, sort } = {}) {
+    const targets = multi ? this.select(filter) : this.select(filter, { sort, limit: 1 });
+    const result = { acknowledged: true, matchedCount: targets.length, modifiedCount: 0, upsertedCount: 0, upsertedId: null };
+    
+    for (const doc of targets) {
+      const before = JSON.stringify(doc);
+      const updated = applyUpdate(doc, update, false, filter);
+      if (updated !== doc) {
+        this.docs[this.docs.indexOf(doc)] = updated;
+      }
+      if (JSON.stringify(updated) !== before) {
+        result.modifiedCount++;
+      }
+    }
+    
+    if (targets.length === 0 && upsert) {
+      const base = { _id: new mongoose.Types.ObjectId(), ...upsertBase(filter) };
+      const created = applyUpdate(clone(base), update, true);
+      this.docs.push(created);
+      result.upsertedCount = 1;
+      result.upsertedId = created._id;
+    }
+    return result;
+  }
+  
+  async updateOne(filter, update, options = {}) {
+    return this.update(filter, update, { ...options, multi: false });
+  }
+  
+  async updateMany(filter, update, options = {}) {
+    return this.update(filter, update, { ...options, multi: true });
+  }
+  
+  async replaceOne(filter, replacement, options = {}) {
+    return this.update(filter, replacement, { ...options, multi: false });
+  }
+  
+  async deleteOne(filter) {
+    const [doc] = this.select(filter, { limit: 1 });
+    if (doc) {
+      this.docs.splice(this.docs.indexOf(doc), 1);
+    }
+    return { acknowledged: true, deletedCount: doc ? 1 : 0 };
+  }
+  
+  async deleteMany(filter) {
+    const docs = this.select(filter);
+    this.docs = this.docs.filter(doc => !docs.includes(doc));
+    return { acknowledged: true, deletedCount: docs.length };
+  }
+  
+  async findOneAndUpdate(filter, update, options = {}) {
+    const [before] = this.select(filter, { sort: options.sort, limit: 1 });
+    const original = before ? clone(before) : null;
+    const result = this.update(filter, update, { upsert: options.upsert, sort: options.sort, multi: false });
+    const after = before
+      ? this.docs.find(doc => valuesEqual(doc._id, before._id))
+      : (result.upsertedId ? this.docs.find(doc => valuesEqual(doc._id, result.upsertedId)) : null);
+    
+    const returnAfter = options.returnDocument === 'after' || options.returnOriginal === false || options.new === true;
+    const value = returnAfter ? after : original;
+    const doc = value ? project(clone(value), options.projection) : null;
+    return options.includeResultMetadata
+      ? { value: doc, ok: 1, lastErrorObject: { n: before || result.upsertedId ? 1 : 0, updatedExisting: Boolean(before) } }
+      : doc;
+  }
+  
+  async findOneAndReplace(filter, replacement, options = {}) {
+    return this.findOneAndUpdate(filter, replacement, options);
+  }
+  
+  async findOneAndDelete(filter, options = {}) {
+    const [doc] = this.select(filter, { sort: options.sort, limit: 1 });
+    if (doc) {
+      this.docs.splice(this.docs.indexOf(doc), 1);
+    }
+    const value = doc ? project(clone(doc), options.projection) : null;
+    return options.includeResultMetadata ? { value, ok: 1 } : value;
+  }
+  
+  async bulkWrite(operations) {
+    const result = { insertedCount: 0, matchedCount: 0, modifiedCount: 0, deletedCount: 0, upsertedCount: 0 };
+    for (const operation of operations) {
+      const [type] = Object.keys(operation);
+      const body = operation[type];
+      if (type === 'insertOne') {
+        await this.insertOne(body.document);
+        result.insertedCount++;
+      } else if (type === 'deleteOne' || type === 'deleteMany') {
+        result.deletedCount += (await this[type](body.filter)).deletedCount;
+      } else {
+        const update = type === 'replaceOne' ? body.replacement : body.update;
+        const outcome = this.update(body.filter, update, { upsert: body.upsert, multi: type === 'updateMany' });
+        result.matchedCount += outcome.matchedCount;
+        result.modifiedCount += outcome.modifiedCount;
+        result.upsertedCount += outcome.upsertedCount;
+      }
+    }
+    return { ...result, isOk: () => true, getWriteErrors: () => [] };
+  }
+  
+  aggregate(pipeline) {
+    return new MemoryCursor(() => runPipeline(this.docs, pipeline));
+  }
+  
+  async createIndex() {
+    return 'index';
+  }
+  
+  async createIndexes() {
+    return [];
+  }
+  
+  listSearchIndexes() {
+    return new MemoryCursor(() => []);
+  }
+}
+
+const collections = new Map();
+
+const db = {
+  databaseName: 'memory',
+  collection(name) {
+    if (!collections.has(name)) {
+      collections.set(name, new MemoryCollection(name));
+    }
+    return collections.get(name);
+  },
+  async createCollection(name) {
+    return this.collection(name);
+  }
+};
+
+/**
+ * Route every Mongoose model to the in-memory database. Call before loading models.
+ */
+function useMemoryDb() {
+  mongoose.set('bufferCommands', false);
+  mongoose.set('autoIndex', false);
+  mongoose.set('autoCreate', false);
+  mongoose.connection.db = db;
+}
+
+/**
+ * Remove all documents
+ */
+function clearDb() {
+  for (const collection of collections.values()) {
+    collection.docs = [];
+  }
+}
+
+module.exports = {
+  useMemoryDb,
+  clearDb,
+  db,
+  runPipeline
+};
@@ -0,0 +1,29 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Test environment: offline AI provider, files and the local vector index in a temporary
+ * directory and models on the in-memory database (background workers only start with the server).
+ * Require this before any application module.
+ */
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cv-picker-test-'));
+
+Object.assign(process.env, {
+  NODE_ENV: 'test',
+  AI_PROVIDER: 'offline',
+  MONGODB_URI: 'mongodb://memory/test',
+  JWT_SECRET: 'test-secret',
+  STORAGE_BACKEND: 'local',
+  STORAGE_LOCAL_PATH: path.join(dataDir, 'files'),
+  LOCAL_VECTOR_INDEX_PATH: path.join(dataDir, 'vector-index'),
+  LOCAL_VECTOR_INDEX_REFRESH_INTERVAL: '0',
+  OCR_ENABLED: 'false'
+});
+
+require('./memoryDb').useMemoryDb();
+
+process.on('exit', () => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+module.exports = { dataDir };
@@ -0,0 +1,121 @@
+require('./helpers/setup');
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const app = require('../server');
+const CV = require('../models/cvModel');
+const { reciprocalRankFusion } = require('../utils/rankFusion');
+const { generateEmbeddings, getEmbeddingInfo } = require('../utils/openaiService');
+const { clearDb } = require('./helpers/memoryDb');
+const { createTenant, createUser, createCV, request } = require('./helpers/fixtures');
+
+describe('reciprocal rank fusion', () => {
+  const vector = { name: 'vector', weight: 1, scoreField: 'vectorScore', results: [{ _id: 'a', vectorScore: 0.9 }, { _id: 'b', vectorScore: 0.8 }] };
+  const text = { name: 'text', weight: 1, scoreField: 'textScore', results: [{ _id: 'b', textScore: 4 }, { _id: 'c', textScore: 2 }] };
+  
+  it('ranks results found by both lists above results found by one', () => {
+    const fused = reciprocalRankFusion([vector, text], { k: 60 });
+    
+    assert.deepEqual(fused.map(result => result._id), ['b', 'a', 'c']);
+    assert.equal(fused[0].fusedScore, 1 / 62 + 1 / 61);
+    assert.deepEqual(fused[0].ranks, { vector: 2, text: 1 });
+  });
+  
+  it('sets the score and rank of every list on every result, null where the list missed it', () => {
+    const [, a, c] = reciprocalRankFusion([vector, text]);
+    
+    assert.equal(a.vectorScore, 0.9);
+    assert.equal(a.textScore, null);
+    assert.deepEqual(a.ranks, { vector: 1, text: null });
+    assert.equal(c.vectorScore, null);
+    assert.deepEqual(c.ranks, { vector: null, text: 2 });
+  });
+  
+  it('weights the lists', () => {
+    const vectorFirst = reciprocalRankFusion([{ ...vector, weight: 3 }, text], { k: 0 });
+    assert.deepEqual(vectorFirst.map(result => result._id), ['a', 'b', 'c']);
+    
+    const textFirst = reciprocalRankFusion([{ ...vector, weight: 0 }, text]);
+    assert.deepEqual(textFirst.map(result => result._id), ['b', 'c', 'a']);
+  });
+});
+
+describe('hybrid search', () => {
+  // Queries of 50 characters or more are matched as a phrase, which the in-memory database supports
+  const QUERY = 'Software engineer with Node.js and MongoDB experience';
+  let token;
+  let both;
+  let vectorOnly;
+  
+  beforeEach(async () => {
+    clearDb();
+    const tenant = await createTenant('hybrid');
+    ({ token } = await createUser(tenant, 'recruiter'));
+    const { provider, model } = getEmbeddingInfo();
+    
+    /**
+     * Create an embedded CV
+     * @param {string} content - CV text
+     * @returns {Promise<Object>} - CV document
+     */
+    const embedded = async content => createCV(tenant, {
+      content,
+      embeddings: await generateEmbeddings(content),
+      embeddingProvider: provider,
+      embeddingModel: model
+    });
+    
+    both = await embedded(`Jane Doe\n${QUERY}`);
+    vectorOnly = await embedded('Software engineer, Node.js and MongoDB');
+  });
+  
+  /**
+   * Search for the query
+   * @param {Object} [body] - Extra request body fields
+   * @returns {Promise<Object>} - Response body
+   */
+  async function search(body = {}) {
+    const response = await request(app, 'POST', '/api/cv/search', { token, body: { query: QUERY, searchType: 'hybrid', ...body } });
+    assert.equal(response.status, 200);
+    return response.body;
+  }
+  
+  it('fuses the vector and text rankings', async () => {
+    const body = await search();
+    
+    assert.equal(body.searchMethod, 'hybrid');
+    assert.equal(body.total, 2);
+    const [first, second] = body.results;
+    assert.equal(first._id, both._id.toString());
+    assert.deepEqual(first.ranks, { vector: 1, text: 1 });
+    assert.ok(first.vectorScore > 0);
+    assert.equal(second._id, vectorOnly._id.toString());
+    assert.deepEqual(second.ranks, { vector: 2, text: null });
+    assert.equal(second.textScore, null);
+  });
+  
+  it('pages through the fused results', async () => {
+    const body = await search({ limit: 1, page: 2 });
+    
+    assert.equal(body.total, 2);
+    assert.deepEqual(body.results.map(result => result._id), [vectorOnly._id.toString()]);
+  });
+  
+  it('continues with the text ranking when vector search fails', async t => {
+    t.mock.method(CV, 'aggregate', () => {
+      throw new Error('Vector search is unavailable');
+    });
+    const body = await search();
+    
+    assert.equal(body.searchMethod, 'text');
+    assert.deepEqual(body.results.map(result => result._id), [both._id.toString()]);
+  });
+  
+  it('requires a query', async () => {
+    const response = await request(app, 'POST', '/api/cv/search', {
+      token,
+      body: { searchType: 'hybrid', filters: { skills: ['Node.js'] } }
+    });
+    assert.equal(response.status, 400);
+  });
+});
@@ -0,0 +1,183 @@
+require('./helpers/setup');
+
+const { describe, it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const app = require('../server');
+const config = require('../config/config');
+const CV = require('../models/cvModel');
+const Job = require('../models/jobModel');
+const { getProvider } = require('../utils/providers');
+const { analyzeJobDescription, generateEmbeddings, getEmbeddingInfo } = require('../utils/openaiService');
+const { runWithTenant } = require('../utils/tenantScope');
+const { clearDb } = require('./helpers/memoryDb');
+const { createTenant, createUser, createCV, request } = require('./helpers/fixtures');
+
+describe('GET /api/jobs/:id/matches', () => {
+  let token;
+  let jobId;
+  
+  before(async () => {
+    clearDb();
+    const tenant = await createTenant('acme');
+    ({ token } = await createUser(tenant, 'recruiter'));
+    for (const name of ['one.pdf', 'two.pdf', 'three.pdf']) {
+      await createCV(tenant, { originalName: name, metadata: { skills: ['Node.js', 'MongoDB'], jobTitles: ['Backend Developer'] } });
+    }
+    
+    const created = await request(app, 'POST', '/api/jobs', {
+      token,
+      body: { title: 'Backend Developer', description: 'We need a backend developer with Node.js and MongoDB skills.' }
+    });
+    assert.equal(created.status, 201);
+    jobId = created.body.id;
+  });
+  
+  it('pages through the ranked candidates', async () => {
+    const first = await request(app, 'GET', `/api/jobs/${jobId}/matches?limit=2&page=1`, { token });
+    const second = await request(app, 'GET', `/api/jobs/${jobId}/matches?limit=2&page=2`, { token });
+    
+    assert.equal(first.status, 200);
+    assert.equal(first.body.total, 3);
+    assert.equal(first.body.totalPages, 2);
+    assert.equal(first.body.results.length, 2);
+    assert.equal(second.body.results.length, 1);
+    const names = [...first.body.results, ...second.body.results].map(result => result.originalName).sort();
+    assert.deepEqual(names, ['one.pdf', 'three.pdf', 'two.pdf']);
+  });
+  
+  for (const query of ['page=0', 'page=-1', 'page=abc', 'page=1.5', 'limit=0', 'limit=-5', 'limit=abc', 'limit=101', 'minScore=abc', 'minScore=2']) {
+    it(`rejects ${query}`, async () => {
+      const response = await request(app, 'GET', `/api/jobs/${jobId}/matches?${query}`, { token });
+      assert.equal(response.status, 400);
+    });
+  }
+  
+  it('answers 404 for job IDs that are not ObjectIds', async () => {
+    const matches = await request(app, 'GET', '/api/jobs/not-an-id/matches', { token });
+    const job = await request(app, 'GET', '/api/jobs/not-an-id', { token });
+    
+    assert.equal(matches.status, 404);
+    assert.equal(job.status, 404);
+  });
+});
+
+describe('GET /api/jobs/:id/matches scoring', () => {
+  const JOB = { title: 'Backend Developer', description: 'We need a backend developer with Node.js and MongoDB skills.' };
+  let tenant;
+  let token;
+  
+  beforeEach(async () => {
+    clearDb();
+    tenant = await createTenant('scoring');
+    ({ token } = await createUser(tenant, 'recruiter'));
+  });
+  
+  /**
+   * Create a job and fetch its matches
+   * @returns {Promise<Object>} - Response body
+   */
+  async function match() {
+    const created = await request(app, 'POST', '/api/jobs', { token, body: JOB });
+    const response = await request(app, 'GET', `/api/jobs/${created.body.id}/matches`, { token });
+    assert.equal(response.status, 200);
+    return response.body;
+  }
+  
+  it('scores candidates found only by the structured query against the job embedding', async t => {
+    const { provider, model } = getEmbeddingInfo();
+    for (const content of ['Backend developer, Node.js and MongoDB', 'Gardener and florist']) {
+      await createCV(tenant, {
+        originalName: `${content.split(' ')[0]}.pdf`,
+        content,
+        embeddings: await generateEmbeddings(content),
+        embeddingProvider: provider,
+        embeddingModel: model,
+        metadata: { skills: ['Node.js', 'MongoDB'], jobTitles: ['Backend Developer'] }
+      });
+    }
+    const ranked = await match();
+    
+    // Without the vector search every candidate is found through its skills only
+    t.mock.method(CV, 'aggregate', () => {
+      throw new Error('Vector search is unavailable');
+    });
+    const structured = await match();
+    
+    assert.equal(ranked.searchMethod, 'vector+structured');
+    assert.equal(structured.searchMethod, 'structured');
+    const scores = body => body.results.map(result => [result.originalName, result.vectorScore, result.score]);
+    assert.deepEqual(scores(structured), scores(ranked));
+    assert.ok(structured.results.every(result => result.vectorScore > 0));
+  });
+  
+  it('re-embeds jobs of another embedding model with a targeted update instead of saving the job', async t => {
+    const created = await request(app, 'POST', '/api/jobs', { token, body: JOB });
+    await runWithTenant(tenant, () => Job.updateOne(
+      { _id: created.body.id },
+      { $set: { embeddingModel: 'retired-model' } },
+      { timestamps: false }
+    ));
+    const before = await runWithTenant(tenant, async () => await Job.findById(created.body.id).lean());
+    const save = t.mock.method(Job.prototype, 'save');
+    
+    const response = await request(app, 'GET', `/api/jobs/${created.body.id}/matches`, { token });
+    
+    assert.equal(response.status, 200);
+    assert.equal(save.mock.callCount(), 0);
+    const after = await runWithTenant(tenant, async () => await Job.findById(created.body.id).lean());
+    assert.equal(after.embeddingModel, getEmbeddingInfo().model);
+    assert.ok(after.embeddings.length > 0);
+    assert.equal(after.updatedAt.getTime(), before.updatedAt.getTime());
+  });
+  
+  it('scores candidates without comparable embeddings with a vector score of 0', async () => {
+    await createCV(tenant, { metadata: { skills: ['Node.js', 'MongoDB'], jobTitles: ['Backend Developer'] } });
+    const created = await request(app, 'POST', '/api/jobs', { token, body: JOB });
+    
+    const response = await request(app, 'GET', `/api/jobs/${created.body.id}/matches?minScore=0`, { token });
+    const [result] = response.body.results;
+    const { vectorWeight } = config.matching;
+    
+    assert.equal(response.body.total, 1);
+    assert.equal(result.vectorScore, 0);
+    assert.equal(result.embeddingsCompared, false);
+    assert.equal(result.score, Math.round(result.structuredScore * (1 - vectorWeight) * 10000) / 10000);
+  });
+});
+
+describe('analyzeJobDescription', () => {
+  it('analyzes long descriptions in chunks and merges their requirements', async (t) => {
+    const prompts = [];
+    t.mock.method(getProvider(), 'completeJSON', async (system, prompt) => {
+      prompts.push(prompt);
+      return prompt.includes('Kubernetes')
+        ? { requiredSkills: ['Kubernetes', 'go'], niceToHaveSkills: ['Node.js'], minExperience: 5, jobTitles: ['Platform Engineer'] }
+        : { requiredSkills: ['Node.js', 'Go'], niceToHaveSkills: ['Terraform'], minExperience: 3, jobTitles: ['Backend Developer'] };
+    });
+    
+    const filler = 'We build services for logistics companies and value clean code. '.repeat(150);
+    const text = `Backend Developer\nRequired: Node.js and Go.\n${filler}\nAlso required: Kubernetes operations experience.`;
+    assert.ok(text.length > config.analysis.chunkSize);
+    
+    const requirements = await analyzeJobDescription(text);
+    
+    assert.ok(prompts.length > 1);
+    assert.ok(prompts.every((prompt, index) => prompt.includes(`part ${index + 1} of ${prompts.length}`)));
+    assert.deepEqual(requirements, {
+      requiredSkills: ['Node.js', 'Go', 'Kubernetes'],
+      niceToHaveSkills: ['Terraform'],
+      minExperience: 5,
+      jobTitles: ['Backend Developer', 'Platform Engineer']
+    });
+  });
+  
+  it('sends short descriptions whole, in one request', async (t) => {
+    const completeJSON = t.mock.method(getProvider(), 'completeJSON', async () => ({ requiredSkills: ['SQL'] }));
+    
+    const requirements = await analyzeJobDescription('Data Analyst\nSQL required.');
+    
+    assert.equal(completeJSON.mock.callCount(), 1);
+    assert.ok(completeJSON.mock.calls[0].arguments[1].includes('SQL required.'));
+    assert.deepEqual(requirements, { requiredSkills: ['SQL'] });
+  });
+});
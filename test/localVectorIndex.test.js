@@ -0,0 +1,119 @@
+require('./helpers/setup');
+
+const fs = require('fs');
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../config/config');
+const CV = require('../models/cvModel');
+const CVPassage = require('../models/cvPassageModel');
+const localVectorIndex = require('../utils/localVectorIndex');
+const { setVectorBackend, buildVectorSearchStages } = require('../utils/vectorSearch');
+const { getEmbeddingInfo } = require('../utils/openaiService');
+const { runWithTenant } = require('../utils/tenantScope');
+const { clearDb } = require('./helpers/memoryDb');
+const { createTenant, createCV } = require('./helpers/fixtures');
+
+/**
+ * Build a unit vector pointing mostly along one dimension
+ * @param {number} axis - Dimension
+ * @returns {number[]}
+ */
+function vector(axis) {
+  return Array.from({ length: config.offline.dimensions }, (value, index) => (index === axis ? 1 : 0.01));
+}
+
+describe('local vector index', () => {
+  const { provider, model } = getEmbeddingInfo();
+  const embedded = axis => ({ embeddings: vector(axis), embeddingProvider: provider, embeddingModel: model });
+  let tenant;
+  let other;
+  let whole;
+  let withPassages;
+  
+  before(() => setVectorBackend('local'));
+  after(async () => {
+    await localVectorIndex.flush();
+    setVectorBackend('atlas');
+  });
+  
+  beforeEach(async () => {
+    clearDb();
+    fs.rmSync(`${config.vectorIndex.path}.json`, { force: true });
+    tenant = await createTenant('local-index');
+    other = await createTenant('other-index');
+    
+    whole = await createCV(tenant, { originalName: 'whole.pdf', ...embedded(1) });
+    withPassages = await createCV(tenant, { originalName: 'passages.pdf', ...embedded(5), passageCount: 2 });
+    await runWithTenant(tenant, async () => await CVPassage.insertMany([0, 2].map((axis, index) => ({
+      cvId: withPassages._id,
+      index,
+      text: `passage ${index}`,
+      embedding: vector(axis),
+      embeddingModel: `${provider}/${model}`
+    }))));
+    // Vectors of another model are not comparable with queries and stay out of the index
+    await createCV(tenant, { originalName: 'retired.pdf', ...embedded(0), embeddingModel: 'retired-model' });
+    await createCV(other, { originalName: 'other.pdf', ...embedded(0) });
+    
+    await localVectorIndex.initialize();
+  });
+  
+  /**
+   * Get the IDs of the nearest CVs of the test tenant
+   * @param {number} axis - Query vector axis
+   * @returns {Promise<string[]>}
+   */
+  async function nearest(axis) {
+    const [{ $match }] = await runWithTenant(tenant, () => buildVectorSearchStages(vector(axis), 10));
+    return $match._id.$in.map(String);
+  }
+  
+  it('ranks the tenant\'s CVs by their passages, or their whole embedding without passages', async () => {
+    assert.deepEqual(await nearest(0), [withPassages._id.toString(), whole._id.toString()]);
+    assert.deepEqual(await nearest(1), [whole._id.toString(), withPassages._id.toString()]);
+    // The whole-CV embedding of a CV with passages is not indexed
+    assert.equal(localVectorIndex.search(vector(5), 10, tenant.id)[0].id, whole._id.toString());
+  });
+  
+  it('follows saved and removed CVs', async () => {
+    const added = await createCV(tenant, { originalName: 'added.pdf', ...embedded(3) });
+    assert.equal((await nearest(3))[0], added._id.toString());
+    
+    localVectorIndex.removeCV(whole._id);
+    assert.deepEqual(await nearest(1), [added._id.toString(), withPassages._id.toString()]);
+  });
+  
+  it('replaces the vectors of a CV whose passages change', async () => {
+    localVectorIndex.setPassages(withPassages._id, tenant.id, [{ embedding: vector(4), embeddingModel: `${provider}/${model}` }]);
+    
+    const hits = localVectorIndex.search(vector(4), 10, tenant.id);
+    assert.equal(hits.filter(hit => hit.id === withPassages._id.toString()).length, 1);
+    assert.equal(hits[0].id, withPassages._id.toString());
+  });
+  
+  it('loads the saved index and applies the changes made since', async () => {
+    await localVectorIndex.flush();
+    // Written without save hooks, like a CV stored by another process
+    const [added] = await runWithTenant(tenant, () => CV.insertMany([{
+      filename: 'added.pdf',
+      originalName: 'added.pdf',
+      content: 'Added by another process',
+      hasEmbeddings: true,
+      ...embedded(3)
+    }]));
+    
+    const { rebuilt } = await localVectorIndex.initialize();
+    assert.equal(rebuilt, false);
+    assert.equal((await nearest(3))[0], added._id.toString());
+  });
+  
+  it('rebuilds an index saved for another embedding model', async () => {
+    const header = `${config.vectorIndex.path}.json`;
+    fs.writeFileSync(header, JSON.stringify({ ...JSON.parse(fs.readFileSync(header, 'utf8')), model: 'other/model' }));
+    
+    const { rebuilt, vectors } = await localVectorIndex.initialize();
+    assert.equal(rebuilt, true);
+    // Two passages, one whole-CV embedding and the other tenant's CV
+    assert.equal(vectors, 4);
+  });
+});
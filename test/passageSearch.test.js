@@ -0,0 +1,153 @@
+require('./helpers/setup');
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const CV = require('../models/cvModel');
+const CVPassage = require('../models/cvPassageModel');
+const { splitPassages, meanEmbedding } = require('../utils/passages');
+const {
+  setVectorBackend,
+  buildVectorSearchStage,
+  buildVectorSearchStages,
+  aggregatePassageScores
+} = require('../utils/vectorSearch');
+const { getEmbeddingInfo } = require('../utils/openaiService');
+const { runWithTenant } = require('../utils/tenantScope');
+const { clearDb } = require('./helpers/memoryDb');
+const { createTenant, createCV } = require('./helpers/fixtures');
+
+/**
+ * Build a unit vector pointing mostly along one dimension
+ * @param {number} axis - Dimension
+ * @returns {number[]}
+ */
+function vector(axis) {
+  const { dimensions } = require('../config/config').offline;
+  return Array.from({ length: dimensions }, (value, index) => (index === axis ? 1 : 0.01));
+}
+
+describe('passage search', () => {
+  describe('splitPassages', () => {
+    it('splits a CV along its sections and keeps the offsets', () => {
+      const content = [
+        'Jane Doe',
+        '',
+        'Experience',
+        'Acme Corp - Backend Developer, 2019 - 2023',
+        'Built payment services in Node.js',
+        '',
+        'Skills',
+        'Node.js, MongoDB, Kubernetes'
+      ].join('\n');
+      const passages = splitPassages(content);
+      
+      assert.ok(passages.length >= 2);
+      assert.ok(passages.some(passage => passage.section === 'experience' && passage.text.includes('Acme Corp')));
+      assert.ok(passages.some(passage => passage.section === 'skills' && passage.text.includes('Kubernetes')));
+      for (const passage of passages) {
+        assert.equal(content.slice(passage.start, passage.start + passage.text.length), passage.text);
+      }
+    });
+    
+    it('returns no passages for empty content', () => {
+      assert.deepEqual(splitPassages('  \n '), []);
+    });
+  });
+  
+  it('uses the normalized mean of the passage vectors as the whole-CV embedding', () => {
+    const mean = meanEmbedding([[2, 0], [0, 3]]);
+    assert.ok(Math.abs(mean[0] - Math.SQRT1_2) < 1e-9);
+    assert.ok(Math.abs(mean[1] - Math.SQRT1_2) < 1e-9);
+  });
+  
+  describe('aggregatePassageScores', () => {
+    const hits = [
+      { id: 'a', score: 0.9 },
+      { id: 'a', score: 0.5 },
+      { id: 'a', score: 0.4 },
+      { id: 'b', score: 0.8 },
+      { id: 'b', score: 0.75 }
+    ];
+    
+    it('ranks CVs by their best passage', () => {
+      assert.deepEqual(aggregatePassageScores(hits, { aggregation: 'max', topK: 3 }), [
+        { id: 'a', score: 0.9 },
+        { id: 'b', score: 0.8 }
+      ]);
+    });
+    
+    it('ranks CVs by the mean of their best passages', () => {
+      const ranked = aggregatePassageScores(hits, { aggregation: 'mean', topK: 2 });
+      assert.deepEqual(ranked.map(item => item.id), ['b', 'a']);
+      assert.ok(Math.abs(ranked[0].score - 0.775) < 1e-9);
+    });
+  });
+  
+  describe('buildVectorSearchStage', () => {
+    it('keeps limit and numCandidates within the Atlas maximum', () => {
+      const small = buildVectorSearchStage([1], 10).$vectorSearch;
+      assert.equal(small.limit, 10);
+      assert.equal(small.numCandidates, 100);
+      
+      const medium = buildVectorSearchStage([1], 5000).$vectorSearch;
+      assert.equal(medium.limit, 5000);
+      assert.equal(medium.numCandidates, 10000);
+      
+      const large = buildVectorSearchStage([1], 100000).$vectorSearch;
+      assert.equal(large.limit, 10000);
+      assert.equal(large.numCandidates, 10000);
+    });
+  });
+  
+  describe('Atlas backend', () => {
+    const { provider, model } = getEmbeddingInfo();
+    let tenant;
+    let withPassages;
+    let withoutPassages;
+    
+    before(() => setVectorBackend('atlas', { passages: true }));
+    after(() => setVectorBackend('atlas', { passages: true }));
+    
+    beforeEach(async () => {
+      clearDb();
+      tenant = await createTenant('passages');
+      // The whole-CV embedding is far from the query, but one passage is close to it
+      withPassages = await createCV(tenant, {
+        originalName: 'passages.pdf',
+        embeddings: vector(1),
+        embeddingProvider: provider,
+        embeddingModel: model,
+        passageCount: 2
+      });
+      await runWithTenant(tenant, async () => await CVPassage.insertMany([0, 2].map((axis, index) => ({
+        cvId: withPassages._id,
+        index,
+        text: `passage ${index}`,
+        embedding: vector(axis),
+        embeddingModel: `${provider}/${model}`
+      }))));
+      withoutPassages = await createCV(tenant, {
+        originalName: 'whole.pdf',
+        embeddings: vector(3),
+        embeddingProvider: provider,
+        embeddingModel: model
+      });
+    });
+    
+    it('ranks CVs by their best passage, and CVs without passages by their whole embedding', async () => {
+      const stages = await runWithTenant(tenant, () => buildVectorSearchStages(vector(0), 10));
+      const ids = stages[0].$match._id.$in.map(String);
+      assert.deepEqual(ids, [withPassages._id.toString(), withoutPassages._id.toString()]);
+      
+      const ranked = await runWithTenant(tenant, async () => await CV.aggregate([...stages, { $sort: { vectorScore: -1 } }]));
+      assert.ok(ranked[0].vectorScore > 0.99);
+    });
+    
+    it('stays within the Atlas limits for large requests and still finds CVs with passages', async () => {
+      // 2000 CVs with 10 passages each would ask Atlas for 20000 passages
+      const stages = await runWithTenant(tenant, () => buildVectorSearchStages(vector(0), 2000));
+      const ids = stages[0].$match._id.$in.map(String).sort();
+      assert.deepEqual(ids, [withPassages._id.toString(), withoutPassages._id.toString()].sort());
+    });
+  });
+});
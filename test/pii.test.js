@@ -0,0 +1,124 @@
+require('./helpers/setup');
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../config/config');
+const offlineProvider = require('../utils/providers/offlineProvider');
+const { registerProvider } = require('../utils/providers');
+const { redactText, createRedactor, getAIRedactor } = require('../utils/pii');
+const { runWithTenant } = require('../utils/tenantScope');
+const { clearDb } = require('./helpers/memoryDb');
+const { createTenant } = require('./helpers/fixtures');
+
+const CV_TEXT = 'Jane Doe\nSoftware engineer\nReferee: Marcus Whitfield, 12 Elm Grove, Leeds';
+
+describe('personal data redaction', () => {
+  describe('phone numbers', () => {
+    it('redacts phone numbers in the usual formats', () => {
+      const numbers = ['+44 20 7946 0958', '0049 30 1234567', '(030) 123 456 78', '07700 900123', '1.800.555.0199', '089.123.4567'];
+      for (const number of numbers) {
+        assert.equal(redactText(`Phone: ${number}`).text, 'Phone: [PHONE]', number);
+      }
+    });
+    
+    it('leaves IP addresses, versions and date ranges alone', () => {
+      const values = ['192.168.100.200', '10.0.0.1', '1.2.3.4567', 'version 10.15.7.1234', '01/2019 - 03/2021'];
+      for (const value of values) {
+        assert.equal(redactText(`Worked on ${value}`).text, `Worked on ${value}`, value);
+      }
+    });
+    
+    it('leaves amounts and ISBNs alone', () => {
+      const values = [
+        'Managed a budget 12 500 000 EUR',
+        'Raised USD 1 250 000 in seed funding',
+        'Revenue of 4 800 000 euros',
+        'Co-authored ISBN 978-3-16-148410-0',
+        'ISBN-13: 978 0 306 40615 7'
+      ];
+      for (const value of values) {
+        assert.equal(redactText(value).text, value, value);
+      }
+    });
+    
+    it('still redacts phone numbers next to other text', () => {
+      assert.equal(redactText('Call +49 30 1234567 EU hours').text, 'Call [PHONE] EU hours');
+    });
+  });
+  
+  describe('age', () => {
+    it('redacts the age with or without a separator', () => {
+      const lines = {
+        'Age: 34': 'Age: [AGE]',
+        'Age 34': 'Age [AGE]',
+        'Aged 34': 'Aged [AGE]',
+        'aged - 34': 'aged - [AGE]',
+        'Alter 34': 'Alter [AGE]',
+        '34 years old': '[AGE]'
+      };
+      for (const [line, redacted] of Object.entries(lines)) {
+        assert.equal(redactText(line).text, redacted, line);
+      }
+    });
+  });
+  
+  describe('LLM detection', () => {
+    let prompts;
+    
+    beforeEach(() => {
+      clearDb();
+      prompts = [];
+      registerProvider('hosted', () => ({
+        name: 'hosted',
+        completionModel: 'test',
+        completeJSON: async (systemPrompt, userPrompt) => {
+          prompts.push(userPrompt);
+          return { names: ['Marcus Whitfield'], addresses: [] };
+        }
+      }));
+    });
+    
+    /**
+     * Use an LLM detector for the rest of the test
+     * @param {Object} t - Test context
+     * @param {string} provider - Provider name
+     */
+    function useLLMProvider(t, provider) {
+      config.pii.llmProvider = provider;
+      t.after(() => {
+        config.pii.llmProvider = undefined;
+      });
+    }
+    
+    it('sends the CV to a hosted provider when the tenant does not redact before AI', async t => {
+      useLLMProvider(t, 'hosted');
+      const tenant = await createTenant('plain');
+      
+      const redactor = await runWithTenant(tenant, () => createRedactor(`${CV_TEXT}\nplain`));
+      assert.equal(prompts.length, 1);
+      assert.ok(!redactor.content.includes('Marcus Whitfield'));
+    });
+    
+    it('does not send unredacted text to a hosted provider when the tenant redacts before AI', async t => {
+      useLLMProvider(t, 'hosted');
+      const tenant = await createTenant('redacted', { pii: { redactBeforeAI: true } });
+      
+      const redactor = await runWithTenant(tenant, () => getAIRedactor(`${CV_TEXT}\nredacted`));
+      assert.equal(prompts.length, 0);
+      assert.ok(redactor.content.startsWith('[NAME]'));
+      
+      await runWithTenant(tenant, () => createRedactor(`${CV_TEXT}\nblind view`));
+      assert.equal(prompts.length, 0);
+    });
+    
+    it('uses a self-hosted provider when the tenant redacts before AI', async t => {
+      useLLMProvider(t, 'offline');
+      const completeJSON = t.mock.method(offlineProvider, 'completeJSON', async () => ({ names: ['Marcus Whitfield'] }));
+      const tenant = await createTenant('self-hosted', { pii: { redactBeforeAI: true } });
+      
+      const redactor = await runWithTenant(tenant, () => getAIRedactor(`${CV_TEXT}\nself-hosted`));
+      assert.equal(completeJSON.mock.callCount(), 1);
+      assert.ok(!redactor.content.includes('Marcus Whitfield'));
+    });
+  });
+});
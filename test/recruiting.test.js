@@ -0,0 +1,149 @@
+require('./helpers/setup');
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const app = require('../server');
+const { clearDb } = require('./helpers/memoryDb');
+const { createTenant, createUser, createCV, request } = require('./helpers/fixtures');
+
+describe('candidate pipeline', () => {
+  let tenant;
+  let token;
+  let jane;
+  let john;
+  
+  beforeEach(async () => {
+    clearDb();
+    tenant = await createTenant('pipeline');
+    ({ token } = await createUser(tenant, 'recruiter'));
+    jane = await createCV(tenant, { metadata: { skills: ['Node.js'] } });
+    john = await createCV(tenant, { metadata: { skills: ['Python'] } });
+  });
+  
+  /**
+   * Search with filters only and return the IDs of the results
+   * @param {Object} filters - Search filters
+   * @returns {Promise<string[]>}
+   */
+  async function searchIds(filters) {
+    const response = await request(app, 'POST', '/api/cv/search', { token, body: { filters } });
+    assert.equal(response.status, 200);
+    return response.body.results.map(result => result._id).sort();
+  }
+  
+  describe('stages', () => {
+    it('moves a candidate through the pipeline and keeps the history', async () => {
+      await request(app, 'PUT', `/api/cv/${jane._id}/stage`, { token, body: { stage: 'screened' } });
+      const response = await request(app, 'PUT', `/api/cv/${jane._id}/stage`, {
+        token,
+        body: { stage: 'interview', reason: 'Strong phone screen' }
+      });
+      
+      assert.equal(response.status, 200);
+      const { recruiting } = response.body;
+      assert.equal(recruiting.stage, 'interview');
+      assert.deepEqual(recruiting.stageHistory.map(entry => [entry.from, entry.stage]), [['new', 'screened'], ['screened', 'interview']]);
+      assert.equal(recruiting.stageHistory[1].reason, 'Strong phone screen');
+      assert.ok(recruiting.stageHistory[1].changedAt);
+    });
+    
+    it('rejects unknown stages', async () => {
+      const response = await request(app, 'PUT', `/api/cv/${jane._id}/stage`, { token, body: { stage: 'ghosted' } });
+      assert.equal(response.status, 400);
+    });
+    
+    it('lets viewers read the state but not change it', async () => {
+      const viewer = await createUser(tenant, 'viewer');
+      
+      const change = await request(app, 'PUT', `/api/cv/${jane._id}/stage`, { token: viewer.token, body: { stage: 'hired' } });
+      assert.equal(change.status, 403);
+      
+      const read = await request(app, 'GET', `/api/cv/${jane._id}/recruiting`, { token: viewer.token });
+      assert.equal(read.status, 200);
+      assert.equal(read.body.stage, 'new');
+    });
+    
+    it('shares the state between the versions of a candidate', async () => {
+      const newer = await createCV(tenant, { candidateId: jane._id, version: 2 });
+      await request(app, 'PUT', `/api/cv/${newer._id}/stage`, { token, body: { stage: 'offer' } });
+      
+      const response = await request(app, 'GET', `/api/cv/${jane._id}/recruiting`, { token });
+      assert.equal(response.body.stage, 'offer');
+    });
+  });
+  
+  describe('notes and tags', () => {
+    it('adds notes by the signed-in user and removes them', async () => {
+      const added = await request(app, 'POST', `/api/cv/${jane._id}/notes`, { token, body: { text: 'Available from March' } });
+      assert.equal(added.status, 201);
+      const [note] = added.body.recruiting.notes;
+      assert.equal(note.text, 'Available from March');
+      assert.ok(note.author);
+      
+      const removed = await request(app, 'DELETE', `/api/cv/${jane._id}/notes/${note._id}`, { token });
+      assert.equal(removed.status, 200);
+      assert.deepEqual(removed.body.recruiting.notes, []);
+    });
+    
+    it('rejects empty notes', async () => {
+      const response = await request(app, 'POST', `/api/cv/${jane._id}/notes`, { token, body: { text: '  ' } });
+      assert.equal(response.status, 400);
+    });
+    
+    it('stores tags in lowercase without duplicates', async () => {
+      const response = await request(app, 'PUT', `/api/cv/${jane._id}/tags`, { token, body: { tags: ['Senior', 'remote', 'senior'] } });
+      assert.equal(response.status, 200);
+      assert.deepEqual(response.body.recruiting.tags, ['senior', 'remote']);
+    });
+  });
+  
+  describe('shortlists', () => {
+    it('groups candidates and narrows them down by stage', async () => {
+      const created = await request(app, 'POST', '/api/shortlists', { token, body: { name: 'Backend Q3' } });
+      assert.equal(created.status, 201);
+      const shortlistId = created.body.shortlist._id;
+      
+      const added = await request(app, 'POST', `/api/shortlists/${shortlistId}/candidates`, {
+        token,
+        body: { cvIds: [jane._id, john._id, '64b7f0c2a1b2c3d4e5f60718'] }
+      });
+      assert.equal(added.status, 200);
+      assert.deepEqual(added.body.notFound, ['64b7f0c2a1b2c3d4e5f60718']);
+      
+      await request(app, 'PUT', `/api/cv/${jane._id}/stage`, { token, body: { stage: 'interview' } });
+      const interviewing = await request(app, 'GET', `/api/shortlists/${shortlistId}?stage=interview`, { token });
+      assert.deepEqual(interviewing.body.candidates.map(cv => cv._id), [jane._id.toString()]);
+      
+      const list = await request(app, 'GET', '/api/shortlists', { token });
+      assert.equal(list.body.shortlists[0].candidates, 2);
+    });
+    
+    it('keeps shortlist names unique', async () => {
+      await request(app, 'POST', '/api/shortlists', { token, body: { name: 'Frontend' } });
+      const response = await request(app, 'POST', '/api/shortlists', { token, body: { name: 'Frontend' } });
+      assert.equal(response.status, 409);
+    });
+  });
+  
+  it('filters searches and counts facets by stage, tags and shortlist', async () => {
+    const created = await request(app, 'POST', '/api/shortlists', { token, body: { name: 'Platform' } });
+    const shortlistId = created.body.shortlist._id;
+    await request(app, 'POST', `/api/shortlists/${shortlistId}/candidates`, { token, body: { cvIds: [john._id] } });
+    await request(app, 'PUT', `/api/cv/${jane._id}/stage`, { token, body: { stage: 'screened' } });
+    await request(app, 'PUT', `/api/cv/${jane._id}/tags`, { token, body: { tags: ['senior', 'remote'] } });
+    await request(app, 'PUT', `/api/cv/${john._id}/tags`, { token, body: { tags: ['senior'] } });
+    
+    assert.deepEqual(await searchIds({ stage: ['screened'] }), [jane._id.toString()]);
+    assert.deepEqual(await searchIds({ stage: ['new'] }), [john._id.toString()]);
+    assert.deepEqual(await searchIds({ tags: ['senior'] }), [jane._id.toString(), john._id.toString()].sort());
+    assert.deepEqual(await searchIds({ tags: ['senior', 'remote'], tagsLogic: 'AND' }), [jane._id.toString()]);
+    assert.deepEqual(await searchIds({ shortlists: [shortlistId] }), [john._id.toString()]);
+    
+    const metadata = await request(app, 'GET', '/api/cv/metadata', { token });
+    assert.equal(metadata.status, 200);
+    assert.equal(metadata.body.stages.screened, 1);
+    assert.equal(metadata.body.stages.new, 1);
+    assert.deepEqual(metadata.body.tags, ['remote', 'senior']);
+    assert.deepEqual(metadata.body.shortlists, [{ id: shortlistId, name: 'Platform', count: 1 }]);
+  });
+});
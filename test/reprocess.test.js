@@ -0,0 +1,132 @@
+require('./helpers/setup');
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const app = require('../server');
+const CV = require('../models/cvModel');
+const CVPassage = require('../models/cvPassageModel');
+const { clearDb } = require('./helpers/memoryDb');
+const { createTenant, createUser, createCV, request } = require('./helpers/fixtures');
+const { runWithTenant } = require('../utils/tenantScope');
+const { ANALYSIS_VERSION, getEmbeddingInfo } = require('../utils/openaiService');
+const { EXTRACTION_SCHEMA_VERSION } = require('../utils/extractionSchema');
+const { planReprocess, createRun, executeRun, cancelRun } = require('../utils/reprocessor');
+
+describe('reprocessing', () => {
+  let tenant;
+  let stale;
+  let current;
+  
+  beforeEach(async () => {
+    clearDb();
+    tenant = await createTenant('reprocess');
+    const { provider, model } = getEmbeddingInfo();
+    
+    stale = await createCV(tenant, { content: 'Jane Doe\nSenior Node.js developer, 5 years of experience with MongoDB.' });
+    current = await createCV(tenant, {
+      embeddings: [1, 0],
+      embeddingProvider: provider,
+      embeddingModel: model,
+      passageCount: 1,
+      metadataVersion: ANALYSIS_VERSION,
+      extraction: { schemaVersion: EXTRACTION_SCHEMA_VERSION }
+    });
+    await createCV(tenant, { deletedAt: new Date() });
+  });
+  
+  /**
+   * Create and run a reprocess run in the test tenant
+   * @param {Object} options - Run options
+   * @returns {Promise<Object>} - Finished run
+   */
+  function run(options) {
+    return runWithTenant(tenant, async () => executeRun(await createRun({ delayMs: 0, ...options }, { trigger: 'cli' })));
+  }
+  
+  it('plans only the CVs with stale embeddings or metadata', async () => {
+    const plan = await runWithTenant(tenant, () => planReprocess({}));
+    
+    assert.equal(plan.dryRun, true);
+    assert.equal(plan.totalCVs, 3);
+    assert.equal(plan.toProcess, 1);
+    assert.equal(plan.target.metadataVersion, ANALYSIS_VERSION);
+  });
+  
+  it('does not plan re-embedding CVs without text, which cannot have embeddings or passages', async () => {
+    const { provider, model } = getEmbeddingInfo();
+    await createCV(tenant, { content: ' \n ', embeddingProvider: provider, embeddingModel: model });
+    
+    const plan = await runWithTenant(tenant, () => planReprocess({ metadata: false }));
+    
+    assert.equal(plan.totalCVs, 4);
+    assert.equal(plan.toProcess, 1);
+  });
+  
+  it('re-embeds and re-analyzes stale CVs and leaves current and deleted ones alone', async () => {
+    const finished = await run({});
+    
+    assert.equal(finished.status, 'completed');
+    assert.deepEqual({ ...finished.counts.toObject() }, { processed: 1, embedded: 1, analyzed: 1, failed: 0 });
+    
+    const [updated, untouched] = await runWithTenant(tenant, () => Promise.all([
+      CV.findById(stale._id).lean(),
+      CV.findById(current._id).lean()
+    ]));
+    assert.equal(updated.hasEmbeddings, true);
+    assert.equal(updated.embeddingProvider, getEmbeddingInfo().provider);
+    assert.ok(updated.passageCount > 0);
+    assert.equal(updated.metadataVersion, ANALYSIS_VERSION);
+    assert.ok(updated.metadata.skills.includes('Node.js'));
+    assert.deepEqual(untouched.embeddings, [1, 0]);
+    
+    const passages = await runWithTenant(tenant, () => CVPassage.countDocuments({ cvId: stale._id }));
+    assert.equal(passages, updated.passageCount);
+  });
+  
+  it('keeps recruiter corrections over the new extraction', async () => {
+    await runWithTenant(tenant, async () => {
+      const cv = await CV.findById(stale._id);
+      cv.applyCorrections({ jobTitles: ['Staff Engineer'] }, 'recruiter@example.com');
+      await cv.save();
+    });
+    
+    await run({ embeddings: false });
+    
+    const updated = await runWithTenant(tenant, () => CV.findById(stale._id).lean());
+    assert.deepEqual(updated.metadata.jobTitles, ['Staff Engineer']);
+    assert.equal(updated.hasEmbeddings, false);
+  });
+  
+  it('reprocesses every CV when forced, up to the limit', async () => {
+    const finished = await run({ force: true, limit: 1 });
+    
+    assert.equal(finished.total, 1);
+    assert.equal(finished.counts.processed, 1);
+    // CVs are processed in ID order, so the limit stops before the current CV
+    assert.equal(finished.lastProcessedId.toString(), stale._id.toString());
+  });
+  
+  it('stops a cancelled run and resumes it where it stopped', async () => {
+    const created = await runWithTenant(tenant, () => createRun({ force: true, delayMs: 0 }, { trigger: 'cli' }));
+    cancelRun(created._id);
+    const cancelled = await runWithTenant(tenant, () => executeRun(created));
+    assert.equal(cancelled.status, 'cancelled');
+    assert.equal(cancelled.counts.processed, 0);
+    
+    const resumed = await runWithTenant(tenant, async () => executeRun(await createRun({}, { resumeRunId: created._id })));
+    assert.equal(resumed.status, 'completed');
+    assert.equal(resumed.counts.processed, 2);
+  });
+  
+  it('reports the plan through the admin API', async () => {
+    const { token } = await createUser(tenant, 'admin');
+    const response = await request(app, 'POST', '/api/admin/reprocess', { token, body: { dryRun: true, metadata: false } });
+    
+    assert.equal(response.status, 200);
+    assert.equal(response.body.toProcess, 1);
+    
+    const recruiter = await createUser(tenant, 'recruiter');
+    const forbidden = await request(app, 'POST', '/api/admin/reprocess', { token: recruiter.token, body: { dryRun: true } });
+    assert.equal(forbidden.status, 403);
+  });
+});
@@ -0,0 +1,121 @@
+require('./helpers/setup');
+
+const { describe, it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const app = require('../server');
+const offlineProvider = require('../utils/providers/offlineProvider');
+const { extractQueryTerms, buildSnippets } = require('../utils/searchExplain');
+const { setVectorBackend } = require('../utils/vectorSearch');
+const { generateEmbeddings, getEmbeddingInfo } = require('../utils/openaiService');
+const { clearDb } = require('./helpers/memoryDb');
+const { createTenant, createUser, createCV, request } = require('./helpers/fixtures');
+
+const CONTENT = [
+  'Jane Doe',
+  '',
+  'Experience',
+  'Acme Corp - Platform Engineer, 2019 - 2024',
+  'Ran Kubernetes clusters and built deployment tooling in Go',
+  '',
+  'Skills',
+  'Kubernetes, Go, Terraform'
+].join('\n');
+
+describe('search explanations', () => {
+  describe('snippets', () => {
+    it('extracts query terms and keeps quoted phrases whole', () => {
+      assert.deepEqual(extractQueryTerms('"platform engineer" with Kubernetes and go'), ['platform engineer', 'kubernetes', 'go']);
+    });
+    
+    it('highlights whole words only, relative to the snippet', () => {
+      const [snippet] = buildSnippets('Java developer, also JavaScript', ['java']);
+      const highlighted = snippet.highlights.map(({ start, end }) => snippet.text.slice(start, end));
+      assert.deepEqual(highlighted, ['Java']);
+    });
+  });
+  
+  describe('POST /api/cv/search with explain', () => {
+    let tenant;
+    let token;
+    let cv;
+    
+    before(() => setVectorBackend('atlas', { passages: true }));
+    
+    beforeEach(async () => {
+      clearDb();
+      tenant = await createTenant('explain');
+      ({ token } = await createUser(tenant, 'recruiter'));
+      const { provider, model } = getEmbeddingInfo();
+      cv = await createCV(tenant, {
+        content: CONTENT,
+        contentHash: 'hash-1',
+        embeddings: await generateEmbeddings(CONTENT),
+        embeddingProvider: provider,
+        embeddingModel: model,
+        metadata: { skills: ['Kubernetes', 'Go'], experience: 5 }
+      });
+    });
+    
+    /**
+     * Run an explained vector search
+     * @param {Object} [body] - Request body overrides
+     * @param {string} [as] - Session token
+     * @returns {Promise<Object>} - Explanation of the first result
+     */
+    async function explainFirst(body = {}, as = token) {
+      const response = await request(app, 'POST', '/api/cv/search', {
+        token: as,
+        body: { query: 'kubernetes platform', searchType: 'vector', explain: true, ...body }
+      });
+      assert.equal(response.status, 200);
+      assert.equal(response.body.results[0]._id, cv._id.toString());
+      return response.body.results[0].explanation;
+    }
+    
+    it('explains the score, the filters, snippets and the best passage', async () => {
+      const explanation = await explainFirst({ filters: { skills: ['Kubernetes', 'Rust'], skillsLogic: 'OR' } });
+      
+      assert.equal(explanation.score.basis, 'vector');
+      assert.equal(explanation.score.relevance, explanation.score.vectorScore);
+      assert.deepEqual(explanation.filters, [
+        { filter: 'skills', value: 'Kubernetes', matched: true },
+        { filter: 'skills', value: 'Rust', matched: false }
+      ]);
+      
+      const snippet = explanation.snippets[0];
+      assert.equal(snippet.text.slice(snippet.highlights[0].start, snippet.highlights[0].end).toLowerCase(), 'platform');
+      assert.match(explanation.passage.text, /Kubernetes/);
+      // The passage text has its whitespace collapsed; start is its offset in the CV text
+      assert.ok(CONTENT.startsWith(explanation.passage.text.split(' ')[0], explanation.passage.start));
+      assert.equal(typeof explanation.passage.score, 'number');
+    });
+    
+    it('gives viewers only the score and filters', async () => {
+      const viewer = await createUser(tenant, 'viewer');
+      const explanation = await explainFirst({}, viewer.token);
+      
+      assert.deepEqual(Object.keys(explanation).sort(), ['filters', 'score']);
+    });
+    
+    it('caches the AI summary so a repeated search does not call the provider again', async t => {
+      const completeJSON = t.mock.method(offlineProvider, 'completeJSON', async () => ({
+        summary: 'Runs Kubernetes platforms at Acme.'
+      }));
+      const body = { explain: { summary: true } };
+      
+      const first = await explainFirst(body);
+      assert.deepEqual(first.summary, { text: 'Runs Kubernetes platforms at Acme.', cached: false });
+      
+      const second = await explainFirst(body);
+      assert.deepEqual(second.summary, { text: 'Runs Kubernetes platforms at Acme.', cached: true });
+      assert.equal(completeJSON.mock.callCount(), 1);
+    });
+    
+    it('removes the candidate\'s name from blind explanations', async () => {
+      const explanation = await explainFirst({ query: 'jane kubernetes', blind: true });
+      
+      assert.ok(explanation.snippets.length > 0);
+      assert.doesNotMatch(JSON.stringify(explanation), /Jane/);
+    });
+  });
+});
@@ -0,0 +1,63 @@
+require('./helpers/setup');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { addTenantFilter, describeVectorIndex } = require('../utils/searchIndexes');
+
+/**
+ * Fake database handle with Atlas search indexes
+ * @param {Object} indexes - { collection: [index] }, or null when Atlas Search is unavailable
+ * @returns {Object} - { db, updates }
+ */
+function atlasDb(indexes) {
+  const updates = [];
+  const db = {
+    collection: name => ({
+      listSearchIndexes: () => ({
+        toArray: async () => {
+          if (!indexes) {
+            throw new Error('$listSearchIndexes stage is only allowed on MongoDB Atlas');
+          }
+          return indexes[name] || [];
+        }
+      }),
+      updateSearchIndex: async (index, definition) => updates.push({ collection: name, index, definition })
+    })
+  };
+  return { db, updates };
+}
+
+const legacyDefinition = {
+  fields: [{ type: 'vector', path: 'embeddings', numDimensions: 1536, similarity: 'cosine' }]
+};
+
+describe('Atlas search index upgrade', () => {
+  it('adds the tenantId filter field to an index created before tenants', async () => {
+    const { db, updates } = atlasDb({ cvs: [{ name: 'vectorIndex', latestDefinition: legacyDefinition }] });
+    
+    assert.equal((await describeVectorIndex(db, 'cvs', 'vectorIndex')).tenantFilter, false);
+    assert.equal(await addTenantFilter(db, 'cvs', 'vectorIndex'), 'updated');
+    assert.deepEqual(updates, [{
+      collection: 'cvs',
+      index: 'vectorIndex',
+      definition: { fields: [...legacyDefinition.fields, { type: 'filter', path: 'tenantId' }] }
+    }]);
+  });
+  
+  it('leaves current, missing and unavailable indexes alone', async () => {
+    const current = { fields: [...legacyDefinition.fields, { type: 'filter', path: 'tenantId' }] };
+    const { db, updates } = atlasDb({ cvs: [{ name: 'vectorIndex', latestDefinition: current }] });
+    
+    assert.equal(await addTenantFilter(db, 'cvs', 'vectorIndex'), 'current');
+    assert.equal(await addTenantFilter(db, 'cvpassages', 'passageVectorIndex'), 'missing');
+    assert.equal(await addTenantFilter(atlasDb(null).db, 'cvs', 'vectorIndex'), 'unavailable');
+    assert.deepEqual(updates, []);
+  });
+  
+  it('only reports the change on a dry run', async () => {
+    const { db, updates } = atlasDb({ cvs: [{ name: 'vectorIndex', definition: legacyDefinition }] });
+    
+    assert.equal(await addTenantFilter(db, 'cvs', 'vectorIndex', { dryRun: true }), 'updated');
+    assert.deepEqual(updates, []);
+  });
+});
@@ -0,0 +1,139 @@
+require('./helpers/setup');
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const app = require('../server');
+const {
+  readTaxonomyFile,
+  setTaxonomy,
+  loadSkillTaxonomy,
+  findSkills,
+  normalizeSkills,
+  withImpliedSkills,
+  expandSkill
+} = require('../utils/skillTaxonomy');
+const { clearDb } = require('./helpers/memoryDb');
+const { createTenant, createUser, createCV, request } = require('./helpers/fixtures');
+
+describe('skill taxonomy', () => {
+  before(() => setTaxonomy(readTaxonomyFile()));
+  
+  describe('findSkills', () => {
+    it('finds short names at the end of a sentence or list', () => {
+      assert.deepEqual(findSkills('Skills: Java, R, Go.').sort(), ['Go', 'Java', 'R']);
+      assert.deepEqual(findSkills('Backend work in C#.'), ['C#']);
+      assert.deepEqual(findSkills('Languages: C-'), ['C']);
+    });
+    
+    it('does not find short names inside abbreviations and compounds', () => {
+      assert.deepEqual(findSkills('Led R&D and R & D teams'), []);
+      assert.deepEqual(findSkills('Reported to the C-level, see my C.V.'), []);
+      assert.deepEqual(findSkills('Built a go-to guide'), []);
+    });
+    
+    it('still finds short names joined to other skills with an ampersand', () => {
+      assert.deepEqual(findSkills('Java & C').sort(), ['C', 'Java']);
+      assert.deepEqual(findSkills('C&C++').sort(), ['C', 'C++']);
+    });
+    
+    it('does not find a name inside a longer name', () => {
+      assert.deepEqual(findSkills('JavaScript and PL/SQL'), ['JavaScript', 'Oracle Database']);
+      assert.deepEqual(findSkills('Spring Boot services'), ['Spring Boot']);
+    });
+    
+    it('matches separators and casing variants of names', () => {
+      assert.deepEqual(findSkills('nodejs, Node JS and NODE.JS'), ['Node.js']);
+      assert.deepEqual(findSkills('go and r'), []);
+    });
+    
+    it('only finds ordinary words that require context next to a related skill', () => {
+      assert.deepEqual(findSkills('Swift response to customer requests. Express delivery. LESS is more.'), []);
+      assert.deepEqual(findSkills('Go through the onboarding checklist'), []);
+      
+      assert.deepEqual(findSkills('Swift and Objective-C on iOS').sort(), ['Objective-C', 'Swift']);
+      assert.deepEqual(findSkills('APIs with Express on Node.js').sort(), ['Express', 'Node.js']);
+      assert.deepEqual(findSkills('Styles in LESS and CSS').sort(), ['CSS', 'LESS']);
+    });
+    
+    it('finds unambiguous aliases of skills that require context on their own', () => {
+      assert.deepEqual(findSkills('Golang microservices'), ['Go']);
+      assert.deepEqual(findSkills('Express.js'), ['Express']);
+    });
+  });
+  
+  describe('normalizeSkills', () => {
+    it('maps aliases to canonical names and keeps unknown skills as written', () => {
+      assert.deepEqual(normalizeSkills(['nodejs', 'Node.js', 'golang', 'Underwater welding']), ['Node.js', 'Go', 'Underwater welding']);
+    });
+  });
+  
+  it('adds the skills implied by more specific skills', () => {
+    assert.deepEqual(withImpliedSkills(['Express']), ['Express', 'Node.js', 'JavaScript']);
+  });
+  
+  it('expands a filter skill to its descendants and their aliases', () => {
+    const names = expandSkill('Node.js');
+    assert.ok(names.includes('NodeJS'));
+    assert.ok(names.includes('Express.js'));
+  });
+});
+
+describe('skill taxonomy API', () => {
+  let platformAdmin;
+  let tenant;
+  let recruiter;
+  
+  beforeEach(async () => {
+    clearDb();
+    await loadSkillTaxonomy();
+    platformAdmin = await createUser(null, 'admin');
+    tenant = await createTenant('skills');
+    recruiter = await createUser(tenant, 'recruiter');
+  });
+  after(() => setTaxonomy(readTaxonomyFile()));
+  
+  it('lets platform admins add skills, which are found and implied right away', async () => {
+    const skill = { name: 'Bun', aliases: ['bun.sh'], parents: ['JavaScript'] };
+    
+    const forbidden = await request(app, 'POST', '/api/skills', { token: (await createUser(tenant, 'admin')).token, body: skill });
+    assert.equal(forbidden.status, 403);
+    
+    const created = await request(app, 'POST', '/api/skills', { token: platformAdmin.token, body: skill });
+    assert.equal(created.status, 201);
+    assert.deepEqual(findSkills('Built services with bun.sh'), ['Bun']);
+    
+    const normalized = await request(app, 'GET', '/api/skills/normalize?skills=bun.sh,nodejs,cobol-ish', { token: recruiter.token });
+    assert.deepEqual(normalized.body.skills.map(({ input, skill, implies }) => [input, skill, implies]), [
+      ['bun.sh', 'Bun', ['JavaScript']],
+      ['nodejs', 'Node.js', ['JavaScript']],
+      ['cobol-ish', null, []]
+    ]);
+  });
+  
+  it('rejects duplicate skills and unknown parents', async () => {
+    const duplicate = await request(app, 'POST', '/api/skills', { token: platformAdmin.token, body: { name: 'nodejs' } });
+    assert.equal(duplicate.status, 409);
+    assert.equal(duplicate.body.skill, 'Node.js');
+    
+    const orphan = await request(app, 'POST', '/api/skills', { token: platformAdmin.token, body: { name: 'Bun', parents: ['Nothing'] } });
+    assert.equal(orphan.status, 400);
+  });
+  
+  it('removes a deleted skill from the parents of its children', async () => {
+    const deleted = await request(app, 'DELETE', '/api/skills/Express.js', { token: platformAdmin.token });
+    assert.equal(deleted.status, 200);
+    assert.equal(deleted.body.skill, 'Express');
+    
+    assert.equal((await request(app, 'GET', '/api/skills/Express', { token: recruiter.token })).status, 404);
+    assert.ok(!expandSkill('Node.js').includes('Express'));
+  });
+  
+  it('matches filter skills by alias and by more specific skills', async () => {
+    const express = await createCV(tenant, { metadata: { skills: ['Express'] } });
+    await createCV(tenant, { metadata: { skills: ['Python'] } });
+    
+    const response = await request(app, 'POST', '/api/cv/search', { token: recruiter.token, body: { filters: { skills: ['nodejs'] } } });
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.results.map(result => result._id), [express._id.toString()]);
+  });
+});
@@ -0,0 +1,176 @@
+require('./helpers/setup');
+
+const { describe, it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const app = require('../server');
+const CV = require('../models/cvModel');
+const CVPassage = require('../models/cvPassageModel');
+const localVectorIndex = require('../utils/localVectorIndex');
+const { setVectorBackend, buildVectorSearchStages } = require('../utils/vectorSearch');
+const { getEmbeddingInfo } = require('../utils/openaiService');
+const { runWithTenant } = require('../utils/tenantScope');
+const { clearDb } = require('./helpers/memoryDb');
+const { createTenant, createUser, createCV, request } = require('./helpers/fixtures');
+
+/**
+ * Build a unit vector pointing mostly along one dimension
+ * @param {number} axis - Dimension
+ * @returns {number[]}
+ */
+function vector(axis) {
+  const { dimensions } = require('../config/config').offline;
+  return Array.from({ length: dimensions }, (value, index) => (index === axis ? 1 : 0.01));
+}
+
+describe('tenant isolation', () => {
+  let tenantA;
+  let tenantB;
+  let cvA;
+  let cvB;
+  const { provider, model } = getEmbeddingInfo();
+  
+  beforeEach(async () => {
+    clearDb();
+    tenantA = await createTenant('tenant-a');
+    tenantB = await createTenant('tenant-b');
+    cvA = await createCV(tenantA, {
+      originalName: 'alice.pdf',
+      metadata: { skills: ['Kubernetes'], jobTitles: ['Platform Engineer'], experience: 12 },
+      embeddings: vector(0),
+      embeddingProvider: provider,
+      embeddingModel: model
+    });
+    cvB = await createCV(tenantB, {
+      originalName: 'bob.pdf',
+      metadata: { skills: ['Excel'], jobTitles: ['Accountant'], experience: 3 },
+      embeddings: vector(1),
+      embeddingProvider: provider,
+      embeddingModel: model
+    });
+  });
+  
+  it('stamps new documents with the tenant of the context', () => {
+    assert.equal(cvA.tenantId.toString(), tenantA.id);
+    assert.equal(cvB.tenantId.toString(), tenantB.id);
+  });
+  
+  describe('CV.find', () => {
+    it('only returns documents of the current tenant', async () => {
+      const found = await runWithTenant(tenantB, async () => await CV.find({}).lean());
+      assert.deepEqual(found.map(cv => cv.originalName), ['bob.pdf']);
+    });
+    
+    it('overrides a tenantId condition naming another tenant', async () => {
+      const found = await runWithTenant(tenantB, async () => await CV.find({ tenantId: tenantA.id }).lean());
+      assert.deepEqual(found.map(cv => cv.originalName), ['bob.pdf']);
+    });
+    
+    it('does not find another tenant\'s CV by ID', async () => {
+      const found = await runWithTenant(tenantB, async () => await CV.findById(cvA._id));
+      assert.equal(found, null);
+    });
+    
+    it('does not count, list or update another tenant\'s CVs', async () => {
+      await runWithTenant(tenantB, async () => {
+        assert.equal(await CV.countDocuments({}), 1);
+        assert.deepEqual(await CV.distinct('metadata.skills'), ['Excel']);
+        const { matchedCount } = await CV.updateOne({ _id: cvA._id }, { $set: { originalName: 'taken.pdf' } });
+        assert.equal(matchedCount, 0);
+      });
+      const untouched = await runWithTenant(tenantA, async () => await CV.findById(cvA._id));
+      assert.equal(untouched.originalName, 'alice.pdf');
+    });
+  });
+  
+  describe('CV.aggregate', () => {
+    it('scopes pipelines to the current tenant', async () => {
+      const groups = await runWithTenant(tenantB, async () => await CV.aggregate([
+        { $group: { _id: null, names: { $push: '$originalName' } } }
+      ]));
+      assert.deepEqual(groups[0].names, ['bob.pdf']);
+    });
+    
+    it('keeps the tenant condition when the pipeline matches on a tenantId of its own', async () => {
+      const found = await runWithTenant(tenantB, async () => await CV.aggregate([
+        { $match: { tenantId: cvA.tenantId } }
+      ]));
+      assert.deepEqual(found.map(cv => cv.originalName), []);
+    });
+  });
+  
+  describe('Atlas vector search', () => {
+    before(() => setVectorBackend('atlas', { passages: true }));
+    
+    it('never ranks another tenant\'s CVs, even when they are the closest', async () => {
+      await runWithTenant(tenantA, async () => await CVPassage.create({
+        cvId: cvA._id,
+        index: 0,
+        text: 'Kubernetes platform engineering',
+        embedding: vector(0),
+        embeddingModel: `${provider}/${model}`
+      }));
+      await CV.updateOne({ _id: cvA._id }, { $set: { passageCount: 1 } });
+      
+      // The query is closest to tenant A's CV and passage
+      const stages = await runWithTenant(tenantB, () => buildVectorSearchStages(vector(0), 10));
+      const ids = stages[0].$match._id.$in.map(String);
+      assert.deepEqual(ids, [cvB._id.toString()]);
+    });
+    
+    it('filters tenants after ranking when the indexes lack the tenantId filter field', async () => {
+      setVectorBackend('atlas', { passages: true, tenantFilter: { cvs: false, passages: false } });
+      try {
+        const stages = await runWithTenant(tenantB, () => buildVectorSearchStages(vector(0), 10));
+        assert.deepEqual(stages[0].$match._id.$in.map(String), [cvB._id.toString()]);
+      } finally {
+        setVectorBackend('atlas', { passages: true });
+      }
+    });
+  });
+  
+  describe('local vector index', () => {
+    before(async () => {
+      setVectorBackend('local');
+      await localVectorIndex.initialize();
+    });
+    
+    it('only returns vectors of the requested tenant', async () => {
+      // Pick up the CVs created for this test
+      localVectorIndex.syncCV(await CV.findById(cvA._id).lean());
+      localVectorIndex.syncCV(await CV.findById(cvB._id).lean());
+      
+      const hits = localVectorIndex.search(vector(0), 10, cvB.tenantId);
+      assert.deepEqual([...new Set(hits.map(hit => hit.id))], [cvB._id.toString()]);
+    });
+    
+    it('backs vector searches run in a tenant context', async () => {
+      localVectorIndex.syncCV(await CV.findById(cvA._id).lean());
+      localVectorIndex.syncCV(await CV.findById(cvB._id).lean());
+      
+      const stages = await runWithTenant(tenantB, () => buildVectorSearchStages(vector(0), 10));
+      assert.deepEqual(stages[0].$match._id.$in.map(String), [cvB._id.toString()]);
+    });
+  });
+  
+  describe('GET /api/cv/metadata', () => {
+    it('only reports the filter values of the caller\'s tenant', async () => {
+      const { token } = await createUser(tenantB, 'recruiter');
+      const response = await request(app, 'GET', '/api/cv/metadata', { token });
+      
+      assert.equal(response.status, 200);
+      assert.deepEqual(response.body.skills, ['Excel']);
+      assert.deepEqual(response.body.jobTitles, ['Accountant']);
+      assert.deepEqual(response.body.experience, { min: 3, max: 3, avg: 3 });
+      assert.equal(response.body.totalCVs, 1);
+    });
+    
+    it('rejects a tenant account selecting another tenant', async () => {
+      const { token } = await createUser(tenantB, 'admin');
+      const response = await request(app, 'GET', '/api/cv/metadata', {
+        token,
+        headers: { 'X-Tenant-ID': 'tenant-a' }
+      });
+      assert.equal(response.status, 403);
+    });
+  });
+});
@@ -0,0 +1,180 @@
+require('./helpers/setup');
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const dns = require('dns');
+const http = require('http');
+const app = require('../server');
+const config = require('../config/config');
+const { getNotifier } = require('../utils/notifiers');
+const { verifySignature } = require('../utils/signing');
+const { clearDb } = require('./helpers/memoryDb');
+const { createTenant, createUser, request } = require('./helpers/fixtures');
+
+const SECRET = 'whsec_0123456789abcdef';
+
+describe('webhook notifier', () => {
+  const notifier = getNotifier('webhook');
+  let server;
+  let port;
+  let received;
+  
+  before(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        res.statusCode = req.url === '/fail' ? 500 : 204;
+        res.end();
+      });
+    });
+    server.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    port = server.address().port;
+  });
+  
+  after(() => new Promise(resolve => server.close(resolve)));
+  
+  beforeEach(() => {
+    received = [];
+  });
+  
+  /**
+   * Resolve hooks.example.com to the local test server
+   * @param {Object} t - Test context
+   */
+  function resolveToLoopback(t) {
+    const lookup = dns.lookup;
+    t.mock.method(dns, 'lookup', (hostname, options, callback) => {
+      if (hostname !== 'hooks.example.com') {
+        return lookup(hostname, options, callback);
+      }
+      callback(null, [{ address: '127.0.0.1', family: 4 }]);
+    });
+  }
+  
+  /**
+   * Allow private targets for the rest of the test
+   * @param {Object} t - Test context
+   */
+  function allowPrivateNetworks(t) {
+    config.webhooks.allowPrivateNetworks = true;
+    t.after(() => {
+      config.webhooks.allowPrivateNetworks = false;
+    });
+  }
+  
+  describe('validate', () => {
+    it('rejects loopback, private and link-local targets', () => {
+      const urls = [
+        'http://127.0.0.1/hook',
+        'http://localhost:3000/hook',
+        'http://api.localhost/hook',
+        'http://10.1.2.3/hook',
+        'http://172.16.0.1/hook',
+        'http://192.168.1.10/hook',
+        'http://169.254.169.254/latest/meta-data',
+        'http://2130706433/hook',
+        'http://[::1]/hook',
+        'http://[::ffff:127.0.0.1]/hook',
+        'http://[fd12::1]/hook',
+        'http://[fe80::1]/hook',
+        'http://[fec0::1]/hook'
+      ];
+      for (const url of urls) {
+        assert.equal(notifier.validate({ url }), 'url must not point to a loopback, private or link-local address', url);
+      }
+    });
+    
+    it('rejects NAT64 and 6to4 addresses that lead to internal IPv4 addresses', () => {
+      const urls = [
+        'http://[64:ff9b::a9fe:a9fe]/latest/meta-data',
+        'http://[64:ff9b::169.254.169.254]/latest/meta-data',
+        'http://[64:ff9b::7f00:1]/hook',
+        'http://[64:ff9b:1::a01:203]/hook',
+        'http://[2002:a9fe:a9fe::1]/latest/meta-data',
+        'http://[2002:c0a8:10a::]/hook'
+      ];
+      for (const url of urls) {
+        assert.equal(notifier.validate({ url }), 'url must not point to a loopback, private or link-local address', url);
+      }
+    });
+    
+    it('accepts public http and https URLs', () => {
+      assert.equal(notifier.validate({ url: 'https://hooks.example.com/cv' }), null);
+      assert.equal(notifier.validate({ url: 'http://8.8.8.8/cv' }), null);
+      assert.equal(notifier.validate({ url: 'http://[64:ff9b::808:808]/cv' }), null);
+      assert.equal(notifier.validate({ url: 'http://[2002:808:808::1]/cv' }), null);
+      assert.equal(notifier.validate({ url: 'ftp://hooks.example.com/cv' }), 'url must use http or https');
+    });
+  });
+  
+  describe('send', () => {
+    it('refuses host names that resolve to a private address', async t => {
+      resolveToLoopback(t);
+      
+      await assert.rejects(
+        notifier.send({ url: `http://hooks.example.com:${port}/hook`, secret: SECRET }, { event: 'cv.processed' }),
+        error => error.code === 'PRIVATE_ADDRESS'
+      );
+      assert.equal(received.length, 0);
+    });
+    
+    it('refuses IP literals saved before the check existed', async () => {
+      await assert.rejects(
+        notifier.send({ url: `http://127.0.0.1:${port}/hook`, secret: SECRET }, { event: 'cv.processed' }),
+        /must not point to a loopback/
+      );
+      assert.equal(received.length, 0);
+    });
+    
+    it('delivers signed requests to private addresses when they are allowed', async t => {
+      resolveToLoopback(t);
+      allowPrivateNetworks(t);
+      
+      const notification = { event: 'cv.processed', data: { cvId: 'abc' } };
+      const { status } = await notifier.send({ url: `http://hooks.example.com:${port}/hook`, secret: SECRET }, notification);
+      
+      assert.equal(status, 204);
+      assert.equal(received.length, 1);
+      assert.equal(received[0].headers['x-cvpicker-event'], 'cv.processed');
+      assert.ok(verifySignature(received[0].body, received[0].headers['x-cvpicker-signature'], SECRET));
+    });
+    
+    it('fails on responses other than 2xx', async t => {
+      allowPrivateNetworks(t);
+      
+      await assert.rejects(
+        notifier.send({ url: `http://127.0.0.1:${port}/fail`, secret: SECRET }, { event: 'cv.processed' }),
+        error => error.status === 500
+      );
+    });
+  });
+  
+  describe('registration', () => {
+    let token;
+    
+    beforeEach(async () => {
+      clearDb();
+      const tenant = await createTenant('hooks');
+      ({ token } = await createUser(tenant, 'admin'));
+    });
+    
+    it('rejects webhook subscriptions to internal addresses', async () => {
+      const response = await request(app, 'POST', '/api/webhooks', {
+        token,
+        body: { url: 'http://169.254.169.254/latest/meta-data', events: '*' }
+      });
+      assert.equal(response.status, 400);
+    });
+    
+    it('rejects alert webhooks to internal addresses', async () => {
+      const response = await request(app, 'POST', '/api/saved-searches', {
+        token,
+        body: { name: 'Node', query: 'node.js', channels: [{ type: 'webhook', url: 'http://localhost:8080/hook' }] }
+      });
+      assert.equal(response.status, 400);
+    });
+  });
+});
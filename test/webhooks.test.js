@@ -0,0 +1,248 @@
+require('./helpers/setup');
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const app = require('../server');
+const config = require('../config/config');
+const WebhookDelivery = require('../models/webhookDeliveryModel');
+const Batch = require('../models/batchModel');
+const { emitEvent, getEventsAfter } = require('../utils/events');
+const { enqueueBatch, startWorker, stopWorker } = require('../utils/ingestQueue');
+const { startDispatcher, stopDispatcher } = require('../utils/webhookDispatcher');
+const { getNotifier } = require('../utils/notifiers');
+const { runWithTenant, runWithoutTenant } = require('../utils/tenantScope');
+const { clearDb } = require('./helpers/memoryDb');
+const { createTenant, createUser, createCV, request } = require('./helpers/fixtures');
+
+/**
+ * Wait until the deliveries of a tenant match a condition
+ * @param {Object} tenant - Tenant context
+ * @param {Function} done - (deliveries) => boolean
+ * @returns {Promise<Object[]>} - Deliveries, oldest first
+ */
+async function waitForDeliveries(tenant, done) {
+  const deadline = Date.now() + 5000;
+  while (Date.now() < deadline) {
+    const deliveries = await runWithTenant(tenant, async () => await WebhookDelivery.find().sort({ createdAt: 1 }).lean());
+    if (done(deliveries)) {
+      return deliveries;
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error('The webhook deliveries did not reach the expected state');
+}
+
+/**
+ * Read a Server-Sent Events stream until an event arrives
+ * @param {Object} response - fetch response
+ * @param {string} type - Event type to wait for
+ * @returns {Promise<Object[]>} - Events received, the awaited one last
+ */
+async function readEvents(response, type) {
+  const decoder = new TextDecoder();
+  const reader = response.body.getReader();
+  const events = [];
+  let buffer = '';
+  while (!events.some(event => event.event === type)) {
+    const { value, done } = await reader.read();
+    if (done) {
+      break;
+    }
+    buffer += decoder.decode(value, { stream: true });
+    const blocks = buffer.split('\n\n');
+    buffer = blocks.pop();
+    for (const block of blocks) {
+      const data = block.split('\n').find(line => line.startsWith('data: '));
+      if (data) {
+        events.push(JSON.parse(data.slice(6)));
+      }
+    }
+  }
+  return events;
+}
+
+describe('CV lifecycle events', () => {
+  let tenant;
+  let token;
+  let cv;
+  
+  beforeEach(async () => {
+    clearDb();
+    tenant = await createTenant('events');
+    ({ token } = await createUser(tenant, 'admin'));
+    cv = await createCV(tenant);
+  });
+  
+  /**
+   * Subscribe a webhook through the API
+   * @param {Object} body - Subscription fields
+   * @returns {Promise<Object>} - Subscription
+   */
+  async function subscribe(body) {
+    const response = await request(app, 'POST', '/api/webhooks', { token, body });
+    assert.equal(response.status, 201);
+    return response.body.webhook;
+  }
+  
+  describe('webhook deliveries', () => {
+    afterEach(() => stopDispatcher());
+    
+    it('are queued for the subscriptions of the event\'s tenant that receive it', async () => {
+      const all = await subscribe({ url: 'https://hooks.example.com/all', events: '*' });
+      await subscribe({ url: 'https://hooks.example.com/deleted', events: ['cv.deleted'] });
+      const other = await createTenant('other');
+      const otherAdmin = await createUser(other, 'admin');
+      await request(app, 'POST', '/api/webhooks', {
+        token: otherAdmin.token,
+        body: { url: 'https://hooks.example.com/other', events: '*' }
+      });
+      
+      runWithTenant(tenant, () => emitEvent('cv.processed', { cvId: cv._id }));
+      
+      const deliveries = await waitForDeliveries(tenant, found => found.length > 0);
+      assert.deepEqual(deliveries.map(delivery => delivery.subscriptionId.toString()), [all.id.toString()]);
+      assert.equal(deliveries[0].payload.event, 'cv.processed');
+      assert.equal(deliveries[0].payload.data.cvId, cv._id.toString());
+    });
+    
+    it('are sent and marked delivered', async t => {
+      await subscribe({ url: 'https://hooks.example.com/all', events: '*' });
+      const send = t.mock.method(getNotifier('webhook'), 'send', async () => ({ status: 204 }));
+      startDispatcher();
+      
+      runWithTenant(tenant, () => emitEvent('cv.updated', { cvId: cv._id, changes: ['recruiting.stage'] }));
+      
+      const [delivery] = await waitForDeliveries(tenant, found => found.length > 0 && found[0].status === 'delivered');
+      assert.equal(delivery.responseStatus, 204);
+      assert.equal(send.mock.callCount(), 1);
+      const [channel, payload] = send.mock.calls[0].arguments;
+      assert.equal(channel.url, 'https://hooks.example.com/all');
+      assert.equal(payload.event, 'cv.updated');
+    });
+    
+    it('are retried with exponential backoff, kept as dead letters and can be replayed', async t => {
+      const { maxAttempts, retryDelay } = config.webhooks;
+      Object.assign(config.webhooks, { maxAttempts: 2, retryDelay: 60000 });
+      t.after(() => Object.assign(config.webhooks, { maxAttempts, retryDelay }));
+      await subscribe({ url: 'https://hooks.example.com/all', events: '*' });
+      t.mock.method(getNotifier('webhook'), 'send', async () => {
+        throw Object.assign(new Error('Service unavailable'), { status: 503 });
+      });
+      startDispatcher();
+      
+      const start = Date.now();
+      runWithTenant(tenant, () => emitEvent('cv.deleted', { cvId: cv._id }));
+      
+      let [delivery] = await waitForDeliveries(tenant, found => found.length > 0 && found[0].attempts === 1 && found[0].status === 'pending');
+      assert.equal(delivery.lastError, 'Service unavailable');
+      assert.ok(delivery.nextAttemptAt.getTime() >= start + 60000);
+      
+      // Make the retry due instead of waiting for it
+      await runWithoutTenant(() => WebhookDelivery.updateOne({ _id: delivery._id }, { $set: { nextAttemptAt: new Date() } }));
+      stopDispatcher();
+      startDispatcher();
+      [delivery] = await waitForDeliveries(tenant, found => found[0].status === 'dead');
+      assert.equal(delivery.attempts, 2);
+      assert.equal(delivery.responseStatus, 503);
+      
+      const deadLetters = await request(app, 'GET', '/api/webhooks/dead-letters', { token });
+      assert.deepEqual(deadLetters.body.deliveries.map(entry => entry.id), [delivery._id.toString()]);
+      
+      stopDispatcher();
+      const replay = await request(app, 'POST', `/api/webhooks/deliveries/${delivery._id}/replay`, { token });
+      assert.equal(replay.status, 202);
+      assert.equal(replay.body.delivery.status, 'pending');
+      assert.equal(replay.body.delivery.replayOf, delivery._id.toString());
+      assert.equal(replay.body.delivery.eventId, delivery.eventId);
+    });
+    
+    for (const query of ['limit=abc', 'limit=0', 'limit=101', 'limit=1.5', 'page=abc', 'page=0', 'page=-1']) {
+      it(`are not listed for ${query}`, async () => {
+        const webhook = await subscribe({ url: 'https://hooks.example.com/all', events: '*' });
+        
+        for (const path of [`/api/webhooks/${webhook.id}/deliveries`, '/api/webhooks/dead-letters']) {
+          const response = await request(app, 'GET', `${path}?${query}`, { token });
+          assert.equal(response.status, 400, path);
+        }
+      });
+    }
+    
+    it('are removed when the candidate is erased', async () => {
+      await subscribe({ url: 'https://hooks.example.com/all', events: ['cv.processed'] });
+      runWithTenant(tenant, () => emitEvent('cv.processed', { cvId: cv._id, originalName: 'Jane_Doe_CV.pdf' }));
+      await waitForDeliveries(tenant, found => found.length > 0);
+      
+      const response = await request(app, 'DELETE', `/api/cv/${cv._id}?mode=erase`, { token });
+      assert.equal(response.status, 200);
+      await waitForDeliveries(tenant, found => found.length === 0);
+    });
+    
+    it('do not keep the file names of upload events once the candidate is erased', async () => {
+      await subscribe({ url: 'https://hooks.example.com/all', events: '*' });
+      const text = 'Jane Doe\nSoftware engineer with Node.js and MongoDB experience.';
+      
+      // A single upload and a bulk upload of a second version of the same candidate
+      const form = new FormData();
+      form.append('cv', new Blob([text], { type: 'text/plain' }), 'Jane_Doe_CV.txt');
+      const upload = await request(app, 'POST', '/api/cv/upload', { token, body: form });
+      assert.equal(upload.status, 201);
+      
+      const batch = await runWithTenant(tenant, () => enqueueBatch([{
+        originalname: 'Jane_Doe_Resume.txt',
+        mimetype: 'text/plain',
+        buffer: Buffer.from(text)
+      }]));
+      startWorker();
+      let processed;
+      try {
+        const deadline = Date.now() + 10000;
+        while (!processed && Date.now() < deadline) {
+          const found = await runWithTenant(tenant, async () => await Batch.findById(batch._id));
+          processed = found.files[0].cvId ? found : null;
+          await new Promise(resolve => setTimeout(resolve, 20));
+        }
+      } finally {
+        stopWorker();
+      }
+      assert.ok(processed, 'The bulk upload was not processed');
+      
+      const named = deliveries => deliveries.filter(delivery => /Jane_Doe/.test(JSON.stringify(delivery.payload)));
+      const before = await waitForDeliveries(tenant, found => named(found).length >= 4);
+      assert.ok(named(before).some(delivery => delivery.event === 'cv.uploaded' && !delivery.payload.data.cvId));
+      
+      const response = await request(app, 'DELETE', `/api/cv/${processed.files[0].cvId}?mode=erase`, { token });
+      assert.equal(response.status, 200);
+      
+      const after = await runWithTenant(tenant, async () => await WebhookDelivery.find().lean());
+      assert.deepEqual(named(after), []);
+      assert.deepEqual(getEventsAfter(null).filter(event => /Jane_Doe/.test(JSON.stringify(event))), []);
+    });
+  });
+  
+  it('streams the tenant\'s events of the requested types', async () => {
+    const server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    const controller = new AbortController();
+    
+    try {
+      const response = await fetch(`http://127.0.0.1:${server.address().port}/api/events/stream?events=cv.updated,cv.deleted`, {
+        headers: { Authorization: `Bearer ${token}` },
+        signal: controller.signal
+      });
+      assert.equal(response.status, 200);
+      assert.match(response.headers.get('content-type'), /text\/event-stream/);
+      
+      const other = await createTenant('elsewhere');
+      runWithTenant(other, () => emitEvent('cv.updated', { cvId: 'other' }));
+      runWithTenant(tenant, () => emitEvent('cv.processed', { cvId: cv._id }));
+      runWithTenant(tenant, () => emitEvent('cv.deleted', { cvId: cv._id }));
+      
+      const events = await readEvents(response, 'cv.deleted');
+      assert.deepEqual(events.map(event => [event.event, event.data.cvId]), [['cv.deleted', cv._id.toString()]]);
+    } finally {
+      controller.abort();
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
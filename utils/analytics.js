@@ -0,0 +1,617 @@
+const CV = require('../models/cvModel');
+const Job = require('../models/jobModel');
+const SavedSearch = require('../models/savedSearchModel');
+const AuditEntry = require('../models/auditEntryModel');
+const config = require('../config/config');
+const { skillKey, resolveSkill, normalizeSkills, findSkills, expandSkill } = require('./skillTaxonomy');
+const { buildFilterConditions } = require('./searchFilters');
+const { getCurrentTenant } = require('./tenantScope');
+const { onEvent } = require('./events');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Time buckets of skill trends
+const TREND_INTERVALS = ['week', 'month', 'quarter', 'year'];
+
+// Where skill demand in gap reports comes from
+const DEMAND_SOURCES = ['jobs', 'savedSearches', 'searches'];
+
+// Events after which the candidate pool differs and reports are computed again
+const INVALIDATING_EVENTS = ['cv.processed', 'cv.updated', 'cv.deleted'];
+
+// Most reports kept per tenant
+const CACHE_SIZE = 100;
+
+// Reports by tenant, then by report name and parameters
+const cache = new Map();
+// Bumped on invalidation, so reports computed from the previous pool are not stored
+const generations = new Map();
+
+/**
+ * Cache key of the current tenant
+ * @returns {string}
+ */
+function tenantKey() {
+  const tenant = getCurrentTenant();
+  return tenant ? String(tenant.id) : '';
+}
+
+/**
+ * Get a report from the cache, or compute and cache it
+ * @param {string} name - Report name
+ * @param {Object} params - Report parameters
+ * @param {Function} compute - async () => report
+ * @returns {Promise<Object>} - Report with generatedAt and cached
+ */
+async function cachedReport(name, params, compute) {
+  const tenant = tenantKey();
+  const key = `${name}:${JSON.stringify(params)}`;
+  const reports = cache.get(tenant);
+  const entry = reports && reports.get(key);
+  
+  if (entry && entry.expiresAt > Date.now()) {
+    return { ...entry.report, cached: true };
+  }
+  
+  const generation = generations.get(tenant) || 0;
+  const report = { ...await compute(), generatedAt: new Date() };
+  
+  if ((generations.get(tenant) || 0) === generation) {
+    const tenantReports = cache.get(tenant) || new Map();
+    tenantReports.delete(key);
+    tenantReports.set(key, { report, expiresAt: Date.now() + config.analytics.cacheTtl });
+    if (tenantReports.size > CACHE_SIZE) {
+      tenantReports.delete(tenantReports.keys().next().value);
+    }
+    cache.set(tenant, tenantReports);
+  }
+  
+  return { ...report, cached: false };
+}
+
+/**
+ * Drop the cached reports of a tenant
+ * @param {string} [tenantId] - Tenant ID (defaults to the current tenant)
+ */
+function invalidateAnalytics(tenantId = tenantKey()) {
+  const tenant = tenantId ? String(tenantId) : '';
+  cache.delete(tenant);
+  generations.set(tenant, (generations.get(tenant) || 0) + 1);
+}
+
+/**
+ * Build conditions matching the candidate pool: the latest CV of each candidate,
+ * optionally uploaded in a period or having some skills
+ * @param {Object} [filters] - { from, to, skills }
+ * @returns {Object} MongoDB filter conditions
+ */
+function poolConditions({ from, to, skills } = {}) {
+  const conditions = {
+    ...CV.searchableConditions(),
+    ...(skills && skills.length > 0 ? buildFilterConditions({ skills }) : {})
+  };
+  
+  if (from || to) {
+    conditions.uploadDate = {};
+    if (from) conditions.uploadDate.$gte = from;
+    if (to) conditions.uploadDate.$lte = to;
+  }
+  
+  return conditions;
+}
+
+/**
+ * Canonical name of a skill; skills outside the taxonomy keep their name
+ * @param {string} name - Skill name as stored
+ * @returns {string}
+ */
+function canonicalSkill(name) {
+  return resolveSkill(name) || String(name).trim();
+}
+
+/**
+ * Merge counts of stored skill names by canonical skill
+ * @param {Object[]} rows - [{ _id: stored name, count }]
+ * @returns {Map<string, Object>} - { skill, count, names } by skill key
+ */
+function mergeSkillCounts(rows) {
+  const merged = new Map();
+  for (const { _id, count } of rows) {
+    if (typeof _id !== 'string' || !skillKey(_id)) {
+      continue;
+    }
+    const skill = canonicalSkill(_id);
+    const entry = merged.get(skillKey(skill)) || { skill, count: 0, names: [] };
+    entry.count += count;
+    entry.names.push(_id);
+    merged.set(skillKey(skill), entry);
+  }
+  return merged;
+}
+
+/**
+ * Count candidates per skill
+ * @param {Object} conditions - Pool conditions
+ * @returns {Promise<Map<string, Object>>} - { skill, count, names } by skill key, see mergeSkillCounts
+ */
+async function countSkills(conditions) {
+  const rows = await CV.aggregate([
+    { $match: conditions },
+    { $unwind: '$metadata.skills' },
+    { $group: { _id: '$metadata.skills', count: { $sum: 1 } } }
+  ]);
+  return mergeSkillCounts(rows);
+}
+
+/**
+ * Round a ratio for reports
+ * @param {number} value - Ratio
+ * @returns {number}
+ */
+function round(value) {
+  return Number.isFinite(value) ? Math.round(value * 1000) / 1000 : 0;
+}
+
+/**
+ * Start of the time bucket a date falls into (UTC; weeks start on Monday), like $dateTrunc
+ * @param {Date} date - Date
+ * @param {string} interval - One of TREND_INTERVALS
+ * @returns {Date}
+ */
+function bucketStart(date, interval) {
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth();
+  
+  switch (interval) {
+    case 'week': {
+      const day = new Date(Date.UTC(year, month, date.getUTCDate()));
+      return new Date(day.getTime() - ((day.getUTCDay() + 6) % 7) * DAY);
+    }
+    case 'quarter':
+      return new Date(Date.UTC(year, month - (month % 3), 1));
+    case 'year':
+      return new Date(Date.UTC(year, 0, 1));
+    default:
+      return new Date(Date.UTC(year, month, 1));
+  }
+}
+
+/**
+ * Move a date by a number of intervals
+ * @param {Date} date - Date
+ * @param {string} interval - One of TREND_INTERVALS
+ * @param {number} count - Intervals to add (negative to go back)
+ * @returns {Date}
+ */
+function addIntervals(date, interval, count) {
+  const next = new Date(date);
+  if (interval === 'week') {
+    next.setTime(next.getTime() + count * 7 * DAY);
+  } else {
+    next.setUTCMonth(next.getUTCMonth() + count * { month: 1, quarter: 3, year: 12 }[interval]);
+  }
+  return next;
+}
+
+/**
+ * List the time buckets of a period
+ * @param {string} interval - One of TREND_INTERVALS
+ * @param {Date} from - Start of the period
+ * @param {Date} to - End of the period
+ * @returns {Date[]} - Bucket starts, oldest first
+ */
+function listBuckets(interval, from, to) {
+  const buckets = [];
+  for (let start = bucketStart(from, interval); start <= to; start = addIntervals(start, interval, 1)) {
+    buckets.push(start);
+  }
+  return buckets;
+}
+
+/**
+ * Default period of a skill trend: the current bucket and the eleven before it
+ * @param {string} interval - One of TREND_INTERVALS
+ * @param {Date} to - End of the period
+ * @returns {Date}
+ */
+function defaultTrendStart(interval, to) {
+  return addIntervals(bucketStart(to, interval), interval, -11);
+}
+
+/**
+ * Count candidates per skill and time bucket of their latest upload
+ * @param {Object} params - { interval, from, to, top, skills } where the period defaults to the last
+ *   twelve buckets and skills names the skills to follow (defaults to the top most frequent ones)
+ * @returns {Promise<Object>} - { interval, from, to, buckets: [{ start, candidates }],
+ *   skills: [{ skill, total, counts, shares }] } with counts and shares per bucket
+ */
+function getSkillTrends({ interval, from, to, top, skills = [] }) {
+  const start = from || defaultTrendStart(interval, to || new Date());
+  
+  // Periods up to now are cached as such, not per request time
+  return cachedReport('skillTrends', { interval, from: start, to: to || null, top, skills }, async () => {
+    const end = to || new Date();
+    const starts = listBuckets(interval, start, end);
+    const [{ totals, skillRows }] = await CV.aggregate([
+      { $match: poolConditions({ from: starts[0], to: end }) },
+      {
+        $project: {
+          bucket: { $dateTrunc: { date: '$uploadDate', unit: interval, startOfWeek: 'monday' } },
+          skills: '$metadata.skills'
+        }
+      },
+      {
+        $facet: {
+          totals: [{ $group: { _id: '$bucket', count: { $sum: 1 } } }],
+          skillRows: [
+            { $unwind: '$skills' },
+            { $group: { _id: { bucket: '$bucket', skill: '$skills' }, count: { $sum: 1 } } }
+          ]
+        }
+      }
+    ]).allowDiskUse(true);
+    
+    const bucketIndex = new Map(starts.map((start, index) => [start.getTime(), index]));
+    const candidates = starts.map(() => 0);
+    for (const { _id, count } of totals) {
+      const index = bucketIndex.get(new Date(_id).getTime());
+      if (index !== undefined) candidates[index] = count;
+    }
+    
+    const bySkill = new Map();
+    for (const { _id, count } of skillRows) {
+      const index = bucketIndex.get(new Date(_id.bucket).getTime());
+      if (index === undefined || typeof _id.skill !== 'string' || !skillKey(_id.skill)) {
+        continue;
+      }
+      const skill = canonicalSkill(_id.skill);
+      const entry = bySkill.get(skillKey(skill)) || { skill, total: 0, counts: starts.map(() => 0) };
+      entry.total += count;
+      entry.counts[index] += count;
+      bySkill.set(skillKey(skill), entry);
+    }
+    
+    const followed = skills.length > 0
+      ? normalizeSkills(skills).map(skill => bySkill.get(skillKey(skill)) || { skill, total: 0, counts: starts.map(() => 0) })
+      : [...bySkill.values()].sort((a, b) => b.total - a.total || a.skill.localeCompare(b.skill)).slice(0, top);
+    
+    return {
+      interval,
+      from: starts[0],
+      to: end,
+      buckets: starts.map((start, index) => ({ start, candidates: candidates[index] })),
+      skills: followed.map(entry => ({
+        ...entry,
+        shares: entry.counts.map((count, index) => round(count / candidates[index]))
+      }))
+    };
+  });
+}
+
+/**
+ * Histogram of candidates' years of experience
+ * @param {Object} params - { bucketSize, max, from, to, skills }
+ * @returns {Promise<Object>} - { bucketSize, buckets: [{ from, to, count }], over: { from, count },
+ *   unknown, stats: { count, min, max, avg } } where over counts max years and more and unknown
+ *   candidates without an experience value
+ */
+function getExperienceDistribution({ bucketSize, max, from, to, skills = [] }) {
+  return cachedReport('experience', { bucketSize, max, from, to, skills }, async () => {
+    const boundaries = [];
+    for (let years = 0; years < max; years += bucketSize) {
+      boundaries.push(years);
+    }
+    boundaries.push(max);
+    
+    const hasExperience = { 'metadata.experience': { $type: 'number', $gte: 0 } };
+    const [{ histogram, stats, unknown }] = await CV.aggregate([
+      { $match: poolConditions({ from, to, skills }) },
+      {
+        $facet: {
+          histogram: [
+            { $match: hasExperience },
+            { $bucket: { groupBy: '$metadata.experience', boundaries, default: 'over', output: { count: { $sum: 1 } } } }
+          ],
+          stats: [
+            { $match: hasExperience },
+            {
+              $group: {
+                _id: null,
+                count: { $sum: 1 },
+                min: { $min: '$metadata.experience' },
+                max: { $max: '$metadata.experience' },
+                avg: { $avg: '$metadata.experience' }
+              }
+            }
+          ],
+          unknown: [
+            { $match: { $nor: [hasExperience] } },
+            { $count: 'count' }
+          ]
+        }
+      }
+    ]);
+    
+    const counts = new Map(histogram.map(entry => [entry._id, entry.count]));
+    const summary = stats[0] || { count: 0, min: null, max: null, avg: null };
+    
+    return {
+      bucketSize,
+      buckets: boundaries.slice(0, -1).map((years, index) => ({
+        from: years,
+        to: boundaries[index + 1],
+        count: counts.get(years) || 0
+      })),
+      over: { from: max, count: counts.get('over') || 0 },
+      unknown: unknown.length > 0 ? unknown[0].count : 0,
+      stats: {
+        count: summary.count,
+        min: summary.min,
+        max: summary.max,
+        avg: summary.avg === null ? null : Math.round(summary.avg * 10) / 10
+      }
+    };
+  });
+}
+
+/**
+ * Most common job titles in the pool (titles differing only in case are counted together)
+ * @param {Object} params - { limit, from, to, skills }
+ * @returns {Promise<Object>} - { candidates, withTitle, distinctTitles, titles: [{ title, count, share }] }
+ *   where share is the part of all candidates with the title
+ */
+function getTitleDistribution({ limit, from, to, skills = [] }) {
+  return cachedReport('titles', { limit, from, to, skills }, async () => {
+    const titleGroups = [
+      { $unwind: '$metadata.jobTitles' },
+      { $match: { 'metadata.jobTitles': { $type: 'string', $ne: '' } } },
+      {
+        $group: {
+          _id: { $toLower: { $trim: { input: '$metadata.jobTitles' } } },
+          title: { $first: { $trim: { input: '$metadata.jobTitles' } } },
+          // Candidates listing a title twice in different case are counted once
+          cvs: { $addToSet: '$_id' }
+        }
+      }
+    ];
+    
+    const [{ titles, distinct, total, withTitle }] = await CV.aggregate([
+      { $match: poolConditions({ from, to, skills }) },
+      {
+        $facet: {
+          titles: [
+            ...titleGroups,
+            { $project: { title: 1, count: { $size: '$cvs' } } },
+            { $sort: { count: -1, title: 1 } },
+            { $limit: limit }
+          ],
+          distinct: [...titleGroups, { $count: 'count' }],
+          total: [{ $count: 'count' }],
+          withTitle: [{ $match: { 'metadata.jobTitles.0': { $exists: true } } }, { $count: 'count' }]
+        }
+      }
+    ]).allowDiskUse(true);
+    
+    const candidates = total.length > 0 ? total[0].count : 0;
+    
+    return {
+      candidates,
+      withTitle: withTitle.length > 0 ? withTitle[0].count : 0,
+      distinctTitles: distinct.length > 0 ? distinct[0].count : 0,
+      titles: titles.map(({ title, count }) => ({ title, count, share: round(count / candidates) }))
+    };
+  });
+}
+
+/**
+ * Skills that appear together on CVs. Without a skill, pairs among the ANALYTICS_COOCCURRENCE_SKILLS
+ * most frequent skills are counted; with one, the skills found together with it.
+ * @param {Object} params - { skill, limit, minCount, sortBy, from, to }
+ * @returns {Promise<Object>} - { candidates, skill, pairs: [{ skills, count, jaccard, lift }] } where
+ *   jaccard is the share of candidates with either skill that have both and lift how much more often
+ *   the skills appear together than if they were independent
+ */
+function getSkillCooccurrence({ skill, limit, minCount, sortBy, from, to }) {
+  return cachedReport('cooccurrence', { skill, limit, minCount, sortBy, from, to }, async () => {
+    const conditions = poolConditions({ from, to });
+    const [skillCounts, candidates] = await Promise.all([countSkills(conditions), CV.countDocuments(conditions)]);
+    const pairCounts = new Map();
+    
+    const addPair = (first, second, count) => {
+      const a = canonicalSkill(first);
+      const b = canonicalSkill(second);
+      if (skillKey(a) === skillKey(b)) {
+        return;
+      }
+      const pair = [a, b].sort((x, y) => x.localeCompare(y));
+      const key = pair.map(skillKey).join('|');
+      const entry = pairCounts.get(key) || { skills: pair, count: 0 };
+      entry.count += count;
+      pairCounts.set(key, entry);
+    };
+    
+    if (skill) {
+      const target = skillCounts.get(skillKey(canonicalSkill(skill)));
+      const rows = target
+        ? await CV.aggregate([
+          { $match: { ...conditions, 'metadata.skills': { $in: target.names } } },
+          { $project: { skills: { $setUnion: ['$metadata.skills', []] } } },
+          { $unwind: '$skills' },
+          { $group: { _id: '$skills', count: { $sum: 1 } } }
+        ])
+        : [];
+      for (const { _id, count } of rows) {
+        addPair(target.skill, _id, count);
+      }
+    } else {
+      const names = [...skillCounts.values()]
+        .sort((a, b) => b.count - a.count)
+        .slice(0, config.analytics.cooccurrenceSkills)
+        .flatMap(entry => entry.names);
+      const rows = await CV.aggregate([
+        { $match: conditions },
+        { $project: { skills: { $setIntersection: ['$metadata.skills', { $literal: names }] } } },
+        { $match: { 'skills.1': { $exists: true } } },
+        { $project: { first: '$skills', second: '$skills' } },
+        { $unwind: '$first' },
+        { $unwind: '$second' },
+        { $match: { $expr: { $lt: ['$first', '$second'] } } },
+        { $group: { _id: { first: '$first', second: '$second' }, count: { $sum: 1 } } }
+      ]).allowDiskUse(true);
+      for (const { _id, count } of rows) {
+        addPair(_id.first, _id.second, count);
+      }
+    }
+    
+    const countOf = name => (skillCounts.get(skillKey(name)) || { count: 0 }).count;
+    const pairs = [...pairCounts.values()]
+      .filter(pair => pair.count >= minCount)
+      .map(({ skills: pair, count }) => {
+        const [countA, countB] = pair.map(countOf);
+        return {
+          skills: pair,
+          count,
+          jaccard: round(count / (countA + countB - count)),
+          lift: round((count * candidates) / (countA * countB))
+        };
+      })
+      .sort((a, b) => b[sortBy] - a[sortBy] || b.count - a.count)
+      .slice(0, limit);
+    
+    return { candidates, skill: skill ? canonicalSkill(skill) : null, pairs };
+  });
+}
+
+/**
+ * Canonical skills asked for by a search: its skill filter and taxonomy skills in its query
+ * @param {Object} search - { query, filters }
+ * @returns {string[]}
+ */
+function searchSkills({ query, filters } = {}) {
+  const filtered = filters && filters.skills
+    ? (Array.isArray(filters.skills) ? filters.skills : [filters.skills])
+    : [];
+  return normalizeSkills([...filtered.map(String), ...findSkills(query)]);
+}
+
+/**
+ * Collect skill demand from job descriptions, active saved searches and recent searches
+ * @param {string[]} sources - Subset of DEMAND_SOURCES
+ * @param {number} days - Days of searches taken from the audit log
+ * @returns {Promise<Object>} - { demand: Map of { skill, jobs, niceToHave, savedSearches, searches }, counts }
+ *   where counts has the number of jobs, saved searches and searches read
+ */
+async function collectDemand(sources, days) {
+  const demand = new Map();
+  const counts = {};
+  
+  const add = (skills, field) => {
+    for (const skill of new Set(normalizeSkills(skills))) {
+      const entry = demand.get(skillKey(skill)) || { skill, jobs: 0, niceToHave: 0, savedSearches: 0, searches: 0 };
+      entry[field]++;
+      demand.set(skillKey(skill), entry);
+    }
+  };
+  
+  if (sources.includes('jobs')) {
+    const jobs = await Job.find().select('requirements').lean();
+    for (const { requirements = {} } of jobs) {
+      const required = normalizeSkills(requirements.requiredSkills || []);
+      add(required, 'jobs');
+      // Skills that are both required and nice to have count as required
+      add(normalizeSkills(requirements.niceToHaveSkills || []).filter(skill => !required.includes(skill)), 'niceToHave');
+    }
+    counts.jobs = jobs.length;
+  }
+  
+  if (sources.includes('savedSearches')) {
+    const searches = await SavedSearch.find({ active: true }).select('query filters').lean();
+    searches.forEach(search => add(searchSkills(search), 'savedSearches'));
+    counts.savedSearches = searches.length;
+  }
+  
+  if (sources.includes('searches')) {
+    const entries = await AuditEntry.find({ action: 'search', at: { $gte: new Date(Date.now() - days * DAY) } })
+      .select('details')
+      .sort({ at: -1 })
+      .limit(config.analytics.maxSearches)
+      .lean();
+    // Entries list the skills searched for; older entries hold the query and filters instead
+    entries.forEach(({ details = {} }) => add(details.skills || searchSkills(details), 'searches'));
+    counts.searches = entries.length;
+  }
+  
+  return { demand, counts };
+}
+
+/**
+ * Compare the skills asked for by jobs and searches with the candidates who have them.
+ * Candidates count as having a skill when they list it or a more specific one (Django for Python).
+ * @param {Object} params - { sources, days, limit }
+ * @returns {Promise<Object>} - { candidates, sources, gaps: [{ skill, demand, supply, supplyShare,
+ *   candidatesPerDemand }] } for the most demanded skills, scarcest first
+ */
+function getSkillGaps({ sources, days, limit }) {
+  return cachedReport('gaps', { sources, days, limit }, async () => {
+    const { demand, counts } = await collectDemand(sources, days);
+    const demanded = [...demand.values()]
+      .map(entry => ({ ...entry, total: entry.jobs + entry.niceToHave + entry.savedSearches + entry.searches }))
+      .sort((a, b) => b.total - a.total || a.skill.localeCompare(b.skill))
+      .slice(0, limit);
+    
+    const supplyCounts = { total: { $sum: 1 } };
+    demanded.forEach((entry, index) => {
+      const names = expandSkill(entry.skill).map(name => name.toLowerCase());
+      supplyCounts[`skill${index}`] = {
+        $sum: { $cond: [{ $gt: [{ $size: { $setIntersection: ['$skills', { $literal: names }] } }, 0] }, 1, 0] }
+      };
+    });
+    
+    const [supply = { total: 0 }] = await CV.aggregate([
+      { $match: poolConditions() },
+      {
+        $project: {
+          skills: { $map: { input: { $ifNull: ['$metadata.skills', []] }, as: 'skill', in: { $toLower: '$$skill' } } }
+        }
+      },
+      { $group: { _id: null, ...supplyCounts } }
+    ]);
+    
+    const gaps = demanded.map(({ skill, jobs, niceToHave, savedSearches, searches, total }, index) => {
+      const candidates = supply[`skill${index}`] || 0;
+      return {
+        skill,
+        demand: { total, jobs, niceToHave, savedSearches, searches },
+        supply: candidates,
+        supplyShare: round(candidates / supply.total),
+        candidatesPerDemand: round(candidates / total)
+      };
+    });
+    
+    return {
+      candidates: supply.total,
+      sources: counts,
+      gaps: gaps.sort((a, b) => a.candidatesPerDemand - b.candidatesPerDemand || b.demand.total - a.demand.total)
+    };
+  });
+}
+
+// New, changed and removed CVs change the pool, so the tenant's reports are computed again
+onEvent(event => {
+  if (INVALIDATING_EVENTS.includes(event.event)) {
+    invalidateAnalytics(event.tenantId);
+  }
+});
+
+module.exports = {
+  TREND_INTERVALS,
+  DEMAND_SOURCES,
+  listBuckets,
+  defaultTrendStart,
+  getSkillTrends,
+  getExperienceDistribution,
+  getTitleDistribution,
+  getSkillCooccurrence,
+  getSkillGaps,
+  invalidateAnalytics
+};
@@ -0,0 +1,150 @@
+const fs = require('fs');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { getTenantConfig } = require('./tenantScope');
+const { detectExtractor } = require('./extractors');
+
+const TOTAL_SIZE_ERROR = 'The upload exceeds the maximum total size of its files';
+
+/**
+ * Check whether a buffer is a ZIP archive that is not itself a supported document (e.g. DOCX)
+ * @param {Buffer} buffer - File contents
+ * @param {Object} file - File info ({ mimetype, originalname })
+ * @returns {boolean}
+ */
+function isZipArchive(buffer, file = {}) {
+  return buffer.length > 4 &&
+    buffer.readUInt32LE(0) === 0x04034b50 &&
+    !detectExtractor(buffer, file);
+}
+
+/**
+ * Check whether an archive entry should be ignored (folders, macOS metadata, hidden files)
+ * @param {Object} entry - adm-zip entry
+ * @returns {boolean}
+ */
+function isIgnoredEntry(entry) {
+  const basename = path.basename(entry.entryName);
+  return entry.isDirectory ||
+    entry.entryName.startsWith('__MACOSX/') ||
+    basename.startsWith('.');
+}
+
+/**
+ * Remove the temporary files multer wrote for a bulk upload
+ * @param {Object[]} [uploads] - Multer files; those without a path were kept in memory
+ * @returns {Promise<void>}
+ */
+async function removeUploadedFiles(uploads = []) {
+  await Promise.all(uploads
+    .filter(upload => upload.path)
+    .map(upload => fs.promises.rm(upload.path, { force: true })
+      .catch(error => console.error(`Removing uploaded file ${upload.path} failed:`, error.message))));
+}
+
+/**
+ * Expand uploaded files, unpacking ZIP archives into their contained CVs. Files multer wrote
+ * to disk are read one at a time, so only the current archive and the accepted files are in memory.
+ * @param {Object[]} uploads - Multer files ({ buffer or path, originalname, mimetype })
+ * @returns {{files: Object[], skipped: Object[]}} - Files to ingest and rejected files with reasons
+ */
+function expandUploads(uploads) {
+  // The tenant's upload limits
+  const limits = getTenantConfig('upload');
+  const files = [];
+  const skipped = [];
+  // Bytes of the files accepted so far, to stop archives that inflate far beyond their own size
+  let totalSize = 0;
+  
+  /**
+   * Reject a file with the reason
+   * @param {Object} file - File ({ originalname, archive })
+   * @param {string} error - Reason
+   */
+  function skip(file, error) {
+    skipped.push({ originalname: file.originalname, archive: file.archive, error });
+  }
+  
+  /**
+   * Accept a file unless it is too large or of an unsupported type
+   * @param {Object} file - File with its buffer
+   */
+  function addFile(file) {
+    if (file.buffer.length > limits.maxSize) {
+      skip(file, 'The file exceeds the maximum allowed size');
+    } else if (totalSize + file.buffer.length > limits.maxExtractedSize) {
+      skip(file, TOTAL_SIZE_ERROR);
+    } else if (!detectExtractor(file.buffer, file)) {
+      skip(file, 'Unsupported file type');
+    } else {
+      totalSize += file.buffer.length;
+      files.push(file);
+    }
+  }
+  
+  for (const upload of uploads) {
+    let buffer = upload.buffer;
+    if (!buffer) {
+      try {
+        buffer = fs.readFileSync(upload.path);
+      } catch (error) {
+        skip(upload, `Could not read the uploaded file: ${error.message}`);
+        continue;
+      }
+    }
+    
+    if (!isZipArchive(buffer, upload)) {
+      addFile({ originalname: upload.originalname, mimetype: upload.mimetype, buffer });
+      continue;
+    }
+    
+    let entries;
+    try {
+      entries = new AdmZip(buffer).getEntries().filter(entry => !isIgnoredEntry(entry));
+    } catch (error) {
+      skip(upload, `Invalid ZIP archive: ${error.message}`);
+      continue;
+    }
+    
+    if (entries.length > limits.maxArchiveEntries) {
+      skip(upload, `Archive contains ${entries.length} files, the maximum is ${limits.maxArchiveEntries}`);
+      continue;
+    }
+    
+    for (const entry of entries) {
+      const file = {
+        originalname: path.basename(entry.entryName),
+        mimetype: 'application/octet-stream',
+        archive: upload.originalname
+      };
+      
+      // adm-zip never inflates past the declared size, so checking it first bounds the memory used
+      if (entry.header.size > limits.maxSize) {
+        skip(file, 'The file exceeds the maximum allowed size');
+        continue;
+      }
+      if (totalSize + entry.header.size > limits.maxExtractedSize) {
+        skip(file, TOTAL_SIZE_ERROR);
+        continue;
+      }
+      
+      try {
+        file.buffer = entry.getData();
+      } catch (error) {
+        skip(file, `Could not extract file: ${error.message}`);
+        continue;
+      }
+      
+      // The total counts the inflated bytes, not the sizes the archive declares
+      addFile(file);
+    }
+  }
+  
+  return { files, skipped };
+}
+
+module.exports = {
+  expandUploads,
+  removeUploadedFiles,
+  isZipArchive
+};
@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+const AuditEntry = require('../models/auditEntryModel');
+const { resolveSkill, findSkills } = require('./skillTaxonomy');
+
+// Actions that can be recorded (defined on the audit entry schema)
+const AUDIT_ACTIONS = AuditEntry.schema.path('action').enumValues;
+
+/**
+ * Describe who made a request, or a background job when there is no request
+ * @param {Object|null} req - Express request object
+ * @param {string} [system] - Name of the background job (e.g. 'retention')
+ * @returns {Object} - { type, id, name, role }
+ */
+function getAuditActor(req, system = 'system') {
+  if (!req || !req.user) {
+    return { type: 'system', name: system };
+  }
+  
+  const { type, id, name, role } = req.user;
+  return { type, id, name, role };
+}
+
+/**
+ * Append an entry to the audit log in the current tenant. Recording happens in the background
+ * and never fails the request; failures are logged.
+ * @param {Object|null} req - Express request object (null for background jobs)
+ * @param {string} action - One of AUDIT_ACTIONS
+ * @param {Object} [entry] - { cvIds, details, system } where system names the background job
+ */
+function recordAudit(req, action, { cvIds = [], details, system } = {}) {
+  if (!AUDIT_ACTIONS.includes(action)) {
+    throw new Error(`Unknown audit action: ${action}`);
+  }
+  
+  AuditEntry.create({
+    action,
+    actor: getAuditActor(req, system),
+    cvIds: cvIds.filter(id => mongoose.isValidObjectId(id)),
+    // Serialized so ObjectIds and dates are stored as plain values
+    details: details === undefined ? undefined : JSON.parse(JSON.stringify(details)),
+    ip: req ? req.ip : undefined
+  }).catch(error => console.error(`Failed to record audit entry (${action}):`, error.message));
+}
+
+/**
+ * Describe a search for the audit log without its query text or filter values, which can hold
+ * names and contact details of candidates and would outlive their erasure
+ * @param {Object} search - { query, filters }
+ * @returns {Object} - { skills, filters } with the taxonomy skills asked for (skill filter and query)
+ *   and the names of the filters used
+ */
+function describeSearch({ query, filters } = {}) {
+  const filtered = filters && filters.skills
+    ? (Array.isArray(filters.skills) ? filters.skills : [filters.skills])
+    : [];
+  const skills = new Set([...filtered.map(skill => resolveSkill(String(skill))).filter(Boolean), ...findSkills(query)]);
+  
+  return {
+    skills: [...skills],
+    filters: filters && typeof filters === 'object' ? Object.keys(filters) : []
+  };
+}
+
+/**
+ * Build audit log query conditions from request query parameters
+ * @param {Object} query - { cvId, actor, action, from, to }
+ * @returns {Object} MongoDB filter conditions
+ */
+function buildAuditConditions({ cvId, actor, action, from, to } = {}) {
+  const conditions = {};
+  
+  if (cvId) {
+    conditions.cvIds = cvId;
+  }
+  if (actor) {
+    conditions['actor.name'] = actor;
+  }
+  if (action) {
+    conditions.action = { $in: String(action).split(',').map(value => value.trim()) };
+  }
+  if (from || to) {
+    conditions.at = {};
+    if (from) conditions.at.$gte = new Date(from);
+    if (to) conditions.at.$lte = new Date(to);
+  }
+  
+  return conditions;
+}
+
+module.exports = {
+  AUDIT_ACTIONS,
+  recordAudit,
+  describeSearch,
+  buildAuditConditions
+};
@@ -0,0 +1,214 @@
+const crypto = require('crypto');
+const config = require('../config/config');
+
+// Roles from least to most privileged; each role can do everything the roles before it can
+const ROLES = ['viewer', 'recruiter', 'admin'];
+
+// Prefix of generated API keys, so leaked keys are easy to recognize
+const API_KEY_PREFIX = 'cvp';
+
+const SCRYPT_KEY_LENGTH = 64;
+
+let generatedSecret = null;
+
+/**
+ * Whether a role is at least as privileged as another
+ * @param {string} role - Role of the caller
+ * @param {string} required - Minimum role
+ * @returns {boolean}
+ */
+function roleAtLeast(role, required) {
+  return ROLES.indexOf(role) !== -1 && ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+/**
+ * Whether the authenticated caller has at least the given role
+ * @param {Object} user - req.user
+ * @param {string} role - Minimum role
+ * @returns {boolean}
+ */
+function hasRole(user, role) {
+  return Boolean(user) && roleAtLeast(user.role, role);
+}
+
+/**
+ * Whether the caller administers the whole deployment rather than one tenant.
+ * Platform admins manage tenants and the shared skill taxonomy and can act in any tenant.
+ * @param {Object} user - req.user
+ * @returns {boolean}
+ */
+function isPlatformAdmin(user) {
+  return hasRole(user, 'admin') && !user.tenantId;
+}
+
+/**
+ * Name recorded as the author of a change (correctedBy, requestedBy, ...)
+ * @param {Object} user - req.user
+ * @param {string} [fallback] - Name given in the request, used when auth is disabled
+ * @returns {string|undefined}
+ */
+function getActorName(user, fallback) {
+  return user && user.type !== 'anonymous' ? user.name : fallback;
+}
+
+/**
+ * Hash a password with scrypt and a random salt
+ * @param {string} password - Plain text password
+ * @returns {Promise<string>} - 'scrypt$salt$hash' (hex)
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, SCRYPT_KEY_LENGTH, (error, key) => (error ? reject(error) : resolve(key)));
+  });
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+/**
+ * Check a password against a stored hash
+ * @param {string} password - Plain text password
+ * @param {string} stored - Result of hashPassword
+ * @returns {Promise<boolean>}
+ */
+async function verifyPassword(password, stored) {
+  const [scheme, saltHex, hashHex] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !saltHex || !hashHex) {
+    return false;
+  }
+  
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = await new Promise((resolve, reject) => {
+    crypto.scrypt(String(password), Buffer.from(saltHex, 'hex'), expected.length, (error, key) => (error ? reject(error) : resolve(key)));
+  });
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Hash an API key for storage. Keys are long random strings, so a plain SHA-256 is enough.
+ * @param {string} key - API key
+ * @returns {string} - Hex digest
+ */
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+/**
+ * Generate a new API key
+ * @returns {Object} - { key, prefix, keyHash } - only keyHash and prefix are stored
+ */
+function generateApiKey() {
+  const prefix = crypto.randomBytes(4).toString('hex');
+  const key = `${API_KEY_PREFIX}_${prefix}_${crypto.randomBytes(24).toString('hex')}`;
+  return { key, prefix, keyHash: hashApiKey(key) };
+}
+
+/**
+ * Get the identifying prefix of an API key
+ * @param {string} key - API key
+ * @returns {string|null} - Prefix, or null if the key is malformed
+ */
+function getApiKeyPrefix(key) {
+  const parts = String(key || '').split('_');
+  return parts.length === 3 && parts[0] === API_KEY_PREFIX ? parts[1] : null;
+}
+
+/**
+ * Compare two hex digests in constant time
+ * @param {string} a - Digest
+ * @param {string} b - Digest
+ * @returns {boolean}
+ */
+function digestsEqual(a, b) {
+  const left = Buffer.from(String(a), 'hex');
+  const right = Buffer.from(String(b), 'hex');
+  return left.length === right.length && left.length > 0 && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Secret used to sign session tokens. Without JWT_SECRET a random secret is used,
+ * so sessions end when the process restarts.
+ * @returns {string}
+ */
+function getJwtSecret() {
+  if (config.auth.jwtSecret) {
+    return config.auth.jwtSecret;
+  }
+  if (!generatedSecret) {
+    console.warn('JWT_SECRET is not set, using a random secret (sessions end on restart)');
+    generatedSecret = crypto.randomBytes(32).toString('hex');
+  }
+  return generatedSecret;
+}
+
+/**
+ * Create an HMAC-SHA256 signature of a token's header and payload
+ * @param {string} input - 'header.payload'
+ * @returns {string} - base64url signature
+ */
+function signTokenInput(input) {
+  return crypto.createHmac('sha256', getJwtSecret()).update(input).digest('base64url');
+}
+
+/**
+ * Issue a session token (HS256 JWT)
+ * @param {Object} claims - Token claims (sub, role, ...)
+ * @param {number} [expiresIn] - Lifetime in seconds
+ * @returns {Object} - { token, expiresAt }
+ */
+function signToken(claims, expiresIn = config.auth.jwtExpiresIn) {
+  const issuedAt = Math.floor(Date.now() / 1000);
+  const payload = { ...claims, iat: issuedAt, exp: issuedAt + expiresIn };
+  const header = Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT' })).toString('base64url');
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  
+  return {
+    token: `${header}.${body}.${signTokenInput(`${header}.${body}`)}`,
+    expiresAt: new Date(payload.exp * 1000)
+  };
+}
+
+/**
+ * Verify a session token
+ * @param {string} token - JWT
+ * @returns {Object|null} - Claims, or null if the token is invalid or expired
+ */
+function verifyToken(token) {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3) {
+    return null;
+  }
+  
+  const [header, body, signature] = parts;
+  const expected = Buffer.from(signTokenInput(`${header}.${body}`));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+  
+  try {
+    const { alg } = JSON.parse(Buffer.from(header, 'base64url').toString('utf8'));
+    const claims = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    if (alg !== 'HS256' || !claims.exp || claims.exp * 1000 <= Date.now()) {
+      return null;
+    }
+    return claims;
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  ROLES,
+  roleAtLeast,
+  hasRole,
+  isPlatformAdmin,
+  getActorName,
+  hashPassword,
+  verifyPassword,
+  hashApiKey,
+  generateApiKey,
+  getApiKeyPrefix,
+  digestsEqual,
+  signToken,
+  verifyToken
+};
@@ -0,0 +1,159 @@
+const CV = require('../models/cvModel');
+
+/**
+ * Get the candidate ID of a CV (older documents use their own ID)
+ * @param {Object} cv - CV document
+ * @returns {string} - Candidate ID as string
+ */
+function getCandidateId(cv) {
+  return (cv.candidateId || cv._id).toString();
+}
+
+/**
+ * Conditions matching all versions of a candidate (older root documents have no candidateId)
+ * @param {string|Object} candidateId - Candidate ID
+ * @returns {Object} MongoDB filter conditions
+ */
+function candidateConditions(candidateId) {
+  return { $or: [{ candidateId }, { _id: candidateId, candidateId: null }] };
+}
+
+/**
+ * Renumber the versions of a candidate by upload date and mark the newest as latest
+ * @param {string|Object} candidateId - Candidate ID
+ * @returns {Promise<number>} - Number of versions
+ */
+async function renumberVersions(candidateId) {
+  const versions = await CV.find(candidateConditions(candidateId))
+    .select('_id uploadDate')
+    .sort({ uploadDate: 1, _id: 1 })
+    .lean();
+  
+  if (versions.length === 0) {
+    return 0;
+  }
+  
+  await CV.bulkWrite(versions.map((cv, index) => ({
+    updateOne: {
+      filter: { _id: cv._id },
+      update: {
+        $set: {
+          candidateId,
+          version: index + 1,
+          isLatestVersion: index === versions.length - 1
+        }
+      }
+    }
+  })));
+  
+  return versions.length;
+}
+
+/**
+ * Attach a new, unsaved CV to an existing candidate as their newest version
+ * @param {Object} cv - New CV document (not yet saved)
+ * @param {Object} duplicate - Result of findDuplicate
+ */
+function linkAsNewVersion(cv, duplicate) {
+  cv.candidateId = getCandidateId(duplicate.cv);
+  cv.isLatestVersion = true;
+  // Pipeline stage, notes, tags and shortlists belong to the person, not the file
+  if (duplicate.cv.recruiting) {
+    cv.recruiting = duplicate.cv.recruiting;
+  }
+  cv.duplicateMatch = {
+    cvId: duplicate.cv._id,
+    matchedBy: duplicate.matchedBy,
+    similarity: duplicate.similarity,
+    manual: false,
+    linkedAt: new Date()
+  };
+}
+
+/**
+ * Merge a CV (with all its versions) into another CV's candidate
+ * @param {string} sourceId - ID of the CV to merge
+ * @param {string} targetId - ID of a CV of the candidate to merge into
+ * @returns {Promise<string|null>} - Resulting candidate ID, or null if a CV was not found
+ */
+async function mergeCandidates(sourceId, targetId) {
+  const [source, target] = await Promise.all([
+    CV.findById(sourceId).select('_id candidateId recruiting').lean(),
+    CV.findById(targetId).select('_id candidateId recruiting').lean()
+  ]);
+  
+  if (!source || !target) {
+    return null;
+  }
+  
+  const sourceCandidateId = getCandidateId(source);
+  const targetCandidateId = getCandidateId(target);
+  
+  if (sourceCandidateId !== targetCandidateId) {
+    // Required here because the recruiting helpers build on this module
+    const { describeRecruiting, combineRecruiting } = require('./recruiting');
+    const recruiting = combineRecruiting(describeRecruiting(target), describeRecruiting(source));
+    
+    await CV.updateMany(
+      candidateConditions(sourceCandidateId),
+      {
+        $set: {
+          candidateId: targetCandidateId,
+          duplicateMatch: { cvId: target._id, matchedBy: ['manual'], manual: true, linkedAt: new Date() }
+        }
+      }
+    );
+    await CV.updateMany(candidateConditions(targetCandidateId), { $set: { recruiting } });
+  }
+  
+  await renumberVersions(targetCandidateId);
+  return targetCandidateId;
+}
+
+/**
+ * Detach a CV from its candidate so it becomes a candidate of its own
+ * @param {string} cvId - ID of the CV to detach
+ * @returns {Promise<Object|null>} - { candidateId, previousCandidateId } or null if not found
+ */
+async function unmergeCV(cvId) {
+  const cv = await CV.findById(cvId).select('_id candidateId').lean();
+  
+  if (!cv) {
+    return null;
+  }
+  
+  const previousCandidateId = getCandidateId(cv);
+  const remaining = await CV.find({ candidateId: previousCandidateId, _id: { $ne: cv._id } })
+    .select('_id')
+    .sort({ uploadDate: 1, _id: 1 })
+    .lean();
+  
+  await CV.updateOne(
+    { _id: cv._id },
+    { $set: { candidateId: cv._id, version: 1, isLatestVersion: true }, $unset: { duplicateMatch: 1 } }
+  );
+  
+  // If the detached CV was the candidate root, the oldest remaining version becomes the new root
+  if (remaining.length > 0) {
+    let remainingCandidateId = previousCandidateId;
+    if (previousCandidateId === cv._id.toString()) {
+      remainingCandidateId = remaining[0]._id.toString();
+      await CV.updateMany(
+        { _id: { $in: remaining.map(item => item._id) } },
+        { $set: { candidateId: remainingCandidateId } }
+      );
+    }
+    await renumberVersions(remainingCandidateId);
+  }
+  
+  return { candidateId: cv._id.toString(), previousCandidateId };
+}
+
+module.exports = {
+  getCandidateId,
+  candidateConditions,
+  renumberVersions,
+  linkAsNewVersion,
+  mergeCandidates,
+  unmergeCV
+};
@@ -0,0 +1,332 @@
+const Job = require('../models/jobModel');
+const { extractJobRequirements } = require('./cvParser');
+const {
+  generateEmbeddings,
+  getEmbeddingInfo,
+  analyzeJobDescription,
+  compareCandidates
+} = require('./openaiService');
+const { cosineSimilarity } = require('./vectorSearch');
+const { normalizeRequirements, scoreCandidate } = require('./jobMatcher');
+const { skillKey, normalizeSkills, withImpliedSkills } = require('./skillTaxonomy');
+const { getRecruiting } = require('./recruiting');
+
+// Candidates are labeled A, B, C... in AI prompts, so no names are needed
+const LABELS = 'ABCDEFGHIJ'.split('');
+
+const MAX_COMPARED_CVS = LABELS.length;
+
+// Degree levels recognized in education entries, highest first
+const DEGREE_LEVELS = [
+  { level: 'doctorate', pattern: /\b(ph\.?\s?d|doctorate|doctor of)\b/i },
+  { level: 'master', pattern: /\b(master|m\.?\s?sc|m\.?\s?a|mba|m\.?\s?eng|m\.?\s?s|diplom-\w+|dipl\.-?\s?ing|magister)\b/i },
+  { level: 'bachelor', pattern: /\b(bachelor|b\.?\s?sc|b\.?\s?a|b\.?\s?eng|b\.?\s?s)\b/i },
+  { level: 'diploma', pattern: /\b(diploma|associate|certificate|apprenticeship|ausbildung)\b/i }
+];
+
+/**
+ * Line up the values of several candidates: one row per value with a column per candidate
+ * @param {string[][]} lists - Values of each candidate, in candidate order
+ * @param {Function} [keyOf] - Key under which values count as the same
+ * @returns {Object} - { rows: [{ value, present, count }], shared, unique } with unique values per candidate
+ */
+function alignValues(lists, keyOf = value => value.trim().toLowerCase()) {
+  const rows = new Map();
+  
+  lists.forEach((values, column) => {
+    for (const value of values) {
+      const key = keyOf(value);
+      if (!key) {
+        continue;
+      }
+      if (!rows.has(key)) {
+        rows.set(key, { value, present: lists.map(() => false), count: 0 });
+      }
+      const row = rows.get(key);
+      if (!row.present[column]) {
+        row.present[column] = true;
+        row.count++;
+      }
+    }
+  });
+  
+  const sorted = [...rows.values()].sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+  return {
+    rows: sorted,
+    shared: sorted.filter(row => row.count === lists.length).map(row => row.value),
+    unique: lists.map((values, column) => sorted
+      .filter(row => row.count === 1 && row.present[column])
+      .map(row => row.value))
+  };
+}
+
+/**
+ * Line up the skills of several candidates, marking skills the job asks for.
+ * A candidate with 'Django' also has 'Python'; such skills are flagged as implied.
+ * @param {Object[]} cvs - CVs with metadata
+ * @param {Object|null} requirements - Job requirements
+ * @returns {Object} - { rows: [{ value, present, implied, count, required, niceToHave }], shared, unique }
+ */
+function alignSkills(cvs, requirements) {
+  const listed = cvs.map(cv => normalizeSkills((cv.metadata && cv.metadata.skills) || []));
+  const implied = listed.map(skills => new Set(withImpliedSkills(skills).map(skillKey)));
+  const required = normalizeSkills((requirements && requirements.requiredSkills) || []);
+  const niceToHave = normalizeSkills((requirements && requirements.niceToHaveSkills) || []);
+  
+  // Skills the job asks for get a row even when no candidate has them
+  const aligned = alignValues([...listed, [...required, ...niceToHave]], skillKey);
+  const requiredKeys = new Set(required.map(skillKey));
+  const niceToHaveKeys = new Set(niceToHave.map(skillKey));
+  
+  const rows = aligned.rows
+    .map(row => {
+      const key = skillKey(row.value);
+      const present = listed.map((skills, column) => row.present[column] || implied[column].has(key));
+      return {
+        value: row.value,
+        present,
+        implied: present.map((has, column) => has && !row.present[column]),
+        count: present.filter(Boolean).length,
+        required: requiredKeys.has(key),
+        niceToHave: niceToHaveKeys.has(key)
+      };
+    })
+    .sort((a, b) => Number(b.required) - Number(a.required) ||
+      Number(b.niceToHave) - Number(a.niceToHave) ||
+      b.count - a.count ||
+      a.value.localeCompare(b.value));
+  
+  return {
+    rows,
+    shared: rows.filter(row => row.count === cvs.length).map(row => row.value),
+    unique: listed.map((skills, column) => rows
+      .filter(row => row.count === 1 && row.present[column] && !row.implied[column])
+      .map(row => row.value))
+  };
+}
+
+/**
+ * Recognize the degree level of an education entry
+ * @param {string} text - Degree or education summary
+ * @returns {string|null} - 'doctorate', 'master', 'bachelor', 'diploma' or null
+ */
+function degreeLevel(text) {
+  const match = DEGREE_LEVELS.find(({ pattern }) => pattern.test(text || ''));
+  return match ? match.level : null;
+}
+
+/**
+ * Describe the education entries of a CV, from the structured history when there is one
+ * @param {Object} metadata - CV metadata
+ * @returns {Object[]} - [{ text, level }]
+ */
+function describeEducation(metadata) {
+  const history = metadata.educationHistory || [];
+  const entries = history.length > 0
+    ? history.map(entry => [
+      [entry.degree, entry.field].filter(Boolean).join(' in '),
+      entry.institution,
+      entry.year
+    ].filter(Boolean).join(', '))
+    : metadata.education || [];
+  
+  return entries.filter(Boolean).map(text => ({ text, level: degreeLevel(text) }));
+}
+
+/**
+ * Line up the education of several candidates by degree level
+ * @param {Object[]} cvs - CVs with metadata
+ * @returns {Object} - { levels (aligned rows), highest, entries } with highest and entries per candidate
+ */
+function alignEducation(cvs) {
+  const entries = cvs.map(cv => describeEducation(cv.metadata || {}));
+  const order = DEGREE_LEVELS.map(({ level }) => level);
+  const levels = alignValues(entries.map(list => list.map(entry => entry.level).filter(Boolean)));
+  levels.rows.sort((a, b) => order.indexOf(a.value) - order.indexOf(b.value));
+  
+  return {
+    levels,
+    highest: entries.map(list => order.find(level => list.some(entry => entry.level === level)) || null),
+    entries: entries.map(list => list.map(entry => entry.text))
+  };
+}
+
+/**
+ * Line up the experience of several candidates
+ * @param {Object[]} cvs - CVs with metadata
+ * @param {Object|null} requirements - Job requirements
+ * @returns {Object} - { years, required, meetsRequirement, positions, employers } with a column per candidate
+ */
+function alignExperience(cvs, requirements) {
+  const years = cvs.map(cv => {
+    const value = cv.metadata && cv.metadata.experience;
+    return typeof value === 'number' && Number.isFinite(value) ? value : null;
+  });
+  const histories = cvs.map(cv => (cv.metadata && cv.metadata.workHistory) || []);
+  const required = requirements ? requirements.minExperience || 0 : null;
+  
+  return {
+    years,
+    required,
+    meetsRequirement: required === null ? null : years.map(value => (value || 0) >= required),
+    // Newest first, like the stored work history
+    positions: histories.map(history => history.slice(0, 10).map(entry => ({
+      title: entry.title || null,
+      employer: entry.employer || null,
+      startDate: entry.startDate || null,
+      endDate: entry.endDate || null,
+      current: Boolean(entry.current)
+    }))),
+    employers: alignValues(histories.map(history => history.map(entry => entry.employer).filter(Boolean)))
+  };
+}
+
+/**
+ * Pairwise embedding similarity of CVs. Vectors from different models are not comparable,
+ * so those pairs (and CVs without embeddings) get null.
+ * @param {Object[]} cvs - CVs with embeddings, embeddingProvider and embeddingModel
+ * @returns {number[][]} - Symmetric matrix in candidate order
+ */
+function similarityMatrix(cvs) {
+  const tags = cvs.map(cv => (cv.embeddings && cv.embeddings.length > 0
+    ? `${cv.embeddingProvider}/${cv.embeddingModel}`
+    : null));
+  
+  return cvs.map((a, row) => cvs.map((b, column) => {
+    if (!tags[row] || tags[row] !== tags[column]) {
+      return null;
+    }
+    return row === column ? 1 : Math.round(cosineSimilarity(a.embeddings, b.embeddings) * 10000) / 10000;
+  }));
+}
+
+/**
+ * Get the job to compare candidates against: a stored job, or a job description that is analyzed
+ * (and embedded) on the fly
+ * @param {Object} options - { jobId, jobDescription, jobTitle }
+ * @returns {Promise<Object|null>} - { id, title, requirements, embedding, embeddingTag }, or null if the stored job was not found
+ */
+async function resolveJob({ jobId, jobDescription, jobTitle }) {
+  if (jobId) {
+    const job = await Job.findById(jobId).lean();
+    return job && {
+      id: job._id,
+      title: job.title,
+      requirements: job.requirements,
+      embedding: job.embeddings || [],
+      embeddingTag: `${job.embeddingProvider}/${job.embeddingModel}`
+    };
+  }
+  
+  const text = jobTitle ? `${jobTitle}\n${jobDescription}` : jobDescription;
+  const requirements = normalizeRequirements(await analyzeJobDescription(text), extractJobRequirements(text));
+  
+  let embedding = [];
+  try {
+    embedding = await generateEmbeddings(text);
+  } catch (error) {
+    console.error('Embedding generation failed:', error.message);
+  }
+  
+  const { provider, model } = getEmbeddingInfo();
+  return { id: null, title: jobTitle || null, requirements, embedding, embeddingTag: `${provider}/${model}` };
+}
+
+/**
+ * Keep the well-formed parts of an AI comparison
+ * @param {Object|null} raw - Result of compareCandidates
+ * @param {Object[]} candidates - [{ label, id }]
+ * @returns {Object|null} - { summary, candidates: [{ label, id, strengths, concerns }], recommendation }
+ */
+function normalizeSummary(raw, candidates) {
+  if (!raw || typeof raw.summary !== 'string' || !raw.summary.trim()) {
+    return null;
+  }
+  
+  const strings = values => (Array.isArray(values) ? values : [])
+    .filter(value => typeof value === 'string' && value.trim())
+    .map(value => value.trim());
+  const byLabel = new Map((Array.isArray(raw.candidates) ? raw.candidates : [])
+    .filter(entry => entry && typeof entry.label === 'string')
+    .map(entry => [entry.label.trim().replace(/^candidate\s+/i, '').toUpperCase(), entry]));
+  
+  return {
+    summary: raw.summary.trim(),
+    candidates: candidates.map(({ label, id }) => {
+      const entry = byLabel.get(label) || {};
+      return { label, id, strengths: strings(entry.strengths), concerns: strings(entry.concerns) };
+    }),
+    recommendation: typeof raw.recommendation === 'string' && raw.recommendation.trim()
+      ? raw.recommendation.trim()
+      : null
+  };
+}
+
+/**
+ * Compare CVs side by side: aligned skills, titles, education and experience, pairwise embedding
+ * similarity and, with a job, each candidate's match score. The AI summary only receives
+ * structured metadata without contact details, under the labels A, B, C...
+ * @param {Object[]} cvs - CVs (lean, with metadata and embeddings) in the requested order
+ * @param {Object} [options] - { job (from resolveJob), summary }
+ * @returns {Promise<Object>} - Comparison
+ */
+async function compareCVs(cvs, { job = null, summary = false } = {}) {
+  const requirements = job ? job.requirements : null;
+  const recruiting = await Promise.all(cvs.map(cv => getRecruiting(cv._id)));
+  
+  const candidates = cvs.map((cv, index) => {
+    const candidate = {
+      label: LABELS[index],
+      id: cv._id,
+      candidateId: cv.candidateId || cv._id,
+      version: cv.version,
+      originalName: cv.originalName,
+      uploadDate: cv.uploadDate,
+      location: (cv.metadata && cv.metadata.location) || null,
+      stage: recruiting[index] ? recruiting[index].stage : 'new'
+    };
+    
+    if (job) {
+      const cvTag = `${cv.embeddingProvider}/${cv.embeddingModel}`;
+      const vectorScore = job.embedding.length > 0 && cvTag === job.embeddingTag
+        ? cosineSimilarity(job.embedding, cv.embeddings)
+        : 0;
+      const { score, structuredScore, breakdown } = scoreCandidate(cv, requirements, vectorScore);
+      candidate.jobMatch = {
+        score,
+        vectorScore: Math.round(vectorScore * 10000) / 10000,
+        structuredScore,
+        scores: breakdown.scores
+      };
+    }
+    
+    return candidate;
+  });
+  
+  const comparison = {
+    job: job && { id: job.id, title: job.title, requirements },
+    candidates,
+    skills: alignSkills(cvs, requirements),
+    titles: alignValues(cvs.map(cv => (cv.metadata && cv.metadata.jobTitles) || [])),
+    experience: alignExperience(cvs, requirements),
+    education: alignEducation(cvs),
+    similarity: similarityMatrix(cvs)
+  };
+  
+  if (summary) {
+    const raw = await compareCandidates(
+      cvs.map((cv, index) => ({ label: LABELS[index], metadata: cv.metadata || {} })),
+      job && { title: job.title, requirements }
+    );
+    comparison.summary = normalizeSummary(raw, candidates);
+  }
+  
+  return comparison;
+}
+
+module.exports = {
+  MAX_COMPARED_CVS,
+  alignValues,
+  resolveJob,
+  compareCVs
+};
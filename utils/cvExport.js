@@ -0,0 +1,253 @@
+const CV = require('../models/cvModel');
+const config = require('../config/config');
+const { getCandidateId } = require('./candidateVersions');
+const { createRedactor, blindView } = require('./pii');
+
+/**
+ * Format a date as YYYY-MM
+ * @param {Date|string} value - Date
+ * @returns {string}
+ */
+function formatMonth(value) {
+  return value ? new Date(value).toISOString().slice(0, 7) : '';
+}
+
+/**
+ * Format a position, e.g. "Developer at Acme (2019-03 – present)"
+ * @param {Object} position - Work history entry
+ * @returns {string}
+ */
+function formatPosition(position) {
+  const role = [position.title, position.employer].filter(Boolean).join(' at ');
+  const end = position.current ? 'present' : formatMonth(position.endDate);
+  const period = position.startDate || end ? ` (${formatMonth(position.startDate)} – ${end})` : '';
+  return `${role || 'Position'}${period}`;
+}
+
+/**
+ * Format a degree, e.g. "MSc Computer Science, TU Berlin (2015)"
+ * @param {Object} degree - Education history entry
+ * @returns {string}
+ */
+function formatDegree(degree) {
+  const title = [degree.degree, degree.field].filter(Boolean).join(' ');
+  const text = [title, degree.institution].filter(Boolean).join(', ');
+  return degree.year ? `${text} (${degree.year})` : text;
+}
+
+/**
+ * Format a certification, e.g. "AWS Solutions Architect, Amazon (2021)"
+ * @param {Object} certification - Certification entry
+ * @returns {string}
+ */
+function formatCertification(certification) {
+  const text = [certification.name, certification.issuer].filter(Boolean).join(', ');
+  return certification.year ? `${text} (${certification.year})` : text;
+}
+
+/**
+ * Read a metadata field of a CV
+ * @param {Object} cv - CV
+ * @param {string} field - Metadata field
+ * @returns {*}
+ */
+function meta(cv, field) {
+  return cv.metadata ? cv.metadata[field] : undefined;
+}
+
+/**
+ * Map a metadata list with a formatter, dropping empty items
+ * @param {Array} items - List
+ * @param {Function} format - (item) => string
+ * @returns {string[]}
+ */
+function formatList(items, format = String) {
+  return (items || []).map(format).filter(Boolean);
+}
+
+// Columns an export can include. Personal columns are not available in blind exports and
+// contact columns require the recruiter role, like contact details in JSON responses.
+const EXPORT_COLUMNS = {
+  id: { label: 'ID', get: cv => String(cv._id) },
+  candidateId: { label: 'Candidate ID', get: cv => getCandidateId(cv) },
+  version: { label: 'Version', get: cv => cv.version || 1 },
+  originalName: { label: 'File name', personal: true, get: cv => cv.originalName },
+  uploadDate: { label: 'Uploaded', get: cv => (cv.uploadDate ? new Date(cv.uploadDate).toISOString() : null) },
+  score: { label: 'Score', get: (cv, item) => item.score },
+  stage: { label: 'Stage', get: cv => (cv.recruiting && cv.recruiting.stage) || 'new' },
+  tags: { label: 'Tags', get: cv => formatList(cv.recruiting && cv.recruiting.tags) },
+  skills: { label: 'Skills', get: cv => formatList(meta(cv, 'skills')) },
+  experience: { label: 'Experience (years)', get: cv => meta(cv, 'experience') },
+  jobTitles: { label: 'Job titles', get: cv => formatList(meta(cv, 'jobTitles')) },
+  education: { label: 'Education', get: cv => formatList(meta(cv, 'education')) },
+  location: { label: 'Location', get: cv => meta(cv, 'location') },
+  workHistory: { label: 'Work history', get: cv => formatList(meta(cv, 'workHistory'), formatPosition) },
+  educationHistory: { label: 'Education history', get: cv => formatList(meta(cv, 'educationHistory'), formatDegree) },
+  languages: {
+    label: 'Languages',
+    get: cv => formatList(meta(cv, 'languages'), language => (language.level ? `${language.language} (${language.level})` : language.language))
+  },
+  certifications: { label: 'Certifications', get: cv => formatList(meta(cv, 'certifications'), formatCertification) },
+  'links.github': { label: 'GitHub', personal: true, get: cv => (meta(cv, 'links') || {}).github },
+  'links.linkedin': { label: 'LinkedIn', personal: true, get: cv => (meta(cv, 'links') || {}).linkedin },
+  'links.website': { label: 'Website', personal: true, get: cv => (meta(cv, 'links') || {}).website },
+  'contactDetails.email': { label: 'Email', personal: true, contact: true, get: cv => (meta(cv, 'contactDetails') || {}).email },
+  'contactDetails.phone': { label: 'Phone', personal: true, contact: true, get: cv => (meta(cv, 'contactDetails') || {}).phone }
+};
+
+// Columns of exports that do not name any
+const DEFAULT_COLUMNS = ['id', 'originalName', 'uploadDate', 'score', 'stage', 'jobTitles', 'experience', 'location', 'skills'];
+
+/**
+ * Resolve requested column keys; metadata columns may be prefixed with "metadata."
+ * @param {string[]|string} [requested] - Column keys (array or comma-separated)
+ * @param {string[]} [defaults] - Columns used when none are requested
+ * @returns {Object} - { columns: [{ key, label, personal, contact, get }], unknown: string[] }
+ */
+function selectColumns(requested, defaults = DEFAULT_COLUMNS) {
+  const list = typeof requested === 'string' ? requested.split(',') : requested;
+  const keys = Array.isArray(list) && list.length > 0
+    ? list.map(key => String(key).trim().replace(/^metadata\./, '')).filter(Boolean)
+    : defaults;
+  const unknown = keys.filter(key => !EXPORT_COLUMNS[key]);
+  const columns = [...new Set(keys)]
+    .filter(key => EXPORT_COLUMNS[key])
+    .map(key => ({ key, ...EXPORT_COLUMNS[key] }));
+  
+  return { columns, unknown };
+}
+
+/**
+ * Fields loaded for exported CVs; blind exports need the text to find the candidate's name
+ * @param {boolean} blind - Whether personal data is redacted
+ * @returns {string}
+ */
+function exportProjection(blind) {
+  return blind ? '-embeddings -contactKeys' : '-content -embeddings -contactKeys';
+}
+
+/**
+ * Stream CVs matching conditions from a database cursor
+ * @param {Object} conditions - MongoDB filter conditions
+ * @param {Object} options - { sort, limit, blind }
+ * @returns {AsyncGenerator<Object>} - { cv } items
+ */
+async function* findExportCVs(conditions, { sort, limit, blind }) {
+  const cursor = CV.find(conditions)
+    .sort(sort)
+    .limit(limit)
+    .select(exportProjection(blind))
+    .lean()
+    .cursor({ batchSize: config.export.batchSize });
+  
+  try {
+    for await (const cv of cursor) {
+      yield { cv };
+    }
+  } finally {
+    await cursor.close();
+  }
+}
+
+/**
+ * Stream ranked CVs in rank order, loading them in batches
+ * @param {Object[]} ranked - [{ _id, score }] in rank order
+ * @param {Object} options - { blind }
+ * @returns {AsyncGenerator<Object>} - { cv, score } items; CVs deleted in the meantime are skipped
+ */
+async function* fetchRankedCVs(ranked, { blind }) {
+  for (let start = 0; start < ranked.length; start += config.export.batchSize) {
+    const batch = ranked.slice(start, start + config.export.batchSize);
+    const found = await CV.find({ _id: { $in: batch.map(item => item._id) }, deletedAt: null })
+      .select(exportProjection(blind))
+      .lean();
+    const byId = new Map(found.map(cv => [cv._id.toString(), cv]));
+    
+    for (const item of batch) {
+      const cv = byId.get(item._id.toString());
+      if (cv) {
+        yield { cv, score: item.score };
+      }
+    }
+  }
+}
+
+/**
+ * Build the export record of a CV
+ * @param {Object} item - { cv, score }
+ * @param {Object[]} columns - Selected columns
+ * @param {string} title - Heading of the CV (file name, or a number in blind exports)
+ * @returns {Object} - { cv, title, cells }
+ */
+function buildRecord(item, columns, title) {
+  const cells = columns.map(({ key, label, get }) => {
+    let value = get(item.cv, item);
+    if (value === undefined || value === '') {
+      value = null;
+    }
+    const text = Array.isArray(value) ? value.join('; ') : (value === null ? '' : String(value));
+    return { key, label, value, text };
+  });
+  
+  return { cv: item.cv, title, cells };
+}
+
+/**
+ * Write an export to the response, stopping early when the client disconnects
+ * @param {Object} res - Express response object
+ * @param {AsyncIterable<Object>} items - { cv, score } items (findExportCVs or fetchRankedCVs)
+ * @param {Object} options - { exporter, columns, blind, filename, title }
+ * @returns {Promise<Object>} - { count, cvIds, completed }
+ */
+async function streamExport(res, items, { exporter, columns, blind, filename, title }) {
+  res.status(200).set({
+    'Content-Type': exporter.contentType,
+    'Content-Disposition': filename,
+    'Cache-Control': 'no-store',
+    'X-Content-Type-Options': 'nosniff'
+  });
+  
+  // Resolves when the response can take more data (or is gone, which the loop checks)
+  const write = chunk => new Promise(resolve => {
+    if (res.destroyed || res.write(chunk)) {
+      return resolve();
+    }
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+  
+  const output = exporter.create(write, { columns, title });
+  const cvIds = [];
+  
+  for await (const item of items) {
+    if (res.destroyed) {
+      return { count: cvIds.length, cvIds, completed: false };
+    }
+    
+    const number = cvIds.length + 1;
+    const record = blind
+      ? buildRecord({ ...item, cv: blindView(item.cv, await createRedactor(item.cv.content)) }, columns, `Candidate ${number}`)
+      : buildRecord(item, columns, item.cv.originalName || `CV ${number}`);
+    
+    await output.write(record);
+    cvIds.push(item.cv._id);
+  }
+  
+  await output.end();
+  res.end();
+  return { count: cvIds.length, cvIds, completed: !res.destroyed };
+}
+
+module.exports = {
+  EXPORT_COLUMNS,
+  DEFAULT_COLUMNS,
+  selectColumns,
+  findExportCVs,
+  fetchRankedCVs,
+  streamExport
+};
@@ -0,0 +1,212 @@
+const CV = require('../models/cvModel');
+const Batch = require('../models/batchModel');
+const IngestTask = require('../models/ingestTaskModel');
+const ErasureReceipt = require('../models/erasureReceiptModel');
+const localVectorIndex = require('./localVectorIndex');
+const { getCandidateId } = require('./candidateVersions');
+const { removeStoredFile } = require('./storage');
+
+const ERASED_FILENAME = '[erased]';
+
+// Additional data stores to clean up on erasure, keyed by name
+const erasureSteps = new Map();
+
+/**
+ * Register a step that removes data derived from erased CVs
+ * @param {string} name - Name used in the receipt's itemsRemoved counts
+ * @param {Function} step - async ({ candidateId, cvIds, fileIds }) => number of removed items, where fileIds
+ *   are the bulk upload entries the CVs were created from
+ */
+function registerErasureStep(name, step) {
+  erasureSteps.set(name, step);
+}
+
+/**
+ * Find a CV and all versions of its candidate
+ * @param {string} cvId - ID of any CV of the candidate
+ * @returns {Promise<Object|null>} - { candidateId, cvIds } or null if the CV was not found
+ */
+async function findCandidateCVs(cvId) {
+  const cv = await CV.findById(cvId).select('_id candidateId').lean();
+  
+  if (!cv) {
+    return null;
+  }
+  
+  const candidateId = getCandidateId(cv);
+  const versions = await CV.find({ $or: [{ candidateId }, { _id: candidateId }] }).select('_id').lean();
+  
+  return { candidateId, cvIds: versions.map(version => version._id) };
+}
+
+/**
+ * Hide a candidate (all versions) from search and lookups without removing data
+ * @param {string} cvId - ID of any CV of the candidate
+ * @param {Object} [options] - { deletedBy, reason }
+ * @returns {Promise<Object|null>} - { candidateId, cvIds } or null if not found
+ */
+async function softDeleteCandidate(cvId, { deletedBy, reason } = {}) {
+  const candidate = await findCandidateCVs(cvId);
+  
+  if (!candidate) {
+    return null;
+  }
+  
+  await CV.updateMany(
+    { _id: { $in: candidate.cvIds }, deletedAt: null },
+    { $set: { deletedAt: new Date(), deletedBy, deletionReason: reason } }
+  );
+  
+  return candidate;
+}
+
+/**
+ * Undo a soft delete
+ * @param {string} cvId - ID of any CV of the candidate
+ * @returns {Promise<Object|null>} - { candidateId, cvIds } or null if not found
+ */
+async function restoreCandidate(cvId) {
+  const candidate = await findCandidateCVs(cvId);
+  
+  if (!candidate) {
+    return null;
+  }
+  
+  await CV.updateMany(
+    { _id: { $in: candidate.cvIds } },
+    { $set: { deletedAt: null }, $unset: { deletedBy: 1, deletionReason: 1 } }
+  );
+  
+  return candidate;
+}
+
+/**
+ * Find the bulk upload entries of erased CVs
+ * @param {Object[]} batches - Batches with entries of erased CVs
+ * @param {Set<string>} erasedIds - Erased CV IDs
+ * @returns {Object[]} - Batch file entry IDs
+ */
+function findBatchFileIds(batches, erasedIds) {
+  const fileIds = [];
+  for (const batch of batches) {
+    for (const file of batch.files) {
+      if (file.cvId && erasedIds.has(file.cvId.toString())) {
+        fileIds.push(file._id);
+      }
+    }
+  }
+  return fileIds;
+}
+
+/**
+ * Remove ingest tasks of erased CVs and any of their queued files still in storage
+ * @param {Object[]} fileIds - Batch file entry IDs of the erased CVs
+ * @returns {Promise<number>} - Number of removed tasks
+ */
+async function removeIngestTasks(fileIds) {
+  if (fileIds.length === 0) {
+    return 0;
+  }
+  
+  const tasks = await IngestTask.find({ fileId: { $in: fileIds } }).select('file');
+  await Promise.all(tasks.map(task => removeStoredFile(task.file)));
+  
+  const result = await IngestTask.deleteMany({ fileId: { $in: fileIds } });
+  return result.deletedCount;
+}
+
+/**
+ * Scrub file names and warnings of erased CVs from bulk upload batches
+ * @param {Object[]} batches - Batch documents with entries of erased CVs
+ * @param {Set<string>} erasedIds - Erased CV IDs
+ * @returns {Promise<number>} - Number of scrubbed batch entries
+ */
+async function scrubBatchEntries(batches, erasedIds) {
+  let scrubbed = 0;
+  
+  for (const batch of batches) {
+    for (const file of batch.files) {
+      if (file.cvId && erasedIds.has(file.cvId.toString())) {
+        file.filename = ERASED_FILENAME;
+        file.archive = undefined;
+        file.warnings = [];
+        file.error = undefined;
+        scrubbed++;
+      }
+    }
+    await batch.save();
+  }
+  
+  return scrubbed;
+}
+
+/**
+ * Remove the stored original files of erased CVs
+ * @param {Object[]} cvIds - Erased CV IDs
+ * @returns {Promise<number>} - Number of removed files
+ */
+async function removeStoredFiles(cvIds) {
+  const cvs = await CV.find({ _id: { $in: cvIds }, 'file.key': { $exists: true } }).select('file').lean();
+  let removed = 0;
+  
+  for (const cv of cvs) {
+    if (await removeStoredFile(cv.file)) {
+      removed++;
+    }
+  }
+  
+  return removed;
+}
+
+/**
+ * Permanently erase a candidate (all versions): content, embeddings, stored files and derived data.
+ * An erasure receipt without personal data is recorded.
+ * @param {string} cvId - ID of any CV of the candidate
+ * @param {Object} [options] - { requestedBy, reason }
+ * @returns {Promise<Object|null>} - Erasure receipt or null if not found
+ */
+async function eraseCandidate(cvId, { requestedBy, reason } = {}) {
+  const candidate = await findCandidateCVs(cvId);
+  
+  if (!candidate) {
+    return null;
+  }
+  
+  const { candidateId, cvIds } = candidate;
+  const erasedIds = new Set(cvIds.map(id => id.toString()));
+  const itemsRemoved = {};
+  
+  // Derived data first, so a failure leaves the CVs in place and the erase can be retried
+  const batches = await Batch.find({ 'files.cvId': { $in: cvIds } });
+  const fileIds = findBatchFileIds(batches, erasedIds);
+  itemsRemoved.ingestTasks = await removeIngestTasks(fileIds);
+  itemsRemoved.batchEntries = await scrubBatchEntries(batches, erasedIds);
+  itemsRemoved.storedFiles = await removeStoredFiles(cvIds);
+  
+  for (const [name, step] of erasureSteps) {
+    itemsRemoved[name] = await step({ candidateId, cvIds, fileIds });
+  }
+  
+  const result = await CV.deleteMany({ _id: { $in: cvIds } });
+  itemsRemoved.cvs = result.deletedCount;
+  
+  // deleteMany does not run document hooks
+  for (const id of cvIds) {
+    localVectorIndex.removeCV(id);
+  }
+  
+  return ErasureReceipt.create({
+    candidateId,
+    cvIds,
+    requestedBy,
+    reason,
+    itemsRemoved
+  });
+}
+
+module.exports = {
+  registerErasureStep,
+  softDeleteCandidate,
+  restoreCandidate,
+  eraseCandidate
+};
@@ -1,38 +1,26 @@
-const pdfParse = require('pdf-parse');
+const { parsePDF } = require('./extractors/pdfExtractor');
+const { extractText } = require('./extractors');
+const { normalizeProfile } = require('./cvProfile');
+const { findSkills } = require('./skillTaxonomy');
+const { findPersonalData } = require('./pii');
 
 /**
- * Parse PDF buffer and extract content
- * @param {Buffer} pdfBuffer - Buffer of PDF file
- * @returns {Promise<string>} - Extracted text content
+ * Parse an uploaded CV in any supported format and extract its text
+ * @param {Buffer} buffer - File contents
+ * @param {Object} file - File info ({ mimetype, originalname })
+ * @returns {Promise<Object>} - { text, fileType, mimeType, method, warnings }
  */
-async function parsePDF(pdfBuffer) {
-  try {
-    const data = await pdfParse(pdfBuffer);
-    return data.text;
-  } catch (error) {
-    console.error('Error parsing PDF:', error);
-    throw new Error('Failed to parse PDF document');
-  }
+async function parseDocument(buffer, file) {
+  return extractText(buffer, file);
 }
 
 /**
  * Extract skills from CV text
  * @param {string} text - CV text content
- * @returns {string[]} - Array of skills found
+ * @returns {string[]} - Canonical names of the taxonomy skills found
  */
 function extractSkills(text) {
-  // In production, use an LLM or ML model to extract this properly
-  const commonSkills = [
-    'JavaScript', 'TypeScript', 'Node.js', 'Express', 'React', 'Angular', 
-    'Vue', 'Python', 'Django', 'Flask', 'Java', 'Spring', 'C#', '.NET', 
-    'PHP', 'Laravel', 'SQL', 'MySQL', 'PostgreSQL', 'MongoDB', 'Redis', 
-    'AWS', 'Azure', 'GCP', 'Docker', 'Kubernetes', 'CI/CD', 'Git',
-    'HTML', 'CSS', 'SASS', 'LESS', 'Tailwind', 'Bootstrap'
-  ];
-  
-  return commonSkills.filter(skill => 
-    text.toLowerCase().includes(skill.toLowerCase())
-  );
+  return findSkills(text);
 }
 
 /**
@@ -96,25 +84,324 @@ function extractEducation(text) {
   );
 }
 
+// Section headings recognized in CVs, by section
+const SECTION_HEADINGS = {
+  experience: /^(work\s+)?(experience|employment|work history|professional experience|career history|employment history)$/i,
+  education: /^(education|academic background|qualifications|education and training)$/i,
+  languages: /^(languages?|language skills)$/i,
+  certifications: /^(certifications?|certificates|licenses( (and|&) certifications)?|certifications? (and|&) licenses)$/i,
+  skills: /^(skills|technical skills|core competencies|technologies)$/i,
+  other: /^(summary|profile|about me|projects|interests|hobbies|references|publications|awards|volunteering|contact)$/i
+};
+
+// A CV date: 'Mar 2020', 'March 2020', '03/2020', '2020-03' or '2020'
+const DATE_TOKEN = '(?:(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.?\\s+\\d{4}|\\d{1,2}[/.]\\d{4}|\\d{4}(?:[-/.]\\d{1,2})?)';
+const DATE_RANGE_PATTERN = new RegExp(
+  `(${DATE_TOKEN})\\s*(?:-|–|—|to|until|bis)\\s*(${DATE_TOKEN}|present|current|now|today|ongoing)`,
+  'i'
+);
+
+/**
+ * Split CV text into sections by recognized headings
+ * @param {string} text - CV text content
+ * @returns {Object} - Lines per section name ('header' holds lines before the first heading)
+ */
+function splitCVSections(text) {
+  const sections = { header: [] };
+  let current = 'header';
+  
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    const heading = line.replace(/[:\s]+$/, '');
+    const section = heading.length <= 40
+      ? Object.keys(SECTION_HEADINGS).find(name => SECTION_HEADINGS[name].test(heading))
+      : null;
+    
+    if (section) {
+      current = section;
+      sections[current] = sections[current] || [];
+    } else if (line) {
+      sections[current].push(line);
+    }
+  }
+  
+  return sections;
+}
+
+/**
+ * Split a position heading such as 'Senior Developer at Acme' into title and employer
+ * @param {string} heading - Text of the position line without dates
+ * @returns {Object} - { title, employer }
+ */
+function splitPositionHeading(heading) {
+  const text = heading.replace(/[()[\]]/g, ' ').replace(/[\s,|–—-]+$/, '').replace(/^[\s,|–—-]+/, '').trim();
+  const parts = text.split(/\s+(?:at|@)\s+|\s*[|,–—]\s*|\s+-\s+/).map(part => part.trim()).filter(Boolean);
+  return { title: parts[0], employer: parts[1] };
+}
+
+/**
+ * Extract the work history timeline from dated position lines
+ * @param {string} text - CV text content
+ * @returns {Object[]} - [{ title, employer, startDate, endDate, description }]
+ */
+function extractWorkHistory(text) {
+  const sections = splitCVSections(text);
+  // Without an experience heading, look at everything except education
+  const lines = sections.experience || [...sections.header, ...(sections.other || [])];
+  const entries = [];
+  
+  lines.forEach((line, index) => {
+    const match = line.match(DATE_RANGE_PATTERN);
+    if (!match) {
+      if (entries.length > 0 && index > entries[entries.length - 1].lineIndex) {
+        const entry = entries[entries.length - 1];
+        entry.description = entry.description ? `${entry.description} ${line}` : line;
+      }
+      return;
+    }
+    
+    // The position is on the same line as the dates, or on the line above
+    let heading = line.replace(match[0], ' ').trim();
+    if (heading.replace(/[^\p{L}]/gu, '').length < 3 && index > 0) {
+      heading = lines[index - 1];
+      const previous = entries[entries.length - 1];
+      if (previous && previous.description && previous.description.endsWith(heading)) {
+        previous.description = previous.description.slice(0, -heading.length).trim() || undefined;
+      }
+    }
+    
+    const { title, employer } = splitPositionHeading(heading);
+    if (title) {
+      entries.push({ title, employer, startDate: match[1], endDate: match[2], lineIndex: index });
+    }
+  });
+  
+  return entries.map(({ lineIndex, ...entry }) => entry);
+}
+
+/**
+ * Extract structured education entries
+ * @param {string} text - CV text content
+ * @returns {Object[]} - [{ institution, degree, field, year }]
+ */
+function extractEducationHistory(text) {
+  const lines = splitCVSections(text).education || [];
+  const degreePattern = /\b(bachelor|master|ph\.?d|doctorate|b\.?sc|m\.?sc|b\.?a\.?|m\.?a\.?|mba|b\.?eng|m\.?eng|diploma|associate)\b[^,|\n]*/i;
+  const institutionPattern = /[^,|\n]*\b(university|college|institute|school|academy|universität|hochschule)\b[^,|\n]*/i;
+  const entries = [];
+  
+  lines.forEach((line, index) => {
+    const degreeMatch = line.match(degreePattern);
+    if (!degreeMatch) {
+      return;
+    }
+    
+    const context = [line, lines[index + 1] || ''].join(' | ');
+    const institutionMatch = line.match(institutionPattern) || (lines[index + 1] || '').match(institutionPattern);
+    const years = context.match(/\b(19|20)\d{2}\b/g);
+    const [degree, field] = degreeMatch[0].split(/\s+(?:in|of)\s+/i);
+    
+    entries.push({
+      degree: degree.trim(),
+      field: field ? field.replace(DATE_RANGE_PATTERN, '').trim() : undefined,
+      institution: institutionMatch
+        ? institutionMatch[0].replace(DATE_RANGE_PATTERN, '').replace(/\b(19|20)\d{2}\b/g, '').trim()
+        : undefined,
+      year: years ? parseInt(years[years.length - 1], 10) : undefined
+    });
+  });
+  
+  return entries;
+}
+
+/**
+ * Extract spoken languages with levels
+ * @param {string} text - CV text content
+ * @returns {Object[]} - [{ language, level }]
+ */
+function extractLanguages(text) {
+  const lines = splitCVSections(text).languages || [];
+  const commonLanguages = [
+    'English', 'German', 'French', 'Spanish', 'Italian', 'Portuguese', 'Dutch', 'Polish', 'Russian',
+    'Ukrainian', 'Turkish', 'Arabic', 'Hindi', 'Mandarin', 'Chinese', 'Japanese', 'Korean', 'Swedish',
+    'Norwegian', 'Danish', 'Finnish', 'Czech', 'Greek', 'Hungarian', 'Romanian'
+  ];
+  const languagePattern = new RegExp(
+    `\\b(${commonLanguages.join('|')})\\b\\s*(?:[(:\\-–]\\s*([^),;|]*)\\)?)?`,
+    'gi'
+  );
+  // Outside a languages section, only count languages that come with a level
+  const source = lines.length > 0 ? lines.join('\n') : text;
+  const entries = [];
+  
+  for (const match of source.matchAll(languagePattern)) {
+    if (lines.length > 0 || match[2]) {
+      entries.push({ language: match[1], level: match[2] ? match[2].trim() : undefined });
+    }
+  }
+  
+  return entries;
+}
+
+/**
+ * Extract certifications
+ * @param {string} text - CV text content
+ * @returns {Object[]} - [{ name, year }]
+ */
+function extractCertifications(text) {
+  const lines = splitCVSections(text).certifications || [];
+  const names = lines.map(line => line.replace(/^[•*\-–\s]+/, ''));
+  
+  // Well-known certifications mentioned anywhere in the CV
+  const knownPatterns = [
+    /\bAWS Certified [A-Z][\w-]*(?: [A-Z][\w-]*){0,4}/g,
+    /\b(?:Microsoft|Azure) Certified:? [A-Z][\w-]*(?: [A-Z][\w-]*){0,4}/g,
+    /\bGoogle (?:Cloud )?(?:Certified )?Professional [A-Z][\w-]*(?: [A-Z][\w-]*){0,3}/g,
+    /\b(?:PMP|CISSP|CISM|CISA|CKA|CKAD|PRINCE2|ITIL|CSM|PSM I{1,3}|OSCP|CCNA|CCNP)\b/g,
+    /\bCertified (?:Scrum ?Master|Kubernetes [A-Z][a-z]+|Information Systems [A-Z][a-z]+)\b/g
+  ];
+  for (const pattern of knownPatterns) {
+    names.push(...(text.match(pattern) || []));
+  }
+  
+  return names
+    .filter(name => name.length > 1 && name.length <= 120)
+    .map(name => {
+      const year = name.match(/\b(19|20)\d{2}\b/);
+      return {
+        name: name.replace(/[(,\s–-]*\b(19|20)\d{2}\b\)?/, '').trim(),
+        year: year ? parseInt(year[0], 10) : undefined
+      };
+    });
+}
+
+/**
+ * Extract the candidate's location from a 'Location:' or 'Address:' line
+ * @param {string} text - CV text content
+ * @returns {string|undefined} - Location
+ */
+function extractLocation(text) {
+  const match = text.match(/^\s*(?:location|address|based in|city|residence)\s*[:\-–]\s*(.{2,80})$/im);
+  return match ? match[1].trim() : undefined;
+}
+
+/**
+ * Extract profile links (GitHub, LinkedIn, personal websites)
+ * @param {string} text - CV text content
+ * @returns {string[]} - URLs
+ */
+function extractLinks(text) {
+  const matches = text.match(/\b(?:https?:\/\/)?(?:www\.)?(?:github\.com|linkedin\.com\/in|gitlab\.com|stackoverflow\.com\/users)\/[\w\-./%]+|\bhttps?:\/\/[^\s<>"')]+/gi) || [];
+  return matches.map(url => url.replace(/[.,;]+$/, '')).map(url => (/^https?:\/\//i.test(url) ? url : `https://${url}`));
+}
+
+/**
+ * Extract the candidate's email address and phone number (the first of each in the CV)
+ * @param {string} text - CV text content
+ * @returns {Object} - { email, phone }
+ */
+function extractContactDetails(text) {
+  const [email] = findPersonalData(text, 'email');
+  const [phone] = findPersonalData(text, 'phone');
+  return { email, phone };
+}
+
 /**
  * Extract all metadata from CV text
  * @param {string} text - CV text content
  * @returns {Object} - CV metadata
  */
 function extractMetadata(text) {
-  return {
+  return normalizeProfile({
     skills: extractSkills(text),
     experience: extractExperience(text),
     jobTitles: extractJobTitles(text),
-    education: extractEducation(text)
+    education: extractEducation(text),
+    workHistory: extractWorkHistory(text),
+    educationHistory: extractEducationHistory(text),
+    languages: extractLanguages(text),
+    certifications: extractCertifications(text),
+    location: extractLocation(text),
+    links: extractLinks(text),
+    contactDetails: extractContactDetails(text)
+  });
+}
+
+/**
+ * Split a job description into required and nice-to-have sections
+ * @param {string} text - Job description text
+ * @returns {{required: string, niceToHave: string}} - Section texts
+ */
+function splitRequirementSections(text) {
+  const niceToHaveHeading = /^\s*(nice[\s-]to[\s-]have|preferred|bonus|desirable|plus|optional)\b.*$/im;
+  const match = text.match(niceToHaveHeading);
+  
+  if (!match) {
+    return { required: text, niceToHave: '' };
+  }
+  
+  // Everything after the nice-to-have heading until the next heading is optional
+  const rest = text.substring(match.index + match[0].length);
+  const nextHeading = rest.search(/^\s*(requirements|responsibilities|about|benefits|what we offer|must[\s-]have)\b.*$/im);
+  const niceToHave = nextHeading === -1 ? rest : rest.substring(0, nextHeading);
+  
+  return {
+    required: text.substring(0, match.index) + (nextHeading === -1 ? '' : rest.substring(nextHeading)),
+    niceToHave
+  };
+}
+
+/**
+ * Extract minimum years of experience required by a job description
+ * @param {string} text - Job description text
+ * @returns {number} - Minimum years of experience (0 if not stated)
+ */
+function extractMinExperience(text) {
+  const patterns = [
+    /(?:at least|minimum(?: of)?|min\.?)\s*(\d+)\+?\s*years?/i,
+    /(\d+)\s*(?:-|to)\s*\d+\s*years?/i
+  ];
+  
+  for (const pattern of patterns) {
+    const match = text.match(pattern);
+    if (match && match[1]) {
+      return parseInt(match[1], 10);
+    }
+  }
+  
+  return extractExperience(text);
+}
+
+/**
+ * Extract requirements from a job description
+ * @param {string} text - Job description text
+ * @returns {Object} - Job requirements
+ */
+function extractJobRequirements(text) {
+  const { required, niceToHave } = splitRequirementSections(text);
+  const requiredSkills = extractSkills(required);
+  
+  return {
+    requiredSkills,
+    niceToHaveSkills: extractSkills(niceToHave).filter(skill => !requiredSkills.includes(skill)),
+    minExperience: extractMinExperience(required),
+    jobTitles: extractJobTitles(text)
   };
 }
 
 module.exports = {
   parsePDF,
+  parseDocument,
   extractMetadata,
+  extractJobRequirements,
   extractSkills,
   extractExperience,
   extractJobTitles,
-  extractEducation
+  extractEducation,
+  extractWorkHistory,
+  extractEducationHistory,
+  extractLanguages,
+  extractCertifications,
+  extractLocation,
+  extractLinks
 }; 
\ No newline at end of file
@@ -0,0 +1,431 @@
+const { normalizeSkills } = require('./skillTaxonomy');
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Words meaning a position has not ended
+const PRESENT_PATTERN = /^(present|current|now|today|ongoing|heute|aktuell)$/i;
+
+// Language levels from lowest to highest, used for minimum-level filters
+const LANGUAGE_LEVELS = ['a1', 'a2', 'b1', 'b2', 'c1', 'c2', 'native'];
+
+const LEVEL_ALIASES = {
+  basic: 'a2',
+  beginner: 'a1',
+  elementary: 'a2',
+  intermediate: 'b1',
+  'upper intermediate': 'b2',
+  conversational: 'b1',
+  advanced: 'c1',
+  professional: 'c1',
+  fluent: 'c1',
+  proficient: 'c2',
+  'full professional': 'c2',
+  bilingual: 'native',
+  'mother tongue': 'native',
+  'native speaker': 'native',
+  native: 'native'
+};
+
+/**
+ * Parse a CV date ('2020', '2020-03', '03/2020', 'Mar 2020', 'March 2020', 'Present')
+ * @param {*} value - Date value
+ * @returns {Date|null|'present'} - Date (first day of the month), 'present' or null when unknown
+ */
+function parseCVDate(value) {
+  if (value instanceof Date) {
+    return isNaN(value) ? null : value;
+  }
+  if (typeof value === 'number' && value > 1900 && value < 2200) {
+    return new Date(Date.UTC(value, 0, 1));
+  }
+  if (typeof value !== 'string' || !value.trim()) {
+    return null;
+  }
+  
+  const text = value.trim();
+  if (PRESENT_PATTERN.test(text)) {
+    return 'present';
+  }
+  
+  let match = text.match(/^(\d{4})(?:[-/.](\d{1,2}))?(?:[-/.]\d{1,2})?$/);
+  if (match) {
+    return new Date(Date.UTC(parseInt(match[1], 10), match[2] ? parseInt(match[2], 10) - 1 : 0, 1));
+  }
+  
+  match = text.match(/^(\d{1,2})[-/.](\d{4})$/);
+  if (match) {
+    return new Date(Date.UTC(parseInt(match[2], 10), parseInt(match[1], 10) - 1, 1));
+  }
+  
+  match = text.match(/^([a-z]{3,})\.?\s+(\d{4})$/i);
+  if (match) {
+    const month = MONTHS.indexOf(match[1].slice(0, 3).toLowerCase());
+    if (month !== -1) {
+      return new Date(Date.UTC(parseInt(match[2], 10), month, 1));
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Normalize a language level to CEFR (A1-C2) or 'native'
+ * @param {string} level - Level as written in the CV
+ * @returns {string|undefined} - Normalized level
+ */
+function normalizeLanguageLevel(level) {
+  if (typeof level !== 'string' || !level.trim()) {
+    return undefined;
+  }
+  
+  const text = level.trim().toLowerCase();
+  const cefr = text.match(/\b([abc][12])\b/);
+  if (cefr) {
+    return cefr[1].toUpperCase();
+  }
+  
+  const alias = Object.keys(LEVEL_ALIASES)
+    .sort((a, b) => b.length - a.length)
+    .find(name => text.includes(name));
+  if (!alias) {
+    return undefined;
+  }
+  
+  const normalized = LEVEL_ALIASES[alias];
+  return normalized === 'native' ? 'native' : normalized.toUpperCase();
+}
+
+/**
+ * Get the levels at or above a minimum level
+ * @param {string} minLevel - Minimum level (CEFR, alias or 'native')
+ * @returns {string[]} - Matching normalized levels
+ */
+function levelsAtLeast(minLevel) {
+  const normalized = normalizeLanguageLevel(minLevel);
+  if (!normalized) {
+    return [];
+  }
+  
+  const index = LANGUAGE_LEVELS.indexOf(normalized.toLowerCase());
+  return LANGUAGE_LEVELS.slice(index).map(level => (level === 'native' ? 'native' : level.toUpperCase()));
+}
+
+/**
+ * Total years of experience from a work history, counting overlapping positions once
+ * @param {Object[]} workHistory - Entries with startDate and endDate (null/'present' for current positions)
+ * @param {Date} [now] - Reference date for current positions
+ * @returns {number|null} - Years (one decimal) or null when no entry has a start date
+ */
+function computeExperienceYears(workHistory, now = new Date()) {
+  const intervals = (workHistory || [])
+    .map(entry => {
+      const start = parseCVDate(entry.startDate);
+      const end = entry.current ? 'present' : parseCVDate(entry.endDate);
+      if (!(start instanceof Date)) {
+        return null;
+      }
+      // An entry without an end date is a single-month position unless it is marked as current
+      const endTime = end === 'present' ? now.getTime() : end instanceof Date ? end.getTime() : start.getTime();
+      return [start.getTime(), Math.max(endTime, start.getTime())];
+    })
+    .filter(Boolean)
+    .sort((a, b) => a[0] - b[0]);
+  
+  if (intervals.length === 0) {
+    return null;
+  }
+  
+  let total = 0;
+  let [currentStart, currentEnd] = intervals[0];
+  for (const [start, end] of intervals.slice(1)) {
+    if (start <= currentEnd) {
+      currentEnd = Math.max(currentEnd, end);
+    } else {
+      total += currentEnd - currentStart;
+      [currentStart, currentEnd] = [start, end];
+    }
+  }
+  total += currentEnd - currentStart;
+  
+  return Math.round((total / (365.25 * 24 * 60 * 60 * 1000)) * 10) / 10;
+}
+
+/**
+ * Trimmed string or undefined
+ * @param {*} value - Value
+ * @returns {string|undefined}
+ */
+function cleanString(value) {
+  if (typeof value === 'number') {
+    return String(value);
+  }
+  return typeof value === 'string' && value.trim() ? value.trim() : undefined;
+}
+
+/**
+ * Remove case-insensitive duplicates from a list of strings
+ * @param {*} values - Values
+ * @returns {string[]}
+ */
+function uniqueStrings(values) {
+  const seen = new Set();
+  const result = [];
+  for (const value of Array.isArray(values) ? values : []) {
+    const text = cleanString(value);
+    if (text && !seen.has(text.toLowerCase())) {
+      seen.add(text.toLowerCase());
+      result.push(text);
+    }
+  }
+  return result;
+}
+
+/**
+ * Remove duplicate entries by a key built from some of their fields
+ * @param {Object[]} entries - Entries
+ * @param {string[]} fields - Fields forming the key
+ * @returns {Object[]}
+ */
+function uniqueBy(entries, fields) {
+  const seen = new Set();
+  return entries.filter(entry => {
+    const key = fields.map(field => String(entry[field] || '').toLowerCase()).join('|');
+    if (seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Store a date as a Date, keeping 'present' as undefined with current=true handled by the caller
+ * @param {*} value - Date value
+ * @returns {Date|undefined}
+ */
+function toDate(value) {
+  const date = parseCVDate(value);
+  return date instanceof Date ? date : undefined;
+}
+
+/**
+ * Normalize a work history entry
+ * @param {Object} entry - Raw entry
+ * @returns {Object|null}
+ */
+function normalizeWorkEntry(entry) {
+  if (!entry || typeof entry !== 'object') {
+    return null;
+  }
+  
+  const title = cleanString(entry.title || entry.jobTitle || entry.position || entry.role);
+  const employer = cleanString(entry.employer || entry.company || entry.organization);
+  if (!title && !employer) {
+    return null;
+  }
+  
+  const current = entry.current === true || parseCVDate(entry.endDate) === 'present';
+  return {
+    employer,
+    title,
+    location: cleanString(entry.location),
+    startDate: toDate(entry.startDate || entry.start),
+    endDate: current ? undefined : toDate(entry.endDate || entry.end),
+    current,
+    description: cleanString(entry.description)
+  };
+}
+
+/**
+ * Normalize an education entry
+ * @param {Object|string} entry - Raw entry
+ * @returns {Object|null}
+ */
+function normalizeEducationEntry(entry) {
+  if (typeof entry === 'string') {
+    return cleanString(entry) ? { degree: entry.trim() } : null;
+  }
+  if (!entry || typeof entry !== 'object') {
+    return null;
+  }
+  
+  const institution = cleanString(entry.institution || entry.school || entry.university);
+  const degree = cleanString(entry.degree || entry.qualification);
+  const field = cleanString(entry.field || entry.fieldOfStudy || entry.major);
+  const year = parseInt(entry.year || entry.graduationYear || entry.endYear, 10);
+  if (!institution && !degree && !field) {
+    return null;
+  }
+  
+  return { institution, degree, field, year: Number.isFinite(year) ? year : undefined };
+}
+
+/**
+ * Normalize a language entry ('German (C1)' or { language, level })
+ * @param {Object|string} entry - Raw entry
+ * @returns {Object|null}
+ */
+function normalizeLanguageEntry(entry) {
+  if (typeof entry === 'string') {
+    const match = entry.match(/^\s*([^(:\-–]+?)\s*(?:[(:\-–]\s*([^)]*)\)?)?\s*$/);
+    if (!match) {
+      return null;
+    }
+    entry = { language: match[1], level: match[2] };
+  }
+  if (!entry || typeof entry !== 'object') {
+    return null;
+  }
+  
+  const language = cleanString(entry.language || entry.name);
+  if (!language) {
+    return null;
+  }
+  return { language, level: normalizeLanguageLevel(entry.level || entry.proficiency) };
+}
+
+/**
+ * Normalize a certification entry
+ * @param {Object|string} entry - Raw entry
+ * @returns {Object|null}
+ */
+function normalizeCertificationEntry(entry) {
+  if (typeof entry === 'string') {
+    return cleanString(entry) ? { name: entry.trim() } : null;
+  }
+  if (!entry || typeof entry !== 'object') {
+    return null;
+  }
+  
+  const name = cleanString(entry.name || entry.title || entry.certification);
+  if (!name) {
+    return null;
+  }
+  const year = parseInt(entry.year || entry.date, 10);
+  return { name, issuer: cleanString(entry.issuer || entry.organization), year: Number.isFinite(year) ? year : undefined };
+}
+
+/**
+ * Normalize profile links ({ github, linkedin, website, other } or an array of URLs)
+ * @param {Object|string[]} links - Raw links
+ * @returns {Object}
+ */
+function normalizeLinks(links) {
+  const urls = Array.isArray(links) ? links : Object.values(links || {}).flat();
+  const result = { other: [] };
+  
+  for (const url of uniqueStrings(urls)) {
+    if (/github\.com\//i.test(url) && !result.github) {
+      result.github = url;
+    } else if (/linkedin\.com\//i.test(url) && !result.linkedin) {
+      result.linkedin = url;
+    } else if (!Array.isArray(links) && links.website === url && !result.website) {
+      result.website = url;
+    } else {
+      result.other.push(url);
+    }
+  }
+  
+  return result;
+}
+
+/**
+ * Bring extracted CV data into the shape of the CV metadata schema and derive summary fields:
+ * experience from the work history timeline, job titles from positions and education strings from entries.
+ * @param {Object} raw - Metadata from AI or rule-based extraction
+ * @param {Object} [options] - { now }
+ * @returns {Object} - Normalized metadata
+ */
+function normalizeProfile(raw, { now = new Date() } = {}) {
+  const data = raw || {};
+  
+  const workHistory = uniqueBy(
+    (Array.isArray(data.workHistory) ? data.workHistory : []).map(normalizeWorkEntry).filter(Boolean),
+    ['employer', 'title', 'startDate']
+  ).sort((a, b) => (b.startDate || 0) - (a.startDate || 0));
+  
+  const educationHistory = uniqueBy(
+    (Array.isArray(data.educationHistory) ? data.educationHistory : []).map(normalizeEducationEntry).filter(Boolean),
+    ['institution', 'degree', 'field']
+  );
+  
+  const languages = uniqueBy(
+    (Array.isArray(data.languages) ? data.languages : []).map(normalizeLanguageEntry).filter(Boolean),
+    ['language']
+  );
+  
+  const certifications = uniqueBy(
+    (Array.isArray(data.certifications) ? data.certifications : []).map(normalizeCertificationEntry).filter(Boolean),
+    ['name']
+  );
+  
+  // Prefer the timeline over a stated number of years
+  const statedExperience = Number(data.experience);
+  const derivedExperience = computeExperienceYears(workHistory, now);
+  const experience = derivedExperience !== null
+    ? derivedExperience
+    : (Number.isFinite(statedExperience) && statedExperience >= 0 ? statedExperience : 0);
+  
+  const educationSummaries = educationHistory
+    .map(entry => [entry.degree, entry.field, entry.institution].filter(Boolean).join(', '))
+    .filter(Boolean);
+  
+  const contactDetails = data.contactDetails || {};
+  
+  return {
+    skills: normalizeSkills(data.skills),
+    experience,
+    experienceSource: derivedExperience !== null ? 'timeline' : 'stated',
+    jobTitles: uniqueStrings([...(Array.isArray(data.jobTitles) ? data.jobTitles : []), ...workHistory.map(entry => entry.title)]),
+    education: uniqueStrings([...(Array.isArray(data.education) ? data.education : []), ...educationSummaries]),
+    workHistory,
+    educationHistory,
+    languages,
+    certifications,
+    location: cleanString(data.location),
+    links: normalizeLinks(data.links),
+    contactDetails: {
+      email: cleanString(contactDetails.email),
+      phone: cleanString(contactDetails.phone)
+    }
+  };
+}
+
+/**
+ * Merge metadata extracted from several chunks of one CV
+ * @param {Object[]} results - Raw metadata per chunk (null entries are skipped)
+ * @returns {Object|null} - Merged raw metadata, or null if no chunk produced a result
+ */
+function mergeProfiles(results) {
+  const valid = results.filter(result => result && typeof result === 'object');
+  if (valid.length === 0) {
+    return null;
+  }
+  
+  const merged = {};
+  for (const result of valid) {
+    for (const [key, value] of Object.entries(result)) {
+      if (Array.isArray(value)) {
+        merged[key] = [...(Array.isArray(merged[key]) ? merged[key] : []), ...value];
+      } else if (value && typeof value === 'object') {
+        merged[key] = { ...value, ...Object.fromEntries(Object.entries(merged[key] || {}).filter(([, item]) => item)) };
+      } else if (merged[key] === undefined || merged[key] === null || merged[key] === '') {
+        merged[key] = value;
+      } else if (key === 'experience' && Number(value) > Number(merged[key])) {
+        merged[key] = value;
+      }
+    }
+  }
+  
+  return merged;
+}
+
+module.exports = {
+  LANGUAGE_LEVELS,
+  parseCVDate,
+  normalizeLanguageLevel,
+  levelsAtLeast,
+  computeExperienceYears,
+  normalizeProfile,
+  mergeProfiles
+};
@@ -0,0 +1,97 @@
+const crypto = require('crypto');
+const CV = require('../models/cvModel');
+const { getTenantConfig } = require('./tenantScope');
+const { buildVectorSearchStages, cosineSimilarity } = require('./vectorSearch');
+const { getCandidateId } = require('./candidateVersions');
+
+/**
+ * Compute a hash of the CV text that ignores case and whitespace differences
+ * @param {string} text - CV text content
+ * @returns {string} - SHA-256 hex digest
+ */
+function computeContentHash(text) {
+  const normalized = (text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+/**
+ * Find the most similar existing CV by embedding
+ * @param {number[]} embeddings - Embedding of the new CV
+ * @returns {Promise<Object|null>} - { cv, similarity } or null
+ */
+async function findSimilarByEmbedding(embeddings) {
+  if (!Array.isArray(embeddings) || embeddings.length === 0) {
+    return null;
+  }
+  
+  try {
+    const candidates = await CV.aggregate([
+      ...await buildVectorSearchStages(embeddings, 5),
+      { $match: { deletedAt: null } },
+      { $project: { content: 0 } }
+    ]);
+    
+    let best = null;
+    for (const candidate of candidates) {
+      const similarity = cosineSimilarity(embeddings, candidate.embeddings);
+      if (similarity >= getTenantConfig('duplicates').similarityThreshold && (!best || similarity > best.similarity)) {
+        best = { cv: candidate, similarity };
+      }
+    }
+    return best;
+  } catch (error) {
+    console.warn('Embedding duplicate check skipped:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Look for an existing CV of the same candidate
+ * @param {Object} cvData - New CV data ({ contentHash, metadata, embeddings })
+ * @returns {Promise<Object|null>} - { cv, matchedBy, similarity } or null
+ */
+async function findDuplicate(cvData) {
+  if (!getTenantConfig('duplicates').enabled) {
+    return null;
+  }
+  
+  const matchedBy = [];
+  let match = null;
+  let similarity;
+  
+  if (cvData.contentHash) {
+    match = await CV.findOne({ contentHash: cvData.contentHash, deletedAt: null }).select('-content -embeddings').lean();
+    if (match) {
+      matchedBy.push('contentHash');
+    }
+  }
+  
+  const contactKeys = CV.buildContactKeys(cvData.metadata && cvData.metadata.contactDetails);
+  if (contactKeys.length > 0) {
+    const contactMatch = await CV.findOne({ contactKeys: { $in: contactKeys }, deletedAt: null })
+      .sort({ uploadDate: -1 })
+      .select('-content -embeddings')
+      .lean();
+    
+    if (contactMatch && (!match || getCandidateId(contactMatch) === getCandidateId(match))) {
+      match = match || contactMatch;
+      for (const key of contactMatch.contactKeys.filter(key => contactKeys.includes(key))) {
+        matchedBy.push(key.split(':')[0]);
+      }
+    }
+  }
+  
+  const similar = await findSimilarByEmbedding(cvData.embeddings);
+  if (similar && (!match || getCandidateId(similar.cv) === getCandidateId(match))) {
+    match = match || similar.cv;
+    matchedBy.push('embedding');
+    similarity = similar.similarity;
+  }
+  
+  return match ? { cv: match, matchedBy, similarity } : null;
+}
+
+module.exports = {
+  computeContentHash,
+  findDuplicate
+};
@@ -0,0 +1,142 @@
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const config = require('../config/config');
+const { getCurrentTenant } = require('./tenantScope');
+
+/**
+ * In-process event bus for CV lifecycle events.
+ *
+ * Events are plain objects ({ id, event, occurredAt, tenantId, data }) that carry IDs,
+ * file names and outcomes, never CV content or contact details. Listeners (the webhook
+ * dispatcher and Server-Sent Events streams) are called synchronously by emitEvent and
+ * must not throw or block.
+ */
+
+// Event types that can be emitted and subscribed to
+const EVENT_TYPES = [
+  'cv.uploaded',
+  'cv.processed',
+  'cv.embedding_failed',
+  'cv.failed',
+  'cv.updated',
+  'cv.deleted'
+];
+
+const bus = new EventEmitter();
+// Every open event stream adds a listener
+bus.setMaxListeners(0);
+
+// Latest events, so reconnecting streams can catch up (Last-Event-ID)
+const recentEvents = [];
+
+/**
+ * Emit an event in the current tenant
+ * @param {string} type - One of EVENT_TYPES
+ * @param {Object} data - Event data
+ * @returns {Object} - Emitted event
+ */
+function emitEvent(type, data) {
+  if (!EVENT_TYPES.includes(type)) {
+    throw new Error(`Unknown event type: ${type}`);
+  }
+  
+  const tenant = getCurrentTenant();
+  const event = {
+    id: `evt_${crypto.randomUUID()}`,
+    event: type,
+    occurredAt: new Date().toISOString(),
+    tenantId: tenant ? String(tenant.id) : null,
+    // Serialized once so ObjectIds and dates are plain values for every listener
+    data: JSON.parse(JSON.stringify(data))
+  };
+  
+  recentEvents.push(event);
+  if (recentEvents.length > config.events.bufferSize) {
+    recentEvents.shift();
+  }
+  
+  for (const listener of bus.listeners('event')) {
+    try {
+      listener(event);
+    } catch (error) {
+      console.error(`Event listener failed for ${type}:`, error.message);
+    }
+  }
+  
+  return event;
+}
+
+/**
+ * Listen to all emitted events
+ * @param {Function} listener - (event) => void
+ * @returns {Function} - Removes the listener
+ */
+function onEvent(listener) {
+  bus.on('event', listener);
+  return () => bus.off('event', listener);
+}
+
+/**
+ * Get the buffered events emitted after an event, for streams resuming with Last-Event-ID
+ * @param {string} lastEventId - ID of the last event the client received
+ * @returns {Object[]} - Later events (all buffered events if the ID is no longer buffered)
+ */
+function getEventsAfter(lastEventId) {
+  const index = recentEvents.findIndex(event => event.id === lastEventId);
+  return recentEvents.slice(index + 1);
+}
+
+/**
+ * IDs of the CVs an event is about (data.cvId and data.cvIds)
+ * @param {Object} event - Event
+ * @returns {string[]}
+ */
+function getEventCVIds(event) {
+  const data = event.data || {};
+  return [data.cvId, ...(data.cvIds || [])].filter(Boolean).map(String);
+}
+
+/**
+ * Drop buffered events about erased CVs, so reconnecting streams do not receive their file names again
+ * @param {Object[]} cvIds - Erased CV IDs
+ * @param {Object[]} [fileIds] - Bulk upload entries of the erased CVs, named by events emitted before the CVs were saved
+ */
+function forgetEvents(cvIds, fileIds = []) {
+  const erased = new Set(cvIds.map(String));
+  const erasedFiles = new Set(fileIds.map(String));
+  for (let index = recentEvents.length - 1; index >= 0; index--) {
+    const event = recentEvents[index];
+    if (getEventCVIds(event).some(id => erased.has(id)) || erasedFiles.has(String(event.data.fileId))) {
+      recentEvents.splice(index, 1);
+    }
+  }
+}
+
+/**
+ * Parse a comma-separated or array list of event types
+ * @param {string|string[]} value - Event types; '*' stands for all
+ * @returns {Object} - { types, invalid } where types is null for all events
+ */
+function parseEventTypes(value) {
+  const types = (Array.isArray(value) ? value : String(value || '').split(','))
+    .map(type => String(type).trim())
+    .filter(Boolean);
+  
+  if (types.length === 0 || types.includes('*')) {
+    return { types: null, invalid: [] };
+  }
+  return {
+    types: [...new Set(types)],
+    invalid: types.filter(type => !EVENT_TYPES.includes(type))
+  };
+}
+
+module.exports = {
+  EVENT_TYPES,
+  emitEvent,
+  onEvent,
+  getEventsAfter,
+  getEventCVIds,
+  forgetEvents,
+  parseEventTypes
+};
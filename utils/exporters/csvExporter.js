@@ -0,0 +1,51 @@
+// Spreadsheet applications run cells starting with these characters as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Quote a CSV field (RFC 4180). Text that a spreadsheet would read as a formula is prefixed
+ * with an apostrophe so opening the export cannot run it.
+ * @param {*} value - Field value
+ * @returns {string}
+ */
+function csvField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (typeof value === 'number') {
+    return String(value);
+  }
+  
+  let text = String(value);
+  if (FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Comma-separated values, one row per CV with a header row; lists are joined with '; '
+ */
+module.exports = {
+  name: 'csv',
+  contentType: 'text/csv; charset=utf-8',
+  extension: 'csv',
+  
+  create(write, { columns }) {
+    const row = values => `${values.map(csvField).join(',')}\r\n`;
+    // The byte order mark makes spreadsheet applications read the file as UTF-8
+    let pending = `\ufeff${row(columns.map(column => column.label))}`;
+    
+    return {
+      async write(record) {
+        await write(pending + row(record.cells.map(cell => (typeof cell.value === 'number' ? cell.value : cell.text))));
+        pending = '';
+      },
+      
+      async end() {
+        if (pending) {
+          await write(pending);
+        }
+      }
+    };
+  }
+};
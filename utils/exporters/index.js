@@ -0,0 +1,54 @@
+/**
+ * Output formats of CV exports (POST /api/cv/export).
+ *
+ * An exporter is an object with:
+ * - name: format name used in requests (e.g. 'csv')
+ * - contentType: MIME type of the output
+ * - extension: file extension of the download (without dot)
+ * - defaultColumns: optional column keys used when the request names none
+ * - create(write, options): starts an export; write(Buffer|string) is async and resolves when the
+ *   output can take more. Options are { columns: [{ key, label }], title }. Returns an object with
+ *   async write(record) and end(), where record is { cv, title, cells: [{ key, label, value, text }] };
+ *   value is a string, number, list of strings or null and text is the same value as one line.
+ */
+const exporters = new Map();
+
+/**
+ * Register an export format
+ * @param {Object} exporter - Exporter
+ */
+function registerExporter(exporter) {
+  if (!exporter || !exporter.name || typeof exporter.create !== 'function') {
+    throw new Error('Exporter must have a name and a create function');
+  }
+  
+  exporters.set(exporter.name, exporter);
+}
+
+/**
+ * Get an exporter by format name
+ * @param {string} format - Format name
+ * @returns {Object|null}
+ */
+function getExporter(format) {
+  return exporters.get(String(format).toLowerCase()) || null;
+}
+
+/**
+ * Names of the registered export formats
+ * @returns {string[]}
+ */
+function getExportFormats() {
+  return [...exporters.keys()];
+}
+
+registerExporter(require('./csvExporter'));
+registerExporter(require('./xlsxExporter'));
+registerExporter(require('./ndjsonExporter'));
+registerExporter(require('./pdfExporter'));
+
+module.exports = {
+  registerExporter,
+  getExporter,
+  getExportFormats
+};
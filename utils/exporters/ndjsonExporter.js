@@ -0,0 +1,22 @@
+/**
+ * Newline-delimited JSON (JSON Lines), one object per CV keyed by column; lists stay arrays
+ */
+module.exports = {
+  name: 'ndjson',
+  contentType: 'application/x-ndjson; charset=utf-8',
+  extension: 'ndjson',
+  
+  create(write) {
+    return {
+      async write(record) {
+        const row = {};
+        for (const cell of record.cells) {
+          row[cell.key] = cell.value;
+        }
+        await write(`${JSON.stringify(row)}\n`);
+      },
+      
+      async end() {}
+    };
+  }
+};
@@ -0,0 +1,52 @@
+const { createPdfWriter } = require('../pdfWriter');
+
+/**
+ * Candidate pack: a PDF with a summary page per CV listing the selected columns
+ */
+module.exports = {
+  name: 'pdf',
+  contentType: 'application/pdf',
+  extension: 'pdf',
+  defaultColumns: [
+    'jobTitles',
+    'experience',
+    'location',
+    'skills',
+    'workHistory',
+    'educationHistory',
+    'languages',
+    'certifications',
+    'stage',
+    'tags'
+  ],
+  
+  create(write, { title }) {
+    const pdf = createPdfWriter(write, { title });
+    
+    return {
+      async write(record) {
+        const lines = [{ text: record.title, size: 16, bold: true }];
+        
+        for (const cell of record.cells) {
+          // Empty fields are left out to keep the summary on one page
+          if (cell.value === null || cell.value === '' || (Array.isArray(cell.value) && cell.value.length === 0)) {
+            continue;
+          }
+          
+          lines.push({ text: cell.label, bold: true, space: 8 });
+          if (Array.isArray(cell.value)) {
+            lines.push(...cell.value.map(item => ({ text: `• ${item}` })));
+          } else {
+            lines.push({ text: String(cell.value) });
+          }
+        }
+        
+        await pdf.addPage(lines);
+      },
+      
+      async end() {
+        await pdf.finish();
+      }
+    };
+  }
+};
@@ -0,0 +1,142 @@
+const { createZipWriter } = require('../zipWriter');
+
+// Most characters a spreadsheet cell can hold
+const MAX_CELL_LENGTH = 32767;
+
+// Parts of the workbook besides the worksheet, which is streamed
+const STATIC_PARTS = {
+  '[Content_Types].xml': [
+    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">',
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>',
+    '<Default Extension="xml" ContentType="application/xml"/>',
+    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>',
+    '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>',
+    '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>',
+    '</Types>'
+  ],
+  '_rels/.rels': [
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">',
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>',
+    '</Relationships>'
+  ],
+  'xl/workbook.xml': [
+    '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">',
+    '<sheets><sheet name="CVs" sheetId="1" r:id="rId1"/></sheets>',
+    '</workbook>'
+  ],
+  'xl/_rels/workbook.xml.rels': [
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">',
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>',
+    '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>',
+    '</Relationships>'
+  ],
+  // Style 1 is the bold header row
+  'xl/styles.xml': [
+    '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">',
+    '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>',
+    '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>',
+    '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>',
+    '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>',
+    '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>',
+    '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>',
+    '</styleSheet>'
+  ]
+};
+
+const XML_DECLARATION = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+/**
+ * Escape text for XML, dropping characters XML cannot contain
+ * @param {string} text - Text
+ * @returns {string}
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/[\x00-\x08\x0b\x0c\x0e-\x1f\ufffe\uffff]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Spreadsheet column name of a zero-based column index (0 -> A, 26 -> AA)
+ * @param {number} index - Column index
+ * @returns {string}
+ */
+function columnName(index) {
+  let name = '';
+  for (let number = index + 1; number > 0; number = Math.floor((number - 1) / 26)) {
+    name = String.fromCharCode(65 + ((number - 1) % 26)) + name;
+  }
+  return name;
+}
+
+/**
+ * Build a worksheet row
+ * @param {number} rowNumber - One-based row number
+ * @param {Array} values - Cell values (strings or numbers)
+ * @param {boolean} [header] - Whether the row uses the header style
+ * @returns {string}
+ */
+function sheetRow(rowNumber, values, header = false) {
+  const cells = values.map((value, index) => {
+    const ref = `${columnName(index)}${rowNumber}${header ? '" s="1' : ''}`;
+    if (typeof value === 'number' && Number.isFinite(value)) {
+      return `<c r="${ref}"><v>${value}</v></c>`;
+    }
+    if (value === null || value === undefined || value === '') {
+      return '';
+    }
+    const text = String(value).slice(0, MAX_CELL_LENGTH);
+    return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`;
+  });
+  return `<row r="${rowNumber}">${cells.join('')}</row>`;
+}
+
+/**
+ * Excel workbook with one worksheet: a bold header row and one row per CV; lists are joined with '; '
+ */
+module.exports = {
+  name: 'xlsx',
+  contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  extension: 'xlsx',
+  
+  create(write, { columns }) {
+    const zip = createZipWriter(write);
+    let sheet = null;
+    let rowNumber = 1;
+    
+    // Rows are written into the worksheet entry, which stays open until the export ends
+    const openSheet = async () => {
+      for (const [name, lines] of Object.entries(STATIC_PARTS)) {
+        await zip.addEntry(name, XML_DECLARATION + lines.join(''));
+      }
+      sheet = await zip.openEntry('xl/worksheets/sheet1.xml');
+      await sheet.write(XML_DECLARATION + [
+        '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">',
+        '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>',
+        '<sheetData>',
+        sheetRow(rowNumber++, columns.map(column => column.label), true)
+      ].join(''));
+    };
+    
+    return {
+      async write(record) {
+        if (!sheet) {
+          await openSheet();
+        }
+        await sheet.write(sheetRow(rowNumber++, record.cells.map(cell => (typeof cell.value === 'number' ? cell.value : cell.text))));
+      },
+      
+      async end() {
+        if (!sheet) {
+          await openSheet();
+        }
+        await sheet.write('</sheetData></worksheet>');
+        await sheet.close();
+        await zip.finish();
+      }
+    };
+  }
+};
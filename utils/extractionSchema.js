@@ -0,0 +1,349 @@
+const { normalizeProfile } = require('./cvProfile');
+const { normalizeSkills } = require('./skillTaxonomy');
+
+// Bump when fields, validation or repair rules change so stored extractions are flagged as stale
+const EXTRACTION_SCHEMA_VERSION = 2;
+
+/**
+ * Fields of the CV extraction schema.
+ * Aliases are compared after lowercasing and removing everything but letters and digits,
+ * so 'Years of experience', 'years_of_experience' and 'yearsOfExperience' all match.
+ * `normalize` maps validated values onto canonical forms before they are compared and stored.
+ */
+const EXTRACTION_FIELDS = {
+  skills: { type: 'strings', aliases: ['skills', 'skillset', 'technicalskills', 'keyskills', 'competencies'], normalize: normalizeSkills },
+  experience: { type: 'number', aliases: ['experience', 'yearsofexperience', 'totalexperience', 'experienceyears', 'years', 'totalyearsofexperience'] },
+  jobTitles: { type: 'strings', aliases: ['jobtitles', 'titles', 'positions', 'roles', 'jobtitle'] },
+  education: { type: 'strings', aliases: ['education', 'educationdetails', 'qualifications', 'degrees'] },
+  workHistory: { type: 'objects', aliases: ['workhistory', 'workexperience', 'employmenthistory', 'employment', 'professionalexperience', 'career'] },
+  educationHistory: { type: 'objects', aliases: ['educationhistory', 'educationentries', 'academichistory'] },
+  languages: { type: 'entries', aliases: ['languages', 'spokenlanguages', 'languageskills'] },
+  certifications: { type: 'entries', aliases: ['certifications', 'certificates', 'licenses', 'licensesandcertifications'] },
+  location: { type: 'string', aliases: ['location', 'city', 'address', 'residence', 'basedin'] },
+  links: { type: 'links', aliases: ['links', 'urls', 'profiles', 'sociallinks', 'websites'] },
+  contactDetails: { type: 'contact', aliases: ['contactdetails', 'contactinformation', 'contactinfo', 'contact'] }
+};
+
+// Base confidence per source and validation outcome; agreement between AI and rules adds AGREEMENT_BONUS
+const CONFIDENCE = {
+  aiValid: 0.85,
+  aiRepaired: 0.65,
+  rules: 0.5,
+  timelineAi: 0.9,
+  timelineRules: 0.6,
+  empty: 0
+};
+const AGREEMENT_BONUS = 0.1;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Reduce a key to letters and digits for alias matching
+ * @param {string} key - Key as returned by the model
+ * @returns {string}
+ */
+function simplifyKey(key) {
+  return String(key).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+const ALIAS_LOOKUP = new Map(Object.entries(EXTRACTION_FIELDS)
+  .flatMap(([field, definition]) => definition.aliases.map(alias => [alias, field])));
+
+/**
+ * Map the keys of a model response onto schema fields
+ * @param {Object} raw - Parsed model output
+ * @returns {Object} - { data, issues } where data only has schema fields
+ */
+function canonicalizeExtraction(raw) {
+  const data = {};
+  const issues = [];
+  
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { data, issues: ['Response is not a JSON object'] };
+  }
+  
+  // Some models nest the result, e.g. { "cv": { ... } }
+  const values = Object.values(raw);
+  const source = values.length === 1 && values[0] && typeof values[0] === 'object' && !Array.isArray(values[0]) &&
+    !ALIAS_LOOKUP.has(simplifyKey(Object.keys(raw)[0]))
+    ? values[0]
+    : raw;
+  
+  const contact = {};
+  for (const [key, value] of Object.entries(source)) {
+    const simple = simplifyKey(key);
+    const field = ALIAS_LOOKUP.get(simple);
+    
+    if (field && data[field] === undefined) {
+      data[field] = value;
+    } else if (['email', 'emailaddress', 'phone', 'phonenumber', 'telephone', 'mobile'].includes(simple)) {
+      // Contact details returned at the top level
+      contact[simple.startsWith('email') ? 'email' : 'phone'] = value;
+    } else if (!field) {
+      issues.push(`Ignored unknown field "${key}"`);
+    }
+  }
+  
+  if (Object.keys(contact).length > 0) {
+    data.contactDetails = { ...contact, ...(data.contactDetails && typeof data.contactDetails === 'object' ? data.contactDetails : {}) };
+  }
+  
+  // Structured entries returned under the summary fields
+  if (Array.isArray(data.education) && data.education.some(isPlainObject) && data.educationHistory === undefined) {
+    data.educationHistory = data.education;
+    data.education = undefined;
+    issues.push('Moved structured education entries to educationHistory');
+  }
+  if (Array.isArray(data.experience) && data.workHistory === undefined) {
+    data.workHistory = data.experience;
+    data.experience = undefined;
+    issues.push('Moved structured experience entries to workHistory');
+  }
+  
+  return { data, issues };
+}
+
+/**
+ * Check whether a value is a plain (non-array) object
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Whether a validated value carries no information
+ * @param {*} value - Value
+ * @returns {boolean}
+ */
+function isEmpty(value) {
+  if (value === undefined || value === null || value === '') {
+    return true;
+  }
+  if (Array.isArray(value)) {
+    return value.length === 0;
+  }
+  if (isPlainObject(value)) {
+    return Object.values(value).every(isEmpty);
+  }
+  return false;
+}
+
+/**
+ * Validate and, where possible, repair one field value
+ * @param {string} type - Field type
+ * @param {*} value - Raw value
+ * @returns {Object} - { value, status, problem } with status 'valid', 'repaired', 'invalid' or 'missing'
+ */
+function validateField(type, value) {
+  if (value === undefined || value === null || value === '') {
+    return { value: undefined, status: 'missing' };
+  }
+  
+  switch (type) {
+    case 'strings': {
+      if (typeof value === 'string') {
+        const items = value.split(/[,;\n]/).map(item => item.trim()).filter(Boolean);
+        return { value: items, status: 'repaired', problem: 'expected an array, got a string' };
+      }
+      if (!Array.isArray(value)) {
+        return { value: undefined, status: 'invalid', problem: `expected an array of strings, got ${typeof value}` };
+      }
+      const items = value
+        .map(item => (typeof item === 'number' ? String(item) : item))
+        .filter(item => typeof item === 'string' && item.trim())
+        .map(item => item.trim());
+      return items.length === value.length
+        ? { value: items, status: 'valid' }
+        : { value: items, status: 'repaired', problem: 'dropped entries that are not strings' };
+    }
+    
+    case 'number': {
+      if (typeof value === 'number' && Number.isFinite(value) && value >= 0 && value < 70) {
+        return { value, status: 'valid' };
+      }
+      const match = typeof value === 'string' ? value.match(/\d+(?:\.\d+)?/) : null;
+      if (match && parseFloat(match[0]) < 70) {
+        return { value: parseFloat(match[0]), status: 'repaired', problem: `parsed a number from "${value}"` };
+      }
+      return { value: undefined, status: 'invalid', problem: `expected a number of years, got ${JSON.stringify(value)}` };
+    }
+    
+    case 'string': {
+      if (typeof value === 'string') {
+        return { value: value.trim(), status: 'valid' };
+      }
+      if (typeof value === 'number') {
+        return { value: String(value), status: 'repaired', problem: 'expected a string, got a number' };
+      }
+      if (isPlainObject(value)) {
+        const joined = Object.values(value).filter(item => typeof item === 'string' && item.trim()).join(', ');
+        return joined
+          ? { value: joined, status: 'repaired', problem: 'joined an object into a string' }
+          : { value: undefined, status: 'invalid', problem: 'expected a string' };
+      }
+      return { value: undefined, status: 'invalid', problem: `expected a string, got ${typeof value}` };
+    }
+    
+    case 'objects': {
+      if (isPlainObject(value)) {
+        return { value: [value], status: 'repaired', problem: 'expected an array, got a single object' };
+      }
+      if (!Array.isArray(value)) {
+        return { value: undefined, status: 'invalid', problem: `expected an array of objects, got ${typeof value}` };
+      }
+      const items = value.filter(isPlainObject);
+      return items.length === value.length
+        ? { value: items, status: 'valid' }
+        : { value: items, status: 'repaired', problem: 'dropped entries that are not objects' };
+    }
+    
+    case 'entries': {
+      // Objects or short strings such as 'German (C1)'
+      const list = Array.isArray(value) ? value : typeof value === 'string' ? value.split(/[,;\n]/) : null;
+      if (!list) {
+        return { value: undefined, status: 'invalid', problem: `expected an array, got ${typeof value}` };
+      }
+      const items = list.filter(item => isPlainObject(item) || (typeof item === 'string' && item.trim()));
+      return items.length === list.length && Array.isArray(value)
+        ? { value: items, status: 'valid' }
+        : { value: items, status: 'repaired', problem: 'converted to a list of entries' };
+    }
+    
+    case 'links': {
+      if (isPlainObject(value) || (Array.isArray(value) && value.every(item => typeof item === 'string'))) {
+        return { value, status: 'valid' };
+      }
+      if (typeof value === 'string') {
+        return { value: value.split(/[\s,;]+/).filter(Boolean), status: 'repaired', problem: 'expected a list of URLs, got a string' };
+      }
+      return { value: undefined, status: 'invalid', problem: 'expected an object or array of URLs' };
+    }
+    
+    case 'contact': {
+      if (!isPlainObject(value)) {
+        return { value: undefined, status: 'invalid', problem: 'expected an object with email and phone' };
+      }
+      const contact = {};
+      const problems = [];
+      for (const [key, item] of Object.entries(value)) {
+        const simple = simplifyKey(key);
+        const target = simple.startsWith('email') ? 'email'
+          : ['phone', 'phonenumber', 'telephone', 'mobile', 'tel'].includes(simple) ? 'phone'
+            : null;
+        if (!target || typeof item !== 'string' || !item.trim()) {
+          continue;
+        }
+        if (target === 'email' && !EMAIL_PATTERN.test(item.trim())) {
+          problems.push(`dropped invalid email "${item}"`);
+          continue;
+        }
+        contact[target] = contact[target] || item.trim();
+      }
+      return problems.length > 0
+        ? { value: contact, status: 'repaired', problem: problems.join(', ') }
+        : { value: contact, status: 'valid' };
+    }
+    
+    default:
+      return { value: undefined, status: 'invalid', problem: `unknown field type ${type}` };
+  }
+}
+
+/**
+ * Whether AI and rule-based values for a field agree
+ * @param {string} type - Field type
+ * @param {*} aiValue - Validated AI value
+ * @param {*} rulesValue - Rule-based value
+ * @returns {boolean}
+ */
+function valuesAgree(type, aiValue, rulesValue) {
+  if (isEmpty(aiValue) || isEmpty(rulesValue)) {
+    return false;
+  }
+  if (type === 'number') {
+    return Math.abs(Number(aiValue) - Number(rulesValue)) <= 1;
+  }
+  if (type === 'strings') {
+    const rules = new Set(rulesValue.map(item => String(item).toLowerCase()));
+    return aiValue.some(item => rules.has(item.toLowerCase()));
+  }
+  if (type === 'string') {
+    return String(aiValue).toLowerCase().includes(String(rulesValue).toLowerCase()) ||
+      String(rulesValue).toLowerCase().includes(String(aiValue).toLowerCase());
+  }
+  if (type === 'contact') {
+    return ['email', 'phone'].some(key => aiValue[key] && rulesValue[key] &&
+      aiValue[key].replace(/\s/g, '').toLowerCase() === rulesValue[key].replace(/\s/g, '').toLowerCase());
+  }
+  return false;
+}
+
+/**
+ * Validate model output against the extraction schema and merge it with rule-based results.
+ * Valid AI values win; missing or invalid AI values are filled in from the rules.
+ * @param {Object|null} aiRaw - Parsed model output (null when AI analysis was unavailable)
+ * @param {Object} rules - Result of extractMetadata
+ * @returns {Object} - { metadata, fields, issues, source } where fields maps each field to { source, confidence, status }
+ */
+function buildExtraction(aiRaw, rules) {
+  const { data: aiData, issues } = aiRaw ? canonicalizeExtraction(aiRaw) : { data: null, issues: [] };
+  const merged = {};
+  const fields = {};
+  
+  for (const [field, definition] of Object.entries(EXTRACTION_FIELDS)) {
+    const rulesValue = rules[field];
+    const ai = aiData ? validateField(definition.type, aiData[field]) : { status: 'missing' };
+    
+    if (ai.problem) {
+      issues.push(`${field}: ${ai.problem}`);
+    }
+    
+    if (definition.normalize && !isEmpty(ai.value)) {
+      ai.value = definition.normalize(ai.value);
+    }
+    
+    if ((ai.status === 'valid' || ai.status === 'repaired') && !isEmpty(ai.value)) {
+      const base = ai.status === 'valid' ? CONFIDENCE.aiValid : CONFIDENCE.aiRepaired;
+      const bonus = valuesAgree(definition.type, ai.value, rulesValue) ? AGREEMENT_BONUS : 0;
+      merged[field] = ai.value;
+      fields[field] = { source: 'ai', confidence: Math.round(Math.min(1, base + bonus) * 100) / 100, status: ai.status };
+    } else if (!isEmpty(rulesValue)) {
+      merged[field] = rulesValue;
+      fields[field] = { source: 'rules', confidence: CONFIDENCE.rules, status: aiData ? ai.status : 'missing' };
+    } else {
+      merged[field] = undefined;
+      fields[field] = { source: aiData ? 'ai' : 'rules', confidence: CONFIDENCE.empty, status: 'missing' };
+    }
+  }
+  
+  const metadata = normalizeProfile(merged);
+  
+  // Experience derived from the timeline is as reliable as the timeline it comes from
+  if (metadata.experienceSource === 'timeline') {
+    const timelineSource = fields.workHistory.source;
+    fields.experience = {
+      source: timelineSource,
+      confidence: timelineSource === 'ai' ? CONFIDENCE.timelineAi : CONFIDENCE.timelineRules,
+      status: 'derived'
+    };
+  }
+  
+  const usedAI = Object.values(fields).some(field => field.source === 'ai' && field.confidence > 0);
+  
+  return {
+    metadata,
+    fields,
+    issues,
+    source: usedAI ? 'ai' : 'rules'
+  };
+}
+
+module.exports = {
+  EXTRACTION_SCHEMA_VERSION,
+  EXTRACTION_FIELDS,
+  canonicalizeExtraction,
+  validateField,
+  buildExtraction
+};
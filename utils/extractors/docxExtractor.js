@@ -0,0 +1,34 @@
+const mammoth = require('mammoth');
+
+/**
+ * Word (DOCX) extractor
+ */
+module.exports = {
+  name: 'docx',
+  label: 'DOCX',
+  mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+  extensions: ['.docx'],
+  
+  signature(buffer) {
+    // DOCX is a ZIP archive (PK\x03\x04) containing word/document.xml;
+    // entry names are stored uncompressed so they can be found directly
+    return buffer.length > 4 &&
+      buffer.readUInt32LE(0) === 0x04034b50 &&
+      buffer.includes('word/document.xml');
+  },
+  
+  async extract(buffer) {
+    try {
+      const result = await mammoth.extractRawText({ buffer });
+      return {
+        text: result.value,
+        warnings: result.messages
+          .filter(message => message.type === 'warning')
+          .map(message => message.message)
+      };
+    } catch (error) {
+      console.error('Error parsing DOCX:', error);
+      throw new Error('Failed to parse DOCX document');
+    }
+  }
+};
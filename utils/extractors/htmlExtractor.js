@@ -0,0 +1,72 @@
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+  ndash: '-',
+  mdash: '-',
+  bull: '•',
+  hellip: '...',
+  copy: '©'
+};
+
+/**
+ * Decode HTML entities
+ * @param {string} text - Text containing HTML entities
+ * @returns {string} - Decoded text
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const codePoint = entity[1].toLowerCase() === 'x'
+        ? parseInt(entity.substring(2), 16)
+        : parseInt(entity.substring(1), 10);
+      return Number.isFinite(codePoint) ? String.fromCodePoint(codePoint) : match;
+    }
+    return NAMED_ENTITIES[entity.toLowerCase()] || match;
+  });
+}
+
+/**
+ * Convert HTML markup to plain text, keeping block structure as line breaks
+ * @param {string} html - HTML markup
+ * @returns {string} - Plain text
+ */
+function htmlToText(html) {
+  const text = html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|head|noscript)\b[\s\S]*?<\/\1>/gi, '')
+    .replace(/<li\b[^>]*>/gi, '\n- ')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|section|article|h[1-6]|li|tr|table|ul|ol|header|footer)>/gi, '\n')
+    .replace(/<\/t[dh]>/gi, '\t')
+    .replace(/<[^>]+>/g, '');
+  
+  return decodeEntities(text)
+    .split('\n')
+    .map(line => line.replace(/[ \t]+/g, ' ').trim())
+    .join('\n');
+}
+
+/**
+ * HTML extractor
+ */
+module.exports = {
+  name: 'html',
+  label: 'HTML',
+  mimeTypes: ['text/html', 'application/xhtml+xml'],
+  extensions: ['.html', '.htm', '.xhtml'],
+  
+  sniff(buffer) {
+    const head = buffer.subarray(0, 1024).toString('utf8');
+    return /<!doctype html|<html[\s>]|<body[\s>]/i.test(head);
+  },
+  
+  extract(buffer) {
+    return htmlToText(buffer.toString('utf8'));
+  },
+  
+  htmlToText
+};
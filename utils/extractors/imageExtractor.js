@@ -0,0 +1,34 @@
+const config = require('../../config/config');
+const { recognizeImages } = require('./ocr');
+
+/**
+ * Scanned image extractor (PNG, JPEG, TIFF) using OCR
+ */
+module.exports = {
+  name: 'image',
+  label: 'PNG/JPEG/TIFF (OCR)',
+  mimeTypes: ['image/png', 'image/jpeg', 'image/tiff'],
+  extensions: ['.png', '.jpg', '.jpeg', '.tif', '.tiff'],
+  
+  signature(buffer) {
+    const hex = buffer.subarray(0, 4).toString('hex');
+    return hex === '89504e47' || // PNG
+      hex.startsWith('ffd8ff') || // JPEG
+      hex === '49492a00' || hex === '4d4d002a'; // TIFF (little/big endian)
+  },
+  
+  async extract(buffer) {
+    if (!config.extraction.ocrEnabled) {
+      const error = new Error('OCR is disabled, image CVs cannot be processed');
+      error.statusCode = 422;
+      throw error;
+    }
+    
+    const text = await recognizeImages([buffer]);
+    return {
+      text,
+      method: 'ocr',
+      warnings: ['Text was recovered with OCR and may contain errors']
+    };
+  }
+};
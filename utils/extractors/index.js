@@ -0,0 +1,185 @@
+const path = require('path');
+
+/**
+ * Registered text extractors, checked in registration order.
+ *
+ * An extractor is an object with:
+ * - name: short identifier stored with the CV (e.g. 'pdf')
+ * - label: human readable format name used in error messages
+ * - mimeTypes: MIME types handled by the extractor
+ * - extensions: file extensions handled by the extractor (lowercase, with dot)
+ * - signature(buffer): optional strict magic-byte check
+ * - sniff(buffer): optional heuristic check for formats without magic bytes
+ * - extract(buffer, file): returns the text or { text, warnings, method }
+ */
+const extractors = [];
+
+/**
+ * Register a text extractor
+ * @param {Object} extractor - Extractor definition
+ */
+function registerExtractor(extractor) {
+  if (!extractor || !extractor.name || typeof extractor.extract !== 'function') {
+    throw new Error('Extractor must have a name and an extract function');
+  }
+  
+  const existing = extractors.findIndex(item => item.name === extractor.name);
+  if (existing !== -1) {
+    extractors.splice(existing, 1, extractor);
+  } else {
+    extractors.push(extractor);
+  }
+}
+
+/**
+ * Check whether a buffer looks like text (no NUL bytes in the first 8KB)
+ * @param {Buffer} buffer - File contents
+ * @returns {boolean}
+ */
+function isTextBuffer(buffer) {
+  const sample = buffer.subarray(0, 8192);
+  return sample.length > 0 && !sample.includes(0);
+}
+
+/**
+ * Find the extractor for a file using magic bytes first, then the declared type
+ * @param {Buffer} buffer - File contents
+ * @param {Object} file - File info ({ mimetype, originalname })
+ * @returns {Object|null} - Matching extractor or null
+ */
+function detectExtractor(buffer, file = {}) {
+  const bySignature = extractors.find(extractor => extractor.signature && extractor.signature(buffer));
+  if (bySignature) {
+    return bySignature;
+  }
+  
+  // Formats without magic bytes must at least be text
+  if (!isTextBuffer(buffer)) {
+    return null;
+  }
+  
+  const extension = path.extname(file.originalname || '').toLowerCase();
+  const byDeclaredType = extractors.find(extractor => !extractor.signature && (
+    (extractor.mimeTypes || []).includes(file.mimetype) ||
+    (extension && (extractor.extensions || []).includes(extension))
+  ));
+  if (byDeclaredType) {
+    return byDeclaredType;
+  }
+  
+  return extractors.find(extractor => extractor.sniff && extractor.sniff(buffer)) || null;
+}
+
+/**
+ * Create the error raised for files no extractor can handle
+ * @returns {Error} - Error with code UNSUPPORTED_FILE_TYPE
+ */
+function createUnsupportedFileTypeError() {
+  const error = new Error('Unsupported file type');
+  error.code = 'UNSUPPORTED_FILE_TYPE';
+  error.statusCode = 415;
+  return error;
+}
+
+/**
+ * Normalize extracted text (line endings and excessive blank lines)
+ * @param {string} text - Raw extracted text
+ * @returns {string} - Cleaned text
+ */
+function normalizeText(text) {
+  return (text || '')
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Extract text from an uploaded document
+ * @param {Buffer} buffer - File contents
+ * @param {Object} file - File info ({ mimetype, originalname })
+ * @returns {Promise<Object>} - { text, fileType, mimeType, method, warnings }
+ */
+async function extractText(buffer, file = {}) {
+  const extractor = detectExtractor(buffer, file);
+  
+  if (!extractor) {
+    throw createUnsupportedFileTypeError();
+  }
+  
+  const result = await extractor.extract(buffer, file);
+  const { text, warnings = [], method = 'text' } = typeof result === 'string' ? { text: result } : result;
+  const normalized = normalizeText(text);
+  
+  if (!normalized) {
+    const error = new Error('No text could be extracted from the document');
+    error.statusCode = 422;
+    throw error;
+  }
+  
+  return {
+    text: normalized,
+    fileType: extractor.name,
+    mimeType: extractor.mimeTypes.includes(file.mimetype) ? file.mimetype : extractor.mimeTypes[0],
+    method,
+    warnings
+  };
+}
+
+/**
+ * Check whether an upload may be accepted before its contents are inspected
+ * @param {Object} file - Multer file info ({ mimetype, originalname })
+ * @returns {boolean}
+ */
+function isAcceptedUpload(file) {
+  const extension = path.extname(file.originalname || '').toLowerCase();
+  
+  // Generic binary uploads are accepted here and checked by magic bytes later
+  return file.mimetype === 'application/octet-stream' ||
+    getSupportedMimeTypes().includes(file.mimetype) ||
+    getSupportedExtensions().includes(extension);
+}
+
+/**
+ * Get all MIME types handled by registered extractors
+ * @returns {string[]}
+ */
+function getSupportedMimeTypes() {
+  return [...new Set(extractors.flatMap(extractor => extractor.mimeTypes || []))];
+}
+
+/**
+ * Get all file extensions handled by registered extractors
+ * @returns {string[]}
+ */
+function getSupportedExtensions() {
+  return [...new Set(extractors.flatMap(extractor => extractor.extensions || []))];
+}
+
+/**
+ * Describe the supported formats for error messages
+ * @returns {string}
+ */
+function describeSupportedFormats() {
+  return extractors.map(extractor => extractor.label || extractor.name).join(', ');
+}
+
+// Built-in extractors (text fallback last)
+registerExtractor(require('./pdfExtractor'));
+registerExtractor(require('./docxExtractor'));
+registerExtractor(require('./rtfExtractor'));
+registerExtractor(require('./imageExtractor'));
+registerExtractor(require('./htmlExtractor'));
+registerExtractor(require('./textExtractor'));
+
+module.exports = {
+  registerExtractor,
+  detectExtractor,
+  extractText,
+  isAcceptedUpload,
+  isTextBuffer,
+  getSupportedMimeTypes,
+  getSupportedExtensions,
+  describeSupportedFormats,
+  createUnsupportedFileTypeError
+};
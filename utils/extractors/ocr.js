@@ -0,0 +1,200 @@
+const zlib = require('zlib');
+const config = require('../../config/config');
+
+/**
+ * Run OCR over a list of images
+ * @param {Buffer[]} images - Encoded images (PNG, JPEG, TIFF)
+ * @returns {Promise<string>} - Recognized text, one block per image
+ */
+async function recognizeImages(images) {
+  // Loaded lazily so the OCR engine is only started when it is needed
+  const { createWorker } = require('tesseract.js');
+  const options = {};
+  if (config.extraction.ocrLangPath) {
+    options.langPath = config.extraction.ocrLangPath;
+  }
+  
+  const worker = await createWorker(config.extraction.ocrLanguage, undefined, options);
+  
+  try {
+    const pages = [];
+    for (const image of images) {
+      const { data } = await worker.recognize(image);
+      pages.push(data.text);
+    }
+    return pages.join('\n\n');
+  } finally {
+    await worker.terminate();
+  }
+}
+
+/**
+ * Compute the CRC32 checksum used by PNG chunks
+ * @param {Buffer} buffer - Chunk type and data
+ * @returns {number} - Unsigned CRC32
+ */
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc ^= byte;
+    for (let k = 0; k < 8; k++) {
+      crc = crc & 1 ? (crc >>> 1) ^ 0xedb88320 : crc >>> 1;
+    }
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Build a PNG chunk
+ * @param {string} type - Four letter chunk type
+ * @param {Buffer} data - Chunk data
+ * @returns {Buffer}
+ */
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * Encode raw PDF image samples as a PNG so the OCR engine can read them
+ * @param {Buffer} samples - Uncompressed samples, rows packed without padding bits between pixels
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {number} bitDepth - Bits per component (1 or 8)
+ * @param {number} channels - 1 for grayscale, 3 for RGB
+ * @returns {Buffer|null} - PNG file or null if the samples do not fit the dimensions
+ */
+function encodePNG(samples, width, height, bitDepth, channels) {
+  const rowBytes = Math.ceil((width * channels * bitDepth) / 8);
+  if (samples.length < rowBytes * height) {
+    return null;
+  }
+  
+  // Every PNG row starts with a filter type byte (0 = none)
+  const filtered = Buffer.alloc((rowBytes + 1) * height);
+  for (let row = 0; row < height; row++) {
+    samples.copy(filtered, row * (rowBytes + 1) + 1, row * rowBytes, (row + 1) * rowBytes);
+  }
+  
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = bitDepth;
+  header[9] = channels === 3 ? 2 : 0;
+  
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(filtered)),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+/**
+ * Find the dictionary that precedes a stream keyword
+ * @param {string} source - PDF source as latin1 string
+ * @param {number} streamIndex - Index of the "stream" keyword
+ * @returns {string|null} - Dictionary source without the outer brackets
+ */
+function findStreamDictionary(source, streamIndex) {
+  const end = source.lastIndexOf('>>', streamIndex);
+  if (end === -1 || source.substring(end + 2, streamIndex).trim() !== '') {
+    return null;
+  }
+  
+  let depth = 0;
+  for (let i = end + 1; i > 0; i--) {
+    if (source[i] === '>' && source[i - 1] === '>') {
+      depth++;
+      i--;
+    } else if (source[i] === '<' && source[i - 1] === '<') {
+      depth--;
+      i--;
+      if (depth === 0) {
+        return source.substring(i + 2, end);
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Extract embedded page images from a scanned PDF.
+ * Handles JPEG (DCTDecode) images and uncompressed or Flate-compressed
+ * 8-bit grayscale/RGB and 1-bit grayscale images, which covers typical scanner output.
+ * @param {Buffer} pdfBuffer - PDF file
+ * @returns {Buffer[]} - Encoded images ready for OCR
+ */
+function extractPdfImages(pdfBuffer) {
+  const source = pdfBuffer.toString('latin1');
+  const images = [];
+  const streamPattern = /stream\r?\n/g;
+  let match;
+  
+  while ((match = streamPattern.exec(source)) !== null) {
+    const dictionary = findStreamDictionary(source, match.index);
+    if (!dictionary || !/\/Subtype\s*\/Image\b/.test(dictionary)) {
+      continue;
+    }
+    
+    const dataStart = match.index + match[0].length;
+    const directLength = /\/Length\s+(\d+)(?!\s+\d+\s+R)/.exec(dictionary);
+    const dataEnd = directLength
+      ? dataStart + parseInt(directLength[1], 10)
+      : source.indexOf('endstream', dataStart);
+    if (dataEnd <= dataStart) {
+      continue;
+    }
+    
+    const data = pdfBuffer.subarray(dataStart, dataEnd);
+    const filter = (/\/Filter\s*\[?\s*\/(\w+)/.exec(dictionary) || [])[1];
+    
+    if (filter === 'DCTDecode') {
+      images.push(Buffer.from(data));
+      continue;
+    }
+    
+    if (filter && filter !== 'FlateDecode') {
+      // CCITT, JBIG2 and other scanner codecs are not supported
+      continue;
+    }
+    
+    // Images using a PNG predictor cannot be copied row by row
+    if (/\/Predictor\s+(1\d)/.test(dictionary)) {
+      continue;
+    }
+    
+    const width = parseInt((/\/Width\s+(\d+)/.exec(dictionary) || [])[1], 10);
+    const height = parseInt((/\/Height\s+(\d+)/.exec(dictionary) || [])[1], 10);
+    const bitDepth = parseInt((/\/BitsPerComponent\s+(\d+)/.exec(dictionary) || [])[1] || '8', 10);
+    const channels = /\/ColorSpace\s*\/DeviceRGB/.test(dictionary) ? 3
+      : (/\/ColorSpace\s*\/DeviceGray/.test(dictionary) || /\/ImageMask\s+true/.test(dictionary)) ? 1
+      : 0;
+    
+    if (!width || !height || !channels || ![1, 8].includes(bitDepth) || (bitDepth === 1 && channels !== 1)) {
+      continue;
+    }
+    
+    try {
+      const samples = filter === 'FlateDecode' ? zlib.inflateSync(data) : data;
+      const png = encodePNG(samples, width, height, bitDepth, channels);
+      if (png) {
+        images.push(png);
+      }
+    } catch (error) {
+      console.warn('Skipping unreadable PDF image:', error.message);
+    }
+  }
+  
+  return images;
+}
+
+module.exports = {
+  recognizeImages,
+  extractPdfImages,
+  encodePNG
+};
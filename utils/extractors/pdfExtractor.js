@@ -0,0 +1,84 @@
+const pdfParse = require('pdf-parse');
+const config = require('../../config/config');
+const { recognizeImages, extractPdfImages } = require('./ocr');
+
+/**
+ * Parse PDF buffer and extract its text layer
+ * @param {Buffer} pdfBuffer - Buffer of PDF file
+ * @returns {Promise<string>} - Extracted text content
+ */
+async function parsePDF(pdfBuffer) {
+  try {
+    const data = await pdfParse(pdfBuffer);
+    return data.text;
+  } catch (error) {
+    console.error('Error parsing PDF:', error);
+    throw new Error('Failed to parse PDF document');
+  }
+}
+
+/**
+ * Count the characters that carry meaning (letters and digits)
+ * @param {string} text - Extracted text
+ * @returns {number}
+ */
+function meaningfulLength(text) {
+  return (text.match(/[\p{L}\p{N}]/gu) || []).length;
+}
+
+/**
+ * PDF extractor with an OCR fallback for scanned documents
+ */
+module.exports = {
+  name: 'pdf',
+  label: 'PDF',
+  mimeTypes: ['application/pdf'],
+  extensions: ['.pdf'],
+  
+  signature(buffer) {
+    return buffer.subarray(0, 1024).includes('%PDF-');
+  },
+  
+  async extract(buffer) {
+    const text = await parsePDF(buffer);
+    
+    if (meaningfulLength(text) >= config.extraction.ocrMinTextLength) {
+      return { text };
+    }
+    
+    if (!config.extraction.ocrEnabled) {
+      return {
+        text,
+        warnings: ['The PDF has little or no text layer and OCR is disabled']
+      };
+    }
+    
+    const images = extractPdfImages(buffer);
+    if (images.length === 0) {
+      return {
+        text,
+        warnings: ['The PDF has little or no text layer and no images suitable for OCR were found']
+      };
+    }
+    
+    try {
+      console.log(`PDF has no usable text layer, running OCR on ${images.length} image(s)`);
+      const ocrText = await recognizeImages(images);
+      
+      if (meaningfulLength(ocrText) <= meaningfulLength(text)) {
+        return { text, warnings: ['OCR did not recover more text than the PDF text layer'] };
+      }
+      
+      return {
+        text: ocrText,
+        method: 'ocr',
+        warnings: ['The PDF has no text layer; its text was recovered with OCR and may contain errors']
+      };
+    } catch (error) {
+      console.error('OCR failed:', error);
+      return { text, warnings: [`OCR failed: ${error.message}`] };
+    }
+  },
+  
+  parsePDF
+};
@@ -0,0 +1,145 @@
+// Destination groups whose contents are not part of the document text
+const SKIPPED_DESTINATIONS = new Set([
+  'fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'object', 'themedata',
+  'colorschememapping', 'datastore', 'latentstyles', 'listtable', 'listoverridetable',
+  'rsidtbl', 'generator', 'xmlnstbl', 'mmathPr', 'header', 'footer', 'headerl',
+  'headerr', 'footerl', 'footerr', 'fldinst'
+]);
+
+const CONTROL_WORD_TEXT = {
+  par: '\n',
+  line: '\n',
+  sect: '\n\n',
+  page: '\n\n',
+  row: '\n',
+  cell: '\t',
+  tab: '\t',
+  emdash: '-',
+  endash: '-',
+  bullet: '•',
+  lquote: "'",
+  rquote: "'",
+  ldblquote: '"',
+  rdblquote: '"'
+};
+
+/**
+ * Convert RTF markup to plain text
+ * @param {string} rtf - RTF document
+ * @returns {string} - Plain text
+ */
+function rtfToText(rtf) {
+  const stack = [];
+  let state = { skip: false, unicodeSkip: 1 };
+  let pendingSkip = 0;
+  let output = '';
+  let i = 0;
+  
+  const emit = text => {
+    if (pendingSkip > 0) {
+      pendingSkip--;
+      return;
+    }
+    if (!state.skip) {
+      output += text;
+    }
+  };
+  
+  while (i < rtf.length) {
+    const char = rtf[i];
+    
+    if (char === '{') {
+      stack.push(state);
+      state = { ...state };
+      i++;
+      continue;
+    }
+    
+    if (char === '}') {
+      state = stack.pop() || state;
+      i++;
+      continue;
+    }
+    
+    if (char === '\\') {
+      const next = rtf[i + 1];
+      
+      // Escaped literal characters
+      if (next === '\\' || next === '{' || next === '}') {
+        emit(next);
+        i += 2;
+        continue;
+      }
+      
+      // \'hh - character in the document code page
+      if (next === "'") {
+        emit(Buffer.from([parseInt(rtf.substr(i + 2, 2), 16)]).toString('latin1'));
+        i += 4;
+        continue;
+      }
+      
+      // \* marks an ignorable destination
+      if (next === '*') {
+        state.skip = true;
+        i += 2;
+        continue;
+      }
+      
+      const match = /^([a-zA-Z]+)(-?\d+)? ?/.exec(rtf.substring(i + 1, i + 40));
+      if (!match) {
+        // Control symbols such as \~ (non-breaking space) or \- (optional hyphen)
+        if (next === '~') emit(' ');
+        if (next === '_') emit('-');
+        i += 2;
+        continue;
+      }
+      
+      const [token, word, param] = match;
+      i += 1 + token.length;
+      pendingSkip = 0;
+      
+      if (SKIPPED_DESTINATIONS.has(word)) {
+        state.skip = true;
+      } else if (word === 'uc') {
+        state.unicodeSkip = parseInt(param, 10);
+      } else if (word === 'u') {
+        let codePoint = parseInt(param, 10);
+        if (codePoint < 0) codePoint += 65536;
+        emit(String.fromCharCode(codePoint));
+        // Skip the ANSI fallback characters that follow \uN
+        pendingSkip = state.unicodeSkip;
+      } else if (CONTROL_WORD_TEXT[word]) {
+        emit(CONTROL_WORD_TEXT[word]);
+      }
+      continue;
+    }
+    
+    // Raw line breaks in RTF source are not significant
+    if (char !== '\r' && char !== '\n') {
+      emit(char);
+    }
+    i++;
+  }
+  
+  return output;
+}
+
+/**
+ * Rich Text Format extractor
+ */
+module.exports = {
+  name: 'rtf',
+  label: 'RTF',
+  mimeTypes: ['application/rtf', 'text/rtf'],
+  extensions: ['.rtf'],
+  
+  signature(buffer) {
+    return buffer.subarray(0, 5).toString('latin1') === '{\\rtf';
+  },
+  
+  extract(buffer) {
+    return rtfToText(buffer.toString('latin1'));
+  },
+  
+  rtfToText
+};
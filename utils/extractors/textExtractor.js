@@ -0,0 +1,18 @@
+/**
+ * Plain text and Markdown extractor
+ */
+module.exports = {
+  name: 'text',
+  label: 'TXT/Markdown',
+  mimeTypes: ['text/plain', 'text/markdown', 'text/x-markdown'],
+  extensions: ['.txt', '.text', '.md', '.markdown'],
+  
+  sniff(buffer) {
+    return buffer.length > 0 && !buffer.subarray(0, 8192).includes(0);
+  },
+  
+  extract(buffer) {
+    // Drop a UTF-8 byte order mark if present
+    return buffer.toString('utf8').replace(/^\uFEFF/, '');
+  }
+};
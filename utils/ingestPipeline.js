@@ -0,0 +1,292 @@
+const CV = require('../models/cvModel');
+const { parseDocument, extractMetadata } = require('./cvParser');
+const { ANALYSIS_VERSION, getEmbeddingInfo, getAnalysisInfo, splitForAnalysis, analyzeCV } = require('./openaiService');
+const { EXTRACTION_SCHEMA_VERSION, buildExtraction } = require('./extractionSchema');
+const { computeContentHash, findDuplicate } = require('./duplicateDetector');
+const { linkAsNewVersion, renumberVersions } = require('./candidateVersions');
+const { storeOriginalFile, removeStoredFile } = require('./storage');
+const { evaluateSavedSearches } = require('./savedSearchAlerts');
+const { emitEvent } = require('./events');
+const { embedContent, savePassages } = require('./passages');
+const { getAIRedactor } = require('./pii');
+
+const EMBEDDING_WARNING = 'Embeddings could not be generated. This CV will not appear in vector searches.';
+const FILE_STORAGE_WARNING = 'The original file could not be stored. Only the extracted text is available.';
+
+/**
+ * Fields recording which provider and model produced a CV's embeddings
+ * @returns {Object} - { embeddingProvider, embeddingModel }
+ */
+function embeddingFields() {
+  const { provider, model } = getEmbeddingInfo();
+  return { embeddingProvider: provider, embeddingModel: model };
+}
+
+/**
+ * Extract metadata - AI analysis validated against the extraction schema, with rule-based values
+ * filling in fields the AI left out or got wrong. When the tenant redacts personal data before
+ * AI calls, the provider gets redacted text and contact details and links come from the rules.
+ * @param {string} textContent - CV text content
+ * @returns {Promise<Object>} - { metadata, source, extraction } where source is 'ai' or 'rules'
+ */
+async function analyzeContent(textContent) {
+  let aiAnalysis = null;
+  let skippedChunks = 0;
+  try {
+    const redactor = await getAIRedactor(textContent);
+    const analyzedText = redactor ? redactor.content : textContent;
+    aiAnalysis = await analyzeCV(analyzedText);
+    if (aiAnalysis) {
+      skippedChunks = splitForAnalysis(analyzedText).skipped;
+    }
+    if (aiAnalysis && redactor) {
+      // The provider only saw placeholders such as [EMAIL]
+      aiAnalysis = { ...aiAnalysis, contactDetails: undefined, links: undefined };
+    }
+  } catch (error) {
+    console.error('AI analysis failed, using rule-based extraction:', error);
+  }
+  
+  const { metadata, fields, issues, source } = buildExtraction(aiAnalysis, extractMetadata(textContent));
+  const { provider, model } = getAnalysisInfo();
+  
+  // The end of very long CVs only reaches the metadata through the rule-based extraction
+  if (skippedChunks > 0) {
+    issues.push(`Skipped ${skippedChunks} chunk(s) at the end of the CV beyond ANALYSIS_MAX_CHUNKS; their text was only used by the rule-based extraction`);
+  }
+  
+  if (issues.length > 0) {
+    console.warn(`CV extraction repaired: ${issues.join('; ')}`);
+  }
+  
+  return {
+    metadata,
+    source,
+    extraction: {
+      schemaVersion: EXTRACTION_SCHEMA_VERSION,
+      promptVersion: ANALYSIS_VERSION,
+      model: aiAnalysis ? `${provider}/${model}` : undefined,
+      fields,
+      issues,
+      extractedAt: new Date()
+    }
+  };
+}
+
+/**
+ * Store the original file of a CV, logging instead of failing the ingest
+ * @param {Object} cv - CV document
+ * @param {Object} file - Uploaded file
+ * @param {string} mimeType - Detected MIME type
+ * @returns {Promise<Object|null>} - Stored file info or null on failure
+ */
+async function storeFile(cv, file, mimeType) {
+  try {
+    return await storeOriginalFile(cv._id.toString(), file, mimeType);
+  } catch (error) {
+    console.error('Storing the original file failed:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Save a CV, removing its newly stored file if the save fails
+ * @param {Object} cv - CV document
+ * @param {Object|null} storedFile - File stored for this save
+ */
+async function saveWithFile(cv, storedFile) {
+  try {
+    await cv.save();
+  } catch (error) {
+    await removeStoredFile(storedFile).catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * Store the passages of a saved CV. If that fails the CV stays searchable by its whole-CV embedding.
+ * @param {Object} cv - Saved CV document
+ * @param {Object[]} passages - Embedded passages
+ */
+async function storePassages(cv, passages) {
+  try {
+    await savePassages(cv, passages);
+  } catch (error) {
+    console.error(`Storing the passages of CV ${cv._id} failed:`, error.message);
+    cv.passageCount = 0;
+    await cv.save();
+  }
+}
+
+/**
+ * Run the ingest pipeline for one file: parse → passage embeddings → AI analysis → save
+ * @param {Object} file - File to ingest ({ buffer, originalname, mimetype })
+ * @param {Object} [options] - { existingCv } to replace the file of an existing CV instead of creating one,
+ *   { ingestTaskId } to record the bulk upload task creating the CV, { cvId } to save a new CV under an ID
+ *   that events emitted before the save already named
+ * @returns {Promise<Object>} - { cv, warnings, extractionWarnings, embeddingsGenerated, fileStored, duplicate }
+ */
+async function processCVFile(file, { existingCv, ingestTaskId, cvId } = {}) {
+  // Extract text using the extractor matching the file's format
+  const document = await parseDocument(file.buffer, file);
+  const textContent = document.text;
+  
+  // Embed the CV's passages (sections and entries) in batches; the CV's own embedding is their mean
+  let embedding = [];
+  let passages = [];
+  let embeddingError = null;
+  try {
+    ({ passages, embedding } = await embedContent(textContent));
+  } catch (error) {
+    embeddingError = error;
+    console.error('Embedding generation failed:', error.message);
+    // Continue without embeddings - this will affect search but still allow uploads
+    console.warn('Continuing without embeddings - vector search will not work for this document');
+  }
+  
+  const { metadata, source: metadataSource, extraction } = await analyzeContent(textContent);
+  
+  const fields = {
+    filename: file.originalname,
+    originalName: file.originalname,
+    content: textContent,
+    mimeType: document.mimeType,
+    extractionMethod: document.method,
+    embeddings: embedding,
+    ...(embedding.length > 0 ? embeddingFields() : { embeddingProvider: undefined, embeddingModel: undefined }),
+    passageCount: passages.length,
+    metadataVersion: ANALYSIS_VERSION,
+    metadataSource,
+    extraction,
+    contentHash: computeContentHash(textContent)
+  };
+  
+  // Replacing the file keeps the CV's identity, versions and recruiter corrections
+  if (existingCv) {
+    const previousFile = existingCv.file && existingCv.file.key ? existingCv.file.toObject() : null;
+    const storedFile = await storeFile(existingCv, file, document.mimeType);
+    
+    // Identical bytes are stored under the same key, so that file must never be removed
+    const sameFile = Boolean(storedFile && previousFile &&
+      storedFile.key === previousFile.key && storedFile.backend === previousFile.backend);
+    
+    existingCv.set(fields);
+    existingCv.file = storedFile || undefined;
+    existingCv.setExtractedMetadata(metadata);
+    await saveWithFile(existingCv, sameFile ? null : storedFile);
+    // Also removes the passages of the previous content when the new one could not be embedded
+    await storePassages(existingCv, passages);
+    
+    if (previousFile && !sameFile) {
+      await removeStoredFile(previousFile)
+        .catch(error => console.error('Removing the replaced file failed:', error.message));
+    }
+    
+    const result = buildResult(existingCv, document, embedding, null, storedFile);
+    emitIngestEvents(result, embeddingError, true);
+    return result;
+  }
+  
+  // Create and save the CV document
+  const cv = new CV({ ...fields, ingestTaskId, ...(cvId ? { _id: cvId } : {}) });
+  cv.setExtractedMetadata(metadata);
+  const storedFile = await storeFile(cv, file, document.mimeType);
+  if (storedFile) {
+    cv.file = storedFile;
+  }
+  
+  // Link re-applications to the existing candidate instead of adding another search hit
+  let duplicate = null;
+  try {
+    duplicate = await findDuplicate(cv);
+  } catch (error) {
+    console.error('Duplicate detection failed:', error.message);
+  }
+  
+  if (duplicate) {
+    linkAsNewVersion(cv, duplicate);
+  }
+  
+  await saveWithFile(cv, storedFile);
+  await storePassages(cv, passages);
+  
+  if (duplicate) {
+    cv.version = await renumberVersions(cv.candidateId);
+  }
+  
+  // Saved searches are checked in the background, so alerts never slow down or fail an ingest
+  evaluateSavedSearches(cv)
+    .catch(error => console.error(`Saved search alerts failed for CV ${cv._id}:`, error.message));
+  
+  const result = buildResult(cv, document, embedding, duplicate, storedFile);
+  emitIngestEvents(result, embeddingError, false);
+  return result;
+}
+
+/**
+ * Emit cv.processed for a stored CV, preceded by cv.embedding_failed when it has no embeddings
+ * @param {Object} result - Pipeline result
+ * @param {Error|null} embeddingError - Error of the embedding provider
+ * @param {boolean} replaced - Whether the file of an existing CV was replaced
+ */
+function emitIngestEvents({ cv, embeddingsGenerated, fileStored, duplicate }, embeddingError, replaced) {
+  if (!embeddingsGenerated) {
+    emitEvent('cv.embedding_failed', {
+      cvId: cv._id,
+      candidateId: cv.candidateId,
+      originalName: cv.originalName,
+      error: embeddingError ? embeddingError.message : 'No embeddings were returned'
+    });
+  }
+  
+  emitEvent('cv.processed', {
+    cvId: cv._id,
+    candidateId: cv.candidateId,
+    version: cv.version,
+    originalName: cv.originalName,
+    metadataSource: cv.metadataSource,
+    embeddingsGenerated,
+    fileStored,
+    replaced,
+    duplicateOf: duplicate ? duplicate.cv._id : null
+  });
+}
+
+/**
+ * Build the pipeline result with warnings for the caller
+ * @param {Object} cv - Saved CV document
+ * @param {Object} document - Parsed document
+ * @param {number[]} embedding - Generated embedding
+ * @param {Object|null} duplicate - Duplicate match
+ * @param {Object|null} storedFile - Stored original file info
+ * @returns {Object} - { cv, warnings, extractionWarnings, embeddingsGenerated, fileStored, duplicate }
+ */
+function buildResult(cv, document, embedding, duplicate, storedFile) {
+  const warnings = [...document.warnings];
+  if (embedding.length === 0) {
+    warnings.push(EMBEDDING_WARNING);
+  }
+  if (!storedFile) {
+    warnings.push(FILE_STORAGE_WARNING);
+  }
+  if (duplicate) {
+    warnings.push(`Matched an existing candidate (${duplicate.matchedBy.join(', ')}) and stored as version ${cv.version}`);
+  }
+  
+  return {
+    cv,
+    warnings,
+    extractionWarnings: document.warnings,
+    embeddingsGenerated: embedding.length > 0,
+    fileStored: Boolean(storedFile),
+    duplicate
+  };
+}
+
+module.exports = {
+  processCVFile,
+  analyzeContent,
+  embeddingFields,
+  EMBEDDING_WARNING,
+  FILE_STORAGE_WARNING
+};
@@ -0,0 +1,318 @@
+const Batch = require('../models/batchModel');
+const IngestTask = require('../models/ingestTaskModel');
+const CV = require('../models/cvModel');
+const config = require('../config/config');
+const { processCVFile } = require('./ingestPipeline');
+const { getStorage, readStoredFile, removeStoredFile } = require('./storage');
+const { runWithTenant, runWithoutTenant } = require('./tenantScope');
+const { getTenantContext } = require('./tenants');
+const { emitEvent } = require('./events');
+
+const TERMINAL_BATCH_STATUSES = ['completed', 'completed_with_errors', 'failed'];
+
+let pollTimer = null;
+let activeTasks = 0;
+let running = false;
+let polling = false;
+
+/**
+ * Create a batch and queue its files for background processing. The files are kept in the
+ * storage backend until processed; if queueing fails the batch is marked failed.
+ * @param {Object[]} files - Files to ingest ({ buffer, originalname, mimetype, archive })
+ * @param {Object[]} skipped - Files rejected up front ({ originalname, archive, error })
+ * @returns {Promise<Object>} - The saved batch
+ */
+async function enqueueBatch(files, skipped = []) {
+  const batch = new Batch({
+    files: [
+      ...files.map(file => ({ filename: file.originalname, archive: file.archive })),
+      ...skipped.map(file => ({
+        filename: file.originalname,
+        archive: file.archive,
+        status: 'skipped',
+        error: file.error
+      }))
+    ]
+  });
+  batch.status = batch.deriveStatus();
+  if (batch.status === 'failed') {
+    batch.completedAt = new Date();
+  }
+  await batch.save();
+  
+  const storage = getStorage();
+  const tasks = files.map((file, index) => ({
+    batchId: batch._id,
+    fileId: batch.files[index]._id,
+    filename: file.originalname,
+    mimetype: file.mimetype,
+    // Task documents would run into MongoDB's 16MB limit, so the bytes go to the storage backend
+    file: { backend: storage.name, key: `ingest/${batch._id}/${batch.files[index]._id}` },
+    maxAttempts: config.queue.maxAttempts
+  }));
+  
+  try {
+    for (const [index, task] of tasks.entries()) {
+      await storage.save(task.file.key, files[index].buffer, { contentType: files[index].mimetype });
+    }
+    await IngestTask.insertMany(tasks);
+  } catch (error) {
+    await abortBatch(batch, tasks, error);
+    throw error;
+  }
+  
+  files.forEach((file, index) => emitEvent('cv.uploaded', {
+    originalName: file.originalname,
+    mimeType: file.mimetype,
+    size: file.buffer.length,
+    batchId: batch._id,
+    fileId: batch.files[index]._id
+  }));
+  
+  // Pick the new tasks up straight away instead of waiting for the next poll
+  if (running) {
+    setImmediate(poll);
+  }
+  
+  return batch;
+}
+
+/**
+ * Mark a batch whose files could not be queued as failed and remove what was queued of it
+ * @param {Object} batch - Saved batch
+ * @param {Object[]} tasks - Tasks of the batch
+ * @param {Error} error - Error that stopped the queueing
+ */
+async function abortBatch(batch, tasks, error) {
+  try {
+    await IngestTask.deleteMany({ batchId: batch._id });
+    await Promise.all(tasks.map(task => removeStoredFile(task.file).catch(() => false)));
+    
+    for (const file of batch.files) {
+      if (file.status === 'queued') {
+        file.status = 'failed';
+        file.error = `The file could not be queued: ${error.message}`;
+      }
+    }
+    batch.status = 'failed';
+    batch.completedAt = new Date();
+    await batch.save();
+  } catch (cleanupError) {
+    console.error(`Cleaning up batch ${batch._id} failed:`, cleanupError.message);
+  }
+}
+
+/**
+ * Update the status of a file in its batch and refresh the batch status
+ * @param {Object} task - Ingest task
+ * @param {Object} fields - Fields to set on the batch file entry
+ */
+async function updateBatchFile(task, fields) {
+  const update = {};
+  for (const [key, value] of Object.entries(fields)) {
+    update[`files.$.${key}`] = value;
+  }
+  await Batch.updateOne({ _id: task.batchId, 'files._id': task.fileId }, { $set: update });
+  
+  const batch = await Batch.findById(task.batchId);
+  if (!batch) {
+    return;
+  }
+  
+  const status = batch.deriveStatus();
+  const batchUpdate = { status };
+  if (TERMINAL_BATCH_STATUSES.includes(status)) {
+    batchUpdate.completedAt = new Date();
+  }
+  
+  // Never move a finished batch back to an earlier status when workers race
+  await Batch.updateOne(
+    { _id: batch._id, status: { $nin: TERMINAL_BATCH_STATUSES } },
+    { $set: batchUpdate }
+  );
+}
+
+/**
+ * Atomically claim the next runnable task of any tenant, including tasks whose worker died
+ * @returns {Promise<Object|null>} - Claimed task or null
+ */
+async function claimTask() {
+  const now = new Date();
+  const staleLock = new Date(now.getTime() - config.queue.lockTimeout);
+  
+  // Polls can be triggered from a request, whose tenant must not limit the queue
+  return runWithoutTenant(() => IngestTask.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'queued', runAt: { $lte: now } },
+        { status: 'processing', lockedAt: { $lt: staleLock } }
+      ]
+    },
+    {
+      $set: { status: 'processing', lockedAt: now },
+      $inc: { attempts: 1 }
+    },
+    { sort: { runAt: 1 }, new: true }
+  ));
+}
+
+/**
+ * Check whether an ingest error will fail again on retry
+ * @param {Error} error - Error thrown by the pipeline
+ * @returns {boolean}
+ */
+function isPermanentError(error) {
+  return error.code === 'UNSUPPORTED_FILE_TYPE' ||
+    error.code === 'QUEUED_FILE_MISSING' ||
+    (error.statusCode >= 400 && error.statusCode < 500);
+}
+
+/**
+ * Process a claimed task inside the tenant that uploaded it
+ * @param {Object} task - Claimed ingest task
+ */
+async function runTask(task) {
+  const tenant = task.tenantId ? await getTenantContext(task.tenantId) : null;
+  return runWithTenant(tenant, () => processTask(task));
+}
+
+/**
+ * Load the bytes of a queued file
+ * @param {Object} task - Ingest task
+ * @returns {Promise<Buffer>}
+ */
+async function readTaskFile(task) {
+  const buffer = task.file && task.file.key ? await readStoredFile(task.file) : task.data;
+  if (!buffer) {
+    const error = new Error('The queued file is missing from storage');
+    error.code = 'QUEUED_FILE_MISSING';
+    throw error;
+  }
+  return buffer;
+}
+
+/**
+ * Remove the stored file of a finished task, logging instead of failing
+ * @param {Object} task - Ingest task
+ */
+async function removeTaskFile(task) {
+  await removeStoredFile(task.file)
+    .catch(error => console.error(`Removing the queued file of ${task.filename} failed:`, error.message));
+}
+
+/**
+ * Process a claimed task through the ingest pipeline
+ * @param {Object} task - Claimed ingest task
+ */
+async function processTask(task) {
+  await updateBatchFile(task, { status: 'processing', attempts: task.attempts });
+  
+  try {
+    // A worker that died after saving the CV must not leave a retry to create it again
+    let cv = await CV.findOne({ ingestTaskId: task._id }).select('_id');
+    let warnings = [];
+    if (!cv) {
+      ({ cv, warnings } = await processCVFile({
+        buffer: await readTaskFile(task),
+        originalname: task.filename,
+        mimetype: task.mimetype
+      }, { ingestTaskId: task._id }));
+    }
+    
+    await IngestTask.updateOne(
+      { _id: task._id },
+      { $set: { status: 'completed', lockedAt: null }, $unset: { data: 1 } }
+    );
+    await removeTaskFile(task);
+    await updateBatchFile(task, { status: 'completed', cvId: cv._id, warnings, error: null });
+  } catch (error) {
+    console.error(`Ingest of ${task.filename} failed (attempt ${task.attempts}/${task.maxAttempts}):`, error.message);
+    
+    if (!isPermanentError(error) && task.attempts < task.maxAttempts) {
+      // Retry with exponential backoff
+      const delay = config.queue.retryDelay * Math.pow(2, task.attempts - 1);
+      await IngestTask.updateOne(
+        { _id: task._id },
+        { $set: { status: 'queued', lockedAt: null, lastError: error.message, runAt: new Date(Date.now() + delay) } }
+      );
+      await updateBatchFile(task, { status: 'queued', error: error.message });
+      return;
+    }
+    
+    await IngestTask.updateOne(
+      { _id: task._id },
+      { $set: { status: 'failed', lockedAt: null, lastError: error.message }, $unset: { data: 1 } }
+    );
+    await removeTaskFile(task);
+    await updateBatchFile(task, { status: 'failed', error: error.message });
+    emitEvent('cv.failed', {
+      originalName: task.filename,
+      batchId: task.batchId,
+      fileId: task.fileId,
+      attempts: task.attempts,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Fill free worker slots with queued tasks
+ */
+async function poll() {
+  if (!running || polling) {
+    return;
+  }
+  
+  polling = true;
+  try {
+    while (running && activeTasks < config.queue.concurrency) {
+      const task = await claimTask();
+      if (!task) {
+        break;
+      }
+      
+      activeTasks++;
+      runTask(task)
+        .catch(error => console.error('Ingest worker error:', error))
+        .finally(() => {
+          activeTasks--;
+          setImmediate(poll);
+        });
+    }
+  } catch (error) {
+    console.error('Error polling ingest queue:', error.message);
+  } finally {
+    polling = false;
+  }
+}
+
+/**
+ * Start the background ingest worker
+ */
+function startWorker() {
+  if (running || !config.queue.enabled) {
+    return;
+  }
+  
+  running = true;
+  pollTimer = setInterval(poll, config.queue.pollInterval);
+  console.log(`Ingest worker started (concurrency: ${config.queue.concurrency})`);
+  poll();
+}
+
+/**
+ * Stop the background ingest worker (running tasks are allowed to finish)
+ */
+function stopWorker() {
+  running = false;
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+}
+
+module.exports = {
+  enqueueBatch,
+  startWorker,
+  stopWorker
+};
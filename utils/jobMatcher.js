@@ -0,0 +1,155 @@
+const { getTenantConfig } = require('./tenantScope');
+const { normalizeSkills, withImpliedSkills } = require('./skillTaxonomy');
+
+/**
+ * Normalize a list of strings (trim, drop empties and duplicates)
+ * @param {*} values - Raw list of values
+ * @returns {string[]} - Clean list of strings
+ */
+function toStringList(values) {
+  if (!Array.isArray(values)) {
+    return typeof values === 'string' && values.trim() ? [values.trim()] : [];
+  }
+  
+  const seen = new Set();
+  return values
+    .filter(value => typeof value === 'string' && value.trim())
+    .map(value => value.trim())
+    .filter(value => {
+      const key = value.toLowerCase();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+/**
+ * Build job requirements from AI analysis, falling back to rule-based values
+ * @param {Object|null} aiAnalysis - Result of analyzeJobDescription
+ * @param {Object} ruleBased - Result of extractJobRequirements
+ * @returns {Object} - Normalized job requirements
+ */
+function normalizeRequirements(aiAnalysis, ruleBased) {
+  const ai = aiAnalysis || {};
+  const requiredSkills = normalizeSkills(toStringList(ai.requiredSkills).length > 0
+    ? toStringList(ai.requiredSkills)
+    : ruleBased.requiredSkills);
+  const requiredKeys = new Set(requiredSkills.map(skill => skill.toLowerCase()));
+  const niceToHaveSkills = normalizeSkills(toStringList(ai.niceToHaveSkills).length > 0
+    ? toStringList(ai.niceToHaveSkills)
+    : ruleBased.niceToHaveSkills
+  ).filter(skill => !requiredKeys.has(skill.toLowerCase()));
+  const minExperience = ai.minExperience !== undefined && ai.minExperience !== null &&
+    Number.isFinite(Number(ai.minExperience))
+    ? Number(ai.minExperience)
+    : ruleBased.minExperience;
+  
+  return {
+    requiredSkills,
+    niceToHaveSkills,
+    minExperience: Math.max(0, minExperience || 0),
+    jobTitles: toStringList(ai.jobTitles).length > 0 ? toStringList(ai.jobTitles) : ruleBased.jobTitles
+  };
+}
+
+/**
+ * Split a skill list into skills the candidate has and skills they lack
+ * @param {string[]} wanted - Skills asked for by the job
+ * @param {Set<string>} candidateSkills - Lowercased canonical candidate skills, including implied skills
+ * @returns {{matched: string[], missing: string[]}}
+ */
+function compareSkills(wanted, candidateSkills) {
+  const matched = [];
+  const missing = [];
+  
+  for (const skill of wanted) {
+    if (candidateSkills.has((normalizeSkills([skill])[0] || skill).toLowerCase())) {
+      matched.push(skill);
+    } else {
+      missing.push(skill);
+    }
+  }
+  
+  return { matched, missing };
+}
+
+/**
+ * Score a CV against job requirements
+ * @param {Object} cv - CV document (lean) with metadata
+ * @param {Object} requirements - Job requirements
+ * @param {number|null} vectorScore - Embedding similarity from vector search (0-1), or null when no candidate
+ *   is compared by embeddings (e.g. the job has none); the structured score then makes up the whole score.
+ *   Pass 0 for a CV without comparable embeddings that is ranked alongside compared CVs
+ * @returns {Object} - Combined score and per-candidate breakdown
+ */
+function scoreCandidate(cv, requirements, vectorScore = 0) {
+  const weights = getTenantConfig('matching');
+  const metadata = cv.metadata || {};
+  // A candidate with 'Django' also has 'Python'
+  const candidateSkills = new Set(withImpliedSkills(toStringList(metadata.skills)).map(skill => skill.toLowerCase()));
+  
+  const required = compareSkills(requirements.requiredSkills || [], candidateSkills);
+  const niceToHave = compareSkills(requirements.niceToHaveSkills || [], candidateSkills);
+  
+  // Required skills count double compared to nice-to-have skills
+  const requiredTotal = required.matched.length + required.missing.length;
+  const niceTotal = niceToHave.matched.length + niceToHave.missing.length;
+  const skillDenominator = requiredTotal * 2 + niceTotal;
+  const skillScore = skillDenominator > 0
+    ? (required.matched.length * 2 + niceToHave.matched.length) / skillDenominator
+    : 0;
+  
+  const candidateExperience = Number(metadata.experience) || 0;
+  const minExperience = requirements.minExperience || 0;
+  const experienceScore = minExperience > 0
+    ? Math.min(1, candidateExperience / minExperience)
+    : 1;
+  
+  const candidateTitles = toStringList(metadata.jobTitles).map(title => title.toLowerCase());
+  const matchedTitles = (requirements.jobTitles || []).filter(title => {
+    const wanted = title.toLowerCase();
+    return candidateTitles.some(candidate => candidate.includes(wanted) || wanted.includes(candidate));
+  });
+  const titleScore = (requirements.jobTitles || []).length > 0
+    ? (matchedTitles.length > 0 ? 1 : 0)
+    : 0;
+  
+  const structuredWeightTotal = weights.skillsWeight + weights.experienceWeight + weights.titleWeight;
+  const structuredScore = structuredWeightTotal > 0
+    ? (skillScore * weights.skillsWeight +
+       experienceScore * weights.experienceWeight +
+       titleScore * weights.titleWeight) / structuredWeightTotal
+    : 0;
+  
+  const score = vectorScore === null
+    ? structuredScore
+    : vectorScore * weights.vectorWeight + structuredScore * (1 - weights.vectorWeight);
+  
+  return {
+    score: Math.round(score * 10000) / 10000,
+    vectorScore,
+    structuredScore: Math.round(structuredScore * 10000) / 10000,
+    breakdown: {
+      matchedSkills: required.matched,
+      missingSkills: required.missing,
+      matchedNiceToHaveSkills: niceToHave.matched,
+      missingNiceToHaveSkills: niceToHave.missing,
+      experience: {
+        required: minExperience,
+        actual: candidateExperience,
+        meetsRequirement: candidateExperience >= minExperience
+      },
+      matchedTitles,
+      scores: {
+        skills: Math.round(skillScore * 10000) / 10000,
+        experience: Math.round(experienceScore * 10000) / 10000,
+        titles: titleScore
+      }
+    }
+  };
+}
+
+module.exports = {
+  normalizeRequirements,
+  scoreCandidate
+};
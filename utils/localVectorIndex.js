@@ -0,0 +1,547 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/config');
+const { getEmbeddingInfo } = require('./openaiService');
+
+/**
+ * In-process flat cosine index over CV passage embeddings, used when MongoDB Atlas
+ * vector search is not available. A CV has one vector per passage, or its whole-CV
+ * embedding when it has no passages yet. Vectors are stored L2-normalized so the
+ * cosine similarity is a dot product. Each vector records its CV and tenant so searches
+ * only rank the caller's CVs. The index is persisted to disk as a JSON header
+ * plus a Float32 binary file and refreshed from MongoDB at startup.
+ */
+
+// Fields read to index CVs and passages
+const CV_FIELDS = '_id tenantId embeddings embeddingProvider embeddingModel passageCount updatedAt';
+const PASSAGE_FIELDS = 'cvId tenantId embedding embeddingModel updatedAt';
+
+const state = {
+  active: false,
+  model: null,
+  dimensions: 0,
+  // CV ID of each vector
+  ids: [],
+  vectors: [],
+  // Tenant ID of each vector (null for CVs without a tenant)
+  tenants: [],
+  // Positions of each CV's vectors
+  positions: new Map(),
+  // CVs indexed by their passages rather than their whole-CV embedding
+  passageCVs: new Set(),
+  // Latest CV or passage updatedAt covered by the index, used for incremental refreshes
+  syncedAt: null,
+  saveTimer: null,
+  refreshTimer: null
+};
+
+/**
+ * Normalize a vector to unit length
+ * @param {number[]} vector - Input vector
+ * @returns {Float32Array|null} - Normalized vector or null for empty/zero vectors
+ */
+function normalize(vector) {
+  if (!Array.isArray(vector) || vector.length === 0) {
+    return null;
+  }
+  
+  let norm = 0;
+  for (const value of vector) {
+    norm += value * value;
+  }
+  if (norm === 0) {
+    return null;
+  }
+  
+  norm = Math.sqrt(norm);
+  return Float32Array.from(vector, value => value / norm);
+}
+
+/**
+ * Get the model tag vectors must have to be comparable with query embeddings
+ * @returns {string}
+ */
+function currentModelTag() {
+  // The deployment's model, not the one of a tenant that happens to be active
+  const { provider, model } = getEmbeddingInfo(config.ai.provider);
+  return `${provider}/${model}`;
+}
+
+/**
+ * Replace the vectors of a CV
+ * @param {string} id - CV ID
+ * @param {number[][]} vectors - Embeddings (one per passage, or the whole-CV embedding)
+ * @param {Object} [tenantId] - Tenant of the CV
+ * @returns {boolean} - Whether any vector was indexed
+ */
+function setVectors(id, vectors, tenantId) {
+  removeVectors(id);
+  
+  const normalized = vectors.map(normalize)
+    .filter(vector => vector && (!state.dimensions || vector.length === state.dimensions));
+  if (normalized.length === 0) {
+    return false;
+  }
+  
+  state.dimensions = normalized[0].length;
+  const tenant = tenantId ? tenantId.toString() : null;
+  const positions = [];
+  
+  for (const vector of normalized) {
+    positions.push(state.ids.length);
+    state.ids.push(id);
+    state.vectors.push(vector);
+    state.tenants.push(tenant);
+  }
+  state.positions.set(id, positions);
+  return true;
+}
+
+/**
+ * Remove the vectors of a CV (each is swapped with the last entry to keep arrays dense)
+ * @param {string} id - CV ID
+ * @returns {boolean} - Whether any vector was removed
+ */
+function removeVectors(id) {
+  const positions = state.positions.get(id);
+  if (!positions) {
+    return false;
+  }
+  
+  // Highest positions first, so moving the last entry never moves one of this CV's vectors
+  for (const position of [...positions].sort((a, b) => b - a)) {
+    const lastPosition = state.ids.length - 1;
+    if (position !== lastPosition) {
+      const movedId = state.ids[lastPosition];
+      state.ids[position] = movedId;
+      state.vectors[position] = state.vectors[lastPosition];
+      state.tenants[position] = state.tenants[lastPosition];
+      const moved = state.positions.get(movedId);
+      moved[moved.indexOf(lastPosition)] = position;
+    }
+    state.ids.pop();
+    state.vectors.pop();
+    state.tenants.pop();
+  }
+  state.positions.delete(id);
+  return true;
+}
+
+/**
+ * Reset the in-memory index
+ * @param {string} model - Model tag of the vectors that will be indexed
+ */
+function reset(model) {
+  state.model = model;
+  state.dimensions = 0;
+  state.ids = [];
+  state.vectors = [];
+  state.tenants = [];
+  state.positions = new Map();
+  state.passageCVs = new Set();
+  state.syncedAt = null;
+}
+
+/**
+ * Index file paths
+ * @returns {{header: string, data: string}}
+ */
+function indexFiles() {
+  const base = path.resolve(config.vectorIndex.path);
+  return { header: `${base}.json`, data: `${base}.bin` };
+}
+
+/**
+ * Write the index to disk
+ */
+async function saveIndex() {
+  const files = indexFiles();
+  await fs.promises.mkdir(path.dirname(files.header), { recursive: true });
+  
+  const data = new Float32Array(state.ids.length * state.dimensions);
+  state.vectors.forEach((vector, index) => data.set(vector, index * state.dimensions));
+  
+  // Write to temporary files first so a crash never leaves a half-written index
+  await fs.promises.writeFile(`${files.data}.tmp`, Buffer.from(data.buffer));
+  await fs.promises.writeFile(`${files.header}.tmp`, JSON.stringify({
+    model: state.model,
+    dimensions: state.dimensions,
+    ids: state.ids,
+    tenants: state.tenants,
+    passageCVs: [...state.passageCVs],
+    syncedAt: state.syncedAt
+  }));
+  await fs.promises.rename(`${files.data}.tmp`, files.data);
+  await fs.promises.rename(`${files.header}.tmp`, files.header);
+}
+
+/**
+ * Save the index shortly after changes (batches bursts of uploads into one write)
+ */
+function scheduleSave() {
+  if (state.saveTimer) {
+    return;
+  }
+  
+  state.saveTimer = setTimeout(() => {
+    state.saveTimer = null;
+    saveIndex().catch(error => console.error('Failed to save local vector index:', error.message));
+  }, config.vectorIndex.saveDelay);
+  state.saveTimer.unref();
+}
+
+/**
+ * Load the index from disk
+ * @param {string} model - Expected model tag
+ * @returns {Promise<boolean>} - Whether a usable index was loaded
+ */
+async function loadIndex(model) {
+  const files = indexFiles();
+  
+  try {
+    const header = JSON.parse(await fs.promises.readFile(files.header, 'utf8'));
+    if (header.model !== model) {
+      console.log('Local vector index was built for another embedding model, rebuilding');
+      return false;
+    }
+    if (!Array.isArray(header.tenants) || header.tenants.length !== header.ids.length) {
+      console.log('Local vector index has no tenant information, rebuilding');
+      return false;
+    }
+    if (!Array.isArray(header.passageCVs)) {
+      console.log('Local vector index has no passage information, rebuilding');
+      return false;
+    }
+    
+    const buffer = await fs.promises.readFile(files.data);
+    const data = new Float32Array(buffer.buffer, buffer.byteOffset, buffer.length / 4);
+    if (data.length !== header.ids.length * header.dimensions) {
+      console.warn('Local vector index file is corrupt, rebuilding');
+      return false;
+    }
+    
+    reset(model);
+    state.dimensions = header.dimensions;
+    header.ids.forEach((id, index) => {
+      if (!state.positions.has(id)) {
+        state.positions.set(id, []);
+      }
+      state.positions.get(id).push(index);
+      state.ids.push(id);
+      state.tenants.push(header.tenants[index]);
+      state.vectors.push(data.slice(index * header.dimensions, (index + 1) * header.dimensions));
+    });
+    state.passageCVs = new Set(header.passageCVs);
+    state.syncedAt = header.syncedAt ? new Date(header.syncedAt) : null;
+    return true;
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn('Could not load local vector index:', error.message);
+    }
+    return false;
+  }
+}
+
+/**
+ * Remember the latest change covered by the index
+ * @param {Date} [updatedAt] - Time of a change
+ */
+function markSynced(updatedAt) {
+  if (updatedAt && (!state.syncedAt || updatedAt > state.syncedAt)) {
+    state.syncedAt = updatedAt;
+  }
+}
+
+/**
+ * Index the whole-CV embedding of a CV without passages (CVs with passages are left to their passages)
+ * @param {Object} cv - { _id, tenantId, embeddings, embeddingProvider, embeddingModel, passageCount }
+ * @returns {boolean} - Whether the index changed
+ */
+function indexCV(cv) {
+  const id = cv._id.toString();
+  if (cv.passageCount > 0) {
+    return false;
+  }
+  
+  state.passageCVs.delete(id);
+  return `${cv.embeddingProvider}/${cv.embeddingModel}` === state.model
+    ? setVectors(id, [cv.embeddings], cv.tenantId)
+    : removeVectors(id);
+}
+
+/**
+ * Index CVs from a cursor of { _id, tenantId, embeddings, embeddingProvider, embeddingModel, passageCount, updatedAt }
+ * @param {AsyncIterable} cursor - MongoDB cursor
+ * @returns {Promise<number>} - Number of CVs seen
+ */
+async function indexFromCursor(cursor) {
+  let count = 0;
+  
+  for await (const cv of cursor) {
+    indexCV(cv);
+    markSynced(cv.updatedAt);
+    count++;
+  }
+  
+  return count;
+}
+
+/**
+ * Index passages from a cursor sorted by cvId and index ({ cvId, tenantId, embedding, embeddingModel, updatedAt }).
+ * A CV's passages are always written together, so every CV seen gets all of its current passages.
+ * @param {AsyncIterable} cursor - MongoDB cursor
+ * @returns {Promise<number>} - Number of passages seen
+ */
+async function indexPassagesFromCursor(cursor) {
+  let count = 0;
+  let current = null;
+  
+  const indexCurrent = () => {
+    if (current) {
+      setPassages(current.cvId, current.tenantId, current.passages);
+    }
+  };
+  
+  for await (const passage of cursor) {
+    const cvId = passage.cvId.toString();
+    if (!current || current.cvId !== cvId) {
+      indexCurrent();
+      current = { cvId, tenantId: passage.tenantId, passages: [] };
+    }
+    current.passages.push(passage);
+    markSynced(passage.updatedAt);
+    count++;
+  }
+  indexCurrent();
+  
+  return count;
+}
+
+/**
+ * Load the index from disk and bring it up to date with MongoDB, or build it from scratch
+ * @returns {Promise<Object>} - { vectors, rebuilt }
+ */
+async function initialize() {
+  const CV = require('../models/cvModel');
+  const CVPassage = require('../models/cvPassageModel');
+  const model = currentModelTag();
+  const loaded = await loadIndex(model);
+  
+  if (!loaded) {
+    reset(model);
+    await indexFromCursor(CV.find({ hasEmbeddings: true }).select(CV_FIELDS).lean().cursor());
+    await indexPassagesFromCursor(CVPassage.find().sort({ cvId: 1, index: 1 }).select(PASSAGE_FIELDS).lean().cursor());
+  } else {
+    // Apply changes made since the snapshot (e.g. by another process)
+    const changed = state.syncedAt ? { updatedAt: { $gt: state.syncedAt } } : {};
+    await applyChanges(changed);
+    removeDeletedCVs(await getIndexableIds());
+  }
+  
+  state.active = true;
+  await saveIndex();
+  console.log(`Local vector index ready: ${state.ids.length} vectors (${loaded ? 'loaded from disk' : 'rebuilt'})`);
+  
+  // Pick up changes written by other processes (e.g. the reprocess CLI)
+  if (!state.refreshTimer && config.vectorIndex.refreshInterval > 0) {
+    let refreshedAt = new Date();
+    state.refreshTimer = setInterval(() => {
+      const since = refreshedAt;
+      refreshedAt = new Date();
+      refresh(since).catch(error => console.error('Local vector index refresh failed:', error.message));
+    }, config.vectorIndex.refreshInterval);
+    state.refreshTimer.unref();
+  }
+  
+  return { vectors: state.ids.length, rebuilt: !loaded };
+}
+
+/**
+ * Apply CVs and passages changed since a snapshot
+ * @param {Object} changed - Condition on updatedAt
+ * @returns {Promise<number>} - Number of CVs and passages seen
+ */
+async function applyChanges(changed) {
+  const CV = require('../models/cvModel');
+  const CVPassage = require('../models/cvPassageModel');
+  
+  const cvs = await indexFromCursor(CV.find(changed).select(CV_FIELDS).lean().cursor());
+  const passages = await indexPassagesFromCursor(CVPassage.find(changed)
+    .sort({ cvId: 1, index: 1 })
+    .select(PASSAGE_FIELDS)
+    .lean()
+    .cursor());
+  return cvs + passages;
+}
+
+/**
+ * Get the IDs of the CVs that can have vectors
+ * @returns {Promise<Set<string>>}
+ */
+async function getIndexableIds() {
+  const CV = require('../models/cvModel');
+  const ids = await CV.find({ $or: [{ hasEmbeddings: true }, { passageCount: { $gt: 0 } }] }).distinct('_id');
+  return new Set(ids.map(id => id.toString()));
+}
+
+/**
+ * Drop the vectors of CVs that no longer exist
+ * @param {Set<string>} existing - IDs of existing CVs
+ * @returns {number} - Number of CVs removed
+ */
+function removeDeletedCVs(existing) {
+  let removed = 0;
+  for (const id of [...state.positions.keys()]) {
+    if (!existing.has(id) && removeVectors(id)) {
+      state.passageCVs.delete(id);
+      removed++;
+    }
+  }
+  return removed;
+}
+
+/**
+ * Re-index CVs and passages changed since a point in time and drop deleted CVs
+ * @param {Date} since - Changes after this time are applied
+ */
+async function refresh(since) {
+  // Small overlap so writes racing with the previous refresh are not missed
+  const from = new Date(since.getTime() - 1000);
+  const changed = await applyChanges({ updatedAt: { $gt: from } });
+  const removed = removeDeletedCVs(await getIndexableIds());
+  
+  if (changed > 0 || removed > 0) {
+    scheduleSave();
+  }
+}
+
+/**
+ * Keep the index in sync with a saved CV (CVs with passages are updated through setPassages)
+ * @param {Object} cv - CV document
+ */
+function syncCV(cv) {
+  if (!state.active) {
+    return;
+  }
+  
+  const changed = indexCV(cv);
+  markSynced(cv.updatedAt);
+  if (changed || cv.passageCount === 0) {
+    scheduleSave();
+  }
+}
+
+/**
+ * Replace the vectors of a CV with its passage embeddings
+ * @param {string|Object} cvId - CV ID
+ * @param {Object} [tenantId] - Tenant of the CV
+ * @param {Object[]} passages - Passages with embedding and embeddingModel
+ */
+function setPassages(cvId, tenantId, passages) {
+  // Nothing to do when the index is not used (Atlas deployments)
+  if (state.model === null) {
+    return;
+  }
+  
+  const id = cvId.toString();
+  const comparable = passages.filter(passage => passage.embeddingModel === state.model);
+  if (comparable.length > 0) {
+    state.passageCVs.add(id);
+    setVectors(id, comparable.map(passage => passage.embedding), tenantId);
+  } else if (state.passageCVs.delete(id)) {
+    removeVectors(id);
+  }
+  
+  if (state.active) {
+    scheduleSave();
+  }
+}
+
+/**
+ * Remove a deleted CV from the index
+ * @param {string|Object} id - CV ID
+ */
+function removeCV(id) {
+  state.passageCVs.delete(id.toString());
+  if (state.active && removeVectors(id.toString())) {
+    scheduleSave();
+  }
+}
+
+/**
+ * Find the vectors most similar to a query vector (a CV with several passages can appear several times)
+ * @param {number[]} queryVector - Query embedding
+ * @param {number} limit - Number of results
+ * @param {Object} [tenantId] - Only rank CVs of this tenant
+ * @returns {Object[]} - [{ id, score }] with CV IDs, sorted by cosine similarity
+ */
+function search(queryVector, limit, tenantId) {
+  const query = normalize(queryVector);
+  if (!query || query.length !== state.dimensions) {
+    return [];
+  }
+  
+  const tenant = tenantId ? tenantId.toString() : null;
+  
+  // Keep the top results in a small sorted array (limit is small compared to the index)
+  const top = [];
+  for (let i = 0; i < state.vectors.length; i++) {
+    if (tenant && state.tenants[i] !== tenant) {
+      continue;
+    }
+    
+    const vector = state.vectors[i];
+    let score = 0;
+    for (let d = 0; d < query.length; d++) {
+      score += query[d] * vector[d];
+    }
+    
+    if (top.length < limit || score > top[top.length - 1].score) {
+      let position = top.length;
+      while (position > 0 && top[position - 1].score < score) {
+        position--;
+      }
+      top.splice(position, 0, { id: state.ids[i], score });
+      if (top.length > limit) {
+        top.pop();
+      }
+    }
+  }
+  
+  return top;
+}
+
+/**
+ * Check whether the local index is serving vector searches
+ * @returns {boolean}
+ */
+function isActive() {
+  return state.active;
+}
+
+/**
+ * Flush pending changes to disk (used on shutdown)
+ */
+async function flush() {
+  if (state.refreshTimer) {
+    clearInterval(state.refreshTimer);
+    state.refreshTimer = null;
+  }
+  if (state.saveTimer) {
+    clearTimeout(state.saveTimer);
+    state.saveTimer = null;
+  }
+  if (state.active) {
+    await saveIndex();
+  }
+}
+
+module.exports = {
+  initialize,
+  syncCV,
+  setPassages,
+  removeCV,
+  search,
+  isActive,
+  flush
+};
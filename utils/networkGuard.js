@@ -0,0 +1,166 @@
+const dns = require('dns');
+const net = require('net');
+const config = require('../config/config');
+
+/**
+ * Keeps outgoing webhook requests away from internal services (SSRF): loopback, private,
+ * link-local (including cloud metadata endpoints) and other non-public addresses are refused,
+ * both for IP literals in the URL and for the addresses a host name resolves to when sending.
+ */
+
+// Address ranges that are not reachable on the public internet
+const BLOCKED_RANGES = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['224.0.0.0', 4, 'ipv4'],
+  ['240.0.0.0', 4, 'ipv4'],
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  // Local-use NAT64 translates to whatever the operator's network chooses
+  ['64:ff9b:1::', 48, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  // Deprecated site-local addresses, still routed internally by some networks
+  ['fec0::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6']
+];
+
+// IPv6 prefixes that reach an IPv4 address embedded in the IPv6 address, with the position of its two groups
+const EMBEDDED_IPV4_PREFIXES = [
+  // NAT64 (64:ff9b::/96) translates to the IPv4 address in the last 32 bits
+  { groups: [0x64, 0xff9b, 0, 0, 0, 0], at: 6 },
+  // 6to4 (2002::/16) tunnels to the IPv4 address in bits 16-47
+  { groups: [0x2002], at: 1 }
+];
+
+const blockList = new net.BlockList();
+for (const [address, prefix, type] of BLOCKED_RANGES) {
+  blockList.addSubnet(address, prefix, type);
+}
+
+/**
+ * Split an IPv6 address into its eight 16-bit groups
+ * @param {string} address - Valid IPv6 address
+ * @returns {number[]}
+ */
+function parseIPv6Groups(address) {
+  let text = address.replace(/%.*$/, '');
+  // A trailing dotted IPv4 part (::ffff:10.0.0.1) holds the last two groups
+  const dotted = text.match(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+  if (dotted) {
+    const [a, b, c, d] = dotted.slice(1).map(Number);
+    text = `${text.slice(0, dotted.index)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+  
+  const [head, tail] = text.split('::');
+  const parse = part => (part ? part.split(':').map(group => parseInt(group, 16)) : []);
+  const start = parse(head);
+  const end = parse(tail);
+  return tail === undefined ? start : [...start, ...new Array(8 - start.length - end.length).fill(0), ...end];
+}
+
+/**
+ * Get the IPv4 address a NAT64 or 6to4 address leads to
+ * @param {string} address - Valid IPv6 address
+ * @returns {string|null} - Embedded IPv4 address, or null for other addresses
+ */
+function getEmbeddedIPv4(address) {
+  const groups = parseIPv6Groups(address);
+  const match = EMBEDDED_IPV4_PREFIXES.find(prefix => prefix.groups.every((group, index) => groups[index] === group));
+  if (!match) {
+    return null;
+  }
+  
+  const high = groups[match.at];
+  const low = groups[match.at + 1];
+  return [high >> 8, high & 0xff, low >> 8, low & 0xff].join('.');
+}
+
+/**
+ * Check whether an IP address is loopback, private, link-local or otherwise not public
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+function isPrivateAddress(address) {
+  const type = net.isIP(address);
+  if (type === 0) {
+    return false;
+  }
+  // IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are checked against the IPv4 ranges
+  if (blockList.check(address, type === 4 ? 'ipv4' : 'ipv6')) {
+    return true;
+  }
+  
+  // NAT64 and 6to4 addresses reach the IPv4 address they embed (64:ff9b::a9fe:a9fe is 169.254.169.254)
+  const embedded = type === 6 ? getEmbeddedIPv4(address) : null;
+  return Boolean(embedded) && blockList.check(embedded, 'ipv4');
+}
+
+/**
+ * Check a URL an outgoing webhook is sent to
+ * @param {string} value - URL
+ * @returns {string|null} - Error message or null if the URL may be used
+ */
+function checkWebhookUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return 'url must be an absolute URL';
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    return 'url must use http or https';
+  }
+  if (config.webhooks.allowPrivateNetworks) {
+    return null;
+  }
+  
+  const hostname = url.hostname.replace(/^\[|\]$/g, '').replace(/\.$/, '').toLowerCase();
+  if (hostname === 'localhost' || hostname.endsWith('.localhost') || isPrivateAddress(hostname)) {
+    return 'url must not point to a loopback, private or link-local address';
+  }
+  return null;
+}
+
+/**
+ * dns.lookup replacement for outgoing requests that fails when the host name resolves to a
+ * non-public address. The connection uses the checked addresses, so a host name cannot switch
+ * to an internal address between the check and the request.
+ * @param {string} hostname - Host name
+ * @param {Object} options - dns.lookup options
+ * @param {Function} callback - (error, address, family) or (error, addresses) with options.all
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+    
+    const blocked = config.webhooks.allowPrivateNetworks
+      ? null
+      : addresses.find(entry => isPrivateAddress(entry.address));
+    if (blocked) {
+      const blockedError = new Error(`${hostname} resolves to the non-public address ${blocked.address}`);
+      blockedError.code = 'PRIVATE_ADDRESS';
+      return callback(blockedError);
+    }
+    
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+module.exports = {
+  isPrivateAddress,
+  checkWebhookUrl,
+  publicLookup
+};
@@ -0,0 +1,59 @@
+const config = require('../../config/config');
+const { sendMail } = require('../smtp');
+
+/**
+ * Describe a matched CV in a plain text email
+ * @param {Object} notification - Saved search match notification
+ * @returns {string}
+ */
+function formatText({ search, cv, vectorScore, matchedBy }) {
+  const lines = [
+    `A newly uploaded CV matches your saved search "${search.name}".`,
+    '',
+    `File: ${cv.originalName}`,
+    `Job titles: ${(cv.jobTitles || []).join(', ') || '-'}`,
+    `Skills: ${(cv.skills || []).join(', ') || '-'}`,
+    `Experience: ${cv.experience !== undefined && cv.experience !== null ? `${cv.experience} years` : '-'}`,
+    `Location: ${cv.location || '-'}`,
+    `Matched by: ${matchedBy}${vectorScore !== null ? ` (score ${vectorScore.toFixed(3)})` : ''}`,
+    '',
+    `CV ID: ${cv.id}`
+  ];
+  return lines.join('\n');
+}
+
+/**
+ * Email channel: sends a plain text email through the configured SMTP server
+ */
+module.exports = {
+  name: 'email',
+  
+  /**
+   * @param {Object} channel - { to: string[] }
+   * @returns {string|null} - Error message or null if valid
+   */
+  validate(channel) {
+    if (!config.smtp.host) {
+      return 'email alerts need SMTP_HOST to be configured';
+    }
+    if (!Array.isArray(channel.to) || channel.to.length === 0 ||
+      channel.to.some(address => typeof address !== 'string' || !/^[^\s@<>]+@[^\s@<>]+$/.test(address))) {
+      return 'to must be a non-empty array of email addresses';
+    }
+    return null;
+  },
+  
+  /**
+   * @param {Object} channel - { to: string[] }
+   * @param {Object} notification - Saved search match notification
+   * @returns {Promise<Object>} - { accepted, response }
+   */
+  async send(channel, notification) {
+    return sendMail(config.smtp, {
+      from: config.smtp.from,
+      to: channel.to,
+      subject: `New CV matches "${notification.search.name}"`,
+      text: formatText(notification)
+    });
+  }
+};
@@ -0,0 +1,14 @@
+/**
+ * In-app inbox channel: the stored alert is the inbox entry (GET /api/alerts), so nothing is sent
+ */
+module.exports = {
+  name: 'inbox',
+  
+  validate() {
+    return null;
+  },
+  
+  async send() {
+    return { stored: true };
+  }
+};
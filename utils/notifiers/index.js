@@ -0,0 +1,44 @@
+/**
+ * Notification channels used by saved search alerts.
+ *
+ * A notifier is an object with:
+ * - name
+ * - validate(channel): error message or null
+ * - send(channel, notification): Promise<Object> (rejects when delivery failed)
+ */
+const notifiers = new Map();
+
+/**
+ * Register a notification channel
+ * @param {Object} notifier - Notifier
+ */
+function registerNotifier(notifier) {
+  notifiers.set(notifier.name, notifier);
+}
+
+/**
+ * Get a notifier by channel type
+ * @param {string} type - Channel type
+ * @returns {Object|null}
+ */
+function getNotifier(type) {
+  return notifiers.get(type) || null;
+}
+
+/**
+ * Names of the registered channel types
+ * @returns {string[]}
+ */
+function getChannelTypes() {
+  return [...notifiers.keys()];
+}
+
+registerNotifier(require('./inboxNotifier'));
+registerNotifier(require('./webhookNotifier'));
+registerNotifier(require('./emailNotifier'));
+
+module.exports = {
+  registerNotifier,
+  getNotifier,
+  getChannelTypes
+};
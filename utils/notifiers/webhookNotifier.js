@@ -0,0 +1,80 @@
+const http = require('http');
+const https = require('https');
+const config = require('../../config/config');
+const { signPayload } = require('../signing');
+const { checkWebhookUrl, publicLookup } = require('../networkGuard');
+
+/**
+ * POST a body and wait for the response status. Redirects are not followed, and host names
+ * resolving to non-public addresses are refused when connecting.
+ * @param {string} url - Target URL
+ * @param {Object} headers - Request headers
+ * @param {string} body - Request body
+ * @param {number} timeout - Timeout of the whole request in ms
+ * @returns {Promise<number>} - Response status
+ */
+function post(url, headers, body, timeout) {
+  const target = new URL(url);
+  const client = target.protocol === 'https:' ? https : http;
+  
+  return new Promise((resolve, reject) => {
+    const request = client.request(target, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup: publicLookup,
+      signal: AbortSignal.timeout(timeout)
+    }, response => {
+      // The response body is not used
+      response.resume();
+      response.on('end', () => resolve(response.statusCode));
+      response.on('error', reject);
+    });
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+/**
+ * Webhook channel: POSTs the notification as JSON, signed with the channel's secret
+ * in the X-CVPicker-Signature header ('t=<unix time>,v1=<HMAC-SHA256 of "<t>.<body>">').
+ * Loopback, private and link-local targets are refused unless WEBHOOK_ALLOW_PRIVATE_NETWORKS is set.
+ */
+module.exports = {
+  name: 'webhook',
+  
+  /**
+   * @param {Object} channel - { url, secret }
+   * @returns {string|null} - Error message or null if valid
+   */
+  validate(channel) {
+    return checkWebhookUrl(channel.url);
+  },
+  
+  /**
+   * @param {Object} channel - { url, secret, timeout }
+   * @param {Object} notification - { event, ... }
+   * @returns {Promise<Object>} - { status }
+   */
+  async send(channel, notification) {
+    // Checked again: the URL may predate the check, or the setting may have changed since
+    const invalid = checkWebhookUrl(channel.url);
+    if (invalid) {
+      throw new Error(`Webhook not sent: ${invalid}`);
+    }
+    
+    const body = JSON.stringify(notification);
+    const status = await post(channel.url, {
+      'Content-Type': 'application/json',
+      'User-Agent': 'cv-picker',
+      'X-CVPicker-Event': notification.event,
+      'X-CVPicker-Signature': signPayload(body, channel.secret)
+    }, body, channel.timeout || config.alerts.webhookTimeout);
+    
+    if (status < 200 || status >= 300) {
+      const error = new Error(`Webhook responded with ${status}`);
+      error.status = status;
+      throw error;
+    }
+    return { status };
+  }
+};
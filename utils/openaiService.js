@@ -1,33 +1,87 @@
-const { OpenAI } = require('openai');
 const config = require('../config/config');
+const { getProvider } = require('./providers');
+const { chunkText } = require('./textChunker');
+const { mergeProfiles } = require('./cvProfile');
+const { canonicalizeExtraction } = require('./extractionSchema');
+
+// Bump when the CV analysis prompt changes so stored metadata is flagged as stale (recorded as extraction.promptVersion)
+const ANALYSIS_VERSION = 3;
+
+const CV_ANALYSIS_SYSTEM_PROMPT = 'You are an expert CV analyzer. Extract structured information from CVs accurately.';
+
+// Bump when the match summary prompt changes so cached summaries are not reused
+const MATCH_SUMMARY_VERSION = 1;
+
+// Texts per embeddings request (providers limit the number of inputs)
+const EMBEDDING_BATCH_SIZE = 64;
 
 // Validate OpenAI API key
-if (!config.openai.apiKey) {
+if (config.ai.provider === 'openai' && !config.openai.apiKey) {
   console.error('Error: OpenAI API key is missing. Please set OPENAI_API_KEY in your .env file');
 }
 
-// Initialize OpenAI once
-const openai = new OpenAI({
-  apiKey: config.openai.apiKey
-});
+/**
+ * Describe the provider and model that produce embeddings
+ * @param {string} [providerName] - Provider to describe (defaults to the current tenant's provider)
+ * @returns {{provider: string, model: string}}
+ */
+function getEmbeddingInfo(providerName) {
+  const provider = getProvider(providerName);
+  return { provider: provider.name, model: provider.embeddingModel };
+}
 
 /**
- * Generate embeddings for a text using OpenAI's API
+ * Describe the provider and model that analyze CVs
+ * @returns {{provider: string, model: string}}
+ */
+function getAnalysisInfo() {
+  const provider = getProvider();
+  return { provider: provider.name, model: provider.completionModel };
+}
+
+/**
+ * Generate embeddings for a text using the configured AI provider
  * @param {string} text - Text to generate embeddings for
  * @returns {Promise<number[]>} - Vector representation of the text
  */
 async function generateEmbeddings(text) {
   try {
-    // Use text-embedding-ada-002 which is more widely available
-    const embeddingModel = 'text-embedding-ada-002';
-    console.log(`Generating embeddings using model: ${embeddingModel}`);
+    const provider = getProvider();
+    console.log(`Generating embeddings using ${provider.name} model: ${provider.embeddingModel}`);
     
-    const embeddingResponse = await openai.embeddings.create({
-      model: embeddingModel,
-      input: text
-    });
+    return await provider.generateEmbeddings(text);
+  } catch (error) {
+    console.error('Error generating embeddings:', error);
+    throw new Error('Failed to generate embeddings');
+  }
+}
+
+/**
+ * Generate embeddings for several texts, batched into as few requests as the provider allows
+ * @param {string[]} texts - Texts to generate embeddings for
+ * @returns {Promise<number[][]>} - Vectors in input order
+ */
+async function generateBatchEmbeddings(texts) {
+  if (texts.length === 0) {
+    return [];
+  }
+  
+  try {
+    const provider = getProvider();
+    console.log(`Generating ${texts.length} embeddings using ${provider.name} model: ${provider.embeddingModel}`);
     
-    return embeddingResponse.data[0].embedding;
+    const vectors = [];
+    for (let start = 0; start < texts.length; start += EMBEDDING_BATCH_SIZE) {
+      const batch = texts.slice(start, start + EMBEDDING_BATCH_SIZE);
+      if (provider.generateEmbeddingsBatch) {
+        vectors.push(...await provider.generateEmbeddingsBatch(batch));
+      } else {
+        for (const text of batch) {
+          vectors.push(await provider.generateEmbeddings(text));
+        }
+      }
+    }
+    return vectors;
   } catch (error) {
     console.error('Error generating embeddings:', error);
     throw new Error('Failed to generate embeddings');
@@ -35,53 +89,325 @@ async function generateEmbeddings(text) {
 }
 
 /**
- * Use AI to analyze a CV and extract structured information
+ * Build the analysis prompt for (a part of) a CV
+ * @param {string} text - CV text or chunk
+ * @param {number} part - 1-based chunk number
+ * @param {number} parts - Number of chunks
+ * @returns {string} - Prompt
+ */
+function buildCVAnalysisPrompt(text, part, parts) {
+  const scope = parts > 1
+    ? `This is part ${part} of ${parts} of one CV. Extract only what appears in this part; leave other fields empty.`
+    : 'Extract the information from this CV.';
+  
+  return `
+      ${scope}
+      Respond with a single JSON object using exactly these keys (camelCase, no other keys):
+      - skills (array of strings)
+      - experience (number, total years of professional experience stated in the CV)
+      - jobTitles (array of strings)
+      - education (array of strings, one short summary per qualification)
+      - workHistory (array of { employer, title, location, startDate, endDate, current, description };
+        dates as "YYYY-MM" or "YYYY", endDate null and current true for the present position)
+      - educationHistory (array of { institution, degree, field, year })
+      - languages (array of { language, level }, level as CEFR A1-C2 or "native")
+      - certifications (array of { name, issuer, year })
+      - location (string, city and country of the candidate)
+      - links (object with github, linkedin, website and other (array) URLs)
+      - contactDetails (object with email and phone)
+      
+      CV text:
+      ${text}
+    `;
+}
+
+/**
+ * Split a CV or job description into the chunks sent for analysis
+ * @param {string} text - Text to analyze
+ * @returns {Object} - { chunks, skipped } where skipped counts the chunks beyond ANALYSIS_MAX_CHUNKS
+ *   that are not analyzed
+ */
+function splitForAnalysis(text) {
+  const chunks = chunkText(text, {
+    size: config.analysis.chunkSize,
+    overlap: config.analysis.chunkOverlap
+  });
+  return {
+    chunks: chunks.slice(0, config.analysis.maxChunks),
+    skipped: Math.max(0, chunks.length - config.analysis.maxChunks)
+  };
+}
+
+/**
+ * Use AI to analyze a CV and extract structured information.
+ * Long CVs are split into chunks that are analyzed separately and merged; chunks beyond
+ * ANALYSIS_MAX_CHUNKS are skipped (see splitForAnalysis).
+ * The result is raw model output; validate it with buildExtraction before storing it.
  * @param {string} cvText - The text content of the CV
- * @returns {Promise<Object>} - Structured CV information
+ * @returns {Promise<Object|null>} - Structured CV information, or null if the provider cannot analyze text
  */
 async function analyzeCV(cvText) {
   try {
-    // This is a simplified example. In production, use a more sophisticated prompt
+    const provider = getProvider();
+    const { chunks, skipped } = splitForAnalysis(cvText);
+    if (skipped > 0) {
+      console.warn(`CV has ${chunks.length + skipped} chunks, analyzing the first ${chunks.length} (ANALYSIS_MAX_CHUNKS)`);
+    }
+    
+    console.log(`Using ${provider.name} AI model for CV analysis: ${provider.completionModel} (${chunks.length} chunk(s))`);
+    
+    // Chunks are analyzed one after another to stay within provider rate limits
+    const results = [];
+    for (let index = 0; index < chunks.length; index++) {
+      results.push(await provider.completeJSON(
+        CV_ANALYSIS_SYSTEM_PROMPT,
+        buildCVAnalysisPrompt(chunks[index], index + 1, chunks.length)
+      ));
+    }
+    
+    // Chunk results are merged field by field, so their keys are mapped onto the schema first
+    return mergeProfiles(results.map(result => (result ? canonicalizeExtraction(result).data : null)));
+  } catch (error) {
+    console.error('Error analyzing CV with AI:', error);
+    // Fall back to simpler methods if AI analysis fails
+    return null;
+  }
+}
+
+/**
+ * Build the analysis prompt for (a part of) a job description
+ * @param {string} text - Job description or chunk
+ * @param {number} part - 1-based chunk number
+ * @param {number} parts - Number of chunks
+ * @returns {string} - Prompt
+ */
+function buildJobAnalysisPrompt(text, part, parts) {
+  const scope = parts > 1
+    ? `This is part ${part} of ${parts} of one job description. Extract only what appears in this part; leave other fields empty.`
+    : 'Please analyze this job description.';
+  
+  return `
+      ${scope}
+      Extract the following information in JSON format using exactly these keys:
+      - requiredSkills (array of strings, skills the candidate must have)
+      - niceToHaveSkills (array of strings, preferred or bonus skills)
+      - minExperience (number, minimum years of experience, 0 if not stated)
+      - jobTitles (array of strings, job titles that fit this vacancy)
+      
+      Job description:
+      ${text}
+    `;
+}
+
+/**
+ * Merge the requirements extracted from the chunks of one job description
+ * @param {Object[]} results - Raw model output per chunk (null for failed chunks)
+ * @returns {Object|null} - { requiredSkills, niceToHaveSkills, minExperience, jobTitles }
+ */
+function mergeJobRequirements(results) {
+  const parts = results.filter(Boolean);
+  if (parts.length <= 1) {
+    return parts[0] || null;
+  }
+  
+  // Case-insensitive union keeping the first spelling
+  const union = key => {
+    const values = new Map();
+    for (const value of parts.flatMap(part => (Array.isArray(part[key]) ? part[key] : []))) {
+      if (typeof value === 'string' && value.trim() && !values.has(value.trim().toLowerCase())) {
+        values.set(value.trim().toLowerCase(), value.trim());
+      }
+    }
+    return [...values.values()];
+  };
+  
+  // A skill required in one part is not only nice to have because another part mentions it as a bonus
+  const requiredSkills = union('requiredSkills');
+  const required = new Set(requiredSkills.map(skill => skill.toLowerCase()));
+  
+  return {
+    requiredSkills,
+    niceToHaveSkills: union('niceToHaveSkills').filter(skill => !required.has(skill.toLowerCase())),
+    minExperience: Math.max(0, ...parts.map(part => Number(part.minExperience)).filter(Number.isFinite)),
+    jobTitles: union('jobTitles')
+  };
+}
+
+/**
+ * Use AI to analyze a job description and extract its requirements.
+ * Long descriptions are split into chunks that are analyzed separately and merged, so
+ * requirements near the end of a long posting are not lost.
+ * @param {string} jobText - The text content of the job description
+ * @returns {Promise<Object>} - Structured job requirements
+ */
+async function analyzeJobDescription(jobText) {
+  try {
+    const provider = getProvider();
+    const { chunks: analyzed, skipped } = splitForAnalysis(jobText);
+    if (skipped > 0) {
+      console.warn(`Job description has ${analyzed.length + skipped} chunks, analyzing the first ${analyzed.length} (ANALYSIS_MAX_CHUNKS)`);
+    }
+    
+    console.log(`Using ${provider.name} AI model for job description analysis: ${provider.completionModel} (${analyzed.length} chunk(s))`);
+    
+    const results = [];
+    for (let index = 0; index < analyzed.length; index++) {
+      results.push(await provider.completeJSON(
+        "You are an expert technical recruiter. Extract structured requirements from job descriptions accurately.",
+        buildJobAnalysisPrompt(analyzed[index], index + 1, analyzed.length)
+      ));
+    }
+    
+    return mergeJobRequirements(results);
+  } catch (error) {
+    console.error('Error analyzing job description with AI:', error);
+    return null;
+  }
+}
+
+/**
+ * Use AI to write a short paragraph on why a candidate fits a search
+ * @param {Object} search - { query, filters }
+ * @param {Object} candidate - { metadata, excerpts } (metadata without contact details, relevant CV excerpts)
+ * @returns {Promise<string|null>} - Summary, or null if the provider cannot write one
+ */
+async function summarizeMatch(search, candidate) {
+  try {
+    const metadata = candidate.metadata || {};
+    const positions = (metadata.workHistory || []).slice(0, 5)
+      .map(entry => `${entry.title || 'Unknown title'} at ${entry.employer || 'unknown employer'}${entry.current ? ' (current)' : ''}`);
+    
     const prompt = `
-      Please analyze this CV and extract the following information in JSON format:
-      - Skills (as an array of strings)
-      - Years of experience (as a number)
-      - Job titles (as an array of strings)
-      - Education details (as an array of strings)
-      - Contact information (email and phone if available)
+      A recruiter searched for: ${search.query || '(no query)'}
+      Search filters: ${JSON.stringify(search.filters || {})}
       
-      CV text:
-      ${cvText.substring(0, 4000)} // Limiting to 4000 chars to stay within token limits
+      Candidate profile:
+      - Job titles: ${(metadata.jobTitles || []).join(', ') || 'unknown'}
+      - Years of experience: ${metadata.experience !== undefined && metadata.experience !== null ? metadata.experience : 'unknown'}
+      - Skills: ${(metadata.skills || []).join(', ') || 'unknown'}
+      - Positions: ${positions.join('; ') || 'unknown'}
+      - Education: ${(metadata.education || []).join('; ') || 'unknown'}
+      
+      Relevant CV excerpts:
+      ${(candidate.excerpts || []).join('\n---\n').substring(0, 3000) || '(none)'}
+      
+      Write one paragraph (at most 80 words) explaining why this candidate fits the search, and name
+      any clear gaps. Do not mention the candidate's name or contact details.
+      Respond with a JSON object with a single key "summary" (string).
     `;
     
-    // Use gpt-3.5-turbo as a fallback if gpt-4o is not available
-    const completionModel = 'gpt-3.5-turbo';
-    console.log(`Using AI model for CV analysis: ${completionModel}`);
-    
-    const response = await openai.chat.completions.create({
-      model: completionModel,
-      messages: [
-        {
-          role: "system",
-          content: "You are an expert CV analyzer. Extract structured information from CVs accurately."
-        },
-        {
-          role: "user",
-          content: prompt
-        }
-      ],
-      response_format: { type: "json_object" }
+    const provider = getProvider();
+    console.log(`Using ${provider.name} AI model for match summary: ${provider.completionModel}`);
+    
+    const result = await provider.completeJSON(
+      'You are an expert technical recruiter. Explain search matches briefly and factually.',
+      prompt
+    );
+    return result && typeof result.summary === 'string' && result.summary.trim() ? result.summary.trim() : null;
+  } catch (error) {
+    console.error('Error summarizing match with AI:', error);
+    return null;
+  }
+}
+
+/**
+ * Use AI to write a comparative evaluation of several candidates, optionally against a job
+ * @param {Object[]} candidates - [{ label, metadata }] with metadata without contact details
+ * @param {Object|null} job - { title, requirements } or null
+ * @returns {Promise<Object|null>} - Raw { summary, candidates: [{ label, strengths, concerns }], recommendation },
+ *   or null if the provider cannot write one
+ */
+async function compareCandidates(candidates, job) {
+  try {
+    const profiles = candidates.map(({ label, metadata = {} }) => {
+      const positions = (metadata.workHistory || []).slice(0, 5)
+        .map(entry => `${entry.title || 'Unknown title'} at ${entry.employer || 'unknown employer'}${entry.current ? ' (current)' : ''}`);
+      return `
+      Candidate ${label}:
+      - Job titles: ${(metadata.jobTitles || []).join(', ') || 'unknown'}
+      - Years of experience: ${metadata.experience !== undefined && metadata.experience !== null ? metadata.experience : 'unknown'}
+      - Skills: ${(metadata.skills || []).join(', ') || 'unknown'}
+      - Positions: ${positions.join('; ') || 'unknown'}
+      - Education: ${(metadata.education || []).join('; ') || 'unknown'}
+      - Languages: ${(metadata.languages || []).map(entry => `${entry.language} ${entry.level || ''}`.trim()).join(', ') || 'unknown'}`;
     });
+    const requirements = job ? job.requirements : null;
+    const target = requirements
+      ? `
+      The candidates applied for: ${job.title || 'a position'}
+      - Required skills: ${requirements.requiredSkills.join(', ') || 'none stated'}
+      - Nice-to-have skills: ${requirements.niceToHaveSkills.join(', ') || 'none stated'}
+      - Minimum years of experience: ${requirements.minExperience}
+      - Fitting job titles: ${requirements.jobTitles.join(', ') || 'none stated'}`
+      : '\n      No job description was given; compare the candidates on their own merits.';
     
-    return JSON.parse(response.choices[0].message.content);
+    const prompt = `
+      Compare these candidates side by side for a recruiter.
+      ${target}
+      ${profiles.join('\n')}
+      
+      Refer to candidates only by their letter; do not guess names or personal details.
+      Respond with a JSON object using exactly these keys:
+      - summary (string, at most 120 words comparing the candidates)
+      - candidates (array of { label, strengths (array of strings), concerns (array of strings) }, one per candidate)
+      - recommendation (string naming the letter of the strongest candidate and why, or null if they cannot be ranked)
+    `;
+    
+    const provider = getProvider();
+    console.log(`Using ${provider.name} AI model for candidate comparison: ${provider.completionModel}`);
+    
+    return await provider.completeJSON(
+      'You are an expert technical recruiter. Compare candidates fairly and factually, based only on the profiles given.',
+      prompt
+    );
   } catch (error) {
-    console.error('Error analyzing CV with AI:', error);
-    // Fall back to simpler methods if AI analysis fails
+    console.error('Error comparing candidates with AI:', error);
+    return null;
+  }
+}
+
+/**
+ * Use AI to find the names and postal addresses of people in a CV, so they can be redacted
+ * @param {string} text - CV text
+ * @param {string} [providerName] - Provider to ask (defaults to the tenant's provider)
+ * @returns {Promise<Object|null>} - { names, addresses } as written in the text, or null if the provider cannot detect them
+ */
+async function detectPersonalData(text, providerName) {
+  try {
+    const prompt = `
+      List the personal names and postal addresses that appear in this CV, copied exactly as they
+      are written (same spelling and capitalization). Include the candidate's name and the names of
+      referees; do not include company, school or product names, or cities and countries on their own.
+      Respond with a JSON object with the keys "names" (array of strings) and "addresses" (array of strings).
+      
+      CV text:
+      ${text}
+    `;
+    
+    const provider = getProvider(providerName);
+    console.log(`Using ${provider.name} AI model for personal data detection: ${provider.completionModel}`);
+    
+    return await provider.completeJSON(
+      'You detect personal data in documents so it can be redacted. Only report text that appears verbatim.',
+      prompt
+    );
+  } catch (error) {
+    console.error('Error detecting personal data with AI:', error);
     return null;
   }
 }
 
 module.exports = {
+  ANALYSIS_VERSION,
+  MATCH_SUMMARY_VERSION,
   generateEmbeddings,
-  analyzeCV
+  generateBatchEmbeddings,
+  getEmbeddingInfo,
+  getAnalysisInfo,
+  splitForAnalysis,
+  analyzeCV,
+  analyzeJobDescription,
+  summarizeMatch,
+  compareCandidates,
+  detectPersonalData
 }; 
\ No newline at end of file
@@ -0,0 +1,306 @@
+const CV = require('../models/cvModel');
+const CVPassage = require('../models/cvPassageModel');
+const config = require('../config/config');
+const { generateBatchEmbeddings, getEmbeddingInfo } = require('./openaiService');
+const { cosineSimilarity } = require('./vectorSearch');
+const { chunkText } = require('./textChunker');
+const { registerErasureStep } = require('./cvLifecycle');
+const localVectorIndex = require('./localVectorIndex');
+const { getAIRedactor } = require('./pii');
+
+// Section headings as they appear on their own line in CVs (English and German)
+const SECTION_HEADINGS = [
+  { section: 'summary', pattern: /^(professional |career )?(summary|profile|objective|about( me)?|kurzprofil|profil)$/ },
+  { section: 'experience', pattern: /^((work|professional|relevant|employment|career) )?(experience|history|employment( history)?)$|^work history$|^berufserfahrung$|^werdegang$/ },
+  { section: 'education', pattern: /^(education|academic background|qualifications|ausbildung|studium|bildung)( and training)?$/ },
+  { section: 'skills', pattern: /^((technical|core|key) )?(skills|competencies|expertise|technologies|tech stack)( and tools)?$|^kenntnisse$|^fähigkeiten$/ },
+  { section: 'projects', pattern: /^((selected|personal|key) )?projects$|^projekte$/ },
+  { section: 'certifications', pattern: /^(certifications?|certificates|licenses( and certifications)?|zertifikate|zertifizierungen)$/ },
+  { section: 'languages', pattern: /^(languages|sprachen|sprachkenntnisse)$/ }
+];
+
+// Sections whose entries (positions, degrees, projects) become passages of their own
+const ENTRY_SECTIONS = new Set(['experience', 'education', 'projects']);
+
+// Date ranges that start a position or degree: "2019 - 2022", "03/2020 – present", "Jan 2018 to Dec 2020"
+const DATE_RANGE = /((19|20)\d{2}|\b[a-z]{3,9}\.? (19|20)\d{2})\s*(-|–|—|to|bis)\s*((19|20)\d{2}|\b[a-z]{3,9}\.? (19|20)\d{2}|present|current|now|today|heute)/i;
+
+/**
+ * Get the section a line introduces, if it is a heading
+ * @param {string} line - Line of the CV
+ * @returns {string|null} - Section name or null
+ */
+function detectHeading(line) {
+  const text = line.trim().replace(/^[#*\s]+/, '').replace(/[:\s]+$/, '').toLowerCase().replace(/&/g, 'and');
+  if (!text || text.length > 40) {
+    return null;
+  }
+  
+  const match = SECTION_HEADINGS.find(heading => heading.pattern.test(text));
+  return match ? match.section : null;
+}
+
+/**
+ * Check whether a line looks like the title or employer line above an entry's dates
+ * @param {string} line - Line of the CV
+ * @returns {boolean}
+ */
+function isTitleLine(line) {
+  const text = line.trim();
+  return text.length < 80 && !/^[-•*▪–]/.test(text) && !DATE_RANGE.test(text);
+}
+
+/**
+ * Split CV content into sections, each with its blocks of consecutive lines
+ * @param {string} content - CV text
+ * @returns {Object[]} - [{ section, blocks: [{ start, end, dated }] }] with offsets in the content
+ */
+function splitSections(content) {
+  // Text above the first heading (name, contact line, often a profile) has no known section
+  const sections = [{ section: 'other', blocks: [] }];
+  let block = null;
+  let offset = 0;
+  
+  const closeBlock = () => {
+    if (block && block.lines.length > 0) {
+      sections[sections.length - 1].blocks.push({ start: block.lines[0].start, end: block.lines[block.lines.length - 1].end, dated: block.dated });
+    }
+    block = null;
+  };
+  
+  for (const line of content.split('\n')) {
+    const entry = { start: offset, end: offset + line.length, text: line };
+    offset = entry.end + 1;
+    
+    const heading = detectHeading(line);
+    if (heading) {
+      closeBlock();
+      sections.push({ section: heading, blocks: [] });
+      continue;
+    }
+    if (!line.trim()) {
+      closeBlock();
+      continue;
+    }
+    
+    // In entry sections a second date range starts the next entry, with the title lines right above it
+    const dated = DATE_RANGE.test(line);
+    if (block && dated && block.dated && ENTRY_SECTIONS.has(sections[sections.length - 1].section)) {
+      let split = block.lines.length;
+      while (split > 1 && block.lines.length - split < 2 && isTitleLine(block.lines[split - 1].text)) {
+        split--;
+      }
+      const moved = block.lines.slice(split);
+      block.lines = block.lines.slice(0, split);
+      closeBlock();
+      block = { lines: moved, dated: false };
+    }
+    
+    if (!block) {
+      block = { lines: [], dated: false };
+    }
+    block.lines.push(entry);
+    block.dated = block.dated || dated;
+  }
+  closeBlock();
+  
+  return sections.filter(section => section.blocks.length > 0);
+}
+
+/**
+ * Group the blocks of a section into passages of at most PASSAGE_SIZE. In experience, education and
+ * projects every dated block starts a new entry, so each position or degree is a passage of its own.
+ * @param {string} section - Section name
+ * @param {Object[]} blocks - Blocks with start and end offsets
+ * @returns {Object[]} - [{ start, end }]
+ */
+function groupBlocks(section, blocks) {
+  const groups = [];
+  
+  for (const block of blocks) {
+    const last = groups[groups.length - 1];
+    const fits = last && block.end - last.start <= config.passages.size;
+    const join = ENTRY_SECTIONS.has(section) ? fits && !(last.dated && block.dated) : fits;
+    
+    if (join) {
+      last.end = block.end;
+      last.dated = last.dated || block.dated;
+    } else {
+      groups.push({ ...block });
+    }
+  }
+  
+  return groups;
+}
+
+/**
+ * Split CV content into passages along its sections (experience entries, skills, education...),
+ * cutting passages longer than PASSAGE_SIZE into overlapping chunks
+ * @param {string} content - CV text
+ * @returns {Object[]} - [{ index, section, text, start }] with start as the offset in the content
+ */
+function splitPassages(content) {
+  if (!content || !content.trim()) {
+    return [];
+  }
+  
+  const passages = [];
+  
+  for (const { section, blocks } of splitSections(content)) {
+    for (const group of groupBlocks(section, blocks)) {
+      const text = content.slice(group.start, group.end);
+      const chunks = chunkText(text, { size: config.passages.size, overlap: config.passages.overlap });
+      
+      let searchFrom = 0;
+      for (const chunk of chunks.filter(entry => entry.trim())) {
+        const found = text.indexOf(chunk, searchFrom);
+        if (found !== -1) {
+          searchFrom = found + 1;
+        }
+        passages.push({
+          index: passages.length,
+          section,
+          text: chunk,
+          start: found === -1 ? null : group.start + found
+        });
+      }
+    }
+  }
+  
+  return passages;
+}
+
+/**
+ * Mean of embeddings, scaled to unit length (used as the whole-CV embedding)
+ * @param {number[][]} vectors - Embeddings of the same length
+ * @returns {number[]} - Mean vector (empty without vectors)
+ */
+function meanEmbedding(vectors) {
+  if (vectors.length === 0) {
+    return [];
+  }
+  
+  const mean = new Array(vectors[0].length).fill(0);
+  for (const vector of vectors) {
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+    vector.forEach((value, index) => {
+      mean[index] += value / norm;
+    });
+  }
+  
+  const norm = Math.sqrt(mean.reduce((sum, value) => sum + value * value, 0)) || 1;
+  return mean.map(value => value / norm);
+}
+
+/**
+ * Split CV content into passages and embed them in batched provider calls. When the tenant redacts
+ * personal data before AI calls, the redacted passage text is embedded; the stored text stays as it is.
+ * @param {string} content - CV text
+ * @returns {Promise<Object>} - { passages (with embedding and embeddingModel), embedding (whole-CV mean) }
+ */
+async function embedContent(content) {
+  const passages = splitPassages(content);
+  if (passages.length === 0) {
+    return { passages: [], embedding: [] };
+  }
+  
+  const { provider, model } = getEmbeddingInfo();
+  const redactor = await getAIRedactor(content);
+  const texts = passages.map(passage => (redactor ? redactor.redact(passage.text) : passage.text));
+  const embeddings = await generateBatchEmbeddings(texts);
+  passages.forEach((passage, index) => {
+    passage.embedding = embeddings[index];
+    passage.embeddingModel = `${provider}/${model}`;
+  });
+  
+  return { passages, embedding: meanEmbedding(embeddings) };
+}
+
+/**
+ * Replace the stored passages of a saved CV
+ * @param {Object} cv - CV with _id, tenantId and contentHash
+ * @param {Object[]} passages - Passages from embedContent
+ * @returns {Promise<Object[]>} - The stored passages
+ */
+async function savePassages(cv, passages) {
+  const stored = passages.map(passage => ({ ...passage, cvId: cv._id, contentHash: cv.contentHash }));
+  
+  await CVPassage.deleteMany({ cvId: cv._id });
+  if (stored.length > 0) {
+    await CVPassage.insertMany(stored);
+  }
+  
+  localVectorIndex.setPassages(cv._id, cv.tenantId, stored);
+  return stored;
+}
+
+/**
+ * Get the embedded passages of CVs, embedding (in batches) the ones that are missing or stale,
+ * e.g. CVs stored before passages existed
+ * @param {Object[]} cvs - CVs with _id, tenantId, content and contentHash
+ * @returns {Promise<Map<string, Object[]>>} - Passages by CV ID, in content order
+ */
+async function getPassages(cvs) {
+  const { provider, model } = getEmbeddingInfo();
+  const modelTag = `${provider}/${model}`;
+  const stored = await CVPassage.find({ cvId: { $in: cvs.map(cv => cv._id) } }).sort({ index: 1 }).lean();
+  
+  const byCV = new Map(cvs.map(cv => [cv._id.toString(), []]));
+  for (const passage of stored) {
+    byCV.get(passage.cvId.toString()).push(passage);
+  }
+  
+  // Passages are rebuilt when the CV's content or the embedding model changed
+  const stale = cvs.filter(cv => {
+    const passages = byCV.get(cv._id.toString());
+    return cv.content && (passages.length === 0 ||
+      passages.some(passage => passage.embeddingModel !== modelTag || passage.contentHash !== cv.contentHash));
+  });
+  
+  for (const cv of stale) {
+    const { passages } = await embedContent(cv.content);
+    const saved = await savePassages(cv, passages);
+    // The CV was not edited, so its updatedAt stays
+    await CV.updateOne({ _id: cv._id }, { $set: { passageCount: saved.length } }, { timestamps: false });
+    byCV.set(cv._id.toString(), saved);
+  }
+  
+  return byCV;
+}
+
+/**
+ * Find the passage of each CV that is most similar to a query
+ * @param {Object[]} cvs - CVs with _id, tenantId, content and contentHash
+ * @param {number[]} queryEmbedding - Embedding of the search query
+ * @returns {Promise<Map<string, Object>>} - { text, section, start, score } by CV ID (CVs without passages are left out)
+ */
+async function findBestPassages(cvs, queryEmbedding) {
+  const passagesByCV = await getPassages(cvs);
+  const best = new Map();
+  
+  for (const [cvId, passages] of passagesByCV) {
+    for (const passage of passages) {
+      const score = cosineSimilarity(queryEmbedding, passage.embedding);
+      if (!best.has(cvId) || score > best.get(cvId).score) {
+        best.set(cvId, { text: passage.text, section: passage.section, start: passage.start, score });
+      }
+    }
+  }
+  
+  return best;
+}
+
+// Passages contain CV text, so they are erased with the candidate
+registerErasureStep('passages', async ({ cvIds }) => {
+  const { deletedCount } = await CVPassage.deleteMany({ cvId: { $in: cvIds } });
+  return deletedCount;
+});
+
+module.exports = {
+  splitPassages,
+  meanEmbedding,
+  embedContent,
+  savePassages,
+  getPassages,
+  findBestPassages
+};
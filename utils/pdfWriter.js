@@ -0,0 +1,190 @@
+const zlib = require('zlib');
+
+// A4 in points
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 50;
+
+// Average glyph widths of the standard fonts (in em), used to wrap lines
+const AVERAGE_WIDTH = { regular: 0.5, bold: 0.55 };
+
+// Characters outside Latin-1 that the WinAnsi encoding still has
+const WIN_ANSI = {
+  '€': 0x80, '‚': 0x82, '„': 0x84, '…': 0x85, '‘': 0x91, '’': 0x92,
+  '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '™': 0x99
+};
+
+// The catalog and page tree are written last, once every page is known
+const CATALOG = 1;
+const PAGES = 2;
+const FONT = 3;
+const BOLD_FONT = 4;
+
+/**
+ * Encode text as a PDF string in the WinAnsi encoding of the standard fonts.
+ * Characters the encoding lacks become '?'.
+ * @param {string} text - Text
+ * @returns {Buffer}
+ */
+function encodeText(text) {
+  const bytes = [0x28];
+  for (const char of String(text)) {
+    const code = char.codePointAt(0);
+    let byte = WIN_ANSI[char];
+    if (byte === undefined) {
+      byte = (code >= 0x20 && code < 0x7f) || (code >= 0xa0 && code <= 0xff) ? code : 0x3f;
+    }
+    if (byte === 0x28 || byte === 0x29 || byte === 0x5c) {
+      bytes.push(0x5c);
+    }
+    bytes.push(byte);
+  }
+  bytes.push(0x29);
+  return Buffer.from(bytes);
+}
+
+/**
+ * Split text into lines that fit the page width
+ * @param {string} text - Text (may contain line breaks)
+ * @param {number} size - Font size
+ * @param {boolean} bold - Whether the bold font is used
+ * @returns {string[]}
+ */
+function wrapText(text, size, bold) {
+  const maxChars = Math.max(10, Math.floor((PAGE_WIDTH - 2 * MARGIN) / (size * AVERAGE_WIDTH[bold ? 'bold' : 'regular'])));
+  const lines = [];
+  
+  for (const paragraph of String(text).split(/\r?\n/)) {
+    let line = '';
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      // Words longer than a line are cut
+      for (let start = 0; start < word.length; start += maxChars) {
+        const part = word.slice(start, start + maxChars);
+        if (!line) {
+          line = part;
+        } else if (line.length + 1 + part.length <= maxChars) {
+          line += ` ${part}`;
+        } else {
+          lines.push(line);
+          line = part;
+        }
+      }
+    }
+    lines.push(line);
+  }
+  
+  return lines;
+}
+
+/**
+ * Write a PDF document page by page without holding it in memory. Pages hold lines of text
+ * in Helvetica; text that does not fit on a page is cut off.
+ * @param {Function} write - async (Buffer) => void, writes to the output and resolves when it can take more
+ * @param {Object} [options] - { title }
+ * @returns {Object} - { addPage(lines), finish() }
+ */
+function createPdfWriter(write, { title } = {}) {
+  const offsets = [];
+  const pageIds = [];
+  let nextId = BOLD_FONT + 1;
+  let offset = 0;
+  
+  const emit = async (buffer) => {
+    offset += buffer.length;
+    await write(buffer);
+  };
+  
+  const writeObject = async (id, ...parts) => {
+    offsets[id] = offset;
+    await emit(Buffer.concat([
+      Buffer.from(`${id} 0 obj\n`),
+      ...parts.map(part => (Buffer.isBuffer(part) ? part : Buffer.from(part))),
+      Buffer.from('\nendobj\n')
+    ]));
+  };
+  
+  // The header and fonts are written with the first page
+  let started = null;
+  const start = () => {
+    if (!started) {
+      started = (async () => {
+        // The binary comment marks the file as binary for transfer tools
+        await emit(Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1'));
+        await writeObject(FONT, '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+        await writeObject(BOLD_FONT, '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+      })();
+    }
+    return started;
+  };
+  
+  /**
+   * Add a page
+   * @param {Object[]} lines - [{ text, size, bold, space }] where space is extra room above the line
+   */
+  async function addPage(lines) {
+    await start();
+    
+    const operations = [];
+    let y = PAGE_HEIGHT - MARGIN;
+    
+    page:
+    for (const { text = '', size = 10, bold = false, space = 0 } of lines) {
+      y -= space;
+      for (const line of wrapText(text, size, bold)) {
+        y -= size * 1.4;
+        if (y < MARGIN) {
+          break page;
+        }
+        if (line) {
+          operations.push(Buffer.concat([
+            Buffer.from(`BT /${bold ? 'F2' : 'F1'} ${size} Tf ${MARGIN} ${y.toFixed(1)} Td `),
+            encodeText(line),
+            Buffer.from(' Tj ET\n')
+          ]));
+        }
+      }
+    }
+    
+    const content = zlib.deflateSync(Buffer.concat(operations));
+    const contentId = nextId++;
+    const pageId = nextId++;
+    
+    await writeObject(contentId, `<< /Length ${content.length} /Filter /FlateDecode >>\nstream\n`, content, '\nendstream');
+    await writeObject(pageId, [
+      `<< /Type /Page /Parent ${PAGES} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}]`,
+      `/Resources << /Font << /F1 ${FONT} 0 R /F2 ${BOLD_FONT} 0 R >> >> /Contents ${contentId} 0 R >>`
+    ].join(' '));
+    pageIds.push(pageId);
+  }
+  
+  /**
+   * Write the page tree, catalog and cross-reference table that end the document
+   */
+  async function finish() {
+    await start();
+    
+    await writeObject(PAGES, `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`);
+    await writeObject(CATALOG, `<< /Type /Catalog /Pages ${PAGES} 0 R >>`);
+    
+    let infoId = null;
+    if (title) {
+      infoId = nextId++;
+      await writeObject(infoId, Buffer.from('<< /Title '), encodeText(title), Buffer.from(' >>'));
+    }
+    
+    const xrefOffset = offset;
+    const xref = [`xref\n0 ${nextId}\n`, '0000000000 65535 f \n'];
+    for (let id = 1; id < nextId; id++) {
+      xref.push(`${String(offsets[id]).padStart(10, '0')} 00000 n \n`);
+    }
+    xref.push(`trailer\n<< /Size ${nextId} /Root ${CATALOG} 0 R${infoId ? ` /Info ${infoId} 0 R` : ''} >>\n`);
+    xref.push(`startxref\n${xrefOffset}\n%%EOF\n`);
+    await emit(Buffer.from(xref.join('')));
+  }
+  
+  return { addPage, finish };
+}
+
+module.exports = {
+  createPdfWriter
+};
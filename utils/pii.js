@@ -0,0 +1,463 @@
+const crypto = require('crypto');
+const config = require('../config/config');
+const { detectPersonalData } = require('./openaiService');
+const { getTenantConfig } = require('./tenantScope');
+
+/**
+ * Detection and redaction of personal data in CV text.
+ *
+ * Detectors find spans of one type of personal data (emails, phone numbers, dates of birth...)
+ * in any text. A redactor is built for one CV: it adds the candidate's name, found in the CV
+ * header and email address (and by an LLM when PII_LLM_PROVIDER is set), so the name is also
+ * removed from excerpts of the CV that do not contain the header.
+ */
+
+// Placeholders replacing redacted text; custom types get [TYPE]
+const PLACEHOLDERS = {
+  email: '[EMAIL]',
+  phone: '[PHONE]',
+  url: '[URL]',
+  dateOfBirth: '[DATE OF BIRTH]',
+  age: '[AGE]',
+  address: '[ADDRESS]',
+  photo: '[PHOTO]',
+  personal: '[REDACTED]',
+  name: '[NAME]'
+};
+
+// Fields left out of blind views: contact data, profile links, file names (often the candidate's name)
+// and the raw extraction values that still contain the contact details
+const BLIND_REMOVED_FIELDS = ['contactKeys', 'extractedMetadata', 'corrections', 'filename', 'originalName', 'file'];
+const BLIND_REMOVED_METADATA = ['contactDetails', 'links'];
+
+// Lines in the CV header that are not the candidate's name (titles, headings, job titles)
+const NOT_A_NAME = /\b(curriculum|vitae|resume|résumé|lebenslauf|cv|profile|contact|personal|details|information|summary|objective|about|experience|education|skills|projects|languages|certifications|references|engineer|developer|manager|designer|analyst|consultant|scientist|architect|specialist|lead|director|officer|administrator|intern|student|senior|junior|head)\b/i;
+const NAME_LABEL = /^(full )?name[ \t]*[:\-–][ \t]*/i;
+const NAME_LINE = /^\p{Lu}[\p{L}'’-]+(?:[ \t]+(?:(?:von|van|der|den|de|da|di|del|la|le|zu|bin|al)[ \t]+)*\p{Lu}[\p{L}'’.-]*){1,3}$/u;
+const NAME_PARTICLES = new Set(['von', 'van', 'der', 'den', 'de', 'da', 'di', 'del', 'la', 'le', 'zu', 'bin', 'al']);
+
+// Text sent to the LLM detector; names and addresses are at the top of a CV
+const LLM_DETECTION_CHARS = 6000;
+const LLM_CACHE_SIZE = 500;
+// Providers that run on your own infrastructure, so unredacted CV text does not leave it
+const SELF_HOSTED_PROVIDERS = new Set(['local', 'offline']);
+
+// Regex detectors by type, each returning [{ start, end }]
+const detectors = new Map();
+
+// LLM detection results by content hash, so each CV is only sent once per process
+const llmCache = new Map();
+
+/**
+ * Register a detector for a type of personal data
+ * @param {string} type - Type name, used for the placeholder and in redaction counts
+ * @param {Function} detect - (text) => [{ start, end }]
+ */
+function registerPiiDetector(type, detect) {
+  detectors.set(type, detect);
+}
+
+/**
+ * Build a detector from regular expressions (flags 'gd'). The span of a named group `value`
+ * is redacted if the expression has one (e.g. the date after "Date of birth:"), else the whole match.
+ * @param {RegExp[]} patterns - Regular expressions
+ * @param {Function} [accept] - (matchedText, { before, after }) => boolean to reject false positives,
+ *   where before and after are the text around the match
+ * @returns {Function} - Detector
+ */
+function patternDetector(patterns, accept) {
+  return text => {
+    const spans = [];
+    for (const pattern of patterns) {
+      for (const match of text.matchAll(pattern)) {
+        const [start, end] = match.indices.groups && match.indices.groups.value
+          ? match.indices.groups.value
+          : match.indices[0];
+        if (!accept || accept(text.slice(start, end), { before: text.slice(0, start), after: text.slice(end) })) {
+          spans.push({ start, end });
+        }
+      }
+    }
+    return spans;
+  };
+}
+
+// Amounts ("12 500 000 EUR", "USD 1 250 000") and book numbers ("ISBN 978-3-16-148410-0") look like phone numbers
+const CURRENCY = String.raw`(?:EUR|USD|GBP|CHF|JPY|CNY|INR|AUD|CAD|SEK|NOK|DKK|PLN|CZK|HUF|RUB|BRL|MXN|ZAR|AED|SGD|HKD|NZD|TRY|KRW|[€$£¥₹])`;
+const AMOUNT_BEFORE = new RegExp(String.raw`${CURRENCY}[ \t]*$`);
+const AMOUNT_AFTER = new RegExp(String.raw`^[ \t]*(?:${CURRENCY}|(?:euros?|dollars?|pounds?|francs?)\b)`, 'i');
+const ISBN_BEFORE = /\bISBN(?:-1[03])?[ \t]*:?[ \t]*$/i;
+
+/**
+ * Check whether a number is a phone number rather than a date, a date range or another figure
+ * @param {string} value - Matched number
+ * @param {Object} [context] - { before, after } text around the number
+ * @returns {boolean}
+ */
+function isPhoneNumber(value, { before = '', after = '' } = {}) {
+  const digits = value.replace(/\D/g, '');
+  if (digits.length < 7 || digits.length > 15) {
+    return false;
+  }
+  if (AMOUNT_BEFORE.test(before) || AMOUNT_AFTER.test(after) || ISBN_BEFORE.test(before)) {
+    return false;
+  }
+  // Numbers made of dotted groups are IP addresses ("192.168.100.200") or versions ("1.2.3.4567")
+  const groups = value.split('.');
+  if (groups.length > 1 && groups.every(group => /^\d+$/.test(group))) {
+    const isIPAddress = groups.length === 4 && groups.every(group => group.length <= 3 && Number(group) <= 255);
+    // Only a leading country code ("1.800.555.0199") is a single digit in a dotted phone number
+    if (isIPAddress || groups.slice(1).some(group => group.length === 1)) {
+      return false;
+    }
+  }
+  // International and bracketed area codes are unambiguous; otherwise years mean dates ("01/2019 - 03/2021")
+  if (/^(\+|00|\()/.test(value)) {
+    return true;
+  }
+  return !value.split(/[^\d]+/).some(group => /^(19|20)\d{2}$/.test(group));
+}
+
+const DATE = String.raw`\d{1,2}[./-]\d{1,2}[./-]\d{2,4}|\d{4}-\d{1,2}-\d{1,2}|\d{1,2}\.?[ \t]+\p{L}{3,9}\.?[ \t]+\d{4}|\p{L}{3,9}\.?[ \t]+\d{1,2},?[ \t]+\d{4}|\d{4}`;
+
+registerPiiDetector('email', patternDetector([/[\w.+-]+@[\w-]+(?:\.[\w-]+)+/gd]));
+
+registerPiiDetector('url', patternDetector([
+  /\bhttps?:\/\/[^\s<>"')\]]+|\bwww\.[^\s<>"')\]]+|\b(?:linkedin\.com|github\.com|gitlab\.com|xing\.com|twitter\.com|x\.com|facebook\.com|instagram\.com|behance\.net|dribbble\.com|stackoverflow\.com)\/[^\s<>"')\]]+/gid
+]));
+
+registerPiiDetector('phone', patternDetector([/(?<![\w.])(?:\+|00)?\(?\d[\d \t().\/-]{5,}\d\b/gd], isPhoneNumber));
+
+registerPiiDetector('dateOfBirth', patternDetector([
+  new RegExp(String.raw`\b(?:date of birth|birth ?date|born(?: on)?|d\.?o\.?b\.?|geburtsdatum|geboren(?: am)?)[ \t]*[:\-–]?[ \t]*(?<value>${DATE})`, 'gidu')
+]));
+
+registerPiiDetector('age', patternDetector([
+  /\b(?:aged?|alter)[ \t]*[:\-–]?[ \t]*(?<value>\d{2})\b/gid,
+  /\b\d{2}[ \t]*(?:years old|year-old|jahre alt)\b/gid
+]));
+
+registerPiiDetector('address', patternDetector([
+  // Labeled address lines
+  /^[ \t]*(?:home |postal |street )?(?:address|anschrift|adresse|wohnanschrift)[ \t]*[:\-–][ \t]*(?<value>[^\n]+)/gimd,
+  // "221B Baker Street", "12 Main St., Apt 4"
+  /\b\d{1,5}[A-Za-z]?[ \t]+(?:[A-Z][\w'.-]*[ \t]+){1,4}(?:Street|St|Avenue|Ave|Road|Rd|Lane|Ln|Drive|Dr|Boulevard|Blvd|Way|Court|Ct|Place|Pl|Square|Sq|Terrace|Close)\b\.?(?:,?[ \t]*(?:Apt|Suite|Unit|Flat)\.?[ \t]*\w+)?/gd,
+  // "Hauptstraße 12, 10115 Berlin"
+  /(?<![\p{L}])\p{Lu}[\p{L}.-]*(?:straße|strasse|str\.|weg|gasse|allee|platz|damm|ufer)[ \t]+\d{1,3}[ \t]?[a-z]?\b(?:,?[ \t]*\d{5}[ \t]+\p{Lu}[\p{L}-]+)?/gdu,
+  // UK postcodes
+  /\b[A-Z]{1,2}\d[A-Z\d]?[ \t]+\d[A-Z]{2}\b/gd
+]));
+
+registerPiiDetector('photo', patternDetector([
+  /^[ \t]*[[(]?(?:photo|picture|image|portrait|foto|bild)\b[ \t]*[:\])\-–][^\n]*/gimd
+]));
+
+// Personal details that are irrelevant to screening and invite bias
+registerPiiDetector('personal', patternDetector([
+  /^[ \t]*(?:gender|sex|marital status|family status|nationality|citizenship|religion|children|geschlecht|familienstand|staatsangehörigkeit|nationalität|konfession|kinder)[ \t]*[:\-–][ \t]*(?<value>[^\n]+)/gimdu
+]));
+
+/**
+ * Check whether a type of personal data is redacted in this deployment
+ * @param {string} type - Type name
+ * @returns {boolean}
+ */
+function isEnabled(type) {
+  return !config.pii.disabledTypes.includes(type);
+}
+
+/**
+ * Find the texts of one type of personal data
+ * @param {string} text - Text to search
+ * @param {string} type - Detector type, e.g. 'email'
+ * @returns {string[]} - Matched texts in order of appearance
+ */
+function findPersonalData(text, type) {
+  const detect = detectors.get(type);
+  if (!text || !detect) {
+    return [];
+  }
+  return detect(text).sort((a, b) => a.start - b.start).map(span => text.slice(span.start, span.end));
+}
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} value - Literal text
+ * @returns {string}
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Find the capitalized whole-word occurrences of a term (a name or an address)
+ * @param {string} text - Text to search
+ * @param {string} value - Term
+ * @returns {Object[]} - [{ start, end }]
+ */
+function findTerm(text, value) {
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(value)}(?![\\p{L}\\p{N}])`, 'giu');
+  return [...text.matchAll(pattern)]
+    .filter(match => /^[\p{Lu}\p{N}]/u.test(match[0]))
+    .map(match => ({ start: match.index, end: match.index + match[0].length }));
+}
+
+/**
+ * Find the candidate's name: the first header line that reads like a name (or a "Name:" line),
+ * and the parts of email addresses such as jane.doe@... that appear capitalized in the CV
+ * @param {string} content - CV text
+ * @returns {Object[]} - Terms: [{ type: 'name', value }] for the full name and its parts
+ */
+function findNameTerms(content) {
+  const names = new Set();
+  const lines = content.split('\n').map(line => line.trim()).filter(Boolean);
+  
+  const labeled = lines.slice(0, 20).find(line => NAME_LABEL.test(line));
+  const fullName = [labeled, ...lines.slice(0, 5)]
+    .map(line => line && line.replace(NAME_LABEL, ''))
+    .find(line => line && NAME_LINE.test(line) && !NOT_A_NAME.test(line));
+  if (fullName) {
+    names.add(fullName);
+    for (const part of fullName.split(/[ \t]+/)) {
+      names.add(part.replace(/\.$/, ''));
+    }
+  }
+  
+  for (const email of findPersonalData(content, 'email')) {
+    const parts = email.split('@')[0].split(/[._-]+/).filter(part => /^\p{L}{2,}$/u.test(part));
+    if (parts.length >= 2) {
+      parts.filter(part => findTerm(content, part).length > 0).forEach(part => names.add(part));
+    }
+  }
+  
+  return [...names]
+    .filter(name => name.length > 1 && !NAME_PARTICLES.has(name.toLowerCase()))
+    .map(value => ({ type: 'name', value }));
+}
+
+/**
+ * Check whether the LLM detector (PII_LLM_PROVIDER) is used. It receives the unredacted CV text,
+ * so tenants that redact before AI only use it with a self-hosted provider.
+ * @returns {boolean}
+ */
+function isLLMDetectionEnabled() {
+  const provider = config.pii.llmProvider;
+  if (!provider) {
+    return false;
+  }
+  return SELF_HOSTED_PROVIDERS.has(provider) || !getTenantConfig('pii').redactBeforeAI;
+}
+
+/**
+ * Ask the LLM detector (PII_LLM_PROVIDER) for names and addresses the other detectors miss
+ * @param {string} content - CV text
+ * @returns {Promise<Object[]>} - Terms: [{ type: 'name' | 'address', value }] found verbatim in the CV
+ */
+async function findLLMTerms(content) {
+  const key = crypto.createHash('sha256').update(`${config.pii.llmProvider}\n${content}`).digest('hex');
+  if (llmCache.has(key)) {
+    return llmCache.get(key);
+  }
+  
+  const result = await detectPersonalData(content.substring(0, LLM_DETECTION_CHARS), config.pii.llmProvider);
+  if (!result) {
+    // Failed detections are not cached, so they are tried again
+    return [];
+  }
+  
+  const terms = [];
+  for (const [field, type] of [['names', 'name'], ['addresses', 'address']]) {
+    for (const value of Array.isArray(result[field]) ? result[field] : []) {
+      if (typeof value === 'string' && value.trim().length > 2 && content.includes(value.trim())) {
+        terms.push({ type, value: value.trim() });
+      }
+    }
+  }
+  
+  llmCache.set(key, terms);
+  if (llmCache.size > LLM_CACHE_SIZE) {
+    llmCache.delete(llmCache.keys().next().value);
+  }
+  return terms;
+}
+
+/**
+ * Replace the personal data in a text with placeholders such as [EMAIL]
+ * @param {string} text - Text to redact
+ * @param {Object[]} [terms] - Names and addresses of the candidate: [{ type, value }]
+ * @returns {Object} - { text, entities: [{ type, start, end, placeholder }] } with offsets in the original text
+ */
+function redactText(text, terms = []) {
+  if (!text) {
+    return { text, entities: [] };
+  }
+  
+  const found = [];
+  for (const [type, detect] of detectors) {
+    if (isEnabled(type)) {
+      found.push(...detect(text).map(span => ({ type, ...span })));
+    }
+  }
+  for (const term of terms) {
+    if (isEnabled(term.type)) {
+      found.push(...findTerm(text, term.value).map(span => ({ type: term.type, ...span })));
+    }
+  }
+  
+  // Overlapping spans are merged into the one that starts first (the longest at the same position)
+  found.sort((a, b) => a.start - b.start || b.end - a.end);
+  const entities = [];
+  for (const span of found) {
+    const last = entities[entities.length - 1];
+    if (last && span.start < last.end) {
+      last.end = Math.max(last.end, span.end);
+    } else if (span.end > span.start) {
+      entities.push({ ...span, placeholder: PLACEHOLDERS[span.type] || `[${span.type.toUpperCase()}]` });
+    }
+  }
+  
+  let redacted = '';
+  let offset = 0;
+  for (const entity of entities) {
+    redacted += text.slice(offset, entity.start) + entity.placeholder;
+    offset = entity.end;
+  }
+  
+  return { text: redacted + text.slice(offset), entities };
+}
+
+/**
+ * Create a redactor for one CV
+ * @param {string} content - CV text
+ * @returns {Promise<Object>} - { content (redacted), counts (by type), redact(text), mapOffset(offset) }
+ */
+async function createRedactor(content) {
+  const text = content || '';
+  const terms = findNameTerms(text);
+  
+  if (text.trim() && isLLMDetectionEnabled()) {
+    try {
+      terms.push(...await findLLMTerms(text));
+    } catch (error) {
+      console.error('LLM personal data detection failed:', error.message);
+    }
+  }
+  
+  const redacted = redactText(text, terms);
+  const counts = {};
+  for (const entity of redacted.entities) {
+    counts[entity.type] = (counts[entity.type] || 0) + 1;
+  }
+  
+  return {
+    content: redacted.text,
+    counts,
+    redact: value => (typeof value === 'string' ? redactText(value, terms).text : value),
+    // Move an offset in the CV text to the same place in the redacted text
+    mapOffset: offset => {
+      if (typeof offset !== 'number') {
+        return offset;
+      }
+      let shift = 0;
+      for (const entity of redacted.entities) {
+        if (entity.start >= offset) {
+          break;
+        }
+        if (entity.end > offset) {
+          return entity.start + shift;
+        }
+        shift += entity.placeholder.length - (entity.end - entity.start);
+      }
+      return offset + shift;
+    }
+  };
+}
+
+/**
+ * Create redactors for several CVs
+ * @param {Object[]} cvs - CVs with _id and content
+ * @returns {Promise<Map<string, Object>>} - Redactors by CV ID
+ */
+async function createRedactors(cvs) {
+  const redactors = new Map();
+  for (const cv of cvs) {
+    redactors.set(cv._id.toString(), await createRedactor(cv.content));
+  }
+  return redactors;
+}
+
+/**
+ * Get a redactor for CV text sent to the AI provider, if the tenant redacts it (PII_REDACT_BEFORE_AI)
+ * @param {string} content - CV text
+ * @returns {Promise<Object|null>} - Redactor, or null when text is sent as is
+ */
+async function getAIRedactor(content) {
+  return getTenantConfig('pii').redactBeforeAI ? createRedactor(content) : null;
+}
+
+/**
+ * Redact every string of a JSON-compatible value (IDs are left alone)
+ * @param {*} value - Value
+ * @param {Function} redact - (text) => redacted text
+ * @returns {*} - Redacted value
+ */
+function redactValue(value, redact) {
+  if (typeof value === 'string') {
+    return redact(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redactValue(item, redact));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value)
+      .map(([key, item]) => [key, key === '_id' || /Id$/.test(key) ? item : redactValue(item, redact)]));
+  }
+  return value;
+}
+
+/**
+ * Build the blind-screening view of a CV or search result: contact details, profile links and
+ * file names are removed, and personal data in the text, metadata and notes is replaced by placeholders
+ * @param {Object} cv - CV document or search result
+ * @param {Object} [redactor] - Redactor of the CV (from createRedactor); without one only the detectors are applied
+ * @returns {Object} - Blind view with `blind: { redactions }` counting the redactions in the content by type
+ */
+function blindView(cv, redactor) {
+  // Serialize first so Mongoose documents, ObjectIds and dates become plain values
+  const view = JSON.parse(JSON.stringify(cv));
+  const redact = redactor ? redactor.redact : value => redactText(value).text;
+  
+  for (const field of BLIND_REMOVED_FIELDS) {
+    delete view[field];
+  }
+  
+  if (typeof view.content === 'string') {
+    view.content = redactor ? redactor.content : redact(view.content);
+  }
+  
+  if (view.metadata) {
+    for (const field of BLIND_REMOVED_METADATA) {
+      delete view.metadata[field];
+    }
+    view.metadata = redactValue(view.metadata, redact);
+  }
+  
+  if (view.recruiting && Array.isArray(view.recruiting.notes)) {
+    view.recruiting.notes = view.recruiting.notes.map(note => ({ ...note, text: redact(note.text) }));
+  }
+  
+  view.blind = { redactions: redactor ? redactor.counts : {} };
+  return view;
+}
+
+module.exports = {
+  registerPiiDetector,
+  findPersonalData,
+  redactText,
+  createRedactor,
+  createRedactors,
+  getAIRedactor,
+  blindView,
+  BLIND_REMOVED_FIELDS,
+  BLIND_REMOVED_METADATA
+};
@@ -0,0 +1,93 @@
+const config = require('../../config/config');
+const { getTenantConfig } = require('../tenantScope');
+const { createOpenAICompatibleProvider } = require('./openaiCompatibleProvider');
+
+/**
+ * Factories for the supported AI providers.
+ *
+ * A provider is an object with:
+ * - name, embeddingModel, completionModel
+ * - generateEmbeddings(text): Promise<number[]>
+ * - generateEmbeddingsBatch(texts): Promise<number[][]> (optional, texts are embedded one by one without it)
+ * - completeJSON(systemPrompt, userPrompt): Promise<Object|null> (null when the provider cannot analyze text)
+ */
+const providerFactories = {
+  openai: () => createOpenAICompatibleProvider({
+    name: 'openai',
+    embeddingModel: config.openai.embeddingModel,
+    completionModel: config.openai.completionModel,
+    createClient: () => {
+      const { OpenAI } = require('openai');
+      return new OpenAI({ apiKey: config.openai.apiKey });
+    }
+  }),
+  
+  azure: () => createOpenAICompatibleProvider({
+    name: 'azure',
+    embeddingModel: config.azureOpenai.embeddingModel,
+    completionModel: config.azureOpenai.completionModel,
+    createClient: () => {
+      const { AzureOpenAI } = require('openai');
+      return new AzureOpenAI({
+        apiKey: config.azureOpenai.apiKey,
+        endpoint: config.azureOpenai.endpoint,
+        apiVersion: config.azureOpenai.apiVersion
+      });
+    }
+  }),
+  
+  local: () => createOpenAICompatibleProvider({
+    name: 'local',
+    embeddingModel: config.localLLM.embeddingModel,
+    completionModel: config.localLLM.completionModel,
+    createClient: () => {
+      const { OpenAI } = require('openai');
+      return new OpenAI({ apiKey: config.localLLM.apiKey, baseURL: config.localLLM.baseUrl });
+    }
+  }),
+  
+  offline: () => require('./offlineProvider')
+};
+
+const providers = new Map();
+
+/**
+ * Register an additional provider factory
+ * @param {string} name - Provider name used in AI_PROVIDER
+ * @param {Function} factory - Returns the provider
+ */
+function registerProvider(name, factory) {
+  providerFactories[name] = factory;
+  providers.delete(name);
+}
+
+/**
+ * Check whether a provider name is registered
+ * @param {string} name - Provider name
+ * @returns {boolean}
+ */
+function hasProvider(name) {
+  return Object.prototype.hasOwnProperty.call(providerFactories, name);
+}
+
+/**
+ * Get a provider instance by name (defaults to the current tenant's provider, then AI_PROVIDER)
+ * @param {string} [name] - Provider name
+ * @returns {Object} - Provider
+ */
+function getProvider(name = getTenantConfig('ai').provider) {
+  if (!providers.has(name)) {
+    const factory = providerFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown AI provider: ${name}. Available providers: ${Object.keys(providerFactories).join(', ')}`);
+    }
+    providers.set(name, factory());
+  }
+  return providers.get(name);
+}
+
+module.exports = {
+  getProvider,
+  hasProvider,
+  registerProvider
+};
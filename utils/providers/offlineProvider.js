@@ -0,0 +1,79 @@
+const config = require('../../config/config');
+
+/**
+ * 32-bit FNV-1a hash
+ * @param {string} value - String to hash
+ * @returns {number} - Unsigned hash
+ */
+function fnv1a(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Split text into lowercase word tokens (keeps terms such as c#, node.js, ci/cd)
+ * @param {string} text - Text to tokenize
+ * @returns {string[]} - Tokens
+ */
+function tokenize(text) {
+  return (text.toLowerCase().match(/[\p{L}\p{N}][\p{L}\p{N}+#./-]*[\p{L}\p{N}+#]|[\p{L}\p{N}]/gu) || []);
+}
+
+/**
+ * Hashed bag-of-words embedding (unigrams and bigrams, log term frequency, L2 normalized)
+ * @param {string} text - Text to embed
+ * @param {number} dimensions - Vector size
+ * @returns {number[]} - Embedding vector
+ */
+function hashedEmbedding(text, dimensions) {
+  const vector = new Array(dimensions).fill(0);
+  const tokens = tokenize(text);
+  const counts = new Map();
+  
+  for (let i = 0; i < tokens.length; i++) {
+    counts.set(tokens[i], (counts.get(tokens[i]) || 0) + 1);
+    if (i > 0) {
+      const bigram = `${tokens[i - 1]} ${tokens[i]}`;
+      counts.set(bigram, (counts.get(bigram) || 0) + 0.5);
+    }
+  }
+  
+  for (const [term, count] of counts) {
+    const hash = fnv1a(term);
+    // The top bit decides the sign so collisions tend to cancel out
+    const sign = hash & 0x80000000 ? -1 : 1;
+    vector[hash % dimensions] += sign * (1 + Math.log(count));
+  }
+  
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm > 0 ? vector.map(value => value / norm) : vector;
+}
+
+/**
+ * Offline provider - deterministic, never sends data anywhere.
+ * AI analysis is not available, so callers fall back to rule-based extraction.
+ */
+module.exports = {
+  name: 'offline',
+  embeddingModel: `hashed-bow-${config.offline.dimensions}`,
+  completionModel: 'rule-based',
+  
+  async generateEmbeddings(text) {
+    return hashedEmbedding(text, config.offline.dimensions);
+  },
+  
+  async generateEmbeddingsBatch(texts) {
+    return texts.map(text => hashedEmbedding(text, config.offline.dimensions));
+  },
+  
+  async completeJSON() {
+    return null;
+  },
+  
+  hashedEmbedding,
+  tokenize
+};
@@ -0,0 +1,100 @@
+/**
+ * Parse a JSON object from a model response, repairing common formatting problems
+ * (markdown fences, text around the object, trailing commas)
+ * @param {string} content - Model response
+ * @returns {Object} - Parsed JSON
+ */
+function parseJSONResponse(content) {
+  // Some local models wrap JSON in markdown fences
+  const text = (content || '').replace(/^\s*```(?:json)?\s*|\s*```\s*$/g, '');
+  
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start === -1 || end <= start) {
+      throw new Error(`Model response is not JSON: ${error.message}`);
+    }
+    return JSON.parse(text.slice(start, end + 1).replace(/,\s*([}\]])/g, '$1'));
+  }
+}
+
+/**
+ * Create a provider backed by an OpenAI-style client (OpenAI, Azure OpenAI, local servers)
+ * @param {Object} options - Provider options
+ * @param {string} options.name - Provider name stored with embeddings
+ * @param {Function} options.createClient - Returns the OpenAI client (called lazily)
+ * @param {string} options.embeddingModel - Embedding model or deployment
+ * @param {string} options.completionModel - Completion model or deployment
+ * @param {boolean} [options.jsonMode=true] - Whether the server supports response_format json_object
+ * @returns {Object} - Provider
+ */
+function createOpenAICompatibleProvider({ name, createClient, embeddingModel, completionModel, jsonMode = true }) {
+  let client = null;
+  
+  const getClient = () => {
+    if (!client) {
+      client = createClient();
+    }
+    return client;
+  };
+  
+  return {
+    name,
+    embeddingModel,
+    completionModel,
+    
+    /**
+     * Generate embeddings for a text
+     * @param {string} text - Text to embed
+     * @returns {Promise<number[]>} - Embedding vector
+     */
+    async generateEmbeddings(text) {
+      const response = await getClient().embeddings.create({
+        model: embeddingModel,
+        input: text
+      });
+      return response.data[0].embedding;
+    },
+    
+    /**
+     * Generate embeddings for several texts in one request
+     * @param {string[]} texts - Texts to embed
+     * @returns {Promise<number[][]>} - Embedding vectors in input order
+     */
+    async generateEmbeddingsBatch(texts) {
+      const response = await getClient().embeddings.create({
+        model: embeddingModel,
+        input: texts
+      });
+      return [...response.data].sort((a, b) => a.index - b.index).map(item => item.embedding);
+    },
+    
+    /**
+     * Run a chat completion that returns a JSON object
+     * @param {string} systemPrompt - System message
+     * @param {string} userPrompt - User message
+     * @returns {Promise<Object>} - Parsed JSON response
+     */
+    async completeJSON(systemPrompt, userPrompt) {
+      const request = {
+        model: completionModel,
+        messages: [
+          { role: 'system', content: systemPrompt },
+          { role: 'user', content: userPrompt }
+        ]
+      };
+      if (jsonMode) {
+        request.response_format = { type: 'json_object' };
+      }
+      
+      const response = await getClient().chat.completions.create(request);
+      const content = response.choices[0].message.content;
+      
+      return parseJSONResponse(content);
+    }
+  };
+}
+
+module.exports = { createOpenAICompatibleProvider, parseJSONResponse };
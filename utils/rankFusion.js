@@ -0,0 +1,38 @@
+/**
+ * Fuse several ranked result lists with reciprocal rank fusion (RRF).
+ * Each document scores sum(weight / (k + rank)) over the lists it appears in.
+ * @param {Object[]} lists - Ranked lists: { name, results, weight, scoreField }
+ * @param {Object} [options] - { k } smoothing constant (default 60)
+ * @returns {Object[]} - Fused results sorted by fusedScore, each with per-list scores and ranks
+ */
+function reciprocalRankFusion(lists, { k = 60 } = {}) {
+  const fused = new Map();
+  
+  for (const list of lists) {
+    list.results.forEach((result, index) => {
+      const id = result._id.toString();
+      const rank = index + 1;
+      
+      if (!fused.has(id)) {
+        const entry = { ...result, fusedScore: 0, ranks: {} };
+        // Every list's score is present on every result, null when the list did not return it
+        for (const other of lists) {
+          entry[other.scoreField] = null;
+          entry.ranks[other.name] = null;
+        }
+        fused.set(id, entry);
+      }
+      
+      const entry = fused.get(id);
+      entry.fusedScore += list.weight / (k + rank);
+      entry[list.scoreField] = result[list.scoreField] !== undefined ? result[list.scoreField] : null;
+      entry.ranks[list.name] = rank;
+    });
+  }
+  
+  return [...fused.values()].sort((a, b) => b.fusedScore - a.fusedScore);
+}
+
+module.exports = {
+  reciprocalRankFusion
+};
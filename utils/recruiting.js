@@ -0,0 +1,315 @@
+const mongoose = require('mongoose');
+const CV = require('../models/cvModel');
+const { getCandidateId, candidateConditions } = require('./candidateVersions');
+
+// Recruiting pipeline stages, in order (defined on the CV schema)
+const PIPELINE_STAGES = CV.schema.path('recruiting.stage').enumValues;
+
+const MAX_TAG_LENGTH = 50;
+const MAX_NOTE_LENGTH = 5000;
+
+/**
+ * Normalize tags: trimmed, lowercase, without duplicates or empty values
+ * @param {string|string[]} tags - Tags
+ * @returns {string[]}
+ */
+function normalizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : [tags];
+  return [...new Set(list
+    .filter(tag => typeof tag === 'string')
+    .map(tag => tag.trim().toLowerCase())
+    .filter(Boolean))];
+}
+
+/**
+ * Check tags sent by a client
+ * @param {*} tags - Tags from the request body
+ * @returns {string|null} - Error message or null if valid
+ */
+function validateTags(tags) {
+  if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+    return 'tags must be an array of strings';
+  }
+  if (tags.some(tag => tag.trim().length > MAX_TAG_LENGTH)) {
+    return `tags cannot be longer than ${MAX_TAG_LENGTH} characters`;
+  }
+  return null;
+}
+
+/**
+ * Check a note text sent by a client
+ * @param {*} text - Note text
+ * @returns {string|null} - Error message or null if valid
+ */
+function validateNote(text) {
+  if (typeof text !== 'string' || !text.trim()) {
+    return 'text is required';
+  }
+  if (text.length > MAX_NOTE_LENGTH) {
+    return `text cannot be longer than ${MAX_NOTE_LENGTH} characters`;
+  }
+  return null;
+}
+
+/**
+ * Convert IDs to ObjectIds, dropping invalid ones (for aggregation stages, which are not cast)
+ * @param {string|string[]} ids - IDs
+ * @returns {Object[]}
+ */
+function toObjectIds(ids) {
+  const list = Array.isArray(ids) ? ids : [ids];
+  return list
+    .filter(id => mongoose.isValidObjectId(id))
+    .map(id => new mongoose.Types.ObjectId(String(id)));
+}
+
+/**
+ * Recruiting state of a CV, with defaults for CVs that were never touched
+ * @param {Object} cv - CV document or lean object
+ * @returns {Object} - { stage, stageChangedAt, stageHistory, notes, tags, shortlists, retentionConsent }
+ */
+function describeRecruiting(cv) {
+  const recruiting = (cv.recruiting && typeof cv.recruiting.toObject === 'function')
+    ? cv.recruiting.toObject()
+    : (cv.recruiting || {});
+  
+  return {
+    candidateId: getCandidateId(cv),
+    stage: recruiting.stage || 'new',
+    stageChangedAt: recruiting.stageChangedAt || null,
+    stageHistory: recruiting.stageHistory || [],
+    notes: recruiting.notes || [],
+    tags: recruiting.tags || [],
+    shortlists: recruiting.shortlists || [],
+    retentionConsent: recruiting.retentionConsent && recruiting.retentionConsent.until
+      ? recruiting.retentionConsent
+      : null
+  };
+}
+
+/**
+ * Apply an update to every version of the candidate a CV belongs to.
+ * Recruiting state belongs to the person, so new versions and search hits keep it.
+ * @param {string} cvId - ID of any CV of the candidate
+ * @param {Object} update - MongoDB update
+ * @returns {Promise<Object|null>} - Recruiting state after the update, or null if the CV was not found
+ */
+async function updateCandidateRecruiting(cvId, update) {
+  const cv = await CV.findOne({ _id: cvId, deletedAt: null }).select('_id candidateId').lean();
+  
+  if (!cv) {
+    return null;
+  }
+  
+  await CV.updateMany(candidateConditions(getCandidateId(cv)), update);
+  
+  const updated = await CV.findById(cv._id).select('_id candidateId recruiting').lean();
+  return describeRecruiting(updated);
+}
+
+/**
+ * Get the recruiting state of a CV's candidate
+ * @param {string} cvId - CV ID
+ * @returns {Promise<Object|null>} - Recruiting state or null if the CV was not found
+ */
+async function getRecruiting(cvId) {
+  const cv = await CV.findOne({ _id: cvId, deletedAt: null }).select('_id candidateId recruiting').lean();
+  return cv ? describeRecruiting(cv) : null;
+}
+
+/**
+ * Move a candidate to a pipeline stage, recording the change in the stage history
+ * @param {string} cvId - ID of any CV of the candidate
+ * @param {string} stage - One of PIPELINE_STAGES
+ * @param {Object} [options] - { changedBy, reason }
+ * @returns {Promise<Object|null>} - Recruiting state or null if the CV was not found
+ */
+async function setStage(cvId, stage, { changedBy, reason } = {}) {
+  const current = await getRecruiting(cvId);
+  
+  if (!current) {
+    return null;
+  }
+  
+  if (current.stage === stage) {
+    return current;
+  }
+  
+  const changedAt = new Date();
+  return updateCandidateRecruiting(cvId, {
+    $set: { 'recruiting.stage': stage, 'recruiting.stageChangedAt': changedAt },
+    $push: { 'recruiting.stageHistory': { stage, from: current.stage, changedAt, changedBy, reason } }
+  });
+}
+
+/**
+ * Add a note to a candidate
+ * @param {string} cvId - ID of any CV of the candidate
+ * @param {string} text - Note text
+ * @param {string} [author] - Who wrote the note
+ * @returns {Promise<Object|null>} - { note, recruiting } or null if the CV was not found
+ */
+async function addNote(cvId, text, author) {
+  // Every version gets the same note ID, so the note can be removed from all of them
+  const note = { _id: new mongoose.Types.ObjectId(), text: text.trim(), author, createdAt: new Date() };
+  const recruiting = await updateCandidateRecruiting(cvId, { $push: { 'recruiting.notes': note } });
+  return recruiting && { note, recruiting };
+}
+
+/**
+ * Remove a note from a candidate
+ * @param {string} cvId - ID of any CV of the candidate
+ * @param {string} noteId - Note ID
+ * @returns {Promise<Object|null>} - Recruiting state or null if the CV or note was not found
+ */
+async function removeNote(cvId, noteId) {
+  const current = await getRecruiting(cvId);
+  
+  if (!current || !current.notes.some(note => note._id.toString() === String(noteId))) {
+    return null;
+  }
+  
+  return updateCandidateRecruiting(cvId, { $pull: { 'recruiting.notes': { _id: noteId } } });
+}
+
+/**
+ * Replace the tags of a candidate
+ * @param {string} cvId - ID of any CV of the candidate
+ * @param {string[]} tags - Tags
+ * @returns {Promise<Object|null>} - Recruiting state or null if the CV was not found
+ */
+async function setTags(cvId, tags) {
+  return updateCandidateRecruiting(cvId, { $set: { 'recruiting.tags': normalizeTags(tags) } });
+}
+
+/**
+ * Record or withdraw a candidate's consent to keeping their data beyond the retention period
+ * @param {string} cvId - ID of any CV of the candidate
+ * @param {Object} consent - { until, recordedBy, note }; a null until withdraws the consent
+ * @returns {Promise<Object|null>} - Recruiting state or null if the CV was not found
+ */
+async function setRetentionConsent(cvId, { until, recordedBy, note }) {
+  if (!until) {
+    return updateCandidateRecruiting(cvId, { $unset: { 'recruiting.retentionConsent': '' } });
+  }
+  
+  return updateCandidateRecruiting(cvId, {
+    $set: {
+      'recruiting.retentionConsent': { until: new Date(until), recordedAt: new Date(), recordedBy, note }
+    }
+  });
+}
+
+/**
+ * Add candidates to a shortlist
+ * @param {string|Object} shortlistId - Shortlist ID
+ * @param {string[]} cvIds - IDs of any CV of each candidate
+ * @returns {Promise<Object>} - { added, notFound } with CV IDs
+ */
+async function addToShortlist(shortlistId, cvIds) {
+  const added = [];
+  const notFound = [];
+  
+  for (const cvId of cvIds) {
+    const recruiting = mongoose.isValidObjectId(cvId)
+      ? await updateCandidateRecruiting(cvId, { $addToSet: { 'recruiting.shortlists': shortlistId } })
+      : null;
+    (recruiting ? added : notFound).push(cvId);
+  }
+  
+  return { added, notFound };
+}
+
+/**
+ * Remove a candidate from a shortlist
+ * @param {string|Object} shortlistId - Shortlist ID
+ * @param {string} cvId - ID of any CV of the candidate
+ * @returns {Promise<Object|null>} - Recruiting state or null if the CV was not found
+ */
+async function removeFromShortlist(shortlistId, cvId) {
+  return updateCandidateRecruiting(cvId, { $pull: { 'recruiting.shortlists': shortlistId } });
+}
+
+/**
+ * Remove a deleted shortlist from all CVs
+ * @param {string|Object} shortlistId - Shortlist ID
+ * @returns {Promise<number>} - Number of updated CVs
+ */
+async function clearShortlist(shortlistId) {
+  const { modifiedCount } = await CV.updateMany(
+    { 'recruiting.shortlists': shortlistId },
+    { $pull: { 'recruiting.shortlists': shortlistId } }
+  );
+  return modifiedCount;
+}
+
+/**
+ * Build filter conditions for recruiting state
+ * @param {Object} filters - { stage, tags, tagsLogic, shortlists }
+ * @returns {Object[]} - MongoDB conditions, all of which must match
+ */
+function buildRecruitingConditions({ stage, tags, tagsLogic, shortlists }) {
+  const conditions = [];
+  
+  if (stage) {
+    const stages = (Array.isArray(stage) ? stage : [stage]).map(value => String(value).trim().toLowerCase());
+    // CVs that were never moved have no stage and count as new
+    conditions.push({ 'recruiting.stage': { $in: stages.includes('new') ? [...stages, null] : stages } });
+  }
+  
+  if (tags) {
+    const list = normalizeTags(tags);
+    conditions.push({ 'recruiting.tags': tagsLogic === 'AND' ? { $all: list } : { $in: list } });
+  }
+  
+  if (shortlists) {
+    conditions.push({ 'recruiting.shortlists': { $in: toObjectIds(shortlists) } });
+  }
+  
+  return conditions;
+}
+
+/**
+ * Combine the recruiting state of two candidates being merged.
+ * The target keeps its stage unless only the source was ever moved; tags, shortlists,
+ * notes and stage history are combined.
+ * @param {Object} target - Recruiting state of the candidate merged into
+ * @param {Object} source - Recruiting state of the merged candidate
+ * @returns {Object} - Combined recruiting state
+ */
+function combineRecruiting(target, source) {
+  const byDate = (a, b) => new Date(a.createdAt || a.changedAt) - new Date(b.createdAt || b.changedAt);
+  const notes = new Map([...source.notes, ...target.notes].map(note => [note._id.toString(), note]));
+  
+  return {
+    stage: target.stageChangedAt || !source.stageChangedAt ? target.stage : source.stage,
+    stageChangedAt: target.stageChangedAt || source.stageChangedAt || undefined,
+    stageHistory: [...source.stageHistory, ...target.stageHistory].sort(byDate),
+    notes: [...notes.values()].sort(byDate),
+    tags: normalizeTags([...target.tags, ...source.tags]),
+    shortlists: toObjectIds([...new Set([...target.shortlists, ...source.shortlists].map(String))]),
+    // The consent reaching further wins
+    retentionConsent: [target.retentionConsent, source.retentionConsent]
+      .filter(Boolean)
+      .sort((a, b) => new Date(b.until) - new Date(a.until))[0] || undefined
+  };
+}
+
+module.exports = {
+  PIPELINE_STAGES,
+  normalizeTags,
+  validateTags,
+  validateNote,
+  describeRecruiting,
+  getRecruiting,
+  setStage,
+  addNote,
+  removeNote,
+  setTags,
+  setRetentionConsent,
+  addToShortlist,
+  removeFromShortlist,
+  clearShortlist,
+  buildRecruitingConditions,
+  combineRecruiting
+};
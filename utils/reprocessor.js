@@ -0,0 +1,345 @@
+const CV = require('../models/cvModel');
+const ReprocessRun = require('../models/reprocessRunModel');
+const config = require('../config/config');
+const { ANALYSIS_VERSION, getEmbeddingInfo } = require('./openaiService');
+const { EXTRACTION_SCHEMA_VERSION } = require('./extractionSchema');
+const { analyzeContent } = require('./ingestPipeline');
+const { embedContent, savePassages } = require('./passages');
+const { runWithTenant, getCurrentTenant } = require('./tenantScope');
+const { getTenantContext } = require('./tenants');
+
+const MAX_STORED_FAILURES = 50;
+
+// Runs started in this process that have been asked to stop
+const cancelledRuns = new Set();
+
+// CVs without text have nothing to embed and never get embeddings or passages
+const HAS_TEXT = /\S/;
+
+/**
+ * Build conditions matching CVs with text whose embeddings are missing, from another provider/model
+ * or not split into passages yet (CVs stored before passages existed)
+ * @param {Object} target - { embeddingProvider, embeddingModel }
+ * @returns {Object} MongoDB filter conditions
+ */
+function staleEmbeddingConditions(target) {
+  return {
+    content: HAS_TEXT,
+    $or: [
+      { hasEmbeddings: { $ne: true } },
+      { passageCount: { $not: { $gt: 0 } } },
+      { embeddingProvider: { $ne: target.embeddingProvider } },
+      { embeddingModel: { $ne: target.embeddingModel } }
+    ]
+  };
+}
+
+/**
+ * Build conditions matching CVs whose metadata was produced by an older analysis prompt or extraction schema
+ * @param {Object} target - { metadataVersion, schemaVersion }
+ * @param {boolean} retryRuleBased - Also match CVs where AI analysis failed and rules were used
+ * @returns {Object} MongoDB filter conditions
+ */
+function staleMetadataConditions(target, retryRuleBased) {
+  const conditions = [{ metadataVersion: { $not: { $gte: target.metadataVersion } } }];
+  // Runs started before extraction schemas were versioned have no schemaVersion target
+  if (target.schemaVersion) {
+    conditions.push({ 'extraction.schemaVersion': { $not: { $gte: target.schemaVersion } } });
+  }
+  if (retryRuleBased) {
+    conditions.push({ metadataSource: { $ne: 'ai' } });
+  }
+  return { $or: conditions };
+}
+
+/**
+ * Build the selection of CVs a run has to process
+ * @param {Object} options - { embeddings, metadata, retryRuleBased, force }
+ * @param {Object} target - Target provider/model/version
+ * @returns {Object} MongoDB filter conditions
+ */
+function buildSelection(options, target) {
+  // Soft-deleted CVs are left untouched
+  if (options.force) {
+    return { deletedAt: null };
+  }
+  
+  const conditions = [];
+  if (options.embeddings) {
+    conditions.push(staleEmbeddingConditions(target));
+  }
+  if (options.metadata) {
+    conditions.push(staleMetadataConditions(target, options.retryRuleBased));
+  }
+  return conditions.length > 0 ? { deletedAt: null, $or: conditions } : { _id: null };
+}
+
+/**
+ * Get the provider/model/version CVs are migrated to
+ * @returns {Object} - { embeddingProvider, embeddingModel, metadataVersion, schemaVersion }
+ */
+function getTarget() {
+  const { provider, model } = getEmbeddingInfo();
+  return {
+    embeddingProvider: provider,
+    embeddingModel: model,
+    metadataVersion: ANALYSIS_VERSION,
+    schemaVersion: EXTRACTION_SCHEMA_VERSION
+  };
+}
+
+/**
+ * Normalize run options with defaults
+ * @param {Object} options - Raw options
+ * @returns {Object} - Options
+ */
+function normalizeOptions(options = {}) {
+  const embeddings = options.embeddings !== false;
+  const metadata = options.metadata !== false;
+  return {
+    embeddings,
+    metadata,
+    retryRuleBased: Boolean(options.retryRuleBased),
+    force: Boolean(options.force),
+    limit: options.limit ? parseInt(options.limit, 10) : undefined,
+    delayMs: options.delayMs !== undefined ? parseInt(options.delayMs, 10) : config.reprocess.delayMs
+  };
+}
+
+/**
+ * Report what a run would do without changing anything
+ * @param {Object} rawOptions - Run options
+ * @returns {Promise<Object>} - Counts of CVs needing work
+ */
+async function planReprocess(rawOptions) {
+  const options = normalizeOptions(rawOptions);
+  const target = getTarget();
+  
+  const [total, selected, staleEmbeddings, staleMetadata] = await Promise.all([
+    CV.countDocuments(),
+    CV.countDocuments(buildSelection(options, target)),
+    CV.countDocuments(staleEmbeddingConditions(target)),
+    CV.countDocuments(staleMetadataConditions(target, options.retryRuleBased))
+  ]);
+  
+  return {
+    dryRun: true,
+    options,
+    target,
+    totalCVs: total,
+    toProcess: options.limit ? Math.min(selected, options.limit) : selected,
+    staleEmbeddings,
+    staleMetadata
+  };
+}
+
+/**
+ * Reprocess one CV from its stored content
+ * @param {Object} cv - CV document
+ * @param {Object} options - Run options
+ * @param {Object} target - Target provider/model/version
+ * @returns {Promise<Object>} - { embedded, analyzed }
+ */
+async function reprocessCV(cv, options, target) {
+  const needsEmbeddings = options.embeddings && (options.force || HAS_TEXT.test(cv.content || '') && (
+    !cv.hasEmbeddings ||
+    !(cv.passageCount > 0) ||
+    cv.embeddingProvider !== target.embeddingProvider ||
+    cv.embeddingModel !== target.embeddingModel));
+  const needsMetadata = options.metadata && (options.force ||
+    !(cv.metadataVersion >= target.metadataVersion) ||
+    (target.schemaVersion && !(cv.extraction && cv.extraction.schemaVersion >= target.schemaVersion)) ||
+    (options.retryRuleBased && cv.metadataSource !== 'ai'));
+  
+  const result = { embedded: false, analyzed: false };
+  let passages = [];
+  
+  if (needsEmbeddings) {
+    // Let failures propagate so they are counted and the CV is picked up by the next run
+    ({ passages, embedding: cv.embeddings } = await embedContent(cv.content));
+    cv.embeddingProvider = target.embeddingProvider;
+    cv.embeddingModel = target.embeddingModel;
+    cv.passageCount = passages.length;
+    result.embedded = true;
+  }
+  
+  if (needsMetadata) {
+    const { metadata, source, extraction } = await analyzeContent(cv.content);
+    // Recruiter corrections stay on top of the new extraction
+    cv.setExtractedMetadata(metadata);
+    cv.metadataVersion = target.metadataVersion;
+    cv.metadataSource = source;
+    cv.extraction = extraction;
+    result.analyzed = true;
+  }
+  
+  if (result.embedded || result.analyzed) {
+    await cv.save();
+  }
+  if (result.embedded) {
+    await savePassages(cv, passages);
+  }
+  
+  return result;
+}
+
+/**
+ * Start a new run or resume an unfinished one
+ * @param {Object} rawOptions - Run options ({ embeddings, metadata, retryRuleBased, force, limit, delayMs })
+ * @param {Object} [runOptions] - { resumeRunId, trigger }
+ * @returns {Promise<Object>} - The run document
+ */
+async function createRun(rawOptions, { resumeRunId, trigger = 'api' } = {}) {
+  if (resumeRunId) {
+    const run = await ReprocessRun.findById(resumeRunId);
+    if (!run) {
+      return null;
+    }
+    if (run.status === 'completed') {
+      return run;
+    }
+    run.status = 'running';
+    run.finishedAt = undefined;
+    await run.save();
+    return run;
+  }
+  
+  const options = normalizeOptions(rawOptions);
+  const target = getTarget();
+  const total = await CV.countDocuments(buildSelection(options, target));
+  
+  return ReprocessRun.create({
+    trigger,
+    options,
+    target,
+    total: options.limit ? Math.min(total, options.limit) : total
+  });
+}
+
+/**
+ * Process all selected CVs of a run inside the run's tenant
+ * @param {Object} run - Run document from createRun
+ * @param {Function} [onProgress] - Called with the run after each CV
+ * @returns {Promise<Object>} - The finished run document
+ */
+async function executeRun(run, onProgress) {
+  const tenant = run.tenantId ? await getTenantContext(run.tenantId) : getCurrentTenant();
+  return runWithTenant(tenant, () => processRun(run, onProgress));
+}
+
+/**
+ * Process all selected CVs of a run, saving a checkpoint after each CV
+ * @param {Object} run - Run document from createRun
+ * @param {Function} [onProgress] - Called with the run after each CV
+ * @returns {Promise<Object>} - The finished run document
+ */
+async function processRun(run, onProgress) {
+  const options = run.options.toObject();
+  const target = run.target.toObject();
+  const selection = buildSelection(options, target);
+  
+  try {
+    while (run.status === 'running') {
+      if (cancelledRuns.has(run._id.toString())) {
+        run.status = 'cancelled';
+        break;
+      }
+      if (options.limit && run.counts.processed >= options.limit) {
+        run.status = 'completed';
+        break;
+      }
+      
+      const query = run.lastProcessedId
+        ? { $and: [selection, { _id: { $gt: run.lastProcessedId } }] }
+        : selection;
+      const cv = await CV.findOne(query).sort({ _id: 1 });
+      
+      if (!cv) {
+        run.status = 'completed';
+        break;
+      }
+      
+      try {
+        const result = await reprocessCV(cv, options, target);
+        if (result.embedded) run.counts.embedded++;
+        if (result.analyzed) run.counts.analyzed++;
+      } catch (error) {
+        console.error(`Reprocessing CV ${cv._id} failed:`, error.message);
+        run.counts.failed++;
+        run.failures.push({ cvId: cv._id, message: error.message, at: new Date() });
+        if (run.failures.length > MAX_STORED_FAILURES) {
+          run.failures.splice(0, run.failures.length - MAX_STORED_FAILURES);
+        }
+      }
+      
+      run.counts.processed++;
+      run.lastProcessedId = cv._id;
+      await run.save();
+      
+      if (onProgress) {
+        onProgress(run);
+      }
+      
+      // Throttle calls to the AI provider
+      if (options.delayMs > 0) {
+        await new Promise(resolve => setTimeout(resolve, options.delayMs));
+      }
+    }
+  } catch (error) {
+    console.error('Reprocess run failed:', error);
+    run.status = 'failed';
+    run.failures.push({ message: error.message, at: new Date() });
+  }
+  
+  cancelledRuns.delete(run._id.toString());
+  run.finishedAt = new Date();
+  await run.save();
+  return run;
+}
+
+/**
+ * Ask a run started in this process to stop after the current CV
+ * @param {string} runId - Run ID
+ */
+function cancelRun(runId) {
+  cancelledRuns.add(runId.toString());
+}
+
+/**
+ * Mark runs left in 'running' by a crashed or restarted process as interrupted so they can be resumed
+ */
+async function markInterruptedRuns() {
+  await ReprocessRun.updateMany({ status: 'running', trigger: 'api' }, { $set: { status: 'interrupted' } });
+}
+
+/**
+ * Summarize a run for progress reports
+ * @param {Object} run - Run document
+ * @returns {Object} - Progress report
+ */
+function describeRun(run) {
+  const percent = run.total > 0 ? Math.min(100, Math.round((run.counts.processed / run.total) * 100)) : 100;
+  return {
+    id: run._id,
+    status: run.status,
+    trigger: run.trigger,
+    options: run.options,
+    target: run.target,
+    total: run.total,
+    counts: run.counts,
+    percent,
+    lastProcessedId: run.lastProcessedId,
+    failures: run.failures,
+    startedAt: run.startedAt,
+    finishedAt: run.finishedAt
+  };
+}
+
+module.exports = {
+  planReprocess,
+  createRun,
+  executeRun,
+  cancelRun,
+  markInterruptedRuns,
+  describeRun
+};
@@ -0,0 +1,241 @@
+const CV = require('../models/cvModel');
+const Tenant = require('../models/tenantModel');
+const config = require('../config/config');
+const { PIPELINE_STAGES } = require('./recruiting');
+const { getCandidateId, candidateConditions } = require('./candidateVersions');
+const { eraseCandidate } = require('./cvLifecycle');
+const { recordAudit } = require('./audit');
+const { emitEvent } = require('./events');
+const { runWithTenant, runWithoutTenant, getTenantConfig } = require('./tenantScope');
+const { getTenantContext } = require('./tenants');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Name recorded on erasure receipts, audit entries and events of the sweeper
+const RETENTION_ACTOR = 'retention';
+
+let sweepTimer = null;
+let sweeping = false;
+
+/**
+ * Get the retention policy of the current tenant
+ * @returns {Object} - { enabled, days, stageDays, activeStages }
+ */
+function getRetentionPolicy() {
+  const { enabled, days, stageDays, activeStages } = getTenantConfig('retention');
+  return { enabled, days, stageDays, activeStages };
+}
+
+/**
+ * Number of days a candidate in a stage is kept after their latest upload
+ * @param {Object} policy - Retention policy
+ * @param {string} stage - Pipeline stage
+ * @returns {number}
+ */
+function retentionDays(policy, stage) {
+  return policy.stageDays[stage] !== undefined ? policy.stageDays[stage] : policy.days;
+}
+
+/**
+ * Work out when a candidate's data expires
+ * @param {Object} cv - Latest CV of the candidate (uploadDate and recruiting)
+ * @param {Object} [policy] - Retention policy (defaults to the current tenant's)
+ * @returns {Object} - { enabled, stage, days, expiresAt, keptBecause, consent }; expiresAt is null
+ *   while the candidate is in an active stage
+ */
+function describeRetention(cv, policy = getRetentionPolicy()) {
+  const recruiting = cv.recruiting || {};
+  const stage = recruiting.stage || 'new';
+  const consent = recruiting.retentionConsent && recruiting.retentionConsent.until
+    ? recruiting.retentionConsent
+    : null;
+  
+  if (policy.activeStages.includes(stage)) {
+    return { enabled: policy.enabled, stage, days: null, expiresAt: null, keptBecause: 'activeStage', consent };
+  }
+  
+  const days = retentionDays(policy, stage);
+  const expiresAt = new Date(new Date(cv.uploadDate).getTime() + days * DAY);
+  const extended = Boolean(consent) && new Date(consent.until) > expiresAt;
+  
+  return {
+    enabled: policy.enabled,
+    stage,
+    days,
+    expiresAt: extended ? new Date(consent.until) : expiresAt,
+    keptBecause: extended ? 'consent' : null,
+    consent
+  };
+}
+
+/**
+ * Get when the data of a CV's candidate expires, based on their latest version
+ * @param {string} cvId - ID of any CV of the candidate
+ * @returns {Promise<Object|null>} - Result of describeRetention with candidateId, or null if the CV was not found
+ */
+async function getCandidateRetention(cvId) {
+  const cv = await CV.findOne({ _id: cvId, deletedAt: null }).select('_id candidateId').lean();
+  
+  if (!cv) {
+    return null;
+  }
+  
+  const candidateId = getCandidateId(cv);
+  const latest = await CV.findOne(candidateConditions(candidateId))
+    .select('uploadDate recruiting.stage recruiting.retentionConsent')
+    .sort({ uploadDate: -1 })
+    .lean();
+  
+  return { candidateId, ...describeRetention(latest) };
+}
+
+/**
+ * Build conditions matching the latest CVs of candidates whose retention period is over
+ * @param {Object} policy - Retention policy
+ * @param {Date} [now] - Reference time
+ * @returns {Object} MongoDB filter conditions
+ */
+function expiredConditions(policy, now = new Date()) {
+  const stages = PIPELINE_STAGES.filter(stage => !policy.activeStages.includes(stage));
+  if (stages.length === 0) {
+    return { _id: null };
+  }
+  
+  // Soft-deleted candidates still hold data, so they expire as well
+  return {
+    isLatestVersion: { $ne: false },
+    $and: [
+      {
+        $or: stages.map(stage => ({
+          // CVs that were never moved are in the 'new' stage
+          'recruiting.stage': stage === 'new' ? { $in: [null, 'new'] } : stage,
+          uploadDate: { $lt: new Date(now.getTime() - retentionDays(policy, stage) * DAY) }
+        }))
+      },
+      {
+        $or: [
+          { 'recruiting.retentionConsent.until': null },
+          { 'recruiting.retentionConsent.until': { $lte: now } }
+        ]
+      }
+    ]
+  };
+}
+
+/**
+ * Erase the candidates of the current tenant whose retention period is over (oldest first).
+ * Each erasure gets a receipt, an audit entry and a cv.deleted event.
+ * @param {Object} [options] - { dryRun, limit }
+ * @returns {Promise<Object>} - { dryRun, policy, due } for dry runs, else { policy, erased, failed, receipts }
+ */
+async function sweepRetention({ dryRun = false, limit = config.retention.batchSize } = {}) {
+  const policy = getRetentionPolicy();
+  const conditions = expiredConditions(policy);
+  
+  if (dryRun) {
+    return { dryRun: true, policy, due: await CV.countDocuments(conditions) };
+  }
+  
+  const expired = await CV.find(conditions)
+    .select('_id uploadDate recruiting.stage')
+    .sort({ uploadDate: 1 })
+    .limit(limit)
+    .lean();
+  const result = { policy, erased: 0, failed: 0, receipts: [] };
+  
+  for (const cv of expired) {
+    const stage = (cv.recruiting && cv.recruiting.stage) || 'new';
+    const reason = `Retention period of ${retentionDays(policy, stage)} days after upload expired (stage: ${stage})`;
+    
+    try {
+      const receipt = await eraseCandidate(cv._id, { requestedBy: RETENTION_ACTOR, reason });
+      if (!receipt) {
+        // Erased by someone else in the meantime
+        continue;
+      }
+      
+      result.erased++;
+      result.receipts.push(receipt._id);
+      recordAudit(null, 'erase', {
+        system: RETENTION_ACTOR,
+        cvIds: receipt.cvIds,
+        details: { reason, receiptId: receipt._id }
+      });
+      emitEvent('cv.deleted', {
+        cvId: cv._id,
+        candidateId: receipt.candidateId,
+        cvIds: receipt.cvIds,
+        mode: 'erase',
+        actor: RETENTION_ACTOR
+      });
+    } catch (error) {
+      // Erasure removes derived data first, so the candidate is picked up again by the next sweep
+      console.error(`Retention erasure of CV ${cv._id} failed:`, error.message);
+      result.failed++;
+    }
+  }
+  
+  return result;
+}
+
+/**
+ * Sweep every tenant that has retention enabled
+ */
+async function sweepAllTenants() {
+  if (sweeping) {
+    return;
+  }
+  
+  sweeping = true;
+  try {
+    const tenants = await runWithoutTenant(() => Tenant.find().select('_id').lean());
+    for (const { _id } of tenants) {
+      const tenant = await getTenantContext(_id);
+      await runWithTenant(tenant, async () => {
+        if (!getRetentionPolicy().enabled) {
+          return;
+        }
+        const { erased, failed } = await sweepRetention();
+        if (erased > 0 || failed > 0) {
+          console.log(`Retention sweep (${tenant.slug}): ${erased} candidate(s) erased, ${failed} failed`);
+        }
+      });
+    }
+  } catch (error) {
+    console.error('Retention sweep failed:', error.message);
+  } finally {
+    sweeping = false;
+  }
+}
+
+/**
+ * Start sweeping expired candidates every RETENTION_SWEEP_INTERVAL
+ */
+function startRetentionSweeper() {
+  if (sweepTimer || config.retention.sweepInterval <= 0) {
+    return;
+  }
+  
+  sweepTimer = setInterval(sweepAllTenants, config.retention.sweepInterval);
+  console.log(`Retention sweeper started (every ${Math.round(config.retention.sweepInterval / 60000)} min)`);
+  sweepAllTenants();
+}
+
+/**
+ * Stop the retention sweeper (a sweep in progress finishes its current candidate)
+ */
+function stopRetentionSweeper() {
+  if (sweepTimer) {
+    clearInterval(sweepTimer);
+    sweepTimer = null;
+  }
+}
+
+module.exports = {
+  getRetentionPolicy,
+  describeRetention,
+  getCandidateRetention,
+  sweepRetention,
+  startRetentionSweeper,
+  stopRetentionSweeper
+};
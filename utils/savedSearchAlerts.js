@@ -0,0 +1,211 @@
+const CV = require('../models/cvModel');
+const SavedSearch = require('../models/savedSearchModel');
+const Alert = require('../models/alertModel');
+const config = require('../config/config');
+const { generateEmbeddings, getEmbeddingInfo } = require('./openaiService');
+const { cosineSimilarity } = require('./vectorSearch');
+const { buildFilterConditions, buildTextSearchQuery } = require('./searchFilters');
+const { getCandidateId } = require('./candidateVersions');
+const { registerErasureStep } = require('./cvLifecycle');
+const { generateSigningSecret } = require('./signing');
+const { getNotifier, getChannelTypes } = require('./notifiers');
+
+/**
+ * Check and normalize the alert channels of a saved search
+ * @param {*} channels - Channels from the request body
+ * @returns {Object} - { channels, errors }
+ */
+function normalizeChannels(channels) {
+  if (!Array.isArray(channels) || channels.length === 0) {
+    return { channels: [], errors: ['channels must be a non-empty array'] };
+  }
+  
+  const errors = [];
+  const normalized = channels.map((channel, index) => {
+    const notifier = channel && getNotifier(channel.type);
+    if (!notifier) {
+      errors.push(`channels[${index}].type must be one of: ${getChannelTypes().join(', ')}`);
+      return null;
+    }
+    
+    const error = notifier.validate(channel);
+    if (error) {
+      errors.push(`channels[${index}]: ${error}`);
+    }
+    
+    switch (channel.type) {
+      case 'webhook':
+        return { type: 'webhook', url: channel.url, secret: channel.secret || generateSigningSecret() };
+      case 'email':
+        return { type: 'email', to: channel.to };
+      default:
+        return { type: channel.type };
+    }
+  });
+  
+  return { channels: normalized, errors };
+}
+
+/**
+ * Similarity between a saved search's query and a CV, or null when their embeddings are not comparable
+ * @param {Object} search - Saved search document (with queryEmbedding selected)
+ * @param {Object} cv - CV document
+ * @returns {Promise<number|null>}
+ */
+async function scoreQuery(search, cv) {
+  const { provider, model } = getEmbeddingInfo();
+  if (!Array.isArray(cv.embeddings) || cv.embeddings.length === 0 || cv.embeddingModel !== model) {
+    return null;
+  }
+  
+  // The query is embedded once per model instead of for every uploaded CV
+  const modelTag = `${provider}/${model}`;
+  if (search.queryEmbeddingModel !== modelTag || !search.queryEmbedding || search.queryEmbedding.length === 0) {
+    try {
+      search.queryEmbedding = await generateEmbeddings(search.query);
+    } catch (error) {
+      console.warn(`Query of saved search ${search._id} could not be embedded:`, error.message);
+      return null;
+    }
+    search.queryEmbeddingModel = modelTag;
+    await SavedSearch.updateOne(
+      { _id: search._id },
+      { $set: { queryEmbedding: search.queryEmbedding, queryEmbeddingModel: modelTag } },
+      { timestamps: false }
+    );
+  }
+  
+  return cosineSimilarity(search.queryEmbedding, cv.embeddings);
+}
+
+/**
+ * Check whether a CV matches a saved search: its filters must match, and its query either
+ * reaches the vector score threshold or, without comparable embeddings, matches as keywords
+ * @param {Object} search - Saved search document
+ * @param {Object} cv - CV document
+ * @returns {Promise<Object|null>} - { matchedBy, vectorScore } or null
+ */
+async function matchSavedSearch(search, cv) {
+  const conditions = { ...CV.searchableConditions(), ...buildFilterConditions(search.filters || {}), _id: cv._id };
+  if (!(await CV.exists(conditions))) {
+    return null;
+  }
+  
+  if (!search.query) {
+    return { matchedBy: 'filters', vectorScore: null };
+  }
+  
+  const vectorScore = await scoreQuery(search, cv);
+  if (vectorScore !== null) {
+    const threshold = typeof search.minVectorScore === 'number' ? search.minVectorScore : config.alerts.minVectorScore;
+    return vectorScore >= threshold ? { matchedBy: 'vector', vectorScore } : null;
+  }
+  
+  const textMatch = await CV.exists({ $and: [{ _id: cv._id }, buildTextSearchQuery(search.query)] });
+  return textMatch ? { matchedBy: 'text', vectorScore: null } : null;
+}
+
+/**
+ * Record an alert and deliver it through the search's channels
+ * @param {Object} search - Saved search document
+ * @param {Object} cv - Matched CV document
+ * @param {Object} match - { matchedBy, vectorScore }
+ * @returns {Promise<Object>} - Alert document
+ */
+async function raiseAlert(search, cv, match) {
+  const metadata = cv.metadata || {};
+  const alert = await Alert.create({
+    savedSearchId: search._id,
+    savedSearchName: search.name,
+    ownerId: search.ownerId,
+    cvId: cv._id,
+    candidateId: getCandidateId(cv),
+    matchedBy: match.matchedBy,
+    vectorScore: match.vectorScore === null ? undefined : match.vectorScore,
+    summary: {
+      originalName: cv.originalName,
+      jobTitles: metadata.jobTitles,
+      skills: metadata.skills,
+      experience: metadata.experience,
+      location: metadata.location
+    },
+    inbox: search.channels.some(channel => channel.type === 'inbox')
+  });
+  
+  const notification = {
+    event: 'saved_search.match',
+    alertId: alert._id,
+    search: { id: search._id, name: search.name },
+    cv: { id: cv._id, candidateId: alert.candidateId, ...alert.summary.toObject() },
+    matchedBy: match.matchedBy,
+    vectorScore: match.vectorScore,
+    matchedAt: alert.createdAt
+  };
+  
+  for (const channel of search.channels.filter(item => item.type !== 'inbox')) {
+    const delivery = {
+      channel: channel.type,
+      target: channel.type === 'email' ? channel.to.join(', ') : channel.url,
+      at: new Date()
+    };
+    try {
+      await getNotifier(channel.type).send(channel, notification);
+      delivery.status = 'sent';
+    } catch (error) {
+      console.error(`Alert ${alert._id} could not be sent via ${channel.type}:`, error.message);
+      delivery.status = 'failed';
+      delivery.error = error.message;
+    }
+    alert.deliveries.push(delivery);
+  }
+  
+  if (alert.deliveries.length > 0) {
+    await alert.save();
+  }
+  await SavedSearch.updateOne(
+    { _id: search._id },
+    { $set: { lastMatchAt: alert.createdAt }, $inc: { matchCount: 1 } },
+    { timestamps: false }
+  );
+  
+  return alert;
+}
+
+/**
+ * Evaluate a newly stored CV against the active saved searches of the current tenant
+ * @param {Object} cv - Saved CV document
+ * @returns {Promise<Object[]>} - Raised alerts
+ */
+async function evaluateSavedSearches(cv) {
+  if (!config.alerts.enabled) {
+    return [];
+  }
+  
+  const searches = await SavedSearch.find({ active: true }).select('+queryEmbedding');
+  const alerts = [];
+  
+  for (const search of searches) {
+    try {
+      const match = await matchSavedSearch(search, cv);
+      if (match) {
+        alerts.push(await raiseAlert(search, cv, match));
+      }
+    } catch (error) {
+      console.error(`Saved search ${search._id} could not be evaluated for CV ${cv._id}:`, error.message);
+    }
+  }
+  
+  return alerts;
+}
+
+// Alerts name the CV file, so they are erased with the candidate
+registerErasureStep('alerts', async ({ cvIds }) => {
+  const { deletedCount } = await Alert.deleteMany({ cvId: { $in: cvIds } });
+  return deletedCount;
+});
+
+module.exports = {
+  normalizeChannels,
+  matchSavedSearch,
+  evaluateSavedSearches
+};
@@ -0,0 +1,416 @@
+const crypto = require('crypto');
+const CV = require('../models/cvModel');
+const MatchSummary = require('../models/matchSummaryModel');
+const config = require('../config/config');
+const { MATCH_SUMMARY_VERSION, getAnalysisInfo, summarizeMatch } = require('./openaiService');
+const { buildFilterConditions } = require('./searchFilters');
+const { findBestPassages } = require('./passages');
+const { registerErasureStep } = require('./cvLifecycle');
+const { createRedactors } = require('./pii');
+const { getTenantConfig } = require('./tenantScope');
+
+// Parts of an explanation; the AI summary is opt-in because it calls the provider
+const DEFAULT_EXPLAIN_OPTIONS = {
+  snippets: true,
+  passage: true,
+  filters: true,
+  summary: false
+};
+
+// Filters with one or more values that are checked value by value
+const LIST_FILTERS = [
+  'skills', 'jobTitles', 'education', 'employers', 'institutions', 'degrees', 'fieldsOfStudy',
+  'languages', 'certifications', 'location', 'stage', 'tags', 'shortlists'
+];
+
+// Words that are never highlighted on their own
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'in', 'is', 'it',
+  'of', 'on', 'or', 'the', 'to', 'with', 'who', 'that', 'this', 'years', 'year', 'experience'
+]);
+
+/**
+ * Normalize the `explain` option of a search request
+ * @param {boolean|Object} value - true for the default parts, or { snippets, passage, filters, summary }
+ * @returns {Object|null} - Parts to include, or null when no explanation was requested
+ */
+function normalizeExplainOptions(value) {
+  if (value === true || value === 'true') {
+    return { ...DEFAULT_EXPLAIN_OPTIONS };
+  }
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return null;
+  }
+  
+  const options = { ...DEFAULT_EXPLAIN_OPTIONS };
+  for (const key of Object.keys(DEFAULT_EXPLAIN_OPTIONS)) {
+    if (value[key] !== undefined) {
+      options[key] = value[key] === true || value[key] === 'true';
+    }
+  }
+  return options;
+}
+
+/**
+ * Extract the terms of a query worth highlighting (quoted phrases are kept whole)
+ * @param {string} query - Search query
+ * @returns {string[]} - Lowercased terms, longest first
+ */
+function extractQueryTerms(query) {
+  if (!query) {
+    return [];
+  }
+  
+  const terms = new Set();
+  const unquoted = query.replace(/"([^"]+)"/g, (match, phrase) => {
+    terms.add(phrase.trim().toLowerCase());
+    return ' ';
+  });
+  
+  for (const word of unquoted.toLowerCase().split(/[^\p{L}\p{N}+#.]+/u)) {
+    const term = word.replace(/^\.+|\.+$/g, '');
+    if (term.length > 1 && !STOPWORDS.has(term)) {
+      terms.add(term);
+    }
+  }
+  
+  return [...terms].filter(Boolean).sort((a, b) => b.length - a.length);
+}
+
+/**
+ * Find the (non-overlapping) occurrences of terms in a text
+ * @param {string} text - Text to search
+ * @param {string[]} terms - Lowercased terms, longest first
+ * @returns {Object[]} - { start, end } sorted by position
+ */
+function findTermHits(text, terms) {
+  const lower = text.toLowerCase();
+  const hits = [];
+  
+  for (const term of terms) {
+    let index = lower.indexOf(term);
+    while (index !== -1) {
+      const end = index + term.length;
+      // Only whole words count ('java' must not match inside 'javascript')
+      const before = index === 0 ? '' : lower[index - 1];
+      const after = lower[end] || '';
+      const wholeWord = !/[\p{L}\p{N}]/u.test(before) && !/[\p{L}\p{N}]/u.test(after);
+      if (wholeWord && !hits.some(hit => index < hit.end && end > hit.start)) {
+        hits.push({ start: index, end });
+      }
+      index = lower.indexOf(term, index + 1);
+    }
+  }
+  
+  return hits.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Cut a window out of a text, collapsing whitespace and moving the highlights with it
+ * @param {string} text - Full text
+ * @param {number} from - Window start
+ * @param {number} to - Window end
+ * @param {Object[]} hits - Hits inside the window
+ * @returns {Object} - { text, start, highlights: [{ start, end }] } with highlights relative to the snippet text
+ */
+function buildWindow(text, from, to, hits) {
+  let snippet = '';
+  const positions = new Map();
+  
+  for (let index = from; index < to; index++) {
+    positions.set(index, snippet.length);
+    const char = text[index];
+    if (/\s/.test(char)) {
+      if (snippet.length > 0 && !snippet.endsWith(' ')) {
+        snippet += ' ';
+      }
+    } else {
+      snippet += char;
+    }
+  }
+  positions.set(to, snippet.length);
+  
+  const trimmed = snippet.trimEnd();
+  return {
+    text: `${from > 0 ? '…' : ''}${trimmed}${to < text.length ? '…' : ''}`,
+    start: from,
+    highlights: hits.map(hit => ({
+      start: positions.get(hit.start) + (from > 0 ? 1 : 0),
+      end: Math.min(positions.get(hit.end), trimmed.length) + (from > 0 ? 1 : 0)
+    }))
+  };
+}
+
+/**
+ * Build highlighted snippets of a CV's content around the query terms
+ * @param {string} content - CV text
+ * @param {string[]} terms - Query terms from extractQueryTerms
+ * @returns {Object[]} - Up to config.explain.maxSnippets snippets: { text, start, highlights }
+ */
+function buildSnippets(content, terms) {
+  if (!content || terms.length === 0) {
+    return [];
+  }
+  
+  const { snippetLength, maxSnippets } = config.explain;
+  const hits = findTermHits(content, terms);
+  const snippets = [];
+  let index = 0;
+  
+  while (index < hits.length && snippets.length < maxSnippets) {
+    // Center the window on the first hit it starts from, snapped to word boundaries
+    const hit = hits[index];
+    let from = Math.max(0, hit.start - Math.floor((snippetLength - (hit.end - hit.start)) / 2));
+    let to = Math.min(content.length, from + snippetLength);
+    from = Math.max(0, Math.min(from, to - snippetLength));
+    if (from > 0) {
+      const space = content.indexOf(' ', from);
+      if (space !== -1 && space < hit.start) {
+        from = space + 1;
+      }
+    }
+    if (to < content.length) {
+      const space = content.lastIndexOf(' ', to);
+      if (space > hit.end) {
+        to = space;
+      }
+    }
+    
+    const inside = [];
+    while (index < hits.length && hits[index].end <= to) {
+      inside.push(hits[index]);
+      index++;
+    }
+    if (inside.length === 0) {
+      // The hit is longer than a snippet
+      inside.push(hit);
+      to = Math.max(to, hit.end);
+      index++;
+    }
+    
+    snippets.push(buildWindow(content, from, to, inside));
+  }
+  
+  return snippets;
+}
+
+/**
+ * Work out which values of the search filters each result matched
+ * @param {Object} filters - Search filters
+ * @param {Object[]} ids - Result CV IDs
+ * @returns {Promise<Function>} - (cvId) => [{ filter, value, matched }]
+ */
+async function explainFilters(filters, ids) {
+  const checks = [];
+  
+  for (const [key, value] of Object.entries(filters || {})) {
+    if (LIST_FILTERS.includes(key)) {
+      const values = Array.isArray(value) ? value : [value];
+      for (const entry of values) {
+        checks.push({ filter: key, value: entry, conditions: buildFilterConditions({ [key]: [entry] }) });
+      }
+    } else if (!['skillsLogic', 'tagsLogic'].includes(key)) {
+      // Scalar filters (ranges, flags, custom) are required, so every result matched them
+      checks.push({ filter: key, value, conditions: null });
+    }
+  }
+  
+  // One query per list filter value tells which results have it ('Python' also matches 'Django')
+  const matches = await Promise.all(checks.map(check => (check.conditions
+    ? CV.distinct('_id', { _id: { $in: ids }, ...check.conditions })
+      .then(matchedIds => new Set(matchedIds.map(id => id.toString())))
+    : null)));
+  
+  return cvId => checks.map((check, index) => ({
+    filter: check.filter,
+    value: check.value,
+    matched: matches[index] ? matches[index].has(cvId) : true
+  }));
+}
+
+/**
+ * Describe the relevance score of a result
+ * @param {Object} result - Search result
+ * @param {string} searchMethod - 'vector', 'text' or 'hybrid'
+ * @returns {Object} - { relevance, basis, vectorScore, textScore, fusedScore, ranks }
+ */
+function explainScore(result, searchMethod) {
+  const valueOf = field => (typeof result[field] === 'number' ? result[field] : null);
+  const score = {
+    relevance: null,
+    basis: null,
+    vectorScore: valueOf('vectorScore'),
+    textScore: valueOf('textScore'),
+    fusedScore: valueOf('fusedScore'),
+    ranks: result.ranks || null
+  };
+  
+  if (score.fusedScore !== null) {
+    score.relevance = score.fusedScore;
+    score.basis = 'fused';
+  } else if (searchMethod !== 'text' && score.vectorScore !== null) {
+    score.relevance = score.vectorScore;
+    score.basis = 'vector';
+  } else if (score.textScore !== null) {
+    score.relevance = score.textScore;
+    score.basis = 'text';
+  }
+  
+  return score;
+}
+
+/**
+ * Get the AI summary of why a CV fits a search, from the cache when the same search was explained before
+ * @param {Object} search - { query, filters }
+ * @param {Object} cv - CV with _id, content, contentHash and metadata
+ * @param {string[]} excerpts - Relevant CV excerpts
+ * @returns {Promise<Object|null>} - { text, cached }, or null when no summary could be written
+ */
+async function getMatchSummary(search, cv, excerpts) {
+  const { provider, model } = getAnalysisInfo();
+  const modelTag = `${provider}/${model}`;
+  // Contact details are never sent to the provider
+  const metadata = { ...(cv.metadata || {}), contactDetails: undefined };
+  
+  const cacheKey = crypto.createHash('sha256').update(JSON.stringify({
+    version: MATCH_SUMMARY_VERSION,
+    model: modelTag,
+    query: search.query || '',
+    filters: search.filters || {},
+    cvId: cv._id.toString(),
+    contentHash: cv.contentHash || null,
+    metadata
+  })).digest('hex');
+  
+  const cached = await MatchSummary.findOne({ cacheKey, expiresAt: { $gt: new Date() } }).lean();
+  if (cached) {
+    return { text: cached.summary, cached: true };
+  }
+  
+  const summary = await summarizeMatch(search, { metadata, excerpts });
+  if (!summary) {
+    return null;
+  }
+  
+  try {
+    await MatchSummary.findOneAndUpdate(
+      { cacheKey },
+      {
+        cvId: cv._id,
+        summary,
+        model: modelTag,
+        expiresAt: new Date(Date.now() + config.explain.summaryCacheDays * 24 * 60 * 60 * 1000)
+      },
+      { upsert: true }
+    );
+  } catch (error) {
+    // The summary is still returned; the next search simply writes it again
+    console.error('Failed to cache match summary:', error.message);
+  }
+  
+  return { text: summary, cached: false };
+}
+
+/**
+ * Attach an `explanation` to each search result: highlighted snippets, the best-matching passage,
+ * matched filter criteria, the relevance score and optionally an AI summary
+ * @param {Object[]} results - Search results (without content)
+ * @param {Object} context - { query, filters, searchMethod, queryEmbedding, options, includeContent, redactors }.
+ *   Without includeContent only the filters and score are explained (nothing derived from the CV text).
+ *   With redactors (blind searches, by CV ID) snippets, passages and summaries come from the redacted text.
+ * @returns {Promise<Object[]>} - The results with an explanation each
+ */
+async function explainResults(results, { query, filters, searchMethod, queryEmbedding, options, includeContent, redactors }) {
+  if (results.length === 0) {
+    return results;
+  }
+  
+  const ids = results.map(result => result._id);
+  const withContent = includeContent && (options.snippets || options.passage || options.summary);
+  
+  const [cvs, filterMatches] = await Promise.all([
+    withContent
+      ? CV.find({ _id: { $in: ids } }).select('tenantId content contentHash metadata').lean()
+      : [],
+    options.filters ? explainFilters(filters, ids) : null
+  ]);
+  const cvsById = new Map(cvs.map(cv => [cv._id.toString(), cv]));
+  
+  // The best passage needs the query embedding, which only vector and hybrid searches computed
+  let passages = new Map();
+  if (withContent && (options.passage || options.summary) && queryEmbedding) {
+    try {
+      passages = await findBestPassages(cvs, queryEmbedding);
+    } catch (error) {
+      console.error('Failed to find matching passages:', error.message);
+    }
+  }
+  
+  // Excerpts for summaries are redacted when the tenant keeps personal data from the AI provider
+  const summarized = new Set(ids.slice(0, config.explain.maxSummaries).map(id => id.toString()));
+  const summaryRedactors = !redactors && withContent && options.summary && getTenantConfig('pii').redactBeforeAI
+    ? await createRedactors(cvs.filter(cv => summarized.has(cv._id.toString())))
+    : new Map();
+  
+  const terms = extractQueryTerms(query);
+  
+  return Promise.all(results.map(async (result, position) => {
+    const id = result._id.toString();
+    const cv = cvsById.get(id);
+    const redactor = redactors ? redactors.get(id) : null;
+    const content = cv && redactor ? redactor.content : cv && cv.content;
+    const explanation = {
+      score: explainScore(result, searchMethod)
+    };
+    
+    if (options.filters) {
+      explanation.filters = filterMatches(id);
+    }
+    
+    if (cv && options.snippets) {
+      explanation.snippets = buildSnippets(content, terms);
+    }
+    
+    const passage = passages.get(id);
+    const passageText = passage && redactor ? redactor.redact(passage.text) : passage && passage.text;
+    
+    if (cv && options.passage) {
+      explanation.passage = passage
+        ? {
+          ...buildWindow(passageText, 0, passageText.length, findTermHits(passageText, terms)),
+          section: passage.section,
+          start: redactor ? redactor.mapOffset(passage.start) : passage.start,
+          score: passage.score
+        }
+        : null;
+    }
+    
+    if (cv && options.summary) {
+      const summaryRedactor = summaryRedactors.get(id);
+      const excerpts = [
+        ...(passage ? [passageText] : []),
+        ...buildSnippets(content, terms).map(snippet => snippet.text)
+      ].map(excerpt => (summaryRedactor ? summaryRedactor.redact(excerpt) : excerpt));
+      
+      const summary = position < config.explain.maxSummaries
+        ? await getMatchSummary({ query, filters }, cv, excerpts)
+        : null;
+      explanation.summary = summary && redactor ? { ...summary, text: redactor.redact(summary.text) } : summary;
+    }
+    
+    return { ...result, explanation };
+  }));
+}
+
+// Summaries describe the candidate, so they are erased with them
+registerErasureStep('matchSummaries', async ({ cvIds }) => {
+  const { deletedCount } = await MatchSummary.deleteMany({ cvId: { $in: cvIds } });
+  return deletedCount;
+});
+
+module.exports = {
+  normalizeExplainOptions,
+  extractQueryTerms,
+  buildSnippets,
+  explainResults
+};
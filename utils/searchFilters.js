@@ -0,0 +1,329 @@
+const { levelsAtLeast } = require('./cvProfile');
+const { expandSkill } = require('./skillTaxonomy');
+const { buildRecruitingConditions } = require('./recruiting');
+const { findPersonalData } = require('./pii');
+
+// Metadata fields custom filters may use
+const CUSTOM_FILTER_FIELDS = new Set([
+  'skills', 'experience', 'experienceSource', 'jobTitles', 'education', 'location',
+  'workHistory.employer', 'workHistory.title', 'workHistory.location', 'workHistory.startDate',
+  'workHistory.endDate', 'workHistory.current',
+  'educationHistory.institution', 'educationHistory.degree', 'educationHistory.field', 'educationHistory.year',
+  'languages.language', 'languages.level',
+  'certifications.name', 'certifications.issuer', 'certifications.year',
+  'links.github', 'links.linkedin', 'links.website', 'links.other',
+  'contactDetails.email', 'contactDetails.phone'
+]);
+
+// Custom filter fields removed from viewers' responses; filtering on them would reveal the values
+const REDACTED_FILTER_FIELDS = new Set([
+  'contactDetails.email', 'contactDetails.phone',
+  'links.github', 'links.linkedin', 'links.website', 'links.other'
+]);
+
+// Personal data viewers may not search for: counting the hits would tell whether a value is in a CV
+const REDACTED_QUERY_TYPES = ['email', 'phone', 'url'];
+
+// Query operators custom filters may use
+const CUSTOM_FILTER_OPERATORS = new Set([
+  '$eq', '$ne', '$in', '$nin', '$gt', '$gte', '$lt', '$lte', '$exists', '$all', '$size', '$regex', '$options'
+]);
+
+/**
+ * Escape special characters for use in a regular expression
+ * @param {string} value - Raw string
+ * @returns {string} - Escaped string
+ */
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Build a case-insensitive $in condition matching any of the given values
+ * @param {string|string[]} values - Values to match
+ * @param {boolean} [partial=false] - Match values contained in the field instead of the whole field
+ * @returns {Object} - MongoDB condition
+ */
+function matchAnyOf(values, partial = false) {
+  const list = Array.isArray(values) ? values : [values];
+  return { $in: list.map(value => new RegExp(partial ? escapeRegex(String(value)) : `^${escapeRegex(String(value))}$`, 'i')) };
+}
+
+/**
+ * Build a numeric range condition from { min, max } or a single value
+ * @param {Object|number|string} range - Range or exact value
+ * @returns {Object|number} - MongoDB condition
+ */
+function buildRangeCondition(range) {
+  if (typeof range === 'number' || typeof range === 'string') {
+    return parseInt(range, 10);
+  }
+  
+  const condition = {};
+  if (range.min !== undefined) {
+    condition.$gte = parseInt(range.min, 10);
+  }
+  if (range.max !== undefined) {
+    condition.$lte = parseInt(range.max, 10);
+  }
+  return condition;
+}
+
+/**
+ * Check whether a value is a plain value or a list of plain values
+ * @param {*} value - Filter value
+ * @returns {boolean}
+ */
+function isPlainValue(value) {
+  if (Array.isArray(value)) {
+    return value.every(item => item === null || typeof item !== 'object');
+  }
+  return value === null || typeof value !== 'object';
+}
+
+/**
+ * Check a custom metadata filter
+ * @param {string} key - Metadata field
+ * @param {*} value - Plain value, list of values or { operator: value }
+ * @returns {string|null} - Error message or null
+ */
+function checkCustomFilter(key, value) {
+  if (!CUSTOM_FILTER_FIELDS.has(key)) {
+    return `filters.custom.${key} is not a filterable field`;
+  }
+  if (isPlainValue(value)) {
+    return null;
+  }
+  
+  const operators = Object.keys(value);
+  const invalid = operators.find(operator => !CUSTOM_FILTER_OPERATORS.has(operator) || !isPlainValue(value[operator]));
+  if (operators.length === 0 || invalid) {
+    return `filters.custom.${key} must be a value, a list of values or use the operators ${[...CUSTOM_FILTER_OPERATORS].join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Validate the custom metadata filters of a request
+ * @param {*} custom - filters.custom from the request
+ * @param {Object} [options] - { redacted } when the caller does not see contact details (viewers)
+ * @returns {string[]} - Error messages
+ */
+function validateCustomFilters(custom, { redacted = false } = {}) {
+  if (custom === undefined) {
+    return [];
+  }
+  if (!custom || typeof custom !== 'object' || Array.isArray(custom)) {
+    return ['filters.custom must be an object'];
+  }
+  
+  const errors = [];
+  for (const [key, value] of Object.entries(custom)) {
+    if (redacted && REDACTED_FILTER_FIELDS.has(key)) {
+      errors.push(`filters.custom.${key} is not available to viewers`);
+      continue;
+    }
+    const error = checkCustomFilter(key, value);
+    if (error) {
+      errors.push(error);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Validate the free-text query of a request
+ * @param {*} query - Search query
+ * @param {Object} [options] - { redacted } when the caller does not see contact details (viewers)
+ * @returns {string[]} - Error messages
+ */
+function validateSearchQuery(query, { redacted = false } = {}) {
+  if (!redacted || typeof query !== 'string') {
+    return [];
+  }
+  
+  // '@' also catches partial email addresses such as '@example.com'
+  const contact = query.includes('@') || REDACTED_QUERY_TYPES.some(type => findPersonalData(query, type).length > 0);
+  return contact ? ['query cannot contain email addresses, phone numbers or links when searching as a viewer'] : [];
+}
+
+/**
+ * Build filter conditions based on provided filters
+ * @param {Object} filters - Filter criteria
+ * @returns {Object} MongoDB filter conditions
+ */
+function buildFilterConditions(filters) {
+  const conditions = {};
+  
+  // Skills filter (supports multiple skills with AND/OR logic).
+  // Each skill also matches its aliases and more specific skills ('Python' matches 'Django').
+  if (filters.skills) {
+    const skills = Array.isArray(filters.skills) ? filters.skills : [filters.skills];
+    if (filters.skillsLogic === 'AND') {
+      const skillConditions = skills.map(skill => ({ 'metadata.skills': matchAnyOf(expandSkill(String(skill))) }));
+      conditions.$and = [...(conditions.$and || []), ...skillConditions];
+    } else {
+      // Default to OR logic
+      conditions['metadata.skills'] = matchAnyOf(skills.flatMap(skill => expandSkill(String(skill))));
+    }
+  }
+  
+  // Experience filter (min/max)
+  if (filters.experience) {
+    conditions['metadata.experience'] = {};
+    
+    if (filters.experience.min !== undefined) {
+      conditions['metadata.experience'].$gte = parseInt(filters.experience.min, 10);
+    }
+    
+    if (filters.experience.max !== undefined) {
+      conditions['metadata.experience'].$lte = parseInt(filters.experience.max, 10);
+    }
+    
+    // If only a single value is provided (not an object with min/max)
+    if (typeof filters.experience === 'number' || typeof filters.experience === 'string') {
+      conditions['metadata.experience'] = parseInt(filters.experience, 10);
+    }
+  }
+  
+  // Job titles filter
+  if (filters.jobTitles) {
+    if (Array.isArray(filters.jobTitles)) {
+      conditions['metadata.jobTitles'] = { $in: filters.jobTitles };
+    } else if (typeof filters.jobTitles === 'string') {
+      conditions['metadata.jobTitles'] = filters.jobTitles;
+    }
+  }
+  
+  // Education filter
+  if (filters.education) {
+    if (Array.isArray(filters.education)) {
+      conditions['metadata.education'] = { $in: filters.education };
+    } else if (typeof filters.education === 'string') {
+      conditions['metadata.education'] = filters.education;
+    }
+  }
+  
+  // Work history filters (any position)
+  if (filters.employers) {
+    conditions['metadata.workHistory.employer'] = matchAnyOf(filters.employers, true);
+  }
+  
+  if (filters.currentlyEmployed !== undefined) {
+    conditions['metadata.workHistory.current'] = filters.currentlyEmployed === true || filters.currentlyEmployed === 'true'
+      ? true
+      : { $ne: true };
+  }
+  
+  // Structured education filters
+  if (filters.institutions) {
+    conditions['metadata.educationHistory.institution'] = matchAnyOf(filters.institutions, true);
+  }
+  
+  if (filters.degrees) {
+    conditions['metadata.educationHistory.degree'] = matchAnyOf(filters.degrees, true);
+  }
+  
+  if (filters.fieldsOfStudy) {
+    conditions['metadata.educationHistory.field'] = matchAnyOf(filters.fieldsOfStudy, true);
+  }
+  
+  if (filters.graduationYear) {
+    conditions['metadata.educationHistory.year'] = buildRangeCondition(filters.graduationYear);
+  }
+  
+  // Languages: names (['German']) or names with a minimum level ([{ language: 'German', minLevel: 'B2' }]), all required
+  if (filters.languages) {
+    const languages = Array.isArray(filters.languages) ? filters.languages : [filters.languages];
+    const languageConditions = languages.map(entry => {
+      const { language, minLevel } = typeof entry === 'string' ? { language: entry } : entry;
+      const match = { language: new RegExp(`^${escapeRegex(String(language))}$`, 'i') };
+      if (minLevel) {
+        match.level = { $in: levelsAtLeast(minLevel) };
+      }
+      return { 'metadata.languages': { $elemMatch: match } };
+    });
+    conditions.$and = [...(conditions.$and || []), ...languageConditions];
+  }
+  
+  if (filters.certifications) {
+    conditions['metadata.certifications.name'] = matchAnyOf(filters.certifications, true);
+  }
+  
+  if (filters.location) {
+    conditions['metadata.location'] = matchAnyOf(filters.location, true);
+  }
+  
+  // Profile links
+  if (filters.hasGithub !== undefined) {
+    conditions['metadata.links.github'] = filters.hasGithub === true || filters.hasGithub === 'true'
+      ? { $exists: true, $nin: [null, ''] }
+      : { $in: [null, ''] };
+  }
+  
+  if (filters.hasLinkedin !== undefined) {
+    conditions['metadata.links.linkedin'] = filters.hasLinkedin === true || filters.hasLinkedin === 'true'
+      ? { $exists: true, $nin: [null, ''] }
+      : { $in: [null, ''] };
+  }
+  
+  // Recruiting state: stage(s), tags (AND/OR like skills) and shortlist membership
+  const recruitingConditions = buildRecruitingConditions(filters);
+  if (recruitingConditions.length > 0) {
+    conditions.$and = [...(conditions.$and || []), ...recruitingConditions];
+  }
+  
+  // Date range filter
+  if (filters.dateRange) {
+    conditions.uploadDate = {};
+    
+    if (filters.dateRange.from) {
+      conditions.uploadDate.$gte = new Date(filters.dateRange.from);
+    }
+    
+    if (filters.dateRange.to) {
+      conditions.uploadDate.$lte = new Date(filters.dateRange.to);
+    }
+  }
+  
+  // Custom metadata filters; invalid ones are rejected by validateCustomFilters, and also never
+  // applied when they come from a stored definition such as a saved search
+  if (filters.custom && typeof filters.custom === 'object') {
+    for (const [key, value] of Object.entries(filters.custom)) {
+      if (!checkCustomFilter(key, value)) {
+        conditions[`metadata.${key}`] = value;
+      }
+    }
+  }
+  
+  return conditions;
+}
+
+/**
+ * Build text search query for MongoDB
+ * @param {string} query - User's search query
+ * @returns {Object} MongoDB text search query
+ */
+function buildTextSearchQuery(query) {
+  // Use text index if it's a simple term, or regex for more complex queries
+  if (query.length < 50 && !query.includes('"') && !query.includes('*')) {
+    return { $text: { $search: query } };
+  } else {
+    const searchRegex = new RegExp(query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    return {
+      $or: [
+        { 'metadata.skills': { $regex: searchRegex } },
+        { 'metadata.jobTitles': { $regex: searchRegex } },
+        { 'metadata.education': { $regex: searchRegex } },
+        { content: { $regex: searchRegex } }
+      ]
+    };
+  }
+}
+
+module.exports = {
+  buildFilterConditions,
+  buildTextSearchQuery,
+  validateCustomFilters,
+  validateSearchQuery
+};
@@ -0,0 +1,83 @@
+/**
+ * Atlas vector search indexes used by semantic search. Searches pre-filter by tenant,
+ * which needs tenantId declared as a filter field of each index; indexes created before
+ * tenants existed lack it and are upgraded with `npm run update-search-indexes`.
+ */
+
+// Vector search indexes by collection
+const VECTOR_INDEXES = [
+  { collection: 'cvs', name: 'vectorIndex', path: 'embeddings' },
+  { collection: 'cvpassages', name: 'passageVectorIndex', path: 'embedding' }
+];
+
+const TENANT_FILTER_FIELD = { type: 'filter', path: 'tenantId' };
+
+/**
+ * Check whether an index definition declares tenantId as a filter field
+ * @param {Object} [definition] - Search index definition ({ fields })
+ * @returns {boolean}
+ */
+function hasTenantFilter(definition) {
+  return Boolean(definition && Array.isArray(definition.fields)
+    && definition.fields.some(field => field.type === 'filter' && field.path === 'tenantId'));
+}
+
+/**
+ * Describe an Atlas vector search index
+ * @param {Object} db - Native MongoDB database handle
+ * @param {string} collection - Collection name
+ * @param {string} name - Search index name
+ * @returns {Promise<Object>} - { available, exists, tenantFilter, definition }; available is false
+ *   when the deployment has no Atlas Search
+ */
+async function describeVectorIndex(db, collection, name) {
+  let indexes;
+  try {
+    // $listSearchIndexes only exists on Atlas (and deployments running Atlas Search)
+    indexes = await db.collection(collection).listSearchIndexes().toArray();
+  } catch (error) {
+    return { available: false, exists: false, tenantFilter: false, definition: null };
+  }
+  
+  const index = indexes.find(item => item.name === name);
+  // latestDefinition is the one being built when an update is still in progress
+  const definition = index ? (index.latestDefinition || index.definition) : null;
+  return { available: true, exists: Boolean(index), tenantFilter: hasTenantFilter(definition), definition };
+}
+
+/**
+ * Add tenantId as a filter field to a vector search index. Atlas rebuilds the index in the
+ * background and keeps serving the old definition until the new one is ready.
+ * @param {Object} db - Native MongoDB database handle
+ * @param {string} collection - Collection name
+ * @param {string} name - Search index name
+ * @param {Object} [options] - { dryRun }
+ * @returns {Promise<string>} - 'updated', 'current' (already has the field), 'missing' or 'unavailable'
+ */
+async function addTenantFilter(db, collection, name, { dryRun = false } = {}) {
+  const { available, exists, tenantFilter, definition } = await describeVectorIndex(db, collection, name);
+  if (!available) {
+    return 'unavailable';
+  }
+  if (!exists) {
+    return 'missing';
+  }
+  if (tenantFilter) {
+    return 'current';
+  }
+  
+  if (!dryRun) {
+    await db.collection(collection).updateSearchIndex(name, {
+      ...definition,
+      fields: [...(definition.fields || []), TENANT_FILTER_FIELD]
+    });
+  }
+  return 'updated';
+}
+
+module.exports = {
+  VECTOR_INDEXES,
+  hasTenantFilter,
+  describeVectorIndex,
+  addTenantFilter
+};
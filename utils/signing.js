@@ -0,0 +1,51 @@
+const crypto = require('crypto');
+
+// Signatures older than this are rejected by verifySignature (replay protection)
+const DEFAULT_TOLERANCE = 5 * 60 * 1000;
+
+/**
+ * Generate a random secret for signing outgoing requests
+ * @returns {string} - 'whsec_' followed by 48 hex characters
+ */
+function generateSigningSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+/**
+ * Sign a payload with HMAC-SHA256 over '<timestamp>.<body>'
+ * @param {string} body - Exact request body that is sent
+ * @param {string} secret - Shared secret
+ * @param {number} [timestamp] - Unix time in seconds
+ * @returns {string} - 't=<timestamp>,v1=<hex digest>'
+ */
+function signPayload(body, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+}
+
+/**
+ * Verify a signature created by signPayload (for receivers and tests)
+ * @param {string} body - Raw request body
+ * @param {string} signature - Value of the signature header
+ * @param {string} secret - Shared secret
+ * @param {number} [tolerance] - Maximum age in milliseconds
+ * @returns {boolean}
+ */
+function verifySignature(body, signature, secret, tolerance = DEFAULT_TOLERANCE) {
+  const parts = Object.fromEntries(String(signature || '').split(',').map(part => part.split('=')));
+  const timestamp = parseInt(parts.t, 10);
+  
+  if (!timestamp || !parts.v1 || Math.abs(Date.now() - timestamp * 1000) > tolerance) {
+    return false;
+  }
+  
+  const expected = Buffer.from(signPayload(body, secret, timestamp));
+  const actual = Buffer.from(`t=${timestamp},v1=${parts.v1}`);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+module.exports = {
+  generateSigningSecret,
+  signPayload,
+  verifySignature
+};
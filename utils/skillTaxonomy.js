@@ -0,0 +1,433 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const config = require('../config/config');
+const Skill = require('../models/skillModel');
+
+// Characters that continue a skill name, so 'Java' does not match inside 'JavaScript'
+const NAME_CHARS = 'A-Za-z0-9+#_';
+
+let taxonomy = null;
+
+/**
+ * Reduce a skill name to a lookup key: lowercase without spaces, dots, hyphens and underscores,
+ * so 'Node.js', 'nodejs' and 'node js' resolve to the same skill
+ * @param {string} name - Skill name or alias
+ * @returns {string} - Lookup key
+ */
+function skillKey(name) {
+  return String(name || '').toLowerCase().replace(/[\s._-]+/g, '');
+}
+
+/**
+ * Escape special characters for use in a regular expression
+ * @param {string} value - Raw string
+ * @returns {string} - Escaped string
+ */
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Clean a list of names (trim, drop empties and case-insensitive duplicates)
+ * @param {*} values - Raw list
+ * @returns {string[]}
+ */
+function cleanNames(values) {
+  const list = Array.isArray(values) ? values : (typeof values === 'string' ? values.split(',') : []);
+  const seen = new Set();
+  return list
+    .filter(value => typeof value === 'string' && skillKey(value))
+    .map(value => value.trim())
+    .filter(value => {
+      const key = value.toLowerCase();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+/**
+ * Bring a skill definition from a file, the API or the database into a common shape
+ * @param {Object} definition - Raw definition
+ * @returns {Object} - { name, aliases, parents, category, caseSensitive, requiresContext }
+ */
+function normalizeDefinition(definition) {
+  const name = typeof definition.name === 'string' ? definition.name.trim() : '';
+  return {
+    name,
+    // Spelling variants of the name ('NodeJS' for 'Node.js') are kept so stored values using them still match
+    aliases: cleanNames(definition.aliases).filter(alias => alias.toLowerCase() !== name.toLowerCase()),
+    parents: cleanNames(definition.parents),
+    category: typeof definition.category === 'string' && definition.category.trim() ? definition.category.trim() : undefined,
+    caseSensitive: definition.caseSensitive === true,
+    requiresContext: definition.requiresContext === true
+  };
+}
+
+/**
+ * Check a complete set of skill definitions for missing names, conflicting aliases,
+ * unknown parents and cycles
+ * @param {Object[]} definitions - Normalized definitions
+ * @returns {string[]} - Problems found (empty when the taxonomy is valid)
+ */
+function validateTaxonomy(definitions) {
+  const errors = [];
+  const owners = new Map();
+  
+  for (const definition of definitions) {
+    if (!definition.name || !skillKey(definition.name)) {
+      errors.push('Every skill needs a name');
+      continue;
+    }
+    for (const term of [definition.name, ...definition.aliases]) {
+      const owner = owners.get(skillKey(term));
+      if (owner && owner !== definition.name) {
+        errors.push(`"${term}" of ${definition.name} is already used by ${owner}`);
+      } else {
+        owners.set(skillKey(term), definition.name);
+      }
+    }
+  }
+  
+  const byName = new Map(definitions.map(definition => [definition.name, definition]));
+  for (const definition of definitions) {
+    for (const parent of definition.parents) {
+      if (!byName.has(parent)) {
+        errors.push(`Unknown parent "${parent}" of ${definition.name}`);
+      } else if (parent === definition.name) {
+        errors.push(`${definition.name} cannot be its own parent`);
+      }
+    }
+  }
+  
+  // Depth-first search for cycles in the parent graph
+  const state = new Map();
+  const visit = (name, trail) => {
+    if (state.get(name) === 'done') return;
+    if (state.get(name) === 'visiting') {
+      errors.push(`Circular parents: ${[...trail, name].join(' -> ')}`);
+      return;
+    }
+    state.set(name, 'visiting');
+    for (const parent of (byName.get(name) || { parents: [] }).parents) {
+      if (byName.has(parent) && parent !== name) {
+        visit(parent, [...trail, name]);
+      }
+    }
+    state.set(name, 'done');
+  };
+  for (const definition of definitions) {
+    visit(definition.name, []);
+  }
+  
+  return [...new Set(errors)];
+}
+
+/**
+ * Build the regular expression finding one skill name in free text.
+ * Separators inside the name are optional, so 'Node.js' also finds 'nodejs' and 'Node JS'.
+ * @param {string} term - Name or alias
+ * @param {boolean} caseSensitive - Match the exact casing only
+ * @returns {RegExp}
+ */
+function buildTermPattern(term, caseSensitive) {
+  const body = term
+    .split(/(?<=[A-Za-z0-9])[\s._-]+(?=[A-Za-z0-9])/)
+    .map(escapeRegex)
+    .join('[\\s._-]?');
+  let before = `(?<![${NAME_CHARS}])`;
+  let after = `(?![${NAME_CHARS}])`;
+  
+  // Very short names like 'C', 'R' or 'Go' must not be part of 'C-level', 'R&D', 'R & D' or 'C.V.',
+  // while a dot or hyphen ending a sentence or list ('Java, R, Go.') still ends the name
+  if (skillKey(term).length <= 2) {
+    before = `(?<![${NAME_CHARS}']|[A-Za-z0-9][.-]|(?<![${NAME_CHARS}])[A-Za-z]\\s*&\\s*)`;
+    after = `(?![${NAME_CHARS}']|[.-][A-Za-z0-9]|\\s*&\\s*[A-Za-z](?![${NAME_CHARS}]))`;
+  }
+  return new RegExp(`${before}${body}${after}`, caseSensitive ? 'g' : 'gi');
+}
+
+/**
+ * Build lookup structures from skill definitions
+ * @param {Object[]} definitions - Normalized, valid definitions
+ * @returns {Object} - Compiled taxonomy
+ */
+function compileTaxonomy(definitions) {
+  const skills = new Map();
+  const lookup = new Map();
+  const children = new Map();
+  const patterns = [];
+  
+  for (const definition of definitions) {
+    skills.set(definition.name, definition);
+    children.set(definition.name, children.get(definition.name) || []);
+    for (const term of [definition.name, ...definition.aliases]) {
+      lookup.set(skillKey(term), definition.name);
+      patterns.push({
+        skill: definition.name,
+        term,
+        pattern: buildTermPattern(term, definition.caseSensitive),
+        // Aliases like 'Golang' or 'Express.js' are not ordinary words and need no context
+        needsContext: definition.requiresContext && term === definition.name
+      });
+    }
+    for (const parent of definition.parents) {
+      children.set(parent, [...(children.get(parent) || []), definition.name]);
+    }
+  }
+  
+  // Longer terms first so 'Spring Boot' is found before 'Spring' claims part of it
+  patterns.sort((a, b) => b.term.length - a.term.length);
+  
+  return { skills, lookup, children, patterns };
+}
+
+/**
+ * Read skill definitions from a JSON or YAML document.
+ * Accepts a list of skills or an object with a `skills` list.
+ * @param {string} content - File contents
+ * @param {string} [format] - 'json' or 'yaml' (detected when omitted)
+ * @returns {Object[]} - Normalized definitions
+ */
+function parseTaxonomy(content, format) {
+  const text = String(content || '');
+  const useJson = format ? format === 'json' : /^\s*[[{]/.test(text);
+  const data = useJson ? JSON.parse(text) : yaml.load(text);
+  const list = Array.isArray(data) ? data : (data && Array.isArray(data.skills) ? data.skills : null);
+  
+  if (!list) {
+    throw new Error('A skill taxonomy must be a list of skills or an object with a "skills" list');
+  }
+  
+  return list.map(item => normalizeDefinition(typeof item === 'string' ? { name: item } : (item || {})));
+}
+
+/**
+ * Read the taxonomy file configured in SKILL_TAXONOMY_PATH
+ * @param {string} [filePath] - Path of the file (defaults to the configured path)
+ * @returns {Object[]} - Normalized definitions
+ */
+function readTaxonomyFile(filePath = config.skills.taxonomyPath) {
+  const extension = path.extname(filePath).toLowerCase();
+  const format = extension === '.json' ? 'json' : (extension === '.yaml' || extension === '.yml' ? 'yaml' : undefined);
+  return parseTaxonomy(fs.readFileSync(filePath, 'utf8'), format);
+}
+
+/**
+ * Replace the in-memory taxonomy
+ * @param {Object[]} definitions - Skill definitions
+ */
+function setTaxonomy(definitions) {
+  const normalized = definitions.map(normalizeDefinition);
+  const errors = validateTaxonomy(normalized);
+  if (errors.length > 0) {
+    throw new Error(`Invalid skill taxonomy: ${errors.join('; ')}`);
+  }
+  taxonomy = compileTaxonomy(normalized);
+}
+
+/**
+ * Get the in-memory taxonomy, reading the taxonomy file until the database copy has been loaded
+ * @returns {Object} - Compiled taxonomy
+ */
+function getTaxonomy() {
+  if (!taxonomy) {
+    try {
+      setTaxonomy(readTaxonomyFile());
+    } catch (error) {
+      console.error('Failed to read the skill taxonomy file:', error.message);
+      taxonomy = compileTaxonomy([]);
+    }
+  }
+  return taxonomy;
+}
+
+/**
+ * Load the taxonomy from the database, seeding the skills collection from the taxonomy file when it is empty
+ * @returns {Promise<number>} - Number of skills loaded
+ */
+async function loadSkillTaxonomy() {
+  let skills = await Skill.find().lean();
+  
+  if (skills.length === 0) {
+    const definitions = readTaxonomyFile();
+    setTaxonomy(definitions);
+    await Skill.insertMany(definitions);
+    console.log(`Seeded skill taxonomy with ${definitions.length} skills from ${config.skills.taxonomyPath}`);
+    skills = definitions;
+  }
+  
+  setTaxonomy(skills);
+  return skills.length;
+}
+
+/**
+ * Get all skill definitions of the current taxonomy
+ * @returns {Object[]} - Definitions sorted by name
+ */
+function listSkills() {
+  return [...getTaxonomy().skills.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Resolve a skill name or alias to its canonical name
+ * @param {string} name - Skill name as written in a CV, filter or job description
+ * @returns {string|null} - Canonical name, or null for skills outside the taxonomy
+ */
+function resolveSkill(name) {
+  return getTaxonomy().lookup.get(skillKey(name)) || null;
+}
+
+/**
+ * Replace known skills by their canonical names and drop duplicates.
+ * Skills outside the taxonomy are kept as written.
+ * @param {string[]} skills - Skill names
+ * @returns {string[]} - Canonical skill names
+ */
+function normalizeSkills(skills) {
+  const seen = new Set();
+  const result = [];
+  for (const skill of cleanNames(skills)) {
+    const name = resolveSkill(skill) || skill;
+    if (!seen.has(skillKey(name))) {
+      seen.add(skillKey(name));
+      result.push(name);
+    }
+  }
+  return result;
+}
+
+/**
+ * Check whether a skill is related to any of a set of skills: a parent, a child or a skill of the same category
+ * @param {Object} taxonomy - Compiled taxonomy
+ * @param {string} name - Canonical skill name
+ * @param {Set<string>} others - Canonical skill names
+ * @returns {boolean}
+ */
+function hasRelatedSkill({ skills, children }, name, others) {
+  const definition = skills.get(name);
+  return [...others].some(other => other !== name && (
+    definition.parents.includes(other) ||
+    (children.get(name) || []).includes(other) ||
+    Boolean(definition.category && skills.get(other) && skills.get(other).category === definition.category)
+  ));
+}
+
+/**
+ * Find taxonomy skills mentioned in free text. Skills whose names are ordinary words ('Swift', 'Express')
+ * and that require context are only found when a related skill is mentioned as well.
+ * @param {string} text - CV or job description text
+ * @returns {string[]} - Canonical skill names in taxonomy order of first match
+ */
+function findSkills(text) {
+  const current = getTaxonomy();
+  let remaining = String(text || '');
+  const matches = [];
+  
+  for (const { skill, pattern, needsContext } of current.patterns) {
+    pattern.lastIndex = 0;
+    if (pattern.test(remaining)) {
+      matches.push({ skill, needsContext });
+      // Blank out the match so shorter names cannot match inside it ('SQL' in 'PL/SQL')
+      remaining = remaining.replace(pattern, match => ' '.repeat(match.length));
+    }
+  }
+  
+  const certain = new Set(matches.filter(match => !match.needsContext).map(match => match.skill));
+  return [...new Set(matches
+    .filter(match => !match.needsContext || certain.has(match.skill) || hasRelatedSkill(current, match.skill, certain))
+    .map(match => match.skill))];
+}
+
+/**
+ * Walk the parent or child relations of a skill
+ * @param {string} name - Canonical skill name
+ * @param {Function} next - Returns the related skills of a skill
+ * @returns {string[]} - Related skills, nearest first, without the skill itself
+ */
+function walk(name, next) {
+  const seen = new Set([name]);
+  const queue = [name];
+  const result = [];
+  while (queue.length > 0) {
+    for (const related of next(queue.shift())) {
+      if (!seen.has(related)) {
+        seen.add(related);
+        result.push(related);
+        queue.push(related);
+      }
+    }
+  }
+  return result;
+}
+
+/**
+ * Get the skills implied by a skill ('Django' implies 'Python')
+ * @param {string} name - Skill name or alias
+ * @returns {string[]} - Canonical names of all ancestors
+ */
+function getAncestors(name) {
+  const { skills } = getTaxonomy();
+  const canonical = resolveSkill(name);
+  return canonical ? walk(canonical, skill => (skills.get(skill) || { parents: [] }).parents) : [];
+}
+
+/**
+ * Get the skills that imply a skill ('Python' is implied by 'Django' and 'Flask')
+ * @param {string} name - Skill name or alias
+ * @returns {string[]} - Canonical names of all descendants
+ */
+function getDescendants(name) {
+  const { children } = getTaxonomy();
+  const canonical = resolveSkill(name);
+  return canonical ? walk(canonical, skill => children.get(skill) || []) : [];
+}
+
+/**
+ * Add the skills implied by a list of skills
+ * @param {string[]} skills - Skill names
+ * @returns {string[]} - Canonical names followed by implied skills
+ */
+function withImpliedSkills(skills) {
+  const normalized = normalizeSkills(skills);
+  return normalizeSkills([...normalized, ...normalized.flatMap(getAncestors)]);
+}
+
+/**
+ * Expand a skill from a search filter to every stored value that satisfies it:
+ * the skill and its more specific skills, each with all their aliases.
+ * Aliases are included so CVs analyzed before a taxonomy change still match.
+ * @param {string} name - Skill name or alias
+ * @returns {string[]} - Names to match (case-insensitively)
+ */
+function expandSkill(name) {
+  const canonical = resolveSkill(name);
+  if (!canonical) {
+    return cleanNames([name]);
+  }
+  
+  const { skills } = getTaxonomy();
+  return cleanNames([canonical, ...getDescendants(canonical)].flatMap(skill => {
+    const definition = skills.get(skill);
+    return [skill, ...(definition ? definition.aliases : [])];
+  }));
+}
+
+module.exports = {
+  skillKey,
+  normalizeDefinition,
+  validateTaxonomy,
+  parseTaxonomy,
+  readTaxonomyFile,
+  setTaxonomy,
+  loadSkillTaxonomy,
+  listSkills,
+  resolveSkill,
+  normalizeSkills,
+  findSkills,
+  getAncestors,
+  getDescendants,
+  withImpliedSkills,
+  expandSkill
+};
@@ -0,0 +1,181 @@
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const crypto = require('crypto');
+
+/**
+ * Open a connection that reads SMTP replies (multi-line replies are joined)
+ * @param {Object} socket - Connected socket
+ * @param {number} timeout - Idle timeout in milliseconds
+ * @returns {Object} - { socket, readReply(), send(line), startTls(servername) }
+ */
+function createConnection(socket, timeout) {
+  let buffer = '';
+  let lines = [];
+  let waiting = null;
+  let failure = null;
+  
+  const settle = () => {
+    if (!waiting) return;
+    if (failure) {
+      const { reject } = waiting;
+      waiting = null;
+      return reject(failure);
+    }
+    // A reply ends with a line whose code is followed by a space ('250 OK' after '250-...')
+    const last = lines.findIndex(line => /^\d{3}(?: |$)/.test(line));
+    if (last !== -1) {
+      const replyLines = lines.slice(0, last + 1);
+      lines = lines.slice(last + 1);
+      const { resolve } = waiting;
+      waiting = null;
+      resolve({ code: parseInt(replyLines[last].slice(0, 3), 10), lines: replyLines.map(line => line.slice(4)) });
+    }
+  };
+  
+  const attach = target => {
+    target.setTimeout(timeout, () => target.destroy(new Error('SMTP connection timed out')));
+    target.on('data', chunk => {
+      buffer += chunk.toString('utf8');
+      const parts = buffer.split('\r\n');
+      buffer = parts.pop();
+      lines.push(...parts);
+      settle();
+    });
+    target.on('error', error => {
+      failure = error;
+      settle();
+    });
+    target.on('close', () => {
+      failure = failure || new Error('SMTP connection closed');
+      settle();
+    });
+  };
+  
+  attach(socket);
+  
+  const connection = {
+    socket,
+    readReply: () => new Promise((resolve, reject) => {
+      waiting = { resolve, reject };
+      settle();
+    }),
+    send: line => connection.socket.write(`${line}\r\n`),
+    // Hand the plain socket over to TLS and keep reading replies from the secure one
+    startTls: async servername => {
+      const plain = connection.socket;
+      plain.removeAllListeners('data');
+      plain.removeAllListeners('close');
+      plain.removeAllListeners('error');
+      plain.setTimeout(0);
+      connection.socket = await new Promise((resolve, reject) => {
+        const secureSocket = tls.connect({ socket: plain, servername }, () => resolve(secureSocket));
+        secureSocket.once('error', reject);
+      });
+      attach(connection.socket);
+    }
+  };
+  return connection;
+}
+
+/**
+ * Send a command and check the reply code
+ * @param {Object} connection - SMTP connection
+ * @param {string|null} line - Command (null only reads a reply)
+ * @param {number[]} expected - Accepted reply codes
+ * @returns {Promise<Object>} - Reply
+ */
+async function command(connection, line, expected) {
+  if (line !== null) {
+    connection.send(line);
+  }
+  const reply = await connection.readReply();
+  if (!expected.includes(reply.code)) {
+    const shown = line && line.startsWith('AUTH') ? 'AUTH' : line;
+    throw new Error(`SMTP ${shown || 'greeting'} failed: ${reply.code} ${reply.lines.join(' ')}`);
+  }
+  return reply;
+}
+
+/**
+ * Encode a header value with non-ASCII characters as an RFC 2047 encoded word
+ * @param {string} value - Header value
+ * @returns {string}
+ */
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+/**
+ * Build a plain text message (base64 body, so any characters and line lengths are safe)
+ * @param {Object} message - { from, to, subject, text }
+ * @returns {string}
+ */
+function buildMessage({ from, to, subject, text }) {
+  const domain = (from.split('@')[1] || 'localhost').replace(/>$/, '');
+  const body = Buffer.from(text, 'utf8').toString('base64').replace(/.{1,76}/g, '$&\r\n');
+  return [
+    `From: ${from}`,
+    `To: ${to.join(', ')}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    body
+  ].join('\r\n');
+}
+
+/**
+ * Send a plain text email over SMTP (STARTTLS when offered, AUTH PLAIN when a user is set)
+ * @param {Object} server - { host, port, secure, user, pass, timeout }
+ * @param {Object} message - { from, to: string[], subject, text }
+ * @returns {Promise<Object>} - { accepted, response } with the server's final reply
+ */
+async function sendMail({ host, port, secure, user, pass, timeout = 10000 }, message) {
+  const socket = await new Promise((resolve, reject) => {
+    const connected = secure
+      ? tls.connect({ host, port, servername: host }, () => resolve(connected))
+      : net.connect({ host, port }, () => resolve(connected));
+    connected.once('error', reject);
+  });
+  const connection = createConnection(socket, timeout);
+  
+  try {
+    await command(connection, null, [220]);
+    const hello = await command(connection, `EHLO ${os.hostname()}`, [250]);
+    
+    if (!secure && hello.lines.some(line => /^STARTTLS\b/i.test(line))) {
+      await command(connection, 'STARTTLS', [220]);
+      await connection.startTls(host);
+      await command(connection, `EHLO ${os.hostname()}`, [250]);
+    }
+    
+    if (user) {
+      const credentials = Buffer.from(`\0${user}\0${pass || ''}`, 'utf8').toString('base64');
+      await command(connection, `AUTH PLAIN ${credentials}`, [235]);
+    }
+    
+    const address = value => value.replace(/^.*<([^>]+)>.*$/, '$1');
+    await command(connection, `MAIL FROM:<${address(message.from)}>`, [250]);
+    for (const recipient of message.to) {
+      await command(connection, `RCPT TO:<${address(recipient)}>`, [250, 251]);
+    }
+    await command(connection, 'DATA', [354]);
+    
+    // Lines starting with a dot are escaped (dot-stuffing)
+    const data = buildMessage(message).replace(/\r\n\./g, '\r\n..');
+    const reply = await command(connection, `${data}\r\n.`, [250]);
+    await command(connection, 'QUIT', [221]).catch(() => {});
+    
+    return { accepted: message.to, response: `${reply.code} ${reply.lines.join(' ')}` };
+  } finally {
+    connection.socket.destroy();
+  }
+}
+
+module.exports = {
+  sendMail
+};
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+/**
+ * Create a storage backend that keeps files in MongoDB GridFS
+ * @param {Object} options - Backend options
+ * @param {string} options.bucketName - GridFS bucket name
+ * @returns {Object} - Storage backend
+ */
+function createGridFSStorage({ bucketName }) {
+  let bucket = null;
+  
+  // The bucket needs an open connection, so it is created on first use
+  const getBucket = () => {
+    if (!bucket) {
+      bucket = new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName });
+    }
+    return bucket;
+  };
+  
+  /**
+   * Find the GridFS file stored under a key
+   * @param {string} key - Storage key (GridFS filename)
+   * @returns {Promise<Object|null>} - GridFS file document
+   */
+  const findFile = async (key) => {
+    const files = await getBucket().find({ filename: key }).sort({ uploadDate: -1 }).limit(1).toArray();
+    return files[0] || null;
+  };
+  
+  return {
+    name: 'gridfs',
+    
+    /**
+     * Store a file
+     * @param {string} key - Storage key
+     * @param {Buffer} buffer - File contents
+     * @param {Object} [options] - { contentType }
+     */
+    async save(key, buffer, { contentType } = {}) {
+      await new Promise((resolve, reject) => {
+        const upload = getBucket().openUploadStream(key, { metadata: { contentType } });
+        upload.once('finish', resolve);
+        upload.once('error', reject);
+        upload.end(buffer);
+      });
+    },
+    
+    /**
+     * Open a stored file for reading
+     * @param {string} key - Storage key
+     * @returns {Promise<Readable|null>} - Stream or null if the file does not exist
+     */
+    async createReadStream(key) {
+      const file = await findFile(key);
+      return file ? getBucket().openDownloadStream(file._id) : null;
+    },
+    
+    /**
+     * Remove a stored file (all revisions stored under the key)
+     * @param {string} key - Storage key
+     * @returns {Promise<boolean>} - Whether a file was removed
+     */
+    async remove(key) {
+      const files = await getBucket().find({ filename: key }).toArray();
+      for (const file of files) {
+        await getBucket().delete(file._id);
+      }
+      return files.length > 0;
+    }
+  };
+}
+
+module.exports = {
+  createGridFSStorage
+};
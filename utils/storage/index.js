@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+const config = require('../../config/config');
+const { createLocalStorage } = require('./localStorage');
+const { createGridFSStorage } = require('./gridfsStorage');
+const { createS3Storage } = require('./s3Storage');
+
+/**
+ * Factories for the supported storage backends.
+ *
+ * A backend is an object with:
+ * - name
+ * - save(key, buffer, { contentType }): Promise<void>
+ * - createReadStream(key): Promise<Readable|null> (null when the file does not exist)
+ * - remove(key): Promise<boolean>
+ */
+const backendFactories = {
+  local: () => createLocalStorage({ root: config.storage.local.path }),
+  gridfs: () => createGridFSStorage({ bucketName: config.storage.gridfs.bucket }),
+  s3: () => createS3Storage(config.storage.s3)
+};
+
+const backends = new Map();
+
+/**
+ * Register an additional storage backend factory
+ * @param {string} name - Backend name used in STORAGE_BACKEND
+ * @param {Function} factory - Returns the backend
+ */
+function registerStorageBackend(name, factory) {
+  backendFactories[name] = factory;
+  backends.delete(name);
+}
+
+/**
+ * Get a storage backend by name (defaults to the configured backend)
+ * @param {string} [name] - Backend name
+ * @returns {Object} - Storage backend
+ */
+function getStorage(name = config.storage.backend) {
+  if (!backends.has(name)) {
+    const factory = backendFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown storage backend: ${name}. Available backends: ${Object.keys(backendFactories).join(', ')}`);
+    }
+    backends.set(name, factory());
+  }
+  return backends.get(name);
+}
+
+/**
+ * Store the original file of a CV
+ * @param {string} cvId - CV ID
+ * @param {Object} file - Uploaded file ({ buffer, originalname })
+ * @param {string} mimeType - Detected MIME type
+ * @returns {Promise<Object>} - File info to keep on the CV ({ backend, key, size, checksum, mimeType, storedAt })
+ */
+async function storeOriginalFile(cvId, file, mimeType) {
+  const storage = getStorage();
+  const checksum = crypto.createHash('sha256').update(file.buffer).digest('hex');
+  // Include the checksum so a replaced file never overwrites the one still referenced
+  const key = `cvs/${cvId}/${checksum}`;
+  
+  await storage.save(key, file.buffer, { contentType: mimeType });
+  
+  return {
+    backend: storage.name,
+    key,
+    size: file.buffer.length,
+    checksum,
+    mimeType,
+    storedAt: new Date()
+  };
+}
+
+/**
+ * Open the stored original file of a CV
+ * @param {Object} fileInfo - CV file info
+ * @returns {Promise<Readable|null>} - Stream or null when the file is missing
+ */
+async function openStoredFile(fileInfo) {
+  if (!fileInfo || !fileInfo.key) {
+    return null;
+  }
+  return getStorage(fileInfo.backend).createReadStream(fileInfo.key);
+}
+
+/**
+ * Read a stored file into memory
+ * @param {Object} fileInfo - Stored file info ({ backend, key })
+ * @returns {Promise<Buffer|null>} - File bytes or null when the file is missing
+ */
+async function readStoredFile(fileInfo) {
+  const stream = await openStoredFile(fileInfo);
+  if (!stream) {
+    return null;
+  }
+  
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Remove the stored original file of a CV
+ * @param {Object} fileInfo - CV file info
+ * @returns {Promise<boolean>} - Whether a file was removed
+ */
+async function removeStoredFile(fileInfo) {
+  if (!fileInfo || !fileInfo.key) {
+    return false;
+  }
+  return getStorage(fileInfo.backend).remove(fileInfo.key);
+}
+
+module.exports = {
+  getStorage,
+  registerStorageBackend,
+  storeOriginalFile,
+  openStoredFile,
+  readStoredFile,
+  removeStoredFile
+};
@@ -0,0 +1,79 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Create a storage backend that keeps files on the local filesystem
+ * @param {Object} options - Backend options
+ * @param {string} options.root - Directory holding stored files
+ * @returns {Object} - Storage backend
+ */
+function createLocalStorage({ root }) {
+  const baseDir = path.resolve(root);
+  
+  /**
+   * Resolve a key to a path inside the storage directory
+   * @param {string} key - Storage key
+   * @returns {string} - Absolute file path
+   */
+  const resolveKey = (key) => {
+    const filePath = path.resolve(baseDir, key);
+    if (!filePath.startsWith(baseDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+  
+  return {
+    name: 'local',
+    
+    /**
+     * Store a file
+     * @param {string} key - Storage key
+     * @param {Buffer} buffer - File contents
+     */
+    async save(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      
+      // Write to a temporary file first so readers never see a partial file
+      await fs.promises.writeFile(`${filePath}.tmp`, buffer);
+      await fs.promises.rename(`${filePath}.tmp`, filePath);
+    },
+    
+    /**
+     * Open a stored file for reading
+     * @param {string} key - Storage key
+     * @returns {Promise<Readable|null>} - Stream or null if the file does not exist
+     */
+    async createReadStream(key) {
+      const filePath = resolveKey(key);
+      try {
+        await fs.promises.access(filePath);
+      } catch (error) {
+        return null;
+      }
+      return fs.createReadStream(filePath);
+    },
+    
+    /**
+     * Remove a stored file
+     * @param {string} key - Storage key
+     * @returns {Promise<boolean>} - Whether a file was removed
+     */
+    async remove(key) {
+      try {
+        await fs.promises.unlink(resolveKey(key));
+        return true;
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return false;
+        }
+        throw error;
+      }
+    }
+  };
+}
+
+module.exports = {
+  createLocalStorage
+};
@@ -0,0 +1,196 @@
+const crypto = require('crypto');
+const { Readable } = require('stream');
+
+/**
+ * SHA-256 hex digest
+ * @param {Buffer|string} data - Data to hash
+ * @returns {string}
+ */
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * HMAC-SHA256
+ * @param {Buffer|string} key - Key
+ * @param {string} data - Data to sign
+ * @returns {Buffer}
+ */
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+/**
+ * URI-encode a value as required by AWS Signature Version 4
+ * @param {string} value - Value to encode
+ * @returns {string}
+ */
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+/**
+ * Sign a request with AWS Signature Version 4
+ * @param {Object} request - { method, url, headers, payloadHash }
+ * @param {Object} credentials - { accessKeyId, secretAccessKey, region }
+ * @param {Date} [now] - Signing time
+ * @returns {Object} - Headers including Authorization
+ */
+function signRequest({ method, url, headers = {}, payloadHash }, { accessKeyId, secretAccessKey, region }, now = new Date()) {
+  const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const dateStamp = amzDate.slice(0, 8);
+  const scope = `${dateStamp}/${region}/s3/aws4_request`;
+  
+  const signedHeaderValues = {
+    ...Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value).trim()])),
+    host: url.host,
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date': amzDate
+  };
+  const headerNames = Object.keys(signedHeaderValues).sort();
+  
+  const canonicalQuery = [...url.searchParams.entries()]
+    .map(([name, value]) => `${encodeRfc3986(name)}=${encodeRfc3986(value)}`)
+    .sort()
+    .join('&');
+  
+  const canonicalRequest = [
+    method,
+    url.pathname,
+    canonicalQuery,
+    headerNames.map(name => `${name}:${signedHeaderValues[name]}\n`).join(''),
+    headerNames.join(';'),
+    payloadHash
+  ].join('\n');
+  
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+  
+  const signingKey = ['s3', 'aws4_request'].reduce(
+    (key, part) => hmac(key, part),
+    hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region)
+  );
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+  
+  const { host, ...requestHeaders } = signedHeaderValues;
+  return {
+    ...requestHeaders,
+    Authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${headerNames.join(';')}, Signature=${signature}`
+  };
+}
+
+/**
+ * Create a storage backend for S3 or an S3-compatible server (MinIO, LocalStack, ...)
+ * @param {Object} options - Backend options
+ * @param {string} options.bucket - Bucket name
+ * @param {string} options.region - Region used for signing
+ * @param {string} [options.endpoint] - Custom endpoint URL (defaults to AWS)
+ * @param {boolean} [options.forcePathStyle] - Use endpoint/bucket/key URLs instead of bucket subdomains
+ * @param {string} options.accessKeyId - Access key
+ * @param {string} options.secretAccessKey - Secret key
+ * @returns {Object} - Storage backend
+ */
+function createS3Storage({ bucket, region, endpoint, forcePathStyle, accessKeyId, secretAccessKey }) {
+  if (!bucket) {
+    throw new Error('S3 storage requires S3_BUCKET to be set');
+  }
+  
+  const credentials = { accessKeyId, secretAccessKey, region };
+  
+  /**
+   * Build the object URL for a key
+   * @param {string} key - Storage key
+   * @returns {URL}
+   */
+  const objectUrl = (key) => {
+    const encodedKey = key.split('/').map(encodeRfc3986).join('/');
+    if (!endpoint) {
+      return new URL(`https://${bucket}.s3.${region}.amazonaws.com/${encodedKey}`);
+    }
+    const base = new URL(endpoint);
+    if (forcePathStyle) {
+      return new URL(`${base.origin}/${bucket}/${encodedKey}`);
+    }
+    return new URL(`${base.protocol}//${bucket}.${base.host}/${encodedKey}`);
+  };
+  
+  /**
+   * Send a signed request
+   * @param {string} method - HTTP method
+   * @param {string} key - Storage key
+   * @param {Object} [options] - { body, headers }
+   * @returns {Promise<Response>}
+   */
+  const send = async (method, key, { body, headers = {} } = {}) => {
+    const url = objectUrl(key);
+    const payloadHash = sha256(body || '');
+    return fetch(url, {
+      method,
+      body,
+      headers: signRequest({ method, url, headers, payloadHash }, credentials)
+    });
+  };
+  
+  /**
+   * Turn an unexpected S3 response into an error
+   * @param {Response} response - Fetch response
+   * @param {string} action - What was attempted
+   * @returns {Promise<Error>}
+   */
+  const responseError = async (response, action) => {
+    const text = await response.text().catch(() => '');
+    const code = (text.match(/<Code>([^<]+)<\/Code>/) || [])[1];
+    return new Error(`S3 ${action} failed with status ${response.status}${code ? ` (${code})` : ''}`);
+  };
+  
+  return {
+    name: 's3',
+    
+    /**
+     * Store a file
+     * @param {string} key - Storage key
+     * @param {Buffer} buffer - File contents
+     * @param {Object} [options] - { contentType }
+     */
+    async save(key, buffer, { contentType } = {}) {
+      const headers = contentType ? { 'content-type': contentType } : {};
+      const response = await send('PUT', key, { body: buffer, headers });
+      if (!response.ok) {
+        throw await responseError(response, 'upload');
+      }
+    },
+    
+    /**
+     * Open a stored file for reading
+     * @param {string} key - Storage key
+     * @returns {Promise<Readable|null>} - Stream or null if the object does not exist
+     */
+    async createReadStream(key) {
+      const response = await send('GET', key);
+      if (response.status === 404) {
+        return null;
+      }
+      if (!response.ok) {
+        throw await responseError(response, 'download');
+      }
+      return Readable.fromWeb(response.body);
+    },
+    
+    /**
+     * Remove a stored file
+     * @param {string} key - Storage key
+     * @returns {Promise<boolean>} - Always true (S3 does not report whether the object existed)
+     */
+    async remove(key) {
+      const response = await send('DELETE', key);
+      if (!response.ok && response.status !== 404) {
+        throw await responseError(response, 'delete');
+      }
+      return true;
+    }
+  };
+}
+
+module.exports = {
+  createS3Storage,
+  signRequest
+};
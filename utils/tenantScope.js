@@ -0,0 +1,199 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const mongoose = require('mongoose');
+const config = require('../config/config');
+
+/**
+ * Tenant (workspace) isolation.
+ *
+ * Requests run inside a tenant context (see middlewares/tenant.js). Models using
+ * tenantScopePlugin read the context and add the tenant ID to every query, count,
+ * distinct, update, delete and aggregation, and stamp it on new documents.
+ * Code running outside a context (startup, the ingest worker between tasks, CLI
+ * scripts) sees all tenants and is responsible for entering the right one.
+ */
+
+const storage = new AsyncLocalStorage();
+
+// Config sections and keys a tenant may override in its settings
+const TENANT_SETTINGS = {
+  upload: ['maxSize', 'maxBulkFiles', 'maxArchiveEntries', 'maxArchiveSize', 'maxExtractedSize', 'maxBulkUploadSize'],
+  ai: ['provider'],
+  duplicates: ['enabled', 'similarityThreshold'],
+  matching: ['vectorWeight', 'skillsWeight', 'experienceWeight', 'titleWeight', 'candidatePoolSize'],
+  pii: ['redactBeforeAI'],
+  retention: ['enabled', 'days']
+};
+
+// Query operations that are filtered by tenant
+const FILTERED_QUERIES = [
+  'find',
+  'findOne',
+  'countDocuments',
+  'distinct',
+  'updateOne',
+  'updateMany',
+  'replaceOne',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndUpdate',
+  'findOneAndReplace',
+  'findOneAndDelete'
+];
+
+// Aggregation stages that must stay first in a pipeline
+const LEADING_STAGES = ['$vectorSearch', '$search', '$geoNear'];
+
+/**
+ * Run a function inside a tenant context
+ * @param {Object} tenant - { id, slug, settings }
+ * @param {Function} fn - Function to run; its async continuations keep the context
+ * @returns {*} - Result of fn
+ */
+function runWithTenant(tenant, fn) {
+  return storage.run(tenant ? { tenant } : {}, fn);
+}
+
+/**
+ * Run a function outside any tenant context (queries see every tenant)
+ * @param {Function} fn - Function to run
+ * @returns {*} - Result of fn
+ */
+function runWithoutTenant(fn) {
+  return storage.run({}, fn);
+}
+
+/**
+ * Get the tenant of the current context
+ * @returns {Object|null} - { id, slug, settings }
+ */
+function getCurrentTenant() {
+  const store = storage.getStore();
+  return (store && store.tenant) || null;
+}
+
+/**
+ * Get the ID of the current tenant
+ * @returns {mongoose.Types.ObjectId|null}
+ */
+function getTenantId() {
+  const tenant = getCurrentTenant();
+  return tenant ? new mongoose.Types.ObjectId(String(tenant.id)) : null;
+}
+
+/**
+ * Get a config section with the current tenant's overrides applied
+ * @param {string} section - Config section, e.g. 'upload' or 'ai'
+ * @returns {Object}
+ */
+function getTenantConfig(section) {
+  const tenant = getCurrentTenant();
+  const overrides = tenant && tenant.settings && tenant.settings[section];
+  
+  if (!overrides || !TENANT_SETTINGS[section]) {
+    return config[section];
+  }
+  
+  const merged = Object.create(config[section]);
+  for (const key of TENANT_SETTINGS[section]) {
+    if (overrides[key] !== undefined && overrides[key] !== null) {
+      merged[key] = overrides[key];
+    }
+  }
+  return merged;
+}
+
+/**
+ * Add the tenant condition to the first stage of a pipeline, or as a new first stage
+ * @param {Object[]} pipeline - Aggregation pipeline (modified in place)
+ * @param {mongoose.Types.ObjectId} tenantId - Tenant ID
+ */
+function scopePipeline(pipeline, tenantId) {
+  // Stages like $vectorSearch must stay first; their results are filtered right after
+  const index = pipeline.length > 0 && LEADING_STAGES.some(stage => pipeline[0][stage]) ? 1 : 0;
+  const stage = pipeline[index];
+  
+  // Merge into an existing $match so a $text query can remain the first stage
+  if (stage && stage.$match && !('tenantId' in stage.$match)) {
+    pipeline[index] = { $match: { ...stage.$match, tenantId } };
+  } else {
+    pipeline.splice(index, 0, { $match: { tenantId } });
+  }
+}
+
+/**
+ * Mongoose plugin adding a tenantId field and scoping all operations to the current tenant
+ * @param {mongoose.Schema} schema - Schema to scope
+ */
+function tenantScopePlugin(schema) {
+  schema.add({
+    tenantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Tenant',
+      index: true
+    }
+  });
+  
+  schema.pre(FILTERED_QUERIES, { query: true, document: false }, function() {
+    const tenantId = getTenantId();
+    if (tenantId) {
+      // Always filter: a caller-supplied tenantId must not widen the query to another tenant
+      this.where({ tenantId });
+    }
+  });
+  
+  schema.pre('save', function() {
+    const tenantId = getTenantId();
+    if (this.isNew && tenantId && !this.tenantId) {
+      this.tenantId = tenantId;
+    }
+  });
+  
+  schema.pre('insertMany', function(next, docs) {
+    const tenantId = getTenantId();
+    if (tenantId) {
+      for (const doc of Array.isArray(docs) ? docs : [docs]) {
+        if (!doc.tenantId) {
+          doc.tenantId = tenantId;
+        }
+      }
+    }
+    next();
+  });
+  
+  schema.pre('aggregate', function() {
+    const tenantId = getTenantId();
+    if (tenantId) {
+      scopePipeline(this.pipeline(), tenantId);
+    }
+  });
+  
+  schema.pre('bulkWrite', function(next, operations) {
+    const tenantId = getTenantId();
+    if (tenantId) {
+      for (const operation of operations) {
+        const [type] = Object.keys(operation);
+        const body = operation[type];
+        if (body.filter) {
+          body.filter = { ...body.filter, tenantId };
+        }
+        if (type === 'insertOne' && body.document && !body.document.tenantId) {
+          body.document.tenantId = tenantId;
+        }
+        if (body.replacement && !body.replacement.tenantId) {
+          body.replacement.tenantId = tenantId;
+        }
+      }
+    }
+    next();
+  });
+}
+
+module.exports = {
+  TENANT_SETTINGS,
+  runWithTenant,
+  runWithoutTenant,
+  getCurrentTenant,
+  getTenantId,
+  getTenantConfig,
+  tenantScopePlugin
+};
@@ -0,0 +1,140 @@
+const mongoose = require('mongoose');
+const Tenant = require('../models/tenantModel');
+const CV = require('../models/cvModel');
+const Job = require('../models/jobModel');
+const Batch = require('../models/batchModel');
+const IngestTask = require('../models/ingestTaskModel');
+const ErasureReceipt = require('../models/erasureReceiptModel');
+const ReprocessRun = require('../models/reprocessRunModel');
+const Shortlist = require('../models/shortlistModel');
+const SavedSearch = require('../models/savedSearchModel');
+const Alert = require('../models/alertModel');
+const WebhookSubscription = require('../models/webhookSubscriptionModel');
+const WebhookDelivery = require('../models/webhookDeliveryModel');
+const CVPassage = require('../models/cvPassageModel');
+const MatchSummary = require('../models/matchSummaryModel');
+const config = require('../config/config');
+const { runWithoutTenant } = require('./tenantScope');
+
+// Models whose documents belong to a tenant (users and API keys without a tenant are platform accounts)
+const TENANT_OWNED_MODELS = [CV, Job, Batch, IngestTask, ErasureReceipt, ReprocessRun, Shortlist,
+  SavedSearch, Alert, WebhookSubscription, WebhookDelivery, CVPassage, MatchSummary];
+
+// Tenants are read on every request, so keep them briefly in memory
+const CACHE_TTL = 30 * 1000;
+
+const cache = new Map();
+
+/**
+ * Get a tenant context by ID
+ * @param {string|Object} id - Tenant ID
+ * @returns {Promise<Object|null>} - { id, slug, name, active, settings } or null if unknown
+ */
+async function getTenantById(id) {
+  const key = String(id);
+  const cached = cache.get(key);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.tenant;
+  }
+  
+  const tenant = mongoose.isValidObjectId(key) ? await Tenant.findById(key) : null;
+  const context = tenant ? tenant.toContext() : null;
+  cache.set(key, { tenant: context, expiresAt: Date.now() + CACHE_TTL });
+  return context;
+}
+
+/**
+ * Get the context to run a tenant's background work in. Falls back to the bare ID
+ * (without settings overrides) so work of a removed tenant never runs unscoped.
+ * @param {string|Object} id - Tenant ID
+ * @returns {Promise<Object>}
+ */
+async function getTenantContext(id) {
+  return (await getTenantById(id)) || { id: String(id), slug: null, active: false, settings: {} };
+}
+
+/**
+ * Find a tenant context by slug or ID, as sent in the X-Tenant-ID header
+ * @param {string} reference - Slug or ID
+ * @returns {Promise<Object|null>}
+ */
+async function findTenant(reference) {
+  const value = String(reference || '').trim();
+  if (mongoose.isValidObjectId(value)) {
+    const tenant = await getTenantById(value);
+    if (tenant) {
+      return tenant;
+    }
+  }
+  
+  const tenant = await Tenant.findOne({ slug: value.toLowerCase() }).select('_id');
+  return tenant ? getTenantById(tenant._id) : null;
+}
+
+/**
+ * Get the default tenant, used by platform accounts that do not select a tenant
+ * @returns {Promise<Object|null>}
+ */
+async function getDefaultTenant() {
+  return findTenant(config.tenants.defaultSlug);
+}
+
+/**
+ * Check whether a tenant context matches a slug or ID
+ * @param {Object} tenant - Tenant context
+ * @param {string} reference - Slug or ID
+ * @returns {boolean}
+ */
+function matchesTenant(tenant, reference) {
+  const value = String(reference || '').trim();
+  return Boolean(tenant) && (tenant.id === value || tenant.slug === value.toLowerCase());
+}
+
+/**
+ * Drop a tenant from the cache after it changed
+ * @param {string|Object} id - Tenant ID
+ */
+function invalidateTenant(id) {
+  cache.delete(String(id));
+}
+
+/**
+ * Create the default tenant if needed and assign data created before tenants existed to it
+ * @returns {Promise<Object>} - { tenant, migrated } with the number of documents assigned per model
+ */
+async function ensureDefaultTenant() {
+  return runWithoutTenant(async () => {
+    const slug = config.tenants.defaultSlug;
+    const tenant = await Tenant.findOneAndUpdate(
+      { slug },
+      { $setOnInsert: { slug, name: 'Default' } },
+      { upsert: true, new: true }
+    );
+    
+    const migrated = {};
+    for (const Model of TENANT_OWNED_MODELS) {
+      // Leave updatedAt alone so migrating does not look like an edit
+      const { modifiedCount } = await Model.updateMany(
+        { tenantId: null },
+        { $set: { tenantId: tenant._id } },
+        { timestamps: false }
+      );
+      if (modifiedCount > 0) {
+        migrated[Model.modelName] = modifiedCount;
+      }
+    }
+    
+    return { tenant: tenant.toContext(), migrated };
+  });
+}
+
+module.exports = {
+  TENANT_OWNED_MODELS,
+  getTenantById,
+  getTenantContext,
+  findTenant,
+  getDefaultTenant,
+  matchesTenant,
+  invalidateTenant,
+  ensureDefaultTenant
+};
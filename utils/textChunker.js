@@ -0,0 +1,54 @@
+/**
+ * Split text into chunks of at most `size` characters, preferring paragraph and line breaks.
+ * Consecutive chunks overlap by up to `overlap` characters so entries cut at a boundary
+ * appear whole in at least one chunk.
+ * @param {string} text - Text to split
+ * @param {Object} [options] - { size, overlap }
+ * @returns {string[]} - Chunks (a single chunk for short texts)
+ */
+function chunkText(text, { size = 6000, overlap = 500 } = {}) {
+  const input = text || '';
+  if (input.length <= size) {
+    return [input];
+  }
+  
+  const chunks = [];
+  let start = 0;
+  
+  while (start < input.length) {
+    let end = Math.min(start + size, input.length);
+    
+    if (end < input.length) {
+      // Cut at the last paragraph break, then line break, then space in the second half of the window
+      const window = input.slice(start, end);
+      const minCut = Math.floor(size / 2);
+      for (const separator of ['\n\n', '\n', ' ']) {
+        const index = window.lastIndexOf(separator);
+        if (index >= minCut) {
+          end = start + index + separator.length;
+          break;
+        }
+      }
+    }
+    
+    chunks.push(input.slice(start, end).trim());
+    
+    if (end >= input.length) {
+      break;
+    }
+    
+    // Start the next chunk a little earlier, at a line or word boundary when possible
+    let next = Math.max(end - overlap, start + 1);
+    const lineStart = input.indexOf('\n', next);
+    if (lineStart !== -1 && lineStart < end) {
+      next = lineStart + 1;
+    }
+    start = next;
+  }
+  
+  return chunks.filter(Boolean);
+}
+
+module.exports = {
+  chunkText
+};
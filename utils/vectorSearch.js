@@ -0,0 +1,255 @@
+const mongoose = require('mongoose');
+const config = require('../config/config');
+const CV = require('../models/cvModel');
+const CVPassage = require('../models/cvPassageModel');
+const localVectorIndex = require('./localVectorIndex');
+const { getEmbeddingInfo } = require('./openaiService');
+const { getTenantId } = require('./tenantScope');
+
+// Atlas rejects $vectorSearch stages whose limit or numCandidates is above this
+const ATLAS_MAX_CANDIDATES = 10000;
+
+// Which engine answers vector searches: 'atlas' ($vectorSearch) or 'local' (in-process index)
+let vectorBackend = 'atlas';
+
+// Whether Atlas has the passage index; without it Atlas ranks whole-CV embeddings only
+let atlasPassageSearch = true;
+
+// Whether the Atlas indexes declare tenantId as a filter field. Indexes created before tenants
+// existed do not; their results are filtered by tenant after ranking (see tenantScope.js).
+let atlasTenantFilter = { cvs: true, passages: true };
+
+/**
+ * Select the vector search backend
+ * @param {string} backend - 'atlas' or 'local'
+ * @param {Object} [options] - { passages: false } when Atlas has no passage index,
+ *   { tenantFilter: { cvs, passages } } when an index lacks the tenantId filter field
+ */
+function setVectorBackend(backend, { passages = true, tenantFilter = { cvs: true, passages: true } } = {}) {
+  vectorBackend = backend;
+  atlasPassageSearch = passages;
+  atlasTenantFilter = tenantFilter;
+}
+
+/**
+ * Get the active vector search backend
+ * @returns {string} - 'atlas' or 'local'
+ */
+function getVectorBackend() {
+  return vectorBackend;
+}
+
+/**
+ * Build the $vectorSearch aggregation stage used for semantic CV search
+ * @param {number[]} queryVector - Embedding of the search query
+ * @param {number} limit - Number of results to return from the stage (at most 10000, the Atlas maximum)
+ * @param {mongoose.Types.ObjectId} [tenantId] - Only return CVs of this tenant
+ * @param {Object} [target] - { index, path } of the searched vectors (defaults to whole-CV embeddings)
+ * @returns {Object} MongoDB $vectorSearch stage
+ */
+function buildVectorSearchStage(queryVector, limit, tenantId, { index = 'vectorIndex', path = 'embeddings' } = {}) {
+  const stageLimit = Math.min(limit, ATLAS_MAX_CANDIDATES);
+  const stage = {
+    "$vectorSearch": {
+      "queryVector": queryVector,
+      "path": path,
+      "numCandidates": Math.min(Math.max(100, stageLimit * 3), ATLAS_MAX_CANDIDATES),
+      "limit": stageLimit,
+      "index": index
+    }
+  };
+  
+  // Pre-filter so other tenants' CVs do not use up the limit (tenantId must be a filter field of the index)
+  if (tenantId) {
+    stage.$vectorSearch.filter = { tenantId };
+  }
+  return stage;
+}
+
+/**
+ * Build a projection stage that exposes the vector search score
+ * @returns {Object} MongoDB $addFields stage
+ */
+function buildVectorScoreStage() {
+  return {
+    $addFields: {
+      vectorScore: { $meta: 'vectorSearchScore' }
+    }
+  };
+}
+
+/**
+ * Cosine similarity between two vectors
+ * @param {number[]} a - First vector
+ * @param {number[]} b - Second vector
+ * @returns {number} - Similarity between -1 and 1 (0 if either vector is empty)
+ */
+function cosineSimilarity(a, b) {
+  if (!a || !b || a.length === 0 || a.length !== b.length) {
+    return 0;
+  }
+  
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  
+  return normA && normB ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0;
+}
+
+/**
+ * Combine passage hits into one score per CV: its best passage ('max') or the mean of its best topK passages ('mean')
+ * @param {Object[]} hits - [{ id, score }] with CV IDs (a CV can have several hits)
+ * @param {Object} options - { aggregation, topK }
+ * @returns {Object[]} - [{ id, score }] with one entry per CV, sorted by score
+ */
+function aggregatePassageScores(hits, { aggregation, topK }) {
+  const byCV = new Map();
+  for (const hit of hits) {
+    if (!byCV.has(hit.id)) {
+      byCV.set(hit.id, []);
+    }
+    byCV.get(hit.id).push(hit.score);
+  }
+  
+  return [...byCV].map(([id, scores]) => {
+    const best = scores.sort((a, b) => b - a).slice(0, Math.max(1, topK));
+    const score = aggregation === 'mean'
+      ? best.reduce((sum, value) => sum + value, 0) / best.length
+      : best[0];
+    return { id, score };
+  }).sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Score CVs found by other means (e.g. a structured query) the way vector searches score them:
+ * by their passages, or by the whole-CV embedding for CVs without passages
+ * @param {number[]} queryVector - Embedding of the query
+ * @param {Object[]} cvs - CVs with _id, embeddings, embeddingProvider and embeddingModel
+ * @returns {Promise<Map<string, number>>} - Scores between 0 and 1 by CV ID; CVs without vectors of the
+ *   current embedding model are left out
+ */
+async function scoreCVs(queryVector, cvs) {
+  const { provider, model } = getEmbeddingInfo();
+  const passages = await CVPassage.find({
+    cvId: { $in: cvs.map(cv => cv._id) },
+    embeddingModel: `${provider}/${model}`
+  }).select('cvId embedding').lean();
+  
+  // Cosine similarity is mapped to the 0..1 range of Atlas vectorSearchScore
+  const hits = passages.map(passage => ({
+    id: passage.cvId.toString(),
+    score: (1 + cosineSimilarity(queryVector, passage.embedding)) / 2
+  }));
+  const withPassages = new Set(hits.map(hit => hit.id));
+  for (const cv of cvs) {
+    const usable = cv.embeddingProvider === provider && cv.embeddingModel === model &&
+      Array.isArray(cv.embeddings) && cv.embeddings.length > 0;
+    if (usable && !withPassages.has(cv._id.toString())) {
+      hits.push({ id: cv._id.toString(), score: (1 + cosineSimilarity(queryVector, cv.embeddings)) / 2 });
+    }
+  }
+  
+  return new Map(aggregatePassageScores(hits, config.passages).map(item => [item.id, item.score]));
+}
+
+/**
+ * Find passage (and whole-CV) hits with Atlas $vectorSearch. Passages are fetched up to the Atlas
+ * maximum; when that cannot cover PASSAGE_CANDIDATES_PER_CV passages for every CV needed, whole-CV
+ * embeddings also rank the CVs that have passages, so large requests still get enough CVs.
+ * @param {number[]} queryVector - Embedding of the search query
+ * @param {number} limit - Number of CVs needed
+ * @param {mongoose.Types.ObjectId} [tenantId] - Tenant to search
+ * @param {string} modelTag - 'provider/model' of the query embedding
+ * @returns {Promise<Object[]>} - [{ id, score }] with CV IDs and scores between 0 and 1
+ */
+async function searchAtlas(queryVector, limit, tenantId, modelTag) {
+  const hits = [];
+  const passageLimit = limit * config.passages.candidatesPerCV;
+  const passagesCoverAll = atlasPassageSearch && passageLimit <= ATLAS_MAX_CANDIDATES;
+  
+  if (atlasPassageSearch) {
+    const passages = await CVPassage.aggregate([
+      buildVectorSearchStage(queryVector, passageLimit, atlasTenantFilter.passages ? tenantId : null, {
+        index: 'passageVectorIndex',
+        path: 'embedding'
+      }),
+      { $match: { embeddingModel: modelTag } },
+      { $project: { cvId: 1, score: { $meta: 'vectorSearchScore' } } }
+    ]);
+    hits.push(...passages.map(passage => ({ id: passage.cvId.toString(), score: passage.score })));
+  }
+  
+  // Whole-CV embeddings rank the CVs that have no passages yet
+  const cvs = await CV.aggregate([
+    buildVectorSearchStage(queryVector, limit, atlasTenantFilter.cvs ? tenantId : null),
+    buildVectorScoreStage(),
+    ...(passagesCoverAll ? [{ $match: { passageCount: { $not: { $gt: 0 } } } }] : []),
+    { $project: { vectorScore: 1 } }
+  ]);
+  hits.push(...cvs.map(cv => ({ id: cv._id.toString(), score: cv.vectorScore })));
+  
+  return hits;
+}
+
+/**
+ * Build the leading aggregation stages of a vector search on the active backend.
+ * Passages are ranked and combined into one score per CV (PASSAGE_AGGREGATION); CVs without
+ * passages are ranked by their whole-CV embedding.
+ * Both backends yield CVs of the current tenant ordered by similarity with a vectorScore between 0 and 1.
+ * @param {number[]} queryVector - Embedding of the search query
+ * @param {number} limit - Number of nearest CVs to return
+ * @returns {Promise<Object[]>} - Aggregation stages
+ */
+async function buildVectorSearchStages(queryVector, limit) {
+  // Both indexes hold vectors of the deployment's embedding model only
+  const current = getEmbeddingInfo();
+  const indexed = getEmbeddingInfo(config.ai.provider);
+  if (current.provider !== indexed.provider || current.model !== indexed.model) {
+    throw new Error(`Vector search is not available for the tenant's embedding model ${current.provider}/${current.model}`);
+  }
+  
+  const tenantId = getTenantId();
+  let hits;
+  
+  if (vectorBackend !== 'local') {
+    hits = await searchAtlas(queryVector, limit, tenantId, `${current.provider}/${current.model}`);
+  } else {
+    if (!localVectorIndex.isActive()) {
+      throw new Error('Local vector index is not ready');
+    }
+    
+    // Map cosine similarity (-1..1) to the 0..1 range used by Atlas vectorSearchScore
+    hits = localVectorIndex.search(queryVector, limit * config.passages.candidatesPerCV, tenantId)
+      .map(item => ({ id: item.id, score: (1 + item.score) / 2 }));
+  }
+  
+  const nearest = aggregatePassageScores(hits, config.passages).slice(0, limit);
+  const ids = nearest.map(item => new mongoose.Types.ObjectId(item.id));
+  const scores = nearest.map(item => item.score);
+  
+  return [
+    { $match: { _id: { $in: ids } } },
+    {
+      $addFields: {
+        vectorScore: { $arrayElemAt: [scores, { $indexOfArray: [ids, '$_id'] }] }
+      }
+    },
+    { $sort: { vectorScore: -1 } }
+  ];
+}
+
+module.exports = {
+  setVectorBackend,
+  getVectorBackend,
+  buildVectorSearchStages,
+  buildVectorSearchStage,
+  buildVectorScoreStage,
+  aggregatePassageScores,
+  scoreCVs,
+  cosineSimilarity
+};
@@ -0,0 +1,237 @@
+const WebhookSubscription = require('../models/webhookSubscriptionModel');
+const WebhookDelivery = require('../models/webhookDeliveryModel');
+const config = require('../config/config');
+const { onEvent, getEventCVIds, forgetEvents } = require('./events');
+const { runWithoutTenant } = require('./tenantScope');
+const { registerErasureStep } = require('./cvLifecycle');
+const { getNotifier } = require('./notifiers');
+
+let pollTimer = null;
+let activeDeliveries = 0;
+let running = false;
+let polling = false;
+
+/**
+ * Schedule a poll outside the caller's tenant, so deliveries of every tenant are picked up
+ */
+function schedulePoll() {
+  if (running) {
+    setImmediate(() => runWithoutTenant(poll));
+  }
+}
+
+/**
+ * Queue a delivery of an event for each active subscription of its tenant that receives it
+ * @param {Object} event - Emitted event
+ * @returns {Promise<Object[]>} - Created deliveries
+ */
+async function queueDeliveries(event) {
+  if (!config.webhooks.enabled) {
+    return [];
+  }
+  
+  // The event names its tenant, so the lookup does not depend on the emitter's context
+  const subscriptions = await runWithoutTenant(() => WebhookSubscription.find({
+    tenantId: event.tenantId,
+    active: true
+  }));
+  const receiving = subscriptions.filter(subscription => subscription.receives(event.event));
+  
+  if (receiving.length === 0) {
+    return [];
+  }
+  
+  const deliveries = await runWithoutTenant(() => WebhookDelivery.insertMany(receiving.map(subscription => ({
+    subscriptionId: subscription._id,
+    tenantId: subscription.tenantId,
+    eventId: event.id,
+    event: event.event,
+    payload: event,
+    cvIds: getEventCVIds(event),
+    maxAttempts: config.webhooks.maxAttempts
+  }))));
+  
+  schedulePoll();
+  return deliveries;
+}
+
+/**
+ * Queue a delivery again, e.g. a dead letter after the receiver was fixed
+ * @param {Object} delivery - Delivery document
+ * @returns {Promise<Object>} - New pending delivery
+ */
+async function replayDelivery(delivery) {
+  const replay = await WebhookDelivery.create({
+    subscriptionId: delivery.subscriptionId,
+    tenantId: delivery.tenantId,
+    eventId: delivery.eventId,
+    event: delivery.event,
+    payload: delivery.payload,
+    cvIds: delivery.cvIds,
+    maxAttempts: config.webhooks.maxAttempts,
+    replayOf: delivery._id
+  });
+  await WebhookDelivery.updateOne({ _id: delivery._id }, { $set: { replayedAt: replay.createdAt } });
+  
+  schedulePoll();
+  return replay;
+}
+
+/**
+ * Atomically claim the next due delivery of any tenant, including deliveries whose worker died
+ * @returns {Promise<Object|null>} - Claimed delivery or null
+ */
+async function claimDelivery() {
+  const now = new Date();
+  const staleLock = new Date(now.getTime() - config.webhooks.lockTimeout);
+  
+  return WebhookDelivery.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { status: 'sending', lockedAt: { $lt: staleLock } }
+      ]
+    },
+    {
+      $set: { status: 'sending', lockedAt: now },
+      $inc: { attempts: 1 }
+    },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+}
+
+/**
+ * Send a claimed delivery and record the outcome: delivered, retried later, or a dead letter
+ * @param {Object} delivery - Claimed delivery
+ */
+async function attemptDelivery(delivery) {
+  const subscription = await WebhookSubscription.findById(delivery.subscriptionId);
+  
+  if (!subscription || !subscription.active) {
+    // Kept as a dead letter so it can be replayed once the subscription is active again
+    await WebhookDelivery.updateOne(
+      { _id: delivery._id },
+      { $set: { status: 'dead', lockedAt: null, lastError: 'Subscription is disabled or was removed' } }
+    );
+    return;
+  }
+  
+  try {
+    const { status } = await getNotifier('webhook').send(
+      { url: subscription.url, secret: subscription.secret, timeout: config.webhooks.timeout },
+      delivery.payload
+    );
+    
+    const now = new Date();
+    await WebhookDelivery.updateOne(
+      { _id: delivery._id },
+      { $set: { status: 'delivered', lockedAt: null, responseStatus: status, deliveredAt: now, lastError: null } }
+    );
+    await WebhookSubscription.updateOne({ _id: subscription._id }, { $set: { lastDeliveryAt: now } }, { timestamps: false });
+  } catch (error) {
+    const failure = {
+      lockedAt: null,
+      lastError: error.message,
+      responseStatus: error.status
+    };
+    
+    if (delivery.attempts < delivery.maxAttempts) {
+      // Retry with exponential backoff
+      const delay = config.webhooks.retryDelay * Math.pow(2, delivery.attempts - 1);
+      failure.status = 'pending';
+      failure.nextAttemptAt = new Date(Date.now() + delay);
+    } else {
+      console.error(`Webhook delivery ${delivery._id} (${delivery.event}) failed permanently:`, error.message);
+      failure.status = 'dead';
+    }
+    
+    await WebhookDelivery.updateOne({ _id: delivery._id }, { $set: failure });
+    await WebhookSubscription.updateOne(
+      { _id: subscription._id },
+      { $set: { lastFailureAt: new Date(), lastError: error.message } },
+      { timestamps: false }
+    );
+  }
+}
+
+/**
+ * Fill free sender slots with due deliveries
+ */
+async function poll() {
+  if (!running || polling) {
+    return;
+  }
+  
+  polling = true;
+  try {
+    while (running && activeDeliveries < config.webhooks.concurrency) {
+      const delivery = await claimDelivery();
+      if (!delivery) {
+        break;
+      }
+      
+      activeDeliveries++;
+      attemptDelivery(delivery)
+        .catch(error => console.error('Webhook dispatcher error:', error))
+        .finally(() => {
+          activeDeliveries--;
+          schedulePoll();
+        });
+    }
+  } catch (error) {
+    console.error('Error polling webhook deliveries:', error.message);
+  } finally {
+    polling = false;
+  }
+}
+
+/**
+ * Start sending queued webhook deliveries
+ */
+function startDispatcher() {
+  if (running || !config.webhooks.enabled) {
+    return;
+  }
+  
+  running = true;
+  pollTimer = setInterval(() => runWithoutTenant(poll), config.webhooks.pollInterval);
+  console.log(`Webhook dispatcher started (concurrency: ${config.webhooks.concurrency})`);
+  runWithoutTenant(poll);
+}
+
+/**
+ * Stop sending webhook deliveries (requests in flight are allowed to finish)
+ */
+function stopDispatcher() {
+  running = false;
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+}
+
+// Every emitted event is queued for the subscriptions of its tenant
+onEvent(event => {
+  queueDeliveries(event)
+    .catch(error => console.error(`Webhook deliveries for ${event.event} could not be queued:`, error.message));
+});
+
+// Event payloads name CV files, so deliveries and buffered events are erased with the candidate,
+// including bulk upload events emitted before the CV was saved (linked by their batch entry)
+registerErasureStep('webhookDeliveries', async ({ cvIds, fileIds }) => {
+  forgetEvents(cvIds, fileIds);
+  const { deletedCount } = await WebhookDelivery.deleteMany({
+    $or: [
+      { cvIds: { $in: cvIds } },
+      { 'payload.data.fileId': { $in: fileIds.map(String) } }
+    ]
+  });
+  return deletedCount;
+});
+
+module.exports = {
+  queueDeliveries,
+  replayDelivery,
+  startDispatcher,
+  stopDispatcher
+};
@@ -0,0 +1,177 @@
+const zlib = require('zlib');
+const { once } = require('events');
+
+// CRC-32 lookup table (IEEE polynomial, as used by ZIP)
+const CRC_TABLE = Array.from({ length: 256 }, (_, index) => {
+  let value = index;
+  for (let bit = 0; bit < 8; bit++) {
+    value = value & 1 ? 0xedb88320 ^ (value >>> 1) : value >>> 1;
+  }
+  return value >>> 0;
+});
+
+// General purpose flags: sizes follow the data (bit 3), names are UTF-8 (bit 11)
+const FLAGS = 0x0808;
+const DEFLATE = 8;
+const VERSION = 20;
+
+/**
+ * Update a CRC-32 checksum with more data
+ * @param {Buffer} buffer - Data
+ * @param {number} [crc] - Checksum of the preceding data
+ * @returns {number}
+ */
+function crc32(buffer, crc = 0) {
+  let value = crc ^ 0xffffffff;
+  for (const byte of buffer) {
+    value = CRC_TABLE[(value ^ byte) & 0xff] ^ (value >>> 8);
+  }
+  return (value ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * MS-DOS time and date fields of a timestamp
+ * @param {Date} date - Timestamp
+ * @returns {{time: number, date: number}}
+ */
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**
+ * Write a ZIP archive entry by entry without holding it in memory. Entries are deflated
+ * while they are written; their checksums and sizes follow the data in data descriptors.
+ * Archives are limited to 4 GB (no ZIP64).
+ * @param {Function} write - async (Buffer) => void, writes to the output and resolves when it can take more
+ * @returns {Object} - { openEntry(name), addEntry(name, content), finish() }
+ */
+function createZipWriter(write) {
+  const entries = [];
+  const { time, date } = dosDateTime(new Date());
+  let offset = 0;
+  let open = false;
+  
+  const emit = async (buffer) => {
+    offset += buffer.length;
+    await write(buffer);
+  };
+  
+  /**
+   * Start an entry; only one entry can be open at a time
+   * @param {string} name - Path inside the archive
+   * @returns {Promise<Object>} - { write(data), close() }
+   */
+  async function openEntry(name) {
+    if (open) {
+      throw new Error('Close the open ZIP entry first');
+    }
+    open = true;
+    
+    const nameBuffer = Buffer.from(name, 'utf8');
+    const entry = { nameBuffer, offset, crc: 0, size: 0, compressedSize: 0 };
+    
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(VERSION, 4);
+    header.writeUInt16LE(FLAGS, 6);
+    header.writeUInt16LE(DEFLATE, 8);
+    header.writeUInt16LE(time, 10);
+    header.writeUInt16LE(date, 12);
+    // Checksum and sizes (offsets 14-25) stay 0 and follow in the data descriptor
+    header.writeUInt16LE(nameBuffer.length, 26);
+    await emit(Buffer.concat([header, nameBuffer]));
+    
+    // Compressed data is written in order as the deflater produces it
+    const deflate = zlib.createDeflateRaw();
+    let written = Promise.resolve();
+    deflate.on('data', chunk => {
+      entry.compressedSize += chunk.length;
+      written = written.then(() => emit(chunk));
+    });
+    
+    return {
+      async write(data) {
+        const buffer = Buffer.isBuffer(data) ? data : Buffer.from(String(data), 'utf8');
+        entry.crc = crc32(buffer, entry.crc);
+        entry.size += buffer.length;
+        if (!deflate.write(buffer)) {
+          await once(deflate, 'drain');
+        }
+        await written;
+      },
+      
+      async close() {
+        deflate.end();
+        await once(deflate, 'end');
+        await written;
+        
+        const descriptor = Buffer.alloc(16);
+        descriptor.writeUInt32LE(0x08074b50, 0);
+        descriptor.writeUInt32LE(entry.crc, 4);
+        descriptor.writeUInt32LE(entry.compressedSize, 8);
+        descriptor.writeUInt32LE(entry.size, 12);
+        await emit(descriptor);
+        
+        entries.push(entry);
+        open = false;
+      }
+    };
+  }
+  
+  /**
+   * Add an entry with all its content at once
+   * @param {string} name - Path inside the archive
+   * @param {string|Buffer} content - Entry content
+   */
+  async function addEntry(name, content) {
+    const entry = await openEntry(name);
+    await entry.write(content);
+    await entry.close();
+  }
+  
+  /**
+   * Write the central directory that ends the archive
+   */
+  async function finish() {
+    if (open) {
+      throw new Error('Close the open ZIP entry first');
+    }
+    
+    const directoryOffset = offset;
+    for (const entry of entries) {
+      const header = Buffer.alloc(46);
+      header.writeUInt32LE(0x02014b50, 0);
+      header.writeUInt16LE(VERSION, 4);
+      header.writeUInt16LE(VERSION, 6);
+      header.writeUInt16LE(FLAGS, 8);
+      header.writeUInt16LE(DEFLATE, 10);
+      header.writeUInt16LE(time, 12);
+      header.writeUInt16LE(date, 14);
+      header.writeUInt32LE(entry.crc, 16);
+      header.writeUInt32LE(entry.compressedSize, 20);
+      header.writeUInt32LE(entry.size, 24);
+      header.writeUInt16LE(entry.nameBuffer.length, 28);
+      // Extra field, comment, disk number and attributes (offsets 30-41) are empty
+      header.writeUInt32LE(entry.offset, 42);
+      await emit(Buffer.concat([header, entry.nameBuffer]));
+    }
+    
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(offset - directoryOffset, 12);
+    end.writeUInt32LE(directoryOffset, 16);
+    await emit(end);
+  }
+  
+  return { openEntry, addEntry, finish };
+}
+
+module.exports = {
+  crc32,
+  createZipWriter
+};